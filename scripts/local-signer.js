@@ -0,0 +1,79 @@
+/**
+ * Development Tool: Local stand-in for the remote treasury signer
+ *
+ * Serves the RemoteSigner HTTP API (src/services/signers/RemoteSigner.js) over
+ * the keys in the local .secure-vault, so the remote backend can be exercised
+ * without a KMS/HSM. Point the API at it with:
+ *   TREASURY_SIGNER_BACKEND=remote
+ *   TREASURY_SIGNER_URL=http://127.0.0.1:4100
+ *   TREASURY_SIGNER_TOKEN=<same token as below>
+ *
+ * Run with: TREASURY_SIGNER_TOKEN=<token> node scripts/local-signer.js [--port 4100]
+ *
+ * Not for production: the keys live on the same host as the API.
+ */
+
+require('dotenv').config({ path: '/opt/gambino/.env' });
+const express = require('express');
+const nacl = require('tweetnacl');
+const { Message } = require('@solana/web3.js');
+const FileVaultSigner = require('../src/services/signers/FileVaultSigner');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg !== -1 ? parseInt(process.argv[portArg + 1]) : 4100;
+const TOKEN = process.env.TREASURY_SIGNER_TOKEN;
+
+if (!TOKEN) {
+  console.error('❌ TREASURY_SIGNER_TOKEN is required');
+  process.exit(1);
+}
+
+const vault = new FileVaultSigner();
+const app = express();
+app.use(express.json({ limit: '64kb' }));
+
+app.use((req, res, next) => {
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+app.get('/v1/accounts/:accountType', async (req, res) => {
+  try {
+    const publicKey = await vault.publicKey(req.params.accountType);
+    res.json({ publicKey: publicKey.toBase58() });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post('/v1/sign', async (req, res) => {
+  const { accountType, reason, message, actor } = req.body || {};
+  if (!accountType || !reason || !message) {
+    return res.status(400).json({ error: 'accountType, reason and message are required' });
+  }
+
+  try {
+    const bytes = Buffer.from(message, 'base64');
+    const parsed = Message.from(bytes);
+    const keypair = await vault.keypair(accountType, `REMOTE_SIGN: ${reason}`, actor);
+
+    // Only sign messages that actually need this key
+    const index = parsed.accountKeys.findIndex(key => key.equals(keypair.publicKey));
+    if (index === -1 || index >= parsed.header.numRequiredSignatures) {
+      return res.status(400).json({ error: `${accountType} is not a required signer of this message` });
+    }
+
+    const signature = nacl.sign.detached(bytes, keypair.secretKey);
+    console.log(`✍️  Signed for ${accountType}: ${reason}`);
+    res.json({ publicKey: keypair.publicKey.toBase58(), signature: Buffer.from(signature).toString('base64') });
+  } catch (error) {
+    console.error(`❌ Signing failed for ${accountType}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`🔐 Local treasury signer listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,79 @@
+/**
+ * Migration Script: Open ledger accounts for every existing balance
+ *
+ * Balances now move only through the double-entry ledger (src/services/LedgerService.js).
+ * Accounts open themselves on first use, carrying the pre-ledger field in with an
+ * opening entry; this opens them all up front so ledger-wide totals and statements
+ * cover every user, escrow and store wallet from the start.
+ *
+ * Run with: node scripts/open-ledger-accounts.js [--dry-run]
+ *
+ * Safe to re-run: accounts that already exist are left untouched.
+ */
+
+require('dotenv').config({ path: '/opt/gambino/.env' });
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const EscrowBalance = require('../src/models/EscrowBalance');
+const { StoreWallet } = require('../src/models/Wallet');
+const LedgerAccount = require('../src/models/LedgerAccount');
+const ledger = require('../src/services/LedgerService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/gambino';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Open each listed account that does not exist yet
+async function openAll(label, cursor, accountIdsFor) {
+  let opened = 0;
+
+  for await (const doc of cursor) {
+    for (const accountId of accountIdsFor(doc)) {
+      if (await LedgerAccount.exists({ accountId })) continue;
+
+      opened++;
+      if (!DRY_RUN) await ledger.openAccount(accountId);
+    }
+  }
+
+  console.log(`  📒 ${label}: ${opened} accounts ${DRY_RUN ? 'to open' : 'opened'}`);
+  return opened;
+}
+
+async function openLedgerAccounts() {
+  console.log('🔧 Connecting to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log(`📦 Connected to MongoDB${DRY_RUN ? ' (dry run - nothing will be written)' : ''}`);
+
+  const { accounts } = ledger;
+  let total = 0;
+
+  total += await openAll(
+    'User GG balances',
+    User.find({}).select('_id').lean().cursor(),
+    user => [accounts.user(user._id)]
+  );
+
+  total += await openAll(
+    'Escrow balances',
+    EscrowBalance.find({}).select('userId').lean().cursor(),
+    escrow => [accounts.escrow(escrow.userId), accounts.escrowPending(escrow.userId), accounts.credits(escrow.userId)]
+  );
+
+  total += await openAll(
+    'Store wallets',
+    StoreWallet.find({}).select('userId storeId').lean().cursor(),
+    wallet => [accounts.storeWallet(wallet.storeId, wallet.userId)]
+  );
+
+  console.log(`\n📊 Ledger accounts ${DRY_RUN ? 'to open' : 'opened'}: ${total}`);
+
+  await mongoose.disconnect();
+  console.log('\n✅ Migration complete');
+}
+
+openLedgerAccounts()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+/**
+ * Migration Script: Recompute business dates from each store's timezone and cutover
+ *
+ * DailyReport.reportDate used to be server-local midnight of printedAt and
+ * BookkeepingReport.businessDate a fixed UTC-5 offset. Both now hold the store's
+ * business day (see src/utils/businessDay.js). This rewrites existing documents.
+ *
+ * Run with: node scripts/recompute-business-dates.js [--dry-run] [--store <storeId>]
+ *
+ * Safe to re-run: documents already on the right business day are left untouched.
+ */
+
+require('dotenv').config({ path: '/opt/gambino/.env' });
+const mongoose = require('mongoose');
+const Store = require('../src/models/Store');
+const DailyReport = require('../src/models/DailyReport');
+const BookkeepingReport = require('../src/models/BookkeepingReport');
+const businessDay = require('../src/utils/businessDay');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/gambino';
+const DRY_RUN = process.argv.includes('--dry-run');
+const storeArg = process.argv.indexOf('--store');
+const ONLY_STORE = storeArg !== -1 ? process.argv[storeArg + 1] : null;
+
+// Rewrite one date field from a source timestamp, in bulk batches
+async function recompute(Model, storeId, settings, sourceField, targetField) {
+  let changed = 0;
+  let ops = [];
+
+  const cursor = Model.collection.find(
+    { storeId, [sourceField]: { $ne: null } },
+    { projection: { [sourceField]: 1, [targetField]: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    const next = businessDay.businessDate(doc[sourceField], settings);
+    if (!next || (doc[targetField] && new Date(doc[targetField]).getTime() === next.getTime())) continue;
+
+    changed++;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [targetField]: next } } } });
+    if (ops.length >= 500) {
+      if (!DRY_RUN) await Model.collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+
+  if (ops.length && !DRY_RUN) await Model.collection.bulkWrite(ops, { ordered: false });
+  return changed;
+}
+
+async function recomputeBusinessDates() {
+  console.log('🔧 Connecting to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log(`📦 Connected to MongoDB${DRY_RUN ? ' (dry run - nothing will be written)' : ''}`);
+
+  const storeQuery = ONLY_STORE ? { storeId: ONLY_STORE } : { storeId: { $exists: true, $ne: null } };
+  const stores = await Store.find(storeQuery).select('storeId storeName timezone businessDayCutover').lean();
+  console.log(`📊 Found ${stores.length} stores`);
+
+  const totals = { dailyReports: 0, bookkeepingReports: 0 };
+
+  for (const store of stores) {
+    const settings = businessDay.settingsFor(store);
+    const dailyReports = await recompute(DailyReport, store.storeId, settings, 'printedAt', 'reportDate');
+    const bookkeepingReports = await recompute(BookkeepingReport, store.storeId, settings, 'timestamp', 'businessDate');
+
+    totals.dailyReports += dailyReports;
+    totals.bookkeepingReports += bookkeepingReports;
+    console.log(`  🏪 ${store.storeId} (${settings.timezone}, cutover ${settings.cutover}): ` +
+      `${dailyReports} daily reports, ${bookkeepingReports} bookkeeping reports`);
+  }
+
+  console.log('\n📊 Migration Summary:');
+  console.log(`  📅 DailyReport.reportDate ${DRY_RUN ? 'to change' : 'updated'}: ${totals.dailyReports}`);
+  console.log(`  📚 BookkeepingReport.businessDate ${DRY_RUN ? 'to change' : 'updated'}: ${totals.bookkeepingReports}`);
+
+  await mongoose.disconnect();
+  console.log('\n✅ Migration complete');
+}
+
+recomputeBusinessDates()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,177 @@
+/**
+ * Migration Script: Move treasury wallet keys onto CredentialManager
+ *
+ * TreasuryWallet.privateKeyEncrypted used to be crypto.createCipher('aes-256-cbc')
+ * output under TREASURY_ENCRYPTION_KEY (or a hard-coded fallback), with no IV and
+ * no authentication. This re-seals each key as a CredentialManager AES-256-GCM
+ * envelope bound to the wallet's public key, and removes the old ciphertext.
+ *
+ * It also imports MAIN_TREASURY_PRIVATE_KEY / PAYER_PRIVATE_KEY into the vault
+ * (as mainTreasury / payer) so they can be removed from the environment.
+ *
+ * Run with: node scripts/reseal-treasury-wallet-keys.js [--dry-run]
+ *
+ * Safe to re-run: migrated wallets and existing vault entries are left untouched.
+ */
+
+require('dotenv').config({ path: '/opt/gambino/.env' });
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Keypair } = require('@solana/web3.js');
+const TreasuryWallet = require('../src/models/TreasuryWallet');
+const treasuryKeys = require('../src/services/TreasuryKeyService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/gambino';
+const DRY_RUN = process.argv.includes('--dry-run');
+const ACTOR = { source: 'reseal-treasury-wallet-keys' };
+
+// The fallback admin/treasury.js used when TREASURY_ENCRYPTION_KEY was unset
+const LEGACY_FALLBACK_KEY = 'your-32-character-secret-key-here!!';
+
+// createCipher derived key and IV from the password with OpenSSL's EVP_BytesToKey
+// (MD5, one round, no salt). createDecipher is gone from newer Node, so do it by hand.
+function legacyDecrypt(text, password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password, 'utf8')])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  // Stored as "<unused iv>:<ciphertext>"
+  const ciphertext = text.split(':').slice(1).join(':');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  return decipher.update(ciphertext, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+// Returns the base64 secret key and whether only the public fallback key protected it
+function openLegacyKey(wallet) {
+  const candidates = [
+    process.env.TREASURY_ENCRYPTION_KEY && { password: process.env.TREASURY_ENCRYPTION_KEY, fallback: false },
+    { password: LEGACY_FALLBACK_KEY, fallback: true }
+  ].filter(Boolean);
+
+  for (const { password, fallback } of candidates) {
+    try {
+      const privateKeyBase64 = legacyDecrypt(wallet.privateKeyEncrypted, password);
+      const keypair = Keypair.fromSecretKey(Uint8Array.from(Buffer.from(privateKeyBase64, 'base64')));
+      if (keypair.publicKey.toBase58() === wallet.publicKey) {
+        return { privateKeyBase64, fallback };
+      }
+    } catch (error) {
+      // Wrong key: try the next one
+    }
+  }
+  return null;
+}
+
+async function migrateWallets() {
+  const summary = { migrated: 0, failed: 0, exposed: [] };
+
+  const cursor = TreasuryWallet.find({ privateKeyEncrypted: { $exists: true }, encryptedKey: { $exists: false } })
+    .select('+privateKeyEncrypted')
+    .cursor();
+
+  for await (const wallet of cursor) {
+    const opened = openLegacyKey(wallet);
+    if (!opened) {
+      summary.failed++;
+      console.log(`  ❌ ${wallet.label} (${wallet.publicKey}): could not decrypt - re-enter via POST /api/admin/treasury/wallets/${wallet._id}/rotate`);
+      continue;
+    }
+    if (opened.fallback) {
+      summary.exposed.push(wallet.publicKey);
+    }
+
+    summary.migrated++;
+    if (DRY_RUN) continue;
+
+    await TreasuryWallet.updateOne(
+      { _id: wallet._id },
+      {
+        $set: {
+          encryptedKey: treasuryKeys.sealWalletKey(wallet.publicKey, opened.privateKeyBase64, ACTOR),
+          keyRotatedAt: new Date()
+        },
+        $unset: { privateKeyEncrypted: '' }
+      }
+    );
+    console.log(`  🔐 ${wallet.label} (${wallet.publicKey})`);
+  }
+
+  return summary;
+}
+
+async function importEnvSigners() {
+  const manager = treasuryKeys.credentials();
+  const { credentials: vaultEntries = [] } = await manager.listCredentials();
+  let imported = 0;
+
+  for (const signer of treasuryKeys.ENV_SIGNERS) {
+    if (!process.env[signer.env]) continue;
+
+    const result = await manager.getEnvKeypair(signer.env, 'VAULT_IMPORT', ACTOR);
+    if (!result.success) {
+      console.log(`  ❌ ${signer.env}: ${result.error}`);
+      continue;
+    }
+
+    const publicKey = result.keypair.publicKey.toBase58();
+    const existing = vaultEntries.find(entry => entry.accountType === signer.accountType);
+    if (existing) {
+      const note = existing.metadata?.publicKey === publicKey
+        ? 'already in vault'
+        : `vault already holds a different key (${existing.metadata?.publicKey}) - not replaced`;
+      console.log(`  ⏭️  ${signer.env} → ${signer.accountType}: ${note}`);
+      continue;
+    }
+
+    imported++;
+    if (DRY_RUN) continue;
+
+    const stored = await manager.storeCredentials(signer.accountType, {
+      label: signer.label,
+      purpose: signer.purpose,
+      publicKey,
+      secretKey: Array.from(result.keypair.secretKey),
+      migratedAt: new Date().toISOString()
+    }, ACTOR);
+    if (!stored.success) throw new Error(`Failed to store ${signer.accountType}: ${stored.error}`);
+    console.log(`  🔐 ${signer.env} → ${signer.accountType} (${publicKey})`);
+  }
+
+  return imported;
+}
+
+async function migrateTreasuryWalletKeys() {
+  console.log('🔧 Connecting to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log(`📦 Connected to MongoDB${DRY_RUN ? ' (dry run - nothing will be written)' : ''}`);
+
+  console.log('\n🔑 TreasuryWallet documents');
+  const wallets = await migrateWallets();
+
+  console.log('\n🔑 Env signing keys');
+  const imported = await importEnvSigners();
+
+  console.log(`\n📊 Wallets ${DRY_RUN ? 'to migrate' : 'migrated'}: ${wallets.migrated}, failed: ${wallets.failed}`);
+  console.log(`📊 Env keys ${DRY_RUN ? 'to import' : 'imported'}: ${imported}`);
+  if (wallets.exposed.length > 0) {
+    console.log('\n⚠️  These keys were encrypted with the hard-coded fallback key and should be treated as exposed.');
+    console.log('   Move their funds to new wallets:');
+    wallets.exposed.forEach(publicKey => console.log(`   - ${publicKey}`));
+  }
+  if (imported > 0 && !DRY_RUN) {
+    console.log('\n🧹 Remove the imported *_PRIVATE_KEY variables from the environment.');
+  }
+
+  await mongoose.disconnect();
+  console.log('\n✅ Migration complete');
+}
+
+migrateTreasuryWalletKeys()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+/**
+ * Maintenance Script: Re-encrypt treasury secrets under the current master key
+ *
+ * To rotate TREASURY_MASTER_KEY:
+ *   1. Set TREASURY_MASTER_KEY to the new key and TREASURY_MASTER_KEY_PREVIOUS to
+ *      the old one, and restart the API. Both keys decrypt; new envelopes use the new one.
+ *   2. Run this script (or POST /api/admin/treasury/wallets/keys/rotate). Vault files
+ *      and TreasuryWallet keys still sealed by the old key are re-encrypted.
+ *   3. When --status shows nothing stale, remove TREASURY_MASTER_KEY_PREVIOUS.
+ *
+ * Run with: node scripts/rotate-treasury-keys.js --reason "<why>" [--status]
+ *
+ * Safe to re-run: secrets already under the current key are left untouched.
+ */
+
+require('dotenv').config({ path: '/opt/gambino/.env' });
+const mongoose = require('mongoose');
+const treasuryKeys = require('../src/services/TreasuryKeyService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/gambino';
+const STATUS_ONLY = process.argv.includes('--status');
+const reasonArg = process.argv.indexOf('--reason');
+const REASON = reasonArg !== -1 ? process.argv[reasonArg + 1] : null;
+
+function printStatus(status) {
+  console.log(`🔑 Current master key: ${status.currentKeyId}`);
+  console.log(`   Configured keys: ${status.configuredKeyIds.join(', ')}`);
+  console.log(`📁 Vault: ${status.vault.total} files, ${status.vault.stale.length} under an older key`);
+  status.vault.stale.forEach(({ accountType, keyId }) => console.log(`   - ${accountType} (${keyId || 'no key id'})`));
+  console.log(`🗄️  Wallets: ${status.wallets.stale} under an older key, ${status.wallets.needsMigration} awaiting migration`);
+}
+
+async function rotateTreasuryKeys() {
+  if (!STATUS_ONLY && !REASON) {
+    throw new Error('--reason "<why>" is required');
+  }
+
+  console.log('🔧 Connecting to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log('📦 Connected to MongoDB');
+
+  if (!STATUS_ONLY) {
+    const result = await treasuryKeys.rotateAll({ reason: REASON, actor: { source: 'rotate-treasury-keys' } });
+    console.log(`\n🔄 Vault: ${result.vault.rotated.length} re-encrypted, ${result.vault.alreadyCurrent} already current`);
+    console.log(`🔄 Wallets: ${result.wallets.rotated} re-encrypted, ${result.wallets.alreadyCurrent} already current`);
+    result.wallets.failed.forEach(({ publicKey, error }) => console.log(`   ❌ ${publicKey}: ${error}`));
+  }
+
+  console.log('');
+  printStatus(await treasuryKeys.keyStatus());
+
+  await mongoose.disconnect();
+  console.log('\n✅ Done');
+}
+
+rotateTreasuryKeys()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Rotation failed:', error);
+    process.exit(1);
+  });
@@ -27,7 +27,7 @@ async function seedExchangeRate() {
     if (existingConfig) {
       console.log('⚠️  Exchange rate config already exists:');
       console.log(JSON.stringify(existingConfig, null, 2));
-      console.log('\nSkipping seed. If you want to create a new config, use the admin API.');
+      console.log('\nSkipping seed. To change it, POST /api/admin/exchange-rates.');
       await mongoose.connection.close();
       return;
     }
@@ -737,6 +737,8 @@ transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ 'metadata.storeId': 1, createdAt: -1 }); // For cashout queries
 transactionSchema.index({ 'metadata.staffMemberId': 1, createdAt: -1 }); // For staff cashout tracking
+transactionSchema.index({ 'metadata.shiftId': 1, createdAt: 1 }, { sparse: true }); // For cashier shift summaries
+transactionSchema.index({ 'metadata.exchangeRateConfig.configId': 1 }, { sparse: true }); // Cashouts per exchange rate version
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 //Reconciliation Service
@@ -745,6 +747,7 @@ const ReconciliationService = require('./src/services/ReconciliationService');
 
 // Store Schema
 const Store = require('./src/models/Store');
+const businessDay = require('./src/utils/businessDay');
 
 // Machine Schema
 const Machine = require('./src/models/Machine');
@@ -2074,7 +2077,7 @@ app.put('/api/admin/stores/:storeId', ...createVenueMiddleware({ requireManageme
   try {
     const allowed = [
       'storeName','city','state','address','zipCode','phone',
-      'feePercentage','status','ownerUserId'
+      'feePercentage','status','ownerUserId','timezone','businessDayCutover'
     ];
     const patch = {};
     for (const k of allowed) {
@@ -2092,13 +2095,19 @@ app.put('/api/admin/stores/:storeId', ...createVenueMiddleware({ requireManageme
     const s = await Store.findOneAndUpdate(
       { storeId: req.params.storeId }, 
       patch, 
-      { new: true }
+      { new: true, runValidators: true }
     );
     
     if (!s) return res.status(404).json({ error: 'Store not found' });
+    if ('timezone' in patch || 'businessDayCutover' in patch) {
+      businessDay.clearCache(req.params.storeId);
+    }
     
     res.json({ success: true, store: s });
   } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ error: e.message });
+    }
     console.error('admin store update error:', e);
     res.status(500).json({ error: 'Failed to update store' });
   }
@@ -2110,7 +2119,7 @@ app.post('/api/admin/stores/create', authenticate, requirePermission([PERMISSION
     const { 
       storeId, storeName, city, state, 
       address='', zipCode='', phone='', 
-      feePercentage=5 
+      feePercentage=5, timezone, businessDayCutover
     } = req.body || {};
     
     if (!storeId || !storeName || !city || !state) {
@@ -2133,6 +2142,8 @@ app.post('/api/admin/stores/create', authenticate, requirePermission([PERMISSION
       zipCode, 
       phone,
       feePercentage: Number(feePercentage) || 0,
+      timezone,
+      businessDayCutover,
       status: 'active', 
       createdAt: new Date()
     });
@@ -2148,6 +2159,9 @@ app.post('/api/admin/stores/create', authenticate, requirePermission([PERMISSION
 
     res.status(201).json({ success: true, store: doc });
   } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ error: e.message });
+    }
     console.error('admin store create error:', e);
     res.status(500).json({ error: 'Failed to create store' });
   }
@@ -2274,6 +2288,53 @@ app.use('/api/admin/machines', require('./src/routes/routes-machine-details'));
 // EDGE DEVICE OPERATIONS
 app.use('/api/edge', require('./src/routes/edge'));
 
+// EDGE INGEST QUEUE (failed job review / replay)
+app.use('/api/admin/ingest-jobs', require('./src/routes/ingestJobs'));
+
+// HUB HEALTH ALERTS & RULES
+app.use('/api/admin/hub-alerts', require('./src/routes/hubAlerts'));
+
+// PI SOFTWARE RELEASES & ROLLOUTS
+app.use('/api/admin/pi-releases', require('./src/routes/piReleases'));
+
+// DAILY REPORT REBUILDS (dry-run / commit from stored events)
+app.use('/api/admin/report-rebuilds', require('./src/routes/reportRebuilds'));
+
+// PAYOUT OUTBOX (intent -> submitted -> confirmed/finalized/failed)
+app.use('/api/admin/payouts', require('./src/routes/payouts'));
+
+// LEDGER (double-entry accounts, journal entries and statements)
+app.use('/api/admin/ledger', require('./src/routes/ledger'));
+
+// BALANCE RECONCILIATION (gambinoBalance vs. on-chain GG + pending payouts)
+app.use('/api/admin/balance-reconciliation', require('./src/routes/balanceReconciliation'));
+
+// TOKEN LOCKS AND VESTING (User.lockedBalance)
+app.use('/api/locks', require('./src/routes/locks'));
+app.use('/api/admin/locks', authenticate, verifyRoleFromDatabase, require('./src/routes/admin/locks'));
+
+// GOVERNANCE (proposals voted on with gluckScore + locked GG weight)
+app.use('/api/governance', require('./src/routes/governance'));
+app.use('/api/admin/governance', authenticate, verifyRoleFromDatabase, require('./src/routes/admin/governance'));
+
+// EXCHANGE RATES (scheduled cashout config versions and venue overrides)
+app.use('/api/admin/exchange-rates', authenticate, verifyRoleFromDatabase, require('./src/routes/admin/exchangeRates'));
+
+// COMPLIANCE REPORTING (large cash transactions, structuring, filing status)
+app.use('/api/admin/compliance', authenticate, verifyRoleFromDatabase, require('./src/routes/admin/compliance'));
+
+// TREASURY REQUESTS (N-of-M approval before transfers and burns)
+app.use('/api/admin/treasury/requests', authenticate, verifyRoleFromDatabase, require('./src/routes/treasuryRequests'));
+
+// TREASURY LEDGER (outbound movements and limit burn-down)
+app.use('/api/admin/treasury/ledger', authenticate, verifyRoleFromDatabase, require('./src/routes/treasuryLedger'));
+
+// TREASURY WALLETS (CredentialManager-sealed keys, master key rotation, access log)
+app.use('/api/admin/treasury/wallets', authenticate, verifyRoleFromDatabase, require('./src/routes/admin/treasury'));
+
+// TREASURY SIGNING REQUESTS (offline signing export/import)
+app.use('/api/admin/treasury/signing-requests', authenticate, verifyRoleFromDatabase, require('./src/routes/signingRequests'));
+
 // TREASURY MANAGEMENT
 // SECURITY: Verify role from DB to prevent unauthorized treasury access
 app.use('/api/admin/treasury', authenticate, verifyRoleFromDatabase, requirePermission(PERMISSIONS.VIEW_ALL_METRICS), require('./src/routes/blockchainTreasuryRoutes'));
@@ -2430,6 +2491,33 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
 
+  // Durable processing of edge daily summaries / bookkeeping events
+  require('./src/services/IngestQueueService').startWorker();
+
+  // Hub offline detection + alert rule seeding
+  require('./src/services/HubHealthService').startMonitor();
+
+  // Automatic halt of failing Pi app rollouts
+  require('./src/services/PiReleaseService').startMonitor();
+
+  // Signs, submits and confirms queued on-chain payouts
+  require('./src/services/PayoutOutboxService').startWorker();
+
+  // Settles or releases treasury movements broadcast without a seen confirmation
+  require('./src/services/TreasuryLedgerService').startWorker();
+
+  // Periodic user balance reconciliation against the chain
+  require('./src/services/BalanceReconciliationService').startScheduler();
+
+  // Recurring treasury distributions (cron per schedule)
+  require('./src/services/DistributionScheduleService').startScheduler();
+
+  // Opens/closes governance proposals, applies passed parameter changes
+  require('./src/services/GovernanceService').startWorker();
+
+  // Flags customer cash out over (or structured under) the reporting threshold
+  require('./src/services/ComplianceReportService').startWorker();
+
   // Start server only after DB connection
   app.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
@@ -0,0 +1,56 @@
+// src/models/BalanceCorrection.js
+const mongoose = require('mongoose');
+
+/**
+ * Append-only ledger of approved changes to User.gambinoBalance made by balance
+ * reconciliation. Entries are never edited or removed; a mistaken correction is
+ * undone by a new, opposite entry.
+ */
+const balanceCorrectionSchema = new mongoose.Schema({
+  correctionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  amount: { type: Number, required: true },     // signed change to gambinoBalance
+  balanceBefore: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+
+  classification: String,
+  discrepancyId: { type: mongoose.Schema.Types.ObjectId, ref: 'BalanceDiscrepancy' },
+  runId: String,
+  reason: { type: String, required: true },
+
+  approvedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+balanceCorrectionSchema.index({ userId: 1, createdAt: -1 });
+balanceCorrectionSchema.index({ discrepancyId: 1 }, { unique: true, sparse: true });
+
+// Append-only: refuse every update and delete path
+function appendOnly(next) {
+  next(new Error('Balance corrections are append-only'));
+}
+
+balanceCorrectionSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+balanceCorrectionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  appendOnly
+);
+
+module.exports = mongoose.model('BalanceCorrection', balanceCorrectionSchema);
@@ -0,0 +1,68 @@
+// src/models/BalanceDiscrepancy.js
+const mongoose = require('mongoose');
+
+// Why a user's off-chain gambinoBalance and on-chain GG balance disagree.
+// residual = offChain - (onChain + pendingPayouts); positive means the books
+// credit the user with more than the chain will hold.
+const DISCREPANCY_STATUSES = ['open', 'approved', 'rejected', 'superseded'];
+const CLASSIFICATIONS = [
+  'unsettled_rewards',   // gap fully explained by payouts still in the outbox
+  'unknown_inbound',     // wallet holds tokens the books never credited
+  'drift'                // books credit more than the chain and pending payouts explain
+];
+
+const balanceDiscrepancySchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: String,
+  walletAddress: String,
+
+  offChainBalance: { type: Number, required: true },
+  lockedBalance: { type: Number, default: 0 },      // counted as off-chain; corrections never touch it
+  onChainBalance: { type: Number, required: true },
+  pendingPayouts: { type: Number, default: 0 },
+  pendingPayoutIds: [String],
+  residual: { type: Number, required: true },
+
+  classification: {
+    type: String,
+    enum: CLASSIFICATIONS,
+    required: true
+  },
+  // Signed change to gambinoBalance that would clear the residual; 0 when none is needed
+  proposedCorrection: { type: Number, default: 0 },
+
+  // open -> approved | rejected; superseded when a later run re-checks the user
+  status: {
+    type: String,
+    enum: DISCREPANCY_STATUSES,
+    default: 'open'
+  },
+  resolvedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String
+  },
+  resolvedAt: Date,
+  resolutionNote: String,
+  correctionId: String
+}, {
+  timestamps: true
+});
+
+balanceDiscrepancySchema.index({ status: 1, classification: 1, createdAt: -1 });
+balanceDiscrepancySchema.index({ userId: 1, status: 1 });
+balanceDiscrepancySchema.index({ runId: 1, classification: 1 });
+
+const BalanceDiscrepancy = mongoose.model('BalanceDiscrepancy', balanceDiscrepancySchema);
+BalanceDiscrepancy.CLASSIFICATIONS = CLASSIFICATIONS;
+BalanceDiscrepancy.DISCREPANCY_STATUSES = DISCREPANCY_STATUSES;
+
+module.exports = BalanceDiscrepancy;
@@ -0,0 +1,53 @@
+// src/models/BalanceReconciliationRun.js
+const mongoose = require('mongoose');
+
+// One pass of the user balance reconciliation job (off-chain vs on-chain GG)
+const balanceReconciliationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'manual'
+  },
+  triggeredBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String
+  },
+  tolerance: { type: Number, default: 0.000001 },
+
+  usersChecked: { type: Number, default: 0 },
+  usersSkipped: { type: Number, default: 0 },   // on-chain balance could not be read
+
+  // Count and net residual per classification
+  totals: {
+    type: Object,
+    default: {}
+  },
+
+  errorSamples: [{
+    _id: false,
+    userId: String,
+    walletAddress: String,
+    error: String
+  }],
+  error: String,
+
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+balanceReconciliationRunSchema.index({ startedAt: -1 });
+balanceReconciliationRunSchema.index({ status: 1 });
+
+module.exports = mongoose.model('BalanceReconciliationRun', balanceReconciliationRunSchema);
@@ -31,7 +31,7 @@ const bookkeepingReportSchema = new mongoose.Schema({
     index: true 
   },
   
-  // Business date (EST) this belongs to
+  // Business day this belongs to (UTC midnight of the store's business day, see utils/businessDay)
   businessDate: { 
     type: Date, 
     required: true 
@@ -148,7 +148,7 @@ bookkeepingReportSchema.statics.getBookkeepingSinceClear = async function(storeI
   };
   
   if (lastClearing) {
-    query.timestamp = { : lastClearing.timestamp };
+    query.timestamp = { $gt: lastClearing.timestamp };
   }
   
   return this.find(query).sort({ timestamp: -1 });
@@ -0,0 +1,125 @@
+// src/models/CashierShift.js
+const mongoose = require('mongoose');
+
+// open -> closed, or open -> pending_signoff -> closed when over/short is past
+// the sign-off threshold and a manager has to accept the count
+const SHIFT_STATUSES = ['open', 'pending_signoff', 'closed'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+/**
+ * A cashier's drawer for one shift at a venue. Every cashout processed by the
+ * cashier and every reversal returned to the drawer increments `activity` in the
+ * same database transaction and carries metadata.shiftId on its Transaction.
+ * Dollar amounts throughout; expectedCash = openingFloat - cashPaid + cashReturned.
+ */
+const cashierShiftSchema = new mongoose.Schema({
+  shiftId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  storeId: {
+    type: String,
+    required: true
+  },
+  drawer: {
+    type: String,
+    default: 'main',
+    trim: true
+  },
+  cashier: {
+    type: actorSchema,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: SHIFT_STATUSES,
+    default: 'open'
+  },
+
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  activity: {
+    cashouts: { type: Number, default: 0 },
+    cashPaid: { type: Number, default: 0 },          // cash handed to customers
+    tokensConverted: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    reversals: { type: Number, default: 0 },
+    cashReturned: { type: Number, default: 0 }       // cash taken back on reversals
+  },
+
+  closedAt: Date,
+  closedBy: actorSchema,
+  expectedCash: Number,
+  countedCash: Number,
+  overShort: Number,                                 // counted - expected; negative is short
+  closeNote: String,
+
+  signoffRequired: {
+    type: Boolean,
+    default: false
+  },
+  signoffThreshold: Number,
+  signoff: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String,
+    at: Date,
+    note: String
+  },
+
+  // Store-wallet settlement (CustWalletService.processEndOfShiftSettlement) for the shift window
+  settlementId: String,
+
+  // Audit trail of every action taken on the shift
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// One open drawer per cashier, and one cashier per drawer
+cashierShiftSchema.index({ 'cashier.userId': 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashierShiftSchema.index({ storeId: 1, drawer: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashierShiftSchema.index({ storeId: 1, openedAt: -1 });
+cashierShiftSchema.index({ status: 1, storeId: 1 });
+
+// Instance methods
+cashierShiftSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  return this;
+};
+
+const CashierShift = mongoose.model('CashierShift', cashierShiftSchema);
+CashierShift.SHIFT_STATUSES = SHIFT_STATUSES;
+
+module.exports = CashierShift;
@@ -0,0 +1,168 @@
+// src/models/CashoutRequest.js
+const mongoose = require('mongoose');
+
+// pending -> processing (customer confirmed) -> completed | failed
+// pending -> held (confirmed, risk score at or above the hold score)
+//   held -> approved (review approved) | denied (review denied)
+//   approved -> processing (a cashier at the venue pays out) | cancelled (staff)
+// pending -> cancelled (staff, customer, or too many wrong codes) | expired
+const REQUEST_STATUSES = ['pending', 'held', 'approved', 'processing', 'completed', 'failed', 'denied', 'cancelled', 'expired'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'denied', 'cancelled', 'expired'];
+
+const REVIEW_DECISIONS = ['approved', 'denied'];
+
+// app  - the customer approved in the authenticated user API
+// code - staff entered the 6-digit code the customer received by email
+const CONFIRMATION_METHODS = ['app', 'code'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+/**
+ * A cashout staff have set up but the customer has not yet approved. Nothing is
+ * debited until the customer confirms; CashoutService.processCashout then runs
+ * with the initiating staff member (their drawer, their daily limit). A cashout
+ * released from risk review is paid out by whichever cashier at the venue
+ * completes it (paidBy).
+ */
+const cashoutRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  storeId: {
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokensToConvert: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cashAmount: Number,                   // quote at creation
+  exchangeRate: Number,                 // tokens per dollar quoted; processing fails if it changes
+  commissionPercent: Number,            // venue commission quoted, likewise
+  notes: String,
+
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // sha256(requestId:code); the code itself is only ever emailed
+  codeHash: {
+    type: String,
+    select: false
+  },
+  codeSentTo: String,                   // masked address
+  codeSentAt: Date,
+  codeAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  initiatedBy: {
+    type: actorSchema,
+    required: true
+  },
+  confirmedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },   // the customer
+    method: { type: String, enum: CONFIRMATION_METHODS },
+    enteredBy: actorSchema,                                          // staff who keyed the code
+    at: Date
+  },
+  cancelledBy: actorSchema,
+  paidBy: actorSchema,                  // cashier whose drawer paid out, when not initiatedBy
+
+  // CashoutRiskService.assess at confirmation
+  risk: {
+    score: Number,
+    holdScore: Number,
+    hold: Boolean,
+    signals: [{
+      _id: false,
+      rule: String,
+      score: Number,
+      detail: String
+    }],
+    assessedAt: Date
+  },
+  review: {
+    decision: { type: String, enum: REVIEW_DECISIONS },
+    reviewedBy: actorSchema,
+    reason: String,
+    at: Date
+  },
+
+  transactionId: String,                // Transaction.metadata.transactionId once processed
+  error: String,
+  completedAt: Date,
+
+  // Audit trail of every action taken on the request
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+cashoutRequestSchema.index({ customerId: 1, status: 1, createdAt: -1 });
+cashoutRequestSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+cashoutRequestSchema.index({ status: 1, expiresAt: 1 });
+cashoutRequestSchema.index({ status: 1, 'risk.score': -1, updatedAt: 1 });   // review queue
+
+// Instance methods
+cashoutRequestSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  if (TERMINAL_STATUSES.includes(this.status)) this.completedAt = new Date();
+  return this;
+};
+
+// Expire pending requests past their expiresAt
+cashoutRequestSchema.statics.expireStale = async function(filter = {}) {
+  const now = new Date();
+  const result = await this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', completedAt: now },
+      $push: { history: { action: 'expire', status: 'expired', at: now, userId: 'system', note: 'Not confirmed by the customer before expiry' } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+const CashoutRequest = mongoose.model('CashoutRequest', cashoutRequestSchema);
+CashoutRequest.REQUEST_STATUSES = REQUEST_STATUSES;
+CashoutRequest.TERMINAL_STATUSES = TERMINAL_STATUSES;
+CashoutRequest.CONFIRMATION_METHODS = CONFIRMATION_METHODS;
+CashoutRequest.REVIEW_DECISIONS = REVIEW_DECISIONS;
+
+module.exports = CashoutRequest;
@@ -0,0 +1,124 @@
+// src/models/ComplianceIncident.js
+const mongoose = require('mongoose');
+
+// threshold   - a customer's cash out in one business day went over the reporting threshold
+// structuring - cash out kept just under it: several cashouts adding up close to the
+//               threshold in one day, or consecutive days that together exceed it
+const INCIDENT_KINDS = ['threshold', 'structuring'];
+
+// Filing status
+// open -> in_review -> filed | dismissed; dismissed incidents can be reopened
+const INCIDENT_STATUSES = ['open', 'in_review', 'filed', 'dismissed'];
+const STATUS_TRANSITIONS = {
+  open: ['in_review', 'filed', 'dismissed'],
+  in_review: ['open', 'filed', 'dismissed'],
+  filed: [],
+  dismissed: ['open']
+};
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+/**
+ * One reportable pattern of cash out for one customer, found by
+ * ComplianceReportService from completed (unreversed) cashout Transactions at
+ * every venue. Business days use the company-wide default (businessDay.settingsFor(null))
+ * so a customer's day is the same whichever venues they visit.
+ */
+const complianceIncidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: INCIDENT_KINDS,
+    required: true
+  },
+  reasons: [String],                    // structuring: near_threshold_day | multi_day
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  businessDay: {                        // 'YYYY-MM-DD'; for multi_day, the day the window closed on
+    type: String,
+    required: true
+  },
+  windowStart: String,                  // first business day counted
+  threshold: {
+    type: Number,
+    required: true
+  },
+  totalCash: {
+    type: Number,
+    required: true
+  },
+  cashoutCount: Number,
+  storeIds: [String],
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  firstAt: Date,
+  lastAt: Date,
+
+  status: {
+    type: String,
+    enum: INCIDENT_STATUSES,
+    default: 'open'
+  },
+  filing: {
+    dueBy: Date,
+    reference: String,                  // e.g. the BSA/CTR filing id
+    filedAt: Date,
+    filedBy: actorSchema
+  },
+  // Cashouts found after filing changed the totals
+  amendmentNeeded: {
+    type: Boolean,
+    default: false
+  },
+
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+complianceIncidentSchema.index({ userId: 1, kind: 1, businessDay: 1 }, { unique: true });
+complianceIncidentSchema.index({ status: 1, businessDay: -1 });
+complianceIncidentSchema.index({ storeIds: 1, businessDay: -1 });
+
+// Instance methods
+complianceIncidentSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  return this;
+};
+
+const ComplianceIncident = mongoose.model('ComplianceIncident', complianceIncidentSchema);
+ComplianceIncident.INCIDENT_KINDS = INCIDENT_KINDS;
+ComplianceIncident.INCIDENT_STATUSES = INCIDENT_STATUSES;
+ComplianceIncident.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = ComplianceIncident;
@@ -0,0 +1,64 @@
+// src/models/CredentialAccessLog.js
+const mongoose = require('mongoose');
+
+/**
+ * Append-only record of every use of a treasury secret: who decrypted, stored
+ * or re-encrypted which key, and why. Written by CredentialManager alongside its
+ * vault access.log so the history survives the host and can be queried by admins.
+ */
+const CREDENTIAL_ACTIONS = ['STORE', 'RETRIEVE', 'ROTATE', 'EMERGENCY_LOCKDOWN'];
+
+const credentialAccessLogSchema = new mongoose.Schema({
+  // Vault account type (e.g. jackpotReserve), treasuryWallet:<publicKey> or env:<NAME>
+  credential: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: CREDENTIAL_ACTIONS,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['SUCCESS', 'FAILED'],
+    required: true
+  },
+  reason: String,
+  error: String,
+  keyId: String,                        // master key fingerprint the secret is encrypted under
+
+  // Who asked; background jobs leave userId empty and name themselves in source
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String,
+    source: { type: String, default: 'system' }
+  },
+  host: String,
+  pid: Number,
+  at: { type: Date, default: Date.now }
+});
+
+credentialAccessLogSchema.index({ credential: 1, at: -1 });
+credentialAccessLogSchema.index({ 'actor.userId': 1, at: -1 });
+credentialAccessLogSchema.index({ at: -1 });
+
+// Append-only: refuse every update and delete path
+function appendOnly(next) {
+  next(new Error('Credential access logs are append-only'));
+}
+
+credentialAccessLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+credentialAccessLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  appendOnly
+);
+
+const CredentialAccessLog = mongoose.model('CredentialAccessLog', credentialAccessLogSchema);
+CredentialAccessLog.CREDENTIAL_ACTIONS = CREDENTIAL_ACTIONS;
+
+module.exports = CredentialAccessLog;
@@ -112,6 +112,18 @@ const dailyReportSchema = new mongoose.Schema({
     ref: 'Event',
     default: null
   },
+
+  // Rebuild history - earlier revisions live in DailyReportVersion
+  revision: {
+    type: Number,
+    default: 1
+  },
+  lastRebuildId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReportRebuild',
+    default: null
+  },
+  lastRebuiltAt: Date,
   
   // Timestamps
   createdAt: { 
@@ -0,0 +1,58 @@
+// src/models/DailyReportRebuild.js
+const mongoose = require('mongoose');
+
+// Audit record of one committed daily report rebuild
+const dailyReportRebuildSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  from: { type: String, required: true },   // YYYY-MM-DD, inclusive
+  to: { type: String, required: true },
+
+  planHash: {
+    type: String,
+    required: true
+  },
+  options: {
+    removeOrphans: { type: Boolean, default: false }
+  },
+
+  summary: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    orphaned: { type: Number, default: 0 },
+    eventsRelinked: { type: Number, default: 0 }
+  },
+  changes: [{
+    _id: false,
+    action: String,                 // create | update | remove
+    reportId: mongoose.Schema.Types.ObjectId,
+    printedAt: Date,
+    fields: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }]
+  }],
+  flaggedReconciliationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VenueReconciliation'
+  }],
+
+  requestedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String
+  },
+  reason: String,
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+dailyReportRebuildSchema.index({ storeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DailyReportRebuild', dailyReportRebuildSchema);
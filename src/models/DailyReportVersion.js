@@ -0,0 +1,44 @@
+// src/models/DailyReportVersion.js
+const mongoose = require('mongoose');
+
+// Frozen copy of a DailyReport as it was before a rebuild changed or removed it
+const dailyReportVersionSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReport',
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  snapshot: {
+    type: Object,
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['rebuild_update', 'rebuild_remove'],
+    required: true
+  },
+  rebuildId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReportRebuild',
+    required: true
+  },
+  supersededAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dailyReportVersionSchema.index({ reportId: 1, revision: -1 });
+dailyReportVersionSchema.index({ storeId: 1, supersededAt: -1 });
+
+module.exports = mongoose.model('DailyReportVersion', dailyReportVersionSchema);
@@ -39,6 +39,16 @@ const distributionSchema = new mongoose.Schema({
     ref: 'User'
   },
   staffEmail: String,
+  payoutId: {
+    type: String,  // Payout outbox record that sends it
+    index: true
+  },
+  scheduleId: {
+    type: String,  // DistributionSchedule that queued it, if any
+    index: true
+  },
+  scheduleRunKey: String,  // The schedule firing it belongs to
+  budgetReleased: Boolean,  // Failed scheduled payout given back to the schedule budget
   metadata: {
     type: Object,
     default: {}
@@ -55,5 +65,6 @@ const distributionSchema = new mongoose.Schema({
 distributionSchema.index({ venueId: 1, createdAt: -1 });
 distributionSchema.index({ recipient: 1, createdAt: -1 });
 distributionSchema.index({ status: 1, createdAt: -1 });
+distributionSchema.index({ scheduleId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Distribution', distributionSchema);
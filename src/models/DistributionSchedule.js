@@ -0,0 +1,202 @@
+// src/models/DistributionSchedule.js
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const businessDay = require('../utils/businessDay');
+
+// active <-> paused; completed once the budget, maxRuns or endsAt is used up
+const SCHEDULE_STATUSES = ['active', 'paused', 'completed', 'cancelled'];
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+const SCHEDULE_CATEGORIES = ['venue_payout', 'community_rewards', 'vesting', 'other'];
+const SOURCE_ACCOUNTS = ['miningRewards', 'founder', 'operations', 'community'];
+
+// fixed           - formula.amount to every recipient (a listed recipient's amount overrides)
+// split           - formula.amount per run, shared by recipient weight
+// balance_percent - formula.percent of the source account's balance, shared by weight
+const FORMULA_TYPES = ['fixed', 'split', 'balance_percent'];
+
+// list  - recipients.list, fixed wallets
+// query - recipients.query, resolved at every run (venue wallets or user wallets)
+const RECIPIENT_MODES = ['list', 'query'];
+const QUERY_SOURCES = ['venues', 'users'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+/**
+ * A recurring distribution from a treasury account. Each cron firing pays the
+ * resolved recipients through DistributionService, recording one Distribution
+ * per recipient with scheduleId / scheduleRunKey pointing back here.
+ *
+ * Vesting tranches are a split schedule whose budgetCap is the whole grant:
+ * it completes once the last tranche is paid.
+ */
+const distributionScheduleSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    enum: SCHEDULE_CATEGORIES,
+    default: 'other'
+  },
+
+  sourceAccount: {
+    type: String,
+    required: true,
+    enum: SOURCE_ACCOUNTS
+  },
+
+  cron: {
+    type: String,
+    required: true,
+    validate: { validator: value => cron.validate(value), message: 'Invalid cron expression: {VALUE}' }
+  },
+  timezone: {
+    type: String,
+    default: businessDay.DEFAULT_TIMEZONE,
+    validate: { validator: businessDay.isValidTimezone, message: 'Unknown IANA timezone: {VALUE}' }
+  },
+  startsAt: Date,
+  endsAt: Date,
+  maxRuns: {
+    type: Number,
+    min: 1
+  },
+
+  recipients: {
+    mode: {
+      type: String,
+      enum: RECIPIENT_MODES,
+      required: true
+    },
+    list: [{
+      _id: false,
+      recipient: { type: String, required: true },   // wallet address
+      venueId: String,
+      venueName: String,
+      weight: { type: Number, min: 0, default: 1 },
+      amount: { type: Number, min: 0 }               // fixed formula override
+    }],
+    query: {
+      source: { type: String, enum: QUERY_SOURCES },
+      storeIds: [String],
+      states: [String],
+      roles: [String]
+    }
+  },
+
+  formula: {
+    type: {
+      type: String,
+      enum: FORMULA_TYPES,
+      required: true
+    },
+    amount: { type: Number, min: 0 },
+    percent: { type: Number, min: 0, max: 100 },
+    maxPerRecipient: { type: Number, min: 0 }
+  },
+
+  // Total GAMBINO this schedule may ever send. budgetUsed counts queued and sent
+  // payouts; failed ones are given back.
+  budgetCap: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  budgetUsed: {
+    type: Number,
+    default: 0
+  },
+
+  // Accounts with requiresApproval: the approved 'schedule' TreasuryRequest whose
+  // amount covers budgetCap. Runs are refused without one.
+  treasuryRequest: {
+    requestId: String,
+    accountType: String,
+    amount: Number,
+    boundAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: SCHEDULE_STATUSES,
+    default: 'active'
+  },
+
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  lastRunKey: String,                   // cron firing (minute, ISO) last claimed; stops double runs
+  lastRunAt: Date,
+  lastRun: {
+    runKey: String,
+    at: Date,
+    recipients: Number,
+    amount: Number,
+    queued: Number,
+    failed: Number,
+    trimmedToBudget: Boolean,
+    error: String
+  },
+
+  createdBy: actorSchema,
+  completedAt: Date,
+
+  // Audit trail of every action taken on the schedule
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+distributionScheduleSchema.index({ status: 1, createdAt: -1 });
+distributionScheduleSchema.index({ sourceAccount: 1, status: 1 });
+
+distributionScheduleSchema.virtual('budgetRemaining').get(function() {
+  return Math.max(0, this.budgetCap - this.budgetUsed);
+});
+
+// Instance methods
+distributionScheduleSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  if (TERMINAL_STATUSES.includes(this.status)) this.completedAt = new Date();
+  return this;
+};
+
+const DistributionSchedule = mongoose.model('DistributionSchedule', distributionScheduleSchema);
+DistributionSchedule.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
+DistributionSchedule.TERMINAL_STATUSES = TERMINAL_STATUSES;
+DistributionSchedule.SCHEDULE_CATEGORIES = SCHEDULE_CATEGORIES;
+DistributionSchedule.SOURCE_ACCOUNTS = SOURCE_ACCOUNTS;
+DistributionSchedule.FORMULA_TYPES = FORMULA_TYPES;
+DistributionSchedule.QUERY_SOURCES = QUERY_SOURCES;
+
+module.exports = DistributionSchedule;
@@ -1,6 +1,7 @@
 
 // backend/src/models/EscrowBalance.js
 const mongoose = require('mongoose');
+const ledger = require('../services/LedgerService');
 
 const escrowBalanceSchema = new mongoose.Schema({
   // User reference
@@ -149,6 +150,29 @@ escrowBalanceSchema.virtual('availableBalance').get(function() {
   return this.escrowGG - this.pendingGG;
 });
 
+// escrowGG, pendingGG and playableCredits move only through the ledger, which
+// also updates these fields. postToLedger
+// posts the transfer and refreshes the in-memory copies without marking them
+// modified, so a later save() never writes a stale balance back.
+escrowBalanceSchema.methods.postToLedger = async function(transfer) {
+  if (!(transfer.amount > 0)) return null;
+
+  const posting = await ledger.transfer({ postedBy: { userId: this.userId, source: 'escrow' }, ...transfer });
+
+  const fields = {
+    escrowGG: ledger.accounts.escrow(this.userId),
+    pendingGG: ledger.accounts.escrowPending(this.userId),
+    playableCredits: ledger.accounts.credits(this.userId)
+  };
+  for (const [field, accountId] of Object.entries(fields)) {
+    if (posting.balances[accountId]) {
+      this.set(field, posting.balances[accountId].after);
+      this.unmarkModified(field);
+    }
+  }
+  return posting;
+};
+
 // Instance methods
 escrowBalanceSchema.methods.deposit = async function(amountUSD, amountGG) {
   // Check daily limit
@@ -158,8 +182,16 @@ escrowBalanceSchema.methods.deposit = async function(amountUSD, amountGG) {
     throw new Error('Daily deposit limit exceeded');
   }
   
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.external('deposits', 'GG'),
+    to: accounts.escrow(this.userId),
+    amount: amountGG,
+    kind: 'escrow_deposit',
+    memo: `Deposit of $${amountUSD}`
+  });
+
   this.deposited += amountUSD;
-  this.escrowGG += amountGG;
   this.depositedToday += amountUSD;
   this.netDeposit = this.deposited - this.withdrawn;
   this.lastDepositAt = new Date();
@@ -183,8 +215,16 @@ escrowBalanceSchema.methods.withdraw = async function(amountUSD, amountGG) {
     throw new Error('Insufficient balance');
   }
   
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.escrow(this.userId),
+    to: accounts.external('withdrawals', 'GG'),
+    amount: amountGG,
+    kind: 'escrow_withdrawal',
+    memo: `Withdrawal of $${amountUSD}`
+  });
+
   this.withdrawn += amountUSD;
-  this.escrowGG -= amountGG;
   this.withdrawnToday += amountUSD;
   this.netDeposit = this.deposited - this.withdrawn;
   this.lastWithdrawalAt = new Date();
@@ -195,8 +235,16 @@ escrowBalanceSchema.methods.withdraw = async function(amountUSD, amountGG) {
   return this.save();
 };
 
-escrowBalanceSchema.methods.addPendingReward = async function(amountGG) {
-  this.pendingGG += amountGG;
+escrowBalanceSchema.methods.addPendingReward = async function(amountGG, reference) {
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.treasury('community'),
+    to: accounts.escrowPending(this.userId),
+    amount: amountGG,
+    kind: 'mining_reward',
+    reference
+  });
+
   this.lastActivity = new Date();
   return this.save();
 };
@@ -206,8 +254,14 @@ escrowBalanceSchema.methods.settlePendingReward = async function(amountGG) {
     throw new Error('Insufficient pending balance');
   }
   
-  this.pendingGG -= amountGG;
-  this.escrowGG += amountGG;
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.escrowPending(this.userId),
+    to: accounts.escrow(this.userId),
+    amount: amountGG,
+    kind: 'mining_settlement'
+  });
+
   this.lastActivity = new Date();
   this.totalTransactions += 1;
   this.lastTransactionAt = new Date();
@@ -216,7 +270,14 @@ escrowBalanceSchema.methods.settlePendingReward = async function(amountGG) {
 };
 
 escrowBalanceSchema.methods.addCredits = async function(credits) {
-  this.playableCredits += credits;
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.external('credit_sales', 'CREDIT'),
+    to: accounts.credits(this.userId),
+    amount: credits,
+    kind: 'credit_purchase'
+  });
+
   this.lastActivity = new Date();
   return this.save();
 };
@@ -226,7 +287,14 @@ escrowBalanceSchema.methods.useCredits = async function(credits) {
     throw new Error('Insufficient credits');
   }
   
-  this.playableCredits -= credits;
+  const { accounts } = ledger;
+  await this.postToLedger({
+    from: accounts.credits(this.userId),
+    to: accounts.external('credit_usage', 'CREDIT'),
+    amount: credits,
+    kind: 'credit_usage'
+  });
+
   this.lastActivity = new Date();
   return this.save();
 };
@@ -149,18 +149,17 @@ eventSchema.statics.findByStore = function(storeId, startDate, endDate, eventTyp
 };
 
 // FIXED: Use Math.max for cumulative events, not +=
+// date is the store's business day ('YYYY-MM-DD' or a date within it)
 eventSchema.statics.getDailySummary = async function(storeId, date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+  const businessDay = require('../utils/businessDay');
+  const settings = await businessDay.forStore(storeId);
+  const { start, end } = businessDay.businessDayRange(businessDay.toDayKey(date, settings), settings);
   
   const events = await this.find({
     storeId,
     timestamp: {
-      $gte: startOfDay,
-      $lte: endOfDay
+      $gte: start,
+      $lt: end
     },
     eventType: { $in: ['money_in', 'money_out', 'collect', 'voucher', 'voucher_print'] }
   }).lean();
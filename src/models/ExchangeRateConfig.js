@@ -44,7 +44,15 @@ const exchangeRateConfigSchema = new mongoose.Schema({
     max: 100
   },
 
-  // Status and versioning
+  // Status and versioning. Versions form a timeline: each one runs from
+  // effectiveFrom until the next active version's effectiveFrom (effectiveTo),
+  // so a future effectiveFrom schedules a change. Rows are never edited once
+  // effective; isActive false marks a cancelled (or legacy retired) version.
+  version: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -61,6 +69,13 @@ const exchangeRateConfigSchema = new mongoose.Schema({
     default: null
   },
 
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: String,
+
   // Notes and audit
   notes: {
     type: String,
@@ -99,21 +114,25 @@ exchangeRateConfigSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get current active config
-exchangeRateConfigSchema.statics.getCurrentConfig = async function() {
-  const now = new Date();
-
+// Static method to get the config in effect at a point in time
+exchangeRateConfigSchema.statics.getConfigAt = async function(at = new Date()) {
   return this.findOne({
     isActive: true,
-    effectiveFrom: { $lte: now },
+    effectiveFrom: { $lte: at },
     $or: [
       { effectiveTo: null },
-      { effectiveTo: { $gte: now } }
+      { effectiveTo: { $gt: at } }
     ]
-  }).sort({ effectiveFrom: -1 }).lean();
+  }).sort({ effectiveFrom: -1, version: -1 }).lean();
+};
+
+// Static method to get current active config
+exchangeRateConfigSchema.statics.getCurrentConfig = async function() {
+  return this.getConfigAt(new Date());
 };
 
-// Static method to create new config (deactivates old ones)
+// Static method to create new config (deactivates old ones, including scheduled
+// ones). ExchangeRateService.schedule keeps the timeline and history instead.
 exchangeRateConfigSchema.statics.createNewConfig = async function(configData, userId) {
   // Deactivate all current active configs
   await this.updateMany(
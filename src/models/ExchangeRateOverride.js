@@ -0,0 +1,86 @@
+// src/models/ExchangeRateOverride.js
+const mongoose = require('mongoose');
+
+// Fields a venue may override; tokensPerDollar is always global
+const OVERRIDE_FIELDS = [
+  'minCashout',
+  'maxCashoutPerTransaction',
+  'dailyLimitPerCustomer',
+  'dailyLimitPerStaff',
+  'venueCommissionPercent'
+];
+
+/**
+ * Venue-level cashout limits and commission layered over the global
+ * ExchangeRateConfig. A field left null inherits the global value in effect at
+ * the time, so a later global change still reaches the venue. Versioned and
+ * scheduled like ExchangeRateConfig: each version runs from effectiveFrom until
+ * the venue's next active version (effectiveTo).
+ */
+const exchangeRateOverrideSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  minCashout: { type: Number, min: 0, default: null },
+  maxCashoutPerTransaction: { type: Number, min: 1, default: null },
+  dailyLimitPerCustomer: { type: Number, min: 1, default: null },
+  dailyLimitPerStaff: { type: Number, min: 1, default: null },
+  venueCommissionPercent: { type: Number, min: 0, max: 100, default: null },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: String
+}, {
+  timestamps: true
+});
+
+exchangeRateOverrideSchema.index({ storeId: 1, isActive: 1, effectiveFrom: -1 });
+
+// Override in effect for a venue at a point in time
+exchangeRateOverrideSchema.statics.getOverrideAt = async function(storeId, at = new Date()) {
+  return this.findOne({
+    storeId,
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gt: at } }
+    ]
+  }).sort({ effectiveFrom: -1, version: -1 }).lean();
+};
+
+const ExchangeRateOverride = mongoose.model('ExchangeRateOverride', exchangeRateOverrideSchema);
+ExchangeRateOverride.OVERRIDE_FIELDS = OVERRIDE_FIELDS;
+
+module.exports = ExchangeRateOverride;
@@ -0,0 +1,183 @@
+// src/models/GovernanceProposal.js
+const mongoose = require('mongoose');
+
+// parameter_change - changes[] to protocol parameters (RARITY_CONFIG), applied on execution
+// treasury_grant   - grant{}; execution files a TreasuryApprovalService transfer request
+// new_venue        - venue{}; execution records the mandate for operations to onboard it
+// general          - signalling only
+const PROPOSAL_TYPES = ['parameter_change', 'treasury_grant', 'new_venue', 'general'];
+
+// pending -> active (snapshot taken at startsAt) -> passed | rejected | failed_quorum
+// passed -> executing -> executed | execution_failed (an admin may retry);
+// pending/active -> cancelled
+const PROPOSAL_STATUSES = [
+  'pending', 'active', 'passed', 'rejected', 'failed_quorum',
+  'executing', 'executed', 'execution_failed', 'cancelled'
+];
+const OPEN_STATUSES = ['pending', 'active'];
+const TERMINAL_STATUSES = ['rejected', 'failed_quorum', 'executed', 'cancelled'];
+
+const VOTE_CHOICES = ['yes', 'no', 'abstain'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+const tallySchema = new mongoose.Schema({
+  yes: { type: Number, default: 0 },
+  no: { type: Number, default: 0 },
+  abstain: { type: Number, default: 0 },
+  voters: { type: Number, default: 0 },
+  participationPercent: { type: Number, default: 0 },   // of snapshot.totalWeight
+  approvalPercent: { type: Number, default: 0 }         // yes of yes + no
+}, { _id: false });
+
+/**
+ * A governance proposal. Voting power is frozen per user in GovernanceSnapshot
+ * when the proposal opens, so locking GG or collecting luck hits mid-vote
+ * changes nothing. Quorum is participation (yes + no + abstain) as a percent of
+ * the snapshot's total weight; a proposal passes when yes exceeds
+ * thresholdPercent of yes + no.
+ */
+const governanceProposalSchema = new mongoose.Schema({
+  proposalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 10000
+  },
+  type: {
+    type: String,
+    enum: PROPOSAL_TYPES,
+    required: true
+  },
+
+  // parameter_change
+  changes: [{
+    _id: false,
+    parameter: { type: String, required: true },   // e.g. RARITY_CONFIG.EPIC.odds
+    value: { type: Number, required: true },
+    previous: Number                               // in force when the proposal was filed
+  }],
+
+  // treasury_grant
+  grant: {
+    accountType: String,
+    amount: Number,
+    toAddress: String,
+    recipientName: String
+  },
+
+  // new_venue
+  venue: {
+    name: String,
+    city: String,
+    state: String,
+    operator: String,
+    note: String
+  },
+
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  quorumPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  thresholdPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+
+  status: {
+    type: String,
+    enum: PROPOSAL_STATUSES,
+    default: 'pending'
+  },
+
+  snapshot: {
+    takenAt: Date,
+    totalWeight: Number,
+    holders: Number                                // users with voting power > 0
+  },
+  tally: tallySchema,
+  decidedAt: Date,
+
+  execution: {
+    startedAt: Date,
+    executedAt: Date,
+    executedBy: actorSchema,
+    applied: [{
+      _id: false,
+      parameter: String,
+      previous: Number,
+      value: Number
+    }],
+    treasuryRequestId: String,
+    error: String
+  },
+
+  proposer: actorSchema,
+  proposerPower: Number,                           // governance power when filed
+
+  // Audit trail of every action taken on the proposal
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+governanceProposalSchema.index({ status: 1, startsAt: 1 });
+governanceProposalSchema.index({ status: 1, endsAt: 1 });
+governanceProposalSchema.index({ 'proposer.userId': 1, createdAt: -1 });
+governanceProposalSchema.index({ type: 1, status: 1, 'execution.executedAt': 1 });
+
+// Instance methods
+governanceProposalSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  return this;
+};
+
+const GovernanceProposal = mongoose.model('GovernanceProposal', governanceProposalSchema);
+GovernanceProposal.PROPOSAL_TYPES = PROPOSAL_TYPES;
+GovernanceProposal.PROPOSAL_STATUSES = PROPOSAL_STATUSES;
+GovernanceProposal.OPEN_STATUSES = OPEN_STATUSES;
+GovernanceProposal.TERMINAL_STATUSES = TERMINAL_STATUSES;
+GovernanceProposal.VOTE_CHOICES = VOTE_CHOICES;
+
+module.exports = GovernanceProposal;
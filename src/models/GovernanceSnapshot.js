@@ -0,0 +1,40 @@
+// src/models/GovernanceSnapshot.js
+const mongoose = require('mongoose');
+
+/**
+ * One user's voting power on one proposal, frozen when the proposal opened:
+ * gluckScore (governance points from luck hits) plus lock weight converted to
+ * points. Written in bulk by GovernanceService.takeSnapshot and never updated.
+ */
+const governanceSnapshotSchema = new mongoose.Schema({
+  proposalId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gluckScore: {
+    type: Number,
+    default: 0
+  },
+  lockWeight: {
+    type: Number,
+    default: 0
+  },
+  weight: {
+    type: Number,
+    required: true
+  },
+  takenAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Also the $merge key for takeSnapshot
+governanceSnapshotSchema.index({ proposalId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('GovernanceSnapshot', governanceSnapshotSchema);
@@ -0,0 +1,45 @@
+// src/models/GovernanceVote.js
+const mongoose = require('mongoose');
+const { VOTE_CHOICES } = require('./GovernanceProposal');
+
+/**
+ * A ballot. weight is copied from the voter's GovernanceSnapshot; a voter may
+ * change their choice until the proposal closes, which overwrites this document.
+ */
+const governanceVoteSchema = new mongoose.Schema({
+  proposalId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: String,
+  choice: {
+    type: String,
+    enum: VOTE_CHOICES,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    maxlength: 1000
+  },
+  changes: {
+    type: Number,
+    default: 0                          // times the choice was changed
+  }
+}, {
+  timestamps: true
+});
+
+governanceVoteSchema.index({ proposalId: 1, userId: 1 }, { unique: true });
+governanceVoteSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GovernanceVote', governanceVoteSchema);
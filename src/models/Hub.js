@@ -59,6 +59,7 @@ const hubSchema = new mongoose.Schema({
   serialConfig: {
     port: { type: String, default: '/dev/ttyUSB0' },
     baudRate: { type: Number, default: 9600 },
+    parserVariant: { type: String, default: 'default' },
     muthaGooseVersion: String
   },
   
@@ -72,8 +73,17 @@ const hubSchema = new mongoose.Schema({
     reportingInterval: { type: Number, default: 30 },  // seconds
     syncInterval: { type: Number, default: 30 },       // seconds
     debugMode: { type: Boolean, default: false },
-    autoRestart: { type: Boolean, default: true }
+    autoRestart: { type: Boolean, default: true },
+    logRetentionDays: { type: Number, default: 14, min: 1, max: 365 }  // HubLog TTL
   },
+
+  // Remote config (see HubConfigService). config/serialConfig above hold the
+  // effective values; configOverrides only the ones set on this hub.
+  configOverrides: { type: Object, default: {} },
+  configRevision: { type: Number, default: 0 },
+  configHash: String,                 // hash of the effective config the hub should run
+  reportedConfigHash: String,         // last hash the hub sent in a heartbeat
+  configReportedAt: Date,
   
   // Statistics
   stats: {
@@ -219,8 +229,8 @@ hubSchema.pre('save', function(next) {
 // TOKEN MANAGEMENT METHODS (Auto-Renewal System)
 // ============================================================================
 
-// Generate new access + refresh tokens
-hubSchema.methods.generateTokens = function() {
+// Generate new access + refresh tokens (signed for tokenVersion, by default the current one)
+hubSchema.methods.generateTokens = function(tokenVersion = this.tokenVersion) {
   const jwt = require('jsonwebtoken');
   const crypto = require('crypto');
   
@@ -230,7 +240,7 @@ hubSchema.methods.generateTokens = function() {
       hubId: this.hubId,
       storeId: this.storeId,
       type: 'hub',
-      tokenVersion: this.tokenVersion,
+      tokenVersion,
       iat: Math.floor(Date.now() / 1000)
     },
     process.env.MACHINE_JWT_SECRET || process.env.JWT_SECRET,
@@ -245,7 +255,7 @@ hubSchema.methods.generateTokens = function() {
   this.lastTokenRefresh = new Date();
   this.tokenRefreshCount += 1;
   
-  console.log(`🔑 Generated tokens for hub ${this.hubId} (version ${this.tokenVersion})`);
+  console.log(`🔑 Generated tokens for hub ${this.hubId} (version ${tokenVersion})`);
   
   return {
     accessToken: this.accessToken,
@@ -0,0 +1,57 @@
+// src/models/HubAlert.js
+const mongoose = require('mongoose');
+
+const hubAlertSchema = new mongoose.Schema({
+  hubId: {
+    type: String,
+    required: true
+  },
+  storeId: {
+    type: String,
+    index: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HubAlertRule'
+  },
+  ruleType: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    default: 'warning'
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  message: String,
+  value: Number,
+  threshold: Number,
+
+  triggeredAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  resolvedAt: Date,
+
+  acknowledgedAt: Date,
+  acknowledgedBy: String,
+
+  notificationCount: { type: Number, default: 0 },
+  lastNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// One open alert per hub and rule type
+hubAlertSchema.index(
+  { hubId: 1, ruleType: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+hubAlertSchema.index({ status: 1, triggeredAt: -1 });
+hubAlertSchema.index({ hubId: 1, triggeredAt: -1 });
+
+module.exports = mongoose.model('HubAlert', hubAlertSchema);
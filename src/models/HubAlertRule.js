@@ -0,0 +1,83 @@
+// src/models/HubAlertRule.js
+const mongoose = require('mongoose');
+
+const RULE_TYPES = ['offline', 'serial_disconnected', 'cpu_temp', 'disk_usage', 'events_queued_growing'];
+
+// Seeded when no rules exist yet
+const DEFAULT_RULES = [
+  { ruleType: 'offline', threshold: 10, description: 'No heartbeat for 10 minutes' },
+  { ruleType: 'serial_disconnected', threshold: 0, description: 'Serial link to Mutha Goose is down' },
+  { ruleType: 'cpu_temp', threshold: 75, description: 'CPU temperature above 75°C' },
+  { ruleType: 'disk_usage', threshold: 90, description: 'Disk usage above 90%' },
+  { ruleType: 'events_queued_growing', threshold: 100, windowMinutes: 15, description: 'Offline queue grew by 100+ events in 15 minutes' }
+];
+
+/**
+ * Health alert rule. The most specific enabled rule of each type applies
+ * to a hub: hubId match, then storeId match, then global (both null).
+ */
+const hubAlertRuleSchema = new mongoose.Schema({
+  ruleType: {
+    type: String,
+    required: true,
+    enum: RULE_TYPES
+  },
+
+  // Scope
+  storeId: { type: String, default: null },
+  hubId: { type: String, default: null },
+
+  // offline: minutes; cpu_temp: °C; disk_usage: %; events_queued_growing: events
+  threshold: { type: Number, required: true },
+  windowMinutes: { type: Number, default: 15 },
+
+  enabled: { type: Boolean, default: true },
+  description: String,
+
+  // Notifications
+  recipients: [{ type: String, lowercase: true, trim: true }],
+  renotifyMinutes: { type: Number, default: 60 },
+
+  createdBy: String,
+  lastModifiedBy: String
+}, {
+  timestamps: true
+});
+
+hubAlertRuleSchema.index({ ruleType: 1, hubId: 1, storeId: 1 });
+
+// Static methods
+
+// Most specific enabled rule of each type for this hub
+hubAlertRuleSchema.statics.resolveForHub = async function(hub) {
+  const rules = await this.find({
+    enabled: true,
+    $or: [
+      { hubId: hub.hubId },
+      { hubId: null, storeId: hub.storeId },
+      { hubId: null, storeId: null }
+    ]
+  }).lean();
+
+  const rank = (rule) => (rule.hubId ? 2 : rule.storeId ? 1 : 0);
+  const byType = {};
+  rules.forEach(rule => {
+    if (!byType[rule.ruleType] || rank(rule) > rank(byType[rule.ruleType])) {
+      byType[rule.ruleType] = rule;
+    }
+  });
+  return byType;
+};
+
+hubAlertRuleSchema.statics.ensureDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count > 0) return 0;
+  await this.insertMany(DEFAULT_RULES.map(rule => ({ ...rule, createdBy: 'system' })));
+  console.log(`🚨 Seeded ${DEFAULT_RULES.length} default hub alert rules`);
+  return DEFAULT_RULES.length;
+};
+
+const HubAlertRule = mongoose.model('HubAlertRule', hubAlertRuleSchema);
+HubAlertRule.RULE_TYPES = RULE_TYPES;
+
+module.exports = HubAlertRule;
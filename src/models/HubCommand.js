@@ -0,0 +1,137 @@
+// src/models/HubCommand.js
+const mongoose = require('mongoose');
+
+const COMMAND_TYPES = [
+  'restart_service',
+  'reboot',
+  'rotate_token',
+  'resync_mappings',
+  'upload_logs',
+  'set_debug_mode'
+];
+
+// queued -> delivered -> acked -> succeeded | failed
+// Anything not finished by expiresAt becomes expired; queued commands can be cancelled.
+const COMMAND_STATUSES = ['queued', 'delivered', 'acked', 'succeeded', 'failed', 'expired', 'cancelled'];
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'expired', 'cancelled'];
+
+const hubCommandSchema = new mongoose.Schema({
+  commandId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hubId: {
+    type: String,
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  commandType: {
+    type: String,
+    required: true,
+    enum: COMMAND_TYPES
+  },
+  params: {
+    type: Object,
+    default: {}
+  },
+  // rotate_token: the replacement tokens, generated on first delivery and handed
+  // out unchanged on redelivery. Applied to the hub when it reports success;
+  // cleared once the command finishes.
+  credentials: {
+    type: Object,
+    select: false
+  },
+
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'queued'
+  },
+
+  // Who issued it
+  issuedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String
+  },
+  reason: String,
+
+  // Lifecycle timestamps
+  deliveredAt: Date,
+  deliveryCount: { type: Number, default: 0 },
+  ackedAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Reported by the hub
+  result: {
+    type: Object,
+    default: null
+  },
+  error: String,
+
+  // Audit trail of every status change
+  history: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    by: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+hubCommandSchema.index({ hubId: 1, status: 1, createdAt: 1 });
+hubCommandSchema.index({ hubId: 1, createdAt: -1 });
+hubCommandSchema.index({ status: 1, expiresAt: 1 });
+
+hubCommandSchema.virtual('isTerminal').get(function() {
+  return TERMINAL_STATUSES.includes(this.status);
+});
+
+// Instance methods
+hubCommandSchema.methods.transition = function(status, by, note) {
+  this.status = status;
+  this.history.push({ status, at: new Date(), by, note });
+
+  if (status === 'delivered') {
+    this.deliveredAt = new Date();
+    this.deliveryCount += 1;
+  }
+  if (status === 'acked') this.ackedAt = new Date();
+  if (TERMINAL_STATUSES.includes(status)) {
+    this.completedAt = new Date();
+    this.credentials = undefined;
+  }
+
+  return this;
+};
+
+// Static methods
+hubCommandSchema.statics.expireStale = async function(filter = {}) {
+  const now = new Date();
+  const result = await this.updateMany(
+    { ...filter, status: { $in: ['queued', 'delivered', 'acked'] }, expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', completedAt: now },
+      $unset: { credentials: 1 },
+      $push: { history: { status: 'expired', at: now, by: 'system', note: 'Command expired before completion' } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+const HubCommand = mongoose.model('HubCommand', hubCommandSchema);
+HubCommand.COMMAND_TYPES = COMMAND_TYPES;
+HubCommand.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = HubCommand;
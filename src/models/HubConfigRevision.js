@@ -0,0 +1,55 @@
+// src/models/HubConfigRevision.js
+const mongoose = require('mongoose');
+
+/**
+ * One saved edit of hub configuration.
+ * scope 'store' holds the defaults for every hub at the store,
+ * scope 'hub' holds the overrides for a single hub.
+ * `settings` is the full override set after the edit, so any revision can be restored as-is.
+ */
+const hubConfigRevisionSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['hub', 'store'],
+    required: true
+  },
+  scopeId: {
+    type: String,                // hubId or storeId
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  settings: {
+    type: Object,
+    default: {}
+  },
+  // Override-level diff against the previous revision (null = inherited)
+  changes: [{
+    _id: false,
+    key: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+
+  author: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String
+  },
+  note: String,
+  rolledBackTo: Number,          // set when this revision restores an older one
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+hubConfigRevisionSchema.index({ scope: 1, scopeId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('HubConfigRevision', hubConfigRevisionSchema);
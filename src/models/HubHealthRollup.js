@@ -0,0 +1,107 @@
+// src/models/HubHealthRollup.js
+const mongoose = require('mongoose');
+
+const BUCKET_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = 90;
+
+// Running aggregate for one metric inside a bucket
+const metricSchema = new mongoose.Schema({
+  sum: { type: Number, default: 0 },
+  count: { type: Number, default: 0 },
+  min: Number,
+  max: Number
+}, { _id: false });
+
+/**
+ * 5-minute heartbeat rollups, written incrementally on every heartbeat.
+ * Kept for 90 days.
+ */
+const hubHealthRollupSchema = new mongoose.Schema({
+  hubId: {
+    type: String,
+    required: true
+  },
+  storeId: String,
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+
+  samples: { type: Number, default: 0 },
+  serialDownSamples: { type: Number, default: 0 },
+
+  cpuUsage: metricSchema,
+  memoryUsage: metricSchema,
+  diskUsage: metricSchema,
+  cpuTemp: metricSchema,
+  eventsQueued: metricSchema,
+  lastEventsQueued: Number,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+hubHealthRollupSchema.index({ hubId: 1, bucketStart: 1 }, { unique: true });
+hubHealthRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+hubHealthRollupSchema.statics.bucketFor = function(timestamp) {
+  return new Date(Math.floor(new Date(timestamp).getTime() / BUCKET_MS) * BUCKET_MS);
+};
+
+hubHealthRollupSchema.statics.addSample = function(hubId, storeId, sample) {
+  const bucketStart = this.bucketFor(sample.timestamp);
+  const update = {
+    $setOnInsert: {
+      storeId,
+      expiresAt: new Date(bucketStart.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    },
+    $inc: { samples: 1 },
+    $min: {},
+    $max: {},
+    $set: {}
+  };
+
+  for (const field of ['cpuUsage', 'memoryUsage', 'diskUsage', 'cpuTemp', 'eventsQueued']) {
+    const value = sample[field];
+    if (typeof value !== 'number' || isNaN(value)) continue;
+    update.$inc[`${field}.sum`] = value;
+    update.$inc[`${field}.count`] = 1;
+    update.$min[`${field}.min`] = value;
+    update.$max[`${field}.max`] = value;
+  }
+
+  if (sample.serialConnected === false) update.$inc.serialDownSamples = 1;
+  if (typeof sample.eventsQueued === 'number') update.$set.lastEventsQueued = sample.eventsQueued;
+
+  for (const op of ['$min', '$max', '$set']) {
+    if (Object.keys(update[op]).length === 0) delete update[op];
+  }
+
+  return this.updateOne({ hubId, bucketStart }, update, { upsert: true });
+};
+
+// Flatten a rollup into averages for API responses
+hubHealthRollupSchema.statics.toPoint = function(rollup) {
+  const avg = (m) => (m && m.count ? m.sum / m.count : null);
+  return {
+    timestamp: rollup.bucketStart,
+    samples: rollup.samples,
+    cpuUsage: avg(rollup.cpuUsage),
+    cpuUsageMax: rollup.cpuUsage?.max ?? null,
+    memoryUsage: avg(rollup.memoryUsage),
+    diskUsage: avg(rollup.diskUsage),
+    cpuTemp: avg(rollup.cpuTemp),
+    cpuTempMax: rollup.cpuTemp?.max ?? null,
+    eventsQueued: rollup.lastEventsQueued ?? null,
+    eventsQueuedMax: rollup.eventsQueued?.max ?? null,
+    serialConnected: rollup.serialDownSamples === 0,
+    serialDownSamples: rollup.serialDownSamples
+  };
+};
+
+module.exports = mongoose.model('HubHealthRollup', hubHealthRollupSchema);
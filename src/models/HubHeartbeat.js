@@ -0,0 +1,40 @@
+// src/models/HubHeartbeat.js
+const mongoose = require('mongoose');
+
+/**
+ * Raw heartbeat samples (MongoDB time-series collection).
+ * Kept for 48 hours; HubHealthRollup holds the 5-minute history beyond that.
+ */
+const hubHeartbeatSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    hubId: { type: String, required: true },
+    storeId: String
+  },
+
+  cpuUsage: Number,
+  memoryUsage: Number,
+  diskUsage: Number,
+  cpuTemp: Number,
+  serialConnected: Boolean,
+  eventsQueued: Number,
+  eventsProcessed: Number,
+  machineCount: Number,
+  uptime: Number,
+  piAppVersion: String
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: 48 * 60 * 60,
+  versionKey: false
+});
+
+hubHeartbeatSchema.index({ 'meta.hubId': 1, timestamp: -1 });
+
+module.exports = mongoose.model('HubHeartbeat', hubHeartbeatSchema);
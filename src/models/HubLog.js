@@ -0,0 +1,131 @@
+// src/models/HubLog.js
+const mongoose = require('mongoose');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Map the level names the Pi's loggers emit onto ours
+const LEVEL_ALIASES = {
+  fatal: 'error',
+  critical: 'error',
+  err: 'error',
+  warning: 'warn',
+  notice: 'info',
+  verbose: 'debug',
+  trace: 'debug',
+  silly: 'debug'
+};
+
+const DEFAULT_RETENTION_DAYS = 14;
+
+const hubLogSchema = new mongoose.Schema({
+  hubId: {
+    type: String,
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // When the line was logged on the Pi
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  level: {
+    type: String,
+    enum: LOG_LEVELS,
+    default: 'info'
+  },
+  source: {
+    type: String,
+    default: 'app',
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  context: {
+    type: Object,
+    default: null
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // TTL - set from the hub's config.logRetentionDays at ingest
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes for efficient queries
+hubLogSchema.index({ hubId: 1, timestamp: -1, _id: -1 });
+hubLogSchema.index({ hubId: 1, level: 1, timestamp: -1 });
+hubLogSchema.index({ hubId: 1, source: 1, timestamp: -1 });
+hubLogSchema.index({ message: 'text' });
+hubLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+// Turn one raw line/object from the Pi into a HubLog document
+hubLogSchema.statics.normalizeEntry = function(entry, hub, receivedAt = new Date()) {
+  const raw = typeof entry === 'string' ? { message: entry } : (entry || {});
+  if (!raw.message) return null;
+
+  let level = String(raw.level || 'info').toLowerCase();
+  level = LEVEL_ALIASES[level] || level;
+  if (!LOG_LEVELS.includes(level)) level = 'info';
+
+  let timestamp = raw.timestamp ? new Date(raw.timestamp) : receivedAt;
+  if (isNaN(timestamp.getTime())) timestamp = receivedAt;
+
+  const retentionDays = hub.config?.logRetentionDays || DEFAULT_RETENTION_DAYS;
+
+  return {
+    hubId: hub.hubId,
+    storeId: hub.storeId,
+    timestamp,
+    level,
+    source: raw.source ? String(raw.source).slice(0, 64) : 'app',
+    message: String(raw.message).slice(0, 8192),
+    context: raw.context && typeof raw.context === 'object' ? raw.context : null,
+    receivedAt,
+    expiresAt: new Date(timestamp.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Re-apply a hub's retention window to logs already stored
+hubLogSchema.statics.applyRetention = async function(hubId, retentionDays) {
+  const result = await this.updateMany(
+    { hubId },
+    [{ $set: { expiresAt: { $add: ['$timestamp', retentionDays * 24 * 60 * 60 * 1000] } } }]
+  );
+  return result.modifiedCount;
+};
+
+// Opaque cursor over (timestamp, _id), newest first
+hubLogSchema.statics.encodeCursor = function(log) {
+  return Buffer.from(`${new Date(log.timestamp).toISOString()}|${log._id}`).toString('base64url');
+};
+
+hubLogSchema.statics.decodeCursor = function(cursor) {
+  try {
+    const [iso, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+    const timestamp = new Date(iso);
+    if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { timestamp, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const HubLog = mongoose.model('HubLog', hubLogSchema);
+HubLog.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = HubLog;
@@ -0,0 +1,161 @@
+// src/models/IngestJob.js
+const mongoose = require('mongoose');
+
+/**
+ * Persisted work item for edge event post-processing.
+ * Replaces the setTimeout-deferred processing in /api/edge/events so a
+ * restart between ingest and processing no longer loses the report.
+ */
+const ingestJobSchema = new mongoose.Schema({
+  // What the worker should do with the event
+  jobType: {
+    type: String,
+    required: true,
+    enum: ['daily_summary', 'books_cleared', 'books_clearing']
+  },
+
+  // Source event
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  hubMachineId: String,
+  gamingMachineId: String,
+
+  // Everything the processor needs (event timestamp, eventRecord, etc.)
+  payload: {
+    type: Object,
+    default: {}
+  },
+
+  // Lifecycle: pending -> processing -> completed | pending (retry) | dead
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  runAt: { type: Date, default: Date.now },
+
+  // Worker lease
+  lockedBy: { type: String, default: null },
+  lockedAt: { type: Date, default: null },
+
+  lastError: { type: String, default: null },
+  errorHistory: [{
+    attempt: Number,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+
+  completedAt: { type: Date, default: null },
+  deadLetteredAt: { type: Date, default: null },
+
+  // Manual replay audit
+  replayCount: { type: Number, default: 0 },
+  lastReplayedAt: { type: Date, default: null },
+  lastReplayedBy: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+ingestJobSchema.index({ status: 1, runAt: 1 });
+ingestJobSchema.index({ status: 1, lockedAt: 1 });
+ingestJobSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+
+// Completed jobs are only useful for a short while
+ingestJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'completed' } }
+);
+
+// Static methods
+
+// Atomically lease the next due job for a worker
+ingestJobSchema.statics.claimNext = function(workerId) {
+  return this.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: new Date() } },
+    {
+      $set: { status: 'processing', lockedBy: workerId, lockedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Put jobs whose worker died mid-processing back on the queue. A lost lease
+// counts as a failed attempt, so jobs out of attempts are dead-lettered as in
+// markFailed rather than retried forever.
+ingestJobSchema.statics.releaseStale = async function(staleMs) {
+  const now = new Date();
+  const stale = { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - staleMs) } };
+  const error = 'Worker lease expired before the job finished';
+
+  const dead = await this.updateMany(
+    { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    [{
+      $set: {
+        status: 'dead',
+        deadLetteredAt: now,
+        lockedBy: null,
+        lockedAt: null,
+        lastError: error,
+        errorHistory: { $concatArrays: [{ $ifNull: ['$errorHistory', []] }, [{ attempt: '$attempts', error, at: now }]] }
+      }
+    }]
+  );
+  const released = await this.updateMany(
+    { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'pending', lockedBy: null, lockedAt: null, runAt: now } }
+  );
+  return { released: released.modifiedCount, dead: dead.modifiedCount };
+};
+
+// Instance methods
+ingestJobSchema.methods.markCompleted = function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.lockedBy = null;
+  this.lockedAt = null;
+  this.lastError = null;
+  return this.save();
+};
+
+ingestJobSchema.methods.markFailed = function(error, backoffMs) {
+  const message = error?.message || String(error);
+  this.lastError = message;
+  this.errorHistory.push({ attempt: this.attempts, error: message });
+  this.lockedBy = null;
+  this.lockedAt = null;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+    this.deadLetteredAt = new Date();
+  } else {
+    this.status = 'pending';
+    this.runAt = new Date(Date.now() + backoffMs);
+  }
+  return this.save();
+};
+
+ingestJobSchema.methods.requeue = function(replayedBy) {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.runAt = new Date();
+  this.deadLetteredAt = null;
+  this.replayCount += 1;
+  this.lastReplayedAt = new Date();
+  this.lastReplayedBy = replayedBy || null;
+  return this.save();
+};
+
+module.exports = mongoose.model('IngestJob', ingestJobSchema);
@@ -0,0 +1,100 @@
+// src/models/JournalEntry.js
+const mongoose = require('mongoose');
+
+/**
+ * A balanced posting to the internal ledger: the debits and credits across its
+ * lines are equal. Journal entries are append-only; a mistaken entry is undone
+ * by posting its reversal.
+ */
+const ENTRY_KINDS = [
+  'opening_balance',
+  'entropy_spin',
+  'luck_emission',
+  'work_reward',
+  'token_purchase',
+  'skin_purchase',
+  'cashout',
+  'cashout_reversal',
+  'escrow_deposit',
+  'escrow_withdrawal',
+  'mining_reward',
+  'mining_settlement',
+  'credit_purchase',
+  'credit_bonus',
+  'credit_usage',
+  'credit_expiry',
+  'store_wallet',
+  'reconciliation',
+  'lock_create',
+  'vesting_grant',
+  'lock_release',
+  'lock_early_unlock',
+  'reversal'
+];
+
+const journalLineSchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  balanceAfter: Number
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  idempotencyKey: String,
+  kind: {
+    type: String,
+    enum: ENTRY_KINDS,
+    required: true
+  },
+  asset: {
+    type: String,
+    required: true
+  },
+  amount: { type: Number, required: true },   // total debits (= total credits)
+  lines: {
+    type: [journalLineSchema],
+    validate: [lines => lines.length >= 2, 'A journal entry needs at least two lines']
+  },
+
+  memo: String,
+  reference: {
+    type: { type: String },     // e.g. transaction, luck_event, mining_session
+    id: String
+  },
+  postedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    source: String
+  },
+  reversalOf: String,
+  postedAt: { type: Date, default: Date.now }
+});
+
+journalEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+journalEntrySchema.index({ 'lines.accountId': 1, postedAt: 1 });
+journalEntrySchema.index({ kind: 1, postedAt: -1 });
+journalEntrySchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+// Append-only: refuse every update and delete path
+function appendOnly(next) {
+  next(new Error('Journal entries are append-only'));
+}
+
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  appendOnly
+);
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+JournalEntry.ENTRY_KINDS = ENTRY_KINDS;
+
+module.exports = JournalEntry;
@@ -0,0 +1,56 @@
+// src/models/LedgerAccount.js
+const mongoose = require('mongoose');
+
+/**
+ * One account in the internal double-entry ledger. Every account holds a single
+ * asset; credits add to its balance and debits take from it. `balance` is a cache
+ * of the account's journal lines and can always be rebuilt from JournalEntry.
+ *
+ * accountId is "<type>:<key>", e.g. user:<userId>, locked:<userId>, venue:<storeId>,
+ * treasury:jackpot, store_wallet:<storeId>:<userId>, external:cash:USD.
+ */
+const ACCOUNT_TYPES = ['user', 'locked', 'escrow', 'escrow_pending', 'credits', 'store_wallet', 'venue', 'treasury', 'external'];
+const ASSETS = ['GG', 'CREDIT', 'USD'];
+
+const ledgerAccountSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ACCOUNT_TYPES,
+    required: true
+  },
+  asset: {
+    type: String,
+    enum: ASSETS,
+    required: true
+  },
+
+  // Owner references, depending on type
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  storeId: String,
+  name: String,        // treasury pool or external counterparty name
+
+  // User-held accounts may never go below zero; treasury, venue and external
+  // accounts show net flows and may
+  allowNegative: { type: Boolean, default: false },
+
+  balance: { type: Number, default: 0 },
+  openingBalance: { type: Number, default: 0 },   // carried in from the pre-ledger field
+  lastEntryAt: Date
+}, {
+  timestamps: true
+});
+
+ledgerAccountSchema.index({ type: 1, asset: 1 });
+ledgerAccountSchema.index({ userId: 1 });
+ledgerAccountSchema.index({ storeId: 1, type: 1 });
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+LedgerAccount.ACCOUNT_TYPES = ACCOUNT_TYPES;
+LedgerAccount.ASSETS = ASSETS;
+
+module.exports = LedgerAccount;
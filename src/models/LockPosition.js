@@ -0,0 +1,125 @@
+// src/models/LockPosition.js
+const mongoose = require('mongoose');
+
+// lock          - a user locks their own GG (governance weight)
+// team_grant    - vesting grant to a team member, funded from a treasury pool
+// venue_grant   - vesting grant to a venue partner, funded from a treasury pool
+const POSITION_KINDS = ['lock', 'team_grant', 'venue_grant'];
+
+// active -> released (everything claimed) | unlocked_early (remainder taken with penalty)
+const POSITION_STATUSES = ['active', 'released', 'unlocked_early'];
+
+// forbidden - no early unlock
+// flat      - penaltyPercent of the unvested amount
+// declining - penaltyPercent at startAt, falling linearly to 0 at endAt
+const PENALTY_MODES = ['forbidden', 'flat', 'declining'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+/**
+ * GG held in a user's locked ledger account (User.lockedBalance). Nothing is
+ * claimable before cliffAt; from there the amount vests linearly from startAt
+ * to endAt. A plain lock that releases all at once has cliffAt = endAt.
+ *
+ * Every movement is a journal entry (lock_create, vesting_grant, lock_release,
+ * lock_early_unlock) referencing this position; `events` lists them.
+ */
+const lockPositionSchema = new mongoose.Schema({
+  positionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: POSITION_KINDS,
+    required: true
+  },
+  storeId: String,                      // venue_grant: the partner venue
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  released: {
+    type: Number,
+    default: 0                          // claimed, or taken out early (before penalty)
+  },
+  penaltyPaid: {
+    type: Number,
+    default: 0
+  },
+
+  startAt: {
+    type: Date,
+    required: true
+  },
+  cliffAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    required: true
+  },
+
+  earlyUnlock: {
+    mode: {
+      type: String,
+      enum: PENALTY_MODES,
+      default: 'forbidden'
+    },
+    penaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  },
+
+  fundingAccount: String,               // ledger account the GG came from
+  penaltyAccount: String,               // ledger account early-unlock penalties go to
+
+  status: {
+    type: String,
+    enum: POSITION_STATUSES,
+    default: 'active'
+  },
+  note: String,
+  createdBy: actorSchema,
+  closedAt: Date,
+
+  events: [{
+    _id: false,
+    action: String,                     // create | claim | unlock_early
+    amount: Number,
+    penalty: Number,
+    entryId: String,                    // JournalEntry
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String
+  }]
+}, {
+  timestamps: true
+});
+
+lockPositionSchema.index({ userId: 1, status: 1, createdAt: -1 });
+lockPositionSchema.index({ kind: 1, status: 1, createdAt: -1 });
+lockPositionSchema.index({ storeId: 1, createdAt: -1 }, { sparse: true });
+
+const LockPosition = mongoose.model('LockPosition', lockPositionSchema);
+LockPosition.POSITION_KINDS = POSITION_KINDS;
+LockPosition.POSITION_STATUSES = POSITION_STATUSES;
+LockPosition.PENALTY_MODES = PENALTY_MODES;
+
+module.exports = LockPosition;
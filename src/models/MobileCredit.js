@@ -1,5 +1,7 @@
 // backend/src/models/MobileCredit.js
 const mongoose = require('mongoose');
+const EscrowBalance = require('./EscrowBalance');
+const ledger = require('../services/LedgerService');
 
 const mobileCreditSchema = new mongoose.Schema({
   // User reference
@@ -101,42 +103,58 @@ mobileCreditSchema.index({ userId: 1, createdAt: -1 });
 mobileCreditSchema.index({ type: 1, status: 1 });
 mobileCreditSchema.index({ expiresAt: 1 });
 
-// Static methods
-mobileCreditSchema.statics.getUserBalance = async function(userId) {
-  const credits = await this.find({
+// Credit balances live in the ledger (credits:<userId>, cached on
+// EscrowBalance.playableCredits); these rows are each user's credit history.
+
+const INBOUND_TYPES = ['purchase', 'bonus', 'reward', 'refund'];
+
+// Post one credit movement to the ledger and record it as a history row
+async function recordMovement(Model, userId, { type, amount, counterparty, kind, ...fields }) {
+  await EscrowBalance.getOrCreate(userId);
+
+  const credits = ledger.accounts.credits(userId);
+  const counter = ledger.accounts.external(counterparty, 'CREDIT');
+  const inbound = INBOUND_TYPES.includes(type);
+
+  const credit = new Model({
     userId,
+    type,
+    amount: inbound ? amount : -amount,
     status: 'completed',
-    type: { $in: ['purchase', 'bonus', 'reward', 'refund'] }
+    ...fields
   });
-  
-  const used = await this.find({
-    userId,
-    status: 'completed',
-    type: 'used'
+
+  const posting = await ledger.transfer({
+    from: inbound ? counter : credits,
+    to: inbound ? credits : counter,
+    amount,
+    kind,
+    memo: fields.description,
+    reference: { type: 'mobile_credit', id: credit.transactionId },
+    idempotencyKey: `mobile_credit:${credit.transactionId}`,
+    postedBy: { userId, source: 'mobile_credit' }
   });
-  
-  const totalEarned = credits.reduce((sum, c) => sum + c.amount, 0);
-  const totalUsed = used.reduce((sum, c) => sum + Math.abs(c.amount), 0);
-  
-  return totalEarned - totalUsed;
+
+  credit.balanceBefore = posting.balances[credits].before;
+  credit.balanceAfter = posting.balances[credits].after;
+  return credit.save();
+}
+
+// Static methods
+mobileCreditSchema.statics.getUserBalance = async function(userId) {
+  return ledger.balanceOf(ledger.accounts.credits(userId));
 };
 
 mobileCreditSchema.statics.recordPurchase = async function(userId, amount, costUSD, costGG) {
-  const currentBalance = await this.getUserBalance(userId);
-  
-  const credit = new this({
-    userId,
+  return recordMovement(this, userId, {
     type: 'purchase',
     amount,
+    counterparty: 'credit_sales',
+    kind: 'credit_purchase',
     costUSD,
     costGG,
-    balanceBefore: currentBalance,
-    balanceAfter: currentBalance + amount,
-    source: 'direct_purchase',
-    status: 'completed'
+    source: 'direct_purchase'
   });
-  
-  return credit.save();
 };
 
 mobileCreditSchema.statics.recordUsage = async function(userId, amount, miningSessionId) {
@@ -146,34 +164,24 @@ mobileCreditSchema.statics.recordUsage = async function(userId, amount, miningSe
     throw new Error('Insufficient credits');
   }
   
-  const credit = new this({
-    userId,
+  return recordMovement(this, userId, {
     type: 'used',
-    amount: -amount, // Negative for usage
-    balanceBefore: currentBalance,
-    balanceAfter: currentBalance - amount,
-    miningSessionId,
-    status: 'completed'
+    amount,
+    counterparty: 'credit_usage',
+    kind: 'credit_usage',
+    miningSessionId
   });
-  
-  return credit.save();
 };
 
 mobileCreditSchema.statics.grantBonus = async function(userId, amount, source, description) {
-  const currentBalance = await this.getUserBalance(userId);
-  
-  const credit = new this({
-    userId,
+  return recordMovement(this, userId, {
     type: 'bonus',
     amount,
-    balanceBefore: currentBalance,
-    balanceAfter: currentBalance + amount,
+    counterparty: 'credit_promotions',
+    kind: 'credit_bonus',
     source,
-    description,
-    status: 'completed'
+    description
   });
-  
-  return credit.save();
 };
 
 mobileCreditSchema.statics.getUserHistory = async function(userId, limit = 50) {
@@ -185,23 +193,40 @@ mobileCreditSchema.statics.getUserHistory = async function(userId, limit = 50) {
 
 mobileCreditSchema.statics.expireOldCredits = async function() {
   const now = new Date();
-  
-  const result = await this.updateMany(
-    {
-      expiresAt: { $lte: now },
-      expired: false,
-      status: 'completed',
-      type: { $in: ['purchase', 'bonus', 'reward'] }
-    },
-    {
-      $set: { expired: true, type: 'expired' }
+  let modifiedCount = 0;
+
+  const expiring = await this.find({
+    expiresAt: { $lte: now },
+    expired: false,
+    status: 'completed',
+    type: { $in: ['purchase', 'bonus', 'reward'] }
+  });
+
+  for (const credit of expiring) {
+    // Only what is still unspent can expire
+    const credits = ledger.accounts.credits(credit.userId);
+    const amount = Math.min(credit.amount, await ledger.balanceOf(credits));
+    if (amount > 0) {
+      await ledger.transfer({
+        from: credits,
+        to: ledger.accounts.external('credit_expiry', 'CREDIT'),
+        amount,
+        kind: 'credit_expiry',
+        reference: { type: 'mobile_credit', id: credit.transactionId },
+        idempotencyKey: `credit_expiry:${credit.transactionId}`,
+        postedBy: { source: 'mobile_credit' }
+      });
     }
-  );
+
+    credit.expired = true;
+    credit.type = 'expired';
+    await credit.save();
+    modifiedCount++;
+  }
   
-  return result;
+  return { modifiedCount };
 };
 
-
 mobileCreditSchema.statics.getOrCreate = async function(userId) {
   const balance = await this.getUserBalance(userId);
   
@@ -0,0 +1,105 @@
+// src/models/Payout.js
+const mongoose = require('mongoose');
+
+/**
+ * Outbox record for one on-chain SPL token payout.
+ * Written before anything is signed, so a crash at any point leaves a record the
+ * payout worker can resume from instead of paying twice or losing the payout.
+ *
+ * intent -> submitted -> confirmed -> finalized
+ *                     -> failed (on-chain error, or every attempt expired unseen)
+ */
+const PAYOUT_STATUSES = ['intent', 'submitted', 'confirmed', 'finalized', 'failed'];
+const SETTLED_STATUSES = ['confirmed', 'finalized'];
+
+const attemptSchema = new mongoose.Schema({
+  signature: { type: String, required: true },
+  blockhash: String,
+  lastValidBlockHeight: Number,
+  rawTransaction: String,              // base64, rebroadcast as-is while the blockhash is live
+  submittedAt: { type: Date, default: Date.now },
+  sendError: String
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema({
+  payoutId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Callers derive this from what is being paid (e.g. signup_bonus_<userId>);
+  // enqueueing the same key again returns the existing payout
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    required: true                     // distribution, signup_bonus, referral, reward, ...
+  },
+
+  // What to send
+  mint: { type: String, required: true },
+  recipient: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  decimals: Number,                    // looked up from the mint on first submit if unset
+  amountRaw: String,
+
+  // Which keys sign; only references are stored, never key material.
+  // vault: CredentialManager account types. env: names of env vars holding secret keys.
+  signer: {
+    kind: { type: String, enum: ['vault', 'env'], required: true },
+    owner: { type: String, required: true },
+    payer: String                      // defaults to the owner
+  },
+
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'intent'
+  },
+  attempts: [attemptSchema],
+  maxAttempts: { type: Number, default: 5 },
+  signature: String,                   // the attempt that landed
+  lastError: String,
+
+  // Worker lease
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  nextCheckAt: { type: Date, default: Date.now },
+
+  submittedAt: Date,
+  confirmedAt: Date,
+  finalizedAt: Date,
+  failedAt: Date,
+  rearmedAt: Date,                     // attempts before this belong to an earlier round
+  rearmCount: { type: Number, default: 0 },
+
+  metadata: {
+    type: Object,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ status: 1, nextCheckAt: 1 });
+payoutSchema.index({ source: 1, createdAt: -1 });
+payoutSchema.index({ recipient: 1, createdAt: -1 });
+payoutSchema.index({ 'attempts.signature': 1 });
+
+payoutSchema.virtual('isSettled').get(function() {
+  return SETTLED_STATUSES.includes(this.status);
+});
+
+payoutSchema.virtual('currentAttempt').get(function() {
+  return this.attempts.length ? this.attempts[this.attempts.length - 1] : null;
+});
+
+const Payout = mongoose.model('Payout', payoutSchema);
+Payout.PAYOUT_STATUSES = PAYOUT_STATUSES;
+Payout.SETTLED_STATUSES = SETTLED_STATUSES;
+Payout.OPEN_STATUSES = ['intent', 'submitted', 'confirmed'];
+
+module.exports = Payout;
@@ -0,0 +1,40 @@
+// src/models/PiRelease.js
+const mongoose = require('mongoose');
+
+// A published build of the gambino-pi app
+const piReleaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  checksum: {
+    type: String,            // sha256 of the artifact, hex
+    required: true,
+    lowercase: true,
+    match: /^[a-f0-9]{64}$/
+  },
+  artifactUrl: String,
+  releaseNotes: String,
+  minOsVersion: String,
+
+  status: {
+    type: String,
+    enum: ['draft', 'available', 'deprecated', 'yanked'],
+    default: 'available'
+  },
+
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+piReleaseSchema.index({ status: 1, createdAt: -1 });
+
+piReleaseSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('PiRelease', piReleaseSchema);
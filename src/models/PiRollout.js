@@ -0,0 +1,80 @@
+// src/models/PiRollout.js
+const mongoose = require('mongoose');
+
+/**
+ * Staged rollout of a PiRelease across the fleet.
+ * Only one rollout may be active or paused at a time.
+ *
+ * active    - canaries + bucketed percentage of each store's hubs target `version`
+ * paused    - no new hubs join; hubs already on `version` stay there
+ * halted    - everyone targets `baselineVersion` again
+ * completed - `version` becomes the fleet's stable version
+ */
+const piRolloutSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true
+  },
+  baselineVersion: String,
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'halted', 'completed'],
+    default: 'active'
+  },
+
+  canaryHubIds: [String],
+  defaultPercent: { type: Number, default: 0, min: 0, max: 100 },
+  storePercents: [{
+    _id: false,
+    storeId: String,
+    percent: { type: Number, min: 0, max: 100 }
+  }],
+
+  // Automatic halt when hubs on the new version start failing
+  haltPolicy: {
+    enabled: { type: Boolean, default: true },
+    maxFailureRate: { type: Number, default: 0.25 },       // fraction of hubs on new version
+    minHubs: { type: Number, default: 2 },                  // don't judge on fewer hubs
+    heartbeatGraceMinutes: { type: Number, default: 10 }
+  },
+  haltedAt: Date,
+  haltReason: String,
+  completedAt: Date,
+
+  history: [{
+    action: String,
+    at: { type: Date, default: Date.now },
+    by: String,
+    note: String
+  }],
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+piRolloutSchema.index({ status: 1, createdAt: -1 });
+
+// Instance methods
+piRolloutSchema.methods.percentForStore = function(storeId) {
+  const override = this.storePercents.find(s => s.storeId === storeId);
+  return override ? override.percent : this.defaultPercent;
+};
+
+piRolloutSchema.methods.record = function(action, by, note) {
+  this.history.push({ action, at: new Date(), by, note });
+  return this;
+};
+
+// Static methods
+piRolloutSchema.statics.findCurrent = function() {
+  return this.findOne({ status: { $in: ['active', 'paused', 'halted'] } }).sort({ createdAt: -1 });
+};
+
+piRolloutSchema.statics.findStableVersion = async function() {
+  const last = await this.findOne({ status: 'completed' }).sort({ completedAt: -1 }).lean();
+  return last ? last.version : null;
+};
+
+module.exports = mongoose.model('PiRollout', piRolloutSchema);
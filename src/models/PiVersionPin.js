@@ -0,0 +1,20 @@
+// src/models/PiVersionPin.js
+const mongoose = require('mongoose');
+
+// Holds every hub at a store on one Pi app version, overriding rollouts
+const piVersionPinSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  pinnedBy: String,
+  pinnedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PiVersionPin', piVersionPinSchema);
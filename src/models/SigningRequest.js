@@ -0,0 +1,97 @@
+// src/models/SigningRequest.js
+const mongoose = require('mongoose');
+
+// awaiting_signature -> submitted -> confirmed | failed
+// An awaiting request can be cancelled, or expire once its TTL passes.
+const SIGNING_STATUSES = ['awaiting_signature', 'submitted', 'confirmed', 'failed', 'cancelled', 'expired'];
+const OPEN_STATUSES = ['awaiting_signature', 'submitted'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String,
+  source: String
+}, { _id: false });
+
+/**
+ * A treasury transaction exported for offline (air-gapped) signing. The unsigned
+ * transaction uses a durable nonce so it stays valid until the signed copy is
+ * imported; the import must carry exactly the exported message.
+ */
+const signingRequestSchema = new mongoose.Schema({
+  signingRequestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  accountType: {
+    type: String,
+    required: true
+  },
+  signerPublicKey: {
+    type: String,
+    required: true
+  },
+  securityLevel: String,
+  reason: {
+    type: String,
+    required: true
+  },
+
+  // What completes when this lands, e.g. { type: 'treasury_ledger', id: entryId }
+  reference: {
+    type: { type: String },
+    id: String
+  },
+  treasuryRequestId: String,            // TreasuryRequest being executed, if any
+  requestedBy: actorSchema,
+
+  // Base64: the message to sign and the whole unsigned transaction
+  message: {
+    type: String,
+    required: true
+  },
+  unsignedTransaction: {
+    type: String,
+    required: true
+  },
+  nonceAccount: {
+    type: String,
+    required: true
+  },
+  nonce: String,
+  // Set while open: one exported transaction per nonce, since only one can land
+  openNonce: String,
+
+  status: {
+    type: String,
+    enum: SIGNING_STATUSES,
+    default: 'awaiting_signature'
+  },
+  signedTransaction: String,
+  signature: String,
+  error: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  importedBy: actorSchema,
+  importedAt: Date,
+  cancelledBy: actorSchema,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+signingRequestSchema.index({ status: 1, createdAt: -1 });
+signingRequestSchema.index({ status: 1, expiresAt: 1 });
+signingRequestSchema.index({ openNonce: 1 }, { unique: true, sparse: true });
+signingRequestSchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+const SigningRequest = mongoose.model('SigningRequest', signingRequestSchema);
+SigningRequest.SIGNING_STATUSES = SIGNING_STATUSES;
+SigningRequest.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = SigningRequest;
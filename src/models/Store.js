@@ -1,5 +1,6 @@
 // src/models/Store.js
 const mongoose = require('mongoose');
+const businessDay = require('../utils/businessDay');
 
 const StoreSchema = new mongoose.Schema({
   storeId: { type: String, unique: true, sparse: true },
@@ -15,6 +16,19 @@ const StoreSchema = new mongoose.Schema({
   walletAddress: { type: String, sparse: true },
   machineCount: { type: Number, default: 8 },
   status: { type: String, enum: ['active','inactive','suspended'], default: 'active' },
+  // Business day: local cutover (HH:MM) in the venue's IANA timezone
+  timezone: {
+    type: String,
+    default: businessDay.DEFAULT_TIMEZONE,
+    validate: { validator: businessDay.isValidTimezone, message: 'Unknown IANA timezone: {VALUE}' }
+  },
+  businessDayCutover: {
+    type: String,
+    default: businessDay.DEFAULT_CUTOVER,
+    validate: { validator: businessDay.isValidCutover, message: 'Cutover must be HH:MM (24h)' }
+  },
+  hubConfigDefaults: { type: Object, default: {} },   // cascades to every hub at the store
+  hubConfigRevision: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, { collection: 'stores' });
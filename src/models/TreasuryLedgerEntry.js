@@ -0,0 +1,90 @@
+// src/models/TreasuryLedgerEntry.js
+const mongoose = require('mongoose');
+
+const ENTRY_KINDS = ['transfer', 'burn', 'jackpot_release'];
+
+// reserved -> settled | failed
+// A movement is reserved against the account limits before it is sent on-chain,
+// so reserved and settled entries both count toward the limits.
+const ENTRY_STATUSES = ['reserved', 'settled', 'failed'];
+const COUNTED_STATUSES = ['reserved', 'settled'];
+
+const treasuryLedgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  accountType: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ENTRY_KINDS
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  recipient: String,                    // destination wallet; empty for burns
+  purpose: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ENTRY_STATUSES,
+    default: 'reserved'
+  },
+  signature: String,
+  error: String,
+
+  // The broadcast transaction, recorded before it is sent. While the entry is
+  // reserved the signature may still land; it is settled or released only once
+  // its status has been looked up.
+  submission: {
+    blockhash: String,
+    lastValidBlockHeight: Number,
+    submittedAt: Date
+  },
+
+  // Who asked for the movement; system jobs leave userId empty
+  initiatedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String,
+    source: { type: String, default: 'system' }
+  },
+  requestId: String,                    // TreasuryRequest that approved it, if any
+  payoutKey: String,                    // Payout outbox idempotency key, for movements it sends
+
+  jackpot: {
+    jackpotType: String,
+    machineId: String,
+    gameSession: String
+  },
+
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+treasuryLedgerEntrySchema.index({ accountType: 1, status: 1, createdAt: -1 });
+treasuryLedgerEntrySchema.index({ accountType: 1, recipient: 1, createdAt: -1 });
+treasuryLedgerEntrySchema.index({ kind: 1, createdAt: -1 });
+treasuryLedgerEntrySchema.index({ requestId: 1 }, { sparse: true });
+treasuryLedgerEntrySchema.index({ payoutKey: 1, status: 1 }, { sparse: true });
+treasuryLedgerEntrySchema.index({ signature: 1 }, { sparse: true });
+treasuryLedgerEntrySchema.index({ status: 1, 'submission.submittedAt': 1 });
+treasuryLedgerEntrySchema.index({ status: 1, createdAt: 1 });
+
+const TreasuryLedgerEntry = mongoose.model('TreasuryLedgerEntry', treasuryLedgerEntrySchema);
+TreasuryLedgerEntry.ENTRY_KINDS = ENTRY_KINDS;
+TreasuryLedgerEntry.COUNTED_STATUSES = COUNTED_STATUSES;
+
+module.exports = TreasuryLedgerEntry;
@@ -0,0 +1,20 @@
+// src/models/TreasuryLimitLock.js
+const mongoose = require('mongoose');
+
+// One document per treasury account. Every limit check writes to it inside its
+// transaction, so concurrent reservations on the same account conflict and retry
+// instead of both passing the check.
+const treasuryLimitLockSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reservations: {
+    type: Number,
+    default: 0
+  },
+  lastReservedAt: Date
+});
+
+module.exports = mongoose.model('TreasuryLimitLock', treasuryLimitLockSchema);
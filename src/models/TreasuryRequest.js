@@ -0,0 +1,143 @@
+// src/models/TreasuryRequest.js
+const mongoose = require('mongoose');
+
+// schedule approves a distribution schedule's whole budgetCap from the account;
+// it is not executed but bound to the schedule (approved -> executed)
+const REQUEST_TYPES = ['transfer', 'burn', 'schedule'];
+
+// pending -> approved -> executing -> executed | failed
+// A pending request can be rejected, cancelled by its requester, or expire.
+// Accounts that sign offline stay executing until the signed copy is imported.
+const REQUEST_STATUSES = ['pending', 'approved', 'executing', 'executed', 'failed', 'rejected', 'cancelled', 'expired'];
+const TERMINAL_STATUSES = ['executed', 'failed', 'rejected', 'cancelled', 'expired'];
+
+const actorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  role: String
+}, { _id: false });
+
+const treasuryRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: REQUEST_TYPES
+  },
+  accountType: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  toAddress: String,                    // transfer only
+  scheduleId: String,                   // schedule only: the DistributionSchedule it was bound to
+  reason: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+
+  // Policy captured when the request was filed
+  requiredApprovals: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  eligibleApprovers: [String],          // user ids / emails designated for the account
+
+  requestedBy: actorSchema,
+  approvals: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+    role: String,
+    note: String,
+    at: { type: Date, default: Date.now }
+  }],
+  rejectedBy: actorSchema,
+  rejectionReason: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set once the treasury operation has run
+  execution: {
+    signature: String,
+    executedAt: Date,
+    error: String,
+    securityLevel: String,
+    signingRequestId: String            // Offline signing request, if the account signs offline
+  },
+  completedAt: Date,
+
+  // Audit trail of every action taken on the request
+  history: [{
+    _id: false,
+    action: String,
+    status: String,
+    at: { type: Date, default: Date.now },
+    userId: String,
+    email: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+treasuryRequestSchema.index({ status: 1, createdAt: -1 });
+treasuryRequestSchema.index({ accountType: 1, createdAt: -1 });
+treasuryRequestSchema.index({ status: 1, expiresAt: 1 });
+
+treasuryRequestSchema.virtual('isTerminal').get(function() {
+  return TERMINAL_STATUSES.includes(this.status);
+});
+
+// Instance methods
+treasuryRequestSchema.methods.record = function(action, status, user, note) {
+  if (status) this.status = status;
+  this.history.push({
+    action,
+    status: this.status,
+    at: new Date(),
+    userId: user?.userId ? String(user.userId) : 'system',
+    email: user?.email,
+    note
+  });
+  if (TERMINAL_STATUSES.includes(this.status)) this.completedAt = new Date();
+  return this;
+};
+
+// Static methods
+treasuryRequestSchema.statics.expireStale = async function(filter = {}) {
+  const now = new Date();
+  const result = await this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', completedAt: now },
+      $push: { history: { action: 'expire', status: 'expired', at: now, userId: 'system', note: 'Not enough approvals before expiry' } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+const TreasuryRequest = mongoose.model('TreasuryRequest', treasuryRequestSchema);
+TreasuryRequest.REQUEST_TYPES = REQUEST_TYPES;
+TreasuryRequest.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = TreasuryRequest;
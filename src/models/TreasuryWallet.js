@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// AES-256-GCM envelope from CredentialManager.encryptWalletKey, bound to the wallet's publicKey
+const keyEnvelopeSchema = new mongoose.Schema({
+  encrypted: String,
+  iv: String,
+  authTag: String,
+  algorithm: String,
+  accountType: String,
+  keyId: String,                        // master key fingerprint
+  encryptedAt: String
+}, { _id: false });
+
 const treasuryWalletSchema = new mongoose.Schema({
   label: {
     type: String,
@@ -18,9 +29,15 @@ const treasuryWalletSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  encryptedKey: {
+    type: keyEnvelopeSchema,
+    select: false
+  },
+  keyRotatedAt: Date,
+  // Legacy createCipher ciphertext; cleared by scripts/reseal-treasury-wallet-keys.js
   privateKeyEncrypted: {
     type: String,
-    required: true
+    select: false
   },
   balances: {
     SOL: { type: Number, default: null },
@@ -110,6 +110,12 @@ const venueReconciliationSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set when a daily report rebuild changed the Pi figures this reconciliation relied on
+  reportRebuildId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReportRebuild',
+    default: null
+  },
   
   // Additional Data
   notes: {
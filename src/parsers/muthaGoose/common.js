@@ -0,0 +1,92 @@
+// src/parsers/muthaGoose/common.js
+// Shared helpers for Mutha Goose ticket formats
+
+// Confidence levels used by the formats
+const CONFIDENCE = {
+  EXACT: 1,        // labelled value in the expected place and shape
+  LOOSE: 0.8,      // labelled value, but shape is off (no $, no cents, odd spacing)
+  INFERRED: 0.5,   // derived from other fields or positional guess
+  CONFLICT: 0.3    // printed value disagrees with other fields on the ticket
+};
+
+function field(value, confidence, raw) {
+  return { value, confidence, raw: raw === undefined ? null : raw };
+}
+
+// "$1,250.00" -> 1250, "99" -> 99; returns null if not a number
+function parseAmount(text) {
+  if (text === undefined || text === null) return null;
+  const cleaned = String(text).replace(/[$,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return Math.round(parseFloat(cleaned) * 100) / 100;
+}
+
+function parseCount(text) {
+  if (text === undefined || text === null) return null;
+  const cleaned = String(text).replace(/[,\s]/g, '');
+  return /^\d+$/.test(cleaned) ? parseInt(cleaned, 10) : null;
+}
+
+// Money printed as "$1,250.00" is exact; bare "1250" is accepted but less certain
+function amountConfidence(raw) {
+  return /^\$?\s*\d{1,3}(,\d{3})*\.\d{2}$|^\$\s*\d+(\.\d{2})?$/.test(raw.trim())
+    ? CONFIDENCE.EXACT
+    : CONFIDENCE.LOOSE;
+}
+
+// Machine numbers are stored as machine_XX everywhere else (digits kept as printed)
+function machineIdFromNumber(number) {
+  return `machine_${String(number).padStart(2, '0')}`;
+}
+
+// First labelled amount on the ticket: label followed by a money value
+function matchAmount(text, labelPattern) {
+  const regex = new RegExp(`(?:^|\\n|[\\s,;-])(?:${labelPattern})\\s*[:=]?\\s*(\\$?\\s*-?\\d[\\d,]*(?<!,)(?:\\.\\d+)?)`, 'i');
+  const match = text.match(regex);
+  if (!match) return null;
+  const value = parseAmount(match[1]);
+  if (value === null) return null;
+  return field(value, amountConfidence(match[1]), match[0].trim());
+}
+
+function matchMachine(text) {
+  const match = text.match(/MACHINE\s*(?:#|NO\.?)?\s*(\d{1,3})\b/i);
+  if (!match) return null;
+  return field(machineIdFromNumber(match[1]), CONFIDENCE.EXACT, match[0].trim());
+}
+
+// MM/DD/YYYY with optional HH:MM[:SS]; printer clock is local time, kept as printed
+function matchDate(text) {
+  const match = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const [, mm, dd, yy, hh = '00', mi = '00', ss = '00'] = match;
+  const year = yy.length === 2 ? `20${yy}` : yy;
+  const iso = `${year}-${mm.padStart(2, '0')}-${dd.padStart(2, '0')}T${hh.padStart(2, '0')}:${mi}:${ss}`;
+  const confidence = match[4] ? CONFIDENCE.EXACT : CONFIDENCE.LOOSE;
+  return field(iso, confidence, match[0]);
+}
+
+// Lower confidence on money fields when IN - OUT doesn't match the printed NET
+function checkNet(fields, warnings, inKey = 'moneyIn', outKey = 'moneyOut') {
+  const { net } = fields;
+  if (!net || !fields[inKey] || !fields[outKey]) return;
+
+  const expected = Math.round((fields[inKey].value - fields[outKey].value) * 100) / 100;
+  if (Math.abs(expected - net.value) > 0.009) {
+    [inKey, outKey, 'net'].forEach(key => { fields[key].confidence = CONFIDENCE.CONFLICT; });
+    warnings.push(`Printed NET ${net.value} does not equal IN - OUT (${expected})`);
+  }
+}
+
+module.exports = {
+  CONFIDENCE,
+  field,
+  parseAmount,
+  parseCount,
+  amountConfidence,
+  machineIdFromNumber,
+  matchAmount,
+  matchMachine,
+  matchDate,
+  checkNet
+};
@@ -0,0 +1,60 @@
+// src/parsers/muthaGoose/formats/legacy.js
+// Single-line summaries sent by older gambino-pi builds:
+//
+//   Daily Summary - Machine 29 - $99 in
+//   MACHINE 29 In: $99 Out: $40
+//   Grand Total - In: $5000, Out: $1200
+const { CONFIDENCE, field, parseAmount, matchAmount, matchMachine, checkNet } = require('../common');
+
+// "$99 in" / "$40 out" (amount before the label). The amount must stand on its own,
+// so "Machine 29 In: $99" never reads the machine number as an amount.
+function matchTrailingAmount(text, label) {
+  const match = text.match(new RegExp(`(?<![\\w$.,])(?<!MACHINE\\s*(?:#|NO\\.?)?\\s*)(\\$?[\\d,]+(?:\\.\\d+)?)\\s+${label}\\b(?!\\s*:)`, 'i'));
+  if (!match) return null;
+  const value = parseAmount(match[1]);
+  return value === null ? null : field(value, CONFIDENCE.LOOSE, match[0].trim());
+}
+
+function isGrandTotal(text) {
+  return /GRAND\s+TOTAL/i.test(text) || (/\bIn:/i.test(text) && /\bOut:/i.test(text) && !/MACHINE/i.test(text));
+}
+
+module.exports = {
+  id: 'mg-legacy',
+  description: 'Single-line summaries sent by older gambino-pi builds',
+
+  detect(text) {
+    if (text.includes('\n')) return 0;
+    if (isGrandTotal(text)) return 0.8;
+    if (/DAILY\s+SUMMARY/i.test(text) && /MACHINE/i.test(text)) return 0.8;
+    if (/\bIn:/i.test(text) && /\bOut:/i.test(text)) return 0.7;
+    return 0;
+  },
+
+  parse(text) {
+    const warnings = [];
+
+    if (isGrandTotal(text)) {
+      const fields = {};
+      const moneyIn = matchAmount(text, 'In');
+      const moneyOut = matchAmount(text, 'Out');
+      const net = matchAmount(text, 'Net');
+      if (moneyIn) fields.moneyIn = moneyIn;
+      if (moneyOut) fields.moneyOut = moneyOut;
+      if (net) fields.net = net;
+      checkNet(fields, warnings);
+      return { ticketType: 'grand_total', fields, warnings };
+    }
+
+    const fields = {};
+    const machineId = matchMachine(text);
+    // Labelled "In: $500" first; "$99 in" only when nothing is labelled
+    const moneyIn = matchAmount(text, 'In\\s*:') || matchTrailingAmount(text, 'in');
+    const moneyOut = matchAmount(text, 'Out\\s*:') || matchTrailingAmount(text, 'out');
+    if (machineId) fields.machineId = machineId;
+    if (moneyIn) fields.moneyIn = moneyIn;
+    if (moneyOut) fields.moneyOut = moneyOut;
+
+    return { ticketType: 'daily_summary', fields, warnings };
+  }
+};
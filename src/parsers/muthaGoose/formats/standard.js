@@ -0,0 +1,121 @@
+// src/parsers/muthaGoose/formats/standard.js
+// Multi-line printer output from current Mutha Goose firmware, one label per line:
+//
+//   DAILY SUMMARY
+//   03/14/2025 23:59
+//   MACHINE 03
+//   IN          $1,250.00
+//   OUT           $430.00
+//   NET           $820.00
+const {
+  CONFIDENCE,
+  field,
+  parseCount,
+  matchAmount,
+  matchMachine,
+  matchDate,
+  checkNet
+} = require('../common');
+
+const HEADERS = [
+  { type: 'grand_total', pattern: /GRAND\s+TOTAL/i },
+  { type: 'clearing', pattern: /BOOKS?\s+CLEAR(ED|ING)|CLEAR\s+BOOKS/i },
+  { type: 'bookkeeping', pattern: /BOOK\s*KEEPING/i },
+  { type: 'voucher', pattern: /VOUCHER|CASH\s+TICKET/i },
+  { type: 'daily_summary', pattern: /DAILY\s+(SUMMARY|REPORT)/i }
+];
+
+function ticketTypeOf(text) {
+  const header = HEADERS.find(h => h.pattern.test(text));
+  return header ? header.type : null;
+}
+
+function matchCount(text, labelPattern) {
+  const match = text.match(new RegExp(`(?:^|\\n)\\s*(?:${labelPattern})\\s*[:#=]?\\s*([\\d,]+)`, 'i'));
+  if (!match) return null;
+  const value = parseCount(match[1]);
+  return value === null ? null : field(value, CONFIDENCE.EXACT, match[0].trim());
+}
+
+function matchText(text, labelPattern, valuePattern) {
+  const match = text.match(new RegExp(`(?:^|\\n)\\s*(?:${labelPattern})\\s*[:#=]?\\s*(${valuePattern})`, 'i'));
+  return match ? field(match[1].trim(), CONFIDENCE.EXACT, match[0].trim()) : null;
+}
+
+function compact(fields) {
+  Object.keys(fields).forEach(key => {
+    if (!fields[key]) delete fields[key];
+  });
+  return fields;
+}
+
+const PARSERS = {
+  daily_summary(text, warnings) {
+    const fields = compact({
+      machineId: matchMachine(text),
+      printedAt: matchDate(text),
+      moneyIn: matchAmount(text, '(?:MONEY\\s+)?IN'),
+      moneyOut: matchAmount(text, '(?:MONEY\\s+)?OUT|COLLECT(?:ED)?'),
+      net: matchAmount(text, 'NET')
+    });
+    checkNet(fields, warnings);
+    return fields;
+  },
+
+  grand_total(text, warnings) {
+    const fields = compact({
+      printedAt: matchDate(text),
+      moneyIn: matchAmount(text, '(?:TOTAL\\s+)?IN'),
+      moneyOut: matchAmount(text, '(?:TOTAL\\s+)?OUT|COLLECT(?:ED)?'),
+      net: matchAmount(text, 'NET'),
+      machineCount: matchCount(text, 'MACHINES')
+    });
+    checkNet(fields, warnings);
+    return fields;
+  },
+
+  bookkeeping(text) {
+    return compact({
+      machineId: matchMachine(text),
+      printedAt: matchDate(text),
+      lifetimeIn: matchAmount(text, '(?:TOTAL|LIFETIME)\\s+IN'),
+      lifetimeOut: matchAmount(text, '(?:TOTAL|LIFETIME)\\s+OUT'),
+      lifetimeGames: matchCount(text, '(?:GAMES\\s+PLAYED|TOTAL\\s+GAMES|GAMES)')
+    });
+  },
+
+  clearing(text) {
+    return compact({
+      machineId: matchMachine(text),
+      clearedAt: matchDate(text),
+      clearCount: matchCount(text, 'CLEAR\\s*(?:COUNT|#|NO\\.?)')
+    });
+  },
+
+  voucher(text) {
+    return compact({
+      machineId: matchMachine(text),
+      printedAt: matchDate(text),
+      amount: matchAmount(text, 'AMOUNT|VALUE'),
+      ticketNumber: matchText(text, 'TICKET\\s*(?:#|NO\\.?)', '\\d+'),
+      validationNumber: matchText(text, 'VALIDATION(?:\\s*(?:#|NO\\.?))?', '[\\d-]+')
+    });
+  }
+};
+
+module.exports = {
+  id: 'mg-standard',
+  description: 'Mutha Goose multi-line printer tickets (daily summary, grand total, bookkeeping, clearing, voucher)',
+
+  detect(text) {
+    if (!text.includes('\n')) return 0;
+    return ticketTypeOf(text) ? 0.9 : 0;
+  },
+
+  parse(text) {
+    const warnings = [];
+    const ticketType = ticketTypeOf(text);
+    const fields = ticketType ? PARSERS[ticketType](text, warnings) : {};
+    return { ticketType, fields, warnings };
+  }
+};
@@ -0,0 +1,243 @@
+// src/parsers/muthaGoose/index.js
+// Single entry point for turning raw Mutha Goose printer output into typed records.
+// Firmware formats register themselves here; parse() picks the best match.
+const { CONFIDENCE, matchAmount, matchMachine } = require('./common');
+
+// Fields a ticket must have before we trust it
+const REQUIRED_FIELDS = {
+  daily_summary: ['machineId', 'moneyIn'],
+  grand_total: ['moneyIn', 'moneyOut'],
+  bookkeeping: ['machineId', 'lifetimeIn', 'lifetimeOut'],
+  clearing: ['machineId'],
+  voucher: ['amount']
+};
+
+const TICKET_TYPES = Object.keys(REQUIRED_FIELDS);
+
+const formats = new Map();
+
+function registerFormat(format) {
+  if (!format || !format.id || typeof format.detect !== 'function' || typeof format.parse !== 'function') {
+    throw new Error('Parser format needs id, detect() and parse()');
+  }
+  if (formats.has(format.id) || format.id === 'default') {
+    throw new Error(`Parser format already registered: ${format.id}`);
+  }
+  formats.set(format.id, format);
+}
+
+function getFormat(id) {
+  return formats.get(id) || null;
+}
+
+function listFormats() {
+  return Array.from(formats.values()).map(f => ({ id: f.id, description: f.description }));
+}
+
+// 'default' auto-detects; anything else must be a registered format id
+function listVariants() {
+  return ['default', ...formats.keys()];
+}
+
+// Strip printer control codes and normalise line endings
+function normalize(rawData) {
+  return String(rawData)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function unknown(warning) {
+  return { format: null, ticketType: 'unknown', confidence: 0, fields: {}, warnings: [warning] };
+}
+
+/**
+ * Parse one raw ticket.
+ * Returns { format, ticketType, confidence, fields: { name: { value, confidence, raw } }, warnings }.
+ * confidence is the lowest confidence among the ticket type's required fields (0 if one is missing).
+ */
+function parse(rawData, options = {}) {
+  if (typeof rawData !== 'string' || !rawData.trim()) {
+    return unknown('No raw data');
+  }
+
+  const text = normalize(rawData);
+  const variant = options.variant || 'default';
+  let format = null;
+
+  if (variant !== 'default') {
+    format = getFormat(variant);
+    if (!format) return unknown(`Unknown parser variant: ${variant}`);
+  } else {
+    let bestScore = 0;
+    for (const candidate of formats.values()) {
+      const score = candidate.detect(text);
+      if (score > bestScore) {
+        bestScore = score;
+        format = candidate;
+      }
+    }
+    if (!format) return unknown('No registered format recognised this ticket');
+  }
+
+  const result = format.parse(text);
+  if (!result.ticketType) {
+    return { ...unknown(`Format ${format.id} could not determine the ticket type`), format: format.id };
+  }
+
+  const warnings = [...(result.warnings || [])];
+  const required = REQUIRED_FIELDS[result.ticketType] || [];
+  let confidence = CONFIDENCE.EXACT;
+
+  for (const key of required) {
+    if (!result.fields[key]) {
+      warnings.push(`Missing field: ${key}`);
+      confidence = 0;
+    } else {
+      confidence = Math.min(confidence, result.fields[key].confidence);
+    }
+  }
+
+  return {
+    format: format.id,
+    ticketType: result.ticketType,
+    confidence,
+    fields: result.fields,
+    warnings
+  };
+}
+
+// Plain { name: value } view of a parse result
+function values(parsed) {
+  const out = {};
+  Object.entries(parsed.fields || {}).forEach(([key, f]) => { out[key] = f.value; });
+  return out;
+}
+
+// ============================================================================
+// HELPERS FOR INGEST / PROCESSORS
+// ============================================================================
+
+// machine_XX from whatever ticket we got, or null
+function extractMachineId(rawData) {
+  if (typeof rawData !== 'string') return null;
+  const parsed = parse(rawData);
+  if (parsed.fields.machineId) return parsed.fields.machineId.value;
+  return matchMachine(normalize(rawData))?.value || null;
+}
+
+// Money in/out for a daily report event. Tickets that print both IN and OUT win,
+// then labelled "In:"/"Out:" anywhere on a ticket no format recognised; otherwise
+// the event amount counts towards its own event type.
+function readDailyAmounts(event) {
+  if (event.rawData) {
+    const parsed = parse(event.rawData);
+    if (parsed.fields.moneyIn && parsed.fields.moneyOut) {
+      return {
+        moneyIn: parsed.fields.moneyIn.value,
+        moneyOut: parsed.fields.moneyOut.value,
+        confidence: parsed.confidence
+      };
+    }
+
+    const text = normalize(event.rawData);
+    const moneyIn = matchAmount(text, 'In\\s*:');
+    const moneyOut = matchAmount(text, 'Out\\s*:');
+    if (moneyIn && moneyOut) {
+      return {
+        moneyIn: moneyIn.value,
+        moneyOut: moneyOut.value,
+        confidence: Math.min(moneyIn.confidence, moneyOut.confidence, CONFIDENCE.INFERRED)
+      };
+    }
+  }
+
+  return {
+    moneyIn: event.eventType === 'money_in' ? (event.amount || 0) : 0,
+    moneyOut: event.eventType === 'money_out' ? (event.amount || 0) : 0,
+    confidence: null
+  };
+}
+
+// Lifetime meters for a bookkeeping event: structured values from the Pi first, then the ticket
+function readBookkeeping(eventData = {}) {
+  const sources = [eventData, eventData.metadata || {}];
+  const pick = (...keys) => {
+    for (const source of sources) {
+      for (const key of keys) {
+        if (typeof source[key] === 'number') return source[key];
+      }
+    }
+    return null;
+  };
+
+  const structured = {
+    lifetimeIn: pick('lifetimeIn', 'total_in'),
+    lifetimeOut: pick('lifetimeOut', 'total_out'),
+    lifetimeGames: pick('lifetimeGames', 'games')
+  };
+  if (structured.lifetimeIn !== null || structured.lifetimeOut !== null) {
+    return {
+      lifetimeIn: structured.lifetimeIn || 0,
+      lifetimeOut: structured.lifetimeOut || 0,
+      lifetimeGames: structured.lifetimeGames || 0,
+      source: 'structured'
+    };
+  }
+
+  const parsed = eventData.rawData ? parse(eventData.rawData) : null;
+  if (parsed && parsed.ticketType === 'bookkeeping') {
+    const v = values(parsed);
+    return {
+      lifetimeIn: v.lifetimeIn || 0,
+      lifetimeOut: v.lifetimeOut || 0,
+      lifetimeGames: v.lifetimeGames || 0,
+      source: 'ticket',
+      confidence: parsed.confidence
+    };
+  }
+
+  return { lifetimeIn: 0, lifetimeOut: 0, lifetimeGames: 0, source: 'none' };
+}
+
+// Field-by-field comparison of what was recorded vs a fresh parse
+function diffFields(recorded, parsed) {
+  const keys = new Set([...Object.keys(recorded), ...Object.keys(parsed.fields || {})]);
+  return Array.from(keys).map(key => {
+    const parsedField = parsed.fields[key];
+    const recordedValue = recorded[key] === undefined ? null : recorded[key];
+    const parsedValue = parsedField ? parsedField.value : null;
+    return {
+      field: key,
+      recorded: recordedValue,
+      parsed: parsedValue,
+      confidence: parsedField ? parsedField.confidence : null,
+      match: recordedValue === null || parsedValue === null
+        ? null
+        : String(recordedValue) === String(parsedValue)
+    };
+  });
+}
+
+registerFormat(require('./formats/standard'));
+registerFormat(require('./formats/legacy'));
+
+module.exports = {
+  TICKET_TYPES,
+  REQUIRED_FIELDS,
+  CONFIDENCE,
+  registerFormat,
+  getFormat,
+  listFormats,
+  listVariants,
+  normalize,
+  parse,
+  values,
+  extractMachineId,
+  readDailyAmounts,
+  readBookkeeping,
+  diffFields
+};
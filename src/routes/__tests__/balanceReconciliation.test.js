@@ -0,0 +1,88 @@
+// src/routes/__tests__/balanceReconciliation.test.js
+// Request checks and service error mapping for the balance reconciliation admin
+// routes. The service is mocked and authentication passes: no database.
+jest.mock('../../services/BalanceReconciliationService', () => ({
+  startRun: jest.fn(),
+  listDiscrepancies: jest.fn(),
+  approve: jest.fn(),
+  reject: jest.fn()
+}));
+jest.mock('../../middleware/rbac', () => ({
+  PERMISSIONS: {},
+  authenticate: (req, res, next) => {
+    req.user = { userId: 'admin_1', email: 'admin@example.com', role: 'super_admin' };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const balanceReconciliation = require('../../services/BalanceReconciliationService');
+const routes = require('../balanceReconciliation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin/balance-reconciliation', routes);
+
+const discrepancyId = '64b7f0c2a1b2c3d4e5f60718';
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('POST /runs', () => {
+  test('rejects user ids that are not ObjectIds and non-positive tolerances', async () => {
+    const badIds = await request(app).post('/api/admin/balance-reconciliation/runs').send({ userIds: ['nope'] });
+    const badTolerance = await request(app).post('/api/admin/balance-reconciliation/runs').send({ tolerance: 0 });
+
+    expect(badIds.status).toBe(400);
+    expect(badTolerance.status).toBe(400);
+    expect(balanceReconciliation.startRun).not.toHaveBeenCalled();
+  });
+
+  test('a run already in progress is a 409', async () => {
+    balanceReconciliation.startRun.mockRejectedValue(Object.assign(new Error('Balance reconciliation run_1 is already running'), { status: 409 }));
+
+    const res = await request(app).post('/api/admin/balance-reconciliation/runs').send({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Balance reconciliation run_1 is already running');
+  });
+});
+
+describe('GET /discrepancies', () => {
+  test('lists open findings by default and validates filters', async () => {
+    balanceReconciliation.listDiscrepancies.mockResolvedValue({ discrepancies: [], total: 0 });
+
+    const ok = await request(app).get('/api/admin/balance-reconciliation/discrepancies');
+    const badStatus = await request(app).get('/api/admin/balance-reconciliation/discrepancies?status=closed');
+    const badClass = await request(app).get('/api/admin/balance-reconciliation/discrepancies?classification=theft');
+
+    expect(ok.status).toBe(200);
+    expect(balanceReconciliation.listDiscrepancies).toHaveBeenCalledWith(expect.objectContaining({ status: 'open' }));
+    expect(badStatus.status).toBe(400);
+    expect(badClass.status).toBe(400);
+  });
+});
+
+describe('POST /discrepancies/:id/approve', () => {
+  test('needs a note and a valid id', async () => {
+    const noNote = await request(app).post(`/api/admin/balance-reconciliation/discrepancies/${discrepancyId}/approve`).send({ note: ' ' });
+    const badId = await request(app).post('/api/admin/balance-reconciliation/discrepancies/nope/approve').send({ note: 'Missed burn' });
+
+    expect(noNote.status).toBe(400);
+    expect(badId.status).toBe(404);
+    expect(balanceReconciliation.approve).not.toHaveBeenCalled();
+  });
+
+  test('passes service conflicts through', async () => {
+    balanceReconciliation.approve.mockRejectedValue(Object.assign(new Error('Correction would leave a negative balance'), { status: 409 }));
+
+    const res = await request(app)
+      .post(`/api/admin/balance-reconciliation/discrepancies/${discrepancyId}/approve`)
+      .send({ note: 'Missed burn' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Correction would leave a negative balance');
+    expect(balanceReconciliation.approve).toHaveBeenCalledWith(discrepancyId, expect.objectContaining({ userId: 'admin_1' }), 'Missed burn');
+  });
+});
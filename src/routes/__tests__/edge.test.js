@@ -0,0 +1,349 @@
+// src/routes/__tests__/edge.test.js
+// Hub token checks, hub heartbeats, single and batch event upload and GET /api/edge/config
+// for each kind of hub token. Models and services are mocked: no database.
+jest.mock('../../models/Store', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Hub', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Machine', () => ({ findById: jest.fn(), findOne: jest.fn(), generateCompositeId: jest.fn() }));
+jest.mock('../../services/HubConfigService', () => ({ resolve: jest.fn(), materialize: jest.fn(), recordReported: jest.fn() }));
+jest.mock('../../services/PiReleaseService', () => ({ getTargetForHub: jest.fn() }));
+jest.mock('../../services/HubHealthService', () => ({ recordHeartbeat: jest.fn() }));
+jest.mock('../../services/HubCommandService', () => ({ deliverPending: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Event = require('../../models/Event');
+const Session = require('../../models/Session');
+const ingestQueue = require('../../services/IngestQueueService');
+const Store = require('../../models/Store');
+const Hub = require('../../models/Hub');
+const Machine = require('../../models/Machine');
+const hubConfig = require('../../services/HubConfigService');
+const piReleases = require('../../services/PiReleaseService');
+const hubCommands = require('../../services/HubCommandService');
+const hubHealth = require('../../services/HubHealthService');
+
+process.env.MACHINE_JWT_SECRET = 'test-machine-secret';
+const edge = require('../edge');
+
+const app = express();
+app.use(express.json({ limit: '2mb' }));   // as in server.js
+app.use('/api/edge', edge);
+
+const hub = { hubId: 'store1-hub', storeId: 'store_1', configHash: 'abc123', configRevision: 4 };
+const settings = { reportingInterval: 15, syncInterval: 60, debugMode: false, autoRestart: true, serialPort: '/dev/ttyUSB0', baudRate: 9600, parserVariant: 'default' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Store.findOne.mockResolvedValue({ storeId: 'store_1', storeName: 'Main St' });
+  Hub.findOne.mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve({ tokenVersion: 1 }) }),
+    lean: () => Promise.resolve(hub)
+  });
+  hubConfig.resolve.mockReturnValue({ settings, hash: 'abc123' });
+  piReleases.getTargetForHub.mockResolvedValue({ version: '2.4.0', releaseId: 'rel-1' });
+});
+
+const token = payload => jwt.sign(payload, process.env.MACHINE_JWT_SECRET);
+
+describe('GET /api/edge/config', () => {
+  test.each([
+    ['hub', { type: 'hub', hubId: 'store1-hub', storeId: 'store_1' }],
+    ['edge_device', { type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1' }]
+  ])('a %s token gets the resolved hub config and rollout target', async (type, payload) => {
+    const res = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${token(payload)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.config).toMatchObject({
+      machineId: 'store1-hub',
+      reportingInterval: 15,
+      configHash: 'abc123',
+      configRevision: 4,
+      targetVersion: { version: '2.4.0', releaseId: 'rel-1' }
+    });
+    expect(hubConfig.resolve).toHaveBeenCalledWith(hub, expect.objectContaining({ storeId: 'store_1' }));
+    expect(piReleases.getTargetForHub).toHaveBeenCalledWith(hub);
+    expect(Machine.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('hub token versions', () => {
+  beforeEach(() => {
+    Hub.findOne.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ tokenVersion: 4 }) }),
+      lean: () => Promise.resolve(hub)
+    });
+  });
+
+  test('a token from before the last rotation is revoked', async () => {
+    const stale = token({ type: 'hub', hubId: 'store1-hub', storeId: 'store_1', tokenVersion: 3 });
+    const res = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${stale}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Hub token revoked');
+  });
+
+  test('the current version is accepted', async () => {
+    const current = token({ type: 'hub', hubId: 'store1-hub', storeId: 'store_1', tokenVersion: 4 });
+    const res = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${current}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('an unversioned token is revoked once the hub has rotated', async () => {
+    const legacy = token({ type: 'hub', hubId: 'store1-hub', storeId: 'store_1' });
+    const res = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${legacy}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('an edge_device token is checked against the hub it names', async () => {
+    const stale = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1', tokenVersion: 3 });
+    const current = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1', tokenVersion: 4 });
+
+    const revoked = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${stale}`);
+    const accepted = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${current}`);
+
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.error).toBe('Hub token revoked');
+    expect(accepted.status).toBe(200);
+    expect(Hub.findOne).toHaveBeenCalledWith({ hubId: 'store1-hub' });
+  });
+
+  test('an unversioned edge_device token is revoked once the hub has rotated', async () => {
+    const legacy = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1' });
+    const res = await request(app).get('/api/edge/config').set('Authorization', `Bearer ${legacy}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  describe('POST /api/edge/refresh-token', () => {
+    const refreshToken = payload => jwt.sign(payload, process.env.MACHINE_JWT_SECRET, {
+      audience: 'gambino-edge',
+      issuer: 'gambino-server'
+    });
+
+    test('a refresh token from before the last rotation is rejected', async () => {
+      const stale = refreshToken({ type: 'hub', hubId: 'store1-hub', storeId: 'store_1', tokenVersion: 3 });
+      const res = await request(app).post('/api/edge/refresh-token').send({ refreshToken: stale });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Hub token revoked');
+    });
+
+    test('an edge_device refresh token from before the last rotation is rejected', async () => {
+      const stale = refreshToken({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1', tokenVersion: 3 });
+      const res = await request(app).post('/api/edge/refresh-token').send({ refreshToken: stale });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Hub token revoked');
+    });
+
+    test('the new access token keeps the refresh token version', async () => {
+      const current = refreshToken({ type: 'hub', hubId: 'store1-hub', storeId: 'store_1', tokenVersion: 4 });
+      const res = await request(app).post('/api/edge/refresh-token').send({ refreshToken: current });
+
+      expect(res.status).toBe(200);
+      expect(jwt.decode(res.body.accessToken).tokenVersion).toBe(4);
+    });
+  });
+});
+
+describe('POST /api/edge/heartbeat', () => {
+  const hubDoc = () => ({
+    hubId: 'store1-hub',
+    storeId: 'store_1',
+    health: {},
+    hardware: {},
+    software: {},
+    stats: {},
+    save: jest.fn().mockResolvedValue()
+  });
+  const edgeToken = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1' });
+
+  test('a command queue failure still records the heartbeat', async () => {
+    const doc = hubDoc();
+    // The token check selects the version; the heartbeat loads the document
+    Hub.findOne.mockReturnValue(Object.assign(Promise.resolve(doc), {
+      select: () => ({ lean: () => Promise.resolve({ tokenVersion: 1 }) })
+    }));
+    hubConfig.recordReported.mockResolvedValue({ configHash: 'abc123', configStale: true });
+    hubCommands.deliverPending.mockRejectedValue(new Error('queue unavailable'));
+
+    const res = await request(app).post('/api/edge/heartbeat')
+      .set('Authorization', `Bearer ${edgeToken}`)
+      .send({ cpuUsage: 12, configHash: 'old' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ commands: [], configStale: true });
+    expect(doc.save).toHaveBeenCalled();
+    expect(hubHealth.recordHeartbeat).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/edge/events', () => {
+  const edgeToken = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1' });
+  const send = body => request(app).post('/api/edge/events').set('Authorization', `Bearer ${edgeToken}`).send(body);
+  const lookup = result => ({ session: jest.fn().mockResolvedValue(result) });
+  const dailySummary = { eventType: 'daily_summary', machineId: 'machine_01', idempotencyKey: 'daily_1', metadata: { isDailyReport: true } };
+
+  let dbSession;
+  let committed;
+
+  beforeEach(() => {
+    committed = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Writes made in the callback are kept only if it completes
+    dbSession = {
+      pending: [],
+      withTransaction: jest.fn(async work => {
+        dbSession.pending = [];
+        await work();
+        committed.push(...dbSession.pending);
+      }),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(dbSession);
+    Machine.findOne.mockReturnValue(lookup(null));
+    Machine.generateCompositeId.mockImplementation((hubId, machineId) => `${hubId}_${machineId}`);
+    jest.spyOn(Session, 'findOne').mockReturnValue(lookup(null));
+    jest.spyOn(Event, 'findOne').mockReturnValue(lookup(null));
+    jest.spyOn(Event, 'create').mockImplementation(async ([record], { session }) => {
+      session.pending.push({ event: record });
+      return [{ _id: 'evt_1', ...record }];
+    });
+    jest.spyOn(ingestQueue, 'enqueueDailySummary').mockImplementation(async (storeId, hubId, at, eventId, { session }) => {
+      session.pending.push({ job: eventId });
+      return {};
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores the event and its daily report job in one transaction', async () => {
+    const res = await send(dailySummary);
+
+    expect(res.status).toBe(200);
+    expect(Event.create).toHaveBeenCalledWith([expect.objectContaining({ eventType: 'daily_summary' })], { session: dbSession });
+    expect(ingestQueue.enqueueDailySummary).toHaveBeenCalledWith('store_1', 'store1-hub', expect.any(Date), 'evt_1', { session: dbSession });
+    expect(committed).toEqual([{ event: expect.any(Object) }, { job: 'evt_1' }]);
+    expect(dbSession.endSession).toHaveBeenCalled();
+  });
+
+  test('an event whose job cannot be queued is not stored', async () => {
+    ingestQueue.enqueueDailySummary.mockRejectedValue(new Error('write conflict'));
+
+    const res = await send(dailySummary);
+
+    expect(res.status).toBe(500);
+    expect(committed).toEqual([]);
+    expect(dbSession.endSession).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/edge/events/batch', () => {
+  const edgeToken = token({ type: 'edge_device', machineId: 'store1-hub', storeId: 'store_1' });
+  const upload = body => request(app).post('/api/edge/events/batch').set('Authorization', `Bearer ${edgeToken}`).send(body);
+  const moneyIn = (seq, extra = {}) => ({ seq, eventType: 'money_in', amount: 5, machineId: 'machine_01', idempotencyKey: `key_${seq}`, ...extra });
+  const lookup = result => ({ session: jest.fn().mockResolvedValue(result) });
+
+  let stored;
+  let created;
+
+  beforeEach(() => {
+    stored = new Map();
+    created = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'startSession').mockImplementation(async () => ({
+      withTransaction: async work => work(),
+      endSession: jest.fn()
+    }));
+    Machine.findOne.mockReturnValue(lookup(null));
+    Machine.generateCompositeId.mockImplementation((hubId, machineId) => `${hubId}_${machineId}`);
+    jest.spyOn(Session, 'findOne').mockReturnValue(lookup(null));
+    jest.spyOn(Event, 'findOne').mockImplementation(filter => lookup(stored.get(filter.idempotencyKey) || null));
+    jest.spyOn(Event, 'create').mockImplementation(async ([record]) => {
+      const saved = { _id: `evt_${created.length + 1}`, ...record };
+      created.push(saved);
+      return [saved];
+    });
+    jest.spyOn(ingestQueue, 'enqueueDailySummary').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('refuses more than 2000 events before touching the database', async () => {
+    const res = await upload({ events: Array.from({ length: 2001 }, (_, i) => moneyIn(i)) });
+
+    expect(res.status).toBe(413);
+    expect(res.body.maxEvents).toBe(2000);
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+
+  test('commits in chunks of 100 and reports each event in order', async () => {
+    const res = await upload({ events: Array.from({ length: 250 }, (_, i) => moneyIn(i)) });
+
+    expect(res.status).toBe(200);
+    expect(mongoose.startSession).toHaveBeenCalledTimes(3);
+    expect(res.body).toMatchObject({ complete: true, cursor: 250, total: 250, summary: { accepted: 250, duplicate: 0, rejected: 0 } });
+    expect(res.body.results.map(r => r.index)).toEqual(Array.from({ length: 250 }, (_, i) => i));
+    expect(res.body.results[0]).toMatchObject({ seq: 0, status: 'accepted', eventId: 'evt_1', gamingMachineId: 'machine_01', mappingStatus: 'unmapped' });
+  });
+
+  test('marks repeats within the batch and already stored events as duplicates, and rejects malformed ones', async () => {
+    stored.set('store_1_key_stored', { _id: 'evt_old', createdAt: new Date() });
+
+    const res = await upload({
+      events: [
+        moneyIn(1),
+        moneyIn(2, { idempotencyKey: 'key_1' }),
+        moneyIn(3, { idempotencyKey: 'key_stored' }),
+        { seq: 4, eventType: 'not_a_type' },
+        moneyIn(5, { amount: 'lots' })
+      ]
+    });
+
+    expect(res.body.summary).toEqual({ accepted: 1, duplicate: 2, rejected: 2 });
+    expect(res.body.results.map(r => [r.seq, r.status])).toEqual([
+      [1, 'accepted'], [2, 'duplicate'], [3, 'duplicate'], [4, 'rejected'], [5, 'rejected']
+    ]);
+    expect(res.body.results[2].eventId).toBe('evt_old');
+    expect(res.body.results[3].reason).toBe('Unknown eventType: not_a_type');
+    expect(created).toHaveLength(1);
+  });
+
+  test('queues daily report processing for daily summary events', async () => {
+    await upload({ events: [{ seq: 1, eventType: 'daily_summary', machineId: 'machine_01', metadata: { isDailyReport: true } }] });
+
+    expect(ingestQueue.enqueueDailySummary).toHaveBeenCalledWith('store_1', 'store1-hub', expect.any(Date), 'evt_1', { session: expect.any(Object) });
+  });
+
+  test('a failed chunk stops the batch at the last committed cursor', async () => {
+    Event.create.mockImplementation(async ([record]) => {
+      if (created.length === 150) throw new Error('write conflict');
+      created.push(record);
+      return [{ _id: `evt_${created.length}` }];
+    });
+
+    const res = await upload({ events: Array.from({ length: 250 }, (_, i) => moneyIn(i)) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ complete: false, cursor: 100, error: 'Batch partially processed; resume from cursor' });
+    expect(res.body.results).toHaveLength(100);
+  });
+
+  test('resumes from the cursor, and a first chunk that fails leaves it where it was', async () => {
+    const resumed = await upload({ cursor: 100, events: Array.from({ length: 150 }, (_, i) => moneyIn(i)) });
+    expect(resumed.body).toMatchObject({ complete: true, cursor: 150 });
+    expect(resumed.body.results[0].index).toBe(100);
+
+    Event.create.mockRejectedValue(new Error('primary stepped down'));
+    const failed = await upload({ events: [moneyIn(1)] });
+    expect(failed.status).toBe(500);
+    expect(failed.body).toMatchObject({ cursor: 0, complete: false });
+  });
+});
@@ -0,0 +1,167 @@
+// src/routes/__tests__/hubLogs.test.js
+// Hub log upload with per-hub retention, and the search filters behind
+// GET /api/admin/hubs/:hubId/logs. Models are stubbed: no database.
+let mockUser;
+
+jest.mock('../../middleware/rbac', () => ({
+  PERMISSIONS: {},
+  authenticate: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+jest.mock('../../services/HubHealthService', () => ({}));
+jest.mock('../edge', () => ({
+  authenticateMachine: (req, res, next) => {
+    req.machine = { machineId: 'store1-hub', storeId: 'store_1', type: 'hub' };
+    next();
+  }
+}));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Hub = require('../../models/Hub');
+const HubLog = require('../../models/HubLog');
+const hubs = require('../hubs');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin/hubs', hubs);
+
+const DAY = 24 * 60 * 60 * 1000;
+const hub = { hubId: 'store1-hub', storeId: 'store_1', config: { logRetentionDays: 3 } };
+const admin = { userId: 'admin_1', email: 'admin@example.com', role: 'super_admin', assignedVenues: [] };
+
+const hubLookup = doc => ({ select: () => ({ lean: async () => doc }), lean: async () => doc });
+
+let found;
+function stubFind(rows) {
+  found = { query: null, sort: null, limit: null };
+  jest.spyOn(HubLog, 'find').mockImplementation(query => {
+    found.query = query;
+    const chain = {
+      sort: sort => { found.sort = sort; return chain; },
+      limit: limit => { found.limit = limit; return chain; },
+      select: () => chain,
+      lean: async () => rows.slice(0, found.limit)
+    };
+    return chain;
+  });
+}
+
+beforeEach(() => {
+  mockUser = admin;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Hub, 'findOne').mockReturnValue(hubLookup(hub));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('retention', () => {
+  const receivedAt = new Date('2026-05-01T12:00:00Z');
+
+  test('each line expires after its own hub\'s retention, 14 days when unset', () => {
+    const timestamp = '2026-05-01T10:00:00Z';
+    const short = HubLog.normalizeEntry({ message: 'boot', timestamp }, hub, receivedAt);
+    const unset = HubLog.normalizeEntry({ message: 'boot', timestamp }, { hubId: 'other-hub', storeId: 'store_2' }, receivedAt);
+
+    expect(short.expiresAt).toEqual(new Date(new Date(timestamp).getTime() + 3 * DAY));
+    expect(unset.expiresAt).toEqual(new Date(new Date(timestamp).getTime() + 14 * DAY));
+  });
+
+  test('normalises levels, bad timestamps and bare strings', () => {
+    expect(HubLog.normalizeEntry({ message: 'x', level: 'WARNING' }, hub, receivedAt).level).toBe('warn');
+    expect(HubLog.normalizeEntry({ message: 'x', level: 'loud' }, hub, receivedAt).level).toBe('info');
+    expect(HubLog.normalizeEntry({ message: 'x', timestamp: 'soon' }, hub, receivedAt).timestamp).toEqual(receivedAt);
+    expect(HubLog.normalizeEntry('plain line', hub, receivedAt)).toMatchObject({ message: 'plain line', level: 'info', source: 'app' });
+    expect(HubLog.normalizeEntry({ level: 'error' }, hub, receivedAt)).toBeNull();
+  });
+
+  test('a new retention window moves the expiry of stored logs', async () => {
+    const updateMany = jest.spyOn(HubLog, 'updateMany').mockResolvedValue({ modifiedCount: 12 });
+
+    expect(await HubLog.applyRetention('store1-hub', 7)).toBe(12);
+    expect(updateMany).toHaveBeenCalledWith(
+      { hubId: 'store1-hub' },
+      [{ $set: { expiresAt: { $add: ['$timestamp', 7 * DAY] } } }]
+    );
+  });
+
+  test('uploaded lines are stored with the hub\'s retention and empty ones skipped', async () => {
+    const insertMany = jest.spyOn(HubLog, 'insertMany').mockResolvedValue([]);
+
+    const res = await request(app).post('/api/admin/hubs/store1-hub/logs').send({
+      logs: [{ message: 'serial up', level: 'info', timestamp: '2026-05-01T10:00:00Z' }, { level: 'debug' }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ stored: 1, skipped: 1 });
+    const [docs] = insertMany.mock.calls[0];
+    expect(docs[0]).toMatchObject({ hubId: 'store1-hub', storeId: 'store_1', expiresAt: new Date('2026-05-04T10:00:00Z') });
+  });
+
+  test('a hub cannot upload logs for another hub', async () => {
+    const res = await request(app).post('/api/admin/hubs/other-hub/logs').send({ logs: ['x'] });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /:hubId/logs', () => {
+  test('combines level, source, text and date filters', async () => {
+    stubFind([]);
+
+    const res = await request(app).get('/api/admin/hubs/store1-hub/logs').query({
+      level: 'error, warn',
+      source: 'serial',
+      q: 'timeout',
+      from: '2026-05-01T00:00:00Z',
+      to: '2026-05-02T00:00:00Z'
+    });
+
+    expect(res.status).toBe(200);
+    expect(found.query).toEqual({
+      hubId: 'store1-hub',
+      level: { $in: ['error', 'warn'] },
+      source: { $in: ['serial'] },
+      timestamp: { $gte: new Date('2026-05-01T00:00:00Z'), $lte: new Date('2026-05-02T00:00:00Z') },
+      $text: { $search: 'timeout' }
+    });
+    expect(found.sort).toEqual({ timestamp: -1, _id: -1 });
+    expect(res.body.retentionDays).toBe(3);
+  });
+
+  test('pages newest first with a cursor over timestamp and id', async () => {
+    const logs = [3, 2, 1].map(n => ({ _id: new mongoose.Types.ObjectId(), timestamp: new Date(`2026-05-0${n}T00:00:00Z`), message: `line ${n}` }));
+    stubFind(logs);
+
+    const first = await request(app).get('/api/admin/hubs/store1-hub/logs').query({ limit: 2 });
+    expect(first.body.logs).toHaveLength(2);
+    expect(first.body.pagination).toMatchObject({ hasMore: true, nextCursor: HubLog.encodeCursor(logs[1]) });
+
+    await request(app).get('/api/admin/hubs/store1-hub/logs').query({ cursor: first.body.pagination.nextCursor });
+    expect(found.query.$or).toEqual([
+      { timestamp: { $lt: logs[1].timestamp } },
+      { timestamp: logs[1].timestamp, _id: { $lt: logs[1]._id } }
+    ]);
+  });
+
+  test('rejects bad dates and cursors', async () => {
+    stubFind([]);
+
+    expect((await request(app).get('/api/admin/hubs/store1-hub/logs').query({ from: 'yesterday' })).status).toBe(400);
+    expect((await request(app).get('/api/admin/hubs/store1-hub/logs').query({ cursor: 'nope' })).status).toBe(400);
+    expect(HubLog.find).not.toHaveBeenCalled();
+  });
+
+  test('venue staff only see hubs at their venues', async () => {
+    stubFind([]);
+    mockUser = { ...admin, role: 'venue_staff', assignedVenues: ['store_9'] };
+
+    const res = await request(app).get('/api/admin/hubs/store1-hub/logs');
+
+    expect(res.status).toBe(403);
+    expect(HubLog.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+// src/routes/admin/compliance.js
+const express = require('express');
+const router = express.Router();
+const compliance = require('../../services/ComplianceReportService');
+const { requirePermission, PERMISSIONS } = require('../../middleware/rbac');
+const { sendServiceError } = require('../../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Large cash transaction reporting and filing status
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js. Exports carry
+// customer KYC data, so everything here is limited to corporate roles.
+// ============================================================================
+
+// GET /api/admin/compliance/daily-totals - Customer cash out per business day across
+// all venues (?from&to, ?minTotal defaults to the near-threshold amount, ?userId)
+router.get('/daily-totals',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const totals = await compliance.dailyTotals({
+        from: req.query.from,
+        to: req.query.to,
+        minTotal: req.query.minTotal,
+        userId: req.query.userId
+      });
+      res.json({ success: true, ...totals });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load daily cash totals');
+    }
+  }
+);
+
+// POST /api/admin/compliance/scan - Re-run detection over business days { from, to }
+router.post('/scan',
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      const result = await compliance.scan({ from: req.body.from, to: req.body.to });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to scan for compliance incidents');
+    }
+  }
+);
+
+// GET /api/admin/compliance/incidents - ?status&kind&storeId&userId&from&to
+router.get('/incidents',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { incidents, total } = await compliance.list({
+        status: req.query.status,
+        kind: req.query.kind,
+        storeId: req.query.storeId,
+        userId: req.query.userId,
+        from: req.query.from,
+        to: req.query.to,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        incidents,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + incidents.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load compliance incidents');
+    }
+  }
+);
+
+// GET /api/admin/compliance/incidents/:incidentId
+router.get('/incidents/:incidentId',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const incident = await compliance.get(req.params.incidentId);
+      res.json({ success: true, incident });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load compliance incident');
+    }
+  }
+);
+
+// GET /api/admin/compliance/incidents/:incidentId/export - ?format=json (default) | csv
+router.get('/incidents/:incidentId/export',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: "format must be 'json' or 'csv'" });
+      }
+
+      const report = await compliance.buildReport(req.params.incidentId, req.user);
+      const filename = `compliance-${report.incident.businessDay}-${report.incident.incidentId}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'csv') {
+        return res.type('text/csv').send(compliance.toCsv(report));
+      }
+      res.json({ success: true, report });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to export compliance incident');
+    }
+  }
+);
+
+// POST /api/admin/compliance/incidents/:incidentId/status - { status, reference?, note? }
+// filed needs the filing reference; dismissed needs a note
+router.post('/incidents/:incidentId/status',
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      const incident = await compliance.setStatus(req.params.incidentId, req.user, req.body.status, {
+        reference: req.body.reference,
+        note: req.body.note
+      });
+      res.json({ success: true, incident });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to update compliance incident');
+    }
+  }
+);
+
+module.exports = router;
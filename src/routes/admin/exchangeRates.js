@@ -0,0 +1,160 @@
+// src/routes/admin/exchangeRates.js
+const express = require('express');
+const router = express.Router();
+const exchangeRates = require('../../services/ExchangeRateService');
+const { requirePermission, PERMISSIONS } = require('../../middleware/rbac');
+const { sendServiceError } = require('../../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Cashout exchange rate versions and venue overrides
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/exchange-rates/current - Config in effect (?storeId= applies the venue override)
+router.get('/current',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const exchangeRate = await exchangeRates.resolve(req.query.storeId || null);
+      res.json({ success: true, exchangeRate });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load exchange rate');
+    }
+  }
+);
+
+// GET /api/admin/exchange-rates/history - Every global version, newest first, with its changes
+router.get('/history',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { versions, total } = await exchangeRates.history({ limit, skip });
+
+      res.json({
+        success: true,
+        versions,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + versions.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load exchange rate history');
+    }
+  }
+);
+
+// GET /api/admin/exchange-rates/timeline - Config now and at each scheduled change (?storeId=)
+router.get('/timeline',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const timeline = await exchangeRates.timeline(req.query.storeId || null);
+      res.json({ success: true, timeline });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load exchange rate timeline');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates/preview - What a change would do, without saving it
+router.post('/preview',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const preview = await exchangeRates.preview(req.body);
+      res.json({ success: true, preview });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to preview exchange rate change');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates - New global version, now or at effectiveFrom.
+// Fields left out carry over from the version in effect at that time.
+router.post('/',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const config = await exchangeRates.schedule(req.body, req.user);
+      res.status(201).json({ success: true, config });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to schedule exchange rate change');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates/:configId/cancel - Drop a change that has not taken effect
+router.post('/:configId/cancel',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const config = await exchangeRates.cancel(req.params.configId, req.user, req.body.reason);
+      res.json({ success: true, config });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to cancel exchange rate change');
+    }
+  }
+);
+
+// GET /api/admin/exchange-rates/venues/:storeId/overrides - Venue's override versions and resolved config
+router.get('/venues/:storeId/overrides',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const overrides = await exchangeRates.overrides(req.params.storeId, {
+        includeCancelled: req.query.includeCancelled === 'true'
+      });
+      res.json({ success: true, ...overrides });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load venue overrides');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates/venues/:storeId/overrides/preview
+router.post('/venues/:storeId/overrides/preview',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const preview = await exchangeRates.previewOverride(req.params.storeId, req.body);
+      res.json({ success: true, preview });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to preview venue override');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates/venues/:storeId/overrides - New override version.
+// Fields left out carry over; null puts a field back on the global value.
+router.post('/venues/:storeId/overrides',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const override = await exchangeRates.scheduleOverride(req.params.storeId, req.body, req.user);
+      res.status(201).json({ success: true, override });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to schedule venue override');
+    }
+  }
+);
+
+// POST /api/admin/exchange-rates/overrides/:overrideId/cancel
+router.post('/overrides/:overrideId/cancel',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const override = await exchangeRates.cancelOverride(req.params.overrideId, req.user, req.body.reason);
+      res.json({ success: true, override });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to cancel venue override');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// src/routes/admin/governance.js
+const express = require('express');
+const router = express.Router();
+const governance = require('../../services/GovernanceService');
+const { requirePermission, PERMISSIONS } = require('../../middleware/rbac');
+const { sendServiceError } = require('../../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Governance ballots and execution of passed proposals
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/governance/proposals/:proposalId/votes - Every ballot, heaviest first
+router.get('/proposals/:proposalId/votes',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { votes, total } = await governance.votes(req.params.proposalId, { limit, skip });
+
+      res.json({
+        success: true,
+        votes,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + votes.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load votes');
+    }
+  }
+);
+
+// POST /api/admin/governance/proposals/:proposalId/execute - Carry out a passed
+// proposal (or retry a failed execution). Parameter changes apply to
+// RARITY_CONFIG; treasury grants file a treasury request for N-of-M approval.
+router.post('/proposals/:proposalId/execute',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const proposal = await governance.execute(req.params.proposalId, req.user);
+      res.json({ success: true, proposal });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to execute proposal');
+    }
+  }
+);
+
+module.exports = router;
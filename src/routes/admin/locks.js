@@ -0,0 +1,75 @@
+// src/routes/admin/locks.js
+const express = require('express');
+const router = express.Router();
+const locks = require('../../services/LockService');
+const { requirePermission, PERMISSIONS } = require('../../middleware/rbac');
+const { sendServiceError } = require('../../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Team and venue-partner vesting grants
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/locks - All positions (?userId, ?kind, ?status, ?storeId)
+router.get('/',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { positions, total } = await locks.list({
+        userId: req.query.userId,
+        kind: req.query.kind,
+        status: req.query.status,
+        storeId: req.query.storeId,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        positions,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + positions.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load lock positions');
+    }
+  }
+);
+
+// POST /api/admin/locks/grants - Vesting grant from a treasury pool
+// Body: { userId | email, kind: 'team_grant' | 'venue_grant', storeId, amount,
+//         startAt, cliffAt, endAt, earlyUnlock: { mode, penaltyPercent }, fundingPool, note }
+// fundingPool is 'teamReserve' or 'operationsReserve'; it defaults to the pool for the kind
+router.post('/grants',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const position = await locks.createGrant(req.user, req.body || {});
+      res.status(201).json({ success: true, position });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to create vesting grant');
+    }
+  }
+);
+
+// GET /api/admin/locks/:positionId - One position with its ledger events
+router.get('/:positionId',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const position = await locks.get(req.params.positionId);
+      res.json({ success: true, position });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load lock position');
+    }
+  }
+);
+
+module.exports = router;
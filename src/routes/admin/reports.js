@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { PERMISSIONS } = require('../../middleware/rbac');
+const businessDay = require('../../utils/businessDay');
 
 let authenticate, requirePermission, createVenueMiddleware;
 let DailyReport, Event;
@@ -31,15 +32,13 @@ router.get('/daily/:storeId', async (req, res, next) => {
     try {
       const { storeId } = req.params;
       const { date } = req.query;
-      if (!date) {
+      if (!businessDay.DAY_KEY_PATTERN.test(date || '')) {
         return res.status(400).json({ error: 'Date parameter is required (format: YYYY-MM-DD)' });
       }
-      const targetDate = new Date(date);
-      const startOfDay = new Date(targetDate.setHours(0, 0, 0, 0));
-      const endOfDay = new Date(targetDate.setHours(23, 59, 59, 999));
+      const { start, end } = businessDay.businessDayRange(date, await businessDay.forStore(storeId));
       const reports = await DailyReport.find({
         storeId: storeId,
-        printedAt: { $gte: startOfDay, $lte: endOfDay }
+        printedAt: { $gte: start, $lt: end }
       }).sort({ printedAt: -1 }).lean();
       res.json({ success: true, date: date, storeId: storeId, reports: reports, count: reports.length });
     } catch (error) {
@@ -96,20 +95,19 @@ router.get('/:storeId/reconciliation', async (req, res, next) => {
     try {
       const { storeId } = req.params;
       const { startDate, endDate } = req.query;
-      if (!startDate || !endDate) {
+      if (!businessDay.DAY_KEY_PATTERN.test(startDate || '') || !businessDay.DAY_KEY_PATTERN.test(endDate || '')) {
         return res.status(400).json({ error: 'startDate and endDate parameters are required (format: YYYY-MM-DD)' });
       }
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
+      const settings = await businessDay.forStore(storeId);
+      const { start, end } = businessDay.businessRange(startDate, endDate, settings);
       const allReports = await DailyReport.find({
         storeId: storeId,
-        printedAt: { $gte: start, $lte: end }
+        printedAt: { $gte: start, $lt: end }
       }).lean();
       // Calculate total revenue from LATEST report per date (regardless of status)
       const revenueByDate = {};
       allReports.forEach(report => {
-        const dateKey = report.printedAt.toISOString().split('T')[0];
+        const dateKey = businessDay.businessDayKey(report.printedAt, settings);
         if (!revenueByDate[dateKey] || new Date(report.printedAt) > new Date(revenueByDate[dateKey].printedAt)) {
           revenueByDate[dateKey] = report;
         }
@@ -118,7 +116,7 @@ router.get('/:storeId/reconciliation', async (req, res, next) => {
       const includedReports = allReports.filter(r => r.reconciliationStatus === 'included');
       const dailyBreakdown = {};
 allReports.forEach(report => {
-  const dateKey = report.printedAt.toISOString().split('T')[0];
+  const dateKey = businessDay.businessDayKey(report.printedAt, settings);
   if (!dailyBreakdown[dateKey]) {
     dailyBreakdown[dateKey] = { 
       date: dateKey, 
@@ -189,9 +187,12 @@ router.get('/pi-data/:storeId', async (req, res, next) => {
       if (days && !date) {
         const daysAgo = new Date();
         daysAgo.setDate(daysAgo.getDate() - parseInt(days));
+        const settings = await businessDay.forStore(storeId);
+        // Shift by the cutover so early-morning play lands on the previous business day
+        const cutoverMs = businessDay.cutoverMinutes(settings.cutover) * 60 * 1000;
         const events = await Event.aggregate([
           { $match: { storeId: storeId, timestamp: { $gte: daysAgo }, eventType: { $in: ['money_in', 'collect'] } } },
-          { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } }, count: { $sum: 1 } } },
+          { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: { $subtract: ["$timestamp", cutoverMs] }, timezone: settings.timezone } }, count: { $sum: 1 } } },
           { $sort: { _id: -1 } }
         ]);
         return res.json({
@@ -242,26 +243,24 @@ router.get('/:storeId/financial-summary', async (req, res, next) => {
     try {
       const { storeId } = req.params;
       const { date } = req.query;
-      const targetDate = date ? new Date(date) : new Date();
-      if (isNaN(targetDate.getTime())) {
+      if (date && !businessDay.DAY_KEY_PATTERN.test(date)) {
         return res.status(400).json({ error: 'Invalid date format', message: 'Date must be in YYYY-MM-DD format' });
       }
-      const startOfDay = new Date(targetDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(targetDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      const dateStr = startOfDay.toISOString().split('T')[0];
-      console.log(`💰 Financial summary for ${storeId} on ${dateStr}`);
       
       const Store = require('../../models/Store');
       const store = await Store.findOne({ storeId }).lean();
       if (!store) return res.status(404).json({ error: 'Store not found' });
       const feePercentage = store.feePercentage || 0;
+
+      const settings = businessDay.settingsFor(store);
+      const dateStr = date || businessDay.todayKey(settings);
+      const { start: startOfDay, end: endOfDay } = businessDay.businessDayRange(dateStr, settings);
+      console.log(`💰 Financial summary for ${storeId} on ${dateStr}`);
       
       // FIX: Get ALL reports sorted by printedAt (latest first)
       const allReportsForDate = await DailyReport.find({
         storeId: storeId,
-        printedAt: { $gte: startOfDay, $lte: endOfDay }
+        printedAt: { $gte: startOfDay, $lt: endOfDay }
       }).sort({ printedAt: -1 }).lean();
 
       // Use LATEST report regardless of status
@@ -276,7 +275,7 @@ router.get('/:storeId/financial-summary', async (req, res, next) => {
       const voucherEvents = await Event.find({
         storeId: storeId,
         eventType: { $in: ['voucher_print', 'voucher'] },
-        timestamp: { $gte: startOfDay, $lte: endOfDay }
+        timestamp: { $gte: startOfDay, $lt: endOfDay }
       }).lean();
       
       const moneyOut = voucherEvents.reduce((sum, e) => sum + (e.amount || 0), 0);
@@ -343,22 +342,18 @@ router.get('/:storeId/daily-latest/:date', async (req, res, next) => {
   const handler = async (req, res) => {
     try {
       const { storeId, date } = req.params;
-      const targetDate = new Date(date);
-      if (isNaN(targetDate.getTime())) {
+      if (!businessDay.DAY_KEY_PATTERN.test(date)) {
         return res.status(400).json({ error: 'Invalid date format', message: 'Date must be in YYYY-MM-DD format' });
       }
-      const startOfDay = new Date(targetDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(targetDate);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { start: startOfDay, end: endOfDay } = businessDay.businessDayRange(date, await businessDay.forStore(storeId));
       console.log(`📊 Latest daily values for ${storeId} on ${date}`);
       const moneyInEvents = await Event.find({
         storeId: storeId, eventType: 'money_in',
-        timestamp: { $gte: startOfDay, $lte: endOfDay }
+        timestamp: { $gte: startOfDay, $lt: endOfDay }
       }).sort({ timestamp: 1 }).lean();
       const moneyOutEvents = await Event.find({
         storeId: storeId, eventType: { $in: ['money_out', 'voucher_print', 'voucher'] },
-        timestamp: { $gte: startOfDay, $lte: endOfDay }
+        timestamp: { $gte: startOfDay, $lt: endOfDay }
       }).sort({ timestamp: 1 }).lean();
       const machineData = {};
       moneyInEvents.forEach(event => {
@@ -440,31 +435,20 @@ router.get('/:storeId/cumulative/:date', async (req, res, next) => {
   const handler = async (req, res) => {
     try {
       const { storeId, date } = req.params;
-      const targetDate = new Date(date);
-      if (isNaN(targetDate.getTime())) {
+      if (!businessDay.DAY_KEY_PATTERN.test(date)) {
         return res.status(400).json({ error: 'Invalid date format', message: 'Date must be in YYYY-MM-DD format' });
       }
       
-      // Get store timezone for proper date handling
-      const Store = require('../../models/Store');
-      const store = await Store.findOne({ storeId });
-      const timezone = store?.timezone || 'America/Chicago';
-      
-      // Timezone offsets (simplified)
-      const tzOffsets = { 'America/New_York': -5, 'America/Chicago': -6, 'America/Denver': -7, 'America/Los_Angeles': -8 };
-      const offsetHours = tzOffsets[timezone] || -6;
+      // Business day bounds in the store's timezone
+      const settings = await businessDay.forStore(storeId);
+      const { start: startOfDay, end: endOfDay } = businessDay.businessDayRange(date, settings);
       
-      // Convert local date to UTC range
-      const startOfDay = new Date(date + 'T00:00:00Z');
-      startOfDay.setUTCHours(startOfDay.getUTCHours() - offsetHours);
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000 - 1);
-      
-      console.log(`📊 Cumulative for ${storeId} on ${date} (TZ: ${timezone})`);
+      console.log(`📊 Cumulative for ${storeId} on ${date} (TZ: ${settings.timezone}, cutover ${settings.cutover})`);
 
       // Query dailyreports for all reports on this day (may be from multiple hubs)
       const reports = await DailyReport.find({
         storeId: storeId,
-        printedAt: { $gte: startOfDay, $lte: endOfDay },
+        printedAt: { $gte: startOfDay, $lt: endOfDay },
         reconciliationStatus: { $ne: 'excluded' }
       }).sort({ printedAt: -1 }).lean();
       
@@ -523,9 +507,7 @@ router.get('/:storeId/cumulative/:date', async (req, res, next) => {
       // Today: show latest report (current accumulating data after clearing)
       // Past: show report with most machines (final totals for that period)
       if (reportsWithoutHubId.length > 0 && latestByHub.size === 0) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const isToday = targetDate >= today;
+        const isToday = date >= businessDay.todayKey(settings);
         
         if (isToday) {
           // For today, show the latest report (post-clearing accumulating data)
@@ -560,7 +542,7 @@ router.get('/:storeId/cumulative/:date', async (req, res, next) => {
       const voucherEvents = await Event.find({
         storeId: storeId,
         eventType: { $in: ['voucher_print', 'voucher'] },
-        timestamp: { $gte: startOfDay, $lte: endOfDay }
+        timestamp: { $gte: startOfDay, $lt: endOfDay }
       }).lean();
 
       const voucherTotal = voucherEvents.reduce((sum, e) => sum + (e.amount || 0), 0);
@@ -611,15 +593,13 @@ router.get('/:storeId/cumulative-range', async (req, res, next) => {
         });
       }
 
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-
-      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      if (!businessDay.DAY_KEY_PATTERN.test(startDate) || !businessDay.DAY_KEY_PATTERN.test(endDate)) {
         return res.status(400).json({ error: 'Invalid date format', message: 'Dates must be in YYYY-MM-DD format' });
       }
 
-      start.setHours(0, 0, 0, 0);
-      end.setHours(23, 59, 59, 999);
+      // reportDate holds the business day key
+      const start = businessDay.keyToDate(startDate);
+      const end = businessDay.keyToDate(endDate);
 
       console.log(`📊 Cumulative range for ${storeId}: ${startDate} to ${endDate}`);
 
@@ -699,10 +679,11 @@ router.get('/:storeId/cumulative-range', async (req, res, next) => {
       });
 
       // Get voucher events for the range
+      const range = businessDay.businessRange(startDate, endDate, await businessDay.forStore(storeId));
       const voucherEvents = await Event.find({
         storeId: storeId,
         eventType: { $in: ['voucher_print', 'voucher'] },
-        timestamp: { $gte: start, $lte: end }
+        timestamp: { $gte: range.start, $lt: range.end }
       }).lean();
 
       const voucherTotal = voucherEvents.reduce((sum, e) => sum + (e.amount || 0), 0);
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const Machine = require('../models/Machine');
 const Event = require('../models/Event'); // Adjust path as needed
+const businessDay = require('../utils/businessDay');
 const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
 
 // ===== MUTHA GOOSE MAPPING ROUTES =====
@@ -354,10 +355,10 @@ router.post('/stores/:storeId/discover-machines',
 router.get('/admin/stores/:storeId/daily/:date', async (req, res) => {
   try {
     const { storeId, date } = req.params;
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    if (!businessDay.DAY_KEY_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+    const { start: startOfDay, end: endOfDay } = businessDay.businessDayRange(date, await businessDay.forStore(storeId));
 
     // Get money_in/money_out snapshots (use MAX for latest)
     const snapshots = await Event.aggregate([
@@ -365,7 +366,7 @@ router.get('/admin/stores/:storeId/daily/:date', async (req, res) => {
         $match: {
           storeId: storeId,
           eventType: { $in: ['money_in', 'money_out'] },
-          timestamp: { $gte: startOfDay, $lte: endOfDay }
+          timestamp: { $gte: startOfDay, $lt: endOfDay }
         }
       },
       {
@@ -382,7 +383,7 @@ router.get('/admin/stores/:storeId/daily/:date', async (req, res) => {
         $match: {
           storeId: storeId,
           eventType: 'voucher_print',
-          timestamp: { $gte: startOfDay, $lte: endOfDay }
+          timestamp: { $gte: startOfDay, $lt: endOfDay }
         }
       },
       {
@@ -664,16 +665,16 @@ router.get('/admin/financial-trends',
       const { storeId } = req.query;
       const userRole = req.user.role;
 
-      // Calculate date range
-      const endDate = new Date();
-      endDate.setHours(23, 59, 59, 999);
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      startDate.setHours(0, 0, 0, 0);
+      // Calculate date range in business days (store's own, or the default zone across stores)
+      const settings = await businessDay.forStore(storeId);
+      const endKey = businessDay.todayKey(settings);
+      const startKey = businessDay.addDays(endKey, -days);
+      const { start: startDate, end: endDate } = businessDay.businessRange(startKey, endKey, settings);
+      const cutoverMs = businessDay.cutoverMinutes(settings.cutover) * 60 * 1000;
 
       // Build match query
       let matchQuery = {
-        timestamp: { $gte: startDate, $lte: endDate },
+        timestamp: { $gte: startDate, $lt: endDate },
         eventType: { $in: ['money_in', 'money_out', 'voucher_print'] }
       };
 
@@ -699,7 +700,7 @@ router.get('/admin/financial-trends',
         {
           $group: {
             _id: {
-              date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+              date: { $dateToString: { format: '%Y-%m-%d', date: { $subtract: ['$timestamp', cutoverMs] }, timezone: settings.timezone } },
               eventType: '$eventType'
             },
             total: { $sum: { $toDouble: { $ifNull: ['$amount', 0] } } }
@@ -740,9 +741,7 @@ router.get('/admin/financial-trends',
 
       // Fill in missing days with zero values
       const filledData = [];
-      const currentDate = new Date(startDate);
-      while (currentDate <= endDate) {
-        const dateStr = currentDate.toISOString().split('T')[0];
+      for (const dateStr of businessDay.dayKeysBetween(startKey, endKey)) {
         const existingData = data.find(d => d.date === dateStr);
 
         if (existingData) {
@@ -755,7 +754,6 @@ router.get('/admin/financial-trends',
             netRevenue: 0
           });
         }
-        currentDate.setDate(currentDate.getDate() + 1);
       }
 
       // Calculate summary
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const ReportsService = require('../services/ReportsService');
+const businessDay = require('../utils/businessDay');
 const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
 
 const reportsService = new ReportsService();
@@ -24,8 +25,7 @@ router.get('/pi-data/:storeId',
 
       if (date) {
         // Get specific date report
-        const targetDate = new Date(date);
-        const report = await reportsService.getDailyRevenueFromPiData(storeId, targetDate);
+        const report = await reportsService.getDailyRevenueFromPiData(storeId, date);
         
         res.json({
           success: true,
@@ -110,7 +110,7 @@ router.post('/compare',
 
       const comparison = await reportsService.compareManualWithPiData(
         storeId,
-        new Date(date),
+        date,
         parseFloat(manualAmount)
       );
 
@@ -134,15 +134,15 @@ router.get('/reconciliation/:storeId/auto-generate',
   async (req, res) => {
     try {
       const { storeId } = req.params;
-      const { date = new Date().toISOString().split('T')[0] } = req.query;
+      const date = req.query.date || businessDay.todayKey(await businessDay.forStore(storeId));
 
       // Get Pi data for the date
-      const piReport = await reportsService.getDailyRevenueFromPiData(storeId, new Date(date));
+      const piReport = await reportsService.getDailyRevenueFromPiData(storeId, date);
       
       // Create reconciliation record that matches existing schema
       const autoReconciliation = {
         storeId,
-        reconciliationDate: new Date(date),
+        reconciliationDate: piReport.reconciliationDate,
         venueGamingRevenue: piReport.piData.grossRevenue,
         softwareFeePercentage: piReport.softwareFeePercentage,
         expectedSoftwareFee: piReport.calculatedSoftwareFee,
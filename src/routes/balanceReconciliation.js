@@ -0,0 +1,202 @@
+// src/routes/balanceReconciliation.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const balanceReconciliation = require('../services/BalanceReconciliationService');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - On-chain vs. off-chain user balance reconciliation
+// ============================================================================
+
+function paginate(req, defaultLimit) {
+  return {
+    limit: Math.min(parseInt(req.query.limit) || defaultLimit, 200),
+    skip: parseInt(req.query.skip) || 0
+  };
+}
+
+// POST /api/admin/balance-reconciliation/runs - Start a run in the background
+router.post('/runs',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      const { userIds, tolerance } = req.body || {};
+
+      if (userIds !== undefined) {
+        if (!Array.isArray(userIds) || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+          return res.status(400).json({ error: 'userIds must be an array of user ids' });
+        }
+      }
+      if (tolerance !== undefined && !(Number(tolerance) > 0)) {
+        return res.status(400).json({ error: 'tolerance must be a positive number' });
+      }
+
+      const run = await balanceReconciliation.startRun({
+        trigger: 'manual',
+        user: req.user,
+        userIds,
+        tolerance: tolerance !== undefined ? Number(tolerance) : undefined
+      });
+
+      res.status(202).json({ success: true, run });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to start balance reconciliation');
+    }
+  }
+);
+
+// GET /api/admin/balance-reconciliation/runs - Run history, newest first
+router.get('/runs',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 20);
+      const { runs, total } = await balanceReconciliation.listRuns({ limit, skip });
+
+      res.json({
+        success: true,
+        runs,
+        pagination: { total, limit, skip, hasMore: skip + runs.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load reconciliation runs');
+    }
+  }
+);
+
+// GET /api/admin/balance-reconciliation/runs/:runId - Run report with its discrepancies
+router.get('/runs/:runId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 50);
+      const { classification, status } = req.query;
+
+      const run = await balanceReconciliation.getRun(req.params.runId);
+      const { discrepancies, total } = await balanceReconciliation.listDiscrepancies({
+        runId: run.runId, classification, status, limit, skip
+      });
+
+      res.json({
+        success: true,
+        run,
+        discrepancies,
+        pagination: { total, limit, skip, hasMore: skip + discrepancies.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load reconciliation report');
+    }
+  }
+);
+
+// GET /api/admin/balance-reconciliation/discrepancies - Findings across runs (open by default)
+router.get('/discrepancies',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 50);
+      const { runId, classification, userId } = req.query;
+      const status = req.query.status || 'open';
+
+      if (status !== 'all' && !BalanceDiscrepancy.DISCREPANCY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status: ${status}` });
+      }
+      if (classification && !BalanceDiscrepancy.CLASSIFICATIONS.includes(classification)) {
+        return res.status(400).json({ error: `Invalid classification: ${classification}` });
+      }
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid userId' });
+      }
+
+      const { discrepancies, total } = await balanceReconciliation.listDiscrepancies({
+        runId, status, classification, userId, limit, skip
+      });
+
+      res.json({
+        success: true,
+        discrepancies,
+        pagination: { total, limit, skip, hasMore: skip + discrepancies.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load balance discrepancies');
+    }
+  }
+);
+
+// POST /api/admin/balance-reconciliation/discrepancies/:id/approve - Apply the proposed correction
+router.post('/discrepancies/:id/approve',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const note = req.body?.note?.trim();
+      if (!note) {
+        return res.status(400).json({ error: 'A note explaining the correction is required' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Discrepancy not found' });
+      }
+
+      const { correction, discrepancy } = await balanceReconciliation.approve(req.params.id, req.user, note);
+      res.json({ success: true, correction, discrepancy });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to approve balance correction');
+    }
+  }
+);
+
+// POST /api/admin/balance-reconciliation/discrepancies/:id/reject - Close without correcting
+router.post('/discrepancies/:id/reject',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const note = req.body?.note?.trim();
+      if (!note) {
+        return res.status(400).json({ error: 'A note explaining the rejection is required' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Discrepancy not found' });
+      }
+
+      const discrepancy = await balanceReconciliation.reject(req.params.id, req.user, note);
+      res.json({ success: true, discrepancy });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to reject balance discrepancy');
+    }
+  }
+);
+
+// GET /api/admin/balance-reconciliation/corrections - Append-only correction ledger
+router.get('/corrections',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 50);
+      const { userId } = req.query;
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid userId' });
+      }
+
+      const { corrections, total } = await balanceReconciliation.listCorrections({ userId, limit, skip });
+
+      res.json({
+        success: true,
+        corrections,
+        pagination: { total, limit, skip, hasMore: skip + corrections.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load balance corrections');
+    }
+  }
+);
+
+module.exports = router;
@@ -392,7 +392,8 @@ router.get('/balances/:accountType', authenticateAdmin, async (req, res) => {
     // Get credentials for this account
     const credResult = await treasuryService.credentialManager.retrieveCredentials(
       accountType, 
-      'API_BALANCE_CHECK'
+      'API_BALANCE_CHECK',
+      req.user
     );
     
     if (!credResult.success) {
@@ -463,7 +464,8 @@ router.get('/transactions/:accountType', authenticateAdmin, async (req, res) =>
     // Get credentials for this account
     const credResult = await treasuryService.credentialManager.retrieveCredentials(
       accountType, 
-      'TRANSACTION_HISTORY'
+      'TRANSACTION_HISTORY',
+      req.user
     );
     
     if (!credResult.success) {
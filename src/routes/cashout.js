@@ -3,12 +3,22 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const CashoutService = require('../services/CashoutService');
+const cashierShifts = require('../services/CashierShiftService');
+const cashoutRequests = require('../services/CashoutRequestService');
+const businessDay = require('../utils/businessDay');
 const GambinoTokenService = require('../services/gambinoTokenService');
 const { authenticate, requirePermission, requireVenueAccess, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// Held for risk review, or approved and waiting for a cashier: confirmed but not paid yet
+function outcomeStatus(result) {
+  if (result.held || result.approved) return 202;
+  return result.success ? 200 : 400;
+}
 
 /**
  * GET /api/cashout/exchange-rate
- * Get current exchange rate configuration
+ * Get current exchange rate configuration (?storeId= applies that venue's overrides)
  * Permission: VIEW_CASHOUT_HISTORY
  */
 router.get(
@@ -17,7 +27,7 @@ router.get(
   requirePermission(PERMISSIONS.VIEW_CASHOUT_HISTORY),
   async (req, res) => {
     try {
-      const config = await CashoutService.getCurrentExchangeRate();
+      const config = await CashoutService.getCurrentExchangeRate(req.query.storeId || null);
 
       res.json({
         success: true,
@@ -177,11 +187,9 @@ router.get(
         .limit(5)
         .lean();
 
-      // Get today's cashouts
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      // Get today's cashouts (business day of the requesting venue)
+      const settings = await businessDay.forStore(req.query.storeId || req.user.assignedVenues?.[0]);
+      const { start: today, end: tomorrow } = businessDay.businessDayRange(businessDay.todayKey(settings), settings);
 
       const todayCashouts = await Transaction.aggregate([
         {
@@ -241,9 +249,80 @@ router.get(
   }
 );
 
+/**
+ * POST /api/cashout/venues/:storeId/requests
+ * Start a cashout. Nothing is debited until the customer confirms: they approve
+ * in the app, or read staff the 6-digit code emailed to them (.../confirm).
+ * Body: { customerId, tokensToConvert, notes? }
+ * Permission: PROCESS_CASHOUTS + Venue Access
+ */
+async function createCashoutRequest(req, res) {
+  try {
+    const { storeId } = req.params;
+    const { customerId, tokensToConvert, notes } = req.body;
+
+    // Validation
+    if (!customerId || !tokensToConvert) {
+      return res.status(400).json({
+        success: false,
+        error: 'customerId and tokensToConvert are required'
+      });
+    }
+
+    if (tokensToConvert <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'tokensToConvert must be positive'
+      });
+    }
+
+    // KYC Check - user must be verified to cash out
+    const User = mongoose.model('User');
+    const customer = await User.findById(customerId).select('kycStatus firstName lastName');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    if (customer.kycStatus !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        error: 'KYC verification required',
+        kycRequired: true,
+        message: `${customer.firstName} ${customer.lastName} must complete KYC verification before cashing out. Please verify their ID first.`
+      });
+    }
+
+    const request = await cashoutRequests.create(req.user, storeId, { customerId, tokensToConvert, notes });
+
+    res.status(202).json({
+      success: true,
+      pending: true,
+      request,
+      message: request.codeSentTo
+        ? `Ask the customer for the code sent to ${request.codeSentTo}, or to approve in the app`
+        : 'Ask the customer to approve in the app'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create cashout request', { success: false });
+  }
+}
+
+router.post(
+  '/venues/:storeId/requests',
+  authenticate,
+  requireVenueAccess({ requireManagement: false }),
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  createCashoutRequest
+);
+
 /**
  * POST /api/cashout/venues/:storeId/process
- * Process a cashout transaction
+ * Kept for existing clients: now starts a cashout request (202) instead of
+ * debiting straight away
  * Permission: PROCESS_CASHOUTS + Venue Access
  */
 router.post(
@@ -251,67 +330,251 @@ router.post(
   authenticate,
   requireVenueAccess({ requireManagement: false }),
   requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  createCashoutRequest
+);
+
+/**
+ * GET /api/cashout/venues/:storeId/requests
+ * Cashout requests at a venue (?status)
+ * Permission: PROCESS_CASHOUTS or VIEW_CASHOUT_HISTORY + Venue Access
+ */
+router.get(
+  '/venues/:storeId/requests',
+  authenticate,
+  requireVenueAccess(),
+  requirePermission([PERMISSIONS.PROCESS_CASHOUTS, PERMISSIONS.VIEW_CASHOUT_HISTORY]),
   async (req, res) => {
     try {
-      const { storeId } = req.params;
-      const { customerId, tokensToConvert, notes } = req.body;
-      const staffId = req.user.userId;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
 
-      // Validation
-      if (!customerId || !tokensToConvert) {
-        return res.status(400).json({
-          success: false,
-          error: 'customerId and tokensToConvert are required'
-        });
-      }
+      const { requests, total } = await cashoutRequests.listForStore(req.params.storeId, {
+        status: req.query.status,
+        limit,
+        skip
+      });
 
-      if (tokensToConvert <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'tokensToConvert must be positive'
-        });
-      }
+      res.json({
+        success: true,
+        requests,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + requests.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load cashout requests', { success: false });
+    }
+  }
+);
 
-      // KYC Check - user must be verified to cash out
-      const User = mongoose.model('User');
-      const customer = await User.findById(customerId).select('kycStatus firstName lastName');
+/**
+ * GET /api/cashout/requests/mine
+ * The customer's cashout requests awaiting their approval (polled by the app)
+ * Permission: authenticated user
+ */
+router.get(
+  '/requests/mine',
+  authenticate,
+  async (req, res) => {
+    try {
+      const requests = await cashoutRequests.listForCustomer(req.user.userId);
+      res.json({ success: true, requests });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load cashout requests', { success: false });
+    }
+  }
+);
 
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          error: 'Customer not found'
-        });
-      }
+/**
+ * GET /api/cashout/requests/:requestId
+ * One request with its audit trail (its customer, or staff at the venue)
+ */
+router.get(
+  '/requests/:requestId',
+  authenticate,
+  async (req, res) => {
+    try {
+      const request = await cashoutRequests.get(req.params.requestId, req.user);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load cashout request', { success: false });
+    }
+  }
+);
 
-      if (customer.kycStatus !== 'verified') {
-        return res.status(403).json({
-          success: false,
-          error: 'KYC verification required',
-          kycRequired: true,
-          message: `${customer.firstName} ${customer.lastName} must complete KYC verification before cashing out. Please verify their ID first.`
-        });
-      }
+/**
+ * POST /api/cashout/requests/:requestId/approve
+ * The customer approves their own cashout from the app; the balance is debited
+ * now, or the cashout is held for risk review (202)
+ */
+router.post(
+  '/requests/:requestId/approve',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { request, result } = await cashoutRequests.approve(req.params.requestId, req.user);
+      res.status(outcomeStatus(result)).json({ ...result, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to approve cashout', { success: false });
+    }
+  }
+);
 
-      // Process cashout
-      const result = await CashoutService.processCashout(
-        customerId,
-        tokensToConvert,
-        storeId,
-        staffId,
-        notes
-      );
+/**
+ * POST /api/cashout/requests/:requestId/decline
+ * The customer declines a cashout they did not ask for
+ */
+router.post(
+  '/requests/:requestId/decline',
+  authenticate,
+  async (req, res) => {
+    try {
+      const request = await cashoutRequests.cancel(req.params.requestId, req.user, req.body?.reason);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to decline cashout', { success: false });
+    }
+  }
+);
 
-      if (!result.success) {
-        return res.status(400).json(result);
-      }
+/**
+ * POST /api/cashout/requests/:requestId/confirm
+ * Staff enter the code the customer received; the balance is debited now, or
+ * the cashout is held for risk review (202)
+ * Body: { code }
+ * Permission: PROCESS_CASHOUTS (venue checked against the request)
+ */
+router.post(
+  '/requests/:requestId/confirm',
+  authenticate,
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const { request, result } = await cashoutRequests.confirmWithCode(req.params.requestId, req.user, req.body?.code);
+      res.status(outcomeStatus(result)).json({ ...result, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to confirm cashout', { success: false });
+    }
+  }
+);
 
-      res.json(result);
+/**
+ * POST /api/cashout/requests/:requestId/payout
+ * A cashier pays out a cashout approved on risk review from their own drawer;
+ * the balance is debited now
+ * Permission: PROCESS_CASHOUTS (venue checked against the request)
+ */
+router.post(
+  '/requests/:requestId/payout',
+  authenticate,
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const { request, result } = await cashoutRequests.payout(req.params.requestId, req.user);
+      res.status(outcomeStatus(result)).json({ ...result, request });
     } catch (error) {
-      console.error('Process cashout error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to process cashout'
+      sendServiceError(res, error, 'Failed to pay out cashout', { success: false });
+    }
+  }
+);
+
+/**
+ * POST /api/cashout/requests/:requestId/cancel
+ * Staff cancel a pending request, or an approved one that was never collected
+ * Body: { reason }
+ * Permission: PROCESS_CASHOUTS (venue checked against the request)
+ */
+router.post(
+  '/requests/:requestId/cancel',
+  authenticate,
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const request = await cashoutRequests.cancel(req.params.requestId, req.user, req.body?.reason);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to cancel cashout request', { success: false });
+    }
+  }
+);
+
+/**
+ * GET /api/cashout/reviews
+ * Risk review queue: held cashouts, highest score first (?status=held|approved|denied|all, ?storeId)
+ * Permission: REVERSE_CASHOUTS
+ */
+router.get(
+  '/reviews',
+  authenticate,
+  requirePermission(PERMISSIONS.REVERSE_CASHOUTS),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { requests, total } = await cashoutRequests.listReviews({
+        status: req.query.status || 'held',
+        storeId: req.query.storeId,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        requests,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + requests.length < total
+        }
       });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load cashout review queue', { success: false });
+    }
+  }
+);
+
+/**
+ * POST /api/cashout/reviews/:requestId/approve
+ * Release a held cashout (202); a cashier at the venue then pays it out
+ * (POST /api/cashout/requests/:requestId/payout)
+ * Body: { reason? }
+ * Permission: REVERSE_CASHOUTS
+ */
+router.post(
+  '/reviews/:requestId/approve',
+  authenticate,
+  requirePermission(PERMISSIONS.REVERSE_CASHOUTS),
+  async (req, res) => {
+    try {
+      const { request, result } = await cashoutRequests.review(req.params.requestId, req.user, 'approve', req.body?.reason);
+      res.status(outcomeStatus(result)).json({ ...result, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to approve held cashout', { success: false });
+    }
+  }
+);
+
+/**
+ * POST /api/cashout/reviews/:requestId/deny
+ * Refuse a held cashout; nothing is debited
+ * Body: { reason }
+ * Permission: REVERSE_CASHOUTS
+ */
+router.post(
+  '/reviews/:requestId/deny',
+  authenticate,
+  requirePermission(PERMISSIONS.REVERSE_CASHOUTS),
+  async (req, res) => {
+    try {
+      const { request } = await cashoutRequests.review(req.params.requestId, req.user, 'deny', req.body?.reason);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to deny held cashout', { success: false });
     }
   }
 );
@@ -458,9 +721,11 @@ router.get(
       const startDate = new Date();
 
       switch (period) {
-        case 'today':
-          startDate.setHours(0, 0, 0, 0);
+        case 'today': {
+          const settings = await businessDay.forStore(storeId);
+          startDate.setTime(businessDay.businessDayRange(businessDay.todayKey(settings), settings).start.getTime());
           break;
+        }
         case '7days':
           startDate.setDate(startDate.getDate() - 7);
           break;
@@ -523,4 +788,171 @@ router.get(
   }
 );
 
+// ============================================================================
+// CASHIER SHIFTS - Drawer float, cashouts/reversals per drawer, count and sign-off
+// ============================================================================
+
+/**
+ * POST /api/cashout/shifts/venues/:storeId/open
+ * Open the caller's drawer for a shift
+ * Body: { openingFloat, drawer? }
+ * Permission: PROCESS_CASHOUTS + Venue Access
+ */
+router.post(
+  '/shifts/venues/:storeId/open',
+  authenticate,
+  requireVenueAccess({ requireManagement: false }),
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const shift = await cashierShifts.open(req.user, req.params.storeId, req.body || {});
+      res.status(201).json({ success: true, shift: cashierShifts.describe(shift) });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to open shift', { success: false });
+    }
+  }
+);
+
+/**
+ * GET /api/cashout/shifts/current
+ * The caller's open shift (?storeId to restrict) with expected drawer cash
+ * Permission: PROCESS_CASHOUTS
+ */
+router.get(
+  '/shifts/current',
+  authenticate,
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const shift = await cashierShifts.current(req.user, req.query.storeId);
+      res.json({ success: true, shift });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load current shift', { success: false });
+    }
+  }
+);
+
+/**
+ * GET /api/cashout/shifts/venues/:storeId
+ * Shifts at a venue (?status, ?cashierId, ?startDate, ?endDate)
+ * Permission: VIEW_CASHOUT_HISTORY + Venue Access
+ */
+router.get(
+  '/shifts/venues/:storeId',
+  authenticate,
+  requireVenueAccess(),
+  requirePermission(PERMISSIONS.VIEW_CASHOUT_HISTORY),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { shifts, total } = await cashierShifts.list(req.params.storeId, {
+        status: req.query.status,
+        cashierId: req.query.cashierId,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        shifts,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + shifts.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load shifts', { success: false });
+    }
+  }
+);
+
+/**
+ * GET /api/cashout/shifts/:shiftId
+ * One shift with its audit trail
+ * Permission: PROCESS_CASHOUTS or VIEW_CASHOUT_HISTORY (venue checked against the shift)
+ */
+router.get(
+  '/shifts/:shiftId',
+  authenticate,
+  requirePermission([PERMISSIONS.PROCESS_CASHOUTS, PERMISSIONS.VIEW_CASHOUT_HISTORY]),
+  async (req, res) => {
+    try {
+      const shift = await cashierShifts.get(req.params.shiftId, req.user);
+      res.json({ success: true, shift });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load shift', { success: false });
+    }
+  }
+);
+
+/**
+ * GET /api/cashout/shifts/:shiftId/summary
+ * Per-shift summary: totals and every cashout/reversal on the drawer.
+ * ?format=text returns a plain-text receipt for printing.
+ * Permission: PROCESS_CASHOUTS or VIEW_CASHOUT_HISTORY
+ */
+router.get(
+  '/shifts/:shiftId/summary',
+  authenticate,
+  requirePermission([PERMISSIONS.PROCESS_CASHOUTS, PERMISSIONS.VIEW_CASHOUT_HISTORY]),
+  async (req, res) => {
+    try {
+      const summary = await cashierShifts.summary(req.params.shiftId, req.user);
+
+      if (req.query.format === 'text') {
+        return res.type('text/plain').send(cashierShifts.renderSummary(summary));
+      }
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to build shift summary', { success: false });
+    }
+  }
+);
+
+/**
+ * POST /api/cashout/shifts/:shiftId/close
+ * Close a drawer with the counted cash; over/short past the threshold waits for sign-off
+ * Body: { countedCash, note? }
+ * Permission: PROCESS_CASHOUTS (the cashier, or a manager of the venue)
+ */
+router.post(
+  '/shifts/:shiftId/close',
+  authenticate,
+  requirePermission(PERMISSIONS.PROCESS_CASHOUTS),
+  async (req, res) => {
+    try {
+      const shift = await cashierShifts.close(req.params.shiftId, req.user, req.body || {});
+      res.json({ success: true, shift });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to close shift', { success: false });
+    }
+  }
+);
+
+/**
+ * POST /api/cashout/shifts/:shiftId/signoff
+ * Manager accepts a closed drawer's over/short
+ * Body: { note }
+ * Permission: MANAGE_ASSIGNED_STORES or MANAGE_ALL_STORES (not the shift's cashier)
+ */
+router.post(
+  '/shifts/:shiftId/signoff',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ASSIGNED_STORES, PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      const shift = await cashierShifts.signoff(req.params.shiftId, req.user, req.body || {});
+      res.json({ success: true, shift });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to sign off shift', { success: false });
+    }
+  }
+);
+
 module.exports = router;
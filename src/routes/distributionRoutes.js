@@ -1,6 +1,8 @@
 // src/routes/distributionRoutes.js
 const express = require('express');
 const router = express.Router();
+const distributionSchedules = require('../services/DistributionScheduleService');
+const { sendServiceError } = require('../utils/routeErrors');
 
 // Treasury wallet accounts - Production addresses
 const TREASURY_ACCOUNTS = [
@@ -123,4 +125,146 @@ router.post('/distribute', async (req, res) => {
   }
 });
 
+// ============================================================================
+// SCHEDULES - Recurring distributions with budgets
+// ============================================================================
+
+// GET /api/distribution/schedules - List schedules
+router.get('/schedules', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const { schedules, total } = await distributionSchedules.list({
+      status: req.query.status,
+      category: req.query.category,
+      limit,
+      skip
+    });
+
+    res.json({
+      success: true,
+      schedules,
+      pagination: {
+        total,
+        limit,
+        skip,
+        hasMore: skip + schedules.length < total
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load distribution schedules');
+  }
+});
+
+// POST /api/distribution/schedules - Create a schedule (active immediately).
+// founder and miningRewards schedules need treasuryRequestId: an approved
+// 'schedule' treasury request covering budgetCap.
+router.post('/schedules', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.create(req.user, req.body || {});
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create distribution schedule');
+  }
+});
+
+// POST /api/distribution/schedules/preview - Dry run of an unsaved schedule
+router.post('/schedules/preview', async (req, res) => {
+  try {
+    const preview = await distributionSchedules.previewDraft(req.body || {});
+    res.json({ success: true, preview });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to preview distribution schedule');
+  }
+});
+
+// GET /api/distribution/schedules/:scheduleId - One schedule with its history
+router.get('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.get(req.params.scheduleId);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load distribution schedule');
+  }
+});
+
+// PATCH /api/distribution/schedules/:scheduleId - Change an active or paused schedule;
+// raising budgetCap past its approval needs a new treasuryRequestId
+router.patch('/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.update(req.params.scheduleId, req.user, req.body || {});
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update distribution schedule');
+  }
+});
+
+// POST /api/distribution/schedules/:scheduleId/preview - What the next run would send now
+router.post('/schedules/:scheduleId/preview', async (req, res) => {
+  try {
+    const preview = await distributionSchedules.preview(req.params.scheduleId);
+    res.json({ success: true, preview });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to preview distribution schedule');
+  }
+});
+
+// POST /api/distribution/schedules/:scheduleId/pause
+router.post('/schedules/:scheduleId/pause', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.pause(req.params.scheduleId, req.user, req.body?.note);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to pause distribution schedule');
+  }
+});
+
+// POST /api/distribution/schedules/:scheduleId/resume
+router.post('/schedules/:scheduleId/resume', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.resume(req.params.scheduleId, req.user, req.body?.note);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to resume distribution schedule');
+  }
+});
+
+// POST /api/distribution/schedules/:scheduleId/cancel - Stop for good; needs a reason
+router.post('/schedules/:scheduleId/cancel', async (req, res) => {
+  try {
+    const schedule = await distributionSchedules.cancel(req.params.scheduleId, req.user, req.body?.reason);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to cancel distribution schedule');
+  }
+});
+
+// GET /api/distribution/schedules/:scheduleId/distributions - Payouts the schedule queued
+router.get('/schedules/:scheduleId/distributions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const { distributions, total } = await distributionSchedules.distributions(req.params.scheduleId, {
+      runKey: req.query.runKey,
+      limit,
+      skip
+    });
+
+    res.json({
+      success: true,
+      distributions,
+      pagination: {
+        total,
+        limit,
+        skip,
+        hasMore: skip + distributions.length < total
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load schedule distributions');
+  }
+});
+
 module.exports = router;
@@ -1,5 +1,6 @@
 // src/routes/edge.js
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const Machine = require('../models/Machine');
 const Store = require('../models/Store');
@@ -9,10 +10,42 @@ const CustWalletService = require('../services/CustWalletService');
 const custWalletService = new CustWalletService();
 const Event = require('../models/Event');
 const Hub = require('../models/Hub');
+const HubCommand = require('../models/HubCommand');
+const ingestQueue = require('../services/IngestQueueService');
+const hubCommands = require('../services/HubCommandService');
+const hubHealth = require('../services/HubHealthService');
+const piReleases = require('../services/PiReleaseService');
+const hubConfig = require('../services/HubConfigService');
+const muthaGoose = require('../parsers/muthaGoose');
 
 
 const router = express.Router();
 
+// Hubs authenticate with edge_device tokens (Pi provisioning) or hub tokens
+// (Hub.generateTokens); older Pis only identify themselves by machineId
+function isHubDevice(machine) {
+  const { type, machineId = '' } = machine;
+  return type === 'edge_device' ||
+    type === 'hub' ||
+    machineId.startsWith('hub-') ||
+    machineId.includes('pi-');
+}
+
+// A hub or edge_device token is revoked once its hub has moved past the token's
+// tokenVersion. edge_device tokens name the hub as machineId. Tokens without a
+// version count as the schema's initial version 1, so they stop working after
+// the first rotation or regeneration. Tokens for no known hub are left alone.
+function isVersionedHubToken(decoded) {
+  return decoded.type === 'hub' || decoded.type === 'edge_device';
+}
+
+async function isHubTokenRevoked(decoded) {
+  const hubId = decoded.hubId || decoded.machineId;
+  if (!hubId) return false;
+  const hub = await Hub.findOne({ hubId }).select('tokenVersion').lean();
+  return Boolean(hub) && (decoded.tokenVersion ?? 1) < hub.tokenVersion;
+}
+
 // Machine authentication middleware for Pi devices
 const authenticateMachine = async (req, res, next) => {
   try {
@@ -35,6 +68,11 @@ const authenticateMachine = async (req, res, next) => {
     // Store raw token for Hub auto-registration
     req.token = token;
 
+    // Hub and edge_device tokens from before a rotation or regeneration are revoked
+    if (isVersionedHubToken(decoded) && await isHubTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Hub token revoked' });
+    }
+
     // For edge devices and hubs, create virtual machine record
     if (decoded.type === 'edge_device' || decoded.type === 'hub') {
       console.log(`🔗 ${decoded.type} authenticated: ${decoded.machineId || decoded.hubId}`);
@@ -89,203 +127,227 @@ const authenticateMachine = async (req, res, next) => {
   }
 };
 
-// POST /api/edge/events - With idempotency and DailyReport processing
-router.post('/events', authenticateMachine, async (req, res) => {
-  try {
-    const { 
-      eventType,
-      amount,
-      timestamp,
-      sessionId,
-      rawData,
-      metadata,
-      machineId,
-      idempotencyKey
-    } = req.body;
+// ============================================================================
+// EVENT INGEST HELPERS (shared by single and batch upload)
+// ============================================================================
 
-    console.log(`📡 Edge event: ${eventType} from ${req.machine.machineId} - $${amount || 0}`);
+const BATCH_MAX_EVENTS = 2000;
+const BATCH_CHUNK_SIZE = 100;
+const VALID_EVENT_TYPES = Event.schema.path('eventType').enumValues;
 
-    // Resolve gaming machine ID
-    let gamingMachineId = null;
-    let mappingStatus = 'unmapped';
-    let machineName = 'Unknown Machine';
-    
-    if (machineId) {
-      gamingMachineId = machineId;
-      console.log(`🎯 Using provided gaming machine ID: ${gamingMachineId}`);
-    } else if (rawData) {
-      const machineMatch = rawData.match(/MACHINE\s+(\d+)/i);
-      if (machineMatch) {
-        const machineNumber = machineMatch[1].padStart(2, '0');
-        gamingMachineId = `machine_${machineNumber}`;
-        console.log(`🎯 Extracted gaming machine ID from raw data: ${gamingMachineId}`);
-      }
-    }
-    
-    if (!gamingMachineId) {
-      console.warn(`⚠️ No gaming machine ID found for event from ${req.machine.machineId}`);
-      gamingMachineId = `${req.machine.machineId}_unknown`;
-    }
+const isDailyReportEvent = (metadata) =>
+  !!(metadata?.isDailyReport || metadata?.source === 'daily_report');
 
-    // Check if gaming machine exists in database
-    let gamingMachine = null;
-    if (gamingMachineId && gamingMachineId !== `${req.machine.machineId}_unknown`) {
-      // Try composite ID first (hubId_machine_XX format)
-      const compositeId = Machine.generateCompositeId(req.machine.machineId, gamingMachineId);
-      gamingMachine = await Machine.findOne({ 
-        machineId: compositeId,
-        storeId: req.machine.storeId 
-      });
-      
-      // Fall back to originalMachineId lookup if not found
-      if (!gamingMachine) {
-        gamingMachine = await Machine.findOne({ 
-          originalMachineId: gamingMachineId,
-          hubId: req.machine.machineId,
-          storeId: req.machine.storeId 
-        });
-      }
-      
-      // Last resort: try direct machineId match (for legacy compatibility)
-      if (!gamingMachine) {
-        gamingMachine = await Machine.findOne({ 
-          machineId: gamingMachineId,
-          storeId: req.machine.storeId 
-        });
-      }
-      
-      if (gamingMachine) {
-        mappingStatus = 'mapped';
-        machineName = gamingMachine.name || gamingMachine.displayName || gamingMachineId;
-        console.log(`✅ Found gaming machine in database: ${machineName} (ID: ${gamingMachine.machineId})`);
-      } else {
-        console.log(`⚠️ Gaming machine ${gamingMachineId} not found in database (hub: ${req.machine.machineId})`);
-        machineName = `Unmapped ${gamingMachineId}`;
-      }
+// Resolve which gaming machine an event belongs to and whether it is mapped
+async function resolveGamingMachine(hub, { machineId, rawData }, dbSession = null) {
+  let gamingMachineId = null;
+  let mappingStatus = 'unmapped';
+  let machineName = 'Unknown Machine';
+
+  if (machineId) {
+    gamingMachineId = machineId;
+    console.log(`🎯 Using provided gaming machine ID: ${gamingMachineId}`);
+  } else if (rawData) {
+    gamingMachineId = muthaGoose.extractMachineId(rawData);
+    if (gamingMachineId) {
+      console.log(`🎯 Extracted gaming machine ID from raw data: ${gamingMachineId}`);
     }
+  }
 
-    // Check for duplicate using idempotency key
-    if (idempotencyKey) {
-      const fullIdempotencyKey = `${req.machine.storeId}_${idempotencyKey}`;
-      
-      // ✅ CHANGED: Skip idempotency check for daily reports (they have timestamps now)
-      const isDailyReport = metadata?.isDailyReport || metadata?.source === 'daily_report';
-      
-      if (!isDailyReport) {
-        // Only check for duplicates on non-daily events
-        const existingEvent = await Event.findOne({
-          storeId: req.machine.storeId,
-          idempotencyKey: fullIdempotencyKey
-        });
-      
-        if (existingEvent) {
-          console.log(`⚠️ Duplicate event detected (idempotency): ${fullIdempotencyKey}`);
-          
-          return res.json({
-            success: true,
-            duplicate: true,
-            eventReceived: eventType,
-            machineId: req.machine.machineId,
-            gamingMachineId: gamingMachineId,
-            finalMachineId: gamingMachineId,
-            machineName: machineName,
-            mappingStatus: mappingStatus,
-            userBound: false,
-            userId: null,
-            timestamp: existingEvent.createdAt.toISOString()
-          });
-        }
-      } else {
-        console.log(`📊 Daily report event - allowing duplicate storage: ${fullIdempotencyKey}`);
-      }
+  if (!gamingMachineId) {
+    console.warn(`⚠️ No gaming machine ID found for event from ${hub.machineId}`);
+    gamingMachineId = `${hub.machineId}_unknown`;
+  }
+
+  // Check if gaming machine exists in database
+  let gamingMachine = null;
+  if (gamingMachineId && gamingMachineId !== `${hub.machineId}_unknown`) {
+    // Try composite ID first (hubId_machine_XX format)
+    const compositeId = Machine.generateCompositeId(hub.machineId, gamingMachineId);
+    gamingMachine = await Machine.findOne({
+      machineId: compositeId,
+      storeId: hub.storeId
+    }).session(dbSession);
+
+    // Fall back to originalMachineId lookup if not found
+    if (!gamingMachine) {
+      gamingMachine = await Machine.findOne({
+        originalMachineId: gamingMachineId,
+        hubId: hub.machineId,
+        storeId: hub.storeId
+      }).session(dbSession);
     }
 
-    // Check for active user binding
-    let activeBinding = null;
-    let userId = null;
-    let userSessionId = null;
-    
-    if (gamingMachineId) {
-      activeBinding = await Session.findOne({ 
+    // Last resort: try direct machineId match (for legacy compatibility)
+    if (!gamingMachine) {
+      gamingMachine = await Machine.findOne({
         machineId: gamingMachineId,
-        status: 'active' 
-      });
-      
-      if (activeBinding) {
-        userId = activeBinding.userId;
-        userSessionId = activeBinding.sessionId;
-        console.log(`👤 Found active user binding: ${userId} on ${gamingMachineId}`);
-      }
+        storeId: hub.storeId
+      }).session(dbSession);
     }
 
-    // Build event record
-    const eventRecord = {
-      eventType,
-      hubMachineId: req.machine.machineId,
-      gamingMachineId,
-      amount: amount ? parseFloat(amount) : 0,
-      storeId: req.machine.storeId,
-      userId: userId || null,
-      userSessionId: userSessionId || null,
-      sessionId: sessionId || null,
-      rawData: rawData || null,
-      metadata: metadata || null,
-      timestamp: timestamp ? new Date(timestamp) : new Date(),
-      isUserBound: !!activeBinding,
-      mappingStatus,
-      idempotencyKey: idempotencyKey ? `${req.machine.storeId}_${idempotencyKey}` : null,
-      createdAt: new Date()
-    };
+    if (gamingMachine) {
+      mappingStatus = 'mapped';
+      machineName = gamingMachine.name || gamingMachine.displayName || gamingMachineId;
+      console.log(`✅ Found gaming machine in database: ${machineName} (ID: ${gamingMachine.machineId})`);
+    } else {
+      console.log(`⚠️ Gaming machine ${gamingMachineId} not found in database (hub: ${hub.machineId})`);
+      machineName = `Unmapped ${gamingMachineId}`;
+    }
+  }
+
+  return { gamingMachineId, mappingStatus, machineName };
+}
 
-    // Save event
-    const savedEvent = await Event.create(eventRecord);
+// Look up an already-stored event with the same idempotency key.
+// Daily reports are allowed to be stored again (they carry timestamps).
+async function findDuplicateEvent(hub, idempotencyKey, metadata, dbSession = null) {
+  if (!idempotencyKey) return null;
 
-    // Process daily summary into DailyReport (in background)
-    // Process daily summary into DailyReport (in background)
-if ((eventRecord.eventType === 'money_in' && eventRecord.metadata?.source === 'daily_report') || eventRecord.eventType === 'daily_summary') {  const DailyReportProcessor = require('../services/DailyReportProcessor');
-  const processor = new DailyReportProcessor();
-  
-  setTimeout(async () => {
-    try {
-      await processor.processDailySummaryEvents(
-        req.machine.storeId,
-        req.machine.machineId,
-        eventRecord.timestamp
-      );
-    } catch (error) {
-      console.error('Failed to process daily report:', error);
-    }
-  }, 3000); // Wait 3 seconds for batch to complete
+  const fullIdempotencyKey = `${hub.storeId}_${idempotencyKey}`;
+
+  if (isDailyReportEvent(metadata)) {
+    console.log(`📊 Daily report event - allowing duplicate storage: ${fullIdempotencyKey}`);
+    return null;
+  }
+
+  const existingEvent = await Event.findOne({
+    storeId: hub.storeId,
+    idempotencyKey: fullIdempotencyKey
+  }).session(dbSession);
+
+  if (existingEvent) {
+    console.log(`⚠️ Duplicate event detected (idempotency): ${fullIdempotencyKey}`);
+  }
+  return existingEvent;
 }
 
-// Process bookkeeping/clearing events
-if (eventRecord.eventType === "books_cleared" || eventRecord.eventType === "books_clearing") {
-  const BookkeepingProcessor = require("../services/BookkeepingProcessor");
-  const bookkeepingProcessor = new BookkeepingProcessor();
-  
-  setTimeout(async () => {
-    try {
-      if (eventRecord.eventType === "books_cleared") {
-        await bookkeepingProcessor.processClearingEvent(
-          req.machine.storeId,
-          gamingMachineId,
-          eventRecord,
-          savedEvent._id
-        );
-      } else {
-        await bookkeepingProcessor.processBookkeepingReport(
-          req.machine.storeId,
-          gamingMachineId,
-          eventRecord,
-          savedEvent._id
-        );
-      }
-    } catch (error) {
-      console.error("Failed to process bookkeeping event:", error);
-    }
-  }, 1000);
+// Check for an active user binding on the gaming machine
+async function findActiveBinding(gamingMachineId, dbSession = null) {
+  if (!gamingMachineId) return null;
+
+  const activeBinding = await Session.findOne({
+    machineId: gamingMachineId,
+    status: 'active'
+  }).session(dbSession);
+
+  if (activeBinding) {
+    console.log(`👤 Found active user binding: ${activeBinding.userId} on ${gamingMachineId}`);
+  }
+  return activeBinding;
 }
 
+function buildEventRecord(hub, body, resolution, activeBinding) {
+  const { eventType, amount, timestamp, sessionId, rawData, metadata, idempotencyKey } = body;
+
+  return {
+    eventType,
+    hubMachineId: hub.machineId,
+    gamingMachineId: resolution.gamingMachineId,
+    amount: amount ? parseFloat(amount) : 0,
+    storeId: hub.storeId,
+    userId: activeBinding?.userId || null,
+    userSessionId: activeBinding?.sessionId || null,
+    sessionId: sessionId || null,
+    rawData: rawData || null,
+    metadata: metadata || null,
+    timestamp: timestamp ? new Date(timestamp) : new Date(),
+    isUserBound: !!activeBinding,
+    mappingStatus: resolution.mappingStatus,
+    idempotencyKey: idempotencyKey ? `${hub.storeId}_${idempotencyKey}` : null,
+    createdAt: new Date()
+  };
+}
+
+// Queue DailyReport / bookkeeping processing (durable, retried by worker)
+async function queuePostProcessing(hub, eventRecord, eventId, dbSession = null) {
+  const options = dbSession ? { session: dbSession } : {};
+
+  if ((eventRecord.eventType === 'money_in' && eventRecord.metadata?.source === 'daily_report') || eventRecord.eventType === 'daily_summary') {
+    await ingestQueue.enqueueDailySummary(
+      hub.storeId,
+      hub.machineId,
+      eventRecord.timestamp,
+      eventId,
+      options
+    );
+  }
+
+  if (eventRecord.eventType === 'books_cleared' || eventRecord.eventType === 'books_clearing') {
+    await ingestQueue.enqueueBookkeeping(
+      hub.storeId,
+      eventRecord.gamingMachineId,
+      eventRecord,
+      eventId,
+      options
+    );
+  }
+}
+
+// Reject malformed batch items up front so they never abort a chunk transaction
+function validateBatchItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'Event must be an object';
+  }
+  if (!item.eventType) {
+    return 'eventType is required';
+  }
+  if (!VALID_EVENT_TYPES.includes(item.eventType)) {
+    return `Unknown eventType: ${item.eventType}`;
+  }
+  if (item.timestamp && isNaN(new Date(item.timestamp).getTime())) {
+    return 'Invalid timestamp';
+  }
+  if (item.amount !== undefined && item.amount !== null && isNaN(parseFloat(item.amount))) {
+    return 'Invalid amount';
+  }
+  return null;
+}
+
+// POST /api/edge/events - With idempotency and DailyReport processing
+router.post('/events', authenticateMachine, async (req, res) => {
+  try {
+    const { eventType, amount, metadata, idempotencyKey } = req.body;
+
+    console.log(`📡 Edge event: ${eventType} from ${req.machine.machineId} - $${amount || 0}`);
+
+    const resolution = await resolveGamingMachine(req.machine, req.body);
+    const { gamingMachineId, mappingStatus, machineName } = resolution;
+
+    // Check for duplicate using idempotency key
+    const existingEvent = await findDuplicateEvent(req.machine, idempotencyKey, metadata);
+    if (existingEvent) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        eventReceived: eventType,
+        machineId: req.machine.machineId,
+        gamingMachineId: gamingMachineId,
+        finalMachineId: gamingMachineId,
+        machineName: machineName,
+        mappingStatus: mappingStatus,
+        userBound: false,
+        userId: null,
+        timestamp: existingEvent.createdAt.toISOString()
+      });
+    }
+
+    const activeBinding = await findActiveBinding(gamingMachineId);
+    const eventRecord = buildEventRecord(req.machine, req.body, resolution, activeBinding);
+    const userId = eventRecord.userId;
+
+    // Save the event and queue its processing in one transaction, so an event is
+    // never stored without the job that turns it into a report
+    const dbSession = await mongoose.startSession();
+    let savedEvent;
+    try {
+      await dbSession.withTransaction(async () => {
+        [savedEvent] = await Event.create([eventRecord], { session: dbSession });
+        await queuePostProcessing(req.machine, eventRecord, savedEvent._id, dbSession);
+      });
+    } finally {
+      await dbSession.endSession();
+    }
 
     console.log(`✅ Event processed: ${eventType} from ${gamingMachineId} (${mappingStatus}) ${userId ? 'attributed' : 'anonymous'}`);
 
@@ -307,23 +369,17 @@ if (eventRecord.eventType === "books_cleared" || eventRecord.eventType === "book
       console.log(`⚠️ Duplicate event caught by database constraint`);
       
       // Still process daily reports even if duplicate event
-      const isDailyReport = req.body.metadata?.isDailyReport || req.body.metadata?.source === 'daily_report';
-      if (isDailyReport) {
+      if (isDailyReportEvent(req.body.metadata)) {
         console.log(`📊 Processing daily report despite duplicate event`);
-        const DailyReportProcessor = require('../services/DailyReportProcessor');
-        const processor = new DailyReportProcessor();
-        
-        setTimeout(async () => {
-          try {
-            await processor.processDailySummaryEvents(
-              req.machine.storeId,
-              req.machine.machineId,
-              req.body.timestamp ? new Date(req.body.timestamp) : new Date()
-            );
-          } catch (err) {
-            console.error('Failed to process daily report on duplicate:', err);
-          }
-        }, 3000);
+        try {
+          await ingestQueue.enqueueDailySummary(
+            req.machine.storeId,
+            req.machine.machineId,
+            req.body.timestamp ? new Date(req.body.timestamp) : new Date()
+          );
+        } catch (err) {
+          console.error('Failed to queue daily report on duplicate:', err);
+        }
       }
       
       return res.json({
@@ -338,6 +394,159 @@ if (eventRecord.eventType === "books_cleared" || eventRecord.eventType === "book
   }
 });
 
+// POST /api/edge/events/batch - Ordered replay of a hub's offline queue
+// Each chunk is committed in its own transaction; on failure the hub resumes
+// from the returned cursor (index of the first uncommitted event).
+router.post('/events/batch', authenticateMachine, async (req, res) => {
+  const { events } = req.body;
+  const startIndex = parseInt(req.body.cursor) || 0;
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: 'events must be a non-empty array' });
+  }
+  if (events.length > BATCH_MAX_EVENTS) {
+    return res.status(413).json({
+      error: `Batch too large (max ${BATCH_MAX_EVENTS} events)`,
+      maxEvents: BATCH_MAX_EVENTS
+    });
+  }
+  if (startIndex < 0 || startIndex > events.length) {
+    return res.status(400).json({ error: 'cursor out of range' });
+  }
+
+  console.log(`📦 Edge batch: ${events.length - startIndex} events from ${req.machine.machineId} (cursor ${startIndex})`);
+
+  const results = [];
+  let cursor = startIndex;
+  let chunkError = null;
+
+  for (let chunkStart = startIndex; chunkStart < events.length; chunkStart += BATCH_CHUNK_SIZE) {
+    const chunk = events.slice(chunkStart, chunkStart + BATCH_CHUNK_SIZE);
+    const dbSession = await mongoose.startSession();
+    let chunkResults = [];
+
+    try {
+      await dbSession.withTransaction(async () => {
+        // withTransaction may re-run this callback on transient errors
+        chunkResults = [];
+        const seenKeys = new Set();
+
+        for (let i = 0; i < chunk.length; i++) {
+          const item = chunk[i];
+          const index = chunkStart + i;
+          const base = { index, seq: item?.seq ?? null };
+
+          const rejection = validateBatchItem(item);
+          if (rejection) {
+            chunkResults.push({ ...base, status: 'rejected', reason: rejection });
+            continue;
+          }
+
+          const resolution = await resolveGamingMachine(req.machine, item, dbSession);
+          const { gamingMachineId, mappingStatus } = resolution;
+          const fullKey = item.idempotencyKey ? `${req.machine.storeId}_${item.idempotencyKey}` : null;
+
+          // Same key repeated inside this batch
+          if (fullKey && !isDailyReportEvent(item.metadata) && seenKeys.has(fullKey)) {
+            chunkResults.push({ ...base, status: 'duplicate', gamingMachineId, mappingStatus });
+            continue;
+          }
+
+          const existingEvent = await findDuplicateEvent(req.machine, item.idempotencyKey, item.metadata, dbSession);
+          if (existingEvent) {
+            chunkResults.push({ ...base, status: 'duplicate', eventId: existingEvent._id, gamingMachineId, mappingStatus });
+            continue;
+          }
+
+          // A duplicate-key error would abort the whole transaction, so
+          // check the unique (store, machine, type, key) index ourselves
+          if (fullKey) {
+            const conflicting = await Event.findOne({
+              storeId: req.machine.storeId,
+              gamingMachineId,
+              eventType: item.eventType,
+              idempotencyKey: fullKey
+            }).session(dbSession);
+
+            if (conflicting || seenKeys.has(`${gamingMachineId}:${item.eventType}:${fullKey}`)) {
+              if (isDailyReportEvent(item.metadata)) {
+                await ingestQueue.enqueueDailySummary(
+                  req.machine.storeId,
+                  req.machine.machineId,
+                  item.timestamp ? new Date(item.timestamp) : new Date(),
+                  null,
+                  { session: dbSession }
+                );
+              }
+              chunkResults.push({ ...base, status: 'duplicate', eventId: conflicting?._id || null, gamingMachineId, mappingStatus });
+              continue;
+            }
+          }
+
+          const activeBinding = await findActiveBinding(gamingMachineId, dbSession);
+          const eventRecord = buildEventRecord(req.machine, item, resolution, activeBinding);
+
+          const [savedEvent] = await Event.create([eventRecord], { session: dbSession });
+          await queuePostProcessing(req.machine, eventRecord, savedEvent._id, dbSession);
+
+          if (fullKey) {
+            seenKeys.add(fullKey);
+            seenKeys.add(`${gamingMachineId}:${item.eventType}:${fullKey}`);
+          }
+
+          chunkResults.push({
+            ...base,
+            status: 'accepted',
+            eventId: savedEvent._id,
+            gamingMachineId,
+            mappingStatus,
+            userBound: !!activeBinding,
+            userId: eventRecord.userId
+          });
+        }
+      });
+
+      results.push(...chunkResults);
+      cursor = chunkStart + chunk.length;
+    } catch (error) {
+      console.error(`❌ Edge batch chunk at ${chunkStart} failed:`, error);
+      chunkError = error;
+    } finally {
+      await dbSession.endSession();
+    }
+
+    if (chunkError) break;
+  }
+
+  const summary = { accepted: 0, duplicate: 0, rejected: 0 };
+  results.forEach(r => {
+    summary[r.status] += 1;
+  });
+
+  const complete = cursor >= events.length;
+  console.log(`✅ Edge batch from ${req.machine.machineId}: ${summary.accepted} accepted, ${summary.duplicate} duplicate, ${summary.rejected} rejected${complete ? '' : ` (stopped at ${cursor})`}`);
+
+  // Nothing committed at all -> let the hub retry the whole batch
+  if (chunkError && cursor === startIndex) {
+    return res.status(500).json({
+      error: 'Failed to process event batch',
+      cursor,
+      complete: false
+    });
+  }
+
+  res.json({
+    success: true,
+    complete,
+    cursor,
+    total: events.length,
+    summary,
+    results,
+    ...(chunkError ? { error: 'Batch partially processed; resume from cursor' } : {}),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // POST /api/edge/sessions - Handle session lifecycle events
 router.post('/sessions', authenticateMachine, async (req, res) => {
   try {
@@ -413,8 +622,17 @@ router.post('/sessions', authenticateMachine, async (req, res) => {
 // GET /api/edge/config - Get device configuration
 router.get('/config', authenticateMachine, async (req, res) => {
   try {
-    if (req.machine.type === 'edge_device') {
+    if (isHubDevice(req.machine)) {
       const store = await Store.findOne({ storeId: req.machine.storeId });
+      let hub = await Hub.findOne({ hubId: req.machine.machineId }).lean();
+      if (hub && !hub.configHash) {
+        await hubConfig.materialize(hub.hubId);
+        hub = await Hub.findOne({ hubId: req.machine.machineId }).lean();
+      }
+
+      // Effective settings: system defaults <- store defaults <- hub overrides
+      const { settings, hash } = hubConfig.resolve(hub || { storeId: req.machine.storeId }, store);
+      const targetVersion = hub ? await piReleases.getTargetForHub(hub) : null;
       
       res.json({
         success: true,
@@ -422,8 +640,18 @@ router.get('/config', authenticateMachine, async (req, res) => {
           machineId: req.machine.machineId,
           storeId: req.machine.storeId,
           storeName: store?.storeName || 'Unknown Store',
-          reportingInterval: 30,
-          enableDebug: false
+          reportingInterval: settings.reportingInterval,
+          syncInterval: settings.syncInterval,
+          enableDebug: settings.debugMode,
+          autoRestart: settings.autoRestart,
+          serial: {
+            port: settings.serialPort,
+            baudRate: settings.baudRate,
+            parserVariant: settings.parserVariant
+          },
+          configRevision: hub?.configRevision || 0,
+          configHash: hash,
+          targetVersion
         }
       });
       return;
@@ -470,18 +698,13 @@ router.post('/heartbeat', authenticateMachine, async (req, res) => {
       health,
       hardware,
       software,
-      stats
+      stats,
+      configHash
     } = req.body;
 
-    const { machineId, storeId, type } = req.machine;
-
-    // Determine if this is a hub/Pi device (edge_device or hub-* machineId pattern)
-    const isHub = type === 'edge_device' || 
-                  type === 'hub' || 
-                  machineId.startsWith('hub-') || 
-                  machineId.includes('pi-');
+    const { machineId, storeId } = req.machine;
 
-    if (isHub) {
+    if (isHubDevice(req.machine)) {
       // Handle Hub/Pi heartbeat
       console.log(`💓 Hub heartbeat: ${machineId}`);
       
@@ -559,12 +782,59 @@ router.post('/heartbeat', authenticateMachine, async (req, res) => {
       
       hub.updatedAt = new Date();
       await hub.save();
+
+      // Keep history and run alert rules; never fail the heartbeat over it
+      try {
+        await hubHealth.recordHeartbeat(hub, {
+          cpuUsage: typeof cpuUsage === 'number' ? cpuUsage : undefined,
+          memoryUsage: typeof memoryUsage === 'number' ? memoryUsage : undefined,
+          diskUsage: typeof diskUsage === 'number' ? diskUsage : undefined,
+          cpuTemp: typeof cpuTemp === 'number' ? cpuTemp : undefined,
+          serialConnected: typeof serialConnected === 'boolean' ? serialConnected : undefined,
+          eventsQueued: eventsQueued ?? stats?.totalEventsQueued,
+          eventsProcessed: eventsProcessed ?? stats?.totalEventsProcessed,
+          machineCount: machineCount ?? stats?.totalMachinesConnected,
+          uptime: uptime ?? stats?.uptime,
+          piAppVersion: hub.software?.piAppVersion
+        });
+      } catch (historyError) {
+        console.error(`⚠️ Failed to record heartbeat history for ${machineId}:`, historyError.message);
+      }
+
+      // Piggy-back queued commands on the heartbeat response; the hub picks them
+      // up on its next heartbeat or GET /commands if the queue is unavailable
+      let commands = [];
+      try {
+        commands = await hubCommands.deliverPending(machineId);
+      } catch (commandError) {
+        console.error(`⚠️ Failed to load queued commands for ${machineId}:`, commandError.message);
+      }
+
+      // Compare the config the hub is running against what it should run
+      let configState = { configHash: null, configStale: false };
+      try {
+        configState = await hubConfig.recordReported(hub, configHash);
+      } catch (configError) {
+        console.error(`⚠️ Failed to record config hash for ${machineId}:`, configError.message);
+      }
+
+      // Which Pi app build this hub should be running
+      let targetVersion = null;
+      try {
+        targetVersion = await piReleases.getTargetForHub(hub);
+      } catch (versionError) {
+        console.error(`⚠️ Failed to resolve target version for ${machineId}:`, versionError.message);
+      }
       
       res.json({ 
         success: true, 
         serverTime: new Date().toISOString(),
         hubStatus: 'healthy',
-        message: 'Hub heartbeat received'
+        message: 'Hub heartbeat received',
+        commands,
+        targetVersion,
+        configHash: configState.configHash,
+        configStale: configState.configStale
       });
       
     } else {
@@ -598,6 +868,61 @@ router.post('/heartbeat', authenticateMachine, async (req, res) => {
   }
 });
 
+// GET /api/edge/commands - Poll for queued commands between heartbeats
+router.get('/commands', authenticateMachine, async (req, res) => {
+  try {
+    const commands = await hubCommands.deliverPending(req.machine.machineId);
+
+    res.json({
+      success: true,
+      commands,
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Command poll error:', error);
+    res.status(500).json({ error: 'Failed to load commands' });
+  }
+});
+
+// POST /api/edge/commands/:commandId/result - Hub reports acked/succeeded/failed
+router.post('/commands/:commandId/result', authenticateMachine, async (req, res) => {
+  try {
+    const { status, result, error } = req.body;
+
+    if (!['acked', 'succeeded', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be acked, succeeded or failed' });
+    }
+
+    const command = await HubCommand.findOne({
+      commandId: req.params.commandId,
+      hubId: req.machine.machineId
+    });
+
+    if (!command) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+
+    try {
+      await hubCommands.recordResult(command, status, result, error);
+    } catch (transitionError) {
+      return res.status(409).json({
+        error: transitionError.message,
+        commandId: command.commandId,
+        status: command.status
+      });
+    }
+
+    res.json({
+      success: true,
+      commandId: command.commandId,
+      status: command.status
+    });
+  } catch (error) {
+    console.error('❌ Command result error:', error);
+    res.status(500).json({ error: 'Failed to record command result' });
+  }
+});
+
 // POST /api/edge/refresh-token - Edge/Pi token renewal
 router.post('/refresh-token', async (req, res) => {
   try {
@@ -622,12 +947,17 @@ router.post('/refresh-token', async (req, res) => {
       return res.status(401).json({ error: 'Invalid token type' });
     }
 
+    if (isVersionedHubToken(decoded) && await isHubTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Hub token revoked' });
+    }
+
     const newAccessToken = jwt.sign(
       {
         machineId: decoded.machineId,
         hubId: decoded.hubId,
         storeId: decoded.storeId,
-        type: decoded.type
+        type: decoded.type,
+        tokenVersion: decoded.tokenVersion
       },
       process.env.MACHINE_JWT_SECRET || process.env.JWT_SECRET,
       {
@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const mongoose = require('mongoose');
+const ledger = require('../services/LedgerService');
 
 // Dependencies will be injected from server.js
 let authenticate, redisClient, User, EntropySession;
@@ -82,24 +83,36 @@ router.post('/spin', (req, res, next) => {
         gluckBonus = 0;
       }
       
-      // Update user: consume click, add payout and gluckScore
+      // Update user: consume click, credit payout from the jackpot pool and add gluckScore
       // ALSO track entropy contribution
-      const result = await User.collection.findOneAndUpdate(
-        { _id: new mongoose.Types.ObjectId(userId) },
-        { 
-          $inc: { 
-            clicksAvailable: -1,
-            gambinoBalance: payout,
-            gluckScore: gluckBonus,
-            gamesPlayed: 1,
-            totalWon: payout,
-            totalEntropyContributed: entropyBytesContributed
-          }
-        },
-        { returnDocument: 'after' }
-      );
-      
-      const updatedUser = result.value || result;
+      const updatedUser = await ledger.transaction(async (session) => {
+        if (payout > 0) {
+          await ledger.transfer({
+            from: ledger.accounts.treasury('jackpot'),
+            to: ledger.accounts.user(userId),
+            amount: payout,
+            kind: 'entropy_spin',
+            memo: `Spin ${outcome}`,
+            postedBy: { userId, source: 'entropy' },
+            session
+          });
+        }
+
+        const result = await User.collection.findOneAndUpdate(
+          { _id: new mongoose.Types.ObjectId(userId) },
+          { 
+            $inc: { 
+              clicksAvailable: -1,
+              gluckScore: gluckBonus,
+              gamesPlayed: 1,
+              totalWon: payout,
+              totalEntropyContributed: entropyBytesContributed
+            }
+          },
+          { returnDocument: 'after', session }
+        );
+        return result.value || result;
+      });
       
       console.log(`🎰 User ${userId} spun: ${outcome} (roll: ${roll.toFixed(2)}, payout: ${payout}, entropy: ${entropyBytesContributed}b)`);
       
@@ -1,7 +1,11 @@
 // src/routes/admin/events.js or add to existing admin routes
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Event = require('../models/Event'); // Your Event model
+const DailyReport = require('../models/DailyReport');
+const BookkeepingReport = require('../models/BookkeepingReport');
+const muthaGoose = require('../parsers/muthaGoose');
 const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
 
 /**
@@ -282,6 +286,135 @@ router.get('/today/summary',
   }
 );
 
+// ============================================================================
+// MUTHA GOOSE RE-PARSE
+// ============================================================================
+
+// Ticket types that are consistent with each stored event type
+const EVENT_TICKET_TYPES = {
+  daily_summary: ['daily_summary', 'grand_total'],
+  money_in: ['daily_summary', 'grand_total'],
+  money_out: ['daily_summary', 'grand_total'],
+  voucher: ['voucher'],
+  voucher_print: ['voucher'],
+  books_clearing: ['bookkeeping'],
+  books_cleared: ['clearing']
+};
+
+// What we stored for this event, keyed by the parser's field names
+async function loadRecordedFields(event) {
+  const recorded = {};
+
+  if (event.gamingMachineId && event.gamingMachineId !== 'grand_total') {
+    recorded.machineId = event.gamingMachineId;
+  }
+  if (event.amount !== null && event.amount !== undefined) {
+    const amountField = { money_in: 'moneyIn', money_out: 'moneyOut', voucher: 'amount', voucher_print: 'amount' }[event.eventType];
+    if (amountField) recorded[amountField] = event.amount;
+  }
+
+  if (event.generatedReportId) {
+    const report = await DailyReport.findById(event.generatedReportId).lean();
+    if (report) {
+      const machine = (report.machineData || []).find(m => m.machineId === event.gamingMachineId);
+      if (machine) {
+        recorded.moneyIn = machine.moneyIn;
+        recorded.moneyOut = machine.collect;
+      } else if (event.gamingMachineId === 'grand_total') {
+        recorded.moneyIn = report.totalMoneyIn;
+        recorded.moneyOut = report.totalCollect;
+      }
+    }
+  }
+
+  if (event.eventType === 'books_clearing') {
+    const report = await BookkeepingReport.findOne({ sourceEventId: event._id }).lean();
+    const machine = report?.machineData?.[0];
+    if (machine) {
+      recorded.lifetimeIn = machine.lifetimeIn;
+      recorded.lifetimeOut = machine.lifetimeOut;
+      recorded.lifetimeGames = machine.lifetimeGames;
+    }
+  }
+
+  if (event.eventType === 'books_cleared' && event.metadata?.clearCount !== undefined) {
+    recorded.clearCount = event.metadata.clearCount;
+  }
+
+  return recorded;
+}
+
+/**
+ * GET /api/admin/events/parser/formats
+ * Registered Mutha Goose ticket formats
+ */
+router.get('/parser/formats',
+  authenticate,
+  requirePermission(PERMISSIONS.VIEW_MACHINES),
+  (req, res) => {
+    res.json({
+      success: true,
+      formats: muthaGoose.listFormats(),
+      variants: muthaGoose.listVariants(),
+      ticketTypes: muthaGoose.TICKET_TYPES
+    });
+  }
+);
+
+/**
+ * GET /api/admin/events/:eventId/reparse
+ * Re-parse a stored event's rawData and diff it field by field against what was recorded.
+ * Query: variant (parser format id, default auto-detect)
+ */
+router.get('/:eventId/reparse',
+  authenticate,
+  requirePermission(PERMISSIONS.VIEW_ALL_METRICS),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+        return res.status(400).json({ error: 'Invalid event ID' });
+      }
+
+      const event = await Event.findById(req.params.eventId).lean();
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      if (!event.rawData) {
+        return res.status(422).json({ error: 'Event has no rawData to parse' });
+      }
+
+      const parsed = muthaGoose.parse(event.rawData, { variant: req.query.variant });
+      const recorded = await loadRecordedFields(event);
+      const diff = muthaGoose.diffFields(recorded, parsed);
+      const expectedTypes = EVENT_TICKET_TYPES[event.eventType] || [];
+
+      res.json({
+        success: true,
+        event: {
+          id: event._id,
+          eventType: event.eventType,
+          gamingMachineId: event.gamingMachineId,
+          storeId: event.storeId,
+          timestamp: event.timestamp,
+          rawData: event.rawData
+        },
+        parse: {
+          format: parsed.format,
+          ticketType: parsed.ticketType,
+          ticketTypeMatches: expectedTypes.includes(parsed.ticketType),
+          confidence: parsed.confidence,
+          warnings: parsed.warnings
+        },
+        diff,
+        mismatches: diff.filter(d => d.match === false).length
+      });
+    } catch (error) {
+      console.error('❌ Failed to re-parse event:', error);
+      res.status(500).json({ error: 'Failed to re-parse event' });
+    }
+  }
+);
+
 module.exports = router;
 /**
  * GET /api/admin/events/books-cleared
@@ -0,0 +1,103 @@
+// src/routes/governance.js
+const express = require('express');
+const router = express.Router();
+const governance = require('../services/GovernanceService');
+const { authenticate } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// USER ENDPOINTS - Governance proposals and voting
+// Voting power is gluckScore plus locked GG weight, frozen when a proposal opens
+// ============================================================================
+
+// GET /api/governance/power - The caller's governance power right now
+router.get('/power', authenticate, async (req, res) => {
+  try {
+    const power = await governance.powerOf(req.user.userId);
+    res.json({ success: true, ...power });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load governance power');
+  }
+});
+
+// GET /api/governance/parameters - Rarity values in force, the defaults, what a
+// proposal may change and the default voting rules
+router.get('/parameters', authenticate, (req, res) => {
+  res.json({ success: true, ...governance.parameters() });
+});
+
+// GET /api/governance/proposals - ?status (open | all | <status>), ?type
+router.get('/proposals', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const { proposals, total } = await governance.list({
+      status: req.query.status,
+      type: req.query.type,
+      limit,
+      skip
+    });
+
+    res.json({
+      success: true,
+      proposals,
+      pagination: {
+        total,
+        limit,
+        skip,
+        hasMore: skip + proposals.length < total
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load proposals');
+  }
+});
+
+// POST /api/governance/proposals - File a proposal
+// Body: { title, description, type, startsAt?, endsAt? | votingDays?,
+//         changes: [{ parameter, value }]                        (parameter_change)
+//         grant: { accountType, amount, toAddress, recipientName } (treasury_grant)
+//         venue: { name, city, state, operator, note }             (new_venue)
+//         quorumPercent?, thresholdPercent? (administrators only) }
+router.post('/proposals', authenticate, async (req, res) => {
+  try {
+    const proposal = await governance.create(req.user, req.body || {});
+    res.status(201).json({ success: true, proposal });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create proposal');
+  }
+});
+
+// GET /api/governance/proposals/:proposalId - With live tally and the caller's ballot
+router.get('/proposals/:proposalId', authenticate, async (req, res) => {
+  try {
+    const proposal = await governance.get(req.params.proposalId, req.user.userId);
+    res.json({ success: true, proposal });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load proposal');
+  }
+});
+
+// POST /api/governance/proposals/:proposalId/vote - Body: { choice: yes | no | abstain, reason? }
+// Voting again replaces the earlier ballot
+router.post('/proposals/:proposalId/vote', authenticate, async (req, res) => {
+  try {
+    const vote = await governance.vote(req.params.proposalId, req.user, req.body || {});
+    res.json({ success: true, vote });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to record vote');
+  }
+});
+
+// POST /api/governance/proposals/:proposalId/cancel - Proposer or administrator; Body: { reason }
+router.post('/proposals/:proposalId/cancel', authenticate, async (req, res) => {
+  try {
+    const proposal = await governance.cancel(req.params.proposalId, req.user, req.body?.reason);
+    res.json({ success: true, proposal });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to cancel proposal');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+// src/routes/hubAlerts.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const HubAlert = require('../models/HubAlert');
+const HubAlertRule = require('../models/HubAlertRule');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Hub health alerts
+// ============================================================================
+
+// GET /api/admin/hub-alerts - List alerts (open by default)
+router.get('/',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const { hubId, storeId, ruleType } = req.query;
+      const status = req.query.status || 'open';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const query = {};
+      if (status !== 'all') query.status = status;
+      if (hubId) query.hubId = hubId;
+      if (storeId) query.storeId = storeId;
+      if (ruleType) query.ruleType = ruleType;
+
+      // Venue managers/staff only see their assigned stores
+      if (['venue_manager', 'venue_staff'].includes(req.user.role)) {
+        if (storeId && !req.user.assignedVenues.includes(storeId)) {
+          return res.status(403).json({ error: 'Access denied to this venue' });
+        }
+        if (!storeId) query.storeId = { $in: req.user.assignedVenues };
+      }
+
+      const [alerts, total] = await Promise.all([
+        HubAlert.find(query).sort({ triggeredAt: -1 }).skip(skip).limit(limit).lean(),
+        HubAlert.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        alerts,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + alerts.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list hub alerts:', error);
+      res.status(500).json({ error: 'Failed to load alerts' });
+    }
+  }
+);
+
+// POST /api/admin/hub-alerts/:alertId/acknowledge - Stop re-notifications
+router.post('/:alertId/acknowledge',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) {
+        return res.status(400).json({ error: 'Invalid alert ID' });
+      }
+
+      const alert = await HubAlert.findById(req.params.alertId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      if (['venue_manager', 'venue_staff'].includes(req.user.role) &&
+          !req.user.assignedVenues.includes(alert.storeId)) {
+        return res.status(403).json({ error: 'Access denied to this venue' });
+      }
+
+      alert.acknowledgedAt = new Date();
+      alert.acknowledgedBy = req.user.email;
+      await alert.save();
+
+      console.log(`👀 Hub alert ${alert._id} acknowledged by ${req.user.email}`);
+
+      res.json({ success: true, alert });
+    } catch (error) {
+      console.error('❌ Failed to acknowledge hub alert:', error);
+      res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+  }
+);
+
+// ============================================================================
+// ALERT RULES
+// ============================================================================
+
+const RULE_FIELDS = ['ruleType', 'storeId', 'hubId', 'threshold', 'windowMinutes', 'enabled', 'description', 'recipients', 'renotifyMinutes'];
+
+function pickRuleFields(body) {
+  const fields = {};
+  RULE_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+}
+
+// GET /api/admin/hub-alerts/rules - List rules
+router.get('/rules',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const rules = await HubAlertRule.find()
+        .sort({ ruleType: 1, hubId: 1, storeId: 1 })
+        .lean();
+
+      res.json({
+        success: true,
+        rules,
+        ruleTypes: HubAlertRule.RULE_TYPES
+      });
+    } catch (error) {
+      console.error('❌ Failed to list hub alert rules:', error);
+      res.status(500).json({ error: 'Failed to load alert rules' });
+    }
+  }
+);
+
+// POST /api/admin/hub-alerts/rules - Create a rule (global, store or hub scoped)
+router.post('/rules',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      const fields = pickRuleFields(req.body);
+
+      if (!HubAlertRule.RULE_TYPES.includes(fields.ruleType)) {
+        return res.status(400).json({ error: 'Invalid ruleType', validTypes: HubAlertRule.RULE_TYPES });
+      }
+      if (typeof fields.threshold !== 'number') {
+        return res.status(400).json({ error: 'threshold (number) is required' });
+      }
+
+      const rule = await HubAlertRule.create({
+        ...fields,
+        createdBy: req.user.email,
+        lastModifiedBy: req.user.email
+      });
+
+      console.log(`🚨 Hub alert rule created: ${rule.ruleType} by ${req.user.email}`);
+
+      res.status(201).json({ success: true, rule });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to create hub alert rule:', error);
+      res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+  }
+);
+
+// PUT /api/admin/hub-alerts/rules/:ruleId - Update a rule
+router.put('/rules/:ruleId',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+        return res.status(400).json({ error: 'Invalid rule ID' });
+      }
+
+      const fields = pickRuleFields(req.body);
+      delete fields.ruleType;
+
+      const rule = await HubAlertRule.findByIdAndUpdate(
+        req.params.ruleId,
+        { ...fields, lastModifiedBy: req.user.email },
+        { new: true, runValidators: true }
+      );
+
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.json({ success: true, rule });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to update hub alert rule:', error);
+      res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+  }
+);
+
+// DELETE /api/admin/hub-alerts/rules/:ruleId - Delete a rule
+router.delete('/rules/:ruleId',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+        return res.status(400).json({ error: 'Invalid rule ID' });
+      }
+
+      const rule = await HubAlertRule.findByIdAndDelete(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.json({ success: true, message: 'Rule deleted' });
+    } catch (error) {
+      console.error('❌ Failed to delete hub alert rule:', error);
+      res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+  }
+);
+
+module.exports = router;
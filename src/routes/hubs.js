@@ -8,8 +8,18 @@ const Machine = require('../models/Machine');
 const Store = require('../models/Store');
 const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
 const Event = require('../models/Event');
-const SSH_KEY_PATH = process.env.SSH_KEY_PATH || '';
-const SSH_USER = process.env.SSH_USER || 'gambino';
+const HubLog = require('../models/HubLog');
+const mongoose = require('mongoose');
+const HubCommand = require('../models/HubCommand');
+const hubCommands = require('../services/HubCommandService');
+const { COMMAND_PERMISSIONS } = require('../services/HubCommandService');
+const HubAlert = require('../models/HubAlert');
+const hubHealth = require('../services/HubHealthService');
+const hubConfig = require('../services/HubConfigService');
+const { SETTINGS: HUB_CONFIG_SETTINGS } = require('../services/HubConfigService');
+const { authenticateMachine } = require('./edge');
+const businessDay = require('../utils/businessDay');
+const MAX_LOG_BATCH = 5000;
 
 // ============================================================================
 // ADMIN ENDPOINTS - Hub Management
@@ -480,6 +490,7 @@ router.get('/edge/token-status', async (req, res) => {
 
 // PUT /api/admin/hubs/:hubId - Update hub
 router.put('/:hubId',
+  express.json(),
   authenticate,
   requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
   async (req, res) => {
@@ -501,22 +512,47 @@ router.put('/:hubId',
         }
       }
       
+      // Settings the Pi runs go through remote config so they are versioned
+      const configSettings = {};
+      for (const [key, spec] of Object.entries(HUB_CONFIG_SETTINGS)) {
+        const value = req.body[spec.path[0]]?.[spec.path[1]];
+        if (value !== undefined) configSettings[key] = value;
+      }
+      const configErrors = hubConfig.validate(configSettings);
+      if (configErrors.length) {
+        return res.status(400).json({ error: 'Invalid settings', details: configErrors });
+      }
+
       const updates = {};
       if (req.body.name) updates.name = req.body.name;
       if (req.body.status) updates.status = req.body.status;
-      if (req.body.config) updates.config = { ...hub.config, ...req.body.config };
-      if (req.body.serialConfig) {
-        updates.serialConfig = { ...hub.serialConfig, ...req.body.serialConfig };
+      if (req.body.config?.logRetentionDays !== undefined) {
+        updates['config.logRetentionDays'] = req.body.config.logRetentionDays;
+      }
+      if (req.body.serialConfig?.muthaGooseVersion !== undefined) {
+        updates['serialConfig.muthaGooseVersion'] = req.body.serialConfig.muthaGooseVersion;
       }
       
       updates.lastModifiedBy = req.user.email;
       updates.updatedAt = new Date();
       
-      const updatedHub = await Hub.findOneAndUpdate(
+      let updatedHub = await Hub.findOneAndUpdate(
         { hubId: req.params.hubId },
         updates,
-        { new: true }
+        { new: true, runValidators: true }
       );
+
+      if (Object.keys(configSettings).length) {
+        await hubConfig.update('hub', hub.hubId, configSettings, req.user, 'Edited from hub settings');
+        updatedHub = await Hub.findOne({ hubId: hub.hubId });
+      }
+      
+      // Retention changed - move expiry of already stored logs too
+      const newRetention = req.body.config?.logRetentionDays;
+      if (newRetention && newRetention !== hub.config?.logRetentionDays) {
+        const updatedLogs = await HubLog.applyRetention(updatedHub.hubId, newRetention);
+        console.log(`🗂️ Log retention for ${updatedHub.hubId} set to ${newRetention} days (${updatedLogs} logs updated)`);
+      }
       
       console.log(`✅ Hub updated: ${updatedHub.hubId}`);
       
@@ -526,6 +562,9 @@ router.put('/:hubId',
         hub: updatedHub
       });
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Update hub error:', error);
       res.status(500).json({ error: 'Failed to update hub' });
     }
@@ -754,14 +793,17 @@ router.get('/:hubId/discovered-machines',
         }
       }
       
-      // Date range filtering (default to last 7 days)
-      const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
-      endDate.setHours(23, 59, 59, 999);
-      
-      const startDate = req.query.startDate 
-        ? new Date(req.query.startDate) 
-        : new Date(endDate.getTime() - (30 * 24 * 60 * 60 * 1000)); // 30 days ago
-      startDate.setHours(0, 0, 0, 0);
+      // Business-day range filtering on reportDate (default to last 30 days)
+      const settings = await businessDay.forStore(hub.storeId);
+      const endKey = businessDay.toDayKey(req.query.endDate || new Date(), settings);
+      const startKey = req.query.startDate
+        ? businessDay.toDayKey(req.query.startDate, settings)
+        : businessDay.addDays(endKey, -30);
+      if (!startKey || !endKey) {
+        return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+      }
+      const startDate = businessDay.keyToDate(startKey);
+      const endDate = businessDay.keyToDate(endKey);
       
       const distinctMachineIds = (await Event.distinct('gamingMachineId', { 
         hubMachineId: hubId,
@@ -911,7 +953,50 @@ router.get('/:hubId/events',
   }
 );
 
-// GET /api/admin/hubs/:hubId/logs - Get Pi system logs
+// Build the HubLog filter shared by the list and tail endpoints
+function buildHubLogQuery(hubId, params) {
+  const query = { hubId };
+
+  if (params.level) {
+    const levels = String(params.level).split(',').map(l => l.trim()).filter(Boolean);
+    query.level = { $in: levels };
+  }
+  if (params.source) {
+    const sources = String(params.source).split(',').map(s => s.trim()).filter(Boolean);
+    query.source = { $in: sources };
+  }
+  if (params.from || params.to) {
+    query.timestamp = {};
+    if (params.from) query.timestamp.$gte = new Date(params.from);
+    if (params.to) query.timestamp.$lte = new Date(params.to);
+  }
+  if (params.q) {
+    query.$text = { $search: String(params.q) };
+  }
+
+  return query;
+}
+
+// Load a hub and enforce venue access for managers/staff
+async function loadHubForUser(req, res) {
+  const hub = await Hub.findOne({ hubId: req.params.hubId }).lean();
+  if (!hub) {
+    res.status(404).json({ error: 'Hub not found' });
+    return null;
+  }
+
+  if (['venue_manager', 'venue_staff'].includes(req.user.role)) {
+    if (!req.user.assignedVenues.includes(hub.storeId)) {
+      res.status(403).json({ error: 'Access denied to this hub' });
+      return null;
+    }
+  }
+
+  return hub;
+}
+
+// GET /api/admin/hubs/:hubId/logs - Search Pi logs
+// Query: q (full text), level, source (comma lists), from, to, cursor, limit
 router.get('/:hubId/logs',
   authenticate,
   requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
@@ -919,100 +1004,53 @@ router.get('/:hubId/logs',
     try {
       const { hubId } = req.params;
       const limit = Math.min(parseInt(req.query.limit) || 100, 500); // Max 500 logs
-      const level = req.query.level; // Optional filter: 'error', 'warn', 'info', 'debug'
-      
-      // Check hub exists and user has access
-      const hub = await Hub.findOne({ hubId });
-      if (!hub) {
-        return res.status(404).json({ error: 'Hub not found' });
-      }
 
-      // Venue manager access check
-      if (['venue_manager', 'venue_staff'].includes(req.user.role)) {
-        if (!req.user.assignedVenues.includes(hub.storeId)) {
-          return res.status(403).json({ error: 'Access denied to this hub' });
-        }
-      }
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
 
-      // For now, we'll generate synthetic logs based on hub health data
-      // In production, Pi devices would send actual logs via POST endpoint
-      const logs = [];
-      
-      // Add current health status as a log entry
-      if (hub.health) {
-        logs.push({
-          timestamp: new Date(),
-          level: 'info',
-          message: `System Status: CPU ${hub.health.cpuUsage?.toFixed(1)}%, Memory ${hub.health.memoryUsage?.toFixed(1)}%, Disk ${hub.health.diskUsage?.toFixed(1)}%`,
-          source: 'system',
-          hubId
-        });
+      if (req.query.from && isNaN(new Date(req.query.from).getTime())) {
+        return res.status(400).json({ error: 'Invalid from date' });
       }
-
-      // Add serial connection status
-      if (hub.health) {
-        logs.push({
-          timestamp: new Date(),
-          level: hub.health.serialConnected ? 'info' : 'error',
-          message: hub.health.serialConnected 
-            ? `Serial connection active on ${hub.serialConfig?.port || '/dev/ttyUSB0'}`
-            : `Serial connection lost on ${hub.serialConfig?.port || '/dev/ttyUSB0'}`,
-          source: 'serial',
-          hubId
-        });
+      if (req.query.to && isNaN(new Date(req.query.to).getTime())) {
+        return res.status(400).json({ error: 'Invalid to date' });
       }
 
-      // Add last error if exists
-      if (hub.health?.lastError) {
-        logs.push({
-          timestamp: hub.health.lastErrorAt || new Date(),
-          level: 'error',
-          message: hub.health.lastError,
-          source: 'error',
-          hubId
-        });
-      }
+      const query = buildHubLogQuery(hubId, req.query);
 
-      // Add online/offline status
-      const isOnline = hub.lastHeartbeat && 
-                      (new Date() - new Date(hub.lastHeartbeat)) < 2 * 60 * 1000;
-      logs.push({
-        timestamp: hub.lastHeartbeat || new Date(),
-        level: isOnline ? 'info' : 'warn',
-        message: isOnline 
-          ? 'Hub is online and sending heartbeats'
-          : `Hub offline - last heartbeat ${hub.lastHeartbeat ? new Date(hub.lastHeartbeat).toLocaleString() : 'never'}`,
-        source: 'heartbeat',
-        hubId
-      });
-
-      // Add configuration info
-      if (hub.config?.debugMode) {
-        logs.push({
-          timestamp: new Date(),
-          level: 'debug',
-          message: 'Debug mode is enabled',
-          source: 'config',
-          hubId
-        });
+      if (req.query.cursor) {
+        const cursor = HubLog.decodeCursor(req.query.cursor);
+        if (!cursor) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        query.$or = [
+          { timestamp: { $lt: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { $lt: cursor._id } }
+        ];
       }
 
-      // Sort by timestamp descending
-      logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      // Fetch one extra to know whether there is another page
+      const logs = await HubLog.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('-expiresAt -__v')
+        .lean();
 
-      // Filter by level if specified
-      const filteredLogs = level 
-        ? logs.filter(log => log.level === level).slice(0, limit)
-        : logs.slice(0, limit);
+      const hasMore = logs.length > limit;
+      if (hasMore) logs.pop();
 
-      console.log(`✅ Retrieved ${filteredLogs.length} logs for hub ${hubId}`);
+      console.log(`✅ Retrieved ${logs.length} logs for hub ${hubId}`);
 
       res.json({
         success: true,
         hubId,
-        logs: filteredLogs,
-        total: filteredLogs.length,
-        note: 'These are system-generated logs. Real-time Pi logs require Pi software update to stream logs to backend.'
+        logs,
+        total: logs.length,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? HubLog.encodeCursor(logs[logs.length - 1]) : null
+        },
+        retentionDays: hub.config?.logRetentionDays || 14
       });
 
     } catch (error) {
@@ -1025,6 +1063,87 @@ router.get('/:hubId/logs',
   }
 );
 
+// GET /api/admin/hubs/:hubId/logs/tail - Live tail over Server-Sent Events
+// Accepts the same level/source/q filters as the search endpoint
+router.get('/:hubId/logs/tail',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const { hubId } = req.params;
+
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const baseQuery = buildHubLogQuery(hubId, { level: req.query.level, source: req.query.source, q: req.query.q });
+      const backlog = Math.min(parseInt(req.query.backlog) || 50, 500);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Start with the most recent lines, oldest first
+      const recent = await HubLog.find(baseQuery)
+        .sort({ _id: -1 })
+        .limit(backlog)
+        .select('-expiresAt -__v')
+        .lean();
+      recent.reverse();
+      recent.forEach(log => send('log', log));
+
+      let lastId = recent.length ? recent[recent.length - 1]._id : new mongoose.Types.ObjectId();
+      let polling = false;
+
+      console.log(`📡 Log tail opened for hub ${hubId} by ${req.user.email}`);
+
+      const poll = setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try {
+          const logs = await HubLog.find({ ...baseQuery, _id: { $gt: lastId } })
+            .sort({ _id: 1 })
+            .limit(500)
+            .select('-expiresAt -__v')
+            .lean();
+
+          logs.forEach(log => send('log', log));
+          if (logs.length) lastId = logs[logs.length - 1]._id;
+        } catch (error) {
+          console.error(`❌ Log tail poll failed for hub ${hubId}:`, error.message);
+          send('error', { error: 'Failed to load logs' });
+        } finally {
+          polling = false;
+        }
+      }, 2000);
+
+      // Keep proxies from closing an idle stream
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+      req.on('close', () => {
+        clearInterval(poll);
+        clearInterval(keepAlive);
+        console.log(`📡 Log tail closed for hub ${hubId}`);
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to open log tail:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to open log tail' });
+      } else {
+        res.end();
+      }
+    }
+  }
+);
+
 // POST /api/admin/hubs/:hubId/register-machine - Register a single machine
 router.post('/:hubId/register-machine',
   authenticate,
@@ -1066,27 +1185,51 @@ router.post('/:hubId/register-machine',
   }
 );
 
-// BONUS: POST endpoint for Pi to send logs (for future Pi software update)
+// POST /api/admin/hubs/:hubId/logs - Pi uploads batched log lines (edge token)
+// Body may be gzip'd (Content-Encoding: gzip): { logs: [{ timestamp, level, source, message, context }] }
+// Plain strings are accepted as info-level lines.
 router.post('/:hubId/logs',
-  authenticate,
+  express.json({ limit: '10mb' }),
+  authenticateMachine,
   async (req, res) => {
     try {
       const { hubId } = req.params;
-      const { logs } = req.body;
+      const logs = req.body?.logs;
 
-      // Verify this request is from the Pi (check machine token)
-      if (req.user.type !== 'hub' || req.user.hubId !== hubId) {
+      // Verify this request is from the Pi itself
+      if (req.machine.machineId !== hubId) {
         return res.status(403).json({ error: 'Unauthorized' });
       }
 
-      // In production, you'd store these logs in a Log collection
-      // For now, just acknowledge receipt
-      console.log(`📝 Received ${logs?.length || 0} logs from hub ${hubId}`);
+      if (!Array.isArray(logs) || logs.length === 0) {
+        return res.status(400).json({ error: 'logs must be a non-empty array' });
+      }
+      if (logs.length > MAX_LOG_BATCH) {
+        return res.status(413).json({ error: `Too many log lines (max ${MAX_LOG_BATCH})` });
+      }
+
+      const hub = await Hub.findOne({ hubId }).select('hubId storeId config').lean();
+      if (!hub) {
+        return res.status(404).json({ error: 'Hub not found' });
+      }
+
+      const receivedAt = new Date();
+      const docs = logs
+        .map(entry => HubLog.normalizeEntry(entry, hub, receivedAt))
+        .filter(Boolean);
+
+      if (docs.length > 0) {
+        await HubLog.insertMany(docs, { ordered: false });
+      }
+
+      console.log(`📝 Stored ${docs.length}/${logs.length} logs from hub ${hubId}`);
 
       res.json({
         success: true,
-        message: `Received ${logs?.length || 0} logs`,
-        timestamp: new Date()
+        message: `Received ${logs.length} logs`,
+        stored: docs.length,
+        skipped: logs.length - docs.length,
+        timestamp: receivedAt
       });
 
     } catch (error) {
@@ -1099,84 +1242,506 @@ router.post('/:hubId/logs',
   }
 );
 
-// POST /api/admin/hubs/:hubId/restart - Restart gambino-pi service
-router.post('/:hubId/restart',
+// GET /api/admin/hubs/:hubId/health-history - Heartbeat history
+// Query: from, to (default last 24h), resolution=raw|5m (auto by range)
+router.get('/:hubId/health-history',
   authenticate,
-  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
   async (req, res) => {
     try {
-      const hub = await Hub.findOne({ hubId: req.params.hubId });
-      
-      if (!hub) {
-        return res.status(404).json({ error: 'Hub not found' });
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+      const { resolution } = req.query;
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ error: 'Invalid from/to range' });
+      }
+      if (resolution && !['raw', '5m'].includes(resolution)) {
+        return res.status(400).json({ error: 'resolution must be raw or 5m' });
       }
 
-      // Venue access check
+      const history = await hubHealth.getHistory(hub.hubId, from, to, resolution);
+      const alerts = await HubAlert.find({
+        hubId: hub.hubId,
+        triggeredAt: { $lte: to },
+        $or: [{ resolvedAt: null }, { resolvedAt: { $gte: from } }]
+      }).sort({ triggeredAt: -1 }).lean();
+
+      res.json({
+        success: true,
+        hubId: hub.hubId,
+        from,
+        to,
+        resolution: history.resolution,
+        points: history.points,
+        count: history.points.length,
+        alerts
+      });
+    } catch (error) {
+      console.error('❌ Failed to get hub health history:', error);
+      res.status(500).json({ error: 'Failed to load health history' });
+    }
+  }
+);
+
+// ============================================================================
+// HUB COMMAND CHANNEL
+// Hubs pick commands up on /api/edge/heartbeat (or /api/edge/commands)
+// and report back through /api/edge/commands/:commandId/result
+// ============================================================================
+
+// Queue a command for a hub after RBAC + venue checks
+async function issueHubCommand(req, res, commandType, params, reason) {
+  if (!HubCommand.COMMAND_TYPES.includes(commandType)) {
+    res.status(400).json({
+      error: `Unknown command type: ${commandType}`,
+      validTypes: HubCommand.COMMAND_TYPES
+    });
+    return null;
+  }
+
+  if (!hubCommands.canIssue(req.user.role, commandType)) {
+    res.status(403).json({
+      error: 'Insufficient permissions for this command',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      commandType,
+      required: COMMAND_PERMISSIONS[commandType]
+    });
+    return null;
+  }
+
+  const paramError = hubCommands.validateParams(commandType, params);
+  if (paramError) {
+    res.status(400).json({ error: paramError });
+    return null;
+  }
+
+  const hub = await loadHubForUser(req, res);
+  if (!hub) return null;
+
+  return hubCommands.issue(hub, commandType, params, req.user, reason);
+}
+
+// POST /api/admin/hubs/:hubId/commands - Queue a command
+router.post('/:hubId/commands',
+  express.json(),
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES, PERMISSIONS.MANAGE_MACHINES]),
+  async (req, res) => {
+    try {
+      const { type, params, reason } = req.body || {};
+
+      const command = await issueHubCommand(req, res, type, params, reason);
+      if (!command) return;
+
+      res.status(201).json({
+        success: true,
+        command
+      });
+    } catch (error) {
+      console.error('❌ Failed to queue hub command:', error);
+      res.status(500).json({ error: 'Failed to queue command' });
+    }
+  }
+);
+
+// GET /api/admin/hubs/:hubId/commands - Command history / audit trail
+router.get('/:hubId/commands',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const { hubId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      await HubCommand.expireStale({ hubId });
+
+      const query = { hubId };
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.type) query.commandType = req.query.type;
+
+      const [commands, total] = await Promise.all([
+        HubCommand.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        HubCommand.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        hubId,
+        commands,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + commands.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list hub commands:', error);
+      res.status(500).json({ error: 'Failed to load commands' });
+    }
+  }
+);
+
+// GET /api/admin/hubs/:hubId/commands/:commandId - Command detail
+router.get('/:hubId/commands/:commandId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const command = await HubCommand.findOne({
+        hubId: hub.hubId,
+        commandId: req.params.commandId
+      }).lean();
+
+      if (!command) {
+        return res.status(404).json({ error: 'Command not found' });
+      }
+
+      res.json({ success: true, command });
+    } catch (error) {
+      console.error('❌ Failed to get hub command:', error);
+      res.status(500).json({ error: 'Failed to load command' });
+    }
+  }
+);
+
+// POST /api/admin/hubs/:hubId/commands/:commandId/cancel - Cancel a queued command
+router.post('/:hubId/commands/:commandId/cancel',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES, PERMISSIONS.MANAGE_MACHINES]),
+  async (req, res) => {
+    try {
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const command = await HubCommand.findOne({
+        hubId: hub.hubId,
+        commandId: req.params.commandId
+      });
+
+      if (!command) {
+        return res.status(404).json({ error: 'Command not found' });
+      }
+      if (!hubCommands.canIssue(req.user.role, command.commandType)) {
+        return res.status(403).json({ error: 'Insufficient permissions for this command' });
+      }
+
+      await hubCommands.cancel(command, req.user);
+
+      res.json({ success: true, command });
+    } catch (error) {
+      if (error.message.startsWith('Only queued')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('❌ Failed to cancel hub command:', error);
+      res.status(500).json({ error: 'Failed to cancel command' });
+    }
+  }
+);
+
+// ============================================================================
+// REMOTE CONFIG - Versioned hub settings with store-level defaults
+// ============================================================================
+
+// GET /api/admin/hubs/config/stale - Hubs running a different config than they should
+router.get('/config/stale',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.storeId) filter.storeId = req.query.storeId;
+
       if (['venue_manager', 'venue_staff'].includes(req.user.role)) {
-        if (!req.user.assignedVenues.includes(hub.storeId)) {
-          return res.status(403).json({ error: 'Access denied to this hub' });
+        if (req.query.storeId && !req.user.assignedVenues.includes(req.query.storeId)) {
+          return res.status(403).json({ error: 'Access denied to this venue' });
         }
+        if (!req.query.storeId) filter.storeId = { $in: req.user.assignedVenues };
       }
 
-      // Check if hub is online
-      const isOnline = hub.lastHeartbeat && 
-        (new Date().getTime() - new Date(hub.lastHeartbeat).getTime()) < 120000;
-      
-      if (!isOnline) {
-        return res.status(400).json({ 
-          error: 'Hub is offline. Cannot restart service.',
-          lastHeartbeat: hub.lastHeartbeat 
-        });
+      const hubs = await hubConfig.findStale(filter);
+      res.json({ success: true, count: hubs.length, hubs });
+    } catch (error) {
+      console.error('❌ Failed to list stale hub configs:', error);
+      res.status(500).json({ error: 'Failed to load stale configs' });
+    }
+  }
+);
+
+// GET /api/admin/hubs/:hubId/config - Effective config with the source of each value
+router.get('/:hubId/config',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const store = await Store.findOne({ storeId: hub.storeId }).select('hubConfigDefaults hubConfigRevision').lean();
+      const { settings, sources, hash } = hubConfig.resolve(hub, store);
+
+      res.json({
+        success: true,
+        hubId: hub.hubId,
+        storeId: hub.storeId,
+        settings,
+        sources,
+        overrides: hub.configOverrides || {},
+        storeDefaults: store?.hubConfigDefaults || {},
+        revision: hub.configRevision || 0,
+        storeRevision: store?.hubConfigRevision || 0,
+        configHash: hash,
+        reportedConfigHash: hub.reportedConfigHash || null,
+        configReportedAt: hub.configReportedAt || null,
+        stale: Boolean(hub.reportedConfigHash) && hub.reportedConfigHash !== hash
+      });
+    } catch (error) {
+      console.error('❌ Failed to load hub config:', error);
+      res.status(500).json({ error: 'Failed to load hub config' });
+    }
+  }
+);
+
+// PUT /api/admin/hubs/:hubId/config - Change hub overrides (null clears back to the store default)
+router.put('/:hubId/config',
+  express.json(),
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      const { settings, note } = req.body || {};
+
+      const errors = hubConfig.validate(settings);
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid settings', details: errors });
       }
 
-      // Update hub status to restarting
-      hub.status = 'restarting';
-      hub.lastModifiedBy = req.user.email;
-      await hub.save();
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
 
-      // Execute service restart via SSH
-      const { exec } = require('child_process');
-      
-      // Use Tailscale IP or hostname - adjust this based on your network setup
-      const hubHost = hub.hubId; // or use a tailscale IP mapping if available
-      
-      const sshKeyOption = SSH_KEY_PATH ? `-i ${SSH_KEY_PATH}` : '';
-      const command = `ssh ${sshKeyOption} -o ConnectTimeout=5 -o StrictHostKeyChecking=no ${SSH_USER}@${hubHost} "sudo systemctl restart gambino-pi"`;
-      
-      console.log(`🔄 Initiating gambino-pi service restart: ${hub.hubId} by ${req.user.email}`);
-      console.log(`   Command: ${command}`);
-      
-      exec(command, { timeout: 10000 }, async (error, stdout, stderr) => {
-        if (error) {
-          console.error(`❌ Service restart failed for ${hub.hubId}:`, error.message);
-          hub.status = 'error';
-          await hub.save();
-          return;
+      const result = await hubConfig.update('hub', hub.hubId, settings, req.user, note);
+      const updatedHub = await Hub.findOne({ hubId: hub.hubId }).select('config serialConfig configOverrides configRevision configHash').lean();
+
+      res.json({
+        success: true,
+        revision: result.revision,
+        changes: result.changes,
+        hub: updatedHub
+      });
+    } catch (error) {
+      console.error('❌ Failed to update hub config:', error);
+      res.status(500).json({ error: 'Failed to update hub config' });
+    }
+  }
+);
+
+// GET /api/admin/hubs/:hubId/config/revisions - Config history with diffs
+router.get('/:hubId/config/revisions',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = parseInt(req.query.skip) || 0;
+      const { revisions, total } = await hubConfig.listRevisions('hub', hub.hubId, { limit, skip });
+
+      res.json({
+        success: true,
+        revisions,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + revisions.length < total
         }
-        
-        console.log(`✅ gambino-pi service restart command sent: ${hub.hubId}`);
-        if (stdout) console.log(`   stdout: ${stdout}`);
-        if (stderr) console.log(`   stderr: ${stderr}`);
-        
-        // Reset status after 30 seconds
-        setTimeout(async () => {
-          const updatedHub = await Hub.findOne({ hubId: hub.hubId });
-          if (updatedHub && updatedHub.status === 'restarting') {
-            updatedHub.status = 'online';
-            await updatedHub.save();
-            console.log(`✅ Reset status for ${hub.hubId} to online`);
-          }
-        }, 30000);
       });
+    } catch (error) {
+      console.error('❌ Failed to list hub config revisions:', error);
+      res.status(500).json({ error: 'Failed to load config history' });
+    }
+  }
+);
+
+// POST /api/admin/hubs/:hubId/config/rollback - Restore an earlier revision
+router.post('/:hubId/config/rollback',
+  express.json(),
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      const revision = parseInt(req.body?.revision);
+      if (!revision) {
+        return res.status(400).json({ error: 'revision is required' });
+      }
+
+      const hub = await loadHubForUser(req, res);
+      if (!hub) return;
+
+      const result = await hubConfig.rollback('hub', hub.hubId, revision, req.user, req.body.note);
+      if (!result) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ success: true, revision: result.revision, changes: result.changes });
+    } catch (error) {
+      console.error('❌ Failed to roll back hub config:', error);
+      res.status(500).json({ error: 'Failed to roll back hub config' });
+    }
+  }
+);
+
+// Store-level defaults share the hub router so venue checks stay in one place
+function canManageStore(req, res) {
+  if (['venue_manager', 'venue_staff'].includes(req.user.role) &&
+      !req.user.assignedVenues.includes(req.params.storeId)) {
+    res.status(403).json({ error: 'Access denied to this venue' });
+    return false;
+  }
+  return true;
+}
+
+// GET /api/admin/hubs/stores/:storeId/config - Store defaults for every hub at the store
+router.get('/stores/:storeId/config',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      if (!canManageStore(req, res)) return;
+
+      const store = await Store.findOne({ storeId: req.params.storeId }).select('storeId storeName hubConfigDefaults hubConfigRevision').lean();
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      res.json({
+        success: true,
+        storeId: store.storeId,
+        defaults: store.hubConfigDefaults || {},
+        revision: store.hubConfigRevision || 0,
+        effective: hubConfig.resolve({}, store).settings
+      });
+    } catch (error) {
+      console.error('❌ Failed to load store hub config:', error);
+      res.status(500).json({ error: 'Failed to load store config' });
+    }
+  }
+);
+
+// PUT /api/admin/hubs/stores/:storeId/config - Change store defaults (cascades to hubs without overrides)
+router.put('/stores/:storeId/config',
+  express.json(),
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      if (!canManageStore(req, res)) return;
+
+      const { settings, note } = req.body || {};
+      const errors = hubConfig.validate(settings);
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid settings', details: errors });
+      }
+
+      const result = await hubConfig.update('store', req.params.storeId, settings, req.user, note);
+      if (!result) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      res.json({ success: true, revision: result.revision, changes: result.changes });
+    } catch (error) {
+      console.error('❌ Failed to update store hub config:', error);
+      res.status(500).json({ error: 'Failed to update store config' });
+    }
+  }
+);
+
+// GET /api/admin/hubs/stores/:storeId/config/revisions - Store default history
+router.get('/stores/:storeId/config/revisions',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.VIEW_STORE_METRICS]),
+  async (req, res) => {
+    try {
+      if (!canManageStore(req, res)) return;
+
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = parseInt(req.query.skip) || 0;
+      const { revisions, total } = await hubConfig.listRevisions('store', req.params.storeId, { limit, skip });
 
       res.json({
         success: true,
-        message: `Service restart initiated for ${hub.name || hub.hubId}. Service will be back online in ~30 seconds.`,
+        revisions,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + revisions.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list store config revisions:', error);
+      res.status(500).json({ error: 'Failed to load config history' });
+    }
+  }
+);
+
+// POST /api/admin/hubs/stores/:storeId/config/rollback - Restore earlier store defaults
+router.post('/stores/:storeId/config/rollback',
+  express.json(),
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      if (!canManageStore(req, res)) return;
+
+      const revision = parseInt(req.body?.revision);
+      if (!revision) {
+        return res.status(400).json({ error: 'revision is required' });
+      }
+
+      const result = await hubConfig.rollback('store', req.params.storeId, revision, req.user, req.body.note);
+      if (!result) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ success: true, revision: result.revision, changes: result.changes });
+    } catch (error) {
+      console.error('❌ Failed to roll back store hub config:', error);
+      res.status(500).json({ error: 'Failed to roll back store config' });
+    }
+  }
+);
+
+// POST /api/admin/hubs/:hubId/restart - Restart gambino-pi service
+// Kept for the admin frontend; queues a restart_service command
+router.post('/:hubId/restart',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]),
+  async (req, res) => {
+    try {
+      const command = await issueHubCommand(req, res, 'restart_service', {}, 'Restart requested from admin');
+      if (!command) return;
+
+      res.json({
+        success: true,
+        message: `Service restart queued for ${req.params.hubId}. The hub will pick it up on its next heartbeat.`,
+        commandId: command.commandId,
+        status: command.status,
         timestamp: new Date().toISOString(),
       });
-      
-      console.log(`📝 Logged restart action: ${hub.hubId} by ${req.user.email} at ${new Date().toISOString()}`);
-      
     } catch (error) {
       console.error('Restart service error:', error);
       res.status(500).json({ error: 'Failed to restart service' });
@@ -1314,9 +1879,9 @@ router.get('/:hubId/analytics/daily',
       const hub = await Hub.findOne({ hubId });
       if (!hub) return res.status(404).json({ error: 'Hub not found' });
       
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      startDate.setHours(0, 0, 0, 0);
+      const settings = await businessDay.forStore(hub.storeId);
+      const { start: startDate } = businessDay.businessDayRange(businessDay.addDays(businessDay.todayKey(settings), -days), settings);
+      const cutoverMs = businessDay.cutoverMinutes(settings.cutover) * 60 * 1000;
       
       const dailyStats = await Event.aggregate([
         {
@@ -1328,7 +1893,7 @@ router.get('/:hubId/analytics/daily',
         },
         {
           $group: {
-            _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+            _id: { $dateToString: { format: '%Y-%m-%d', date: { $subtract: ['$timestamp', cutoverMs] }, timezone: settings.timezone } },
             moneyIn: { $sum: { $cond: [{ $eq: ['$eventType', 'money_in'] }, '$amount', 0] } },
             moneyOut: { $sum: { $cond: [{ $eq: ['$eventType', 'money_out'] }, '$amount', 0] } },
             eventCount: { $sum: 1 }
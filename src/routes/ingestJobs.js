@@ -0,0 +1,154 @@
+// src/routes/ingestJobs.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const IngestJob = require('../models/IngestJob');
+const ingestQueue = require('../services/IngestQueueService');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Edge ingest queue
+// ============================================================================
+
+// GET /api/admin/ingest-jobs - List jobs (defaults to dead-lettered)
+router.get('/',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { storeId, jobType } = req.query;
+      const status = req.query.status || 'dead';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const query = {};
+      if (status !== 'all') query.status = status;
+      if (storeId) query.storeId = storeId;
+      if (jobType) query.jobType = jobType;
+
+      const [jobs, total, counts] = await Promise.all([
+        IngestJob.find(query)
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        IngestJob.countDocuments(query),
+        IngestJob.aggregate([
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const summary = {};
+      counts.forEach(c => {
+        summary[c._id] = c.count;
+      });
+
+      res.json({
+        success: true,
+        jobs,
+        summary,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + jobs.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list ingest jobs:', error);
+      res.status(500).json({ error: 'Failed to load ingest jobs' });
+    }
+  }
+);
+
+// GET /api/admin/ingest-jobs/:jobId - Job details
+router.get('/:jobId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+        return res.status(400).json({ error: 'Invalid job ID' });
+      }
+
+      const job = await IngestJob.findById(req.params.jobId)
+        .populate('eventId', 'eventType gamingMachineId amount timestamp processed processingError retryCount')
+        .lean();
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error('❌ Failed to get ingest job:', error);
+      res.status(500).json({ error: 'Failed to load ingest job' });
+    }
+  }
+);
+
+// POST /api/admin/ingest-jobs/replay - Bulk replay dead-lettered jobs
+router.post('/replay',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { jobIds, storeId, jobType } = req.body;
+
+      if (jobIds !== undefined) {
+        if (!Array.isArray(jobIds) || jobIds.length === 0) {
+          return res.status(400).json({ error: 'jobIds must be a non-empty array' });
+        }
+        if (!jobIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+          return res.status(400).json({ error: 'jobIds contains an invalid ID' });
+        }
+      }
+
+      const replayed = await ingestQueue.replayJobs(
+        { jobIds, storeId, jobType },
+        req.user.email
+      );
+
+      res.json({
+        success: true,
+        replayed,
+        message: `Replayed ${replayed} jobs`
+      });
+    } catch (error) {
+      console.error('❌ Failed to replay ingest jobs:', error);
+      res.status(500).json({ error: 'Failed to replay ingest jobs' });
+    }
+  }
+);
+
+// POST /api/admin/ingest-jobs/:jobId/replay - Replay a single dead-lettered job
+router.post('/:jobId/replay',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+        return res.status(400).json({ error: 'Invalid job ID' });
+      }
+
+      const job = await ingestQueue.replayJob(req.params.jobId, req.user.email);
+
+      res.json({
+        success: true,
+        job,
+        message: 'Job queued for replay'
+      });
+    } catch (error) {
+      if (error.message === 'Job not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.startsWith('Only dead-lettered')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('❌ Failed to replay ingest job:', error);
+      res.status(500).json({ error: 'Failed to replay ingest job' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+// src/routes/ledger.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ledger = require('../services/LedgerService');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Internal double-entry ledger
+// ============================================================================
+
+function paginate(req, defaultLimit, maxLimit = 200) {
+  return {
+    limit: Math.min(parseInt(req.query.limit) || defaultLimit, maxLimit),
+    skip: parseInt(req.query.skip) || 0
+  };
+}
+
+// ?from / ?to as dates; `to` is exclusive
+function parseRange(query) {
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      throw ledger.fail(`Invalid ${key} date: ${query[key]}`);
+    }
+    range[key] = date;
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    throw ledger.fail('from must be before to');
+  }
+  return range;
+}
+
+// GET /api/admin/ledger/accounts - Ledger accounts, most recently active first
+router.get('/accounts',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 50);
+      const { type, asset, userId, storeId } = req.query;
+
+      if (type && !LedgerAccount.ACCOUNT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid account type: ${type}` });
+      }
+      if (asset && !LedgerAccount.ASSETS.includes(asset)) {
+        return res.status(400).json({ error: `Invalid asset: ${asset}` });
+      }
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid userId' });
+      }
+
+      const { accounts, total } = await ledger.listAccounts({ type, asset, userId, storeId, limit, skip });
+
+      res.json({
+        success: true,
+        accounts,
+        pagination: { total, limit, skip, hasMore: skip + accounts.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load ledger accounts');
+    }
+  }
+);
+
+// GET /api/admin/ledger/accounts/:accountId - Cached vs. journal-derived balance
+router.get('/accounts/:accountId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const check = await ledger.verify(req.params.accountId);
+      res.json({ success: true, ...check });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load ledger account');
+    }
+  }
+);
+
+// GET /api/admin/ledger/accounts/:accountId/statement - Activity for a date range
+router.get('/accounts/:accountId/statement',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 100, 1000);
+      const { from, to } = parseRange(req.query);
+
+      const statement = await ledger.statement(req.params.accountId, { from, to, limit, skip });
+
+      res.json({
+        success: true,
+        statement,
+        pagination: {
+          total: statement.totals.entries,
+          limit,
+          skip,
+          hasMore: skip + statement.lines.length < statement.totals.entries
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to build ledger statement');
+    }
+  }
+);
+
+// POST /api/admin/ledger/accounts/:accountId/rebuild - Reset cached balances from the journal
+router.post('/accounts/:accountId/rebuild',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const check = await ledger.rebuild(req.params.accountId, req.user);
+      res.json({ success: true, ...check });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to rebuild ledger account');
+    }
+  }
+);
+
+// GET /api/admin/ledger/entries - Journal entries, newest first
+router.get('/entries',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const { limit, skip } = paginate(req, 50);
+      const { accountId, kind } = req.query;
+      const { from, to } = parseRange(req.query);
+
+      if (kind && !JournalEntry.ENTRY_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `Invalid entry kind: ${kind}` });
+      }
+
+      const { entries, total } = await ledger.listEntries({ accountId, kind, from, to, limit, skip });
+
+      res.json({
+        success: true,
+        entries,
+        pagination: { total, limit, skip, hasMore: skip + entries.length < total }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load journal entries');
+    }
+  }
+);
+
+// GET /api/admin/ledger/entries/:entryId - One journal entry with its lines
+router.get('/entries/:entryId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const entry = await ledger.getEntry(req.params.entryId);
+      res.json({ success: true, entry });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load journal entry');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// src/routes/locks.js
+const express = require('express');
+const router = express.Router();
+const locks = require('../services/LockService');
+const { authenticate } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// USER ENDPOINTS - Token locks and vesting positions (User.lockedBalance)
+// ============================================================================
+
+// GET /api/locks - The caller's positions with vested / claimable amounts
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const [{ positions, total }, summary] = await Promise.all([
+      locks.list({ userId: req.user.userId, status: req.query.status, limit, skip }),
+      locks.summary(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      summary,
+      positions,
+      penaltyPresets: locks.penaltyPresets(),
+      pagination: {
+        total,
+        limit,
+        skip,
+        hasMore: skip + positions.length < total
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load lock positions');
+  }
+});
+
+// POST /api/locks - Lock part of the caller's balance
+// Body: { amount, unlockAt } or { amount, cliffAt, endAt } for linear release;
+// earlyUnlock: 'forbidden' | 'flat' | 'declining' (see penaltyPresets)
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const position = await locks.createLock(req.user, req.body || {});
+    res.status(201).json({ success: true, position });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create lock');
+  }
+});
+
+// GET /api/locks/:positionId - One position, including its early-unlock quote
+router.get('/:positionId', authenticate, async (req, res) => {
+  try {
+    const position = await locks.get(req.params.positionId, req.user.userId);
+    res.json({ success: true, position });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load lock position');
+  }
+});
+
+// POST /api/locks/:positionId/claim - Move everything vested so far to the available balance
+router.post('/:positionId/claim', authenticate, async (req, res) => {
+  try {
+    const result = await locks.claim(req.params.positionId, req.user);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to claim vested tokens');
+  }
+});
+
+// POST /api/locks/:positionId/unlock - Release the whole position now, paying the
+// early-unlock penalty on the unvested part
+router.post('/:positionId/unlock', authenticate, async (req, res) => {
+  try {
+    const result = await locks.unlockEarly(req.params.positionId, req.user);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to unlock position');
+  }
+});
+
+module.exports = router;
@@ -131,7 +131,7 @@ router.post('/check', (req, res, next) => {
 
 /**
  * GET /api/luck/governance/leaderboard
- * Get top users by governance points (gluckScore)
+ * Get top users by governance power (gluckScore plus locked GG weight)
  */
 router.get('/governance/leaderboard', async (req, res) => {
   try {
@@ -144,6 +144,8 @@ router.get('/governance/leaderboard', async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName?.charAt(0) + '.', // Privacy: only show initial
         gluckScore: user.gluckScore,
+        lockWeight: user.lockWeight || 0,
+        governancePower: user.governancePower,
         totalLuckHits: user.totalLuckHits || 0,
         luckHits: user.luckHits || {}
       }))
@@ -1041,12 +1041,16 @@ router.post('/:machineId/generate-token', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Machine not found' });
     }
     
+    // A hub's token carries its current tokenVersion, so rotating the hub revokes it
+    const hub = await Hub.findOne({ hubId: machine.machineId }).select('tokenVersion').lean();
+
     // Generate a JWT token for THIS SPECIFIC machine
     const token = jwt.sign(
       { 
         machineId: machine.machineId,
         storeId: machine.storeId,
-        type: 'edge_device'
+        type: 'edge_device',
+        tokenVersion: hub?.tokenVersion
       },
       process.env.JWT_SECRET,  // Uses the backend's JWT_SECRET to sign
       { expiresIn: '365d' }
@@ -7,6 +7,7 @@ const crypto = require('crypto');
 const Joi = require('joi');
 const User = require('../models/User');
 const WalletService = require('../services/walletService');
+const ledger = require('../services/LedgerService');
 const { sendVerificationEmail } = require('../services/emailService');
 const rateLimit = require('express-rate-limit');
 
@@ -287,8 +288,19 @@ router.post('/step3', async (req, res) => {
     // Process payment (mock for now)
     // In production, integrate with payment processor here
 
-    // Update user with initial deposit
-    user.gambinoBalance = tokensToMint;
+    // Credit the purchased tokens through the ledger, then activate the account
+    if (tokensToMint > 0) {
+      await ledger.transfer({
+        from: ledger.accounts.external('token_sales', 'GG'),
+        to: ledger.accounts.user(user._id),
+        amount: tokensToMint,
+        kind: 'token_purchase',
+        memo: `Onboarding deposit of $${depositAmount} via ${paymentMethod}`,
+        idempotencyKey: `onboarding:${user._id}`,
+        postedBy: { userId: user._id, source: 'onboarding' }
+      });
+    }
+
     user.totalDeposited = depositAmount;
     user.isActive = true;
     user.lastActivity = new Date();
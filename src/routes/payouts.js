@@ -0,0 +1,74 @@
+// src/routes/payouts.js
+const express = require('express');
+const router = express.Router();
+const payoutOutbox = require('../services/PayoutOutboxService');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - On-chain payout outbox
+// ============================================================================
+
+// GET /api/admin/payouts - List payouts, newest first
+router.get('/',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+      const { status, source, recipient } = req.query;
+
+      const { payouts, total } = await payoutOutbox.list({ status, source, recipient, limit, skip });
+
+      res.json({
+        success: true,
+        payouts,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + payouts.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load payouts');
+    }
+  }
+);
+
+// GET /api/admin/payouts/:payoutId - One payout with every signed attempt
+router.get('/:payoutId',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const payout = await payoutOutbox.get(req.params.payoutId);
+      res.json({ success: true, payout });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load payout');
+    }
+  }
+);
+
+// POST /api/admin/payouts/:payoutId/retry - Re-arm a failed payout for the worker
+router.post('/:payoutId/retry',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const current = await payoutOutbox.get(req.params.payoutId);
+      if (current.status !== 'failed') {
+        return res.status(409).json({ error: `Only failed payouts can be retried (status: ${current.status})` });
+      }
+
+      const payout = await payoutOutbox.rearm(current.payoutId);
+      console.log(`🔁 Payout ${payout.payoutId} retry requested by ${req.user.email}`);
+      res.json({ success: true, payout });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to retry payout');
+    }
+  }
+);
+
+module.exports = router;
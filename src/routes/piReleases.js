@@ -0,0 +1,391 @@
+// src/routes/piReleases.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PiRelease = require('../models/PiRelease');
+const PiRollout = require('../models/PiRollout');
+const PiVersionPin = require('../models/PiVersionPin');
+const piReleases = require('../services/PiReleaseService');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+
+// ============================================================================
+// RELEASE REGISTRY
+// ============================================================================
+
+// GET /api/admin/pi-releases - List releases, newest first
+router.get('/',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.status) query.status = req.query.status;
+
+      const releases = await PiRelease.find(query).sort({ createdAt: -1 }).lean();
+      res.json({ success: true, releases });
+    } catch (error) {
+      console.error('❌ Failed to list Pi releases:', error);
+      res.status(500).json({ error: 'Failed to load releases' });
+    }
+  }
+);
+
+// POST /api/admin/pi-releases - Register a release
+router.post('/',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { version, checksum, artifactUrl, releaseNotes, minOsVersion, status } = req.body;
+
+      if (!version || !checksum) {
+        return res.status(400).json({ error: 'version and checksum are required' });
+      }
+
+      const release = await PiRelease.create({
+        version,
+        checksum,
+        artifactUrl,
+        releaseNotes,
+        minOsVersion,
+        status,
+        createdBy: req.user.email
+      });
+
+      console.log(`📦 Pi release ${release.version} registered by ${req.user.email}`);
+      res.status(201).json({ success: true, release });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Release version already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to create Pi release:', error);
+      res.status(500).json({ error: 'Failed to create release' });
+    }
+  }
+);
+
+// PATCH /api/admin/pi-releases/:version - Update notes/status (checksum is immutable)
+router.patch('/:version',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const release = await PiRelease.findOne({ version: req.params.version });
+      if (!release) {
+        return res.status(404).json({ error: 'Release not found' });
+      }
+
+      ['artifactUrl', 'releaseNotes', 'minOsVersion', 'status'].forEach(key => {
+        if (req.body[key] !== undefined) release[key] = req.body[key];
+      });
+      await release.save();
+
+      console.log(`📦 Pi release ${release.version} updated by ${req.user.email} (${release.status})`);
+      res.json({ success: true, release });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to update Pi release:', error);
+      res.status(500).json({ error: 'Failed to update release' });
+    }
+  }
+);
+
+// ============================================================================
+// FLEET DRIFT
+// ============================================================================
+
+// GET /api/admin/pi-releases/drift - Current vs target version for every hub
+router.get('/drift',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.storeId) filter.storeId = req.query.storeId;
+
+      const drift = await piReleases.getFleetDrift(filter);
+      res.json({ success: true, ...drift });
+    } catch (error) {
+      console.error('❌ Failed to compute Pi version drift:', error);
+      res.status(500).json({ error: 'Failed to load version drift' });
+    }
+  }
+);
+
+// ============================================================================
+// ROLLOUTS
+// ============================================================================
+
+function validateRolloutTargets({ canaryHubIds, defaultPercent, storePercents }) {
+  if (canaryHubIds !== undefined && !Array.isArray(canaryHubIds)) {
+    return 'canaryHubIds must be an array';
+  }
+  if (defaultPercent !== undefined && (typeof defaultPercent !== 'number' || defaultPercent < 0 || defaultPercent > 100)) {
+    return 'defaultPercent must be a number between 0 and 100';
+  }
+  if (storePercents !== undefined) {
+    if (!Array.isArray(storePercents)) return 'storePercents must be an array';
+    const invalid = storePercents.find(s => !s.storeId || typeof s.percent !== 'number' || s.percent < 0 || s.percent > 100);
+    if (invalid) return 'Each storePercents entry needs storeId and percent (0-100)';
+  }
+  return null;
+}
+
+async function loadRollout(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.rolloutId)) {
+    res.status(400).json({ error: 'Invalid rollout ID' });
+    return null;
+  }
+  const rollout = await PiRollout.findById(req.params.rolloutId);
+  if (!rollout) {
+    res.status(404).json({ error: 'Rollout not found' });
+    return null;
+  }
+  return rollout;
+}
+
+// GET /api/admin/pi-releases/rollouts - Rollout history
+router.get('/rollouts',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const query = {};
+      if (req.query.status) query.status = req.query.status;
+
+      const rollouts = await PiRollout.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+      res.json({ success: true, rollouts });
+    } catch (error) {
+      console.error('❌ Failed to list Pi rollouts:', error);
+      res.status(500).json({ error: 'Failed to load rollouts' });
+    }
+  }
+);
+
+// POST /api/admin/pi-releases/rollouts - Start a staged rollout
+router.post('/rollouts',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { version, canaryHubIds, defaultPercent, storePercents, haltPolicy, note } = req.body;
+
+      const release = await PiRelease.findOne({ version });
+      if (!release) {
+        return res.status(404).json({ error: 'Release not found' });
+      }
+      if (release.status !== 'available') {
+        return res.status(400).json({ error: `Release ${version} is ${release.status}` });
+      }
+
+      const validationError = validateRolloutTargets(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const running = await PiRollout.findOne({ status: { $in: ['active', 'paused'] } }).lean();
+      if (running) {
+        return res.status(409).json({
+          error: `Rollout of ${running.version} is still ${running.status}; complete or halt it first`,
+          rolloutId: running._id
+        });
+      }
+
+      const rollout = new PiRollout({
+        version,
+        baselineVersion: await PiRollout.findStableVersion(),
+        canaryHubIds: canaryHubIds || [],
+        defaultPercent: defaultPercent || 0,
+        storePercents: storePercents || [],
+        haltPolicy,
+        createdBy: req.user.email
+      });
+      rollout.record('started', req.user.email, note);
+      await rollout.save();
+
+      console.log(`🚀 Pi rollout of ${version} started by ${req.user.email}`);
+      res.status(201).json({ success: true, rollout });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to start Pi rollout:', error);
+      res.status(500).json({ error: 'Failed to start rollout' });
+    }
+  }
+);
+
+// PATCH /api/admin/pi-releases/rollouts/:rolloutId - Adjust canaries, percentages or halt policy
+router.patch('/rollouts/:rolloutId',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const rollout = await loadRollout(req, res);
+      if (!rollout) return;
+
+      if (!['active', 'paused'].includes(rollout.status)) {
+        return res.status(409).json({ error: `Rollout is ${rollout.status}` });
+      }
+
+      const validationError = validateRolloutTargets(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { canaryHubIds, defaultPercent, storePercents, haltPolicy, note } = req.body;
+      if (canaryHubIds !== undefined) rollout.canaryHubIds = canaryHubIds;
+      if (defaultPercent !== undefined) rollout.defaultPercent = defaultPercent;
+      if (storePercents !== undefined) rollout.storePercents = storePercents;
+      if (haltPolicy) rollout.haltPolicy = { ...rollout.haltPolicy.toObject(), ...haltPolicy };
+
+      rollout.record('updated', req.user.email,
+        note || `default ${rollout.defaultPercent}%, ${rollout.canaryHubIds.length} canaries, ${rollout.storePercents.length} store overrides`);
+      await rollout.save();
+
+      res.json({ success: true, rollout });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ Failed to update Pi rollout:', error);
+      res.status(500).json({ error: 'Failed to update rollout' });
+    }
+  }
+);
+
+// Allowed manual transitions: action -> [from statuses, to status]
+const ROLLOUT_ACTIONS = {
+  pause: [['active'], 'paused'],
+  resume: [['paused', 'halted'], 'active'],
+  halt: [['active', 'paused'], 'halted'],
+  complete: [['active', 'paused'], 'completed']
+};
+
+// POST /api/admin/pi-releases/rollouts/:rolloutId/:action - pause | resume | halt | complete
+router.post('/rollouts/:rolloutId/:action',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const transition = ROLLOUT_ACTIONS[req.params.action];
+      if (!transition) {
+        return res.status(400).json({ error: 'Invalid action', validActions: Object.keys(ROLLOUT_ACTIONS) });
+      }
+
+      const rollout = await loadRollout(req, res);
+      if (!rollout) return;
+
+      const [from, to] = transition;
+      if (!from.includes(rollout.status)) {
+        return res.status(409).json({ error: `Cannot ${req.params.action} a ${rollout.status} rollout` });
+      }
+
+      // A halted rollout can only come back if nothing newer has started since
+      if (req.params.action === 'resume' && rollout.status === 'halted') {
+        const newer = await PiRollout.findOne({ createdAt: { $gt: rollout.createdAt } }).lean();
+        if (newer) {
+          return res.status(409).json({ error: 'A newer rollout exists; start a new rollout instead' });
+        }
+      }
+
+      rollout.status = to;
+      if (to === 'halted') {
+        rollout.haltedAt = new Date();
+        rollout.haltReason = req.body.reason || `Halted manually by ${req.user.email}`;
+      }
+      if (to === 'active') {
+        rollout.haltedAt = undefined;
+        rollout.haltReason = undefined;
+      }
+      if (to === 'completed') rollout.completedAt = new Date();
+
+      rollout.record(req.params.action, req.user.email, req.body.reason);
+      await rollout.save();
+
+      console.log(`🚀 Pi rollout ${rollout.version} ${to} by ${req.user.email}`);
+      res.json({ success: true, rollout });
+    } catch (error) {
+      console.error('❌ Failed to change Pi rollout status:', error);
+      res.status(500).json({ error: 'Failed to update rollout' });
+    }
+  }
+);
+
+// ============================================================================
+// STORE PINS
+// ============================================================================
+
+// GET /api/admin/pi-releases/pins - Stores held on a fixed version
+router.get('/pins',
+  authenticate,
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const pins = await PiVersionPin.find().sort({ storeId: 1 }).lean();
+      res.json({ success: true, pins });
+    } catch (error) {
+      console.error('❌ Failed to list Pi version pins:', error);
+      res.status(500).json({ error: 'Failed to load pins' });
+    }
+  }
+);
+
+// PUT /api/admin/pi-releases/pins/:storeId - Pin a store to a version
+router.put('/pins/:storeId',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { version, reason } = req.body;
+
+      const release = await PiRelease.findOne({ version }).lean();
+      if (!release) {
+        return res.status(404).json({ error: 'Release not found' });
+      }
+      if (release.status === 'yanked') {
+        return res.status(400).json({ error: `Release ${version} has been yanked` });
+      }
+
+      const pin = await PiVersionPin.findOneAndUpdate(
+        { storeId: req.params.storeId },
+        { version, reason, pinnedBy: req.user.email, pinnedAt: new Date() },
+        { new: true, upsert: true }
+      );
+
+      console.log(`📌 Store ${req.params.storeId} pinned to Pi app ${version} by ${req.user.email}`);
+      res.json({ success: true, pin });
+    } catch (error) {
+      console.error('❌ Failed to pin Pi version:', error);
+      res.status(500).json({ error: 'Failed to pin version' });
+    }
+  }
+);
+
+// DELETE /api/admin/pi-releases/pins/:storeId - Return a store to normal rollouts
+router.delete('/pins/:storeId',
+  authenticate,
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const pin = await PiVersionPin.findOneAndDelete({ storeId: req.params.storeId });
+      if (!pin) {
+        return res.status(404).json({ error: 'Pin not found' });
+      }
+
+      console.log(`📌 Store ${req.params.storeId} unpinned by ${req.user.email}`);
+      res.json({ success: true, message: 'Pin removed' });
+    } catch (error) {
+      console.error('❌ Failed to remove Pi version pin:', error);
+      res.status(500).json({ error: 'Failed to remove pin' });
+    }
+  }
+);
+
+module.exports = router;
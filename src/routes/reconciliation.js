@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const VenueReconciliation = require('../models/VenueReconciliation');
 const Store = require('../models/Store');
+const ReconciliationService = require('../services/ReconciliationService');
+const businessDay = require('../utils/businessDay');
 
 // Import RBAC middleware directly
 const { 
@@ -90,11 +92,17 @@ router.post('/:storeId',
       // Get store info for fee calculation
       const store = req.store; // Already validated by middleware
       const feePercentage = store.feePercentage || 0;
+
+      // Normalize to the venue's business day
+      const dayKey = businessDay.toDayKey(reconciliationDate, businessDay.settingsFor(store));
+      if (!dayKey) {
+        return res.status(400).json({ error: 'reconciliationDate must be a valid date (YYYY-MM-DD)' });
+      }
       
       // Create reconciliation
       const reconciliation = new VenueReconciliation({
         storeId,
-        reconciliationDate: new Date(reconciliationDate),
+        reconciliationDate: businessDay.keyToDate(dayKey),
         venueGamingRevenue: parseFloat(venueGamingRevenue),
         softwareFeePercentage: feePercentage,
         submittedBy: req.user.userId,
@@ -294,20 +302,15 @@ router.get('/dashboard/system',
   requirePermission([PERMISSIONS.VIEW_ALL_METRICS, PERMISSIONS.MANAGE_RECONCILIATION]),
   async (req, res) => {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
       const [
         totalStores,
-        todaySubmissions,
+        missingToday,
         pendingReconciliations,
         flaggedReconciliations,
         recentReconciliations
       ] = await Promise.all([
         Store.countDocuments({ status: 'active' }),
-        VenueReconciliation.countDocuments({ 
-          reconciliationDate: { $gte: today } 
-        }),
+        ReconciliationService.getMissingReconciliations(),
         VenueReconciliation.countDocuments({ 
           reconciliationStatus: 'pending' 
         }),
@@ -322,6 +325,7 @@ router.get('/dashboard/system',
           .lean()
       ]);
       
+      const todaySubmissions = totalStores - missingToday.length;
       const submissionRate = totalStores > 0 ? Math.round((todaySubmissions / totalStores) * 100) : 0;
       
       // Calculate system health
@@ -361,35 +365,22 @@ router.get('/missing',
   async (req, res) => {
     try {
       const { date } = req.query;
-      const targetDate = date ? new Date(date) : new Date();
-      
-      const dateStart = new Date(targetDate);
-      dateStart.setHours(0, 0, 0, 0);
-      
-      const dateEnd = new Date(targetDate);
-      dateEnd.setHours(23, 59, 59, 999);
-      
-      // Get all active stores
-      const activeStores = await Store.find({ status: 'active' })
-        .select('storeId storeName city state')
-        .lean();
-      
-      // Get stores that already submitted for this date
-      const submittedStores = await VenueReconciliation.find({
-        reconciliationDate: { $gte: dateStart, $lte: dateEnd }
-      }).distinct('storeId');
-      
-      // Filter out stores that already submitted
-      const missingStores = activeStores.filter(store => 
-        !submittedStores.includes(store.storeId)
-      );
+      if (date && !businessDay.DAY_KEY_PATTERN.test(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+
+      // Without a date, each venue is checked against its own current business day
+      const [missingStores, totalActive] = await Promise.all([
+        ReconciliationService.getMissingReconciliations(date || new Date()),
+        Store.countDocuments({ status: 'active' })
+      ]);
       
       res.json({
         success: true,
-        date: targetDate.toISOString().split('T')[0],
+        date: date || null,
         missingStores,
-        totalActive: activeStores.length,
-        submitted: submittedStores.length,
+        totalActive,
+        submitted: totalActive - missingStores.length,
         missing: missingStores.length
       });
       
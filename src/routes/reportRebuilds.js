@@ -0,0 +1,149 @@
+// src/routes/reportRebuilds.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DailyReportRebuild = require('../models/DailyReportRebuild');
+const DailyReportVersion = require('../models/DailyReportVersion');
+const rebuildService = require('../services/DailyReportRebuildService');
+const { authenticate, requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Rebuild DailyReport documents from stored Pi events
+// ============================================================================
+
+// Internal batch data stays server-side
+function publicPlan(plan) {
+  const { operations, ...rest } = plan;
+  return rest;
+}
+
+// POST /api/admin/report-rebuilds/dry-run - Show what a rebuild would change
+router.post('/dry-run',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      const { storeId, from, to, removeOrphans } = req.body;
+      if (!storeId) {
+        return res.status(400).json({ error: 'storeId is required' });
+      }
+
+      const plan = await rebuildService.plan(storeId, from, to, { removeOrphans: !!removeOrphans });
+      res.json({ success: true, dryRun: true, plan: publicPlan(plan) });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to plan report rebuild');
+    }
+  }
+);
+
+// POST /api/admin/report-rebuilds - Commit a rebuild atomically
+router.post('/',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      const { storeId, from, to, removeOrphans, planHash, reason } = req.body;
+      if (!storeId) {
+        return res.status(400).json({ error: 'storeId is required' });
+      }
+
+      const { rebuild, plan } = await rebuildService.commit(storeId, from, to, req.user, {
+        removeOrphans: !!removeOrphans,
+        planHash,
+        reason
+      });
+
+      res.status(201).json({ success: true, rebuild, plan: publicPlan(plan) });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to rebuild reports');
+    }
+  }
+);
+
+// GET /api/admin/report-rebuilds - Rebuild history
+router.get('/',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      const { storeId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const query = {};
+      if (storeId) query.storeId = storeId;
+
+      const [rebuilds, total] = await Promise.all([
+        DailyReportRebuild.find(query)
+          .select('-changes')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        DailyReportRebuild.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        rebuilds,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + rebuilds.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to list report rebuilds:', error);
+      res.status(500).json({ error: 'Failed to load rebuilds' });
+    }
+  }
+);
+
+// GET /api/admin/report-rebuilds/reports/:reportId/versions - Superseded copies of one report
+router.get('/reports/:reportId/versions',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.reportId)) {
+        return res.status(400).json({ error: 'Invalid report ID' });
+      }
+
+      const versions = await DailyReportVersion.find({ reportId: req.params.reportId })
+        .sort({ revision: -1 })
+        .lean();
+
+      res.json({ success: true, versions });
+    } catch (error) {
+      console.error('❌ Failed to load report versions:', error);
+      res.status(500).json({ error: 'Failed to load report versions' });
+    }
+  }
+);
+
+// GET /api/admin/report-rebuilds/:rebuildId - One rebuild with its field-level changes
+router.get('/:rebuildId',
+  authenticate,
+  requirePermission([PERMISSIONS.MANAGE_RECONCILIATION]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.rebuildId)) {
+        return res.status(400).json({ error: 'Invalid rebuild ID' });
+      }
+
+      const rebuild = await DailyReportRebuild.findById(req.params.rebuildId).lean();
+      if (!rebuild) {
+        return res.status(404).json({ error: 'Rebuild not found' });
+      }
+
+      res.json({ success: true, rebuild });
+    } catch (error) {
+      console.error('❌ Failed to load report rebuild:', error);
+      res.status(500).json({ error: 'Failed to load rebuild' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// src/routes/signingRequests.js
+const express = require('express');
+const router = express.Router();
+const treasurySigner = require('../services/TreasurySignerService');
+const CredentialManager = require('../services/credentialManager');
+const { requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Offline signing of treasury transactions
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/treasury/signing-requests/policies - Signing backend per account
+router.get('/policies',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  (req, res) => {
+    const accounts = Object.keys(CredentialManager.CREDENTIAL_LEVELS).map(accountType => {
+      const { name, level } = treasurySigner.backendFor(accountType);
+      return { accountType, securityLevel: level, backend: name };
+    });
+    res.json({ success: true, accounts });
+  }
+);
+
+// GET /api/admin/treasury/signing-requests - List requests (awaiting signature by default)
+router.get('/',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const status = req.query.status || 'awaiting_signature';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { requests, total } = await treasurySigner.list({
+        status,
+        accountType: req.query.accountType,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        requests,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + requests.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load signing requests');
+    }
+  }
+);
+
+// GET /api/admin/treasury/signing-requests/:signingRequestId - One request, including
+// the unsigned transaction (base64) to carry to the offline signer
+router.get('/:signingRequestId',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const request = await treasurySigner.get(req.params.signingRequestId);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load signing request');
+    }
+  }
+);
+
+// POST /api/admin/treasury/signing-requests/:signingRequestId/import - Submit the
+// signed transaction (base64); waits briefly for confirmation
+router.post('/:signingRequestId/import',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { signedTransaction } = req.body || {};
+      if (!signedTransaction) {
+        return res.status(400).json({ error: 'signedTransaction is required' });
+      }
+      const request = await treasurySigner.importSignature(req.params.signingRequestId, signedTransaction, req.user);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to import signed transaction');
+    }
+  }
+);
+
+// POST /api/admin/treasury/signing-requests/:signingRequestId/refresh - Re-check a
+// submitted request on-chain
+router.post('/:signingRequestId/refresh',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const request = await treasurySigner.refresh(req.params.signingRequestId);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to refresh signing request');
+    }
+  }
+);
+
+// POST /api/admin/treasury/signing-requests/:signingRequestId/cancel - Abandon a
+// request that has not been signed; its ledger reservation is released
+router.post('/:signingRequestId/cancel',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      if (!reason) {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+      const request = await treasurySigner.cancel(req.params.signingRequestId, reason, req.user);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to cancel signing request');
+    }
+  }
+);
+
+module.exports = router;
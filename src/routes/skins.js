@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const ledger = require('../services/LedgerService');
 
 // Get user's owned skins
 router.get('/owned', authenticateToken, async (req, res) => {
@@ -98,8 +99,20 @@ router.post('/purchase/:packId', authenticateToken, async (req, res) => {
       });
     }
     
-    // Deduct and grant
-    user.gambinoBalance -= price;
+    // Deduct through the ledger and grant
+    let newBalance = user.gambinoBalance;
+    if (price > 0) {
+      const posting = await ledger.transfer({
+        from: ledger.accounts.user(user._id),
+        to: ledger.accounts.treasury('ops'),
+        amount: price,
+        kind: 'skin_purchase',
+        memo: `Skin pack ${packId}`,
+        idempotencyKey: `skin:${user._id}:${packId}`,
+        postedBy: { userId: user._id, source: 'skins' }
+      });
+      newBalance = posting.balances[ledger.accounts.user(user._id)].after;
+    }
     user.ownedSkinPacks.push({
       packId,
       purchasedAt: new Date(),
@@ -111,7 +124,7 @@ router.post('/purchase/:packId', authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
-      newBalance: user.gambinoBalance,
+      newBalance,
       ownedPacks: user.ownedSkinPacks.map(p => p.packId)
     });
   } catch (err) {
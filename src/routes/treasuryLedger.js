@@ -0,0 +1,69 @@
+// src/routes/treasuryLedger.js
+const express = require('express');
+const router = express.Router();
+const treasuryLedger = require('../services/TreasuryLedgerService');
+const { requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Treasury outbound ledger and limit burn-down
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/treasury/ledger/limits - Per-account usage against calendar-day,
+// rolling 24h and per-recipient limits
+router.get('/limits',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const report = await treasuryLedger.burnDown();
+      res.json({ success: true, ...report });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load treasury limits');
+    }
+  }
+);
+
+// GET /api/admin/treasury/ledger/jackpots - Settled jackpot releases by type and machine
+router.get('/jackpots',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const stats = await treasuryLedger.jackpotStats({ since: req.query.since });
+      res.json({ success: true, stats });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load jackpot stats');
+    }
+  }
+);
+
+// GET /api/admin/treasury/ledger - Outbound movements, newest first
+router.get('/',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+      const { accountType, kind, status, recipient, requestId, from, to } = req.query;
+
+      const { entries, total } = await treasuryLedger.list({
+        accountType, kind, status, recipient, requestId, from, to, limit, skip
+      });
+
+      res.json({
+        success: true,
+        entries,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + entries.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load treasury ledger');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// src/routes/treasuryRequests.js
+const express = require('express');
+const router = express.Router();
+const treasuryApprovals = require('../services/TreasuryApprovalService');
+const { requirePermission, PERMISSIONS } = require('../middleware/rbac');
+const { sendServiceError } = require('../utils/routeErrors');
+
+// ============================================================================
+// ADMIN ENDPOINTS - Multi-party approval of treasury transfers and burns
+// Mounted behind authenticate + verifyRoleFromDatabase in server.js
+// ============================================================================
+
+// GET /api/admin/treasury/requests/policies - Approval threshold and approvers per account
+router.get('/policies',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  (req, res) => {
+    res.json({ success: true, policies: treasuryApprovals.listPolicies() });
+  }
+);
+
+// GET /api/admin/treasury/requests - List requests (pending by default)
+router.get('/',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const status = req.query.status || 'pending';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { requests, total } = await treasuryApprovals.list({
+        status,
+        accountType: req.query.accountType,
+        limit,
+        skip
+      });
+
+      res.json({
+        success: true,
+        requests,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + requests.length < total
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load treasury requests');
+    }
+  }
+);
+
+// POST /api/admin/treasury/requests - File a transfer, burn or schedule budget for approval
+router.post('/',
+  requirePermission([PERMISSIONS.SYSTEM_ADMIN]),
+  async (req, res) => {
+    try {
+      const { type, accountType, amount, toAddress, reason } = req.body;
+      const request = await treasuryApprovals.create(req.user, { type, accountType, amount, toAddress, reason });
+      res.status(201).json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to file treasury request');
+    }
+  }
+);
+
+// GET /api/admin/treasury/requests/:requestId - One request with its audit history
+router.get('/:requestId',
+  requirePermission([PERMISSIONS.VIEW_ALL_METRICS]),
+  async (req, res) => {
+    try {
+      const request = await treasuryApprovals.get(req.params.requestId);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to load treasury request');
+    }
+  }
+);
+
+// POST /api/admin/treasury/requests/:requestId/approve - Designated approvers only;
+// the final approval runs the transfer or burn
+router.post('/:requestId/approve',
+  async (req, res) => {
+    try {
+      const request = await treasuryApprovals.approve(req.params.requestId, req.user, req.body?.note);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to approve treasury request');
+    }
+  }
+);
+
+// POST /api/admin/treasury/requests/:requestId/reject - Approver rejects, or requester withdraws
+router.post('/:requestId/reject',
+  async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      if (!reason) {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+      const request = await treasuryApprovals.reject(req.params.requestId, req.user, reason);
+      res.json({ success: true, request });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to reject treasury request');
+    }
+  }
+);
+
+module.exports = router;
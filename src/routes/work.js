@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { authMiddleware } = require('../middleware/auth');
 const User = require('../models/User');
 const WorkSession = require('../models/WorkSession');
+const ledger = require('../services/LedgerService');
 
 /**
  * POST /api/work/start
@@ -145,7 +146,16 @@ router.post('/reveal', authMiddleware, async (req, res) => {
       });
     }
     
-    user.gambinoBalance = (user.gambinoBalance || 0) + reward;
+    const posting = await ledger.transfer({
+      from: ledger.accounts.treasury('community'),
+      to: ledger.accounts.user(user._id),
+      amount: reward,
+      kind: 'work_reward',
+      reference: { type: 'work_session', id: roundId },
+      idempotencyKey: `work:${roundId}`,
+      postedBy: { userId: user._id, source: 'work' }
+    });
+
     user.totalEntropyMined = (user.totalEntropyMined || 0) + verifiedBits;
     user.totalRoundsCompleted = (user.totalRoundsCompleted || 0) + 1;
     
@@ -164,7 +174,7 @@ router.post('/reveal', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       reward: reward,
-      balance: user.gambinoBalance,
+      balance: posting.balances[ledger.accounts.user(user._id)].after,
       verified_bits: verifiedBits,
       message: botFlags.length > 0 ? `Warnings: ${botFlags.join(', ')}` : undefined
     });
@@ -0,0 +1,349 @@
+// src/services/BalanceReconciliationService.js
+// Compares each user's off-chain gambinoBalance (plus lockedBalance, GG they still
+// own while it sits in lock positions) with their on-chain GG balance and
+// the payouts still in flight to their wallet, classifies any gap, and applies
+// approved corrections as ledger postings, recorded in the append-only
+// BalanceCorrection log.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BalanceReconciliationRun = require('../models/BalanceReconciliationRun');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const BalanceCorrection = require('../models/BalanceCorrection');
+const Payout = require('../models/Payout');
+const balanceSync = require('./BalanceSyncService');
+const ledger = require('./LedgerService');
+
+const DEFAULT_TOLERANCE = parseFloat(process.env.BALANCE_RECONCILIATION_TOLERANCE) || 0.000001;
+const SCHEDULE_INTERVAL_MS = (parseInt(process.env.BALANCE_RECONCILIATION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const STALE_RUN_MS = 6 * 60 * 60 * 1000;   // a run still "running" after this died with its process
+const MAX_ERROR_SAMPLES = 20;
+
+// GG has at most 9 decimals; keep float noise out of residuals
+function roundAmount(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+class BalanceReconciliationService {
+  constructor() {
+    this.activeRunId = null;
+    this.scheduleTimer = null;
+    this.rateLimitDelay = 250;   // between on-chain lookups
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/User');
+  }
+
+  // Classify one user's balances. Returns null when they agree and nothing is pending.
+  classify({ offChain, onChain, pending }, tolerance = DEFAULT_TOLERANCE) {
+    const residual = roundAmount(offChain - (onChain + pending));
+
+    if (Math.abs(residual) <= tolerance) {
+      return pending > tolerance
+        ? { classification: 'unsettled_rewards', residual: 0, proposedCorrection: 0 }
+        : null;
+    }
+    return {
+      classification: residual < 0 ? 'unknown_inbound' : 'drift',
+      residual,
+      proposedCorrection: -residual
+    };
+  }
+
+  // GG payouts not yet on-chain, by recipient wallet
+  async pendingPayoutsByWallet() {
+    const rows = await Payout.aggregate([
+      { $match: { mint: balanceSync.TOKEN_MINTS.GG, status: { $in: ['intent', 'submitted'] } } },
+      { $group: { _id: '$recipient', amount: { $sum: '$amount' }, payoutIds: { $push: '$payoutId' } } }
+    ]);
+    return new Map(rows.map(row => [row._id, { amount: row.amount, payoutIds: row.payoutIds }]));
+  }
+
+  // ============================================================================
+  // RUNS
+  // ============================================================================
+
+  async startRun({ trigger = 'manual', user, userIds, tolerance } = {}) {
+    await BalanceReconciliationRun.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+      { $set: { status: 'failed', error: 'Interrupted before completion', completedAt: new Date() } }
+    );
+
+    const running = await BalanceReconciliationRun.findOne({ status: 'running' }).select('runId').lean();
+    if (this.activeRunId || running) {
+      throw this.fail(`Balance reconciliation ${this.activeRunId || running.runId} is already running`, 409);
+    }
+
+    const run = await BalanceReconciliationRun.create({
+      runId: crypto.randomUUID(),
+      trigger,
+      triggeredBy: user ? { userId: user.userId, email: user.email } : undefined,
+      tolerance: tolerance > 0 ? tolerance : DEFAULT_TOLERANCE
+    });
+
+    this.activeRunId = run.runId;
+    console.log(`⚖️ Balance reconciliation ${run.runId} started (${trigger})`);
+
+    this.execute(run, { userIds })
+      .catch(error => console.error(`❌ Balance reconciliation ${run.runId} failed:`, error))
+      .finally(() => { this.activeRunId = null; });
+
+    return run;
+  }
+
+  async execute(run, { userIds } = {}) {
+    const User = this.getUserModel();
+    const totals = {};
+
+    try {
+      const pending = await this.pendingPayoutsByWallet();
+
+      const query = { walletAddress: { $exists: true, $ne: null } };
+      if (userIds?.length) query._id = { $in: userIds };
+
+      const cursor = User.find(query).select('_id email walletAddress gambinoBalance lockedBalance').lean().cursor();
+
+      for await (const user of cursor) {
+        let onChain;
+        try {
+          onChain = await balanceSync.getTokenBalance(user.walletAddress, 'GG');
+        } catch (error) {
+          // An unreadable balance is not a zero balance; leave the user unclassified
+          run.usersSkipped += 1;
+          if (run.errorSamples.length < MAX_ERROR_SAMPLES) {
+            run.errorSamples.push({ userId: String(user._id), walletAddress: user.walletAddress, error: error.message });
+          }
+          continue;
+        }
+
+        run.usersChecked += 1;
+        const inFlight = pending.get(user.walletAddress) || { amount: 0, payoutIds: [] };
+        const offChain = user.gambinoBalance || 0;
+        const locked = user.lockedBalance || 0;
+        const result = this.classify({ offChain: offChain + locked, onChain, pending: inFlight.amount }, run.tolerance);
+
+        // This run's finding replaces any still-open one for the user
+        await BalanceDiscrepancy.updateMany(
+          { userId: user._id, status: 'open' },
+          { $set: { status: 'superseded', resolvedAt: new Date(), resolutionNote: `Superseded by run ${run.runId}` } }
+        );
+
+        if (result) {
+          await BalanceDiscrepancy.create({
+            runId: run.runId,
+            userId: user._id,
+            email: user.email,
+            walletAddress: user.walletAddress,
+            offChainBalance: offChain,
+            lockedBalance: locked,
+            onChainBalance: onChain,
+            pendingPayouts: inFlight.amount,
+            pendingPayoutIds: inFlight.payoutIds,
+            ...result
+          });
+
+          const bucket = totals[result.classification] || (totals[result.classification] = { count: 0, residual: 0 });
+          bucket.count += 1;
+          bucket.residual = roundAmount(bucket.residual + result.residual);
+        }
+
+        if (run.usersChecked % 100 === 0) {
+          run.totals = totals;
+          run.markModified('totals');
+          await run.save();
+        }
+        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      throw error;
+    } finally {
+      run.totals = totals;
+      run.markModified('totals');
+      run.completedAt = new Date();
+      await run.save();
+
+      console.log(`⚖️ Balance reconciliation ${run.runId} ${run.status}: ${run.usersChecked} checked, ` +
+        `${run.usersSkipped} skipped, ${Object.values(totals).reduce((sum, t) => sum + t.count, 0)} discrepancies`);
+    }
+  }
+
+  startScheduler() {
+    if (this.scheduleTimer) return;
+
+    console.log(`⚖️ Balance reconciliation scheduled every ${SCHEDULE_INTERVAL_MS / 3600000}h`);
+    this.scheduleTimer = setInterval(() => {
+      this.startRun({ trigger: 'scheduled' })
+        .catch(error => console.error('❌ Scheduled balance reconciliation not started:', error.message));
+    }, SCHEDULE_INTERVAL_MS);
+  }
+
+  stopScheduler() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+
+  // ============================================================================
+  // CORRECTIONS
+  // ============================================================================
+
+  // Apply the proposed correction, guarded on the balance the run saw
+  async approve(discrepancyId, user, note) {
+    const discrepancy = await BalanceDiscrepancy.findById(discrepancyId);
+    if (!discrepancy) throw this.fail('Discrepancy not found', 404);
+    if (discrepancy.status !== 'open') {
+      throw this.fail(`Discrepancy is ${discrepancy.status}`, 409);
+    }
+    if (!discrepancy.proposedCorrection) {
+      throw this.fail('No correction to apply; unsettled rewards clear when their payouts confirm', 409);
+    }
+
+    const amount = discrepancy.proposedCorrection;
+    const balanceBefore = discrepancy.offChainBalance;
+    const balanceAfter = roundAmount(balanceBefore + amount);
+    if (balanceAfter < 0) {
+      throw this.fail('Correction would leave a negative balance', 409);
+    }
+
+    const userAccount = ledger.accounts.user(discrepancy.userId);
+    const adjustments = ledger.accounts.external('reconciliation', 'GG');
+
+    const correction = await ledger.transaction(async (session) => {
+      // Reading the balance in the transaction makes a concurrent posting conflict with this one
+      const current = await ledger.balanceOf(userAccount, { session });
+      if (Math.abs(current - balanceBefore) > 1e-9) {
+        throw this.fail('gambinoBalance changed since this reconciliation run; re-run it for this user', 409);
+      }
+
+      const correctionId = crypto.randomUUID();
+      await ledger.transfer({
+        from: amount > 0 ? adjustments : userAccount,
+        to: amount > 0 ? userAccount : adjustments,
+        amount: Math.abs(amount),
+        kind: 'reconciliation',
+        memo: note,
+        reference: { type: 'balance_correction', id: correctionId },
+        idempotencyKey: `balance_correction:${discrepancy._id}`,
+        postedBy: { userId: user.userId, email: user.email, source: 'balance_reconciliation' },
+        session
+      });
+
+      const [created] = await BalanceCorrection.create([{
+        correctionId,
+        userId: discrepancy.userId,
+        amount,
+        balanceBefore,
+        balanceAfter,
+        classification: discrepancy.classification,
+        discrepancyId: discrepancy._id,
+        runId: discrepancy.runId,
+        reason: note,
+        approvedBy: { userId: user.userId, email: user.email, role: user.role }
+      }], { session });
+
+      const resolved = await BalanceDiscrepancy.findOneAndUpdate(
+        { _id: discrepancy._id, status: 'open' },
+        {
+          $set: {
+            status: 'approved',
+            resolvedBy: { userId: user.userId, email: user.email },
+            resolvedAt: new Date(),
+            resolutionNote: note,
+            correctionId
+          }
+        },
+        { new: true, session }
+      );
+      if (!resolved) {
+        throw this.fail('Discrepancy is no longer open', 409);
+      }
+      return created;
+    });
+
+    console.log(`⚖️ Balance correction ${correction.correctionId} by ${user.email}: user ${discrepancy.userId} ${balanceBefore} -> ${balanceAfter} (${discrepancy.classification})`);
+    return { correction, discrepancy: await BalanceDiscrepancy.findById(discrepancy._id) };
+  }
+
+  async reject(discrepancyId, user, note) {
+    const discrepancy = await BalanceDiscrepancy.findOneAndUpdate(
+      { _id: discrepancyId, status: 'open' },
+      {
+        $set: {
+          status: 'rejected',
+          resolvedBy: { userId: user.userId, email: user.email },
+          resolvedAt: new Date(),
+          resolutionNote: note
+        }
+      },
+      { new: true }
+    );
+    if (!discrepancy) {
+      const exists = await BalanceDiscrepancy.exists({ _id: discrepancyId });
+      throw exists ? this.fail('Discrepancy is no longer open', 409) : this.fail('Discrepancy not found', 404);
+    }
+    return discrepancy;
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  async getRun(runId) {
+    const run = await BalanceReconciliationRun.findOne({ runId }).lean();
+    if (!run) throw this.fail('Reconciliation run not found', 404);
+
+    const byStatus = await BalanceDiscrepancy.aggregate([
+      { $match: { runId } },
+      { $group: { _id: { classification: '$classification', status: '$status' }, count: { $sum: 1 }, residual: { $sum: '$residual' } } }
+    ]);
+    return {
+      ...run,
+      breakdown: byStatus.map(row => ({ ...row._id, count: row.count, residual: roundAmount(row.residual) }))
+    };
+  }
+
+  async listRuns({ limit = 20, skip = 0 } = {}) {
+    const [runs, total] = await Promise.all([
+      BalanceReconciliationRun.find().sort({ startedAt: -1 }).skip(skip).limit(limit).lean(),
+      BalanceReconciliationRun.countDocuments()
+    ]);
+    return { runs, total };
+  }
+
+  async listDiscrepancies({ runId, status, classification, userId, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (runId) query.runId = runId;
+    if (status && status !== 'all') query.status = status;
+    if (classification) query.classification = classification;
+    if (userId) query.userId = userId;
+
+    const [discrepancies, total] = await Promise.all([
+      BalanceDiscrepancy.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      BalanceDiscrepancy.countDocuments(query)
+    ]);
+    return { discrepancies, total };
+  }
+
+  async listCorrections({ userId, limit = 50, skip = 0 } = {}) {
+    const query = userId ? { userId } : {};
+    const [corrections, total] = await Promise.all([
+      BalanceCorrection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      BalanceCorrection.countDocuments(query)
+    ]);
+    return { corrections, total };
+  }
+}
+
+module.exports = new BalanceReconciliationService();
+module.exports.BalanceReconciliationService = BalanceReconciliationService;
@@ -105,15 +105,9 @@ class BalanceSyncService {
 
       // Get token balances
       const tokenBalances = {};
-      for (const [symbol, mint] of Object.entries(this.TOKEN_MINTS)) {
+      for (const symbol of Object.keys(this.TOKEN_MINTS)) {
         try {
-          const accounts = await this.connection.getParsedTokenAccountsByOwner(pubKey, {
-            mint: new PublicKey(mint)
-          });
-
-          tokenBalances[symbol] = accounts.value.length > 0 
-            ? accounts.value[0].account.data.parsed.info.tokenAmount.uiAmount 
-            : 0;
+          tokenBalances[symbol] = await this.getTokenBalance(user.walletAddress, symbol);
         } catch (err) {
           tokenBalances[symbol] = 0;
         }
@@ -142,6 +136,19 @@ class BalanceSyncService {
     }
   }
 
+  // On-chain token balance across all of a wallet's accounts for the mint.
+  // Throws on RPC errors so callers can tell "unknown" from zero.
+  async getTokenBalance(walletAddress, symbol = 'GG') {
+    const accounts = await this.connection.getParsedTokenAccountsByOwner(new PublicKey(walletAddress), {
+      mint: new PublicKey(this.TOKEN_MINTS[symbol])
+    });
+
+    return accounts.value.reduce(
+      (sum, account) => sum + (account.account.data.parsed.info.tokenAmount.uiAmount || 0),
+      0
+    );
+  }
+
   // Sync specific user immediately (for real-time updates)
   async syncUserBalanceNow(userId) {
     try {
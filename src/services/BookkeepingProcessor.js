@@ -1,23 +1,18 @@
 // /opt/gambino/backend/src/services/BookkeepingProcessor.js
 const BookkeepingReport = require('../models/BookkeepingReport');
+const muthaGoose = require('../parsers/muthaGoose');
+const businessDay = require('../utils/businessDay');
 
 class BookkeepingProcessor {
   
-  // Get EST business date from timestamp
-  getBusinessDate(timestamp) {
-    const date = new Date(timestamp);
-    // Convert to EST by subtracting 5 hours
-    const estDate = new Date(date.getTime() - (5 * 60 * 60 * 1000));
-    // Return date at midnight EST (which is 5am UTC)
-    const year = estDate.getUTCFullYear();
-    const month = estDate.getUTCMonth();
-    const day = estDate.getUTCDate();
-    return new Date(Date.UTC(year, month, day, 5, 0, 0, 0));
+  // Business date in the store's timezone, honouring its cutover
+  async getBusinessDate(storeId, timestamp) {
+    return businessDay.businessDate(timestamp, await businessDay.forStore(storeId));
   }
   
   async processBookkeepingReport(storeId, machineId, eventData, sourceEventId = null) {
     const timestamp = eventData.timestamp ? new Date(eventData.timestamp) : new Date();
-    const businessDate = this.getBusinessDate(timestamp);
+    const businessDate = await this.getBusinessDate(storeId, timestamp);
     
     // Generate idempotency key
     const idempotencyKey = `bookkeeping_${storeId}_${machineId}_${timestamp.toISOString()}`;
@@ -29,10 +24,8 @@ class BookkeepingProcessor {
       return existing;
     }
     
-    // Extract lifetime values from event data
-    const lifetimeIn = eventData.lifetimeIn || eventData.total_in || 0;
-    const lifetimeOut = eventData.lifetimeOut || eventData.total_out || 0;
-    const lifetimeGames = eventData.lifetimeGames || eventData.games || 0;
+    // Lifetime meters: structured values from the Pi, falling back to the printed ticket
+    const { lifetimeIn, lifetimeOut, lifetimeGames } = muthaGoose.readBookkeeping(eventData);
     
     const report = new BookkeepingReport({
       storeId,
@@ -63,7 +56,7 @@ class BookkeepingProcessor {
   
   async processClearingEvent(storeId, machineId, eventData, sourceEventId = null) {
     const timestamp = eventData.timestamp ? new Date(eventData.timestamp) : new Date();
-    const businessDate = this.getBusinessDate(timestamp);
+    const businessDate = await this.getBusinessDate(storeId, timestamp);
     
     // Generate idempotency key
     const idempotencyKey = `clearing_${storeId}_${machineId}_${timestamp.toISOString()}`;
@@ -0,0 +1,380 @@
+// src/services/CashierShiftService.js
+// Cashier drawers for venue cashouts. A cashier opens a shift with a starting
+// float; CashoutService records every cashout (and every reversal returned to a
+// drawer) against the open shift inside its own database transaction. Closing
+// takes the counted cash, computes over/short, and holds the shift for a
+// manager's sign-off when the difference is past the threshold.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CashierShift = require('../models/CashierShift');
+const { checkVenueAccess } = require('../middleware/rbac');
+
+// Opt-in: with CASHOUT_REQUIRE_OPEN_SHIFT=true, cashouts are refused until the
+// cashier opens a drawer. Off by default so venues not using shifts keep working.
+const REQUIRE_OPEN_SHIFT = process.env.CASHOUT_REQUIRE_OPEN_SHIFT === 'true';
+// Over/short (either way, dollars) above which a manager has to sign off
+const SIGNOFF_THRESHOLD = parseFloat(process.env.CASHIER_SIGNOFF_THRESHOLD) || 20;
+const MAX_OPENING_FLOAT = 50000;
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Expected drawer contents and the over/short of a count. Pure: used on close
+ * and for the live view of an open shift.
+ */
+function drawerMath({ openingFloat = 0, activity = {} }, countedCash, threshold = SIGNOFF_THRESHOLD) {
+  const expectedCash = roundCents(openingFloat - (activity.cashPaid || 0) + (activity.cashReturned || 0));
+  if (countedCash === undefined || countedCash === null) {
+    return { expectedCash };
+  }
+  const overShort = roundCents(countedCash - expectedCash);
+  return { expectedCash, countedCash: roundCents(countedCash), overShort, signoffRequired: Math.abs(overShort) > threshold };
+}
+
+class CashierShiftService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  get requireOpenShift() {
+    return REQUIRE_OPEN_SHIFT;
+  }
+
+  actor(user) {
+    return { userId: user.userId, email: user.email, role: user.role };
+  }
+
+  // Staff see shifts at their venues; the cashier always sees their own
+  assertAccess(shift, user, { manage = false } = {}) {
+    const access = checkVenueAccess(user.role, user.assignedVenues || [], shift.storeId);
+    const isCashier = String(shift.cashier.userId) === String(user.userId);
+    if (access.accessType === 'player' || (!access.hasAccess && !isCashier)) {
+      throw this.fail('Access denied to this shift', 403);
+    }
+    if (manage && !access.canManage) {
+      throw this.fail('Management permissions required for this venue', 403);
+    }
+    return { isCashier, canManage: access.canManage };
+  }
+
+  async load(shiftId, user, options) {
+    const shift = await CashierShift.findOne({ shiftId });
+    if (!shift) {
+      throw this.fail('Shift not found', 404);
+    }
+    if (user) this.assertAccess(shift, user, options);
+    return shift;
+  }
+
+  // ============================================================================
+  // OPEN
+  // ============================================================================
+
+  async open(user, storeId, { openingFloat, drawer = 'main' } = {}) {
+    const float = Number(openingFloat);
+    if (!Number.isFinite(float) || float < 0 || float > MAX_OPENING_FLOAT) {
+      throw this.fail(`openingFloat must be a dollar amount from 0 to ${MAX_OPENING_FLOAT}`);
+    }
+    const drawerName = String(drawer || 'main').trim() || 'main';
+
+    const shift = new CashierShift({
+      shiftId: crypto.randomUUID(),
+      storeId,
+      drawer: drawerName,
+      cashier: this.actor(user),
+      openingFloat: roundCents(float)
+    });
+    shift.record('open', 'open', user, `Drawer ${drawerName}, float $${shift.openingFloat.toFixed(2)}`);
+
+    try {
+      await shift.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        const own = await CashierShift.findOne({ 'cashier.userId': user.userId, status: 'open' }).select('shiftId storeId').lean();
+        if (own) {
+          throw this.fail(`You already have an open shift (${own.shiftId} at ${own.storeId})`, 409);
+        }
+        throw this.fail(`Drawer ${drawerName} is already open at this venue`, 409);
+      }
+      throw error;
+    }
+
+    console.log(`🧾 Shift ${shift.shiftId} opened by ${user.email} at ${storeId} (drawer ${drawerName}, float $${shift.openingFloat.toFixed(2)})`);
+    return shift;
+  }
+
+  // ============================================================================
+  // CASHOUT / REVERSAL HOOKS (called by CashoutService inside its session)
+  // ============================================================================
+
+  async findOpen(userId, storeId, session) {
+    return CashierShift.findOne({ 'cashier.userId': userId, storeId, status: 'open' }).session(session || null);
+  }
+
+  // The write also makes a concurrent close conflict with the cashout's transaction
+  async recordCashout({ storeId, staffId, cashPaid, tokens, commission, session }) {
+    const shift = await CashierShift.findOneAndUpdate(
+      { 'cashier.userId': staffId, storeId, status: 'open' },
+      {
+        $inc: {
+          'activity.cashouts': 1,
+          'activity.cashPaid': roundCents(cashPaid),
+          'activity.tokensConverted': tokens,
+          'activity.commission': roundCents(commission)
+        }
+      },
+      { new: true, session }
+    );
+    if (!shift && REQUIRE_OPEN_SHIFT) {
+      throw new Error('No open cashier shift at this venue. Open a shift before processing cashouts.');
+    }
+    return shift;
+  }
+
+  // Cash comes back into the original drawer if it is still open, otherwise into
+  // the reverser's open drawer at the venue. Returns null when neither is open:
+  // the reversal then sits outside any drawer and is listed on no shift.
+  async recordReversal({ transaction, reversedBy, session }) {
+    const cash = roundCents(transaction.metadata?.cashToCustomer ?? transaction.usdAmount ?? 0);
+    const update = { $inc: { 'activity.reversals': 1, 'activity.cashReturned': cash } };
+    const storeId = transaction.metadata?.storeId;
+
+    let shift = null;
+    if (transaction.metadata?.shiftId) {
+      shift = await CashierShift.findOneAndUpdate({ shiftId: transaction.metadata.shiftId, status: 'open' }, update, { new: true, session });
+    }
+    if (!shift && reversedBy) {
+      shift = await CashierShift.findOneAndUpdate({ 'cashier.userId': reversedBy, storeId, status: 'open' }, update, { new: true, session });
+    }
+    return shift;
+  }
+
+  // ============================================================================
+  // CLOSE AND SIGN-OFF
+  // ============================================================================
+
+  // By the cashier or a manager of the venue. The update is guarded on the
+  // activity it was computed from, so a cashout landing mid-close forces a recount.
+  async close(shiftId, user, { countedCash, note } = {}) {
+    const counted = Number(countedCash);
+    if (countedCash === undefined || countedCash === null || !Number.isFinite(counted) || counted < 0) {
+      throw this.fail('countedCash must be the dollar amount counted in the drawer');
+    }
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const shift = await this.load(shiftId);
+      const { isCashier, canManage } = this.assertAccess(shift, user);
+      if (!isCashier && !canManage) {
+        throw this.fail('Only the cashier or a venue manager can close this shift', 403);
+      }
+      if (shift.status !== 'open') {
+        throw this.fail(`Shift is ${shift.status}`, 409);
+      }
+
+      const math = drawerMath(shift, counted);
+      const status = math.signoffRequired ? 'pending_signoff' : 'closed';
+      const closedAt = new Date();
+      const entry = `Counted $${math.countedCash.toFixed(2)}, expected $${math.expectedCash.toFixed(2)}, ${math.overShort >= 0 ? 'over' : 'short'} $${Math.abs(math.overShort).toFixed(2)}${note ? ` - ${note}` : ''}`;
+
+      const closed = await CashierShift.findOneAndUpdate(
+        {
+          shiftId,
+          status: 'open',
+          'activity.cashouts': shift.activity.cashouts,
+          'activity.reversals': shift.activity.reversals
+        },
+        {
+          $set: {
+            status,
+            closedAt,
+            closedBy: this.actor(user),
+            expectedCash: math.expectedCash,
+            countedCash: math.countedCash,
+            overShort: math.overShort,
+            closeNote: note,
+            signoffRequired: math.signoffRequired,
+            signoffThreshold: SIGNOFF_THRESHOLD
+          },
+          $push: { history: { action: 'close', status, at: closedAt, userId: String(user.userId), email: user.email, note: entry } }
+        },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      console.log(`🧾 Shift ${shiftId} ${status}: ${entry}`);
+      return this.settleStoreWallets(closed);
+    }
+    throw this.fail('Drawer activity changed while closing; count again', 409);
+  }
+
+  // Settle the store-wallet transactions of the shift window. A failure is noted
+  // on the shift and does not reopen it.
+  async settleStoreWallets(shift) {
+    const CustWalletService = require('./CustWalletService');
+
+    try {
+      const settlement = await new CustWalletService().processEndOfShiftSettlement(shift.storeId, shift.openedAt, shift.closedAt);
+      if (!settlement?.settlementId) return shift;
+      return CashierShift.findOneAndUpdate(
+        { shiftId: shift.shiftId },
+        { $set: { settlementId: settlement.settlementId } },
+        { new: true }
+      );
+    } catch (error) {
+      return CashierShift.findOneAndUpdate(
+        { shiftId: shift.shiftId },
+        { $push: { history: { action: 'settlement_failed', status: shift.status, at: new Date(), userId: 'system', note: error.message } } },
+        { new: true }
+      );
+    }
+  }
+
+  // A venue manager other than the cashier accepts the over/short
+  async signoff(shiftId, user, { note } = {}) {
+    const shift = await this.load(shiftId, user, { manage: true });
+    if (String(shift.cashier.userId) === String(user.userId)) {
+      throw this.fail('A shift must be signed off by someone other than its cashier', 403);
+    }
+    if (shift.status !== 'pending_signoff') {
+      throw this.fail(`Shift is ${shift.status}`, 409);
+    }
+    if (!note || !String(note).trim()) {
+      throw this.fail('A note explaining the over/short is required');
+    }
+
+    const signed = await CashierShift.findOneAndUpdate(
+      { shiftId, status: 'pending_signoff' },
+      {
+        $set: {
+          status: 'closed',
+          signoff: { userId: user.userId, email: user.email, role: user.role, at: new Date(), note: String(note).trim() }
+        },
+        $push: { history: { action: 'signoff', status: 'closed', at: new Date(), userId: String(user.userId), email: user.email, note: String(note).trim() } }
+      },
+      { new: true }
+    );
+    if (!signed) {
+      throw this.fail('Shift is no longer awaiting sign-off', 409);
+    }
+    return signed;
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  describe(shift) {
+    const doc = typeof shift.toObject === 'function' ? shift.toObject() : shift;
+    return doc.status === 'open' ? { ...doc, ...drawerMath(doc) } : doc;
+  }
+
+  async current(user, storeId) {
+    const query = { 'cashier.userId': user.userId, status: 'open' };
+    if (storeId) query.storeId = storeId;
+    const shift = await CashierShift.findOne(query).lean();
+    return shift ? this.describe(shift) : null;
+  }
+
+  async get(shiftId, user) {
+    return this.describe(await this.load(shiftId, user));
+  }
+
+  async list(storeId, { status, cashierId, startDate, endDate, limit = 50, skip = 0 } = {}) {
+    const query = { storeId };
+    if (status && status !== 'all') query.status = status;
+    if (cashierId) query['cashier.userId'] = cashierId;
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const [shifts, total] = await Promise.all([
+      CashierShift.find(query)
+        .select('-history')
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CashierShift.countDocuments(query)
+    ]);
+    return { shifts: shifts.map(shift => this.describe(shift)), total };
+  }
+
+  // Everything recorded against the drawer, for the printable summary
+  async summary(shiftId, user) {
+    const shift = this.describe(await this.load(shiftId, user));
+    const Transaction = mongoose.model('Transaction');
+
+    const transactions = await Transaction.find({ 'metadata.shiftId': shiftId, type: { $in: ['cashout', 'cashout_reversal'] } })
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const lines = transactions.map(t => ({
+      at: t.createdAt,
+      type: t.type,
+      transactionId: t.metadata?.transactionId || t.metadata?.originalTxHash || String(t._id),
+      customer: t.userId ? `${t.userId.firstName || ''} ${t.userId.lastName || ''}`.trim() || t.userId.email : null,
+      tokens: t.amount,
+      cash: roundCents(t.type === 'cashout' ? -(t.metadata?.cashToCustomer ?? t.usdAmount) : (t.metadata?.cashReturned ?? t.usdAmount)),
+      reversed: Boolean(t.metadata?.reversed)
+    }));
+
+    return { shift, lines };
+  }
+
+  // Plain-text receipt for a 40-column printer
+  renderSummary({ shift, lines }) {
+    const width = 40;
+    const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+    const row = (label, value) => `${label}${' '.repeat(Math.max(1, width - label.length - String(value).length))}${value}`;
+    const rule = '-'.repeat(width);
+    const time = date => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+    const out = [
+      'CASHIER SHIFT SUMMARY',
+      rule,
+      row('Shift', shift.shiftId.slice(0, 8)),
+      row('Venue', shift.storeId),
+      row('Drawer', shift.drawer),
+      row('Cashier', shift.cashier?.email || '-'),
+      row('Opened (UTC)', time(shift.openedAt)),
+      row('Closed (UTC)', time(shift.closedAt)),
+      row('Status', shift.status),
+      rule,
+      row('Opening float', money(shift.openingFloat)),
+      row(`Cashouts (${shift.activity.cashouts})`, money(-shift.activity.cashPaid)),
+      row(`Reversals (${shift.activity.reversals})`, money(shift.activity.cashReturned)),
+      row('Expected in drawer', money(shift.expectedCash)),
+      row('Counted', shift.countedCash === undefined ? '-' : money(shift.countedCash)),
+      row('Over/short', shift.overShort === undefined ? '-' : money(shift.overShort)),
+      row('Tokens converted', String(shift.activity.tokensConverted)),
+      row('Venue commission', money(shift.activity.commission)),
+      rule
+    ];
+
+    for (const line of lines) {
+      out.push(row(`${time(line.at).slice(11)} ${line.type === 'cashout' ? 'OUT' : 'REV'} ${line.transactionId.slice(-10)}${line.reversed ? '*' : ''}`, money(line.cash)));
+    }
+    if (lines.some(line => line.reversed)) out.push('* later reversed');
+    out.push(rule);
+
+    if (shift.signoffRequired) {
+      out.push(shift.signoff?.at
+        ? row('Signed off', shift.signoff.email)
+        : `Manager sign-off required (over ${money(shift.signoffThreshold)})`);
+      if (shift.signoff?.note) out.push(...shift.signoff.note.match(new RegExp(`.{1,${width}}`, 'g')));
+    }
+    out.push('', 'Cashier  ______________________', '', 'Manager  ______________________');
+    return out.join('\n') + '\n';
+  }
+}
+
+module.exports = new CashierShiftService();
+module.exports.CashierShiftService = CashierShiftService;
+module.exports.drawerMath = drawerMath;
@@ -0,0 +1,512 @@
+// src/services/CashoutRequestService.js
+// Two-step cashouts. Staff set up a pending request; the customer approves it in
+// the app (GET /api/cashout/requests/mine, POST .../approve) or reads staff the
+// 6-digit code emailed to them. A confirmed request is risk-scored
+// (CashoutRiskService); high scores wait in the review queue, the rest go straight
+// to CashoutService.processCashout, which debits the balance. An approved review
+// waits for a cashier at the venue to pay it out from their own drawer.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CashoutRequest = require('../models/CashoutRequest');
+const CashoutService = require('./CashoutService');
+const cashoutRisk = require('./CashoutRiskService');
+const { checkVenueAccess } = require('../middleware/rbac');
+
+const REQUEST_TTL_MS = (parseInt(process.env.CASHOUT_REQUEST_TTL_MINUTES) || 10) * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+function hashCode(requestId, code) {
+  return crypto.createHash('sha256').update(`${requestId}:${code}`).digest('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// j***@example.com
+function maskEmail(email) {
+  const [name, domain] = String(email || '').split('@');
+  if (!domain) return null;
+  return `${name.charAt(0)}***@${domain}`;
+}
+
+class CashoutRequestService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  actor(user) {
+    return { userId: user.userId, email: user.email, role: user.role };
+  }
+
+  assertVenueAccess(request, user) {
+    const access = checkVenueAccess(user.role, user.assignedVenues || [], request.storeId);
+    if (!access.hasAccess || access.accessType === 'player') {
+      throw this.fail('Access denied to this venue', 403);
+    }
+  }
+
+  async load(requestId, { withCode = false } = {}) {
+    await CashoutRequest.expireStale({ requestId });
+    const query = CashoutRequest.findOne({ requestId });
+    const request = await (withCode ? query.select('+codeHash') : query);
+    if (!request) {
+      throw this.fail('Cashout request not found', 404);
+    }
+    return request;
+  }
+
+  // ============================================================================
+  // CREATE
+  // ============================================================================
+
+  // Staff side. Checks the same limits processCashout will, so the customer is
+  // not asked to approve something that cannot go through.
+  async create(staff, storeId, { customerId, tokensToConvert, notes } = {}) {
+    const tokens = Number(tokensToConvert);
+    if (!customerId || !Number.isFinite(tokens) || tokens <= 0) {
+      throw this.fail('customerId and a positive tokensToConvert are required');
+    }
+
+    const validation = await CashoutService.validateCashout(customerId, tokens, storeId, staff.userId);
+    if (!validation.valid) {
+      throw this.fail(validation.errors.join('; '));
+    }
+    const { customer, config, cashAmount } = validation;
+
+    const open = await CashoutRequest.findOne({
+      customerId: customer._id,
+      $or: [
+        { status: { $in: ['pending', 'processing'] }, expiresAt: { $gt: new Date() } },
+        { status: { $in: ['held', 'approved'] } }
+      ]
+    })
+      .select('requestId storeId')
+      .lean();
+    if (open) {
+      throw this.fail(`Customer already has a cashout awaiting confirmation (${open.requestId} at ${open.storeId})`, 409);
+    }
+
+    const code = generateCode();
+    const request = new CashoutRequest({
+      requestId: crypto.randomUUID(),
+      storeId,
+      customerId: customer._id,
+      tokensToConvert: tokens,
+      cashAmount,
+      exchangeRate: config.tokensPerDollar,
+      commissionPercent: config.venueCommissionPercent,
+      notes,
+      expiresAt: new Date(Date.now() + REQUEST_TTL_MS),
+      initiatedBy: this.actor(staff)
+    });
+    request.codeHash = hashCode(request.requestId, code);
+    request.record('create', 'pending', staff, `${tokens} tokens ($${cashAmount.toFixed(2)}) for ${customer.email}`);
+
+    await request.save();
+    await this.sendCode(request, customer, code);
+
+    console.log(`💵 Cashout request ${request.requestId} created by ${staff.email} at ${storeId}: ${tokens} tokens for ${customer.email}`);
+    return this.describe(request);
+  }
+
+  // A missing or failed email leaves in-app approval as the only way to confirm
+  async sendCode(request, customer, code) {
+    if (!customer.email) {
+      request.record('code_not_sent', null, null, 'Customer has no email address');
+      return request.save();
+    }
+
+    // Loaded on use: the Resend client needs RESEND_API_KEY when it is constructed
+    const emailService = require('./emailService');
+    const Store = mongoose.models.Store || require('../models/Store');
+    const store = await Store.findOne({ storeId: request.storeId }).select('storeName').lean();
+    const result = await emailService.sendCashoutCodeEmail(customer.email, customer.firstName, {
+      code,
+      storeName: store?.storeName || request.storeId,
+      tokens: request.tokensToConvert,
+      cashAmount: request.cashAmount,
+      expiresAt: request.expiresAt
+    });
+
+    if (result.success) {
+      request.codeSentTo = maskEmail(customer.email);
+      request.codeSentAt = new Date();
+      request.record('code_sent', null, null, request.codeSentTo);
+    } else {
+      request.record('code_not_sent', null, null, 'Email delivery failed');
+    }
+    return request.save();
+  }
+
+  // ============================================================================
+  // CONFIRM
+  // ============================================================================
+
+  // Staff key in the code the customer read to them
+  async confirmWithCode(requestId, staff, code) {
+    const request = await this.load(requestId, { withCode: true });
+    this.assertVenueAccess(request, staff);
+    if (request.status !== 'pending') {
+      throw this.fail(`Cashout request is ${request.status}`, 409);
+    }
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      throw this.fail('code must be the 6-digit code sent to the customer');
+    }
+
+    const expected = Buffer.from(request.codeHash, 'hex');
+    const given = Buffer.from(hashCode(requestId, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const counted = await CashoutRequest.findOneAndUpdate(
+        { requestId, status: 'pending' },
+        {
+          $inc: { codeAttempts: 1 },
+          $push: { history: { action: 'wrong_code', status: 'pending', at: new Date(), userId: String(staff.userId), email: staff.email } }
+        },
+        { new: true }
+      );
+      const attempts = counted?.codeAttempts || MAX_CODE_ATTEMPTS;
+      const locked = attempts >= MAX_CODE_ATTEMPTS;
+      if (locked) {
+        await CashoutRequest.updateOne(
+          { requestId, status: 'pending' },
+          {
+            $set: { status: 'cancelled', completedAt: new Date() },
+            $push: { history: { action: 'locked', status: 'cancelled', at: new Date(), userId: 'system', note: `${MAX_CODE_ATTEMPTS} incorrect codes` } }
+          }
+        );
+      }
+      throw this.fail(locked
+        ? 'Too many incorrect codes; the request was cancelled'
+        : `Incorrect code (${MAX_CODE_ATTEMPTS - attempts} attempts left)`, locked ? 409 : 400);
+    }
+
+    return this.process(request, {
+      userId: request.customerId,
+      method: 'code',
+      enteredBy: this.actor(staff),
+      at: new Date()
+    }, staff);
+  }
+
+  // The customer approves from the app
+  async approve(requestId, customer) {
+    const request = await this.load(requestId);
+    if (String(request.customerId) !== String(customer.userId)) {
+      throw this.fail('Cashout request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw this.fail(`Cashout request is ${request.status}`, 409);
+    }
+
+    const outcome = await this.process(request, { userId: request.customerId, method: 'app', at: new Date() }, customer);
+    delete outcome.request.risk;
+    return outcome;
+  }
+
+  // Score the request, then claim it once: into the review queue when the score
+  // is high, otherwise straight on to the debit
+  async process(request, confirmedBy, user) {
+    const { requestId } = request;
+    const config = await CashoutService.getCurrentExchangeRate(request.storeId);
+    const risk = await cashoutRisk.assess({
+      customerId: request.customerId,
+      storeId: request.storeId,
+      staffId: String(request.initiatedBy.userId),
+      tokens: request.tokensToConvert,
+      config
+    });
+
+    const status = risk.hold ? 'held' : 'processing';
+    const now = new Date();
+    const claimed = await CashoutRequest.findOneAndUpdate(
+      { requestId, status: 'pending', expiresAt: { $gt: now } },
+      {
+        $set: { status, confirmedBy, risk },
+        $push: {
+          history: {
+            $each: [
+              { action: 'confirm', status, at: now, userId: String(user.userId), email: user.email, note: `Confirmed via ${confirmedBy.method}` },
+              { action: risk.hold ? 'risk_hold' : 'risk_pass', status, at: now, userId: 'system', note: this.riskNote(risk) }
+            ]
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.fail('Cashout request is no longer pending', 409);
+    }
+
+    if (risk.hold) {
+      console.log(`🚩 Cashout request ${requestId} held for review: ${this.riskNote(risk)}`);
+      return {
+        request: this.describe(claimed),
+        result: { success: true, held: true, message: 'Cashout confirmed and held for review before payout' }
+      };
+    }
+    return this.complete(claimed);
+  }
+
+  riskNote(risk) {
+    const rules = risk.signals.map(signal => `${signal.rule} +${signal.score}`).join(', ');
+    return `Risk score ${risk.score}/${risk.holdScore}${rules ? ` (${rules})` : ''}`;
+  }
+
+  // Debit through processCashout as the paying cashier (their drawer and daily
+  // limit; the initiating staff member unless paid out after review), then record
+  // the outcome. A throw fails the request rather than leaving it processing.
+  async complete(claimed, cashier = claimed.initiatedBy) {
+    const { requestId } = claimed;
+    const risk = { score: claimed.risk?.score ?? null, rules: (claimed.risk?.signals || []).map(signal => signal.rule) };
+    if (claimed.review?.reviewedBy) {
+      const { userId, email, role } = claimed.review.reviewedBy;
+      risk.reviewedBy = { userId, email, role };
+    }
+
+    const audit = {
+      cashoutRequestId: requestId,
+      initiatedBy: claimed.initiatedBy,
+      confirmedBy: { userId: claimed.confirmedBy.userId, method: claimed.confirmedBy.method, enteredBy: claimed.confirmedBy.enteredBy, at: claimed.confirmedBy.at },
+      risk
+    };
+    if (claimed.paidBy?.userId) {
+      const { userId, email, role } = claimed.paidBy;
+      audit.paidBy = { userId, email, role };
+    }
+
+    let result;
+    try {
+      result = await CashoutService.processCashout(
+        claimed.customerId,
+        claimed.tokensToConvert,
+        claimed.storeId,
+        String(cashier.userId),
+        claimed.notes,
+        audit,
+        { exchangeRate: claimed.exchangeRate, commissionPercent: claimed.commissionPercent }
+      );
+    } catch (error) {
+      console.error(`❌ Cashout request ${requestId} failed to process:`, error);
+      result = { success: false, error: error.message || 'Cashout processing failed' };
+    }
+
+    const status = result.success ? 'completed' : 'failed';
+    const outcome = result.success
+      ? { status, completedAt: new Date(), transactionId: result.transaction.transactionId }
+      : { status, completedAt: new Date(), error: result.error };
+    const done = await CashoutRequest.findOneAndUpdate(
+      { requestId, status: 'processing' },
+      {
+        $set: outcome,
+        $push: { history: { action: 'process', status, at: new Date(), userId: 'system', note: result.success ? result.transaction.transactionId : result.error } }
+      },
+      { new: true }
+    );
+
+    return { request: this.describe(done), result };
+  }
+
+  // ============================================================================
+  // RISK REVIEW
+  // ============================================================================
+
+  // A reviewer with REVERSE_CASHOUTS releases or refuses a held cashout. Neither
+  // the customer nor the staff member who started it may review it.
+  async review(requestId, reviewer, decision, reason) {
+    if (!['approve', 'deny'].includes(decision)) {
+      throw this.fail("decision must be 'approve' or 'deny'");
+    }
+    const note = reason ? String(reason).trim() : '';
+    if (decision === 'deny' && !note) {
+      throw this.fail('A reason is required to deny a cashout');
+    }
+
+    const request = await this.load(requestId);
+    this.assertVenueAccess(request, reviewer);
+    if (request.status !== 'held') {
+      throw this.fail(`Cashout request is ${request.status}`, 409);
+    }
+    if ([String(request.customerId), String(request.initiatedBy.userId)].includes(String(reviewer.userId))) {
+      throw this.fail('A held cashout must be reviewed by someone other than the customer or the staff member who started it', 403);
+    }
+
+    const approved = decision === 'approve';
+    const status = approved ? 'approved' : 'denied';
+    const now = new Date();
+    const review = { decision: approved ? 'approved' : 'denied', reviewedBy: this.actor(reviewer), at: now };
+    if (note) review.reason = note;
+
+    const update = { status, review };
+    if (!approved) update.completedAt = now;
+    const reviewed = await CashoutRequest.findOneAndUpdate(
+      { requestId, status: 'held' },
+      {
+        $set: update,
+        $push: { history: { action: approved ? 'review_approve' : 'review_deny', status, at: now, userId: String(reviewer.userId), email: reviewer.email, note: note || undefined } }
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      throw this.fail('Cashout request is no longer held', 409);
+    }
+
+    console.log(`🚩 Cashout request ${requestId} ${review.decision} by ${reviewer.email}${note ? `: ${note}` : ''}`);
+    if (!approved) {
+      return { request: this.describe(reviewed), result: { success: false, error: 'Cashout denied on review' } };
+    }
+    return {
+      request: this.describe(reviewed),
+      result: { success: true, approved: true, message: 'Cashout approved; a cashier at the venue completes the payout' }
+    };
+  }
+
+  // A cashier at the venue pays out an approved cashout from their own drawer.
+  // Reviews often land after the initiating staff member's shift has closed, so
+  // the payout is not tied to them.
+  async payout(requestId, cashier) {
+    const request = await this.load(requestId);
+    this.assertVenueAccess(request, cashier);
+    if (request.status !== 'approved') {
+      throw this.fail(`Cashout request is ${request.status}`, 409);
+    }
+
+    const now = new Date();
+    const claimed = await CashoutRequest.findOneAndUpdate(
+      { requestId, status: 'approved' },
+      {
+        $set: { status: 'processing', paidBy: this.actor(cashier) },
+        $push: { history: { action: 'payout', status: 'processing', at: now, userId: String(cashier.userId), email: cashier.email } }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.fail('Cashout request is no longer approved', 409);
+    }
+    return this.complete(claimed, cashier);
+  }
+
+  // held (default, highest score first), approved, denied or all reviewed
+  async listReviews({ status = 'held', storeId, limit = 50, skip = 0 } = {}) {
+    const filters = {
+      held: { status: 'held' },
+      approved: { 'review.decision': 'approved' },
+      denied: { 'review.decision': 'denied' },
+      all: { 'risk.hold': true }
+    };
+    if (!filters[status]) {
+      throw this.fail(`status must be one of: ${Object.keys(filters).join(', ')}`);
+    }
+
+    const query = { ...filters[status] };
+    if (storeId) query.storeId = storeId;
+    const sort = status === 'held' ? { 'risk.score': -1, updatedAt: 1 } : { 'review.at': -1, updatedAt: -1 };
+
+    const [requests, total] = await Promise.all([
+      CashoutRequest.find(query)
+        .populate('customerId', 'firstName lastName email createdAt')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CashoutRequest.countDocuments(query)
+    ]);
+    return { requests, total };
+  }
+
+  // ============================================================================
+  // CANCEL
+  // ============================================================================
+
+  // Staff at the venue, or the customer declining in the app. Staff may also
+  // cancel an approved cashout the customer never came back to collect.
+  async cancel(requestId, user, reason) {
+    const request = await this.load(requestId);
+    const isCustomer = String(request.customerId) === String(user.userId);
+    if (!isCustomer) {
+      this.assertVenueAccess(request, user);
+      if (!reason || !String(reason).trim()) {
+        throw this.fail('A reason is required to cancel a cashout request');
+      }
+    }
+    const cancellable = isCustomer ? ['pending'] : ['pending', 'approved'];
+    if (!cancellable.includes(request.status)) {
+      throw this.fail(`Cashout request is ${request.status}`, 409);
+    }
+
+    const cancelled = await CashoutRequest.findOneAndUpdate(
+      { requestId, status: request.status },
+      {
+        $set: { status: 'cancelled', completedAt: new Date(), cancelledBy: this.actor(user) },
+        $push: { history: { action: isCustomer ? 'decline' : 'cancel', status: 'cancelled', at: new Date(), userId: String(user.userId), email: user.email, note: reason ? String(reason).trim() : undefined } }
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw this.fail(`Cashout request is no longer ${request.status}`, 409);
+    }
+    return this.describe(cancelled);
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  describe(request) {
+    const doc = typeof request.toObject === 'function' ? request.toObject() : { ...request };
+    delete doc.codeHash;
+    return doc;
+  }
+
+  async get(requestId, user) {
+    const request = await this.load(requestId);
+    if (String(request.customerId) !== String(user.userId)) {
+      this.assertVenueAccess(request, user);
+      return this.describe(request);
+    }
+    // Customers see that a cashout is held, not which rules fired
+    const own = this.describe(request);
+    delete own.risk;
+    return own;
+  }
+
+  // What the customer's app polls for: requests waiting on them
+  async listForCustomer(customerId) {
+    await CashoutRequest.expireStale({ customerId });
+
+    const requests = await CashoutRequest.find({ customerId, status: 'pending' })
+      .select('requestId storeId tokensToConvert cashAmount exchangeRate commissionPercent expiresAt initiatedBy.email createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const Store = mongoose.models.Store || require('../models/Store');
+    const stores = await Store.find({ storeId: { $in: [...new Set(requests.map(r => r.storeId))] } }).select('storeId storeName').lean();
+    const names = new Map(stores.map(store => [store.storeId, store.storeName]));
+    return requests.map(request => ({ ...request, storeName: names.get(request.storeId) || request.storeId }));
+  }
+
+  async listForStore(storeId, { status, limit = 50, skip = 0 } = {}) {
+    await CashoutRequest.expireStale({ storeId });
+
+    const query = { storeId };
+    if (status && status !== 'all') query.status = status;
+
+    const [requests, total] = await Promise.all([
+      CashoutRequest.find(query)
+        .populate('customerId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CashoutRequest.countDocuments(query)
+    ]);
+    return { requests, total };
+  }
+}
+
+module.exports = new CashoutRequestService();
+module.exports.CashoutRequestService = CashoutRequestService;
+module.exports.hashCode = hashCode;
+module.exports.maskEmail = maskEmail;
@@ -0,0 +1,193 @@
+// src/services/CashoutRiskService.js
+// Rules-based risk scoring for cashouts. Each rule looks at the customer's recent
+// cashouts and winnings and adds to a score; at or above the hold score the
+// confirmed request waits in the review queue (CashoutRequest status 'held')
+// until someone with REVERSE_CASHOUTS approves or denies it.
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const LuckEvent = require('../models/LuckEvent');
+const ledger = require('./LedgerService');
+const businessDay = require('../utils/businessDay');
+
+const HOLD_SCORE = parseInt(process.env.CASHOUT_RISK_HOLD_SCORE) || 50;
+
+// Window (and the Transaction lookback) covers the longest rule window
+const LOOKBACK_DAYS = 7;
+
+const RULES = {
+  // Cashing out at several venues in a short time
+  venue_velocity: { windowHours: 24, minVenues: 2, scorePerVenue: 20, maxScore: 40 },
+  // Cashing out most of what was just won from luck events or entropy spins
+  recent_winnings: { windowHours: 24, minWinningsUsd: 100, minShare: 0.5, score: 30 },
+  // Large cashout from an account only days old
+  new_account: { maxAgeDays: 7, minCashUsd: 200, score: 30 },
+  // The same staff member cashing out the same customer again and again
+  staff_repeat: { windowDays: 7, minCashouts: 3, score: 20 },
+  // Repeated cashouts just under the per-transaction maximum
+  near_transaction_limit: { windowDays: 7, nearPercent: 90, minHits: 2, score: 35 },
+  // Today's total landing just under the daily limit
+  near_daily_limit: { nearPercent: 90, score: 15 }
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Pure: apply every rule to the facts gathered for one cashout.
+ *
+ * facts: {
+ *   now, cashAmount, storeId, staffId, tokensPerDollar,
+ *   maxCashoutPerTransaction, dailyLimitPerCustomer, todayTotal,
+ *   accountCreatedAt, winningsTokens,
+ *   cashouts: [{ usdAmount, storeId, staffId, createdAt }]   // completed, newest lookback
+ * }
+ */
+function evaluate(facts, rules = RULES) {
+  const now = facts.now.getTime();
+  const within = (cashout, ms) => now - new Date(cashout.createdAt).getTime() <= ms;
+  const signals = [];
+
+  const velocity = rules.venue_velocity;
+  const venues = new Set(facts.cashouts.filter(c => within(c, velocity.windowHours * HOUR)).map(c => c.storeId));
+  venues.add(facts.storeId);
+  if (venues.size >= velocity.minVenues) {
+    signals.push({
+      rule: 'venue_velocity',
+      score: Math.min((venues.size - 1) * velocity.scorePerVenue, velocity.maxScore),
+      detail: `Cashouts at ${venues.size} venues in ${velocity.windowHours}h`
+    });
+  }
+
+  const winnings = rules.recent_winnings;
+  const winningsUsd = facts.winningsTokens / facts.tokensPerDollar;
+  if (winningsUsd >= winnings.minWinningsUsd && facts.cashAmount >= winningsUsd * winnings.minShare) {
+    signals.push({
+      rule: 'recent_winnings',
+      score: winnings.score,
+      detail: `$${round(facts.cashAmount)} cashout after $${round(winningsUsd)} in luck/entropy payouts within ${winnings.windowHours}h`
+    });
+  }
+
+  const newAccount = rules.new_account;
+  const ageDays = (now - new Date(facts.accountCreatedAt).getTime()) / DAY;
+  if (ageDays < newAccount.maxAgeDays && facts.cashAmount >= newAccount.minCashUsd) {
+    signals.push({
+      rule: 'new_account',
+      score: newAccount.score,
+      detail: `$${round(facts.cashAmount)} cashout from an account ${Math.floor(ageDays)} day(s) old`
+    });
+  }
+
+  const repeat = rules.staff_repeat;
+  const served = facts.cashouts.filter(c => within(c, repeat.windowDays * DAY) && String(c.staffId) === String(facts.staffId)).length + 1;
+  if (served >= repeat.minCashouts) {
+    signals.push({
+      rule: 'staff_repeat',
+      score: repeat.score,
+      detail: `${served} cashouts for this customer by the same staff member in ${repeat.windowDays} days`
+    });
+  }
+
+  const nearTx = rules.near_transaction_limit;
+  const floor = facts.maxCashoutPerTransaction * nearTx.nearPercent / 100;
+  const isNear = amount => amount >= floor && amount <= facts.maxCashoutPerTransaction;
+  if (isNear(facts.cashAmount)) {
+    const hits = facts.cashouts.filter(c => within(c, nearTx.windowDays * DAY) && isNear(c.usdAmount)).length + 1;
+    if (hits >= nearTx.minHits) {
+      signals.push({
+        rule: 'near_transaction_limit',
+        score: nearTx.score,
+        detail: `${hits} cashouts within ${100 - nearTx.nearPercent}% of the $${facts.maxCashoutPerTransaction} maximum in ${nearTx.windowDays} days`
+      });
+    }
+  }
+
+  const nearDaily = rules.near_daily_limit;
+  const dayTotal = facts.todayTotal + facts.cashAmount;
+  if (dayTotal >= facts.dailyLimitPerCustomer * nearDaily.nearPercent / 100 && dayTotal <= facts.dailyLimitPerCustomer) {
+    signals.push({
+      rule: 'near_daily_limit',
+      score: nearDaily.score,
+      detail: `$${round(dayTotal)} today against a $${facts.dailyLimitPerCustomer} daily limit`
+    });
+  }
+
+  const score = signals.reduce((sum, signal) => sum + signal.score, 0);
+  return { score, signals };
+}
+
+class CashoutRiskService {
+  /**
+   * Score a cashout before it is debited. `config` is the resolved exchange rate
+   * config for the venue (ExchangeRateService.resolve).
+   */
+  async assess({ customerId, storeId, staffId, tokens, config, now = new Date() }) {
+    const Transaction = mongoose.model('Transaction');
+    const User = mongoose.model('User');
+
+    const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY);
+    const winningsSince = new Date(now.getTime() - RULES.recent_winnings.windowHours * HOUR);
+    const account = ledger.accounts.user(customerId);
+    // Same business day the customer daily limit is counted over
+    const settings = await businessDay.forStore(storeId);
+    const { start: dayStart } = businessDay.businessDayRange(businessDay.todayKey(settings, now), settings);
+
+    const [customer, cashouts, spins, luckHits] = await Promise.all([
+      User.findById(customerId).select('createdAt').lean(),
+      Transaction.find({ userId: customerId, type: 'cashout', status: 'completed', createdAt: { $gte: since } })
+        .select('usdAmount metadata.storeId metadata.staffMemberId createdAt')
+        .lean(),
+      JournalEntry.aggregate([
+        { $match: { kind: 'entropy_spin', 'lines.accountId': account, postedAt: { $gte: winningsSince } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountId': account } },
+        { $group: { _id: null, credited: { $sum: '$lines.credit' } } }
+      ]),
+      // Luck hits are not posted to the ledger while their payout is pending, so
+      // they are counted from the events themselves
+      LuckEvent.find({ userId: customerId, payoutStatus: { $ne: 'failed' }, createdAt: { $gte: winningsSince } })
+        .select('ggEmission')
+        .lean()
+    ]);
+
+    const facts = {
+      now,
+      cashAmount: tokens / config.tokensPerDollar,
+      storeId,
+      staffId,
+      tokensPerDollar: config.tokensPerDollar,
+      maxCashoutPerTransaction: config.maxCashoutPerTransaction,
+      dailyLimitPerCustomer: config.dailyLimitPerCustomer,
+      todayTotal: cashouts
+        .filter(c => new Date(c.createdAt) >= dayStart)
+        .reduce((sum, c) => sum + (c.usdAmount || 0), 0),
+      accountCreatedAt: customer?.createdAt || now,
+      winningsTokens: (spins[0]?.credited || 0) + luckHits.reduce((sum, hit) => sum + (hit.ggEmission || 0), 0),
+      cashouts: cashouts.map(c => ({
+        usdAmount: c.usdAmount || 0,
+        storeId: c.metadata?.storeId,
+        staffId: c.metadata?.staffMemberId,
+        createdAt: c.createdAt
+      }))
+    };
+
+    const { score, signals } = evaluate(facts);
+    return {
+      score,
+      holdScore: HOLD_SCORE,
+      hold: score >= HOLD_SCORE,
+      signals,
+      assessedAt: now
+    };
+  }
+}
+
+module.exports = new CashoutRiskService();
+module.exports.CashoutRiskService = CashoutRiskService;
+module.exports.evaluate = evaluate;
+module.exports.RULES = RULES;
+module.exports.HOLD_SCORE = HOLD_SCORE;
@@ -1,27 +1,17 @@
 // src/services/CashoutService.js
 const mongoose = require('mongoose');
-const ExchangeRateConfig = require('../models/ExchangeRateConfig');
+const exchangeRates = require('./ExchangeRateService');
+const businessDay = require('../utils/businessDay');
+const ledger = require('./LedgerService');
+const cashierShifts = require('./CashierShiftService');
 
 class CashoutService {
   /**
-   * Get current exchange rate configuration
+   * Get the exchange rate configuration in effect, with the venue's overrides
+   * applied when a storeId is given
    */
-  static async getCurrentExchangeRate() {
-    const config = await ExchangeRateConfig.getCurrentConfig();
-
-    if (!config) {
-      // Return default config if none exists
-      return {
-        tokensPerDollar: 1000,
-        minCashout: 5,
-        maxCashoutPerTransaction: 500,
-        dailyLimitPerCustomer: 1000,
-        dailyLimitPerStaff: 5000,
-        venueCommissionPercent: 0
-      };
-    }
-
-    return config;
+  static async getCurrentExchangeRate(storeId = null) {
+    return exchangeRates.resolve(storeId);
   }
 
   /**
@@ -42,7 +32,7 @@ class CashoutService {
     }
 
     // 2. Get exchange rate config
-    const config = await this.getCurrentExchangeRate();
+    const config = await this.getCurrentExchangeRate(storeId);
 
     // 3. Check minimum tokens
     const minTokens = config.minCashout * config.tokensPerDollar;
@@ -62,11 +52,9 @@ class CashoutService {
       errors.push(`Insufficient balance. Available: ${currentBalance} tokens, Requested: ${tokensToConvert} tokens`);
     }
 
-    // 6. Check daily limit for customer
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // 6. Check daily limit for customer (the venue's current business day)
+    const settings = await businessDay.forStore(storeId);
+    const { start: today, end: tomorrow } = businessDay.businessDayRange(businessDay.todayKey(settings), settings);
 
     const customerDailyCashouts = await Transaction.aggregate([
       {
@@ -116,6 +104,11 @@ class CashoutService {
       errors.push(`Staff daily limit exceeded. Limit: $${config.dailyLimitPerStaff}, Today's total: $${staffTodayTotal.toFixed(2)}`);
     }
 
+    // 8. Cash comes out of the staff member's open drawer
+    if (cashierShifts.requireOpenShift && !(await cashierShifts.findOpen(staffId, storeId))) {
+      errors.push('No open cashier shift at this venue. Open a shift before processing cashouts.');
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -125,10 +118,30 @@ class CashoutService {
     };
   }
 
+  /**
+   * Why the config in effect no longer matches what the customer was quoted, or
+   * null when it still does. A quote without commissionPercent predates it being
+   * recorded and is checked on the rate alone.
+   */
+  static quoteChanged(config, quote) {
+    if (!quote) return null;
+    if (config.tokensPerDollar !== quote.exchangeRate) {
+      return `Exchange rate changed from ${quote.exchangeRate} to ${config.tokensPerDollar} tokens per dollar since the customer confirmed`;
+    }
+    if (quote.commissionPercent !== undefined && quote.commissionPercent !== null && config.venueCommissionPercent !== quote.commissionPercent) {
+      return `Venue commission changed from ${quote.commissionPercent}% to ${config.venueCommissionPercent}% since the customer confirmed`;
+    }
+    return null;
+  }
+
   /**
    * Process cashout transaction (ATOMIC)
+   * Runs once the customer has confirmed a CashoutRequest; audit (cashoutRequestId,
+   * confirmedBy) is stored on the transaction's metadata. With a quote
+   * ({ exchangeRate, commissionPercent }) the cashout fails rather than pay out
+   * at terms the customer did not approve.
    */
-  static async processCashout(customerId, tokensToConvert, storeId, staffId, notes = '') {
+  static async processCashout(customerId, tokensToConvert, storeId, staffId, notes = '', audit = {}, quote = null) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -145,6 +158,11 @@ class CashoutService {
 
       const { customer, config, cashAmount } = validation;
 
+      const changed = this.quoteChanged(config, quote);
+      if (changed) {
+        throw new Error(`${changed}; start a new cashout request`);
+      }
+
       // 2. Calculate amounts
       const balanceBefore = customer.gambinoBalance;
       const venueCommission = cashAmount * (config.venueCommissionPercent / 100);
@@ -153,12 +171,35 @@ class CashoutService {
       // 3. Generate unique transaction ID
       const transactionId = `TXN-${Date.now()}-${customer._id.toString().slice(-6)}`;
 
-      // 4. Deduct tokens from customer (ATOMIC with session)
+      // 4. Move tokens from customer to venue through the ledger (ATOMIC with session);
+      //    the ledger refuses to take the customer's balance below zero
+      const posting = await ledger.transfer({
+        from: ledger.accounts.user(customer._id),
+        to: ledger.accounts.venue(storeId),
+        amount: tokensToConvert,
+        kind: 'cashout',
+        memo: `Cashout at ${storeId}`,
+        reference: { type: 'transaction', id: transactionId },
+        idempotencyKey: `cashout:${transactionId}`,
+        postedBy: { userId: staffId, source: 'cashout' },
+        session
+      });
+      const balanceAfter = posting.balances[ledger.accounts.user(customer._id)].after;
+
+      // Against the cashier's open drawer (same session: a concurrent close conflicts)
+      const shift = await cashierShifts.recordCashout({
+        storeId,
+        staffId,
+        cashPaid: cashToCustomer,
+        tokens: tokensToConvert,
+        commission: venueCommission,
+        session
+      });
+
       const updateResult = await User.findByIdAndUpdate(
         customerId,
         {
           $inc: {
-            gambinoBalance: -tokensToConvert,
             cachedGambinoBalance: -tokensToConvert,
             totalWithdrawn: cashAmount
           },
@@ -178,11 +219,6 @@ class CashoutService {
         throw new Error('Failed to update customer balance');
       }
 
-      // Verify balance didn't go negative (safety check)
-      if (updateResult.gambinoBalance < 0) {
-        throw new Error('Transaction would result in negative balance');
-      }
-
       // 5. Create transaction record
       const transaction = new Transaction({
         userId: customer._id,
@@ -195,14 +231,17 @@ class CashoutService {
         metadata: {
           storeId,
           staffMemberId: staffId,
+          shiftId: shift?.shiftId || null,
           exchangeRate: config.tokensPerDollar,
+          exchangeRateConfig: exchangeRates.reference(config),
           cashToCustomer,
           venueCommission,
           commissionPercent: config.venueCommissionPercent,
           balanceBefore,
-          balanceAfter: updateResult.gambinoBalance,
+          balanceAfter,
           transactionId,
           notes: notes || '',
+          ...audit,
           processedAt: new Date()
         }
       });
@@ -228,7 +267,8 @@ class CashoutService {
           venueCommission,
           exchangeRate: config.tokensPerDollar,
           balanceBefore,
-          balanceAfter: updateResult.gambinoBalance,
+          balanceAfter,
+          shiftId: shift?.shiftId || null,
           status: 'completed',
           createdAt: transaction.createdAt
         }
@@ -334,19 +374,15 @@ class CashoutService {
     const Transaction = mongoose.model('Transaction');
     const DailyReport = mongoose.model('DailyReport');
 
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
-    const nextDate = new Date(targetDate);
-    nextDate.setDate(nextDate.getDate() + 1);
+    const settings = await businessDay.forStore(storeId);
+    const dayKey = businessDay.toDayKey(date, settings);
+    const { start: targetDate, end: nextDate } = businessDay.businessDayRange(dayKey, settings);
 
-    // Get machine revenue from DailyReport
+    // Get machine revenue from DailyReport (latest print of the business day)
     const dailyReport = await DailyReport.findOne({
       storeId,
-      reportDate: {
-        $gte: targetDate,
-        $lt: nextDate
-      }
-    }).lean();
+      reportDate: businessDay.keyToDate(dayKey)
+    }).sort({ printedAt: -1 }).lean();
 
     // Get cashout transactions for the day
     const cashoutSummary = await Transaction.aggregate([
@@ -384,7 +420,7 @@ class CashoutService {
     };
 
     return {
-      date: targetDate.toISOString().split('T')[0],
+      date: dayKey,
       storeId,
       machineRevenue,
       cashouts,
@@ -427,12 +463,23 @@ class CashoutService {
         throw new Error('Transaction already reversed');
       }
 
-      // Refund tokens to customer
+      // Refund tokens to customer from the venue that paid out the cash
+      await ledger.transfer({
+        from: ledger.accounts.venue(transaction.metadata.storeId),
+        to: ledger.accounts.user(transaction.userId),
+        amount: transaction.amount,
+        kind: 'cashout_reversal',
+        memo: reason,
+        reference: { type: 'transaction', id: String(transaction._id) },
+        idempotencyKey: `cashout_reversal:${transaction._id}`,
+        postedBy: { userId: reversedBy, source: 'cashout' },
+        session
+      });
+
       await User.findByIdAndUpdate(
         transaction.userId,
         {
           $inc: {
-            gambinoBalance: transaction.amount,
             cachedGambinoBalance: transaction.amount,
             totalWithdrawn: -transaction.usdAmount
           },
@@ -444,6 +491,9 @@ class CashoutService {
         { session }
       );
 
+      // Cash goes back into a drawer: the original one if still open, else the reverser's
+      const shift = await cashierShifts.recordReversal({ transaction, reversedBy, session });
+
       // Update transaction as reversed
       transaction.metadata = {
         ...transaction.metadata,
@@ -467,7 +517,9 @@ class CashoutService {
           originalTxHash: transaction.txHash,
           reversedBy,
           reversalReason: reason,
-          storeId: transaction.metadata.storeId
+          storeId: transaction.metadata.storeId,
+          shiftId: shift?.shiftId || null,
+          cashReturned: transaction.metadata?.cashToCustomer ?? transaction.usdAmount
         }
       });
 
@@ -480,7 +532,8 @@ class CashoutService {
       return {
         success: true,
         message: 'Cashout successfully reversed',
-        reversalTransaction: reversalTransaction._id
+        reversalTransaction: reversalTransaction._id,
+        shiftId: shift?.shiftId || null
       };
 
     } catch (error) {
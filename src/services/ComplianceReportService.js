@@ -0,0 +1,590 @@
+// src/services/ComplianceReportService.js
+// Large cash transaction reporting. Completed cashouts at every venue are summed
+// per customer per business day; a day over the reporting threshold, or cash out
+// kept just under it (structuring), becomes a ComplianceIncident with a filing
+// status. Each incident exports as JSON or CSV with the customer's KYC record.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ComplianceIncident = require('../models/ComplianceIncident');
+const businessDay = require('../utils/businessDay');
+
+const { INCIDENT_STATUSES, STATUS_TRANSITIONS } = ComplianceIncident;
+
+const REPORTING_THRESHOLD = parseFloat(process.env.COMPLIANCE_CASH_THRESHOLD) || 10000;
+const NEAR_THRESHOLD_PERCENT = parseFloat(process.env.COMPLIANCE_NEAR_THRESHOLD_PERCENT) || 80;
+const STRUCTURING_WINDOW_DAYS = parseInt(process.env.COMPLIANCE_STRUCTURING_WINDOW_DAYS) || 3;
+const FILING_DEADLINE_DAYS = parseInt(process.env.COMPLIANCE_FILING_DEADLINE_DAYS) || 15;
+const WORKER_INTERVAL_MS = (parseInt(process.env.COMPLIANCE_SCAN_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const MAX_RANGE_DAYS = 92;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'incidentId', 'kind', 'reasons', 'status', 'businessDay', 'windowStart', 'threshold', 'totalCash', 'cashoutCount',
+  'filingDueBy', 'filingReference', 'filedAt',
+  'customerId', 'firstName', 'lastName', 'email', 'phone', 'dateOfBirth',
+  'kycStatus', 'kycVerifiedAt', 'kycVerificationMethod', 'kycVerifiedBy', 'kycDocumentTypes',
+  'verifyingVenueId', 'verifyingVenueName', 'verifyingVenueAddress',
+  'transactionId', 'transactionAt', 'venueId', 'venueName', 'venueAddress', 'cashAmount', 'tokens', 'staffMemberId'
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Pure: cashouts ([{ _id, userId, usdAmount, createdAt, storeId }]) summed per
+ * customer per business day, sorted by customer then day
+ */
+function dailyTotals(cashouts, settings = businessDay.settingsFor(null)) {
+  const days = new Map();
+  for (const cashout of cashouts) {
+    const day = businessDay.businessDayKey(cashout.createdAt, settings);
+    const key = `${cashout.userId}|${day}`;
+    if (!days.has(key)) {
+      days.set(key, {
+        userId: String(cashout.userId),
+        businessDay: day,
+        totalCash: 0,
+        cashoutCount: 0,
+        storeIds: [],
+        transactionIds: [],
+        firstAt: null,
+        lastAt: null
+      });
+    }
+
+    const total = days.get(key);
+    const at = new Date(cashout.createdAt);
+    total.totalCash = round(total.totalCash + (cashout.usdAmount || 0));
+    total.cashoutCount += 1;
+    if (cashout.storeId && !total.storeIds.includes(cashout.storeId)) total.storeIds.push(cashout.storeId);
+    total.transactionIds.push(cashout._id);
+    if (!total.firstAt || at < total.firstAt) total.firstAt = at;
+    if (!total.lastAt || at > total.lastAt) total.lastAt = at;
+  }
+
+  return [...days.values()].sort((a, b) => a.userId.localeCompare(b.userId) || a.businessDay.localeCompare(b.businessDay));
+}
+
+// Several day totals as one
+function combine(days) {
+  return {
+    userId: days[0].userId,
+    windowStart: days[0].businessDay,
+    businessDay: days[days.length - 1].businessDay,
+    totalCash: round(days.reduce((sum, day) => sum + day.totalCash, 0)),
+    cashoutCount: days.reduce((sum, day) => sum + day.cashoutCount, 0),
+    storeIds: [...new Set(days.flatMap(day => day.storeIds))],
+    transactionIds: days.flatMap(day => day.transactionIds),
+    firstAt: days[0].firstAt,
+    lastAt: days[days.length - 1].lastAt
+  };
+}
+
+/**
+ * Pure: incidents in a set of day totals (from dailyTotals).
+ *  - threshold:   one day over the threshold
+ *  - structuring: near_threshold_day - two or more cashouts reaching nearPercent of
+ *                                      the threshold without going over it
+ *                 multi_day          - consecutive days (windowDays), each under the
+ *                                      threshold, together over it. Once flagged, the
+ *                                      customer's next window starts after this one.
+ */
+function detectIncidents(days, {
+  threshold = REPORTING_THRESHOLD,
+  nearPercent = NEAR_THRESHOLD_PERCENT,
+  windowDays = STRUCTURING_WINDOW_DAYS
+} = {}) {
+  const near = threshold * nearPercent / 100;
+  const byUser = new Map();
+  for (const day of days) {
+    if (!byUser.has(day.userId)) byUser.set(day.userId, []);
+    byUser.get(day.userId).push(day);
+  }
+
+  const incidents = [];
+  for (const userDays of byUser.values()) {
+    let flaggedThrough = null;
+    for (const day of userDays) {
+      if (day.totalCash > threshold) {
+        incidents.push({ kind: 'threshold', reasons: [], threshold, ...combine([day]) });
+        continue;
+      }
+
+      const reasons = [];
+      if (day.totalCash >= near && day.cashoutCount >= 2) reasons.push('near_threshold_day');
+
+      const windowStart = businessDay.addDays(day.businessDay, -(windowDays - 1));
+      const window = userDays.filter(d => d.businessDay >= windowStart && d.businessDay <= day.businessDay);
+      const windowTotal = window.reduce((sum, d) => sum + d.totalCash, 0);
+      const fresh = !flaggedThrough || day.businessDay > flaggedThrough;
+      if (fresh && window.length >= 2 && window.every(d => d.totalCash <= threshold) && windowTotal > threshold) {
+        reasons.push('multi_day');
+        flaggedThrough = businessDay.addDays(day.businessDay, windowDays - 1);
+      }
+
+      if (reasons.length > 0) {
+        incidents.push({ kind: 'structuring', reasons, threshold, ...combine(reasons.includes('multi_day') ? window : [day]) });
+      }
+    }
+  }
+  return incidents;
+}
+
+// Quote every cell; a leading = + - @ is defused so spreadsheets do not run it
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function storeAddress(store) {
+  if (!store) return '';
+  return [store.address, store.city, store.state, store.zipCode].filter(Boolean).join(', ');
+}
+
+/**
+ * Pure: an incident report (from buildReport) as CSV, one row per cashout with the
+ * incident and customer columns repeated
+ */
+function toCsv(report) {
+  const { incident, customer } = report;
+  const verifying = customer.verifyingVenue;
+  const base = {
+    incidentId: incident.incidentId,
+    kind: incident.kind,
+    reasons: (incident.reasons || []).join(' '),
+    status: incident.status,
+    businessDay: incident.businessDay,
+    windowStart: incident.windowStart,
+    threshold: incident.threshold,
+    totalCash: incident.totalCash,
+    cashoutCount: incident.cashoutCount,
+    filingDueBy: incident.filing?.dueBy,
+    filingReference: incident.filing?.reference,
+    filedAt: incident.filing?.filedAt,
+    customerId: customer.userId,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    phone: customer.phone,
+    dateOfBirth: customer.dateOfBirth,
+    kycStatus: customer.kyc.status,
+    kycVerifiedAt: customer.kyc.verifiedAt,
+    kycVerificationMethod: customer.kyc.method,
+    kycVerifiedBy: customer.kyc.verifiedBy?.email,
+    kycDocumentTypes: customer.kyc.documents.map(doc => doc.type).join(' '),
+    verifyingVenueId: verifying?.storeId,
+    verifyingVenueName: verifying?.storeName,
+    verifyingVenueAddress: verifying?.address
+  };
+
+  const rows = report.transactions.map(tx => ({
+    ...base,
+    transactionId: tx.transactionId,
+    transactionAt: tx.at,
+    venueId: tx.storeId,
+    venueName: tx.storeName,
+    venueAddress: tx.storeAddress,
+    cashAmount: tx.cashAmount,
+    tokens: tx.tokens,
+    staffMemberId: tx.staffMemberId
+  }));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...(rows.length > 0 ? rows : [base]).map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+class ComplianceReportService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  actor(user) {
+    return { userId: user.userId, email: user.email, role: user.role };
+  }
+
+  settings() {
+    return businessDay.settingsFor(null);
+  }
+
+  parseRange(from, to, { defaultDays = 2 } = {}) {
+    const settings = this.settings();
+    const toKey = to ? businessDay.toDayKey(to, settings) : businessDay.todayKey(settings);
+    const fromKey = from ? businessDay.toDayKey(from, settings) : businessDay.addDays(toKey, -(defaultDays - 1));
+    if (!fromKey || !toKey) {
+      throw this.fail('from and to must be dates (YYYY-MM-DD)');
+    }
+    if (fromKey > toKey) {
+      throw this.fail('from must not be after to');
+    }
+    if (businessDay.dayKeysBetween(fromKey, toKey).length > MAX_RANGE_DAYS) {
+      throw this.fail(`Range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+    return { fromKey, toKey };
+  }
+
+  // Completed cashouts, less any that were reversed (the cash came back)
+  async loadCashouts(fromKey, toKey, userId = null) {
+    const Transaction = mongoose.model('Transaction');
+    const { start, end } = businessDay.businessRange(fromKey, toKey, this.settings());
+    const query = { type: 'cashout', status: 'completed', 'metadata.reversed': { $ne: true }, createdAt: { $gte: start, $lt: end } };
+    if (userId) query.userId = userId;
+
+    const cashouts = await Transaction.find(query).select('userId usdAmount createdAt metadata.storeId').lean();
+    return cashouts.map(cashout => ({ ...cashout, storeId: cashout.metadata?.storeId }));
+  }
+
+  // ============================================================================
+  // DETECTION
+  // ============================================================================
+
+  /**
+   * Find incidents in business days fromKey..toKey and record them. Earlier days
+   * are loaded too so a structuring window can reach back past `from`.
+   */
+  async scan({ from, to } = {}) {
+    const { fromKey, toKey } = this.parseRange(from, to);
+    const lookbackKey = businessDay.addDays(fromKey, -2 * (STRUCTURING_WINDOW_DAYS - 1));
+    const cashouts = await this.loadCashouts(lookbackKey, toKey);
+
+    const found = detectIncidents(dailyTotals(cashouts, this.settings()))
+      .filter(incident => incident.businessDay >= fromKey);
+
+    const counts = { found: found.length, created: 0, updated: 0 };
+    for (const incident of found) {
+      const outcome = await this.upsert(incident);
+      if (outcome) counts[outcome] += 1;
+    }
+
+    if (counts.created || counts.updated) {
+      console.log(`🧾 Compliance scan ${fromKey}..${toKey}: ${counts.created} new, ${counts.updated} updated incident(s)`);
+    }
+    return { from: fromKey, to: toKey, ...counts };
+  }
+
+  // 'created' | 'updated' | null (unchanged)
+  async upsert(found) {
+    const key = { userId: found.userId, kind: found.kind, businessDay: found.businessDay };
+    const existing = await ComplianceIncident.findOne(key);
+    const summary = `$${found.totalCash.toFixed(2)} over ${found.cashoutCount} cashout(s) at ${found.storeIds.length} venue(s)`;
+
+    if (!existing) {
+      // A scan that starts later can close a multi-day window on a later day than
+      // an earlier scan did; keep the first
+      if (found.reasons.length === 1 && found.reasons[0] === 'multi_day') {
+        const overlapping = await ComplianceIncident.exists({
+          userId: found.userId,
+          kind: 'structuring',
+          reasons: 'multi_day',
+          businessDay: { $gte: found.windowStart, $lt: found.businessDay }
+        });
+        if (overlapping) return null;
+      }
+
+      const incident = new ComplianceIncident({
+        ...found,
+        incidentId: crypto.randomUUID(),
+        filing: { dueBy: new Date(businessDay.keyToDate(found.businessDay).getTime() + FILING_DEADLINE_DAYS * DAY_MS) }
+      });
+      incident.record('flag', 'open', null, `${found.reasons.length ? found.reasons.join(', ') : 'over threshold'}: ${summary}`);
+      try {
+        await incident.save();
+      } catch (error) {
+        if (error.code === 11000) return null;   // another instance recorded it first
+        throw error;
+      }
+      return 'created';
+    }
+
+    const unchanged = existing.totalCash === found.totalCash &&
+      existing.cashoutCount === found.cashoutCount &&
+      existing.reasons.join() === found.reasons.join();
+    if (unchanged) return null;
+
+    existing.set({
+      reasons: found.reasons,
+      windowStart: found.windowStart,
+      totalCash: found.totalCash,
+      cashoutCount: found.cashoutCount,
+      storeIds: found.storeIds,
+      transactionIds: found.transactionIds,
+      firstAt: found.firstAt,
+      lastAt: found.lastAt
+    });
+    if (existing.status === 'filed') existing.amendmentNeeded = true;
+    existing.record('update', null, null, `Now ${summary}${existing.status === 'filed' ? '; filing needs an amendment' : ''}`);
+    await existing.save();
+    return 'updated';
+  }
+
+  // ============================================================================
+  // FILING STATUS
+  // ============================================================================
+
+  // A filed incident whose totals changed is filed again with the amendment's reference
+  async setStatus(incidentId, user, status, { reference, note } = {}) {
+    if (!INCIDENT_STATUSES.includes(status)) {
+      throw this.fail(`status must be one of: ${INCIDENT_STATUSES.join(', ')}`);
+    }
+    const incident = await ComplianceIncident.findOne({ incidentId }).lean();
+    if (!incident) {
+      throw this.fail('Incident not found', 404);
+    }
+
+    const amending = incident.status === 'filed' && status === 'filed' && incident.amendmentNeeded;
+    if (!amending && !STATUS_TRANSITIONS[incident.status].includes(status)) {
+      throw this.fail(`A ${incident.status} incident cannot move to ${status}`, 409);
+    }
+    const ref = reference ? String(reference).trim() : '';
+    const text = note ? String(note).trim() : '';
+    if (status === 'filed' && !ref) {
+      throw this.fail('reference (the filing id) is required');
+    }
+    if (status === 'dismissed' && !text) {
+      throw this.fail('A note is required to dismiss an incident');
+    }
+
+    const set = { status };
+    if (status === 'filed') {
+      set['filing.reference'] = ref;
+      set['filing.filedAt'] = new Date();
+      set['filing.filedBy'] = this.actor(user);
+      set.amendmentNeeded = false;
+    }
+    const actions = { open: 'reopen', in_review: 'review', filed: amending ? 'amend' : 'file', dismissed: 'dismiss' };
+    const notes = [ref && `Reference ${ref}`, text].filter(Boolean).join('; ');
+
+    const updated = await ComplianceIncident.findOneAndUpdate(
+      { incidentId, status: incident.status },
+      {
+        $set: set,
+        $push: { history: { action: actions[status], status, at: new Date(), userId: String(user.userId), email: user.email, note: notes || undefined } }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw this.fail('Incident changed while updating; reload and try again', 409);
+    }
+
+    console.log(`🧾 Compliance incident ${incidentId} ${actions[status]} by ${user.email}`);
+    return updated;
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  async buildReport(incidentId, user) {
+    const incident = await ComplianceIncident.findOne({ incidentId }).lean();
+    if (!incident) {
+      throw this.fail('Incident not found', 404);
+    }
+
+    const User = mongoose.model('User');
+    const Transaction = mongoose.model('Transaction');
+    const Store = mongoose.models.Store || require('../models/Store');
+
+    const [customer, transactions] = await Promise.all([
+      User.findById(incident.userId)
+        .select('firstName lastName email phone dateOfBirth createdAt kycStatus kycVerifiedAt kycVerifiedBy kycVerifiedAtVenue kycVerificationMethod kycNotes kycDocuments')
+        .populate('kycVerifiedBy', 'firstName lastName email')
+        .lean(),
+      Transaction.find({ _id: { $in: incident.transactionIds } })
+        .select('amount usdAmount createdAt metadata.storeId metadata.staffMemberId metadata.transactionId metadata.shiftId')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+    if (!customer) {
+      throw this.fail('Customer for this incident no longer exists', 404);
+    }
+
+    const storeIds = [...new Set([...incident.storeIds, customer.kycVerifiedAtVenue].filter(Boolean))];
+    const stores = await Store.find({ storeId: { $in: storeIds } }).select('storeId storeName name address city state zipCode phone').lean();
+    const byId = new Map(stores.map(store => [store.storeId, store]));
+    const venue = storeId => {
+      const store = byId.get(storeId);
+      return { storeId, storeName: store?.storeName || store?.name || storeId, address: storeAddress(store), phone: store?.phone };
+    };
+
+    await ComplianceIncident.updateOne(
+      { incidentId },
+      { $push: { history: { action: 'export', status: incident.status, at: new Date(), userId: String(user.userId), email: user.email } } }
+    );
+
+    const verifier = customer.kycVerifiedBy;
+    return {
+      reportType: incident.kind === 'threshold' ? 'large_cash_transaction' : 'suspected_structuring',
+      generatedAt: new Date(),
+      generatedBy: this.actor(user),
+      incident: {
+        incidentId: incident.incidentId,
+        kind: incident.kind,
+        reasons: incident.reasons,
+        status: incident.status,
+        businessDay: incident.businessDay,
+        windowStart: incident.windowStart,
+        threshold: incident.threshold,
+        totalCash: incident.totalCash,
+        cashoutCount: incident.cashoutCount,
+        venues: incident.storeIds.map(venue),
+        firstAt: incident.firstAt,
+        lastAt: incident.lastAt,
+        filing: incident.filing,
+        amendmentNeeded: incident.amendmentNeeded
+      },
+      // Document types and dates only; the images stay in the KYC store
+      customer: {
+        userId: customer._id,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        email: customer.email,
+        phone: customer.phone,
+        dateOfBirth: customer.dateOfBirth,
+        accountCreatedAt: customer.createdAt,
+        kyc: {
+          status: customer.kycStatus,
+          verifiedAt: customer.kycVerifiedAt,
+          method: customer.kycVerificationMethod,
+          verifiedBy: verifier ? { userId: verifier._id, name: `${verifier.firstName} ${verifier.lastName}`, email: verifier.email } : null,
+          notes: customer.kycNotes,
+          documents: (customer.kycDocuments || []).map(doc => ({ type: doc.type, verified: doc.verified, uploadedAt: doc.uploadedAt }))
+        },
+        verifyingVenue: customer.kycVerifiedAtVenue ? venue(customer.kycVerifiedAtVenue) : null
+      },
+      transactions: transactions.map(tx => {
+        const place = venue(tx.metadata?.storeId);
+        return {
+          transactionId: tx.metadata?.transactionId || String(tx._id),
+          at: tx.createdAt,
+          storeId: place.storeId,
+          storeName: place.storeName,
+          storeAddress: place.address,
+          cashAmount: tx.usdAmount,
+          tokens: tx.amount,
+          staffMemberId: tx.metadata?.staffMemberId,
+          shiftId: tx.metadata?.shiftId
+        };
+      })
+    };
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  async get(incidentId) {
+    const incident = await ComplianceIncident.findOne({ incidentId })
+      .populate('userId', 'firstName lastName email kycStatus')
+      .lean();
+    if (!incident) {
+      throw this.fail('Incident not found', 404);
+    }
+    return incident;
+  }
+
+  async list({ status, kind, storeId, userId, from, to, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (kind) query.kind = kind;
+    if (storeId) query.storeIds = storeId;
+    if (userId) query.userId = userId;
+    if (from || to) {
+      const { fromKey, toKey } = this.parseRange(from || to, to || from);
+      query.businessDay = { $gte: fromKey, $lte: toKey };
+    }
+
+    const [incidents, total] = await Promise.all([
+      ComplianceIncident.find(query)
+        .select('-history -transactionIds')
+        .populate('userId', 'firstName lastName email')
+        .sort({ businessDay: -1, totalCash: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ComplianceIncident.countDocuments(query)
+    ]);
+    return { incidents, total };
+  }
+
+  // Customer business-day totals across all venues, largest first
+  async dailyTotals({ from, to, minTotal, userId } = {}) {
+    const { fromKey, toKey } = this.parseRange(from, to, { defaultDays: 1 });
+    const floor = minTotal !== undefined && minTotal !== '' ? Number(minTotal) : REPORTING_THRESHOLD * NEAR_THRESHOLD_PERCENT / 100;
+    if (!Number.isFinite(floor) || floor < 0) {
+      throw this.fail('minTotal must be a non-negative number');
+    }
+
+    const cashouts = await this.loadCashouts(fromKey, toKey, userId);
+    const days = dailyTotals(cashouts, this.settings())
+      .filter(day => day.totalCash >= floor)
+      .sort((a, b) => b.totalCash - a.totalCash);
+
+    const User = mongoose.model('User');
+    const users = await User.find({ _id: { $in: [...new Set(days.map(day => day.userId))] } })
+      .select('firstName lastName email kycStatus')
+      .lean();
+    const byId = new Map(users.map(user => [String(user._id), user]));
+
+    return {
+      from: fromKey,
+      to: toKey,
+      threshold: REPORTING_THRESHOLD,
+      minTotal: floor,
+      days: days.map(({ transactionIds, ...day }) => ({
+        ...day,
+        overThreshold: day.totalCash > REPORTING_THRESHOLD,
+        customer: byId.get(day.userId) || null
+      }))
+    };
+  }
+
+  // ============================================================================
+  // WORKER
+  // ============================================================================
+
+  // Yesterday and today, so late cashouts before a cutover are picked up
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      await this.scan();
+    } catch (error) {
+      console.error('❌ Compliance scan error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  startWorker() {
+    if (this.isRunning) return;
+
+    console.log('🧾 Starting compliance reporting worker...');
+    this.isRunning = true;
+
+    this.tick();
+    this.workerTimer = setInterval(() => this.tick(), WORKER_INTERVAL_MS);
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+    this.isRunning = false;
+  }
+}
+
+module.exports = new ComplianceReportService();
+module.exports.ComplianceReportService = ComplianceReportService;
+module.exports.REPORTING_THRESHOLD = REPORTING_THRESHOLD;
+module.exports.dailyTotals = dailyTotals;
+module.exports.detectIncidents = detectIncidents;
+module.exports.toCsv = toCsv;
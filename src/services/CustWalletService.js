@@ -3,6 +3,7 @@
 const { StoreWallet, WalletTransaction, Settlement } = require('../models/Wallet');
 const { Session } = require('../models/Session');
 const mongoose = require('mongoose');
+const ledger = require('./LedgerService');
 
 
 class WalletService {
@@ -73,21 +74,28 @@ class WalletService {
         throw new Error(`Wallet not found for user ${userId} at store ${storeId}`);
       }
 
-      // Calculate new balance
+      // Post the movement to the ledger, which refuses to overdraw the wallet
+      // and updates StoreWallet.balance in the same transaction
       const direction = this.getTransactionDirection(type);
-      const balanceBefore = wallet.balance;
-      let balanceAfter;
+      const walletAccount = ledger.accounts.storeWallet(storeId, userId);
+      const counterAccount = ledger.accounts.external(this.getCounterparty(type), 'USD');
 
-      if (direction === 'credit') {
-        balanceAfter = balanceBefore + amount;
-        if (balanceAfter > this.MAXIMUM_BALANCE) {
-          throw new Error(`Transaction would exceed maximum balance of $${this.MAXIMUM_BALANCE}`);
-        }
-      } else {
-        balanceAfter = balanceBefore - amount;
-        if (balanceAfter < 0) {
-          throw new Error('Insufficient balance for transaction');
-        }
+      const posting = await ledger.transfer({
+        from: direction === 'credit' ? counterAccount : walletAccount,
+        to: direction === 'credit' ? walletAccount : counterAccount,
+        amount,
+        kind: 'store_wallet',
+        memo: description || type,
+        reference: sessionId ? { type: 'session', id: sessionId } : undefined,
+        postedBy: { userId, source: `store_wallet:${type}` },
+        session
+      }).catch(error => {
+        throw error.status === 409 ? new Error('Insufficient balance for transaction') : error;
+      });
+      const { before: balanceBefore, after: balanceAfter } = posting.balances[walletAccount];
+
+      if (direction === 'credit' && balanceAfter > this.MAXIMUM_BALANCE) {
+        throw new Error(`Transaction would exceed maximum balance of $${this.MAXIMUM_BALANCE}`);
       }
 
       // Create transaction record
@@ -108,11 +116,10 @@ class WalletService {
         status: 'confirmed'
       }], { session });
 
-      // Update wallet balance
+      // Balance was moved by the ledger posting above
       await StoreWallet.updateOne(
         { userId, storeId },
         {
-          balance: balanceAfter,
           lastUpdated: new Date(),
           lastSessionId: sessionId,
           $inc: { version: 1 }
@@ -311,6 +318,20 @@ class WalletService {
     return creditTypes.includes(type) ? 'credit' : 'debit';
   }
 
+  // External ledger account on the other side of a wallet movement
+  getCounterparty(type) {
+    switch (type) {
+      case 'cash_deposit':
+      case 'cash_out':
+        return 'cash';
+      case 'gaming_win':
+      case 'gaming_spend':
+        return 'machine_play';
+      default:
+        return 'adjustments';
+    }
+  }
+
   async validateTransaction(transactionData) {
     const { userId, storeId, type, amount } = transactionData;
 
@@ -1,12 +1,13 @@
 const Event = require('../models/Event');
 const DailyReport = require('../models/DailyReport');
+const muthaGoose = require('../parsers/muthaGoose');
+const businessDay = require('../utils/businessDay');
 
 class DailyReportProcessor {
   
   async processDailySummaryEvents(storeId, hubId, timestamp) {
     try {
-      const reportDate = new Date(timestamp);
-      reportDate.setHours(0, 0, 0, 0);
+      const reportDate = businessDay.businessDate(timestamp, await businessDay.forStore(storeId));
       
       const batchStartTime = new Date(timestamp);
       batchStartTime.setSeconds(batchStartTime.getSeconds() - 60);
@@ -95,53 +96,7 @@ class DailyReportProcessor {
 
       // Create NEW report
       const idempotencyKey = `${storeId}_${reportDate.toISOString().split('T')[0]}_${Date.now()}`;
-      const machineGroups = {};
-
-      for (const event of events) {
-        const machineId = event.gamingMachineId;
-        const { moneyIn, moneyOut } = this.parseEventAmounts(event);
-        
-        if (!machineGroups[machineId]) {
-          machineGroups[machineId] = {
-            machineId,
-            moneyIn: 0,
-            collect: 0,
-            transactionCount: 0
-          };
-        }
-        
-        if (event.eventType === 'money_in') {
-          machineGroups[machineId].moneyIn = Math.max(machineGroups[machineId].moneyIn, moneyIn);
-        } else if (event.eventType === 'money_out') {
-          machineGroups[machineId].collect = Math.max(machineGroups[machineId].collect, moneyOut);
-        } else if (event.eventType === 'daily_summary') {
-          // Grand total format - has both IN and OUT
-          machineGroups[machineId].moneyIn = Math.max(machineGroups[machineId].moneyIn, moneyIn);
-          machineGroups[machineId].collect = Math.max(machineGroups[machineId].collect, moneyOut);
-        }
-        
-        machineGroups[machineId].transactionCount += 1;
-      }
-
-      // Calculate net revenue and totals
-      const machineData = Object.values(machineGroups).map(machine => ({
-        ...machine,
-        netRevenue: machine.moneyIn - machine.collect
-      }));
-
-      // Filter out grand_total from machine list for per-machine breakdown
-      const machinesOnly = machineData.filter(m => m.machineId !== 'grand_total');
-      const grandTotalEntry = machineData.find(m => m.machineId === 'grand_total');
-
-      // Use grand_total for store totals if available, otherwise sum machines
-      let totalMoneyIn, totalMoneyOut;
-      if (grandTotalEntry) {
-        totalMoneyIn = grandTotalEntry.moneyIn;
-        totalMoneyOut = grandTotalEntry.collect;
-      } else {
-        totalMoneyIn = machinesOnly.reduce((sum, m) => sum + m.moneyIn, 0);
-        totalMoneyOut = machinesOnly.reduce((sum, m) => sum + m.collect, 0);
-      }
+      const { machineData, machinesOnly, totalMoneyIn, totalMoneyOut } = this.summarizeEvents(events);
 
       // Create NEW DailyReport record
       const report = await DailyReport.create({
@@ -182,33 +137,65 @@ class DailyReportProcessor {
     }
   }
 
-  parseEventAmounts(event) {
-    let moneyIn = 0;
-    let moneyOut = 0;
-    
-    if (event.rawData) {
-      // Grand total format: "In: $X, Out: $Y"
-      const grandInMatch = event.rawData.match(/In:\s*\$?(\d+)/i);
-      const grandOutMatch = event.rawData.match(/Out:\s*\$?(\d+)/i);
+  // Fold one print batch of events into per-machine figures and store totals.
+  // Pure function of the events, so rebuilds produce the same numbers as live processing.
+  summarizeEvents(events) {
+    const machineGroups = {};
+
+    for (const event of events) {
+      const machineId = event.gamingMachineId;
+      const { moneyIn, moneyOut } = this.parseEventAmounts(event);
       
-      if (grandInMatch && grandOutMatch) {
-        moneyIn = parseInt(grandInMatch[1]);
-        moneyOut = parseInt(grandOutMatch[1]);
-      } else {
-        if (event.eventType === 'money_in') {
-          moneyIn = event.amount || 0;
-        } else if (event.eventType === 'money_out') {
-          moneyOut = event.amount || 0;
-        }
+      if (!machineGroups[machineId]) {
+        machineGroups[machineId] = {
+          machineId,
+          moneyIn: 0,
+          collect: 0,
+          transactionCount: 0
+        };
       }
-    } else {
+      
       if (event.eventType === 'money_in') {
-        moneyIn = event.amount || 0;
+        machineGroups[machineId].moneyIn = Math.max(machineGroups[machineId].moneyIn, moneyIn);
       } else if (event.eventType === 'money_out') {
-        moneyOut = event.amount || 0;
+        machineGroups[machineId].collect = Math.max(machineGroups[machineId].collect, moneyOut);
+      } else if (event.eventType === 'daily_summary') {
+        // Grand total format - has both IN and OUT
+        machineGroups[machineId].moneyIn = Math.max(machineGroups[machineId].moneyIn, moneyIn);
+        machineGroups[machineId].collect = Math.max(machineGroups[machineId].collect, moneyOut);
       }
+      
+      machineGroups[machineId].transactionCount += 1;
     }
-    
+
+    // Calculate net revenue and totals
+    const machineData = Object.values(machineGroups)
+      .map(machine => ({
+        ...machine,
+        netRevenue: machine.moneyIn - machine.collect
+      }))
+      .sort((a, b) => a.machineId.localeCompare(b.machineId));
+
+    // Filter out grand_total from machine list for per-machine breakdown
+    const machinesOnly = machineData.filter(m => m.machineId !== 'grand_total');
+    const grandTotalEntry = machineData.find(m => m.machineId === 'grand_total');
+
+    // Use grand_total for store totals if available, otherwise sum machines
+    let totalMoneyIn, totalMoneyOut;
+    if (grandTotalEntry) {
+      totalMoneyIn = grandTotalEntry.moneyIn;
+      totalMoneyOut = grandTotalEntry.collect;
+    } else {
+      totalMoneyIn = machinesOnly.reduce((sum, m) => sum + m.moneyIn, 0);
+      totalMoneyOut = machinesOnly.reduce((sum, m) => sum + m.collect, 0);
+    }
+
+    return { machineData, machinesOnly, totalMoneyIn, totalMoneyOut };
+  }
+
+  // Grand total tickets carry both IN and OUT; other events count their own amount
+  parseEventAmounts(event) {
+    const { moneyIn, moneyOut } = muthaGoose.readDailyAmounts(event);
     return { moneyIn, moneyOut };
   }
 
@@ -0,0 +1,403 @@
+// src/services/DailyReportRebuildService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const DailyReport = require('../models/DailyReport');
+const DailyReportVersion = require('../models/DailyReportVersion');
+const DailyReportRebuild = require('../models/DailyReportRebuild');
+const VenueReconciliation = require('../models/VenueReconciliation');
+const DailyReportProcessor = require('./DailyReportProcessor');
+const businessDay = require('../utils/businessDay');
+
+const MAX_RANGE_DAYS = 62;
+const BATCH_GAP_MS = 60 * 1000;     // Same window the live processor uses for one print
+const REPORT_EVENT_TYPES = ['money_in', 'money_out', 'daily_summary'];
+const MACHINE_FIELDS = ['moneyIn', 'collect', 'netRevenue', 'transactionCount'];
+
+class DailyReportRebuildService {
+  constructor() {
+    this.processor = new DailyReportProcessor();
+  }
+
+  // Validates YYYY-MM-DD business days and returns the instants [start, end) they cover
+  parseRange(from, to, settings) {
+    if (!businessDay.DAY_KEY_PATTERN.test(from || '') || !businessDay.DAY_KEY_PATTERN.test(to || '')) {
+      throw this.badRequest('from and to must be YYYY-MM-DD');
+    }
+    if (to < from) {
+      throw this.badRequest('Invalid date range');
+    }
+    if (businessDay.dayKeysBetween(from, to).length > MAX_RANGE_DAYS) {
+      throw this.badRequest(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+    return businessDay.businessRange(from, to, settings);
+  }
+
+  badRequest(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Split events into print batches: per hub, a new batch after a quiet gap
+  groupBatches(events) {
+    const byHub = {};
+    events.forEach(event => {
+      (byHub[event.hubMachineId] = byHub[event.hubMachineId] || []).push(event);
+    });
+
+    const batches = [];
+    Object.keys(byHub).sort().forEach(hubId => {
+      let current = null;
+      for (const event of byHub[hubId]) {
+        const ts = new Date(event.timestamp).getTime();
+        if (!current || ts - current.lastTs > BATCH_GAP_MS) {
+          current = { hubId, events: [], lastTs: ts };
+          batches.push(current);
+        }
+        current.events.push(event);
+        current.lastTs = ts;
+      }
+    });
+
+    return batches.sort((a, b) => a.lastTs - b.lastTs || a.hubId.localeCompare(b.hubId));
+  }
+
+  desiredReport(storeId, batch, settings) {
+    const { machineData, machinesOnly, totalMoneyIn, totalMoneyOut } = this.processor.summarizeEvents(batch.events);
+    const printedAt = new Date(batch.lastTs);
+    const reportDate = businessDay.businessDate(printedAt, settings);
+
+    return {
+      storeId,
+      hubId: batch.hubId,
+      printedAt,
+      reportDate,
+      totalMoneyIn,
+      totalCollect: totalMoneyOut,
+      totalRevenue: totalMoneyIn - totalMoneyOut,
+      machineData: machinesOnly,
+      machineCount: machinesOnly.length,
+      qualityScore: this.processor.calculateQualityScore(batch.events, machineData),
+      sourceEventId: batch.events[0]._id
+    };
+  }
+
+  // Field-level differences between a stored report and the rebuilt figures
+  diffReport(existing, desired) {
+    const fields = [];
+    ['totalMoneyIn', 'totalCollect', 'totalRevenue', 'machineCount'].forEach(field => {
+      if ((existing[field] || 0) !== desired[field]) {
+        fields.push({ field, from: existing[field] ?? null, to: desired[field] });
+      }
+    });
+
+    const before = new Map((existing.machineData || []).map(m => [m.machineId, m]));
+    const after = new Map(desired.machineData.map(m => [m.machineId, m]));
+    const machineIds = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+    for (const machineId of machineIds) {
+      const a = before.get(machineId);
+      const b = after.get(machineId);
+      if (!a || !b) {
+        fields.push({ field: `machineData.${machineId}`, from: a ? 'present' : null, to: b ? 'present' : null });
+        continue;
+      }
+      MACHINE_FIELDS.forEach(key => {
+        if ((a[key] || 0) !== (b[key] || 0)) {
+          fields.push({ field: `machineData.${machineId}.${key}`, from: a[key] ?? null, to: b[key] });
+        }
+      });
+    }
+    return fields;
+  }
+
+  // ============================================================================
+  // PLAN (dry run)
+  // ============================================================================
+
+  async plan(storeId, from, to, options = {}, session = null) {
+    const settings = await businessDay.forStore(storeId);
+    const { start, end } = this.parseRange(from, to, settings);
+
+    const events = await Event.find({
+      storeId,
+      eventType: { $in: REPORT_EVENT_TYPES },
+      'metadata.source': 'daily_report',
+      timestamp: { $gte: start, $lt: end }
+    })
+      .sort({ timestamp: 1, _id: 1 })
+      .session(session)
+      .lean();
+
+    const linkedIds = [...new Set(events.map(e => e.generatedReportId).filter(Boolean).map(String))];
+    const existingReports = await DailyReport.find({
+      storeId,
+      $or: [
+        { printedAt: { $gte: start, $lt: end } },
+        { _id: { $in: linkedIds } }
+      ]
+    })
+      .sort({ printedAt: 1, _id: 1 })
+      .session(session)
+      .lean();
+
+    const existingById = new Map(existingReports.map(r => [String(r._id), r]));
+    const claimed = new Set();
+    const operations = [];
+
+    for (const batch of this.groupBatches(events)) {
+      const desired = this.desiredReport(storeId, batch, settings);
+
+      // The stored report most of this batch's events already point at
+      const votes = {};
+      batch.events.forEach(e => {
+        const id = e.generatedReportId && String(e.generatedReportId);
+        if (id && existingById.has(id) && !claimed.has(id)) votes[id] = (votes[id] || 0) + 1;
+      });
+      const targetId = Object.keys(votes).sort((a, b) => votes[b] - votes[a] || a.localeCompare(b))[0];
+      const relink = batch.events.filter(e => !e.processed || String(e.generatedReportId) !== targetId).length;
+
+      if (!targetId) {
+        operations.push({ action: 'create', desired, batch, relink: batch.events.length });
+        continue;
+      }
+
+      claimed.add(targetId);
+      const existing = existingById.get(targetId);
+      const fields = this.diffReport(existing, desired);
+      operations.push({
+        action: fields.length ? 'update' : 'unchanged',
+        existing,
+        desired,
+        fields,
+        batch,
+        relink
+      });
+    }
+
+    // Stored reports no batch claimed: merged duplicates if events point at them, otherwise orphans
+    const referenced = new Set(linkedIds);
+    for (const report of existingReports) {
+      const id = String(report._id);
+      if (claimed.has(id)) continue;
+      if (referenced.has(id)) {
+        operations.push({ action: 'remove', existing: report, reason: 'merged' });
+      } else if (options.removeOrphans) {
+        operations.push({ action: 'remove', existing: report, reason: 'orphan' });
+      } else {
+        operations.push({ action: 'orphaned', existing: report });
+      }
+    }
+
+    // Reconciliations on any date whose figures move
+    const changedDays = new Set();
+    operations
+      .filter(op => ['create', 'update', 'remove'].includes(op.action))
+      .forEach(op => {
+        const printedAt = op.existing ? op.existing.printedAt : op.desired.printedAt;
+        changedDays.add(businessDay.businessDayKey(printedAt, settings));
+      });
+
+    const reconciliations = changedDays.size
+      ? await VenueReconciliation.find({
+        storeId,
+        $or: [...changedDays].map(day => ({
+          reconciliationDate: {
+            $gte: businessDay.keyToDate(day),
+            $lt: businessDay.keyToDate(businessDay.addDays(day, 1))
+          }
+        }))
+      })
+        .select('reconciliationDate reconciliationStatus settlementStatus venueGamingRevenue')
+        .session(session)
+        .lean()
+      : [];
+
+    const summary = {
+      created: operations.filter(op => op.action === 'create').length,
+      updated: operations.filter(op => op.action === 'update').length,
+      removed: operations.filter(op => op.action === 'remove').length,
+      unchanged: operations.filter(op => op.action === 'unchanged').length,
+      orphaned: operations.filter(op => op.action === 'orphaned').length,
+      eventsRelinked: operations.reduce((sum, op) => sum + (op.relink || 0), 0),
+      events: events.length
+    };
+
+    const changes = operations
+      .filter(op => op.action !== 'unchanged')
+      .map(op => this.describe(op));
+
+    return {
+      storeId,
+      from,
+      to,
+      planHash: this.hashPlan(changes, summary),
+      summary,
+      changes,
+      reconciliations: reconciliations.map(r => ({
+        id: r._id,
+        date: r.reconciliationDate,
+        status: r.reconciliationStatus,
+        settlementStatus: r.settlementStatus
+      })),
+      operations
+    };
+  }
+
+  describe(op) {
+    const base = {
+      action: op.action,
+      reportId: op.existing?._id || null,
+      printedAt: op.existing ? op.existing.printedAt : op.desired.printedAt,
+      hubId: op.desired?.hubId || op.existing?.hubId || null,
+      eventCount: op.batch ? op.batch.events.length : 0
+    };
+
+    if (op.action === 'create') {
+      base.fields = [
+        { field: 'totalMoneyIn', from: null, to: op.desired.totalMoneyIn },
+        { field: 'totalCollect', from: null, to: op.desired.totalCollect },
+        { field: 'totalRevenue', from: null, to: op.desired.totalRevenue },
+        { field: 'machineCount', from: null, to: op.desired.machineCount }
+      ];
+    } else if (op.action === 'update') {
+      base.fields = op.fields;
+    } else {
+      base.reason = op.reason || 'no events in range reference this report';
+      base.fields = [{ field: 'totalRevenue', from: op.existing.totalRevenue, to: null }];
+    }
+    return base;
+  }
+
+  // Identifies the exact set of changes, so a commit can insist on what the dry run showed
+  hashPlan(changes, summary) {
+    const payload = JSON.stringify({ changes, summary });
+    return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+  }
+
+  // ============================================================================
+  // COMMIT
+  // ============================================================================
+
+  async commit(storeId, from, to, user, options = {}) {
+    const session = await mongoose.startSession();
+    let result = null;
+
+    try {
+      await session.withTransaction(async () => {
+        const plan = await this.plan(storeId, from, to, options, session);
+
+        if (options.planHash && options.planHash !== plan.planHash) {
+          throw this.badRequest('Reports or events changed since the dry run; run it again', 409);
+        }
+
+        const rebuildId = new mongoose.Types.ObjectId();
+        const now = new Date();
+
+        for (const op of plan.operations) {
+          if (op.action === 'update' || op.action === 'remove') {
+            await DailyReportVersion.create([{
+              reportId: op.existing._id,
+              storeId,
+              revision: op.existing.revision || 1,
+              snapshot: op.existing,
+              reason: op.action === 'update' ? 'rebuild_update' : 'rebuild_remove',
+              rebuildId,
+              supersededAt: now
+            }], { session });
+          }
+
+          if (op.action === 'update') {
+            const { storeId: _storeId, hubId, printedAt, reportDate, ...figures } = op.desired;
+            await DailyReport.updateOne(
+              { _id: op.existing._id },
+              {
+                $set: {
+                  ...figures,
+                  ...(op.existing.hubId ? {} : { hubId }),
+                  lastRebuildId: rebuildId,
+                  lastRebuiltAt: now,
+                  updatedAt: now
+                },
+                $inc: { revision: 1 }
+              },
+              { session }
+            );
+          }
+
+          if (op.action === 'create') {
+            const [report] = await DailyReport.create([{
+              ...op.desired,
+              idempotencyKey: `rebuild_${storeId}_${op.desired.hubId}_${op.desired.printedAt.toISOString()}`,
+              reconciliationStatus: 'pending',
+              lastRebuildId: rebuildId,
+              lastRebuiltAt: now
+            }], { session });
+            op.reportId = report._id;
+          }
+
+          if (op.action === 'remove') {
+            await DailyReport.deleteOne({ _id: op.existing._id }, { session });
+          }
+
+          // Point every event of the batch at the report it now belongs to
+          if (op.batch && op.relink) {
+            await Event.updateMany(
+              { _id: { $in: op.batch.events.map(e => e._id) } },
+              { $set: { processed: true, processedAt: now, generatedReportId: op.reportId || op.existing._id } },
+              { session }
+            );
+          }
+        }
+
+        const reconciliationIds = plan.reconciliations.map(r => r.id);
+        if (reconciliationIds.length) {
+          await VenueReconciliation.updateMany(
+            { _id: { $in: reconciliationIds } },
+            {
+              $set: {
+                reconciliationStatus: 'flagged',
+                flaggedReason: `Pi daily reports for this date were rebuilt on ${now.toISOString()} (rebuild ${rebuildId}); re-check venue revenue`,
+                reportRebuildId: rebuildId,
+                updatedAt: now
+              }
+            },
+            { session }
+          );
+        }
+
+        const [rebuild] = await DailyReportRebuild.create([{
+          _id: rebuildId,
+          storeId,
+          from,
+          to,
+          planHash: plan.planHash,
+          options: { removeOrphans: !!options.removeOrphans },
+          summary: plan.summary,
+          changes: plan.changes
+            .filter(c => c.action !== 'orphaned')
+            .map(c => ({ action: c.action, reportId: c.reportId, printedAt: c.printedAt, fields: c.fields })),
+          flaggedReconciliationIds: reconciliationIds,
+          requestedBy: { userId: user.userId, email: user.email },
+          reason: options.reason,
+          createdAt: now
+        }], { session });
+
+        result = { rebuild, plan };
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const { summary } = result.plan;
+    console.log(`🔁 Daily reports rebuilt for ${storeId} ${from}..${to} by ${user.email}: ` +
+      `${summary.created} created, ${summary.updated} updated, ${summary.removed} removed, ` +
+      `${result.plan.reconciliations.length} reconciliations flagged`);
+
+    return result;
+  }
+}
+
+module.exports = new DailyReportRebuildService();
+module.exports.DailyReportRebuildService = DailyReportRebuildService;
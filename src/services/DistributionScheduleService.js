@@ -0,0 +1,744 @@
+// src/services/DistributionScheduleService.js
+// Recurring treasury distributions: venue payouts, community rewards, vesting
+// tranches. node-cron fires each active schedule in its own timezone; a firing is
+// claimed once (lastRunKey) together with its budget, so several API instances
+// never pay twice. Payouts are queued through DistributionService under one
+// idempotency key per schedule, firing and recipient, and each is held to the
+// treasury ledger limits. A schedule on an account with requiresApproval is bound
+// to an approved 'schedule' TreasuryRequest covering its budgetCap.
+const crypto = require('crypto');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const { PublicKey } = require('@solana/web3.js');
+const DistributionSchedule = require('../models/DistributionSchedule');
+const Distribution = require('../models/Distribution');
+const Store = require('../models/Store');
+const businessDay = require('../utils/businessDay');
+const payoutOutbox = require('./PayoutOutboxService');
+
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;   // picks up schedules changed on other instances
+const MAX_RECIPIENTS = 500;
+const TOKEN_UNIT = 1e6;                    // GAMBINO has 6 decimals
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'sourceAccount', 'cron', 'timezone',
+  'startsAt', 'endsAt', 'maxRuns', 'recipients', 'formula', 'budgetCap'
+];
+
+// A failed scheduled payout never landed; give its amount back to the budget once
+payoutOutbox.on('failed', payout => releaseBudget(payout));
+
+async function releaseBudget(payout) {
+  const scheduleId = payout.metadata?.scheduleId;
+  if (payout.source !== 'distribution' || !scheduleId) return;
+
+  try {
+    const distribution = await Distribution.findOneAndUpdate(
+      { payoutId: payout.payoutId, budgetReleased: { $ne: true } },
+      { $set: { budgetReleased: true } }
+    );
+    if (distribution) {
+      await DistributionSchedule.updateOne({ scheduleId }, { $inc: { budgetUsed: -distribution.amount } });
+    }
+  } catch (error) {
+    console.error(`❌ Failed to release schedule budget for payout ${payout.payoutId}:`, error.message);
+  }
+}
+
+// Round down to whole token units so a run never exceeds what was planned
+function floorAmount(value) {
+  return Math.floor(value * TOKEN_UNIT + 1e-6) / TOKEN_UNIT;
+}
+
+class DistributionScheduleService {
+  constructor() {
+    this.tasks = new Map();               // scheduleId -> { task, signature }
+    this.syncTimer = null;
+    this.isRunning = false;
+    this.distributionService = null;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Built lazily: the constructor needs GAMBINO_MINT_ADDRESS
+  getDistributionService() {
+    if (!this.distributionService) {
+      const DistributionService = require('./distributionService');
+      this.distributionService = new DistributionService();
+    }
+    return this.distributionService;
+  }
+
+  // Required lazily: TreasuryApprovalService loads the treasury signer
+  getTreasuryApprovals() {
+    return require('./TreasuryApprovalService');
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/User');
+  }
+
+  actorFrom(user) {
+    return { userId: user?.userId, email: user?.email, role: user?.role };
+  }
+
+  // ============================================================================
+  // DEFINITIONS
+  // ============================================================================
+
+  definitionFrom(body = {}) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) fields[field] = body[field];
+    }
+    return fields;
+  }
+
+  validate(definition) {
+    const { name, sourceAccount, category, timezone, budgetCap, maxRuns, startsAt, endsAt } = definition;
+
+    if (!name || !String(name).trim()) {
+      throw this.fail('name is required');
+    }
+    if (!DistributionSchedule.SOURCE_ACCOUNTS.includes(sourceAccount)) {
+      throw this.fail(`sourceAccount must be one of: ${DistributionSchedule.SOURCE_ACCOUNTS.join(', ')}`);
+    }
+    if (category && !DistributionSchedule.SCHEDULE_CATEGORIES.includes(category)) {
+      throw this.fail(`category must be one of: ${DistributionSchedule.SCHEDULE_CATEGORIES.join(', ')}`);
+    }
+    if (typeof definition.cron !== 'string' || !cron.validate(definition.cron)) {
+      throw this.fail(`Invalid cron expression: ${definition.cron}`);
+    }
+    if (timezone && !businessDay.isValidTimezone(timezone)) {
+      throw this.fail(`Unknown IANA timezone: ${timezone}`);
+    }
+    if (!Number.isFinite(budgetCap) || budgetCap <= 0) {
+      throw this.fail('budgetCap must be a positive number');
+    }
+    if (maxRuns != null && !(Number.isInteger(maxRuns) && maxRuns >= 1)) {
+      throw this.fail('maxRuns must be a whole number of at least 1');
+    }
+    for (const [field, value] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+      if (value != null && isNaN(new Date(value))) {
+        throw this.fail(`${field} must be a date`);
+      }
+    }
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw this.fail('endsAt must be after startsAt');
+    }
+
+    this.validateRecipients(definition.recipients);
+    this.validateFormula(definition.formula, definition.recipients);
+  }
+
+  validateRecipients(recipients) {
+    if (recipients?.mode === 'list') {
+      const list = recipients.list || [];
+      if (!list.length || list.length > MAX_RECIPIENTS) {
+        throw this.fail(`recipients.list needs 1 to ${MAX_RECIPIENTS} entries`);
+      }
+      for (const entry of list) {
+        try {
+          new PublicKey(entry.recipient);
+        } catch (error) {
+          throw this.fail(`Invalid recipient address: ${entry.recipient}`);
+        }
+        for (const field of ['weight', 'amount']) {
+          if (entry[field] != null && !(Number.isFinite(entry[field]) && entry[field] >= 0)) {
+            throw this.fail(`${field} for ${entry.recipient} must be a non-negative number`);
+          }
+        }
+      }
+      return;
+    }
+
+    if (recipients?.mode === 'query') {
+      const query = recipients.query || {};
+      if (!DistributionSchedule.QUERY_SOURCES.includes(query.source)) {
+        throw this.fail(`recipients.query.source must be one of: ${DistributionSchedule.QUERY_SOURCES.join(', ')}`);
+      }
+      for (const field of ['storeIds', 'states', 'roles']) {
+        if (query[field] != null && !(Array.isArray(query[field]) && query[field].every(v => typeof v === 'string'))) {
+          throw this.fail(`recipients.query.${field} must be a list of strings`);
+        }
+      }
+      return;
+    }
+
+    throw this.fail("recipients.mode must be 'list' or 'query'");
+  }
+
+  validateFormula(formula, recipients) {
+    const positive = value => Number.isFinite(value) && value > 0;
+
+    switch (formula?.type) {
+      case 'fixed': {
+        const everyListedAmount = recipients?.mode === 'list' &&
+          (recipients.list || []).every(entry => entry.amount != null);
+        if (!positive(formula.amount) && !everyListedAmount) {
+          throw this.fail('formula.amount is required unless every listed recipient has an amount');
+        }
+        break;
+      }
+      case 'split':
+        if (!positive(formula.amount)) {
+          throw this.fail('formula.amount must be a positive number');
+        }
+        break;
+      case 'balance_percent':
+        if (!positive(formula.percent) || formula.percent > 100) {
+          throw this.fail('formula.percent must be greater than 0 and at most 100');
+        }
+        break;
+      default:
+        throw this.fail(`formula.type must be one of: ${DistributionSchedule.FORMULA_TYPES.join(', ')}`);
+    }
+
+    if (formula.maxPerRecipient != null && !positive(formula.maxPerRecipient)) {
+      throw this.fail('formula.maxPerRecipient must be a positive number');
+    }
+  }
+
+  // Why runs from this schedule are not covered by an approval, or null.
+  // Accounts without requiresApproval need none.
+  approvalGap(schedule) {
+    const distributionService = this.getDistributionService();
+    if (!distributionService.requiresApproval(schedule.sourceAccount)) return null;
+
+    const approval = schedule.treasuryRequest;
+    if (!approval?.requestId) {
+      return `${schedule.sourceAccount} schedules need an approved treasury request (treasuryRequestId)`;
+    }
+    if (approval.accountType !== distributionService.mapAccountType(schedule.sourceAccount)) {
+      return `Treasury request ${approval.requestId} approves ${approval.accountType}, not ${schedule.sourceAccount}`;
+    }
+    if (approval.amount < schedule.budgetCap) {
+      return `Treasury request ${approval.requestId} approves ${approval.amount}, below the ${schedule.budgetCap} budgetCap`;
+    }
+    return null;
+  }
+
+  // Marks the request executed so it backs this schedule only
+  async bindApproval(schedule, requestId, user) {
+    const request = await this.getTreasuryApprovals().bindSchedule(requestId, {
+      scheduleId: schedule.scheduleId,
+      accountType: this.getDistributionService().mapAccountType(schedule.sourceAccount),
+      budgetCap: schedule.budgetCap
+    }, user);
+    schedule.treasuryRequest = {
+      requestId: request.requestId,
+      accountType: request.accountType,
+      amount: request.amount,
+      boundAt: new Date()
+    };
+  }
+
+  async load(scheduleId) {
+    const schedule = await DistributionSchedule.findOne({ scheduleId });
+    if (!schedule) {
+      throw this.fail('Distribution schedule not found', 404);
+    }
+    return schedule;
+  }
+
+  async create(user, body) {
+    const fields = this.definitionFrom(body);
+    this.validate(fields);
+
+    const schedule = new DistributionSchedule({
+      ...fields,
+      scheduleId: crypto.randomUUID(),
+      createdBy: this.actorFrom(user)
+    });
+    if (body.treasuryRequestId) {
+      await this.bindApproval(schedule, body.treasuryRequestId, user);
+    }
+    const gap = this.approvalGap(schedule);
+    if (gap) {
+      throw this.fail(gap);
+    }
+    schedule.record('create', 'active', user, `${fields.budgetCap} GAMBINO budget from ${fields.sourceAccount}`);
+    await schedule.save();
+
+    this.register(schedule);
+    console.log(`📅 Distribution schedule "${schedule.name}" created by ${user.email} (${schedule.cron})`);
+    return schedule;
+  }
+
+  async update(scheduleId, user, body) {
+    const schedule = await this.load(scheduleId);
+    if (DistributionSchedule.TERMINAL_STATUSES.includes(schedule.status)) {
+      throw this.fail(`Schedule is ${schedule.status}`, 409);
+    }
+
+    const fields = this.definitionFrom(body);
+    if (!Object.keys(fields).length && !body.treasuryRequestId) {
+      throw this.fail(`Nothing to update; editable fields: ${EDITABLE_FIELDS.join(', ')}, treasuryRequestId`);
+    }
+    this.validate({ ...schedule.toObject(), ...fields });
+    if (fields.budgetCap !== undefined && fields.budgetCap < schedule.budgetUsed) {
+      throw this.fail(`budgetCap cannot be below the ${schedule.budgetUsed} GAMBINO already used`);
+    }
+
+    schedule.set(fields);
+    if (body.treasuryRequestId) {
+      await this.bindApproval(schedule, body.treasuryRequestId, user);
+    }
+    // A larger budget or another account needs a new approval bound with it
+    const gap = this.approvalGap(schedule);
+    if (gap) {
+      throw this.fail(gap, 409);
+    }
+    const changed = [...Object.keys(fields), ...(body.treasuryRequestId ? ['treasuryRequestId'] : [])];
+    schedule.record('update', null, user, changed.join(', '));
+    await schedule.save();
+
+    this.register(schedule);
+    return schedule;
+  }
+
+  // Status changes are single atomic steps so a firing in progress sees one or the other
+  async transition(scheduleId, user, { action, from, to, note }) {
+    const now = new Date();
+    const update = {
+      $set: { status: to },
+      $push: { history: { action, status: to, at: now, userId: String(user.userId), email: user.email, note } }
+    };
+    if (DistributionSchedule.TERMINAL_STATUSES.includes(to)) update.$set.completedAt = now;
+
+    const schedule = await DistributionSchedule.findOneAndUpdate(
+      { scheduleId, status: { $in: from } },
+      update,
+      { new: true }
+    );
+    if (!schedule) {
+      const existing = await this.load(scheduleId);
+      throw this.fail(`Cannot ${action} a schedule that is ${existing.status}`, 409);
+    }
+
+    this.register(schedule);
+    console.log(`📅 Distribution schedule "${schedule.name}" ${to} by ${user.email}${note ? `: ${note}` : ''}`);
+    return schedule;
+  }
+
+  pause(scheduleId, user, note) {
+    return this.transition(scheduleId, user, { action: 'pause', from: ['active'], to: 'paused', note });
+  }
+
+  async resume(scheduleId, user, note) {
+    const done = this.exhausted(await this.load(scheduleId));
+    if (done) {
+      throw this.fail(`Schedule cannot run again: ${done}`, 409);
+    }
+    return this.transition(scheduleId, user, { action: 'resume', from: ['paused'], to: 'active', note });
+  }
+
+  cancel(scheduleId, user, reason) {
+    if (!reason) {
+      throw this.fail('A reason is required to cancel a schedule');
+    }
+    return this.transition(scheduleId, user, { action: 'cancel', from: ['active', 'paused'], to: 'cancelled', note: reason });
+  }
+
+  async get(scheduleId) {
+    const schedule = await this.load(scheduleId);
+    return { ...schedule.toObject(), budgetRemaining: schedule.budgetRemaining };
+  }
+
+  async list({ status, category, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (category) query.category = category;
+
+    const [schedules, total] = await Promise.all([
+      DistributionSchedule.find(query).select('-history').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      DistributionSchedule.countDocuments(query)
+    ]);
+    return { schedules, total };
+  }
+
+  // Every Distribution a schedule has queued, newest first
+  async distributions(scheduleId, { runKey, limit = 50, skip = 0 } = {}) {
+    await this.load(scheduleId);
+
+    const query = { scheduleId };
+    if (runKey) query.scheduleRunKey = runKey;
+
+    const [distributions, total] = await Promise.all([
+      Distribution.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Distribution.countDocuments(query)
+    ]);
+    return { distributions, total };
+  }
+
+  // ============================================================================
+  // PLANNING
+  // ============================================================================
+
+  async resolveRecipients(schedule) {
+    let candidates;
+
+    if (schedule.recipients.mode === 'list') {
+      candidates = schedule.recipients.list.map(entry => ({
+        recipient: entry.recipient,
+        venueId: entry.venueId,
+        venueName: entry.venueName,
+        weight: entry.weight ?? 1,
+        amount: entry.amount
+      }));
+    } else {
+      const { source, storeIds = [], states = [], roles = [] } = schedule.recipients.query;
+
+      if (source === 'venues') {
+        const stores = await Store.find({
+          status: 'active',
+          walletAddress: { $nin: [null, ''] },
+          ...(storeIds.length && { storeId: { $in: storeIds } }),
+          ...(states.length && { state: { $in: states } })
+        })
+          .select('storeId storeName name walletAddress')
+          .limit(MAX_RECIPIENTS + 1)
+          .lean();
+        candidates = stores.map(store => ({
+          recipient: store.walletAddress,
+          venueId: store.storeId,
+          venueName: store.storeName || store.name,
+          weight: 1
+        }));
+      } else {
+        const users = await this.getUserModel().find({
+          isActive: true,
+          walletAddress: { $nin: [null, ''] },
+          ...(roles.length && { role: { $in: roles } })
+        })
+          .select('walletAddress')
+          .limit(MAX_RECIPIENTS + 1)
+          .lean();
+        candidates = users.map(user => ({ recipient: user.walletAddress, weight: 1 }));
+      }
+
+      if (candidates.length > MAX_RECIPIENTS) {
+        throw this.fail(`Recipient query matches more than ${MAX_RECIPIENTS} wallets; narrow it`);
+      }
+    }
+
+    const recipients = [];
+    const skipped = [];
+    const seen = new Set();
+    for (const candidate of candidates) {
+      let address;
+      try {
+        address = new PublicKey(candidate.recipient).toBase58();
+      } catch (error) {
+        skipped.push({ recipient: candidate.recipient, reason: 'invalid wallet address' });
+        continue;
+      }
+      if (seen.has(address)) {
+        skipped.push({ recipient: address, reason: 'duplicate recipient' });
+        continue;
+      }
+      seen.add(address);
+      recipients.push({ ...candidate, recipient: address });
+    }
+    return { recipients, skipped };
+  }
+
+  // Amounts for one run. Pure: balance is the source account's balance, remaining
+  // the schedule's unused budget. A run that would overspend is scaled down to fit.
+  allocate(formula, recipients, { balance = null, remaining }) {
+    let amounts;
+
+    if (formula.type === 'fixed') {
+      amounts = recipients.map(r => r.amount ?? formula.amount ?? 0);
+    } else {
+      const pool = formula.type === 'split'
+        ? formula.amount
+        : (balance || 0) * formula.percent / 100;
+      const totalWeight = recipients.reduce((sum, r) => sum + r.weight, 0);
+      amounts = recipients.map(r => (totalWeight > 0 ? pool * r.weight / totalWeight : 0));
+    }
+
+    if (formula.maxPerRecipient) {
+      amounts = amounts.map(amount => Math.min(amount, formula.maxPerRecipient));
+    }
+    amounts = amounts.map(floorAmount);
+
+    let total = amounts.reduce((sum, amount) => sum + amount, 0);
+    const trimmedToBudget = total > remaining + 1 / TOKEN_UNIT;
+    if (trimmedToBudget) {
+      const scale = remaining / total;
+      amounts = amounts.map(amount => floorAmount(amount * scale));
+    }
+
+    const allocations = [];
+    const skipped = [];
+    recipients.forEach((r, i) => {
+      if (amounts[i] > 0) {
+        allocations.push({ recipient: r.recipient, venueId: r.venueId, venueName: r.venueName, amount: amounts[i] });
+      } else {
+        skipped.push({ recipient: r.recipient, reason: 'zero amount' });
+      }
+    });
+    total = floorAmount(allocations.reduce((sum, a) => sum + a.amount, 0));
+
+    return { allocations, skipped, total, trimmedToBudget };
+  }
+
+  // What a run would send right now. Writes nothing.
+  async plan(schedule) {
+    const { recipients, skipped } = await this.resolveRecipients(schedule);
+
+    let sourceBalance = null;
+    const warnings = [];
+    try {
+      sourceBalance = (await this.getDistributionService().getTreasuryBalance(schedule.sourceAccount)).balance;
+    } catch (error) {
+      if (schedule.formula.type === 'balance_percent') {
+        throw this.fail(`Source balance unavailable: ${error.message}`, 503);
+      }
+      warnings.push(`Source balance unavailable: ${error.message}`);
+    }
+
+    const remaining = Math.max(0, schedule.budgetCap - (schedule.budgetUsed || 0));
+    const allocation = this.allocate(schedule.formula, recipients, { balance: sourceBalance, remaining });
+
+    if (allocation.trimmedToBudget) {
+      warnings.push(`Scaled down to the ${remaining} GAMBINO left in the budget`);
+    }
+    if (sourceBalance != null && allocation.total > sourceBalance) {
+      warnings.push(`Source balance ${sourceBalance} is below this run's total`);
+    }
+
+    return {
+      scheduleId: schedule.scheduleId,
+      sourceAccount: schedule.sourceAccount,
+      formula: schedule.formula,
+      sourceBalance,
+      budget: { cap: schedule.budgetCap, used: schedule.budgetUsed || 0, remaining },
+      allocations: allocation.allocations,
+      skipped: [...skipped, ...allocation.skipped],
+      total: allocation.total,
+      trimmedToBudget: allocation.trimmedToBudget,
+      warnings
+    };
+  }
+
+  async preview(scheduleId) {
+    return this.plan(await this.load(scheduleId));
+  }
+
+  // Dry run of a definition before it is saved
+  async previewDraft(body) {
+    const fields = this.definitionFrom(body);
+    this.validate(fields);
+    return this.plan({ ...fields, scheduleId: null, budgetUsed: 0 });
+  }
+
+  // Why a schedule can never run again, or null
+  exhausted(schedule, now = new Date()) {
+    if (schedule.budgetCap - schedule.budgetUsed < 1 / TOKEN_UNIT) return 'budget spent';
+    if (schedule.maxRuns && schedule.runCount >= schedule.maxRuns) return `reached ${schedule.maxRuns} runs`;
+    if (schedule.endsAt && now >= schedule.endsAt) return 'past endsAt';
+    return null;
+  }
+
+  // ============================================================================
+  // RUNS
+  // ============================================================================
+
+  // One key per cron firing: the minute it fired, in UTC
+  runKeyFor(date) {
+    return new Date(Math.floor(date.getTime() / 60000) * 60000).toISOString();
+  }
+
+  async complete(scheduleId, reason) {
+    const now = new Date();
+    const schedule = await DistributionSchedule.findOneAndUpdate(
+      { scheduleId, status: 'active' },
+      {
+        $set: { status: 'completed', completedAt: now },
+        $push: { history: { action: 'complete', status: 'completed', at: now, userId: 'system', note: reason } }
+      },
+      { new: true }
+    );
+    this.unregister(scheduleId);
+    if (schedule) {
+      console.log(`🏁 Distribution schedule "${schedule.name}" completed: ${reason}`);
+    }
+    return schedule;
+  }
+
+  async run(scheduleId, firedAt = new Date()) {
+    const runKey = this.runKeyFor(firedAt);
+    const schedule = await DistributionSchedule.findOne({ scheduleId });
+    if (!schedule || schedule.status !== 'active' || schedule.lastRunKey === runKey) return null;
+    if (schedule.startsAt && firedAt < schedule.startsAt) return null;
+
+    const done = this.exhausted(schedule, firedAt);
+    if (done) {
+      await this.complete(scheduleId, done);
+      return null;
+    }
+
+    let plan;
+    try {
+      const gap = this.approvalGap(schedule);
+      if (gap) {
+        throw this.fail(gap, 409);
+      }
+      plan = await this.plan(schedule);
+    } catch (error) {
+      console.error(`❌ Distribution schedule "${schedule.name}" could not plan run ${runKey}:`, error.message);
+      await DistributionSchedule.updateOne(
+        { scheduleId, lastRunKey: { $ne: runKey } },
+        { $set: { lastRunKey: runKey, lastRunAt: new Date(), lastRun: { runKey, at: new Date(), recipients: 0, amount: 0, queued: 0, failed: 0, error: error.message } } }
+      );
+      return null;
+    }
+
+    // Claim the firing and reserve its total in one step; a second instance, or a
+    // budget change since planning, leaves nothing to claim
+    const claimed = await DistributionSchedule.findOneAndUpdate(
+      {
+        scheduleId,
+        status: 'active',
+        lastRunKey: { $ne: runKey },
+        $expr: { $lte: [{ $add: ['$budgetUsed', plan.total] }, { $add: ['$budgetCap', 1 / TOKEN_UNIT] }] }
+      },
+      { $inc: { budgetUsed: plan.total, runCount: 1 }, $set: { lastRunKey: runKey, lastRunAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const distributionService = this.getDistributionService();
+    let queued = 0;
+    let failed = 0;
+    let released = 0;
+
+    for (const allocation of plan.allocations) {
+      const idempotencyKey = `schedule_${scheduleId}_${runKey}_${allocation.recipient}`;
+      const record = {
+        venueId: allocation.venueId || `schedule:${scheduleId}`,
+        venueName: allocation.venueName,
+        recipient: allocation.recipient,
+        amount: allocation.amount,
+        sourceAccount: schedule.sourceAccount,
+        metadata: { scheduleName: schedule.name, category: schedule.category, runKey },
+        scheduleId,
+        scheduleRunKey: runKey
+      };
+
+      try {
+        await distributionService.queueDistribution({ ...record, idempotencyKey, treasuryRequestId: schedule.treasuryRequest?.requestId });
+        queued++;
+      } catch (error) {
+        failed++;
+        released += allocation.amount;
+        console.error(`❌ Schedule "${schedule.name}" could not queue ${allocation.amount} to ${allocation.recipient}:`, error.message);
+        await Distribution.create({
+          ...record,
+          signature: `failed_${idempotencyKey}`,
+          status: 'failed',
+          error: error.message,
+          budgetReleased: true
+        }).catch(recordError => console.error('❌ Failed to record unqueued distribution:', recordError.message));
+      }
+    }
+
+    const lastRun = {
+      runKey,
+      at: new Date(),
+      recipients: plan.allocations.length,
+      amount: floorAmount(plan.total - released),
+      queued,
+      failed,
+      trimmedToBudget: plan.trimmedToBudget
+    };
+    const updated = await DistributionSchedule.findOneAndUpdate(
+      { scheduleId },
+      {
+        $inc: { budgetUsed: -released },
+        $set: { lastRun },
+        $push: { history: { action: 'run', status: claimed.status, at: lastRun.at, userId: 'system', note: `${runKey}: ${queued} queued (${lastRun.amount} GAMBINO), ${failed} failed` } }
+      },
+      { new: true }
+    );
+
+    console.log(`📅 Distribution schedule "${schedule.name}" run ${runKey}: ${queued} queued, ${failed} failed, ${lastRun.amount} GAMBINO`);
+
+    const nowDone = updated && this.exhausted(updated);
+    if (nowDone) {
+      await this.complete(scheduleId, nowDone);
+    }
+    return lastRun;
+  }
+
+  // ============================================================================
+  // SCHEDULER
+  // ============================================================================
+
+  register(schedule) {
+    this.unregister(schedule.scheduleId);
+    if (!this.isRunning || schedule.status !== 'active') return;
+
+    const task = cron.schedule(schedule.cron, () => {
+      this.run(schedule.scheduleId)
+        .catch(error => console.error(`❌ Distribution schedule ${schedule.scheduleId} run error:`, error));
+    }, { timezone: schedule.timezone });
+
+    this.tasks.set(schedule.scheduleId, { task, signature: `${schedule.cron}|${schedule.timezone}` });
+  }
+
+  unregister(scheduleId) {
+    const entry = this.tasks.get(scheduleId);
+    if (entry) {
+      entry.task.stop();
+      this.tasks.delete(scheduleId);
+    }
+  }
+
+  // Match the cron tasks to the active schedules in the database
+  async sync() {
+    const active = await DistributionSchedule.find({ status: 'active' })
+      .select('scheduleId cron timezone status')
+      .lean();
+
+    const activeIds = new Set(active.map(s => s.scheduleId));
+    for (const scheduleId of [...this.tasks.keys()]) {
+      if (!activeIds.has(scheduleId)) this.unregister(scheduleId);
+    }
+    for (const schedule of active) {
+      const entry = this.tasks.get(schedule.scheduleId);
+      if (!entry || entry.signature !== `${schedule.cron}|${schedule.timezone}`) this.register(schedule);
+    }
+  }
+
+  startScheduler() {
+    if (this.isRunning) return;
+
+    console.log('📅 Starting distribution schedules...');
+    this.isRunning = true;
+
+    const sync = () => this.sync().catch(error => console.error('❌ Distribution schedule sync error:', error));
+    sync();
+    this.syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+  }
+
+  stopScheduler() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    for (const scheduleId of [...this.tasks.keys()]) {
+      this.unregister(scheduleId);
+    }
+    this.isRunning = false;
+  }
+}
+
+module.exports = new DistributionScheduleService();
+module.exports.DistributionScheduleService = DistributionScheduleService;
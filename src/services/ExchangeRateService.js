@@ -0,0 +1,459 @@
+// src/services/ExchangeRateService.js
+// Versioned cashout exchange rates. Every change to the global config or to a
+// venue override is a new version with its own effectiveFrom, so a change can be
+// scheduled ahead of time, previewed, and cancelled until it takes effect. Old
+// versions are kept; processCashout records which versions it used.
+const mongoose = require('mongoose');
+const ExchangeRateConfig = require('../models/ExchangeRateConfig');
+const ExchangeRateOverride = require('../models/ExchangeRateOverride');
+
+const { OVERRIDE_FIELDS } = ExchangeRateOverride;
+const CONFIG_FIELDS = ['tokensPerDollar', ...OVERRIDE_FIELDS];
+
+// Used when no config has ever been created
+const DEFAULT_CONFIG = {
+  tokensPerDollar: 1000,
+  minCashout: 5,
+  maxCashoutPerTransaction: 500,
+  dailyLimitPerCustomer: 1000,
+  dailyLimitPerStaff: 5000,
+  venueCommissionPercent: 0
+};
+
+// Minimum value per field (venueCommissionPercent is also capped at 100)
+const FIELD_MINIMUMS = {
+  tokensPerDollar: 1,
+  minCashout: 0,
+  maxCashoutPerTransaction: 1,
+  dailyLimitPerCustomer: 1,
+  dailyLimitPerStaff: 1,
+  venueCommissionPercent: 0
+};
+
+// Cash amounts the preview converts, in dollars
+const PREVIEW_AMOUNTS = [5, 20, 100, 500];
+
+// Global config with a venue override laid over it. Null or missing override
+// fields inherit; `sources` says where each value came from.
+function mergeConfig(config, override) {
+  const merged = {};
+  const sources = {};
+  for (const field of CONFIG_FIELDS) {
+    const own = override ? override[field] : null;
+    const inherited = own === null || own === undefined;
+    merged[field] = inherited ? config[field] : own;
+    sources[field] = inherited ? 'global' : 'venue';
+  }
+  return { ...merged, sources };
+}
+
+// Fields whose value differs between two configs
+function diffConfig(before, after, fields = CONFIG_FIELDS) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (from !== to) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+// effectiveTo for each active version: the effectiveFrom of the one after it
+function linkTimeline(versions) {
+  const ordered = versions
+    .filter(version => version.isActive)
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom) || a.version - b.version);
+  return ordered.map((version, i) => ({
+    _id: version._id,
+    effectiveTo: ordered[i + 1] ? new Date(ordered[i + 1].effectiveFrom) : null
+  }));
+}
+
+function versionStatus(version, now = new Date()) {
+  if (!version.isActive) return version.cancelledAt ? 'cancelled' : 'retired';
+  if (new Date(version.effectiveFrom) > now) return 'scheduled';
+  if (version.effectiveTo && new Date(version.effectiveTo) <= now) return 'superseded';
+  return 'effective';
+}
+
+class ExchangeRateService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // ============================================================================
+  // RESOLUTION
+  // ============================================================================
+
+  async configAt(at = new Date()) {
+    return ExchangeRateConfig.getConfigAt(at);
+  }
+
+  /**
+   * Limits and commission in effect at a venue. Carries the ids and versions it
+   * was built from so a cashout can point at exactly what it used.
+   */
+  async resolve(storeId, at = new Date()) {
+    const [config, override] = await Promise.all([
+      this.configAt(at),
+      storeId ? ExchangeRateOverride.getOverrideAt(storeId, at) : null
+    ]);
+
+    return {
+      ...mergeConfig(config || DEFAULT_CONFIG, override),
+      storeId: storeId || null,
+      configId: config?._id || null,
+      version: config?.version ?? null,
+      overrideId: override?._id || null,
+      overrideVersion: override?.version ?? null,
+      effectiveFrom: config?.effectiveFrom || null
+    };
+  }
+
+  // What a cashout Transaction stores in metadata.exchangeRateConfig
+  reference(resolved) {
+    return {
+      configId: resolved.configId,
+      version: resolved.version,
+      overrideId: resolved.overrideId,
+      overrideVersion: resolved.overrideVersion
+    };
+  }
+
+  // ============================================================================
+  // VERSIONING
+  // ============================================================================
+
+  // Configs created before versioning (seed script, createNewConfig) are
+  // numbered in creation order the first time a version is needed
+  async backfillVersions() {
+    const legacy = await ExchangeRateConfig.find({ version: { $exists: false } }).sort({ createdAt: 1 }).select('_id').lean();
+    if (legacy.length === 0) return;
+
+    const latest = await ExchangeRateConfig.findOne({ version: { $exists: true } }).sort({ version: -1 }).select('version').lean();
+    let next = (latest?.version || 0) + 1;
+    for (const doc of legacy) {
+      await ExchangeRateConfig.updateOne({ _id: doc._id, version: { $exists: false } }, { $set: { version: next++ } });
+    }
+  }
+
+  async nextVersion(Model) {
+    const latest = await Model.findOne({ version: { $ne: null } }).sort({ version: -1 }).select('version').lean();
+    return (latest?.version || 0) + 1;
+  }
+
+  // Insert with the next version number; a concurrent insert taking the same
+  // number hits the unique index and we try the next one
+  async insertVersion(Model, fields) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        return await Model.create({ ...fields, version: await this.nextVersion(Model) });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) throw error;
+      }
+    }
+  }
+
+  async relink(Model, query = {}) {
+    const versions = await Model.find({ ...query, isActive: true }).select('_id version effectiveFrom effectiveTo isActive').lean();
+    const links = linkTimeline(versions);
+    const current = new Map(versions.map(version => [String(version._id), version.effectiveTo ? new Date(version.effectiveTo).getTime() : null]));
+
+    const writes = links
+      .filter(link => current.get(String(link._id)) !== (link.effectiveTo ? link.effectiveTo.getTime() : null))
+      .map(link => ({ updateOne: { filter: { _id: link._id }, update: { $set: { effectiveTo: link.effectiveTo } } } }));
+    if (writes.length > 0) {
+      await Model.bulkWrite(writes);
+    }
+  }
+
+  parseEffectiveFrom(value) {
+    if (value === undefined || value === null || value === '') return new Date();
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw this.fail('effectiveFrom must be a valid date');
+    }
+    // A little slack so "now" from a client clock is not rejected
+    if (date.getTime() < Date.now() - 60 * 1000) {
+      throw this.fail('effectiveFrom cannot be in the past');
+    }
+    return date;
+  }
+
+  parseField(field, value, { nullable = false } = {}) {
+    if (value === null && nullable) return null;
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number < FIELD_MINIMUMS[field]) {
+      throw this.fail(`${field} must be a number of at least ${FIELD_MINIMUMS[field]}${nullable ? ' (or null to inherit)' : ''}`);
+    }
+    if (field === 'venueCommissionPercent' && number > 100) {
+      throw this.fail('venueCommissionPercent cannot exceed 100');
+    }
+    return number;
+  }
+
+  assertConsistent(config, label = 'Config') {
+    if (config.minCashout > config.maxCashoutPerTransaction) {
+      throw this.fail(`${label}: minCashout ($${config.minCashout}) exceeds maxCashoutPerTransaction ($${config.maxCashoutPerTransaction})`);
+    }
+  }
+
+  // ============================================================================
+  // GLOBAL CONFIG
+  // ============================================================================
+
+  // Fields not given carry over from the version in effect at effectiveFrom
+  async buildConfig(body = {}) {
+    const effectiveFrom = this.parseEffectiveFrom(body.effectiveFrom);
+    const base = (await this.configAt(effectiveFrom)) || DEFAULT_CONFIG;
+
+    const values = {};
+    for (const field of CONFIG_FIELDS) {
+      values[field] = body[field] === undefined ? base[field] : this.parseField(field, body[field]);
+    }
+    if (diffConfig(base, values).length === 0) {
+      throw this.fail('No changes from the config in effect at that time');
+    }
+    this.assertConsistent(values);
+    return { effectiveFrom, base, values };
+  }
+
+  async schedule(body, user) {
+    await this.backfillVersions();
+    const { effectiveFrom, values } = await this.buildConfig(body);
+
+    const created = await this.insertVersion(ExchangeRateConfig, {
+      ...values,
+      isActive: true,
+      effectiveFrom,
+      notes: body.notes,
+      createdBy: user.userId,
+      updatedBy: user.userId
+    });
+    await this.relink(ExchangeRateConfig);
+
+    console.log(`💱 Exchange rate v${created.version} scheduled by ${user.email} from ${effectiveFrom.toISOString()}`);
+    return this.describe(await ExchangeRateConfig.findById(created._id).lean());
+  }
+
+  // Only versions that have not taken effect; a live version is replaced by
+  // scheduling a new one
+  async cancel(configId, user, reason) {
+    const config = await ExchangeRateConfig.findOneAndUpdate(
+      { _id: configId, isActive: true, effectiveFrom: { $gt: new Date() } },
+      { $set: { isActive: false, cancelledAt: new Date(), cancelledBy: user.userId, cancelReason: reason, updatedBy: user.userId } },
+      { new: true }
+    ).lean();
+    if (!config) {
+      throw this.fail('No scheduled exchange rate change with that id', 404);
+    }
+    await this.relink(ExchangeRateConfig);
+
+    console.log(`💱 Exchange rate v${config.version} cancelled by ${user.email}`);
+    return this.describe(config);
+  }
+
+  // ============================================================================
+  // VENUE OVERRIDES
+  // ============================================================================
+
+  // Fields not given carry over from the venue's override in effect at
+  // effectiveFrom; null clears a field back to the global value
+  async buildOverride(storeId, body = {}) {
+    const effectiveFrom = this.parseEffectiveFrom(body.effectiveFrom);
+    if (body.tokensPerDollar !== undefined) {
+      throw this.fail('tokensPerDollar is global and cannot be overridden per venue');
+    }
+
+    const base = await ExchangeRateOverride.getOverrideAt(storeId, effectiveFrom);
+    const values = {};
+    for (const field of OVERRIDE_FIELDS) {
+      values[field] = body[field] === undefined
+        ? base?.[field] ?? null
+        : this.parseField(field, body[field], { nullable: true });
+    }
+    if (diffConfig(base || {}, values, OVERRIDE_FIELDS).length === 0) {
+      throw this.fail('No changes from the venue override in effect at that time');
+    }
+
+    const config = (await this.configAt(effectiveFrom)) || DEFAULT_CONFIG;
+    this.assertConsistent(mergeConfig(config, values), `Venue ${storeId}`);
+    return { effectiveFrom, base, values };
+  }
+
+  async scheduleOverride(storeId, body, user) {
+    const Store = mongoose.models.Store || require('../models/Store');
+    const store = await Store.findOne({ storeId }).select('storeId').lean();
+    if (!store) {
+      throw this.fail('Store not found', 404);
+    }
+
+    const { effectiveFrom, values } = await this.buildOverride(storeId, body);
+    const created = await this.insertVersion(ExchangeRateOverride, {
+      storeId,
+      ...values,
+      isActive: true,
+      effectiveFrom,
+      notes: body.notes,
+      createdBy: user.userId
+    });
+    await this.relink(ExchangeRateOverride, { storeId });
+
+    console.log(`💱 Exchange rate override v${created.version} for ${storeId} scheduled by ${user.email} from ${effectiveFrom.toISOString()}`);
+    return this.describe(await ExchangeRateOverride.findById(created._id).lean());
+  }
+
+  async cancelOverride(overrideId, user, reason) {
+    const override = await ExchangeRateOverride.findOneAndUpdate(
+      { _id: overrideId, isActive: true, effectiveFrom: { $gt: new Date() } },
+      { $set: { isActive: false, cancelledAt: new Date(), cancelledBy: user.userId, cancelReason: reason } },
+      { new: true }
+    ).lean();
+    if (!override) {
+      throw this.fail('No scheduled venue override with that id', 404);
+    }
+    await this.relink(ExchangeRateOverride, { storeId: override.storeId });
+
+    console.log(`💱 Exchange rate override v${override.version} for ${override.storeId} cancelled by ${user.email}`);
+    return this.describe(override);
+  }
+
+  // ============================================================================
+  // PREVIEW
+  // ============================================================================
+
+  examples(config) {
+    return PREVIEW_AMOUNTS.map(dollars => {
+      const commission = dollars * (config.venueCommissionPercent / 100);
+      return {
+        tokens: dollars * config.tokensPerDollar,
+        cashAmount: dollars,
+        venueCommission: Math.round(commission * 100) / 100,
+        cashToCustomer: Math.round((dollars - commission) * 100) / 100,
+        allowed: dollars >= config.minCashout && dollars <= config.maxCashoutPerTransaction
+      };
+    });
+  }
+
+  // A global change, before and after, plus venues whose overrides would no
+  // longer make sense under it
+  async preview(body) {
+    const { effectiveFrom, base, values } = await this.buildConfig(body);
+
+    const overrides = await ExchangeRateOverride.find({
+      isActive: true,
+      effectiveFrom: { $lte: effectiveFrom },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+    }).lean();
+    const conflicts = [];
+    for (const override of overrides) {
+      const merged = mergeConfig(values, override);
+      if (merged.minCashout > merged.maxCashoutPerTransaction) {
+        conflicts.push({ storeId: override.storeId, overrideId: override._id, minCashout: merged.minCashout, maxCashoutPerTransaction: merged.maxCashoutPerTransaction });
+      }
+    }
+
+    return {
+      effectiveFrom,
+      before: { ...this.pick(base), version: base.version ?? null },
+      after: values,
+      changes: diffConfig(base, values),
+      examples: { before: this.examples(base), after: this.examples(values) },
+      venuesWithOverrides: overrides.map(override => override.storeId),
+      conflicts
+    };
+  }
+
+  async previewOverride(storeId, body) {
+    const { effectiveFrom, values } = await this.buildOverride(storeId, body);
+    const before = await this.resolve(storeId, effectiveFrom);
+    const config = (await this.configAt(effectiveFrom)) || DEFAULT_CONFIG;
+    const after = mergeConfig(config, values);
+
+    return {
+      storeId,
+      effectiveFrom,
+      before,
+      after,
+      changes: diffConfig(before, after),
+      examples: { before: this.examples(before), after: this.examples(after) }
+    };
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  pick(config) {
+    return Object.fromEntries(CONFIG_FIELDS.map(field => [field, config[field]]));
+  }
+
+  describe(version, now = new Date()) {
+    return { ...version, status: versionStatus(version, now) };
+  }
+
+  // Every global version, newest first, with what it changed relative to the
+  // version it followed. Versions are few, so diffs are worked out in memory.
+  async history({ limit = 50, skip = 0 } = {}) {
+    await this.backfillVersions();
+    const versions = await ExchangeRateConfig.find()
+      .populate('createdBy', 'firstName lastName email')
+      .populate('cancelledBy', 'firstName lastName email')
+      .sort({ version: 1 })
+      .lean();
+
+    let previous = null;
+    const described = versions.map(version => {
+      const entry = { ...this.describe(version), changes: diffConfig(previous, version) };
+      if (version.isActive || !version.cancelledAt) previous = version;
+      return entry;
+    }).reverse();
+
+    return { versions: described.slice(skip, skip + limit), total: described.length };
+  }
+
+  async overrides(storeId, { includeCancelled = false } = {}) {
+    const query = { storeId };
+    if (!includeCancelled) query.isActive = true;
+    const versions = await ExchangeRateOverride.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ version: -1 })
+      .lean();
+
+    return {
+      storeId,
+      current: await this.resolve(storeId),
+      versions: versions.map(version => this.describe(version))
+    };
+  }
+
+  // The config as it will stand at each upcoming change, for one venue or globally
+  async timeline(storeId) {
+    const now = new Date();
+    const [configs, overrides] = await Promise.all([
+      ExchangeRateConfig.find({ isActive: true, effectiveFrom: { $gt: now } }).select('effectiveFrom').lean(),
+      storeId ? ExchangeRateOverride.find({ storeId, isActive: true, effectiveFrom: { $gt: now } }).select('effectiveFrom').lean() : []
+    ]);
+
+    const points = [...new Set([now, ...configs.concat(overrides).map(version => version.effectiveFrom)].map(date => new Date(date).getTime()))]
+      .sort((a, b) => a - b);
+
+    const segments = [];
+    for (const point of points) {
+      const resolved = await this.resolve(storeId, new Date(point));
+      segments.push({ from: new Date(point), ...resolved });
+    }
+    return segments;
+  }
+}
+
+module.exports = new ExchangeRateService();
+module.exports.ExchangeRateService = ExchangeRateService;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.CONFIG_FIELDS = CONFIG_FIELDS;
+module.exports.mergeConfig = mergeConfig;
+module.exports.diffConfig = diffConfig;
+module.exports.linkTimeline = linkTimeline;
+module.exports.versionStatus = versionStatus;
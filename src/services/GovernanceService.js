@@ -0,0 +1,691 @@
+// src/services/GovernanceService.js
+// Governance proposals voted on with governance power: gluckScore (points from
+// luck hits) plus locked GG weight, as ranked on /api/luck/governance/leaderboard.
+// Power is snapshotted per user when a proposal opens; the worker opens and
+// closes proposals on schedule and executes passed parameter changes, which are
+// replayed onto LuckService's RARITY_CONFIG at every start.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PublicKey } = require('@solana/web3.js');
+const GovernanceProposal = require('../models/GovernanceProposal');
+const GovernanceSnapshot = require('../models/GovernanceSnapshot');
+const GovernanceVote = require('../models/GovernanceVote');
+const luck = require('./LuckService');
+const { PERMISSIONS, roleHasPermission } = require('../middleware/rbac');
+
+const { MAX_ROLL } = luck;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WORKER_INTERVAL_MS = 60 * 1000;
+
+const MIN_PROPOSAL_POWER = parseFloat(process.env.GOVERNANCE_PROPOSAL_MIN_POWER) || 10;
+const DEFAULT_QUORUM_PERCENT = parseFloat(process.env.GOVERNANCE_QUORUM_PERCENT) || 10;
+const DEFAULT_THRESHOLD_PERCENT = parseFloat(process.env.GOVERNANCE_THRESHOLD_PERCENT) || 50;
+const DEFAULT_VOTING_DAYS = parseFloat(process.env.GOVERNANCE_VOTING_DAYS) || 3;
+const MIN_VOTING_HOURS = 24;
+const MAX_VOTING_DAYS = 30;
+const MAX_CHANGES = 12;
+// Passed parameter changes apply as soon as the vote closes unless disabled
+const AUTO_EXECUTE = process.env.GOVERNANCE_AUTO_EXECUTE !== 'false';
+
+// Parameters a proposal may change. odds and threshold describe the same
+// probability (threshold = MAX_ROLL / odds), so setting one derives the other.
+const RARITY_FIELDS = {
+  odds: { min: 1, max: MAX_ROLL, integer: true, derive: value => ({ threshold: Math.max(1, Math.round(MAX_ROLL / value)) }) },
+  threshold: { min: 1, max: MAX_ROLL, integer: true, derive: value => ({ odds: Math.round(MAX_ROLL / value) }) },
+  governancePoints: { min: 0, max: 1000 },
+  ggEmission: { min: 0, max: 1000000 }
+};
+const RARITY_TIERS = ['RARE', 'EPIC', 'LEGENDARY'];
+
+const PARAMETERS = Object.fromEntries(RARITY_TIERS.flatMap(tier =>
+  Object.entries(RARITY_FIELDS).map(([field, rule]) => [`RARITY_CONFIG.${tier}.${field}`, { tier, field, ...rule }])
+));
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function roundPercent(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Apply changes to a copy of a rarity config. Returns the new config and every
+ * value that moved, including derived ones; throws on an unknown parameter, an
+ * out-of-range value, or tiers whose thresholds no longer nest
+ * (LEGENDARY < EPIC < RARE - otherwise a tier could never hit).
+ */
+function applyParameterChanges(config, changes) {
+  const next = JSON.parse(JSON.stringify(config));
+  const applied = [];
+  const set = (tier, field, value) => {
+    const parameter = `RARITY_CONFIG.${tier}.${field}`;
+    const previous = next[tier][field];
+    next[tier][field] = value;
+    const existing = applied.find(entry => entry.parameter === parameter);
+    if (existing) existing.value = value;
+    else applied.push({ parameter, previous, value });
+  };
+
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw invalid('changes must list at least one { parameter, value }');
+  }
+  if (changes.length > MAX_CHANGES) {
+    throw invalid(`A proposal may change at most ${MAX_CHANGES} parameters`);
+  }
+
+  for (const { parameter, value } of changes) {
+    const rule = PARAMETERS[parameter];
+    if (!rule) {
+      throw invalid(`Unknown parameter: ${parameter}`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < rule.min || number > rule.max || (rule.integer && !Number.isInteger(number))) {
+      throw invalid(`${parameter} must be ${rule.integer ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+    }
+    set(rule.tier, rule.field, number);
+    for (const [field, derived] of Object.entries(rule.derive ? rule.derive(number) : {})) {
+      set(rule.tier, field, derived);
+    }
+  }
+
+  if (!(next.LEGENDARY.threshold < next.EPIC.threshold && next.EPIC.threshold < next.RARE.threshold)) {
+    throw invalid('Rarity thresholds must stay LEGENDARY < EPIC < RARE');
+  }
+
+  return { config: next, applied: applied.filter(entry => entry.previous !== entry.value) };
+}
+
+/**
+ * Outcome of a tally against the snapshot's total weight. Quorum counts every
+ * ballot, abstentions included; approval is yes of yes + no and must exceed
+ * thresholdPercent.
+ */
+function decide({ yes = 0, no = 0, abstain = 0 }, totalWeight, { quorumPercent, thresholdPercent }) {
+  const cast = yes + no + abstain;
+  const participation = totalWeight > 0 ? cast / totalWeight * 100 : 0;
+  const approval = yes + no > 0 ? yes / (yes + no) * 100 : 0;
+
+  const quorumMet = totalWeight > 0 && participation >= quorumPercent;
+  const passed = quorumMet && approval > thresholdPercent;
+
+  return {
+    participationPercent: roundPercent(participation),
+    approvalPercent: roundPercent(approval),
+    quorumMet,
+    passed,
+    status: !quorumMet ? 'failed_quorum' : passed ? 'passed' : 'rejected'
+  };
+}
+
+class GovernanceService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.workerTimer = null;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/User');
+  }
+
+  // Loaded on use so the API does not pull in Solana signer config at startup
+  getApprovals() {
+    return require('./TreasuryApprovalService');
+  }
+
+  // ============================================================================
+  // VOTING POWER
+  // ============================================================================
+
+  async powerOf(userId, now = new Date()) {
+    const [row] = await this.getUserModel().aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(String(userId)) } },
+      ...luck.governancePowerStages(now),
+      { $project: { gluckScore: 1, lockWeight: 1, governancePower: 1 } }
+    ]);
+    return {
+      gluckScore: row?.gluckScore || 0,
+      lockWeight: row?.lockWeight || 0,
+      power: row?.governancePower || 0,
+      pointsPerLockedGG: require('./LockService').governancePointsPerGG
+    };
+  }
+
+  // Freeze every holder's power for a proposal. $merge keeps rows already written,
+  // so two instances opening the same proposal agree on one snapshot.
+  async takeSnapshot(proposalId, now = new Date()) {
+    await this.getUserModel().aggregate([
+      ...luck.governancePowerStages(now),
+      { $match: { governancePower: { $gt: 0 } } },
+      {
+        $project: {
+          _id: 0,
+          proposalId: { $literal: proposalId },
+          userId: '$_id',
+          gluckScore: { $ifNull: ['$gluckScore', 0] },
+          lockWeight: 1,
+          weight: '$governancePower',
+          takenAt: { $literal: now }
+        }
+      },
+      {
+        $merge: {
+          into: GovernanceSnapshot.collection.name,
+          on: ['proposalId', 'userId'],
+          whenMatched: 'keepExisting',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]);
+
+    const [totals] = await GovernanceSnapshot.aggregate([
+      { $match: { proposalId } },
+      { $group: { _id: null, totalWeight: { $sum: '$weight' }, holders: { $sum: 1 } } }
+    ]);
+    return { takenAt: now, totalWeight: totals?.totalWeight || 0, holders: totals?.holders || 0 };
+  }
+
+  // ============================================================================
+  // PROPOSALS
+  // ============================================================================
+
+  parseWindow({ startsAt, endsAt, votingDays }, now = new Date()) {
+    const start = startsAt ? new Date(startsAt) : now;
+    if (Number.isNaN(start.getTime())) {
+      throw this.fail('startsAt must be a date');
+    }
+    if (start < new Date(now.getTime() - 60 * 1000)) {
+      throw this.fail('startsAt cannot be in the past');
+    }
+
+    const days = votingDays !== undefined ? Number(votingDays) : DEFAULT_VOTING_DAYS;
+    const end = endsAt ? new Date(endsAt) : new Date(start.getTime() + days * DAY_MS);
+    if (Number.isNaN(end.getTime())) {
+      throw this.fail('endsAt must be a date');
+    }
+    if (end - start < MIN_VOTING_HOURS * HOUR_MS || end - start > MAX_VOTING_DAYS * DAY_MS) {
+      throw this.fail(`Voting must last between ${MIN_VOTING_HOURS} hours and ${MAX_VOTING_DAYS} days`);
+    }
+    return { startsAt: start, endsAt: end };
+  }
+
+  parseRules({ quorumPercent, thresholdPercent }, isAdmin) {
+    if (!isAdmin && (quorumPercent !== undefined || thresholdPercent !== undefined)) {
+      throw this.fail('Only administrators can set quorum or threshold', 403);
+    }
+    const quorum = quorumPercent !== undefined ? Number(quorumPercent) : DEFAULT_QUORUM_PERCENT;
+    const threshold = thresholdPercent !== undefined ? Number(thresholdPercent) : DEFAULT_THRESHOLD_PERCENT;
+    if (!Number.isFinite(quorum) || quorum <= 0 || quorum > 100) {
+      throw this.fail('quorumPercent must be above 0 and at most 100');
+    }
+    if (!Number.isFinite(threshold) || threshold < 50 || threshold >= 100) {
+      throw this.fail('thresholdPercent must be from 50 to below 100');
+    }
+    return { quorumPercent: quorum, thresholdPercent: threshold };
+  }
+
+  parseGrant(grant = {}) {
+    const policy = this.getApprovals().policyFor(grant.accountType);
+    if (!policy) {
+      throw this.fail(`Unknown treasury account: ${grant.accountType}`);
+    }
+    if (!policy.permissions.includes('transfer')) {
+      throw this.fail(`Transfers are not permitted from ${grant.accountType}`);
+    }
+    const amount = Number(grant.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw this.fail('grant.amount must be a positive number');
+    }
+    try {
+      new PublicKey(grant.toAddress);
+    } catch (error) {
+      throw this.fail('grant.toAddress must be a valid Solana address');
+    }
+    return { accountType: grant.accountType, amount, toAddress: grant.toAddress, recipientName: grant.recipientName };
+  }
+
+  parseVenue(venue = {}) {
+    for (const field of ['name', 'city', 'state']) {
+      if (!venue[field] || !String(venue[field]).trim()) {
+        throw this.fail(`venue.${field} is required`);
+      }
+    }
+    const { name, city, state, operator, note } = venue;
+    return { name: String(name).trim(), city: String(city).trim(), state: String(state).trim(), operator, note };
+  }
+
+  // Administrators may always propose; anyone else needs MIN_PROPOSAL_POWER now
+  async create(user, { title, description, type, changes, grant, venue, startsAt, endsAt, votingDays, quorumPercent, thresholdPercent }) {
+    const account = await this.getUserModel().findById(user.userId).select('email role').lean();
+    if (!account) {
+      throw this.fail('User not found', 404);
+    }
+    const isAdmin = roleHasPermission(account.role, PERMISSIONS.SYSTEM_ADMIN);
+    const { power } = await this.powerOf(user.userId);
+    if (!isAdmin && power < MIN_PROPOSAL_POWER) {
+      throw this.fail(`Proposing needs ${MIN_PROPOSAL_POWER} governance power; you have ${Math.floor(power * 100) / 100}`, 403);
+    }
+
+    if (!GovernanceProposal.PROPOSAL_TYPES.includes(type)) {
+      throw this.fail(`type must be one of: ${GovernanceProposal.PROPOSAL_TYPES.join(', ')}`);
+    }
+    if (!title || !String(title).trim()) {
+      throw this.fail('title is required');
+    }
+
+    const proposal = new GovernanceProposal({
+      proposalId: crypto.randomUUID(),
+      title: String(title).trim(),
+      description,
+      type,
+      ...this.parseWindow({ startsAt, endsAt, votingDays }),
+      ...this.parseRules({ quorumPercent, thresholdPercent }, isAdmin),
+      proposer: { userId: user.userId, email: account.email, role: account.role },
+      proposerPower: power
+    });
+
+    if (type === 'parameter_change') {
+      // Checked against the values in force now; re-checked on execution
+      applyParameterChanges(luck.getRarityConfig(), changes);
+      const current = luck.getRarityConfig();
+      proposal.changes = changes.map(({ parameter, value }) => {
+        const { tier, field } = PARAMETERS[parameter];
+        return { parameter, value: Number(value), previous: current[tier][field] };
+      });
+    } else if (type === 'treasury_grant') {
+      proposal.grant = this.parseGrant(grant);
+    } else if (type === 'new_venue') {
+      proposal.venue = this.parseVenue(venue);
+    }
+
+    proposal.record('create', 'pending', { userId: user.userId, email: account.email },
+      `${type}, voting ${proposal.startsAt.toISOString()} - ${proposal.endsAt.toISOString()}`);
+    await proposal.save();
+
+    console.log(`🗳️ Governance proposal ${proposal.proposalId} filed by ${account.email}: ${proposal.title}`);
+    if (proposal.startsAt <= new Date()) {
+      return (await this.activate(proposal.proposalId)) || proposal;
+    }
+    return proposal;
+  }
+
+  // Only the proposer or an administrator, and only before voting closes
+  async cancel(proposalId, user, reason) {
+    if (!reason || !String(reason).trim()) {
+      throw this.fail('A reason is required to cancel a proposal');
+    }
+
+    const proposal = await GovernanceProposal.findOne({ proposalId });
+    if (!proposal) {
+      throw this.fail('Proposal not found', 404);
+    }
+    const account = await this.getUserModel().findById(user.userId).select('email role').lean();
+    const isAdmin = roleHasPermission(account?.role, PERMISSIONS.SYSTEM_ADMIN);
+    if (!isAdmin && String(proposal.proposer?.userId) !== String(user.userId)) {
+      throw this.fail('Only the proposer or an administrator can cancel this proposal', 403);
+    }
+    if (!GovernanceProposal.OPEN_STATUSES.includes(proposal.status)) {
+      throw this.fail(`Proposal is ${proposal.status}`, 409);
+    }
+
+    const cancelled = await GovernanceProposal.findOneAndUpdate(
+      { proposalId, status: { $in: GovernanceProposal.OPEN_STATUSES } },
+      {
+        $set: { status: 'cancelled', decidedAt: new Date() },
+        $push: { history: { action: 'cancel', status: 'cancelled', at: new Date(), userId: String(user.userId), email: account?.email, note: String(reason).trim() } }
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw this.fail('Proposal is no longer open', 409);
+    }
+    return cancelled;
+  }
+
+  // ============================================================================
+  // VOTING
+  // ============================================================================
+
+  async vote(proposalId, user, { choice, reason } = {}) {
+    if (!GovernanceProposal.VOTE_CHOICES.includes(choice)) {
+      throw this.fail(`choice must be one of: ${GovernanceProposal.VOTE_CHOICES.join(', ')}`);
+    }
+
+    const proposal = await GovernanceProposal.findOne({ proposalId }).select('status endsAt').lean();
+    if (!proposal) {
+      throw this.fail('Proposal not found', 404);
+    }
+    if (proposal.status !== 'active' || proposal.endsAt <= new Date()) {
+      throw this.fail(proposal.status === 'pending' ? 'Voting has not opened yet' : 'Voting is closed', 409);
+    }
+
+    const snapshot = await GovernanceSnapshot.findOne({ proposalId, userId: user.userId }).lean();
+    if (!snapshot || snapshot.weight <= 0) {
+      throw this.fail('You had no governance power when this proposal opened', 403);
+    }
+
+    const previous = await GovernanceVote.findOne({ proposalId, userId: user.userId }).select('choice').lean();
+    const vote = await GovernanceVote.findOneAndUpdate(
+      { proposalId, userId: user.userId },
+      {
+        $set: { choice, reason: reason ? String(reason) : null, weight: snapshot.weight, email: user.email },
+        $inc: { changes: previous ? 1 : 0 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return vote;
+  }
+
+  async tally(proposalId) {
+    const rows = await GovernanceVote.aggregate([
+      { $match: { proposalId } },
+      { $group: { _id: '$choice', weight: { $sum: '$weight' }, voters: { $sum: 1 } } }
+    ]);
+
+    const tally = { yes: 0, no: 0, abstain: 0, voters: 0 };
+    for (const row of rows) {
+      tally[row._id] = row.weight;
+      tally.voters += row.voters;
+    }
+    return tally;
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  async activate(proposalId) {
+    const snapshot = await this.takeSnapshot(proposalId);
+    const proposal = await GovernanceProposal.findOneAndUpdate(
+      { proposalId, status: 'pending' },
+      {
+        $set: { status: 'active', snapshot },
+        $push: { history: { action: 'open', status: 'active', at: new Date(), userId: 'system', note: `${snapshot.holders} holders, total weight ${snapshot.totalWeight}` } }
+      },
+      { new: true }
+    );
+    if (proposal) {
+      console.log(`🗳️ Governance proposal ${proposalId} open for voting (${snapshot.holders} holders)`);
+    }
+    return proposal;
+  }
+
+  async finalize(proposalId) {
+    const proposal = await GovernanceProposal.findOne({ proposalId, status: 'active' }).lean();
+    if (!proposal) return null;
+
+    const votes = await this.tally(proposalId);
+    const decision = decide(votes, proposal.snapshot?.totalWeight || 0, proposal);
+    const note = `yes ${votes.yes}, no ${votes.no}, abstain ${votes.abstain}; participation ${decision.participationPercent}%, approval ${decision.approvalPercent}%`;
+
+    const closed = await GovernanceProposal.findOneAndUpdate(
+      { proposalId, status: 'active' },
+      {
+        $set: {
+          status: decision.status,
+          decidedAt: new Date(),
+          tally: { ...votes, participationPercent: decision.participationPercent, approvalPercent: decision.approvalPercent }
+        },
+        $push: { history: { action: 'close', status: decision.status, at: new Date(), userId: 'system', note } }
+      },
+      { new: true }
+    );
+    if (!closed) return null;
+
+    console.log(`🗳️ Governance proposal ${proposalId} ${decision.status} (${note})`);
+    if (closed.status === 'passed' && closed.type === 'parameter_change' && AUTO_EXECUTE) {
+      return this.execute(proposalId, null).catch(error => {
+        console.error(`❌ Governance proposal ${proposalId} execution failed:`, error.message);
+        return GovernanceProposal.findOne({ proposalId });
+      });
+    }
+    return closed;
+  }
+
+  // ============================================================================
+  // EXECUTION
+  // ============================================================================
+
+  // Passed (or previously failed) proposals only. actor is null for the worker's
+  // automatic parameter changes; treasury grants always need an administrator,
+  // who becomes the requester of the N-of-M treasury request.
+  async execute(proposalId, actor) {
+    const proposal = await GovernanceProposal.findOne({ proposalId }).lean();
+    if (!proposal) {
+      throw this.fail('Proposal not found', 404);
+    }
+    if (proposal.type === 'treasury_grant' && !actor) {
+      throw this.fail('Treasury grants are executed by an administrator', 409);
+    }
+
+    const claimed = await GovernanceProposal.findOneAndUpdate(
+      { proposalId, status: { $in: ['passed', 'execution_failed'] } },
+      { $set: { status: 'executing', 'execution.startedAt': new Date() }, $unset: { 'execution.error': '' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.fail(`Proposal is ${proposal.status}`, 409);
+    }
+
+    try {
+      const fields = {};
+      let note;
+
+      if (claimed.type === 'parameter_change') {
+        await this.loadParameters();
+        const { config, applied } = applyParameterChanges(luck.getRarityConfig(), claimed.changes);
+        fields['execution.applied'] = applied;
+        note = applied.map(({ parameter, previous, value }) => `${parameter} ${previous} -> ${value}`).join(', ') || 'no values changed';
+        // Persisted before applying: loadParameters replays executed proposals on start
+        await this.finish(proposalId, 'executed', fields, actor, note);
+        luck.setRarityConfig(config);
+        console.log(`⚙️ Governance proposal ${proposalId} applied: ${note}`);
+        return GovernanceProposal.findOne({ proposalId });
+      }
+
+      if (claimed.type === 'treasury_grant') {
+        const request = await this.getApprovals().create(actor, {
+          type: 'transfer',
+          accountType: claimed.grant.accountType,
+          amount: claimed.grant.amount,
+          toAddress: claimed.grant.toAddress,
+          reason: `Governance proposal ${proposalId}: ${claimed.title}`
+        });
+        fields['execution.treasuryRequestId'] = request.requestId;
+        note = `treasury request ${request.requestId} filed for approval`;
+      } else if (claimed.type === 'new_venue') {
+        note = `mandate recorded to onboard ${claimed.venue.name} (${claimed.venue.city}, ${claimed.venue.state})`;
+      } else {
+        note = 'outcome recorded';
+      }
+
+      return await this.finish(proposalId, 'executed', fields, actor, note);
+    } catch (error) {
+      await GovernanceProposal.updateOne(
+        { proposalId, status: 'executing' },
+        {
+          $set: { status: 'execution_failed', 'execution.error': error.message },
+          $push: { history: { action: 'execute', status: 'execution_failed', at: new Date(), userId: actor ? String(actor.userId) : 'system', email: actor?.email, note: error.message } }
+        }
+      );
+      throw this.fail(`Execution failed: ${error.message}`, error.status || 422);
+    }
+  }
+
+  async finish(proposalId, status, fields, actor, note) {
+    const set = { ...fields, status, 'execution.executedAt': new Date() };
+    if (actor) set['execution.executedBy'] = { userId: actor.userId, email: actor.email, role: actor.role };
+
+    return GovernanceProposal.findOneAndUpdate(
+      { proposalId, status: 'executing' },
+      {
+        $set: set,
+        $push: { history: { action: 'execute', status, at: new Date(), userId: actor ? String(actor.userId) : 'system', email: actor?.email, note } }
+      },
+      { new: true }
+    );
+  }
+
+  // Rebuild RARITY_CONFIG from the shipped defaults plus every executed parameter
+  // change, in execution order. Run at start and on every worker tick, so all
+  // instances converge on the same values.
+  async loadParameters() {
+    const executed = await GovernanceProposal.find({ type: 'parameter_change', status: 'executed' })
+      .sort({ 'execution.executedAt': 1 })
+      .select('execution.applied')
+      .lean();
+
+    const config = luck.getDefaultRarityConfig();
+    for (const proposal of executed) {
+      for (const { parameter, value } of proposal.execution?.applied || []) {
+        const rule = PARAMETERS[parameter];
+        if (rule) config[rule.tier][rule.field] = value;
+      }
+    }
+    luck.setRarityConfig(config);
+    return config;
+  }
+
+  parameters() {
+    return {
+      current: luck.getRarityConfig(),
+      defaults: luck.getDefaultRarityConfig(),
+      parameters: Object.entries(PARAMETERS).map(([parameter, { min, max, integer }]) => ({ parameter, min, max, integer: Boolean(integer) })),
+      rules: {
+        minProposalPower: MIN_PROPOSAL_POWER,
+        quorumPercent: DEFAULT_QUORUM_PERCENT,
+        thresholdPercent: DEFAULT_THRESHOLD_PERCENT,
+        votingDays: DEFAULT_VOTING_DAYS,
+        autoExecuteParameterChanges: AUTO_EXECUTE
+      }
+    };
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  // Open proposals carry a live tally; the caller's ballot and snapshot weight are included
+  async get(proposalId, userId) {
+    const proposal = await GovernanceProposal.findOne({ proposalId }).lean();
+    if (!proposal) {
+      throw this.fail('Proposal not found', 404);
+    }
+
+    if (proposal.status === 'active') {
+      const votes = await this.tally(proposalId);
+      const projection = decide(votes, proposal.snapshot?.totalWeight || 0, proposal);
+      proposal.tally = { ...votes, participationPercent: projection.participationPercent, approvalPercent: projection.approvalPercent };
+      proposal.projectedStatus = projection.status;
+    }
+
+    if (userId) {
+      const [vote, snapshot] = await Promise.all([
+        GovernanceVote.findOne({ proposalId, userId }).select('choice weight reason updatedAt').lean(),
+        GovernanceSnapshot.findOne({ proposalId, userId }).select('weight gluckScore lockWeight').lean()
+      ]);
+      proposal.myVote = vote || null;
+      proposal.myWeight = snapshot?.weight || 0;
+    }
+    return proposal;
+  }
+
+  async list({ status, type, proposerId, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (status === 'open') query.status = { $in: GovernanceProposal.OPEN_STATUSES };
+    else if (status && status !== 'all') query.status = status;
+    if (type) query.type = type;
+    if (proposerId) query['proposer.userId'] = proposerId;
+
+    const [proposals, total] = await Promise.all([
+      GovernanceProposal.find(query)
+        .select('-history')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      GovernanceProposal.countDocuments(query)
+    ]);
+    return { proposals, total };
+  }
+
+  async votes(proposalId, { limit = 100, skip = 0 } = {}) {
+    const [votes, total] = await Promise.all([
+      GovernanceVote.find({ proposalId })
+        .sort({ weight: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      GovernanceVote.countDocuments({ proposalId })
+    ]);
+    return { votes, total };
+  }
+
+  // ============================================================================
+  // WORKER
+  // ============================================================================
+
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const now = new Date();
+      const due = await GovernanceProposal.find({
+        $or: [
+          { status: 'pending', startsAt: { $lte: now } },
+          { status: 'active', endsAt: { $lte: now } }
+        ]
+      }).select('proposalId status').lean();
+
+      for (const { proposalId, status } of due) {
+        try {
+          if (status === 'pending') await this.activate(proposalId);
+          else await this.finalize(proposalId);
+        } catch (error) {
+          console.error(`❌ Governance proposal ${proposalId} ${status === 'pending' ? 'open' : 'close'} error:`, error.message);
+        }
+      }
+
+      await this.loadParameters();
+    } catch (error) {
+      console.error('❌ Governance tick error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  startWorker() {
+    if (this.isRunning) return;
+
+    console.log('🗳️ Starting governance worker...');
+    this.isRunning = true;
+
+    this.tick();
+    this.workerTimer = setInterval(() => this.tick(), WORKER_INTERVAL_MS);
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+    this.isRunning = false;
+  }
+}
+
+module.exports = new GovernanceService();
+module.exports.GovernanceService = GovernanceService;
+module.exports.PARAMETERS = PARAMETERS;
+module.exports.applyParameterChanges = applyParameterChanges;
+module.exports.decide = decide;
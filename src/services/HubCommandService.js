@@ -0,0 +1,214 @@
+// src/services/HubCommandService.js
+const crypto = require('crypto');
+const HubCommand = require('../models/HubCommand');
+const Hub = require('../models/Hub');
+const hubConfig = require('./HubConfigService');
+const { PERMISSIONS, roleHasPermission } = require('../middleware/rbac');
+
+// Who may issue each command (any one of the listed permissions)
+const COMMAND_PERMISSIONS = {
+  restart_service: [PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES],
+  reboot: [PERMISSIONS.MANAGE_ALL_STORES],
+  rotate_token: [PERMISSIONS.MANAGE_ALL_STORES],
+  resync_mappings: [PERMISSIONS.MANAGE_MACHINES, PERMISSIONS.MANAGE_ASSIGNED_STORES],
+  upload_logs: [PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES],
+  set_debug_mode: [PERMISSIONS.MANAGE_ALL_STORES, PERMISSIONS.MANAGE_ASSIGNED_STORES]
+};
+
+// How long a command may wait for the hub before it expires
+const COMMAND_TTL_MS = {
+  restart_service: 10 * 60 * 1000,
+  reboot: 10 * 60 * 1000,
+  rotate_token: 60 * 60 * 1000,
+  resync_mappings: 30 * 60 * 1000,
+  upload_logs: 30 * 60 * 1000,
+  set_debug_mode: 30 * 60 * 1000
+};
+
+// Delivered but never acked (hub died mid-poll) -> hand it out again
+const REDELIVERY_MS = 2 * 60 * 1000;
+
+class HubCommandService {
+
+  canIssue(role, commandType) {
+    const allowed = COMMAND_PERMISSIONS[commandType] || [];
+    return allowed.some(permission => roleHasPermission(role, permission));
+  }
+
+  validateParams(commandType, params = {}) {
+    switch (commandType) {
+      case 'set_debug_mode':
+        if (typeof params.enabled !== 'boolean') {
+          return 'params.enabled (boolean) is required';
+        }
+        return null;
+      case 'upload_logs':
+        if (params.since && isNaN(new Date(params.since).getTime())) {
+          return 'params.since must be a valid date';
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  async issue(hub, commandType, params, user, reason) {
+    const command = new HubCommand({
+      commandId: crypto.randomUUID(),
+      hubId: hub.hubId,
+      storeId: hub.storeId,
+      commandType,
+      params: params || {},
+      issuedBy: {
+        userId: user.userId,
+        email: user.email,
+        role: user.role
+      },
+      reason,
+      expiresAt: new Date(Date.now() + (COMMAND_TTL_MS[commandType] || 30 * 60 * 1000))
+    });
+    command.transition('queued', user.email, reason);
+    await command.save();
+
+    console.log(`📨 Hub command ${command.commandType} queued for ${hub.hubId} by ${user.email} (${command.commandId})`);
+    return command;
+  }
+
+  async cancel(command, user) {
+    if (command.status !== 'queued') {
+      throw new Error(`Only queued commands can be cancelled (status: ${command.status})`);
+    }
+    command.transition('cancelled', user.email);
+    await command.save();
+    console.log(`🚫 Hub command ${command.commandId} cancelled by ${user.email}`);
+    return command;
+  }
+
+  // Hand queued (and un-acked stale) commands to the hub, oldest first
+  async deliverPending(hubId) {
+    await HubCommand.expireStale({ hubId });
+
+    const redeliverBefore = new Date(Date.now() - REDELIVERY_MS);
+    const commands = await HubCommand.find({
+      hubId,
+      $or: [
+        { status: 'queued' },
+        { status: 'delivered', deliveredAt: { $lte: redeliverBefore } }
+      ]
+    }).select('+credentials').sort({ createdAt: 1 }).limit(10);
+
+    const payloads = [];
+    for (const command of commands) {
+      const payload = {
+        commandId: command.commandId,
+        type: command.commandType,
+        params: command.params,
+        issuedAt: command.createdAt,
+        expiresAt: command.expiresAt
+      };
+
+      if (command.commandType === 'rotate_token') {
+        if (!command.credentials) {
+          command.credentials = await this.generateRotation(hubId);
+        }
+        if (command.credentials) {
+          const { accessToken, refreshToken, expiresAt, expiresIn, tokenVersion } = command.credentials;
+          payload.params = { ...payload.params, accessToken, refreshToken, expiresAt, expiresIn, tokenVersion };
+        }
+      }
+
+      command.transition('delivered', 'hub', command.deliveryCount > 0 ? 'Redelivered' : undefined);
+      await command.save();
+      payloads.push(payload);
+    }
+
+    if (payloads.length) {
+      console.log(`📬 Delivered ${payloads.length} commands to hub ${hubId}`);
+    }
+    return payloads;
+  }
+
+  // Replacement tokens signed for the next tokenVersion. The hub record is not
+  // touched until the hub reports it has switched over, so its current tokens
+  // keep working if the command is never completed.
+  async generateRotation(hubId) {
+    const hub = await Hub.findOne({ hubId });
+    if (!hub) return null;
+
+    const tokenVersion = hub.tokenVersion + 1;
+    const tokens = hub.generateTokens(tokenVersion);
+    return { ...tokens, refreshTokenExpiresAt: hub.refreshTokenExpiresAt, tokenVersion };
+  }
+
+  // Hub reports progress: acked, succeeded or failed
+  async recordResult(command, status, result, error) {
+    if (command.isTerminal) {
+      throw new Error(`Command already ${command.status}`);
+    }
+    if (status === 'acked' && command.status === 'acked') {
+      return command;
+    }
+
+    command.transition(status, 'hub', error);
+    if (result !== undefined) command.result = result;
+    if (error) command.error = error;
+
+    // Saving a finished command clears its credentials, so read them first
+    const credentials = command.commandType === 'rotate_token' && status === 'succeeded'
+      ? (await HubCommand.findById(command._id).select('+credentials').lean())?.credentials
+      : null;
+    await command.save();
+
+    await this.applySideEffects(command, credentials);
+
+    console.log(`📥 Hub command ${command.commandId} (${command.commandType}) -> ${status}`);
+    return command;
+  }
+
+  async applySideEffects(command, credentials) {
+    if (command.commandType === 'restart_service' || command.commandType === 'reboot') {
+      if (command.status === 'acked') {
+        await Hub.updateOne({ hubId: command.hubId }, { $set: { status: 'restarting', updatedAt: new Date() } });
+      }
+      if (command.status === 'succeeded') {
+        await Hub.updateOne({ hubId: command.hubId }, { $set: { 'stats.lastRestart': new Date(), updatedAt: new Date() } });
+      }
+    }
+
+    // The hub is running on the new tokens: make them the hub's own and revoke
+    // everything issued under earlier versions
+    if (command.commandType === 'rotate_token' && command.status === 'succeeded' && credentials) {
+      const now = new Date();
+      await Hub.updateOne(
+        { hubId: command.hubId, tokenVersion: { $lt: credentials.tokenVersion } },
+        {
+          $set: {
+            accessToken: credentials.accessToken,
+            accessTokenExpiresAt: credentials.expiresAt,
+            refreshToken: credentials.refreshToken,
+            refreshTokenExpiresAt: credentials.refreshTokenExpiresAt,
+            tokenVersion: credentials.tokenVersion,
+            lastTokenRefresh: now,
+            updatedAt: now
+          },
+          $inc: { tokenRefreshCount: 1 }
+        }
+      );
+      console.log(`🔑 Hub ${command.hubId} rotated to token version ${credentials.tokenVersion}`);
+    }
+
+    // Record the new flag as a config revision so the hub's config hash stays in step
+    if (command.commandType === 'set_debug_mode' && command.status === 'succeeded') {
+      await hubConfig.update(
+        'hub',
+        command.hubId,
+        { debugMode: command.params.enabled },
+        command.issuedBy,
+        `set_debug_mode command ${command.commandId}`
+      );
+    }
+  }
+}
+
+module.exports = new HubCommandService();
+module.exports.COMMAND_PERMISSIONS = COMMAND_PERMISSIONS;
@@ -0,0 +1,301 @@
+// src/services/HubConfigService.js
+const crypto = require('crypto');
+const Hub = require('../models/Hub');
+const Store = require('../models/Store');
+const HubConfigRevision = require('../models/HubConfigRevision');
+const muthaGoose = require('../parsers/muthaGoose');
+
+// Settings a hub can be told to run, and where the effective value lives on the Hub
+const SETTINGS = {
+  serialPort: { path: ['serialConfig', 'port'], type: 'string', default: '/dev/ttyUSB0' },
+  baudRate: { path: ['serialConfig', 'baudRate'], type: 'number', default: 9600, allowed: [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200] },
+  parserVariant: { path: ['serialConfig', 'parserVariant'], type: 'string', default: 'default', allowed: muthaGoose.listVariants() },
+  reportingInterval: { path: ['config', 'reportingInterval'], type: 'number', default: 30, min: 5, max: 3600 },
+  syncInterval: { path: ['config', 'syncInterval'], type: 'number', default: 30, min: 5, max: 3600 },
+  debugMode: { path: ['config', 'debugMode'], type: 'boolean', default: false },
+  autoRestart: { path: ['config', 'autoRestart'], type: 'boolean', default: true }
+};
+
+class HubConfigService {
+
+  // Returns a list of problems; null values mean "clear override"
+  validate(settings) {
+    const errors = [];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['settings must be an object'];
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      const spec = SETTINGS[key];
+      if (!spec) {
+        errors.push(`Unknown setting: ${key}`);
+        continue;
+      }
+      if (value === null) continue;
+      if (typeof value !== spec.type) {
+        errors.push(`${key} must be a ${spec.type}`);
+        continue;
+      }
+      if (spec.type === 'string' && !value.trim()) errors.push(`${key} cannot be empty`);
+      if (spec.allowed && !spec.allowed.includes(value)) errors.push(`${key} must be one of ${spec.allowed.join(', ')}`);
+      if (spec.min !== undefined && value < spec.min) errors.push(`${key} must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${key} must be at most ${spec.max}`);
+    }
+    return errors;
+  }
+
+  // System defaults <- store defaults <- hub overrides
+  resolve(hub, store) {
+    const storeDefaults = store?.hubConfigDefaults || {};
+    const hubOverrides = hub.configOverrides || {};
+    const settings = {};
+    const sources = {};
+
+    for (const [key, spec] of Object.entries(SETTINGS)) {
+      if (hubOverrides[key] !== undefined) {
+        settings[key] = hubOverrides[key];
+        sources[key] = 'hub';
+      } else if (storeDefaults[key] !== undefined) {
+        settings[key] = storeDefaults[key];
+        sources[key] = 'store';
+      } else {
+        settings[key] = spec.default;
+        sources[key] = 'system';
+      }
+    }
+
+    return { settings, sources, hash: this.hash(settings) };
+  }
+
+  // Keys are iterated in SETTINGS order, so the hash is stable
+  hash(settings) {
+    const ordered = Object.keys(SETTINGS).map(key => [key, settings[key]]);
+    return crypto.createHash('sha256').update(JSON.stringify(ordered)).digest('hex').slice(0, 16);
+  }
+
+  diff(before = {}, after = {}) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const key of keys) {
+      const from = before[key] ?? null;
+      const to = after[key] ?? null;
+      if (from !== to) changes.push({ key, from, to });
+    }
+    return changes;
+  }
+
+  // Effective config for a hub, as sent by /api/edge/config
+  async getForHub(hub) {
+    const store = await Store.findOne({ storeId: hub.storeId }).select('hubConfigDefaults').lean();
+    return this.resolve(hub, store);
+  }
+
+  // ============================================================================
+  // EDITS
+  // ============================================================================
+
+  // Apply partial changes to a hub's overrides or a store's defaults and record a revision
+  async update(scope, scopeId, changes, user, note, rolledBackTo) {
+    const { doc, storeId } = await this.loadScope(scope, scopeId);
+    if (!doc) return null;
+    if (scope === 'hub') doc.configOverrides = await this.adoptLegacy(doc);
+
+    const before = { ...(scope === 'hub' ? doc.configOverrides : doc.hubConfigDefaults) };
+    const after = { ...before };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete after[key];
+      else after[key] = value;
+    }
+
+    const diff = this.diff(before, after);
+    if (diff.length === 0 && rolledBackTo === undefined) {
+      return { revision: null, changes: [] };
+    }
+
+    // Bump the counter atomically so concurrent edits get distinct revision numbers
+    const Model = scope === 'hub' ? Hub : Store;
+    const idField = scope === 'hub' ? 'hubId' : 'storeId';
+    const overridesField = scope === 'hub' ? 'configOverrides' : 'hubConfigDefaults';
+    const revisionField = scope === 'hub' ? 'configRevision' : 'hubConfigRevision';
+
+    const updated = await Model.findOneAndUpdate(
+      { [idField]: scopeId },
+      { $set: { [overridesField]: after, updatedAt: new Date() }, $inc: { [revisionField]: 1 } },
+      { new: true }
+    ).lean();
+
+    const revision = await HubConfigRevision.create({
+      scope,
+      scopeId,
+      storeId,
+      revision: updated[revisionField],
+      settings: after,
+      changes: diff,
+      author: user ? { userId: user.userId, email: user.email, role: user.role } : { email: 'system' },
+      note,
+      rolledBackTo
+    });
+
+    const hubsUpdated = scope === 'hub'
+      ? await this.materialize(scopeId)
+      : await this.materializeStore(scopeId);
+
+    console.log(`⚙️ Hub config ${scope} ${scopeId} -> r${revision.revision} by ${user?.email || 'system'} (${diff.length} changes, ${hubsUpdated} hubs)`);
+    return { revision, changes: diff };
+  }
+
+  // Restore the settings of an earlier revision as a new revision
+  async rollback(scope, scopeId, revisionNumber, user, note) {
+    const target = await HubConfigRevision.findOne({ scope, scopeId, revision: revisionNumber }).lean();
+    if (!target) return null;
+
+    const { doc } = await this.loadScope(scope, scopeId);
+    if (!doc) return null;
+
+    // Clear everything not in the target, set everything that is
+    const current = scope === 'hub' ? doc.configOverrides : doc.hubConfigDefaults;
+    const changes = {};
+    Object.keys(current || {}).forEach(key => { changes[key] = null; });
+    Object.assign(changes, target.settings);
+
+    return this.update(scope, scopeId, changes, user, note || `Rollback to r${revisionNumber}`, revisionNumber);
+  }
+
+  async listRevisions(scope, scopeId, { limit = 20, skip = 0 } = {}) {
+    const query = { scope, scopeId };
+    const [revisions, total] = await Promise.all([
+      HubConfigRevision.find(query).sort({ revision: -1 }).skip(skip).limit(limit).lean(),
+      HubConfigRevision.countDocuments(query)
+    ]);
+    return { revisions, total };
+  }
+
+  async loadScope(scope, scopeId) {
+    if (scope === 'hub') {
+      const doc = await Hub.findOne({ hubId: scopeId })
+        .select('hubId storeId config serialConfig configOverrides configRevision configHash')
+        .lean();
+      return { doc, storeId: doc?.storeId };
+    }
+    const doc = await Store.findOne({ storeId: scopeId }).select('storeId hubConfigDefaults').lean();
+    return { doc, storeId: doc?.storeId };
+  }
+
+  // ============================================================================
+  // EFFECTIVE VALUES
+  // ============================================================================
+
+  // Write the effective values back onto Hub.config / Hub.serialConfig
+  async materialize(hubId, store) {
+    const hub = await Hub.findOne({ hubId })
+      .select('hubId storeId config serialConfig configOverrides configRevision configHash')
+      .lean();
+    if (!hub) return 0;
+
+    hub.configOverrides = await this.adoptLegacy(hub);
+
+    if (store === undefined) {
+      store = await Store.findOne({ storeId: hub.storeId }).select('hubConfigDefaults').lean();
+    }
+    const { settings, hash } = this.resolve(hub, store);
+
+    const $set = { configHash: hash };
+    for (const [key, spec] of Object.entries(SETTINGS)) {
+      $set[spec.path.join('.')] = settings[key];
+    }
+    await Hub.updateOne({ hubId }, { $set });
+    return 1;
+  }
+
+  // Hub predates remote config: keep what was set on it directly as revision 1
+  async adoptLegacy(hub) {
+    if (hub.configHash || hub.configRevision) return hub.configOverrides || {};
+
+    const overrides = {};
+    for (const [key, spec] of Object.entries(SETTINGS)) {
+      const value = hub[spec.path[0]]?.[spec.path[1]];
+      if (value !== undefined && value !== null && value !== spec.default) overrides[key] = value;
+    }
+    if (Object.keys(overrides).length === 0) return {};
+
+    const adopted = await Hub.findOneAndUpdate(
+      { hubId: hub.hubId, configRevision: { $in: [0, null] } },
+      { $set: { configOverrides: overrides, configRevision: 1 } },
+      { new: true }
+    ).lean();
+    if (!adopted) {
+      // Someone else got there first
+      const current = await Hub.findOne({ hubId: hub.hubId }).select('configOverrides').lean();
+      return current?.configOverrides || {};
+    }
+
+    await HubConfigRevision.create({
+      scope: 'hub',
+      scopeId: hub.hubId,
+      storeId: hub.storeId,
+      revision: 1,
+      settings: overrides,
+      changes: this.diff({}, overrides),
+      author: { email: 'system' },
+      note: 'Imported existing hub settings'
+    });
+    return overrides;
+  }
+
+  async materializeStore(storeId) {
+    const store = await Store.findOne({ storeId }).select('hubConfigDefaults').lean();
+    const hubs = await Hub.find({ storeId }).select('hubId').lean();
+    for (const hub of hubs) {
+      await this.materialize(hub.hubId, store);
+    }
+    return hubs.length;
+  }
+
+  // ============================================================================
+  // DRIFT
+  // ============================================================================
+
+  // Called from the heartbeat with whatever hash the hub says it is running
+  async recordReported(hub, reportedHash) {
+    if (!hub.configHash) {
+      await this.materialize(hub.hubId);
+      hub = await Hub.findOne({ hubId: hub.hubId }).select('configHash').lean();
+    }
+
+    if (reportedHash) {
+      await Hub.updateOne(
+        { hubId: hub.hubId },
+        { $set: { reportedConfigHash: reportedHash, configReportedAt: new Date() } }
+      );
+    }
+
+    return {
+      configHash: hub.configHash,
+      configStale: Boolean(reportedHash) && reportedHash !== hub.configHash
+    };
+  }
+
+  // Hubs whose last reported hash differs from what they should run
+  async findStale(filter = {}) {
+    const hubs = await Hub.find({ ...filter, configHash: { $ne: null } })
+      .select('hubId name storeId status lastHeartbeat configRevision configHash reportedConfigHash configReportedAt')
+      .lean();
+
+    return hubs
+      .filter(h => h.reportedConfigHash !== h.configHash)
+      .map(h => ({
+        hubId: h.hubId,
+        name: h.name,
+        storeId: h.storeId,
+        status: h.status,
+        lastHeartbeat: h.lastHeartbeat,
+        configRevision: h.configRevision,
+        expectedHash: h.configHash,
+        reportedHash: h.reportedConfigHash || null,
+        reportedAt: h.configReportedAt || null
+      }));
+  }
+}
+
+module.exports = new HubConfigService();
+module.exports.SETTINGS = SETTINGS;
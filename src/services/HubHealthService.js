@@ -0,0 +1,285 @@
+// src/services/HubHealthService.js
+const Hub = require('../models/Hub');
+const HubHeartbeat = require('../models/HubHeartbeat');
+const HubHealthRollup = require('../models/HubHealthRollup');
+const HubAlertRule = require('../models/HubAlertRule');
+const HubAlert = require('../models/HubAlert');
+const { sendHubAlertEmail } = require('./emailService');
+
+const RAW_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+class HubHealthService {
+  constructor() {
+    this.isRunning = false;
+    this.sweepTimer = null;
+    this.sweepInterval = 60 * 1000; // Offline checks every minute
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  // Store one heartbeat (raw + 5-minute rollup) and evaluate metric rules
+  async recordHeartbeat(hub, sample) {
+    const timestamp = new Date();
+    const point = { ...sample, timestamp };
+
+    await Promise.all([
+      HubHeartbeat.create({
+        timestamp,
+        meta: { hubId: hub.hubId, storeId: hub.storeId },
+        ...sample
+      }),
+      HubHealthRollup.addSample(hub.hubId, hub.storeId, point)
+    ]);
+
+    await this.evaluateHeartbeat(hub, point);
+  }
+
+  // Raw samples for ranges inside the raw window, 5-minute rollups otherwise
+  async getHistory(hubId, from, to, resolution) {
+    const useRaw = resolution
+      ? resolution === 'raw'
+      : (Date.now() - from.getTime()) <= RAW_RETENTION_MS;
+
+    if (useRaw) {
+      const samples = await HubHeartbeat.find({
+        'meta.hubId': hubId,
+        timestamp: { $gte: from, $lte: to }
+      })
+        .sort({ timestamp: 1 })
+        .limit(10000)
+        .select('-_id -meta')
+        .lean();
+      return { resolution: 'raw', points: samples };
+    }
+
+    const rollups = await HubHealthRollup.find({
+      hubId,
+      bucketStart: { $gte: HubHealthRollup.bucketFor(from), $lte: to }
+    })
+      .sort({ bucketStart: 1 })
+      .limit(30000)
+      .lean();
+    return { resolution: '5m', points: rollups.map(r => HubHealthRollup.toPoint(r)) };
+  }
+
+  // ============================================================================
+  // RULE ENGINE
+  // ============================================================================
+
+  async evaluateHeartbeat(hub, sample) {
+    const rules = await HubAlertRule.resolveForHub(hub);
+
+    // A heartbeat always clears the offline alert
+    await this.resolveAlert(hub, 'offline');
+
+    if (rules.serial_disconnected && sample.serialConnected !== undefined) {
+      if (sample.serialConnected === false) {
+        await this.raiseAlert(hub, rules.serial_disconnected, {
+          message: 'Serial connection to Mutha Goose lost',
+          severity: 'critical'
+        });
+      } else {
+        await this.resolveAlert(hub, 'serial_disconnected');
+      }
+    }
+
+    if (rules.cpu_temp && typeof sample.cpuTemp === 'number') {
+      if (sample.cpuTemp > rules.cpu_temp.threshold) {
+        await this.raiseAlert(hub, rules.cpu_temp, {
+          message: `CPU temperature ${sample.cpuTemp}°C above ${rules.cpu_temp.threshold}°C`,
+          value: sample.cpuTemp,
+          severity: sample.cpuTemp > rules.cpu_temp.threshold + 10 ? 'critical' : 'warning'
+        });
+      } else {
+        await this.resolveAlert(hub, 'cpu_temp');
+      }
+    }
+
+    if (rules.disk_usage && typeof sample.diskUsage === 'number') {
+      if (sample.diskUsage > rules.disk_usage.threshold) {
+        await this.raiseAlert(hub, rules.disk_usage, {
+          message: `Disk usage ${sample.diskUsage.toFixed(1)}% above ${rules.disk_usage.threshold}%`,
+          value: sample.diskUsage,
+          severity: sample.diskUsage > 97 ? 'critical' : 'warning'
+        });
+      } else {
+        await this.resolveAlert(hub, 'disk_usage');
+      }
+    }
+
+    if (rules.events_queued_growing && typeof sample.eventsQueued === 'number') {
+      await this.evaluateQueueGrowth(hub, rules.events_queued_growing, sample);
+    }
+  }
+
+  // Queue grew steadily across the window by at least the threshold
+  async evaluateQueueGrowth(hub, rule, sample) {
+    const windowStart = new Date(Date.now() - (rule.windowMinutes || 15) * 60 * 1000);
+    const history = await HubHeartbeat.find({
+      'meta.hubId': hub.hubId,
+      timestamp: { $gte: windowStart },
+      eventsQueued: { $ne: null }
+    })
+      .sort({ timestamp: 1 })
+      .select('eventsQueued')
+      .lean();
+
+    const values = history.map(h => h.eventsQueued);
+    const growing = values.length >= 3 &&
+      values.every((v, i) => i === 0 || v >= values[i - 1]) &&
+      values[values.length - 1] - values[0] >= rule.threshold;
+
+    if (growing) {
+      await this.raiseAlert(hub, rule, {
+        message: `Offline event queue grew from ${values[0]} to ${sample.eventsQueued} in ${rule.windowMinutes} minutes`,
+        value: sample.eventsQueued
+      });
+    } else if (values.length && sample.eventsQueued <= values[0]) {
+      await this.resolveAlert(hub, 'events_queued_growing');
+    }
+  }
+
+  // Hubs that stopped sending heartbeats
+  async sweepOffline() {
+    const rules = await HubAlertRule.find({ ruleType: 'offline', enabled: true }).lean();
+    if (rules.length === 0) return;
+
+    const minThreshold = Math.min(...rules.map(r => r.threshold));
+    const candidates = await Hub.find({
+      lastHeartbeat: { $lt: new Date(Date.now() - minThreshold * 60 * 1000) },
+      status: { $ne: 'maintenance' }
+    }).lean();
+
+    for (const hub of candidates) {
+      const hubRules = await HubAlertRule.resolveForHub(hub);
+      const rule = hubRules.offline;
+      if (!rule) continue;
+
+      const minutesOffline = Math.floor((Date.now() - new Date(hub.lastHeartbeat).getTime()) / 60000);
+      if (minutesOffline < rule.threshold) continue;
+
+      await this.raiseAlert(hub, rule, {
+        message: `Hub offline for ${minutesOffline} minutes`,
+        value: minutesOffline,
+        severity: 'critical'
+      });
+
+      if (hub.status === 'online') {
+        await Hub.updateOne({ hubId: hub.hubId, status: 'online' }, { $set: { status: 'offline' } });
+      }
+    }
+  }
+
+  async raiseAlert(hub, rule, { message, value, severity = 'warning' }) {
+    const now = new Date();
+    let alert = await HubAlert.findOne({ hubId: hub.hubId, ruleType: rule.ruleType, status: 'open' });
+
+    if (!alert) {
+      try {
+        alert = await HubAlert.create({
+          hubId: hub.hubId,
+          storeId: hub.storeId,
+          ruleId: rule._id,
+          ruleType: rule.ruleType,
+          severity,
+          message,
+          value,
+          threshold: rule.threshold,
+          triggeredAt: now,
+          lastSeenAt: now
+        });
+      } catch (error) {
+        // Another instance opened it first
+        if (error.code === 11000) return;
+        throw error;
+      }
+      console.warn(`🚨 Hub alert raised: ${hub.hubId} ${rule.ruleType} - ${message}`);
+      await this.notify(hub, alert, rule, false);
+      return alert;
+    }
+
+    alert.message = message;
+    alert.value = value;
+    alert.severity = severity;
+    alert.lastSeenAt = now;
+
+    const renotifyMs = (rule.renotifyMinutes || 60) * 60 * 1000;
+    const due = !alert.acknowledgedAt &&
+      (!alert.lastNotifiedAt || now - alert.lastNotifiedAt >= renotifyMs);
+    await alert.save();
+
+    if (due) await this.notify(hub, alert, rule, false);
+    return alert;
+  }
+
+  async resolveAlert(hub, ruleType) {
+    const alert = await HubAlert.findOneAndUpdate(
+      { hubId: hub.hubId, ruleType, status: 'open' },
+      { $set: { status: 'resolved', resolvedAt: new Date() } },
+      { new: true }
+    );
+    if (!alert) return null;
+
+    console.log(`✅ Hub alert resolved: ${hub.hubId} ${ruleType}`);
+    const rule = alert.ruleId ? await HubAlertRule.findById(alert.ruleId).lean() : null;
+    await this.notify(hub, alert, rule, true);
+    return alert;
+  }
+
+  async notify(hub, alert, rule, resolved) {
+    const envRecipients = (process.env.HUB_ALERT_EMAILS || '')
+      .split(',')
+      .map(e => e.trim())
+      .filter(Boolean);
+    const recipients = [...new Set([...envRecipients, ...(rule?.recipients || [])])];
+
+    if (recipients.length === 0) {
+      console.warn(`⚠️ No recipients for hub alert ${alert._id} (set HUB_ALERT_EMAILS)`);
+      return;
+    }
+
+    const result = await sendHubAlertEmail(recipients, { hub, alert, resolved });
+    if (result.success && !resolved) {
+      await HubAlert.updateOne(
+        { _id: alert._id },
+        { $set: { lastNotifiedAt: new Date() }, $inc: { notificationCount: 1 } }
+      );
+    }
+  }
+
+  // ============================================================================
+  // BACKGROUND SWEEP
+  // ============================================================================
+
+  async startMonitor() {
+    if (this.isRunning) return;
+
+    console.log('🩺 Starting hub health monitor...');
+    this.isRunning = true;
+
+    try {
+      await HubAlertRule.ensureDefaults();
+    } catch (error) {
+      console.error('❌ Failed to seed hub alert rules:', error);
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweepOffline().catch(error => {
+        console.error('❌ Hub offline sweep failed:', error);
+      });
+    }, this.sweepInterval);
+  }
+
+  stopMonitor() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Hub health monitor stopped');
+  }
+}
+
+module.exports = new HubHealthService();
@@ -0,0 +1,228 @@
+// src/services/IngestQueueService.js
+const os = require('os');
+const IngestJob = require('../models/IngestJob');
+const Event = require('../models/Event');
+const DailyReportProcessor = require('./DailyReportProcessor');
+const BookkeepingProcessor = require('./BookkeepingProcessor');
+
+// Daily summaries arrive as a burst of events; give the batch time to land
+// before building the report (same window the old setTimeout used).
+const DAILY_SUMMARY_DELAY_MS = 3000;
+
+class IngestQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.isRunning = false;
+    this.isTicking = false;
+    this.pollTimer = null;
+    this.pollInterval = 2000;         // 2 seconds between polls
+    this.batchSize = 20;              // Jobs per poll
+    this.staleLockMs = 5 * 60 * 1000; // Reclaim jobs stuck in processing
+    this.baseBackoffMs = 5000;
+    this.maxBackoffMs = 30 * 60 * 1000;
+
+    this.dailyReportProcessor = new DailyReportProcessor();
+    this.bookkeepingProcessor = new BookkeepingProcessor();
+  }
+
+  // ============================================================================
+  // ENQUEUE
+  // ============================================================================
+
+  // options.session lets callers enqueue inside their own transaction
+  async enqueueDailySummary(storeId, hubMachineId, timestamp, eventId = null, options = {}) {
+    const [job] = await IngestJob.create([{
+      jobType: 'daily_summary',
+      eventId,
+      storeId,
+      hubMachineId,
+      payload: { timestamp: new Date(timestamp) },
+      runAt: new Date(Date.now() + DAILY_SUMMARY_DELAY_MS)
+    }], options);
+    return job;
+  }
+
+  async enqueueBookkeeping(storeId, gamingMachineId, eventRecord, eventId, options = {}) {
+    const [job] = await IngestJob.create([{
+      jobType: eventRecord.eventType,
+      eventId,
+      storeId,
+      hubMachineId: eventRecord.hubMachineId,
+      gamingMachineId,
+      payload: { eventRecord }
+    }], options);
+    return job;
+  }
+
+  // ============================================================================
+  // WORKER LOOP
+  // ============================================================================
+
+  startWorker() {
+    if (this.isRunning) return;
+
+    console.log(`📥 Starting ingest queue worker (${this.workerId})...`);
+    this.isRunning = true;
+
+    this.tick();
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+  }
+
+  stopWorker() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Ingest queue worker stopped');
+  }
+
+  async tick() {
+    if (!this.isRunning || this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const { released, dead } = await IngestJob.releaseStale(this.staleLockMs);
+      if (released > 0) {
+        console.log(`♻️ Released ${released} stale ingest jobs`);
+      }
+      if (dead > 0) {
+        console.error(`💀 Dead-lettered ${dead} stale ingest jobs with no attempts left`);
+      }
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const job = await IngestJob.claimNext(this.workerId);
+        if (!job) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Ingest queue tick error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  async runJob(job) {
+    try {
+      await this.handle(job);
+
+      // Daily summary processing marks its own batch of events
+      if (job.eventId && job.jobType !== 'daily_summary') {
+        await Event.updateOne(
+          { _id: job.eventId },
+          {
+            $set: {
+              processed: true,
+              processedAt: new Date(),
+              processingError: null
+            }
+          }
+        );
+      }
+
+      await job.markCompleted();
+      console.log(`✅ Ingest job ${job._id} (${job.jobType}) completed`);
+    } catch (error) {
+      const backoffMs = this.getBackoff(job.attempts);
+      await job.markFailed(error, backoffMs);
+
+      if (job.eventId) {
+        await Event.updateOne(
+          { _id: job.eventId },
+          {
+            $set: { processingError: error.message || String(error) },
+            $inc: { retryCount: 1 }
+          }
+        );
+      }
+
+      if (job.status === 'dead') {
+        console.error(`💀 Ingest job ${job._id} (${job.jobType}) dead-lettered after ${job.attempts} attempts:`, error.message);
+      } else {
+        console.warn(`⚠️ Ingest job ${job._id} (${job.jobType}) failed, retrying in ${Math.round(backoffMs / 1000)}s:`, error.message);
+      }
+    }
+  }
+
+  async handle(job) {
+    switch (job.jobType) {
+      case 'daily_summary':
+        await this.dailyReportProcessor.processDailySummaryEvents(
+          job.storeId,
+          job.hubMachineId,
+          job.payload.timestamp
+        );
+        return;
+
+      case 'books_cleared':
+        await this.bookkeepingProcessor.processClearingEvent(
+          job.storeId,
+          job.gamingMachineId,
+          job.payload.eventRecord,
+          job.eventId
+        );
+        return;
+
+      case 'books_clearing':
+        await this.bookkeepingProcessor.processBookkeepingReport(
+          job.storeId,
+          job.gamingMachineId,
+          job.payload.eventRecord,
+          job.eventId
+        );
+        return;
+
+      default:
+        throw new Error(`Unknown ingest job type: ${job.jobType}`);
+    }
+  }
+
+  // Exponential backoff with jitter, capped
+  getBackoff(attempts) {
+    const exp = this.baseBackoffMs * Math.pow(2, Math.max(0, attempts - 1));
+    const jitter = Math.floor(Math.random() * this.baseBackoffMs);
+    return Math.min(exp + jitter, this.maxBackoffMs);
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  async replayJob(jobId, replayedBy) {
+    const job = await IngestJob.findById(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (job.status !== 'dead') {
+      throw new Error(`Only dead-lettered jobs can be replayed (status: ${job.status})`);
+    }
+
+    await job.requeue(replayedBy);
+    console.log(`🔁 Ingest job ${job._id} replayed by ${replayedBy}`);
+    return job;
+  }
+
+  async replayJobs(filter, replayedBy) {
+    const query = { status: 'dead' };
+    if (filter.jobIds?.length) query._id = { $in: filter.jobIds };
+    if (filter.storeId) query.storeId = filter.storeId;
+    if (filter.jobType) query.jobType = filter.jobType;
+
+    const result = await IngestJob.updateMany(query, {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        runAt: new Date(),
+        deadLetteredAt: null,
+        lastReplayedAt: new Date(),
+        lastReplayedBy: replayedBy || null
+      },
+      $inc: { replayCount: 1 }
+    });
+
+    console.log(`🔁 ${result.modifiedCount} ingest jobs replayed by ${replayedBy}`);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new IngestQueueService();
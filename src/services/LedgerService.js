@@ -0,0 +1,489 @@
+// src/services/LedgerService.js
+// Internal double-entry ledger for every GG, play-credit and store-wallet balance.
+// All balance changes are posted here as balanced journal entries; the balance
+// fields on User, EscrowBalance and StoreWallet are caches kept in step with each
+// posting, inside the same transaction.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+
+const EPSILON = 1e-9;
+
+// Per-type account rules. `mirror` names the pre-ledger field that caches the balance.
+const ACCOUNT_RULES = {
+  user:           { asset: 'GG',     allowNegative: false, mirror: 'gambinoBalance' },
+  locked:         { asset: 'GG',     allowNegative: false, mirror: 'lockedBalance' },
+  escrow:         { asset: 'GG',     allowNegative: false, mirror: 'escrowGG' },
+  escrow_pending: { asset: 'GG',     allowNegative: false, mirror: 'pendingGG' },
+  credits:        { asset: 'CREDIT', allowNegative: false, mirror: 'playableCredits' },
+  store_wallet:   { asset: 'USD',    allowNegative: false, mirror: 'balance' },
+  venue:          { asset: 'GG',     allowNegative: true },
+  treasury:       { asset: 'GG',     allowNegative: true },
+  external:       { allowNegative: true }
+};
+
+// GG has at most 9 decimals; keep float noise out of postings
+function roundAmount(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+class LedgerService {
+  constructor() {
+    // Account id builders, so callers never format ids by hand
+    this.accounts = {
+      user: userId => `user:${userId}`,
+      locked: userId => `locked:${userId}`,
+      escrow: userId => `escrow:${userId}`,
+      escrowPending: userId => `escrow_pending:${userId}`,
+      credits: userId => `credits:${userId}`,
+      storeWallet: (storeId, userId) => `store_wallet:${storeId}:${userId}`,
+      venue: storeId => `venue:${storeId}`,
+      treasury: pool => `treasury:${pool}`,
+      external: (name, asset) => `external:${name}:${asset}`
+    };
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/User');
+  }
+
+  // Parse an account id into the fields stored on LedgerAccount
+  describeAccount(accountId) {
+    const [type, ...parts] = String(accountId || '').split(':');
+    const rules = ACCOUNT_RULES[type];
+    if (!rules || parts.some(part => !part)) {
+      throw this.fail(`Unknown ledger account: ${accountId}`);
+    }
+
+    const account = { accountId, type, asset: rules.asset, allowNegative: rules.allowNegative };
+
+    switch (type) {
+      case 'user':
+      case 'locked':
+      case 'escrow':
+      case 'escrow_pending':
+      case 'credits':
+        if (parts.length !== 1 || !mongoose.Types.ObjectId.isValid(parts[0])) break;
+        return { ...account, userId: parts[0] };
+      case 'store_wallet':
+        if (parts.length !== 2 || !mongoose.Types.ObjectId.isValid(parts[1])) break;
+        return { ...account, storeId: parts[0], userId: parts[1] };
+      case 'venue':
+        if (parts.length !== 1) break;
+        return { ...account, storeId: parts[0] };
+      case 'treasury':
+        if (parts.length !== 1) break;
+        return { ...account, name: parts[0] };
+      case 'external':
+        if (parts.length !== 2 || !LedgerAccount.ASSETS.includes(parts[1])) break;
+        return { ...account, name: parts[0], asset: parts[1] };
+    }
+    throw this.fail(`Unknown ledger account: ${accountId}`);
+  }
+
+  // The cached balance field outside the ledger, if the account type has one
+  mirrorFor(account) {
+    const field = ACCOUNT_RULES[account.type]?.mirror;
+    switch (account.type) {
+      case 'user':
+      case 'locked':
+        return { Model: this.getUserModel(), filter: { _id: account.userId }, field };
+      case 'escrow':
+      case 'escrow_pending':
+      case 'credits':
+        return { Model: require('../models/EscrowBalance'), filter: { userId: account.userId }, field };
+      case 'store_wallet':
+        return { Model: require('../models/Wallet').StoreWallet, filter: { userId: account.userId, storeId: account.storeId }, field };
+      default:
+        return null;
+    }
+  }
+
+  // Validate lines and check that debits equal credits within a single asset
+  normalizeLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw this.fail('A journal entry needs at least two lines');
+    }
+
+    let asset = null;
+    let debits = 0;
+    let credits = 0;
+
+    const normalized = lines.map(line => {
+      const { asset: lineAsset } = this.describeAccount(line.accountId);
+      const debit = roundAmount(Number(line.debit) || 0);
+      const credit = roundAmount(Number(line.credit) || 0);
+
+      if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+        throw this.fail(`Line for ${line.accountId} needs exactly one positive debit or credit`);
+      }
+      if (asset && lineAsset !== asset) {
+        throw this.fail(`Journal entry mixes ${asset} and ${lineAsset}`);
+      }
+      asset = lineAsset;
+      debits += debit;
+      credits += credit;
+      return { accountId: line.accountId, debit, credit };
+    });
+
+    if (Math.abs(debits - credits) > EPSILON) {
+      throw this.fail(`Journal entry does not balance: debits ${roundAmount(debits)} vs credits ${roundAmount(credits)}`);
+    }
+    return { asset, amount: roundAmount(debits), lines: normalized };
+  }
+
+  // ============================================================================
+  // TRANSACTIONS
+  // ============================================================================
+
+  // Run fn(session) in a transaction; retried when two postings open the same account at once
+  async transaction(fn) {
+    for (let attempt = 0; ; attempt++) {
+      const session = await mongoose.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await fn(session);
+        });
+        return result;
+      } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.accountId && attempt < 2) continue;
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  // Load an account, opening it on first use. A new account whose type has a
+  // cached field starts at that field's value, carried in by an opening entry.
+  async ensureAccount(accountId, session) {
+    const existing = await LedgerAccount.findOne({ accountId }).session(session);
+    if (existing) return existing;
+
+    const info = this.describeAccount(accountId);
+    const mirror = this.mirrorFor(info);
+    let opening = 0;
+
+    if (mirror) {
+      const doc = await mirror.Model.findOne(mirror.filter).select(mirror.field).session(session).lean();
+      if (!doc) throw this.fail(`No ${mirror.Model.modelName} found for ledger account ${accountId}`, 404);
+      opening = roundAmount(doc[mirror.field] || 0);
+    }
+
+    const now = new Date();
+    const [account] = await LedgerAccount.create([{
+      ...info,
+      balance: opening,
+      openingBalance: opening,
+      lastEntryAt: opening ? now : undefined
+    }], { session });
+
+    if (opening) {
+      const counterId = this.accounts.external('opening', info.asset);
+      await this.ensureAccount(counterId, session);
+      await LedgerAccount.updateOne(
+        { accountId: counterId },
+        { $inc: { balance: -opening }, $set: { lastEntryAt: now } },
+        { session }
+      );
+
+      const amount = Math.abs(opening);
+      await JournalEntry.create([{
+        entryId: crypto.randomUUID(),
+        idempotencyKey: `opening:${accountId}`,
+        kind: 'opening_balance',
+        asset: info.asset,
+        amount,
+        lines: opening > 0
+          ? [{ accountId: counterId, debit: amount }, { accountId, credit: amount, balanceAfter: opening }]
+          : [{ accountId, debit: amount, balanceAfter: opening }, { accountId: counterId, credit: amount }],
+        memo: `Opening balance from ${mirror.Model.modelName}.${mirror.field}`,
+        postedBy: { source: 'ledger' },
+        postedAt: now
+      }], { session });
+    }
+
+    return account;
+  }
+
+  async openAccount(accountId) {
+    return this.transaction(session => this.ensureAccount(accountId, session));
+  }
+
+  /**
+   * Post a balanced journal entry and move the cached balances with it.
+   * Pass `session` to post inside a caller's transaction. With an idempotencyKey
+   * a repeated post returns the original entry instead of posting twice.
+   * Returns { entry, duplicate, balances: { [accountId]: { before, after } } }.
+   */
+  async post({ kind, lines, memo, reference, idempotencyKey, postedBy, session }) {
+    if (!JournalEntry.ENTRY_KINDS.includes(kind)) {
+      throw this.fail(`Unknown journal entry kind: ${kind}`);
+    }
+    const normalized = this.normalizeLines(lines);
+
+    const run = async (session) => {
+      if (idempotencyKey) {
+        const existing = await JournalEntry.findOne({ idempotencyKey }).session(session);
+        if (existing) {
+          const balances = {};
+          for (const line of existing.lines) {
+            balances[line.accountId] = { before: roundAmount(line.balanceAfter - line.credit + line.debit), after: line.balanceAfter };
+          }
+          return { entry: existing, duplicate: true, balances };
+        }
+      }
+
+      const nets = new Map();
+      for (const line of normalized.lines) {
+        nets.set(line.accountId, roundAmount((nets.get(line.accountId) || 0) + line.credit - line.debit));
+      }
+
+      const now = new Date();
+      const balances = {};
+
+      // One operation at a time: a session cannot run operations in parallel
+      for (const [accountId, net] of nets) {
+        const account = await this.ensureAccount(accountId, session);
+
+        const filter = { accountId };
+        if (net < 0 && !account.allowNegative) {
+          filter.balance = { $gte: -net - EPSILON };
+        }
+        const updated = await LedgerAccount.findOneAndUpdate(
+          filter,
+          { $inc: { balance: net }, $set: { lastEntryAt: now } },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw this.fail(`Insufficient ${normalized.asset} balance in ${accountId}`, 409);
+        }
+        balances[accountId] = { before: roundAmount(updated.balance - net), after: roundAmount(updated.balance) };
+
+        const mirror = net !== 0 && this.mirrorFor(account);
+        if (mirror) {
+          const result = await mirror.Model.updateOne(mirror.filter, { $inc: { [mirror.field]: net } }, { session });
+          if (!result.matchedCount) {
+            throw this.fail(`No ${mirror.Model.modelName} found for ledger account ${accountId}`, 404);
+          }
+        }
+      }
+
+      const [entry] = await JournalEntry.create([{
+        entryId: crypto.randomUUID(),
+        idempotencyKey,
+        kind,
+        asset: normalized.asset,
+        amount: normalized.amount,
+        lines: normalized.lines.map(line => ({ ...line, balanceAfter: balances[line.accountId].after })),
+        memo,
+        reference,
+        postedBy,
+        postedAt: now
+      }], { session });
+
+      return { entry, duplicate: false, balances };
+    };
+
+    return session ? run(session) : this.transaction(run);
+  }
+
+  // Two-line posting: debit `from`, credit `to`
+  async transfer({ from, to, amount, ...options }) {
+    if (!(Number(amount) > 0)) {
+      throw this.fail('Transfer amount must be positive');
+    }
+    return this.post({
+      ...options,
+      lines: [
+        { accountId: from, debit: amount },
+        { accountId: to, credit: amount }
+      ]
+    });
+  }
+
+  // ============================================================================
+  // BALANCES
+  // ============================================================================
+
+  // Cached balance; an account not opened yet reports its pre-ledger field
+  async balanceOf(accountId, { session } = {}) {
+    const account = await LedgerAccount.findOne({ accountId }).session(session || null).lean();
+    if (account) return account.balance;
+
+    const mirror = this.mirrorFor(this.describeAccount(accountId));
+    if (!mirror) return 0;
+    const doc = await mirror.Model.findOne(mirror.filter).select(mirror.field).session(session || null).lean();
+    return doc?.[mirror.field] || 0;
+  }
+
+  // Sum of the account's journal lines, optionally only those posted before a date
+  async derivedBalance(accountId, { before } = {}) {
+    const match = { 'lines.accountId': accountId };
+    if (before) match.postedAt = { $lt: before };
+
+    const [row] = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.accountId': accountId } },
+      { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } }
+    ]);
+    return row ? roundAmount(row.credits - row.debits) : 0;
+  }
+
+  // Compare the cache and the pre-ledger field with the journal
+  async verify(accountId) {
+    const account = await LedgerAccount.findOne({ accountId }).lean();
+    if (!account) throw this.fail('Ledger account not found', 404);
+
+    const derived = await this.derivedBalance(accountId);
+    const mirror = this.mirrorFor(account);
+    let mirrored = null;
+    if (mirror) {
+      const doc = await mirror.Model.findOne(mirror.filter).select(mirror.field).lean();
+      mirrored = doc ? roundAmount(doc[mirror.field] || 0) : null;
+    }
+
+    const cached = roundAmount(account.balance);
+    return {
+      accountId,
+      derived,
+      cached,
+      mirrored,
+      consistent: Math.abs(cached - derived) <= EPSILON && (mirrored === null || Math.abs(mirrored - derived) <= EPSILON)
+    };
+  }
+
+  // Reset the cache and the pre-ledger field to the journal's balance
+  async rebuild(accountId, user) {
+    const before = await this.verify(accountId);
+    if (before.consistent) return before;
+
+    await this.transaction(async (session) => {
+      const derived = await this.derivedBalance(accountId);
+      const account = await LedgerAccount.findOneAndUpdate({ accountId }, { $set: { balance: derived } }, { new: true, session });
+      const mirror = this.mirrorFor(account);
+      if (mirror) {
+        await mirror.Model.updateOne(mirror.filter, { $set: { [mirror.field]: derived } }, { session });
+      }
+    });
+
+    console.log(`📒 Ledger account ${accountId} rebuilt by ${user?.email || 'system'}: cached ${before.cached}, field ${before.mirrored} -> ${before.derived}`);
+    return this.verify(accountId);
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  // Account activity for [from, to): opening and closing balance, totals and a page of lines
+  async statement(accountId, { from, to, limit = 100, skip = 0 } = {}) {
+    const account = await LedgerAccount.findOne({ accountId }).lean();
+    if (!account) throw this.fail('Ledger account not found', 404);
+
+    const match = { 'lines.accountId': accountId };
+    if (from || to) {
+      match.postedAt = {};
+      if (from) match.postedAt.$gte = from;
+      if (to) match.postedAt.$lt = to;
+    }
+    const sort = { postedAt: 1, _id: 1 };
+
+    const sumLines = async (pipeline) => {
+      const [row] = await JournalEntry.aggregate([
+        ...pipeline,
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountId': accountId } },
+        { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } }
+      ]);
+      return { debits: roundAmount(row?.debits || 0), credits: roundAmount(row?.credits || 0) };
+    };
+
+    const openingBalance = from ? await this.derivedBalance(accountId, { before: from }) : 0;
+    const totals = await sumLines([{ $match: match }]);
+    const total = await JournalEntry.countDocuments(match);
+    const skipped = skip > 0
+      ? await sumLines([{ $match: match }, { $sort: sort }, { $limit: skip }])
+      : { debits: 0, credits: 0 };
+
+    const entries = await JournalEntry.find(match).sort(sort).skip(skip).limit(limit).lean();
+
+    let running = roundAmount(openingBalance + skipped.credits - skipped.debits);
+    const lines = entries.map(entry => {
+      const own = entry.lines.filter(line => line.accountId === accountId);
+      const debit = roundAmount(own.reduce((sum, line) => sum + line.debit, 0));
+      const credit = roundAmount(own.reduce((sum, line) => sum + line.credit, 0));
+      running = roundAmount(running + credit - debit);
+
+      return {
+        entryId: entry.entryId,
+        postedAt: entry.postedAt,
+        kind: entry.kind,
+        memo: entry.memo,
+        reference: entry.reference,
+        counterparties: entry.lines.filter(line => line.accountId !== accountId).map(line => line.accountId),
+        debit,
+        credit,
+        balance: running
+      };
+    });
+
+    return {
+      account,
+      from: from || null,
+      to: to || null,
+      openingBalance,
+      closingBalance: roundAmount(openingBalance + totals.credits - totals.debits),
+      totals: { ...totals, entries: total },
+      lines
+    };
+  }
+
+  async getEntry(entryId) {
+    const entry = await JournalEntry.findOne({ entryId }).lean();
+    if (!entry) throw this.fail('Journal entry not found', 404);
+    return entry;
+  }
+
+  async listAccounts({ type, asset, userId, storeId, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (type) query.type = type;
+    if (asset) query.asset = asset;
+    if (userId) query.userId = userId;
+    if (storeId) query.storeId = storeId;
+
+    const [accounts, total] = await Promise.all([
+      LedgerAccount.find(query).sort({ lastEntryAt: -1 }).skip(skip).limit(limit).lean(),
+      LedgerAccount.countDocuments(query)
+    ]);
+    return { accounts, total };
+  }
+
+  async listEntries({ accountId, kind, from, to, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (accountId) query['lines.accountId'] = accountId;
+    if (kind) query.kind = kind;
+    if (from || to) {
+      query.postedAt = {};
+      if (from) query.postedAt.$gte = from;
+      if (to) query.postedAt.$lt = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query).sort({ postedAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      JournalEntry.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.roundAmount = roundAmount;
@@ -0,0 +1,440 @@
+// src/services/LockService.js
+// Token locks and vesting grants, held in each user's locked ledger account
+// (cached on User.lockedBalance). Opening a position moves GG into
+// locked:<userId> - from the user's own balance for a lock, from a treasury pool
+// for a grant. Claims move what has vested back to user:<userId>; an early
+// unlock takes the rest at once, less its penalty.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LockPosition = require('../models/LockPosition');
+const ledger = require('./LedgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const MIN_LOCK_DAYS = 7;
+const MAX_LOCK_YEARS = 10;
+
+// Governance: a position weighs its unreleased GG, boosted up to 2x for
+// MAX_BOOST_YEARS or more still to run; the leaderboard converts weight to points
+const MAX_BOOST_YEARS = 4;
+const GOVERNANCE_POINTS_PER_GG = parseFloat(process.env.GOVERNANCE_POINTS_PER_LOCKED_GG) || 0.001;
+
+// Penalties a user can pick for their own lock; grants set theirs explicitly
+const LOCK_PENALTY_PRESETS = {
+  forbidden: 0,
+  flat: parseFloat(process.env.LOCK_FLAT_PENALTY_PERCENT) || 25,
+  declining: parseFloat(process.env.LOCK_DECLINING_PENALTY_PERCENT) || 50
+};
+const PENALTY_POOL = process.env.LOCK_PENALTY_POOL || 'communityRewards';
+const GRANT_FUNDING_POOLS = { team_grant: 'teamReserve', venue_grant: 'operationsReserve' };
+
+// GG has at most 9 decimals; vested amounts round down so a claim never runs ahead
+function roundAmount(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+function floorAmount(value) {
+  return Math.floor(value * 1e9 + 1e-6) / 1e9;
+}
+
+class LockService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/User');
+  }
+
+  // ============================================================================
+  // VESTING MATH
+  // ============================================================================
+
+  vestedAt(position, now = new Date()) {
+    if (now < position.cliffAt) return 0;
+    if (now >= position.endAt) return position.amount;
+    const elapsed = (now - position.startAt) / (position.endAt - position.startAt);
+    return floorAmount(position.amount * elapsed);
+  }
+
+  claimableAt(position, now = new Date()) {
+    if (position.status !== 'active') return 0;
+    return Math.max(0, roundAmount(this.vestedAt(position, now) - position.released));
+  }
+
+  // Percent of the unvested amount kept on an early unlock, or null when not allowed
+  penaltyPercentAt(position, now = new Date()) {
+    const { mode, penaltyPercent = 0 } = position.earlyUnlock || {};
+    if (mode === 'flat') return penaltyPercent;
+    if (mode === 'declining') {
+      const left = Math.max(0, position.endAt - now) / (position.endAt - position.startAt);
+      return roundAmount(penaltyPercent * Math.min(1, left));
+    }
+    return null;
+  }
+
+  earlyUnlockQuote(position, now = new Date()) {
+    const claimable = this.claimableAt(position, now);
+    const unvested = position.status === 'active'
+      ? Math.max(0, roundAmount(position.amount - position.released - claimable))
+      : 0;
+    const penaltyPercent = this.penaltyPercentAt(position, now);
+
+    if (penaltyPercent === null || unvested === 0) {
+      return { allowed: penaltyPercent !== null && claimable + unvested > 0, claimable, unvested, penaltyPercent, penalty: 0, receive: claimable };
+    }
+    const penalty = roundAmount(unvested * penaltyPercent / 100);
+    return { allowed: true, claimable, unvested, penaltyPercent, penalty, receive: roundAmount(claimable + unvested - penalty) };
+  }
+
+  governanceWeight(position, now = new Date()) {
+    if (position.status !== 'active') return 0;
+    const unreleased = Math.max(0, position.amount - position.released);
+    const boost = Math.min(Math.max(0, position.endAt - now) / YEAR_MS, MAX_BOOST_YEARS) / MAX_BOOST_YEARS;
+    return roundAmount(unreleased * (1 + boost));
+  }
+
+  describe(position, now = new Date()) {
+    const doc = typeof position.toObject === 'function' ? position.toObject() : position;
+    return {
+      ...doc,
+      vested: this.vestedAt(doc, now),
+      claimable: this.claimableAt(doc, now),
+      locked: Math.max(0, roundAmount(doc.amount - doc.released)),
+      governanceWeight: this.governanceWeight(doc, now),
+      earlyUnlockQuote: this.earlyUnlockQuote(doc, now)
+    };
+  }
+
+  // Aggregation stages adding governanceWeight to LockPosition documents;
+  // mirrors governanceWeight() for use in $lookup pipelines
+  governanceWeightStages(now = new Date()) {
+    const remaining = { $max: [0, { $subtract: ['$endAt', now] }] };
+    return [
+      { $match: { status: 'active' } },
+      {
+        $addFields: {
+          governanceWeight: {
+            $multiply: [
+              { $max: [0, { $subtract: ['$amount', '$released'] }] },
+              { $add: [1, { $divide: [{ $min: [{ $divide: [remaining, YEAR_MS] }, MAX_BOOST_YEARS] }, MAX_BOOST_YEARS] }] }
+            ]
+          }
+        }
+      }
+    ];
+  }
+
+  get governancePointsPerGG() {
+    return GOVERNANCE_POINTS_PER_GG;
+  }
+
+  // ============================================================================
+  // DEFINITIONS
+  // ============================================================================
+
+  parseTimeline({ startAt, cliffAt, endAt }, now = new Date()) {
+    const dates = {};
+    for (const [field, value, fallback] of [['startAt', startAt, now], ['endAt', endAt], ['cliffAt', cliffAt]]) {
+      const date = value != null ? new Date(value) : fallback;
+      if (value != null && isNaN(date)) {
+        throw this.fail(`${field} must be a date`);
+      }
+      dates[field] = date;
+    }
+    if (!dates.endAt) {
+      throw this.fail('endAt is required');
+    }
+    dates.cliffAt = dates.cliffAt || dates.startAt;
+
+    if (!(dates.startAt < dates.endAt)) {
+      throw this.fail('endAt must be after startAt');
+    }
+    if (dates.cliffAt < dates.startAt || dates.cliffAt > dates.endAt) {
+      throw this.fail('cliffAt must fall between startAt and endAt');
+    }
+    if (dates.endAt - now < MIN_LOCK_DAYS * DAY_MS) {
+      throw this.fail(`Positions must run at least ${MIN_LOCK_DAYS} days`);
+    }
+    if (dates.endAt - dates.startAt > MAX_LOCK_YEARS * YEAR_MS) {
+      throw this.fail(`Positions can run at most ${MAX_LOCK_YEARS} years`);
+    }
+    return dates;
+  }
+
+  parseAmount(amount) {
+    const value = roundAmount(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw this.fail('amount must be a positive number');
+    }
+    return value;
+  }
+
+  async open({ userId, kind, amount, timeline, earlyUnlock, fundingAccount, storeId, note }, actor) {
+    const positionId = crypto.randomUUID();
+    const lockedAccount = ledger.accounts.locked(userId);
+
+    const position = await ledger.transaction(async (session) => {
+      const [created] = await LockPosition.create([{
+        positionId,
+        userId,
+        kind,
+        storeId,
+        amount,
+        ...timeline,
+        earlyUnlock,
+        fundingAccount,
+        penaltyAccount: kind === 'lock' ? ledger.accounts.treasury(PENALTY_POOL) : fundingAccount,
+        note,
+        createdBy: { userId: actor.userId, email: actor.email, role: actor.role }
+      }], { session });
+
+      const { entry } = await ledger.transfer({
+        from: fundingAccount,
+        to: lockedAccount,
+        amount,
+        kind: kind === 'lock' ? 'lock_create' : 'vesting_grant',
+        memo: note || `${kind} until ${timeline.endAt.toISOString().slice(0, 10)}`,
+        reference: { type: 'lock_position', id: positionId },
+        idempotencyKey: `lock_position:${positionId}:create`,
+        postedBy: { userId: actor.userId, email: actor.email, source: 'locks' },
+        session
+      });
+
+      created.events.push({ action: 'create', amount, entryId: entry.entryId, userId: String(actor.userId), email: actor.email });
+      await created.save({ session });
+      return created;
+    });
+
+    console.log(`🔒 ${kind} ${positionId}: ${amount} GG for user ${userId} until ${timeline.endAt.toISOString()}`);
+    return this.describe(position);
+  }
+
+  // A user locks part of their own balance, picking one of the penalty presets
+  async createLock(user, { amount, unlockAt, startAt, cliffAt, endAt, earlyUnlock = 'forbidden' }) {
+    const mode = typeof earlyUnlock === 'string' ? earlyUnlock : earlyUnlock?.mode;
+    if (!(mode in LOCK_PENALTY_PRESETS)) {
+      throw this.fail(`earlyUnlock must be one of: ${Object.keys(LOCK_PENALTY_PRESETS).join(', ')}`);
+    }
+
+    // unlockAt: everything releases at once
+    const timeline = unlockAt != null
+      ? this.parseTimeline({ endAt: unlockAt, cliffAt: unlockAt })
+      : this.parseTimeline({ startAt, cliffAt, endAt });
+    if (timeline.startAt < Date.now() - 60 * 1000) {
+      throw this.fail('A lock cannot start in the past');
+    }
+
+    return this.open({
+      userId: user.userId,
+      kind: 'lock',
+      amount: this.parseAmount(amount),
+      timeline,
+      earlyUnlock: { mode, penaltyPercent: LOCK_PENALTY_PRESETS[mode] },
+      fundingAccount: ledger.accounts.user(user.userId)
+    }, user);
+  }
+
+  // Admin: a vesting grant for a team member or venue partner, funded from a treasury pool
+  async createGrant(admin, { userId, email, kind, storeId, amount, startAt, cliffAt, endAt, earlyUnlock, fundingPool, note }) {
+    if (!GRANT_FUNDING_POOLS[kind]) {
+      throw this.fail(`kind must be one of: ${Object.keys(GRANT_FUNDING_POOLS).join(', ')}`);
+    }
+    if (kind === 'venue_grant' && !storeId) {
+      throw this.fail('storeId is required for a venue partner grant');
+    }
+    if (!note) {
+      throw this.fail('note is required for a grant');
+    }
+    // Grants are only ever funded from one of the grant pools
+    const fundingPools = [...new Set(Object.values(GRANT_FUNDING_POOLS))];
+    if (fundingPool && !fundingPools.includes(fundingPool)) {
+      throw this.fail(`fundingPool must be one of: ${fundingPools.join(', ')}`);
+    }
+
+    const User = this.getUserModel();
+    const query = userId
+      ? (mongoose.Types.ObjectId.isValid(userId) ? { _id: userId } : null)
+      : (email ? { email: String(email).toLowerCase() } : null);
+    const recipient = query && await User.findOne(query).select('_id email').lean();
+    if (!recipient) {
+      throw this.fail('Grant recipient not found', 404);
+    }
+
+    const mode = earlyUnlock?.mode || 'forbidden';
+    if (!LockPosition.PENALTY_MODES.includes(mode)) {
+      throw this.fail(`earlyUnlock.mode must be one of: ${LockPosition.PENALTY_MODES.join(', ')}`);
+    }
+    const penaltyPercent = mode === 'forbidden' ? 0 : Number(earlyUnlock.penaltyPercent);
+    if (mode !== 'forbidden' && !(penaltyPercent >= 0 && penaltyPercent <= 100)) {
+      throw this.fail('earlyUnlock.penaltyPercent must be between 0 and 100');
+    }
+
+    // Grants may be backdated to an agreed vesting start
+    const timeline = this.parseTimeline({ startAt, cliffAt, endAt });
+
+    return this.open({
+      userId: recipient._id,
+      kind,
+      storeId,
+      amount: this.parseAmount(amount),
+      timeline,
+      earlyUnlock: { mode, penaltyPercent },
+      fundingAccount: ledger.accounts.treasury(fundingPool || GRANT_FUNDING_POOLS[kind]),
+      note
+    }, admin);
+  }
+
+  // ============================================================================
+  // RELEASES
+  // ============================================================================
+
+  async load(positionId, userId) {
+    const position = await LockPosition.findOne({ positionId });
+    if (!position || (userId && String(position.userId) !== String(userId))) {
+      throw this.fail('Lock position not found', 404);
+    }
+    return position;
+  }
+
+  // Move vested GG from locked to available. The position update is guarded on the
+  // released amount read here, so two claims at once cannot both pay.
+  async claim(positionId, user) {
+    const position = await this.load(positionId, user.userId);
+    const now = new Date();
+    const amount = this.claimableAt(position, now);
+    if (amount <= 0) {
+      throw this.fail(position.status === 'active' ? 'Nothing has vested to claim yet' : `Position is ${position.status}`, 409);
+    }
+
+    const released = roundAmount(position.released + amount);
+    const fullyReleased = released >= position.amount - 1e-9;
+
+    const updated = await ledger.transaction(async (session) => {
+      const { entry } = await ledger.transfer({
+        from: ledger.accounts.locked(position.userId),
+        to: ledger.accounts.user(position.userId),
+        amount,
+        kind: 'lock_release',
+        memo: `Vested release from ${position.kind} ${positionId}`,
+        reference: { type: 'lock_position', id: positionId },
+        idempotencyKey: `lock_position:${positionId}:release:${released}`,
+        postedBy: { userId: user.userId, email: user.email, source: 'locks' },
+        session
+      });
+
+      const result = await LockPosition.findOneAndUpdate(
+        { positionId, status: 'active', released: position.released },
+        {
+          $set: { released, ...(fullyReleased && { status: 'released', closedAt: now }) },
+          $push: { events: { action: 'claim', amount, entryId: entry.entryId, at: now, userId: String(user.userId), email: user.email } }
+        },
+        { new: true, session }
+      );
+      if (!result) {
+        throw this.fail('Position changed while claiming; try again', 409);
+      }
+      return result;
+    });
+
+    console.log(`🔓 Claimed ${amount} GG from ${position.kind} ${positionId}`);
+    return { claimed: amount, position: this.describe(updated, now) };
+  }
+
+  // Take everything still locked now: the vested part in full, the unvested part
+  // less the penalty, which goes to the position's penalty account
+  async unlockEarly(positionId, user) {
+    const position = await this.load(positionId, user.userId);
+    if (position.status !== 'active') {
+      throw this.fail(`Position is ${position.status}`, 409);
+    }
+
+    const now = new Date();
+    const quote = this.earlyUnlockQuote(position, now);
+    if (!quote.allowed) {
+      throw this.fail('This position cannot be unlocked early', 409);
+    }
+
+    const total = roundAmount(quote.claimable + quote.unvested);
+    const lines = [
+      { accountId: ledger.accounts.locked(position.userId), debit: total },
+      { accountId: ledger.accounts.user(position.userId), credit: quote.receive }
+    ];
+    if (quote.penalty > 0) {
+      lines.push({ accountId: position.penaltyAccount, credit: quote.penalty });
+    }
+
+    const updated = await ledger.transaction(async (session) => {
+      const { entry } = await ledger.post({
+        kind: 'lock_early_unlock',
+        lines,
+        memo: `Early unlock of ${position.kind} ${positionId} (${quote.penaltyPercent}% penalty on ${quote.unvested} GG)`,
+        reference: { type: 'lock_position', id: positionId },
+        idempotencyKey: `lock_position:${positionId}:unlock_early`,
+        postedBy: { userId: user.userId, email: user.email, source: 'locks' },
+        session
+      });
+
+      const result = await LockPosition.findOneAndUpdate(
+        { positionId, status: 'active', released: position.released },
+        {
+          $set: { released: position.amount, penaltyPaid: quote.penalty, status: 'unlocked_early', closedAt: now },
+          $push: { events: { action: 'unlock_early', amount: quote.receive, penalty: quote.penalty, entryId: entry.entryId, at: now, userId: String(user.userId), email: user.email } }
+        },
+        { new: true, session }
+      );
+      if (!result) {
+        throw this.fail('Position changed while unlocking; try again', 409);
+      }
+      return result;
+    });
+
+    console.log(`🔓 Early unlock of ${position.kind} ${positionId}: ${quote.receive} GG released, ${quote.penalty} GG penalty`);
+    return { released: quote.receive, penalty: quote.penalty, position: this.describe(updated, now) };
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  async get(positionId, userId) {
+    return this.describe(await this.load(positionId, userId));
+  }
+
+  async list({ userId, kind, status, storeId, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (userId) query.userId = userId;
+    if (kind) query.kind = kind;
+    if (status && status !== 'all') query.status = status;
+    if (storeId) query.storeId = storeId;
+
+    const [positions, total] = await Promise.all([
+      LockPosition.find(query).select('-events').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      LockPosition.countDocuments(query)
+    ]);
+    const now = new Date();
+    return { positions: positions.map(position => this.describe(position, now)), total };
+  }
+
+  // One user's totals across their active positions
+  async summary(userId) {
+    const positions = await LockPosition.find({ userId, status: 'active' }).select('-events').lean();
+    const now = new Date();
+
+    return positions.reduce((totals, position) => ({
+      positions: totals.positions + 1,
+      locked: roundAmount(totals.locked + position.amount - position.released),
+      claimable: roundAmount(totals.claimable + this.claimableAt(position, now)),
+      governanceWeight: roundAmount(totals.governanceWeight + this.governanceWeight(position, now))
+    }), { positions: 0, locked: 0, claimable: 0, governanceWeight: 0 });
+  }
+
+  penaltyPresets() {
+    return { ...LOCK_PENALTY_PRESETS };
+  }
+}
+
+module.exports = new LockService();
+module.exports.LockService = LockService;
@@ -43,6 +43,10 @@ const RARITY_CONFIG = {
   }
 };
 
+// Shipped values; approved governance proposals override odds, threshold,
+// governancePoints and ggEmission at runtime (see setRarityConfig)
+const DEFAULT_RARITY_CONFIG = JSON.parse(JSON.stringify(RARITY_CONFIG));
+
 // Cooldown after hitting (bits required before next check)
 const COOLDOWN_BITS = {
   RARE: 100,
@@ -365,17 +369,79 @@ class LuckService {
     };
   }
 
+  /**
+   * Rarity tiers as currently in force (copy)
+   */
+  getRarityConfig() {
+    return JSON.parse(JSON.stringify(RARITY_CONFIG));
+  }
+
+  getDefaultRarityConfig() {
+    return JSON.parse(JSON.stringify(DEFAULT_RARITY_CONFIG));
+  }
+
+  /**
+   * Replace the tunable rarity values in place, so every caller of
+   * RARITY_CONFIG sees them. Called by GovernanceService when a parameter
+   * change is executed or replayed at startup; tier names never change.
+   */
+  setRarityConfig(config) {
+    for (const tier of Object.keys(RARITY_CONFIG)) {
+      const { odds, threshold, governancePoints, ggEmission } = config[tier] || DEFAULT_RARITY_CONFIG[tier];
+      Object.assign(RARITY_CONFIG[tier], { odds, threshold, governancePoints, ggEmission });
+    }
+  }
+
+  /**
+   * Aggregation stages over User adding lockWeight and governancePower:
+   * gluckScore plus the weight of the user's active lock positions
+   * (LockService.governanceWeight) converted to points. Shared by the
+   * leaderboard and governance proposal snapshots.
+   */
+  governancePowerStages(now = new Date()) {
+    const lockService = require('./LockService');
+    const LockPosition = require('../models/LockPosition');
+
+    return [
+      { $match: { $or: [{ totalLuckHits: { $gt: 0 } }, { lockedBalance: { $gt: 0 } }] } },
+      {
+        $lookup: {
+          from: LockPosition.collection.name,
+          let: { userId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$userId', '$$userId'] } } },
+            ...lockService.governanceWeightStages(now),
+            { $group: { _id: null, weight: { $sum: '$governanceWeight' } } }
+          ],
+          as: 'locks'
+        }
+      },
+      { $addFields: { lockWeight: { $ifNull: [{ $arrayElemAt: ['$locks.weight', 0] }, 0] } } },
+      {
+        $addFields: {
+          governancePower: {
+            $add: [{ $ifNull: ['$gluckScore', 0] }, { $multiply: ['$lockWeight', lockService.governancePointsPerGG] }]
+          }
+        }
+      }
+    ];
+  }
+
   /**
    * Get governance leaderboard
+   * Ranked by governancePower (see governancePowerStages)
    */
   async getGovernanceLeaderboard(limit = 20) {
     if (!this.User) {
       return [];
     }
-    return this.User.find({ totalLuckHits: { $gt: 0 } })
-      .sort({ gluckScore: -1 })
-      .limit(limit)
-      .select('firstName lastName email gluckScore totalLuckHits luckHits');
+
+    return this.User.aggregate([
+      ...this.governancePowerStages(),
+      { $sort: { governancePower: -1 } },
+      { $limit: limit },
+      { $project: { firstName: 1, lastName: 1, email: 1, gluckScore: 1, totalLuckHits: 1, luckHits: 1, lockWeight: 1, governancePower: 1 } }
+    ]);
   }
 
   /**
@@ -478,3 +544,4 @@ class LuckService {
 
 // Export singleton
 module.exports = new LuckService();
+module.exports.MAX_ROLL = MAX_ROLL;
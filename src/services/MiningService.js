@@ -57,10 +57,6 @@ class MiningService {
         throw new Error('Insufficient credits');
       }
       
-      // Deduct credits
-      await escrow.useCredits(this.REWARD_CONFIG.CREDIT_COST_PER_SESSION);
-      
-      // Record credit usage
       const session = new MiningSession({
         userId,
         deviceFingerprint: deviceData.fingerprint,
@@ -72,14 +68,15 @@ class MiningService {
         creditsUsed: this.REWARD_CONFIG.CREDIT_COST_PER_SESSION
       });
       
-      await session.save();
-      
+      // Deduct credits (one ledger posting, which also updates playableCredits)
       await MobileCredit.recordUsage(
         userId, 
         this.REWARD_CONFIG.CREDIT_COST_PER_SESSION, 
         session._id
       );
       
+      await session.save();
+      
       return {
         success: true,
         sessionId: session.sessionId,
@@ -184,7 +181,7 @@ class MiningService {
       
       // Add to escrow as pending
       const escrow = await EscrowBalance.getOrCreate(userId);
-      await escrow.addPendingReward(totalReward);
+      await escrow.addPendingReward(totalReward, { type: 'mining_session', id: session.sessionId });
       
       // Update user stats
       user.gluckScore = (user.gluckScore || 0) + Math.floor(session.entropyGenerated / 100);
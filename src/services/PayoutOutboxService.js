@@ -0,0 +1,463 @@
+// src/services/PayoutOutboxService.js
+// Single path for on-chain SPL token payouts. Each payout is written to the outbox
+// (Payout) under an idempotency key before it is signed; the signature of every
+// attempt is recorded before it is broadcast. A payout is only re-signed once the
+// previous attempt's blockhash has expired on the finalized chain without the
+// transaction appearing, so at most one attempt can ever land.
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const { Connection, PublicKey, Transaction, clusterApiUrl } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+  getMint
+} = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const Payout = require('../models/Payout');
+
+// Whole-token amount to base units without floating point drift
+function toRawAmount(amount, decimals) {
+  const [whole, fraction = ''] = Number(amount).toFixed(decimals).split('.');
+  return BigInt(whole + fraction);
+}
+
+// The RPC node simulated the transaction and refused to forward it
+function isPreflightRejection(error) {
+  const message = error?.message || '';
+  if (/already (been )?processed/i.test(message)) return false;
+  return /simulation failed|preflight/i.test(message);
+}
+
+class PayoutOutboxService extends EventEmitter {
+  // options.connection / options.resolveSigners let tests run against a mocked Connection
+  constructor(options = {}) {
+    super();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.connection = options.connection || null;
+    this.resolveSigners = options.resolveSigners || (signer => this.loadSigners(signer));
+    this.credentialManager = null;
+
+    this.isRunning = false;
+    this.isTicking = false;
+    this.pollTimer = null;
+    this.pollInterval = 3000;          // 3 seconds between polls
+    this.batchSize = 20;               // Payouts per poll
+    this.leaseMs = 60 * 1000;          // Reclaim payouts held by a dead worker
+    this.checkDelayMs = 2000;          // Between confirmation checks
+    this.errorBackoffMs = 15 * 1000;   // After an RPC or signer error
+    this.defaultWaitMs = 90 * 1000;    // How long pay() waits for confirmation
+  }
+
+  getConnection() {
+    if (!this.connection) {
+      this.connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'), 'confirmed');
+    }
+    return this.connection;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Signers are stored as references: vault account types or env var names.
+  // Resolves keypairs (env) or TreasurySignerService handles ({ publicKey, backend, sign }).
+  async loadSigners(signer) {
+    const actor = { source: 'payout_outbox' };
+    const load = async (name) => {
+      // Vault accounts sign through TreasurySignerService and never hand over their key
+      if (signer.kind !== 'env') {
+        return require('./TreasurySignerService').handle(name, 'PAYOUT', { actor });
+      }
+
+      if (!this.credentialManager) {
+        const CredentialManager = require('./credentialManager');
+        this.credentialManager = new CredentialManager();
+      }
+      const result = await this.credentialManager.getEnvKeypair(name, 'PAYOUT', actor);
+      if (!result.success) throw new Error(`Failed to access ${name}: ${result.error}`);
+      return result.keypair;
+    };
+
+    const owner = await load(signer.owner);
+    const payer = signer.payer && signer.payer !== signer.owner ? await load(signer.payer) : owner;
+    return { owner, payer };
+  }
+
+  // ============================================================================
+  // ENQUEUE
+  // ============================================================================
+
+  async enqueue({ idempotencyKey, source, mint, recipient, amount, decimals, signer, metadata = {} }) {
+    if (!idempotencyKey) {
+      throw this.fail('idempotencyKey is required');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw this.fail('amount must be a positive number');
+    }
+    for (const [field, value] of [['recipient', recipient], ['mint', mint]]) {
+      try {
+        new PublicKey(value);
+      } catch (error) {
+        throw this.fail(`Invalid ${field} address: ${value}`);
+      }
+    }
+
+    try {
+      return await Payout.create({
+        payoutId: crypto.randomUUID(),
+        idempotencyKey,
+        source,
+        mint: String(mint),
+        recipient: String(recipient),
+        amount,
+        decimals,
+        signer,
+        metadata
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await Payout.findOne({ idempotencyKey });
+    if (existing.recipient !== String(recipient) || existing.amount !== amount || existing.mint !== String(mint)) {
+      throw this.fail(`Idempotency key ${idempotencyKey} was already used for a different payout`, 409);
+    }
+    return existing.status === 'failed' ? this.rearm(existing.payoutId) : existing;
+  }
+
+  // A failed payout never landed, so it can be sent again under the same key
+  async rearm(payoutId) {
+    const payout = await Payout.findOneAndUpdate(
+      { payoutId, status: 'failed' },
+      {
+        $set: { status: 'intent', lastError: null, failedAt: null, rearmedAt: new Date(), nextCheckAt: new Date() },
+        $inc: { rearmCount: 1 }
+      },
+      { new: true }
+    );
+    if (payout) {
+      console.log(`🔁 Payout ${payoutId} re-armed (${payout.idempotencyKey})`);
+      return payout;
+    }
+    return Payout.findOne({ payoutId });
+  }
+
+  // Enqueue and drive the payout inline until it confirms, fails or waitMs runs out.
+  // Anything still open afterwards is finished by the worker.
+  async pay(intent, { waitMs = this.defaultWaitMs } = {}) {
+    const payout = await this.enqueue(intent);
+    return this.waitForSettlement(payout.payoutId, waitMs);
+  }
+
+  async waitForSettlement(payoutId, waitMs = this.defaultWaitMs) {
+    const deadline = Date.now() + waitMs;
+    let payout = await Payout.findOne({ payoutId });
+
+    while (payout && ['intent', 'submitted'].includes(payout.status) && Date.now() < deadline) {
+      const claimed = await this.claim(payoutId);
+      payout = claimed ? await this.process(claimed) : await Payout.findOne({ payoutId });
+
+      if (['intent', 'submitted'].includes(payout.status)) {
+        await new Promise(resolve => setTimeout(resolve, this.checkDelayMs));
+      }
+    }
+    return payout;
+  }
+
+  // Caller-facing summary of a payout
+  result(payout) {
+    return {
+      success: Payout.SETTLED_STATUSES.includes(payout.status),
+      pending: ['intent', 'submitted'].includes(payout.status),
+      payoutId: payout.payoutId,
+      status: payout.status,
+      signature: payout.signature || payout.currentAttempt?.signature,
+      error: payout.lastError
+    };
+  }
+
+  // ============================================================================
+  // STATE MACHINE
+  // ============================================================================
+
+  // One step: submit an intent, or check on a submitted/confirmed payout
+  async advance(payout) {
+    switch (payout.status) {
+      case 'intent':
+        return this.submit(payout);
+      case 'submitted':
+      case 'confirmed':
+        return this.checkConfirmation(payout);
+      default:
+        return payout;
+    }
+  }
+
+  async buildTransaction(payout, owner, payer) {
+    const mint = new PublicKey(payout.mint);
+    const recipient = new PublicKey(payout.recipient);
+    const sourceAccount = await getAssociatedTokenAddress(mint, owner.publicKey);
+    const destinationAccount = await getAssociatedTokenAddress(mint, recipient);
+
+    return new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, destinationAccount, recipient, mint),
+      createTransferInstruction(sourceAccount, destinationAccount, owner.publicKey, BigInt(payout.amountRaw))
+    );
+  }
+
+  // Sign a fresh transaction and record it before broadcasting
+  async submit(payout) {
+    const connection = this.getConnection();
+
+    // An attempt from before a re-arm or crash may have landed after all
+    if (payout.attempts.length && await this.observe(payout)) {
+      return payout;
+    }
+
+    const { owner, payer } = await this.resolveSigners(payout.signer);
+    const signers = payer.publicKey.equals(owner.publicKey) ? [owner] : [payer, owner];
+    if (signers.some(signer => signer.backend === 'offline')) {
+      this.markFailed(payout, 'Signer requires offline signing; send this through a treasury request instead');
+      await payout.save();
+      return payout;
+    }
+    if (payout.decimals == null) {
+      payout.decimals = (await getMint(connection, new PublicKey(payout.mint))).decimals;
+    }
+    if (!payout.amountRaw) {
+      payout.amountRaw = toRawAmount(payout.amount, payout.decimals).toString();
+    }
+
+    const transaction = await this.buildTransaction(payout, owner, payer);
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = payer.publicKey;
+    for (const signer of signers) {
+      if (signer.secretKey) transaction.partialSign(signer);
+      else await signer.sign(transaction);
+    }
+
+    const rawTransaction = transaction.serialize();
+    const signature = bs58.encode(transaction.signature);
+
+    // Write-ahead: after this save a crash leaves a signature the worker can look up
+    payout.attempts.push({
+      signature,
+      blockhash,
+      lastValidBlockHeight,
+      rawTransaction: rawTransaction.toString('base64'),
+      submittedAt: new Date()
+    });
+    payout.status = 'submitted';
+    payout.submittedAt = payout.submittedAt || new Date();
+    payout.nextCheckAt = new Date(Date.now() + this.checkDelayMs);
+    await payout.save();
+
+    try {
+      await connection.sendRawTransaction(rawTransaction, { skipPreflight: false, maxRetries: 0 });
+      console.log(`📤 Payout ${payout.payoutId} submitted: ${payout.amount} to ${payout.recipient.slice(0, 8)}... (tx: ${signature.slice(0, 16)}...)`);
+    } catch (error) {
+      payout.currentAttempt.sendError = error.message;
+      if (isPreflightRejection(error)) {
+        this.markFailed(payout, `Transaction rejected: ${error.message}`);
+      } else {
+        // Unknown outcome; the confirmation check decides
+        console.warn(`⚠️ Payout ${payout.payoutId} broadcast error:`, error.message);
+      }
+      await payout.save();
+    }
+
+    return payout;
+  }
+
+  // Look up every attempt's signature. Returns true if one has been seen on-chain.
+  async observe(payout) {
+    const signatures = payout.attempts.map(a => a.signature);
+    const { value } = await this.getConnection().getSignatureStatuses(signatures, { searchTransactionHistory: true });
+    const index = (value || []).findIndex(Boolean);
+    if (index === -1) return false;
+
+    const status = value[index];
+    payout.signature = signatures[index];
+
+    if (status.err) {
+      this.markFailed(payout, `Transaction failed on-chain: ${JSON.stringify(status.err)}`);
+    } else if (status.confirmationStatus === 'finalized') {
+      this.transition(payout, 'finalized');
+    } else if (status.confirmationStatus === 'confirmed' && payout.status !== 'confirmed') {
+      this.transition(payout, 'confirmed');
+    }
+
+    payout.nextCheckAt = new Date(Date.now() + this.checkDelayMs);
+    await payout.save();
+    return true;
+  }
+
+  async checkConfirmation(payout) {
+    const connection = this.getConnection();
+
+    // Read the expiry height first: if it has passed and the signature is still
+    // unseen afterwards, that attempt can never land
+    const finalizedHeight = await connection.getBlockHeight('finalized');
+    if (await this.observe(payout)) {
+      return payout;
+    }
+
+    const attempt = payout.currentAttempt;
+    if (finalizedHeight <= attempt.lastValidBlockHeight) {
+      // Still live: resend the identical transaction (same signature, cannot pay twice)
+      try {
+        await connection.sendRawTransaction(Buffer.from(attempt.rawTransaction, 'base64'), { skipPreflight: true, maxRetries: 0 });
+      } catch (error) {
+        console.warn(`⚠️ Payout ${payout.payoutId} rebroadcast error:`, error.message);
+      }
+      payout.nextCheckAt = new Date(Date.now() + this.checkDelayMs);
+      await payout.save();
+      return payout;
+    }
+
+    const roundAttempts = payout.attempts.filter(a => !payout.rearmedAt || a.submittedAt >= payout.rearmedAt).length;
+    if (roundAttempts >= payout.maxAttempts) {
+      this.markFailed(payout, `Not confirmed after ${roundAttempts} attempts (blockhash expired)`);
+      await payout.save();
+      return payout;
+    }
+
+    console.warn(`🔁 Payout ${payout.payoutId} blockhash expired unconfirmed, re-signing (attempt ${roundAttempts + 1}/${payout.maxAttempts})`);
+    payout.status = 'intent';
+    return this.submit(payout);
+  }
+
+  transition(payout, status) {
+    payout.status = status;
+    payout.lastError = null;
+    if (status === 'confirmed') payout.confirmedAt = new Date();
+    if (status === 'finalized') {
+      payout.confirmedAt = payout.confirmedAt || new Date();
+      payout.finalizedAt = new Date();
+    }
+    console.log(`✅ Payout ${payout.payoutId} ${status} (tx: ${payout.signature.slice(0, 16)}...)`);
+    this.emit(status, payout);
+  }
+
+  markFailed(payout, message) {
+    payout.status = 'failed';
+    payout.lastError = message;
+    payout.failedAt = new Date();
+    console.error(`❌ Payout ${payout.payoutId} failed: ${message}`);
+    this.emit('failed', payout);
+  }
+
+  // ============================================================================
+  // WORKER LOOP
+  // ============================================================================
+
+  claim(payoutId) {
+    const now = new Date();
+    return Payout.findOneAndUpdate(
+      {
+        payoutId,
+        status: { $in: Payout.OPEN_STATUSES },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { new: true }
+    );
+  }
+
+  claimNext() {
+    const now = new Date();
+    return Payout.findOneAndUpdate(
+      {
+        status: { $in: Payout.OPEN_STATUSES },
+        nextCheckAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { sort: { nextCheckAt: 1 }, new: true }
+    );
+  }
+
+  async process(payout) {
+    try {
+      await this.advance(payout);
+    } catch (error) {
+      console.error(`❌ Payout ${payout.payoutId} step failed:`, error.message);
+      payout.lastError = error.message;
+      payout.nextCheckAt = new Date(Date.now() + this.errorBackoffMs);
+    } finally {
+      payout.lockedBy = null;
+      payout.lockedUntil = null;
+      await payout.save();
+    }
+    return payout;
+  }
+
+  startWorker() {
+    if (this.isRunning) return;
+
+    console.log(`💸 Starting payout outbox worker (${this.workerId})...`);
+    this.isRunning = true;
+
+    this.tick();
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+  }
+
+  stopWorker() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Payout outbox worker stopped');
+  }
+
+  async tick() {
+    if (!this.isRunning || this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const payout = await this.claimNext();
+        if (!payout) break;
+        await this.process(payout);
+      }
+    } catch (error) {
+      console.error('❌ Payout outbox tick error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  async get(payoutId) {
+    const payout = await Payout.findOne({ payoutId }).select('-attempts.rawTransaction');
+    if (!payout) throw this.fail('Payout not found', 404);
+    return payout;
+  }
+
+  async list({ status, source, recipient, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (recipient) query.recipient = recipient;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query).select('-attempts.rawTransaction').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Payout.countDocuments(query)
+    ]);
+    return { payouts, total };
+  }
+}
+
+module.exports = new PayoutOutboxService();
+module.exports.PayoutOutboxService = PayoutOutboxService;
+module.exports.toRawAmount = toRawAmount;
+module.exports.isPreflightRejection = isPreflightRejection;
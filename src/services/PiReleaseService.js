@@ -0,0 +1,221 @@
+// src/services/PiReleaseService.js
+const crypto = require('crypto');
+const Hub = require('../models/Hub');
+const PiRelease = require('../models/PiRelease');
+const PiRollout = require('../models/PiRollout');
+const PiVersionPin = require('../models/PiVersionPin');
+
+class PiReleaseService {
+  constructor() {
+    this.isRunning = false;
+    this.checkTimer = null;
+    this.checkInterval = 5 * 60 * 1000; // Rollout health check every 5 minutes
+  }
+
+  // Stable 0-99 bucket per hub and rollout, so percentages only ever add hubs
+  bucketFor(hubId, rolloutId) {
+    const hash = crypto.createHash('sha256').update(`${rolloutId}:${hubId}`).digest();
+    return hash.readUInt32BE(0) % 100;
+  }
+
+  // ============================================================================
+  // TARGET VERSION
+  // ============================================================================
+
+  // Decide which version a hub should run; context lets callers reuse lookups
+  async resolveTarget(hub, context = {}) {
+    const pin = context.pins
+      ? context.pins.get(hub.storeId)
+      : await PiVersionPin.findOne({ storeId: hub.storeId }).lean();
+    const rollout = context.rollout !== undefined ? context.rollout : await PiRollout.findCurrent();
+    const stableVersion = context.stableVersion !== undefined
+      ? context.stableVersion
+      : await PiRollout.findStableVersion();
+
+    let version = null;
+    let source = null;
+
+    if (pin) {
+      version = pin.version;
+      source = 'pin';
+    } else if (rollout) {
+      const currentVersion = hub.software?.piAppVersion;
+      const inRollout = rollout.canaryHubIds.includes(hub.hubId) ||
+        this.bucketFor(hub.hubId, rollout._id) < rollout.percentForStore(hub.storeId);
+
+      if (rollout.status === 'active' && inRollout) {
+        version = rollout.version;
+        source = rollout.canaryHubIds.includes(hub.hubId) ? 'canary' : 'rollout';
+      } else if (rollout.status === 'paused' && currentVersion === rollout.version) {
+        version = rollout.version;
+        source = 'rollout';
+      } else {
+        version = rollout.baselineVersion || stableVersion;
+        source = 'stable';
+      }
+    } else if (stableVersion) {
+      version = stableVersion;
+      source = 'stable';
+    }
+
+    if (!version) return null;
+    return { version, source };
+  }
+
+  // Target plus release metadata, as sent to the hub
+  async getTargetForHub(hub) {
+    const target = await this.resolveTarget(hub);
+    if (!target) return null;
+
+    const release = await PiRelease.findOne({ version: target.version }).lean();
+    if (!release || release.status === 'yanked') return null;
+
+    return {
+      version: release.version,
+      checksum: release.checksum,
+      artifactUrl: release.artifactUrl || null,
+      minOsVersion: release.minOsVersion || null,
+      source: target.source,
+      upToDate: hub.software?.piAppVersion === release.version
+    };
+  }
+
+  // ============================================================================
+  // DRIFT
+  // ============================================================================
+
+  async getFleetDrift(hubFilter = {}) {
+    const [hubs, pinDocs, rollout, stableVersion] = await Promise.all([
+      Hub.find(hubFilter).select('hubId name storeId status lastHeartbeat software').lean(),
+      PiVersionPin.find().lean(),
+      PiRollout.findCurrent(),
+      PiRollout.findStableVersion()
+    ]);
+
+    const context = {
+      pins: new Map(pinDocs.map(p => [p.storeId, p])),
+      rollout,
+      stableVersion
+    };
+
+    const versionCounts = {};
+    const stores = {};
+    const hubRows = [];
+
+    for (const hub of hubs) {
+      const current = hub.software?.piAppVersion || 'unknown';
+      const target = await this.resolveTarget(hub, context);
+      const inSync = !target || target.version === current;
+
+      versionCounts[current] = (versionCounts[current] || 0) + 1;
+
+      if (!stores[hub.storeId]) {
+        stores[hub.storeId] = { storeId: hub.storeId, total: 0, inSync: 0, drifted: 0, pinnedVersion: context.pins.get(hub.storeId)?.version || null };
+      }
+      stores[hub.storeId].total += 1;
+      stores[hub.storeId][inSync ? 'inSync' : 'drifted'] += 1;
+
+      hubRows.push({
+        hubId: hub.hubId,
+        name: hub.name,
+        storeId: hub.storeId,
+        status: hub.status,
+        lastHeartbeat: hub.lastHeartbeat,
+        currentVersion: current,
+        targetVersion: target?.version || null,
+        targetSource: target?.source || null,
+        inSync
+      });
+    }
+
+    return {
+      stableVersion,
+      rollout: rollout ? {
+        id: rollout._id,
+        version: rollout.version,
+        baselineVersion: rollout.baselineVersion,
+        status: rollout.status,
+        haltReason: rollout.haltReason || null
+      } : null,
+      totals: {
+        hubs: hubRows.length,
+        inSync: hubRows.filter(h => h.inSync).length,
+        drifted: hubRows.filter(h => !h.inSync).length
+      },
+      versionCounts,
+      stores: Object.values(stores).sort((a, b) => b.drifted - a.drifted),
+      hubs: hubRows
+    };
+  }
+
+  // ============================================================================
+  // AUTOMATIC HALT
+  // ============================================================================
+
+  // A hub is failing if it missed heartbeats or lost its serial link
+  isFailing(hub, graceMinutes) {
+    const lastHeartbeat = hub.lastHeartbeat ? new Date(hub.lastHeartbeat).getTime() : 0;
+    const missedHeartbeats = Date.now() - lastHeartbeat > graceMinutes * 60 * 1000;
+    return missedHeartbeats || hub.health?.serialConnected === false;
+  }
+
+  async checkRolloutHealth() {
+    const rollout = await PiRollout.findOne({ status: 'active' }).sort({ createdAt: -1 });
+    if (!rollout || !rollout.haltPolicy?.enabled) return null;
+
+    const { maxFailureRate, minHubs, heartbeatGraceMinutes } = rollout.haltPolicy;
+    const hubs = await Hub.find({ status: { $ne: 'maintenance' } })
+      .select('hubId software lastHeartbeat health')
+      .lean();
+
+    const onNew = hubs.filter(h => h.software?.piAppVersion === rollout.version);
+    const others = hubs.filter(h => h.software?.piAppVersion !== rollout.version);
+    if (onNew.length < minHubs) return null;
+
+    const failingNew = onNew.filter(h => this.isFailing(h, heartbeatGraceMinutes));
+    const failingOthers = others.filter(h => this.isFailing(h, heartbeatGraceMinutes));
+    const newRate = failingNew.length / onNew.length;
+    const baselineRate = others.length ? failingOthers.length / others.length : 0;
+
+    if (newRate > maxFailureRate && newRate > baselineRate) {
+      const reason = `${failingNew.length}/${onNew.length} hubs on ${rollout.version} failing ` +
+        `(${(newRate * 100).toFixed(0)}% vs ${(baselineRate * 100).toFixed(0)}% baseline): ` +
+        failingNew.map(h => h.hubId).join(', ');
+
+      rollout.status = 'halted';
+      rollout.haltedAt = new Date();
+      rollout.haltReason = reason;
+      rollout.record('halted', 'system', reason);
+      await rollout.save();
+
+      console.error(`🛑 Pi rollout ${rollout.version} halted automatically: ${reason}`);
+      return rollout;
+    }
+
+    return null;
+  }
+
+  startMonitor() {
+    if (this.isRunning) return;
+
+    console.log('🚀 Starting Pi rollout monitor...');
+    this.isRunning = true;
+
+    this.checkTimer = setInterval(() => {
+      this.checkRolloutHealth().catch(error => {
+        console.error('❌ Pi rollout health check failed:', error);
+      });
+    }, this.checkInterval);
+  }
+
+  stopMonitor() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Pi rollout monitor stopped');
+  }
+}
+
+module.exports = new PiReleaseService();
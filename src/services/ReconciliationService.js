@@ -1,5 +1,6 @@
 const VenueReconciliation = require('../models/VenueReconciliation');
 const Store = require('../models/Store');
+const businessDay = require('../utils/businessDay');
 
 class ReconciliationService {
   /**
@@ -29,7 +30,7 @@ class ReconciliationService {
     
     const reconciliation = new VenueReconciliation({
       storeId,
-      reconciliationDate: new Date(reconciliationDate),
+      reconciliationDate: businessDay.keyToDate(businessDay.toDayKey(reconciliationDate, businessDay.settingsFor(store))),
       venueGamingRevenue,
       softwareFeePercentage: feePercentage,
       expectedSoftwareFee: expectedFee,
@@ -61,25 +62,30 @@ class ReconciliationService {
   }
 
   /**
-   * Get venues that haven't submitted today's reconciliation
+   * Get venues that haven't submitted a reconciliation for the business day.
+   * Each venue is checked against its own business day containing targetDate
+   * (or the exact day when targetDate is 'YYYY-MM-DD').
    */
   static async getMissingReconciliations(targetDate = new Date()) {
-    const dateStart = new Date(targetDate);
-    dateStart.setHours(0, 0, 0, 0);
-    
-    const dateEnd = new Date(targetDate);
-    dateEnd.setHours(23, 59, 59, 999);
-    
-    // Get all active stores
-    const activeStores = await Store.find({ status: 'active' }).select('storeId storeName').lean();
-    
-    // Get stores that already submitted reconciliation for this date
-    const submittedStores = await VenueReconciliation.find({
-      reconciliationDate: { $gte: dateStart, $lte: dateEnd }
+    const activeStores = await Store.find({ status: 'active' })
+      .select('storeId storeName city state timezone businessDayCutover')
+      .lean();
+
+    const storesWithDay = activeStores.map(store => ({
+      ...store,
+      businessDate: businessDay.toDayKey(targetDate, businessDay.settingsFor(store))
+    }));
+    if (storesWithDay.length === 0) return [];
+
+    // Stores that already submitted for their business day
+    const submitted = await VenueReconciliation.find({
+      $or: storesWithDay.map(store => ({
+        storeId: store.storeId,
+        reconciliationDate: businessDay.keyToDate(store.businessDate)
+      }))
     }).distinct('storeId');
-    
-    // Return stores that haven't submitted
-    return activeStores.filter(store => !submittedStores.includes(store.storeId));
+
+    return storesWithDay.filter(store => !submitted.includes(store.storeId));
   }
 
   /**
@@ -118,14 +124,9 @@ class ReconciliationService {
    * Get system-wide compliance overview (for gambino_ops/super_admin)
    */
   static async getSystemComplianceOverview() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const [totalStores, todaySubmissions, flaggedReconciliations, lowComplianceVenues] = await Promise.all([
+    const [totalStores, missingToday, flaggedReconciliations, lowComplianceVenues] = await Promise.all([
       Store.countDocuments({ status: 'active' }),
-      VenueReconciliation.countDocuments({ 
-        reconciliationDate: { $gte: today } 
-      }),
+      this.getMissingReconciliations(),
       VenueReconciliation.countDocuments({ 
         reconciliationStatus: 'flagged' 
       }),
@@ -148,6 +149,7 @@ class ReconciliationService {
       ])
     ]);
 
+    const todaySubmissions = totalStores - missingToday.length;
     const submissionRate = totalStores > 0 ? (todaySubmissions / totalStores) * 100 : 0;
 
     return {
@@ -2,21 +2,21 @@
 const Event = require('../models/Event');
 const EdgeSession = require('../models/EdgeSession');
 const Store = require('../models/Store');
+const businessDay = require('../utils/businessDay');
 
 class ReportsService {
   
   /**
    * Get automated daily revenue report from Pi data
    * @param {string} storeId - Store identifier
-   * @param {Date} date - Date to get report for
+   * @param {Date|string} date - Business day ('YYYY-MM-DD' or a date in it)
    */
   async getDailyRevenueFromPiData(storeId, date) {
     try {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const settings = await businessDay.forStore(storeId);
+      const dayKey = businessDay.toDayKey(date, settings);
+      const { start, end } = businessDay.businessDayRange(dayKey, settings);
+      const reportDate = businessDay.keyToDate(dayKey);
 
       // First, find all Pi devices (machines) that belong to this store
       const Machine = require('../models/Machine');
@@ -35,7 +35,7 @@ class ReportsService {
       // Get all Pi events from these hub machines on this date
       const events = await Event.find({
         storeId: storeId,
-        timestamp: { $gte: startOfDay, $lte: endOfDay },
+        timestamp: { $gte: start, $lt: end },
         eventType: { $in: ['money_in', 'collect', 'voucher', 'voucher_print'] }
       });
       // Calculate totals from Pi data
@@ -77,7 +77,8 @@ class ReportsService {
 
       const report = {
         storeId,
-        date: startOfDay,
+        date: reportDate,
+        businessDay: { ...settings, start, end },
         reportSource: 'pi_data', // Indicates this is automated
         
         // Pi data breakdown
@@ -94,7 +95,7 @@ class ReportsService {
 
         // For reconciliation compatibility
         venueGamingRevenue: grossRevenue,
-        reconciliationDate: startOfDay,
+        reconciliationDate: reportDate,
         autoGenerated: true,
         generatedAt: new Date(),
         
@@ -146,10 +147,11 @@ class ReportsService {
         eventType: { $in: ['money_in', 'collect', 'voucher', 'voucher_print'] }
       });
 
-      // Group by date
+      // Group by the venue's business day
+      const settings = await businessDay.forStore(storeId);
       const dateGroups = {};
       availableDates.forEach(timestamp => {
-        const dateKey = timestamp.toISOString().split('T')[0];
+        const dateKey = businessDay.businessDayKey(timestamp, settings);
         if (!dateGroups[dateKey]) {
           dateGroups[dateKey] = [];
         }
@@ -173,24 +175,21 @@ class ReportsService {
    */
   async getMonthlyRevenueFromPiData(storeId, year, month) {
     try {
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0);
-      endDate.setHours(23, 59, 59, 999);
+      const period = `${year}-${month.toString().padStart(2, '0')}`;
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
 
       const dailyReports = [];
-      const currentDate = new Date(startDate);
 
-      while (currentDate <= endDate) {
+      for (const dayKey of businessDay.dayKeysBetween(`${period}-01`, `${period}-${lastDay}`)) {
         try {
-          const dailyReport = await this.getDailyRevenueFromPiData(storeId, new Date(currentDate));
+          const dailyReport = await this.getDailyRevenueFromPiData(storeId, dayKey);
           if (dailyReport.piData.eventCount > 0) {
             dailyReports.push(dailyReport);
           }
         } catch (error) {
           // Skip days with no data
-          console.warn(`No data for ${currentDate.toISOString().split('T')[0]}: ${error.message}`);
+          console.warn(`No data for ${dayKey}: ${error.message}`);
         }
-        currentDate.setDate(currentDate.getDate() + 1);
       }
 
       // Calculate monthly totals
@@ -210,7 +209,7 @@ class ReportsService {
 
       return {
         storeId,
-        period: `${year}-${month.toString().padStart(2, '0')}`,
+        period,
         dailyReports,
         monthlyTotals,
         reportSource: 'pi_data'
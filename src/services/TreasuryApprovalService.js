@@ -0,0 +1,344 @@
+// src/services/TreasuryApprovalService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PublicKey } = require('@solana/web3.js');
+const TreasuryRequest = require('../models/TreasuryRequest');
+const SecureTreasuryService = require('./secureTreasuryService');
+
+const { ACCOUNT_ROLES } = SecureTreasuryService;
+const REQUEST_TTL_MS = (parseInt(process.env.TREASURY_REQUEST_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+class TreasuryApprovalService {
+  constructor() {
+    this.treasury = null;
+  }
+
+  // Built on first execution so the API can list and approve without Solana config loaded
+  getTreasury() {
+    if (!this.treasury) this.treasury = new SecureTreasuryService();
+    return this.treasury;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  policyFor(accountType) {
+    const role = ACCOUNT_ROLES[accountType];
+    if (!role) return null;
+    return {
+      accountType,
+      requiredApprovals: role.approval.required,
+      approvers: role.approval.approvers,
+      requiresApproval: role.requiresApproval,
+      permissions: role.permissions,
+      limits: role.limits
+    };
+  }
+
+  listPolicies() {
+    return Object.keys(ACCOUNT_ROLES).map(accountType => this.policyFor(accountType));
+  }
+
+  // Designated approvers are listed by user id or email
+  async isEligible(request, user) {
+    const User = mongoose.models.User || require('../models/User');
+    const account = await User.findById(user.userId).select('email').lean();
+    const identities = [String(user.userId), (account?.email || user.email || '').toLowerCase()];
+    return { eligible: identities.some(id => request.eligibleApprovers.includes(id)), email: account?.email || user.email };
+  }
+
+  async create(user, { type, accountType, amount, toAddress, reason }) {
+    const policy = this.policyFor(accountType);
+    if (!TreasuryRequest.REQUEST_TYPES.includes(type)) {
+      throw this.fail(`type must be one of: ${TreasuryRequest.REQUEST_TYPES.join(', ')}`);
+    }
+    if (!policy) {
+      throw this.fail(`Unknown treasury account: ${accountType}`);
+    }
+    // A schedule budget is paid out as distributions
+    const operation = type === 'schedule' ? 'distribute' : type;
+    if (!policy.permissions.includes(operation)) {
+      throw this.fail(`${type} is not permitted from ${accountType}`);
+    }
+
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw this.fail('amount must be a positive number');
+    }
+    // A single movement can never fit a limit it exceeds on its own. A schedule
+    // budget is spread over many runs, each held to the limits by the ledger.
+    const ceiling = type === 'schedule' ? Infinity : Math.min(policy.limits.calendarDay, policy.limits.rolling24h,
+      type === 'transfer' ? policy.limits.perRecipient24h : Infinity);
+    if (value > ceiling) {
+      throw this.fail(`amount exceeds the ${accountType} limit of ${ceiling}`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw this.fail('reason is required');
+    }
+    if (type === 'transfer') {
+      try {
+        new PublicKey(toAddress);
+      } catch (error) {
+        throw this.fail('toAddress must be a valid Solana address');
+      }
+    }
+
+    // Approvers other than the requester must be able to reach the threshold
+    const eligibleApprovers = policy.approvers.filter(id => id !== String(user.userId) && id !== (user.email || '').toLowerCase());
+    if (eligibleApprovers.length < policy.requiredApprovals) {
+      throw this.fail(`${accountType} needs ${policy.requiredApprovals} approvers other than the requester; ${eligibleApprovers.length} designated`, 409);
+    }
+
+    const request = new TreasuryRequest({
+      requestId: crypto.randomUUID(),
+      type,
+      accountType,
+      amount: value,
+      toAddress: type === 'transfer' ? toAddress : undefined,
+      reason: String(reason).trim(),
+      requiredApprovals: policy.requiredApprovals,
+      eligibleApprovers,
+      requestedBy: { userId: user.userId, email: user.email, role: user.role },
+      expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+    });
+    request.record('create', 'pending', user, `${type} ${value} from ${accountType}${toAddress && type === 'transfer' ? ` to ${toAddress}` : ''}`);
+    await request.save();
+
+    console.log(`🏦 Treasury request ${request.requestId} filed by ${user.email}: ${type} ${value} from ${accountType} (needs ${policy.requiredApprovals})`);
+    return request;
+  }
+
+  async get(requestId) {
+    await TreasuryRequest.expireStale({ requestId });
+    const request = await TreasuryRequest.findOne({ requestId });
+    if (!request) throw this.fail('Treasury request not found', 404);
+    return request;
+  }
+
+  async approve(requestId, user, note) {
+    const request = await this.get(requestId);
+    if (request.status !== 'pending') {
+      throw this.fail(`Request is ${request.status}`, 409);
+    }
+    if (String(request.requestedBy.userId) === String(user.userId)) {
+      throw this.fail('Requesters cannot approve their own request', 403);
+    }
+
+    const { eligible, email } = await this.isEligible(request, user);
+    if (!eligible) {
+      throw this.fail(`You are not a designated approver for ${request.accountType}`, 403);
+    }
+
+    // Atomic so two approvers racing cannot double count or approve after a reject
+    const now = new Date();
+    const updated = await TreasuryRequest.findOneAndUpdate(
+      { requestId, status: 'pending', expiresAt: { $gt: now }, 'approvals.userId': { $ne: user.userId } },
+      {
+        $push: {
+          approvals: { userId: user.userId, email, role: user.role, note, at: now },
+          history: { action: 'approve', status: 'pending', at: now, userId: String(user.userId), email, note }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw this.fail('Request already approved by you, or no longer pending', 409);
+    }
+
+    console.log(`✅ Treasury request ${requestId} approved by ${email} (${updated.approvals.length}/${updated.requiredApprovals})`);
+
+    if (updated.approvals.length < updated.requiredApprovals) {
+      return updated;
+    }
+
+    const approved = await TreasuryRequest.findOneAndUpdate(
+      { requestId, status: 'pending' },
+      {
+        $set: { status: 'approved' },
+        $push: { history: { action: 'threshold_reached', status: 'approved', at: new Date(), userId: 'system', note: `${updated.approvals.length} of ${updated.requiredApprovals} approvals` } }
+      },
+      { new: true }
+    );
+    if (!approved) return updated;
+    // A schedule approval waits to be bound by DistributionScheduleService
+    return approved.type === 'schedule' ? approved : this.execute(requestId);
+  }
+
+  async reject(requestId, user, reason) {
+    const request = await this.get(requestId);
+    if (request.status !== 'pending') {
+      throw this.fail(`Request is ${request.status}`, 409);
+    }
+
+    const isRequester = String(request.requestedBy.userId) === String(user.userId);
+    const { eligible, email } = await this.isEligible(request, user);
+    if (!eligible && !isRequester) {
+      throw this.fail(`You are not a designated approver for ${request.accountType}`, 403);
+    }
+
+    // The requester withdrawing their own request is a cancel, not a reject
+    const status = isRequester ? 'cancelled' : 'rejected';
+    const now = new Date();
+    const updated = await TreasuryRequest.findOneAndUpdate(
+      { requestId, status: 'pending' },
+      {
+        $set: {
+          status,
+          completedAt: now,
+          rejectedBy: { userId: user.userId, email, role: user.role },
+          rejectionReason: reason
+        },
+        $push: { history: { action: status === 'cancelled' ? 'cancel' : 'reject', status, at: now, userId: String(user.userId), email, note: reason } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw this.fail('Request is no longer pending', 409);
+    }
+
+    console.log(`🚫 Treasury request ${requestId} ${status} by ${email}${reason ? `: ${reason}` : ''}`);
+    return updated;
+  }
+
+  // Binds an approved 'schedule' request to one distribution schedule. Atomic, so a
+  // request can back only one schedule; it must cover the account and budget.
+  async bindSchedule(requestId, { scheduleId, accountType, budgetCap }, user) {
+    await TreasuryRequest.expireStale({ requestId });
+
+    const now = new Date();
+    const bound = await TreasuryRequest.findOneAndUpdate(
+      { requestId, type: 'schedule', status: 'approved', accountType, amount: { $gte: budgetCap } },
+      {
+        $set: { status: 'executed', scheduleId, completedAt: now, 'execution.executedAt': now },
+        $push: { history: { action: 'bind_schedule', status: 'executed', at: now, userId: String(user.userId), email: user.email, note: `Schedule ${scheduleId}` } }
+      },
+      { new: true }
+    );
+    if (bound) {
+      console.log(`🏦 Treasury request ${requestId} bound to distribution schedule ${scheduleId}`);
+      return bound;
+    }
+
+    const request = await TreasuryRequest.findOne({ requestId });
+    if (!request) {
+      throw this.fail('Treasury request not found', 404);
+    }
+    if (request.type !== 'schedule' || request.accountType !== accountType) {
+      throw this.fail(`Treasury request ${requestId} is not a schedule approval for ${accountType}`, 409);
+    }
+    if (request.status !== 'approved') {
+      throw this.fail(`Treasury request ${requestId} is ${request.status}, not approved`, 409);
+    }
+    throw this.fail(`Treasury request ${requestId} approves ${request.amount}, below the ${budgetCap} budgetCap`, 409);
+  }
+
+  // Runs the treasury operation once; the approved -> executing claim stops a second run
+  async execute(requestId) {
+    const request = await TreasuryRequest.findOneAndUpdate(
+      { requestId, status: 'approved' },
+      {
+        $set: { status: 'executing' },
+        $push: { history: { action: 'execute', status: 'executing', at: new Date(), userId: 'system' } }
+      },
+      { new: true }
+    );
+    if (!request) {
+      throw this.fail('Request is not approved for execution', 409);
+    }
+
+    let result;
+    try {
+      const treasury = this.getTreasury();
+      result = request.type === 'transfer'
+        ? await treasury.secureTransferFromTreasury(request.accountType, request.toAddress, request.amount, `${request.reason} [request ${request.requestId}]`, request)
+        : await treasury.secureBurnTokens(request.accountType, request.amount, `${request.reason} [request ${request.requestId}]`, request);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.pending) {
+      // completeExecution finishes it once the offline signature is imported
+      request.execution = {
+        securityLevel: result.securityLevel,
+        signingRequestId: result.signingRequestId
+      };
+      request.record('export_for_signing', null, null, `Signing request ${result.signingRequestId}`);
+      await request.save();
+
+      console.log(`📝 Treasury request ${requestId} awaiting offline signature (${result.signingRequestId})`);
+      return request;
+    }
+
+    if (result.submitted) {
+      // Broadcast but not seen confirmed; the treasury ledger worker calls
+      // completeExecution once the signature status is known
+      request.execution = {
+        signature: result.signature,
+        securityLevel: result.securityLevel
+      };
+      request.record('submit', null, null, `Awaiting confirmation of ${result.signature}: ${result.error}`);
+      await request.save();
+
+      console.warn(`⏳ Treasury request ${requestId} submitted but unconfirmed (${result.signature})`);
+      return request;
+    }
+
+    request.execution = {
+      signature: result.signature,
+      executedAt: new Date(),
+      error: result.success ? undefined : result.error,
+      securityLevel: result.securityLevel
+    };
+    request.record('execute', result.success ? 'executed' : 'failed', null, result.success ? result.signature : result.error);
+    await request.save();
+
+    if (result.success) {
+      console.log(`🏦 Treasury request ${requestId} executed: ${result.signature}`);
+    } else {
+      console.error(`❌ Treasury request ${requestId} failed: ${result.error}`);
+    }
+    return request;
+  }
+
+  // Called when the offline signing request behind an executing request closes
+  async completeExecution(requestId, { signature, error, securityLevel }) {
+    const request = await TreasuryRequest.findOne({ requestId, status: 'executing' });
+    if (!request) return null;
+
+    request.execution = {
+      signature,
+      executedAt: new Date(),
+      error: signature ? undefined : error,
+      securityLevel: securityLevel || request.execution?.securityLevel,
+      signingRequestId: request.execution?.signingRequestId
+    };
+    request.record('execute', signature ? 'executed' : 'failed', null, signature || error);
+    await request.save();
+
+    if (signature) {
+      console.log(`🏦 Treasury request ${requestId} executed: ${signature}`);
+    } else {
+      console.error(`❌ Treasury request ${requestId} failed: ${error}`);
+    }
+    return request;
+  }
+
+  async list({ status, accountType, limit = 50, skip = 0 } = {}) {
+    await TreasuryRequest.expireStale();
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (accountType) query.accountType = accountType;
+
+    const [requests, total] = await Promise.all([
+      TreasuryRequest.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      TreasuryRequest.countDocuments(query)
+    ]);
+    return { requests, total };
+  }
+}
+
+module.exports = new TreasuryApprovalService();
@@ -0,0 +1,310 @@
+// src/services/TreasuryKeyService.js
+// Every treasury secret - .secure-vault files, TreasuryWallet documents and the
+// remaining env var keys - is read and written through CredentialManager here, so
+// each use is logged with who asked and why, and a master key rotation covers all
+// of them.
+const mongoose = require('mongoose');
+const CredentialManager = require('./credentialManager');
+const TreasuryWallet = require('../models/TreasuryWallet');
+const CredentialAccessLog = require('../models/CredentialAccessLog');
+
+// Signing keys that may still live in env vars until imported into the vault
+const ENV_SIGNERS = [
+  { env: 'MAIN_TREASURY_PRIVATE_KEY', accountType: 'mainTreasury', label: 'Main Treasury', purpose: 'main' },
+  { env: 'PAYER_PRIVATE_KEY', accountType: 'payer', label: 'Payer Wallet', purpose: 'ops' }
+];
+
+// Destination wallets configured by public key only
+const ENV_DESTINATIONS = [
+  { env: 'JACKPOT_WALLET', label: 'Jackpot Pool', purpose: 'jackpot' },
+  { env: 'OPERATIONS_WALLET', label: 'Operations', purpose: 'ops' },
+  { env: 'TEAM_WALLET', label: 'Team', purpose: 'team' },
+  { env: 'COMMUNITY_WALLET', label: 'Community', purpose: 'community' }
+];
+
+class TreasuryKeyService {
+  constructor() {
+    this.credentialManager = null;
+    this.isRotating = false;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Created lazily: the constructor needs TREASURY_MASTER_KEY
+  credentials() {
+    if (!this.credentialManager) {
+      this.credentialManager = new CredentialManager();
+    }
+    return this.credentialManager;
+  }
+
+  // privateKeyBase64: the 64-byte Solana secret key, base64 encoded
+  parseSecretKey(privateKeyBase64) {
+    const secretKey = Buffer.from(String(privateKeyBase64 || '').trim(), 'base64');
+    if (secretKey.length !== 64) {
+      throw this.fail('privateKeyBase64 must decode to a 64-byte secret key');
+    }
+    return Array.from(secretKey);
+  }
+
+  sealWalletKey(publicKey, privateKeyBase64, actor) {
+    try {
+      return this.credentials().encryptWalletKey(publicKey, this.parseSecretKey(privateKeyBase64), actor);
+    } catch (error) {
+      if (error.status) throw error;
+      throw this.fail(error.message);
+    }
+  }
+
+  // ============================================================================
+  // WALLETS
+  // ============================================================================
+
+  async listWallets(actor) {
+    const manager = this.credentials();
+    const wallets = [];
+    const seen = new Set();
+
+    const { credentials: vaultEntries = [] } = await manager.listCredentials();
+    for (const entry of vaultEntries) {
+      if (!entry.metadata?.publicKey) continue;
+      seen.add(entry.metadata.publicKey);
+      wallets.push({
+        label: entry.metadata.label,
+        purpose: entry.metadata.purpose,
+        publicKey: entry.metadata.publicKey,
+        accountType: entry.accountType,
+        source: 'vault',
+        keyCurrent: entry.keyId === manager.keyId
+      });
+    }
+
+    // Env signers not yet imported into the vault
+    for (const signer of ENV_SIGNERS) {
+      if (!process.env[signer.env]) continue;
+      const result = await manager.getEnvKeypair(signer.env, 'WALLET_LIST', actor);
+      if (!result.success) {
+        console.error(`❌ Failed to read ${signer.env}:`, result.error);
+        continue;
+      }
+      const publicKey = result.keypair.publicKey.toBase58();
+      if (seen.has(publicKey)) continue;
+      seen.add(publicKey);
+      wallets.push({ label: `${signer.label} (ENV)`, purpose: signer.purpose, publicKey, source: 'env' });
+    }
+
+    for (const destination of ENV_DESTINATIONS) {
+      const publicKey = process.env[destination.env];
+      if (!publicKey || seen.has(publicKey)) continue;
+      seen.add(publicKey);
+      wallets.push({ label: `${destination.label} (ENV)`, purpose: destination.purpose, publicKey, source: 'env' });
+    }
+
+    const dbWallets = await TreasuryWallet.find({})
+      .select('+encryptedKey +privateKeyEncrypted')
+      .sort({ createdAt: -1 })
+      .lean();
+    for (const wallet of dbWallets) {
+      const { encryptedKey, privateKeyEncrypted, ...rest } = wallet;
+      wallets.push({
+        ...rest,
+        source: 'db',
+        keyCurrent: encryptedKey?.keyId === manager.keyId,
+        needsMigration: !encryptedKey && Boolean(privateKeyEncrypted)
+      });
+    }
+
+    return wallets;
+  }
+
+  async addWallet({ label, purpose, publicKey, privateKeyBase64 }, actor) {
+    if (!label || !purpose || !publicKey || !privateKeyBase64) {
+      throw this.fail('Missing required fields: label, purpose, publicKey, privateKeyBase64');
+    }
+    publicKey = publicKey.trim();
+
+    if (await TreasuryWallet.exists({ publicKey })) {
+      throw this.fail('Wallet with this public key already exists', 409);
+    }
+
+    const wallet = await TreasuryWallet.create({
+      label: label.trim(),
+      purpose: purpose.toLowerCase(),
+      publicKey,
+      encryptedKey: this.sealWalletKey(publicKey, privateKeyBase64, actor),
+      balances: { SOL: null, GG: null, USDC: null, lastUpdated: null }
+    });
+
+    const { encryptedKey, ...safeWallet } = wallet.toObject();
+    return safeWallet;
+  }
+
+  // Re-enter a wallet's secret key, e.g. one whose legacy ciphertext could not be migrated
+  async replaceWalletKey(walletId, privateKeyBase64, actor) {
+    if (!privateKeyBase64) {
+      throw this.fail('privateKeyBase64 is required');
+    }
+    if (!mongoose.Types.ObjectId.isValid(walletId)) {
+      throw this.fail('Invalid wallet id');
+    }
+
+    const wallet = await TreasuryWallet.findById(walletId);
+    if (!wallet) {
+      throw this.fail('Wallet not found', 404);
+    }
+
+    const now = new Date();
+    await TreasuryWallet.updateOne(
+      { _id: wallet._id },
+      {
+        $set: { encryptedKey: this.sealWalletKey(wallet.publicKey, privateKeyBase64, actor), keyRotatedAt: now, updatedAt: now },
+        $unset: { privateKeyEncrypted: '' }
+      }
+    );
+  }
+
+  async getWalletKeypair(publicKey, reason, actor) {
+    const wallet = await TreasuryWallet.findOne({ publicKey }).select('+encryptedKey');
+    if (!wallet) {
+      throw this.fail(`Treasury wallet ${publicKey} not found`, 404);
+    }
+
+    const result = await this.credentials().getWalletKeypair(publicKey, wallet.encryptedKey, reason, actor);
+    if (!result.success) {
+      throw this.fail(`Failed to access ${publicKey}: ${result.error}`, 500);
+    }
+    return result.keypair;
+  }
+
+  // ============================================================================
+  // MASTER KEY ROTATION
+  // ============================================================================
+  // 1. Set TREASURY_MASTER_KEY to the new key and TREASURY_MASTER_KEY_PREVIOUS to
+  //    the old one, and restart. Both keys decrypt; new envelopes use the new key.
+  // 2. Rotate (POST /api/admin/treasury/wallets/keys/rotate or
+  //    scripts/rotate-treasury-keys.js) to re-encrypt everything still under the old key.
+  // 3. Once keyStatus() shows nothing stale, drop TREASURY_MASTER_KEY_PREVIOUS.
+
+  async keyStatus() {
+    const manager = this.credentials();
+    const { credentials: vaultEntries = [] } = await manager.listCredentials();
+
+    // Wallets grouped by the key sealing them; 'legacy' = still createCipher ciphertext
+    const walletsByKey = await TreasuryWallet.aggregate([
+      {
+        $group: {
+          _id: { $ifNull: ['$encryptedKey.keyId', { $cond: ['$privateKeyEncrypted', 'legacy', 'none'] }] },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const staleVault = vaultEntries.filter(entry => entry.keyId !== manager.keyId);
+    const wallets = Object.fromEntries(walletsByKey.map(row => [row._id, row.count]));
+
+    return {
+      currentKeyId: manager.keyId,
+      configuredKeyIds: [...manager.keyring.keys()],
+      vault: {
+        total: vaultEntries.length,
+        stale: staleVault.map(({ accountType, keyId }) => ({ accountType, keyId }))
+      },
+      wallets: {
+        byKeyId: wallets,
+        stale: walletsByKey
+          .filter(row => !['none', 'legacy', manager.keyId].includes(row._id))
+          .reduce((sum, row) => sum + row.count, 0),
+        needsMigration: wallets.legacy || 0
+      }
+    };
+  }
+
+  async rotateAll({ reason, actor } = {}) {
+    if (!reason) {
+      throw this.fail('A reason is required to rotate treasury keys');
+    }
+    if (this.isRotating) {
+      throw this.fail('A key rotation is already running', 409);
+    }
+
+    this.isRotating = true;
+    try {
+      const manager = this.credentials();
+      const vault = await manager.rotateVault({ reason, actor });
+      const wallets = await this.rotateWallets({ reason, actor });
+      return { keyId: manager.keyId, vault, wallets };
+    } finally {
+      this.isRotating = false;
+    }
+  }
+
+  async rotateWallets({ reason, actor }) {
+    const manager = this.credentials();
+    const summary = { rotated: 0, alreadyCurrent: 0, failed: [] };
+
+    const cursor = TreasuryWallet.find({ encryptedKey: { $exists: true } })
+      .select('+encryptedKey')
+      .cursor();
+
+    for await (const wallet of cursor) {
+      const credential = manager.walletCredential(wallet.publicKey);
+      const envelope = wallet.encryptedKey.toObject();
+
+      if (!manager.needsRotation(envelope)) {
+        summary.alreadyCurrent++;
+        continue;
+      }
+
+      try {
+        const rotated = manager.reencryptCredential(envelope, credential);
+        // Matched on the old IV so a key replaced meanwhile is not overwritten
+        const result = await TreasuryWallet.updateOne(
+          { _id: wallet._id, 'encryptedKey.iv': envelope.iv },
+          { $set: { encryptedKey: rotated, keyRotatedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) {
+          throw new Error('Key changed during rotation');
+        }
+        manager.logCredentialAccess(credential, 'ROTATE', 'SUCCESS', reason, '', actor);
+        summary.rotated++;
+      } catch (error) {
+        manager.logCredentialAccess(credential, 'ROTATE', 'FAILED', reason, error.message, actor);
+        summary.failed.push({ publicKey: wallet.publicKey, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // ============================================================================
+  // ACCESS LOG
+  // ============================================================================
+
+  async listAccessLog({ credential, userId, action, result, from, to, limit = 100, skip = 0 } = {}) {
+    const query = {};
+    if (credential) query.credential = credential;
+    if (userId) query['actor.userId'] = userId;
+    if (action) query.action = action;
+    if (result) query.result = result;
+    if (from || to) {
+      query.at = {};
+      if (from) query.at.$gte = from;
+      if (to) query.at.$lt = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      CredentialAccessLog.find(query).sort({ at: -1 }).skip(skip).limit(limit).lean(),
+      CredentialAccessLog.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+}
+
+const treasuryKeyService = new TreasuryKeyService();
+treasuryKeyService.ENV_SIGNERS = ENV_SIGNERS;
+
+module.exports = treasuryKeyService;
@@ -0,0 +1,438 @@
+// src/services/TreasuryLedgerService.js
+// Persistent record of every outbound treasury movement (transfers, burns, jackpot
+// releases). Limits are checked against this ledger, so they survive restarts and
+// hold across instances.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Connection, clusterApiUrl } = require('@solana/web3.js');
+const TreasuryLedgerEntry = require('../models/TreasuryLedgerEntry');
+const TreasuryLimitLock = require('../models/TreasuryLimitLock');
+const SigningRequest = require('../models/SigningRequest');
+const businessDay = require('../utils/businessDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TreasuryLedgerService {
+  constructor() {
+    this.connection = null;
+
+    this.isRunning = false;
+    this.isTicking = false;
+    this.pollTimer = null;
+    this.pollInterval = 15 * 1000;     // 15 seconds between polls
+    this.batchSize = 50;               // Submitted entries per poll
+    this.checkDelayMs = 30 * 1000;     // Leave the sender time to confirm it first
+    this.staleAfterMs = 10 * 60 * 1000; // Unsigned reservations older than this were abandoned
+  }
+
+  getConnection() {
+    if (!this.connection) {
+      this.connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'), 'confirmed');
+    }
+    return this.connection;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Required lazily: secureTreasuryService itself writes through this ledger
+  accountRoles() {
+    return require('./secureTreasuryService').ACCOUNT_ROLES;
+  }
+
+  limitsFor(accountType) {
+    return this.accountRoles()[accountType]?.limits || null;
+  }
+
+  // Calendar days follow TREASURY_TIMEZONE (default America/New_York), midnight cutover
+  daySettings() {
+    return businessDay.settingsFor({ timezone: process.env.TREASURY_TIMEZONE });
+  }
+
+  windows(now = new Date()) {
+    const settings = this.daySettings();
+    const day = businessDay.todayKey(settings, now);
+    return {
+      calendarDay: { day, ...businessDay.businessDayRange(day, settings) },
+      rolling24h: { start: new Date(now.getTime() - DAY_MS), end: now }
+    };
+  }
+
+  async sum(match, session = null) {
+    const [row] = await TreasuryLedgerEntry.aggregate([
+      { $match: { ...match, status: { $in: TreasuryLedgerEntry.COUNTED_STATUSES } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    return row?.total || 0;
+  }
+
+  // Amounts already reserved or settled in each window.
+  // Sequential: operations in a transaction cannot share the session in parallel.
+  async usage(accountType, { recipient, now = new Date(), session } = {}) {
+    const { calendarDay, rolling24h } = this.windows(now);
+    const day = await this.sum({ accountType, createdAt: { $gte: calendarDay.start, $lt: calendarDay.end } }, session);
+    const rolling = await this.sum({ accountType, createdAt: { $gte: rolling24h.start } }, session);
+    const toRecipient = recipient
+      ? await this.sum({ accountType, recipient, createdAt: { $gte: rolling24h.start } }, session)
+      : 0;
+    return { calendarDay: day, rolling24h: rolling, recipient24h: toRecipient };
+  }
+
+  // Record a movement before it is sent. Throws 409 if it would break any limit.
+  // Burns count toward the account limits; the per-recipient cap applies to transfers.
+  // With a payoutKey, a movement already reserved or settled under it is returned
+  // instead of reserving again.
+  async reserve({ accountType, kind, amount, recipient, purpose, initiatedBy, requestId, payoutKey, jackpot }) {
+    const limits = this.limitsFor(accountType);
+    if (!limits) {
+      throw this.fail(`Unknown treasury account: ${accountType}`);
+    }
+    if (!TreasuryLedgerEntry.ENTRY_KINDS.includes(kind)) {
+      throw this.fail(`kind must be one of: ${TreasuryLedgerEntry.ENTRY_KINDS.join(', ')}`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw this.fail('amount must be a positive number');
+    }
+
+    const session = await mongoose.startSession();
+    let entry = null;
+
+    try {
+      await session.withTransaction(async () => {
+        // Concurrent reservations on this account conflict here and are retried
+        await TreasuryLimitLock.updateOne(
+          { accountType },
+          { $inc: { reservations: 1 }, $set: { lastReservedAt: new Date() } },
+          { upsert: true, session }
+        );
+
+        if (payoutKey) {
+          entry = await TreasuryLedgerEntry.findOne({ payoutKey, status: { $in: TreasuryLedgerEntry.COUNTED_STATUSES } }).session(session);
+          if (entry) return;
+        }
+
+        const used = await this.usage(accountType, { recipient: kind === 'burn' ? null : recipient, session });
+
+        if (used.calendarDay + amount > limits.calendarDay) {
+          throw this.fail(`${accountType} calendar-day limit exceeded: ${used.calendarDay} of ${limits.calendarDay} used, ${amount} requested`, 409);
+        }
+        if (used.rolling24h + amount > limits.rolling24h) {
+          throw this.fail(`${accountType} rolling 24h limit exceeded: ${used.rolling24h} of ${limits.rolling24h} used, ${amount} requested`, 409);
+        }
+        if (kind !== 'burn' && used.recipient24h + amount > limits.perRecipient24h) {
+          throw this.fail(`${accountType} per-recipient cap exceeded for ${recipient}: ${used.recipient24h} of ${limits.perRecipient24h} sent in 24h, ${amount} requested`, 409);
+        }
+
+        [entry] = await TreasuryLedgerEntry.create([{
+          entryId: crypto.randomUUID(),
+          accountType,
+          kind,
+          amount,
+          recipient: kind === 'burn' ? undefined : recipient,
+          purpose,
+          initiatedBy: {
+            userId: initiatedBy?.userId,
+            email: initiatedBy?.email,
+            role: initiatedBy?.role,
+            source: initiatedBy?.source || (initiatedBy?.userId ? 'user' : 'system')
+          },
+          requestId,
+          payoutKey,
+          jackpot
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return entry;
+  }
+
+  async settle(entryId, signature) {
+    return TreasuryLedgerEntry.findOneAndUpdate(
+      { entryId, status: 'reserved' },
+      { $set: { status: 'settled', signature, settledAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Movements sent by the payout outbox follow their payout: the outbox only
+  // fails a payout once no attempt can land, so these need no signature check
+  async settlePayout(payout) {
+    return TreasuryLedgerEntry.findOneAndUpdate(
+      { payoutKey: payout.idempotencyKey, status: 'reserved' },
+      { $set: { status: 'settled', signature: payout.signature, settledAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async releasePayout(payout) {
+    return TreasuryLedgerEntry.findOneAndUpdate(
+      { payoutKey: payout.idempotencyKey, status: 'reserved' },
+      { $set: { status: 'failed', error: payout.lastError } },
+      { new: true }
+    );
+  }
+
+  // Write-ahead: stored before the transaction is broadcast, so a throw or crash
+  // after sending leaves a signature to look up
+  async recordSubmission(entryId, { signature, blockhash, lastValidBlockHeight }) {
+    return TreasuryLedgerEntry.findOneAndUpdate(
+      { entryId, status: 'reserved' },
+      { $set: { signature, submission: { blockhash, lastValidBlockHeight, submittedAt: new Date() } } },
+      { new: true }
+    );
+  }
+
+  // Frees the reservation; the failed entry stays for the audit trail. An entry
+  // whose transaction was broadcast may still land, so it stays reserved until
+  // resolveSubmitted has checked its signature. Returns the entry as it now stands.
+  async release(entryId, error) {
+    const released = await TreasuryLedgerEntry.findOneAndUpdate(
+      { entryId, status: 'reserved', signature: null },
+      { $set: { status: 'failed', error } },
+      { new: true }
+    );
+    return released || TreasuryLedgerEntry.findOne({ entryId });
+  }
+
+  async failSubmitted(entryId, error) {
+    return TreasuryLedgerEntry.findOneAndUpdate(
+      { entryId, status: 'reserved' },
+      { $set: { status: 'failed', error } },
+      { new: true }
+    );
+  }
+
+  // Settle a broadcast movement once its signature is confirmed; release it if it
+  // failed on-chain or its blockhash expired without it landing. Anything else
+  // stays reserved for the next check. Returns the entry as it now stands.
+  async resolveSubmitted(entry) {
+    const connection = this.getConnection();
+
+    // Read the expiry height first: if it has passed and the signature is still
+    // unseen afterwards, the transaction can never land
+    const finalizedHeight = await connection.getBlockHeight('finalized');
+    const { value } = await connection.getSignatureStatuses([entry.signature], { searchTransactionHistory: true });
+    const status = value?.[0];
+
+    let resolved = null;
+    if (status?.err) {
+      resolved = await this.failSubmitted(entry.entryId, `Transaction failed on-chain: ${JSON.stringify(status.err)}`);
+    } else if (['confirmed', 'finalized'].includes(status?.confirmationStatus)) {
+      resolved = await this.settle(entry.entryId, entry.signature);
+    } else if (!status && finalizedHeight > entry.submission.lastValidBlockHeight) {
+      resolved = await this.failSubmitted(entry.entryId, 'Blockhash expired before the transaction landed');
+    }
+    if (!resolved) return entry;
+
+    console.log(`🏦 Treasury ledger entry ${resolved.entryId} ${resolved.status} (tx: ${entry.signature.slice(0, 16)}...)`);
+
+    if (resolved.requestId) {
+      // Required lazily: TreasuryApprovalService loads secureTreasuryService, which uses this ledger
+      await require('./TreasuryApprovalService').completeExecution(resolved.requestId, {
+        signature: resolved.status === 'settled' ? resolved.signature : undefined,
+        error: resolved.error
+      });
+    }
+    return resolved;
+  }
+
+  // A reservation still without a signature long after it was made was abandoned
+  // between reserve and broadcast (the process died or lost the request), so nothing
+  // can land for it: fail it and free its limits. Payout outbox movements follow
+  // their payout, and offline-signed ones are released when their signing request
+  // closes, so both are left alone.
+  async releaseStale(now = new Date()) {
+    const stale = await TreasuryLedgerEntry.find({
+      status: 'reserved',
+      signature: null,
+      payoutKey: null,
+      createdAt: { $lte: new Date(now.getTime() - this.staleAfterMs) }
+    }).sort({ createdAt: 1 }).limit(this.batchSize).lean();
+    if (!stale.length) return [];
+
+    const awaitingSignature = new Set(await SigningRequest.distinct('reference.id', {
+      'reference.type': 'treasury_ledger',
+      'reference.id': { $in: stale.map(e => e.entryId) },
+      status: { $in: SigningRequest.OPEN_STATUSES }
+    }));
+
+    const released = [];
+    for (const { entryId } of stale) {
+      if (awaitingSignature.has(entryId)) continue;
+
+      const entry = await TreasuryLedgerEntry.findOneAndUpdate(
+        { entryId, status: 'reserved', signature: null },
+        { $set: { status: 'failed', error: 'Reservation abandoned before the transaction was signed' } },
+        { new: true }
+      );
+      if (!entry) continue;
+
+      console.warn(`⚠️ Treasury ledger entry ${entryId} released: no signature after ${this.staleAfterMs / 60000} minutes`);
+      if (entry.requestId) {
+        await require('./TreasuryApprovalService').completeExecution(entry.requestId, { error: entry.error });
+      }
+      released.push(entry);
+    }
+    return released;
+  }
+
+  // Per-account burn-down against each limit, with the recipients closest to their cap
+  async burnDown(now = new Date()) {
+    const { calendarDay, rolling24h } = this.windows(now);
+    const roles = this.accountRoles();
+
+    const accounts = await Promise.all(Object.entries(roles).map(async ([accountType, role]) => {
+      const { limits } = role;
+      const [used, recipients, reserved] = await Promise.all([
+        this.usage(accountType, { now }),
+        TreasuryLedgerEntry.aggregate([
+          {
+            $match: {
+              accountType,
+              recipient: { $ne: null },
+              status: { $in: TreasuryLedgerEntry.COUNTED_STATUSES },
+              createdAt: { $gte: rolling24h.start }
+            }
+          },
+          { $group: { _id: '$recipient', used: { $sum: '$amount' }, movements: { $sum: 1 } } },
+          { $sort: { used: -1 } },
+          { $limit: 10 }
+        ]),
+        TreasuryLedgerEntry.countDocuments({ accountType, status: 'reserved' })
+      ]);
+
+      const line = (usedAmount, limit) => ({
+        used: usedAmount,
+        limit,
+        remaining: Math.max(limit - usedAmount, 0),
+        percentageUsed: limit > 0 ? Number(((usedAmount / limit) * 100).toFixed(1)) : 0
+      });
+
+      return {
+        accountType,
+        description: role.description,
+        calendarDay: line(used.calendarDay, limits.calendarDay),
+        rolling24h: line(used.rolling24h, limits.rolling24h),
+        perRecipient: {
+          cap: limits.perRecipient24h,
+          topRecipients: recipients.map(r => ({ recipient: r._id, movements: r.movements, ...line(r.used, limits.perRecipient24h) }))
+        },
+        pendingReservations: reserved
+      };
+    }));
+
+    return {
+      generatedAt: now,
+      timezone: this.daySettings().timezone,
+      windows: {
+        calendarDay: { day: calendarDay.day, start: calendarDay.start, end: calendarDay.end },
+        rolling24h
+      },
+      accounts
+    };
+  }
+
+  async list({ accountType, kind, status, recipient, requestId, from, to, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (accountType) query.accountType = accountType;
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+    if (recipient) query.recipient = recipient;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      TreasuryLedgerEntry.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      TreasuryLedgerEntry.countDocuments(query)
+    ]);
+    return { entries, total };
+  }
+
+  // Settled jackpot releases by type and machine
+  async jackpotStats({ since } = {}) {
+    const match = { kind: 'jackpot_release', status: 'settled' };
+    if (since) match.createdAt = { $gte: new Date(since) };
+
+    const [totals] = await TreasuryLedgerEntry.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' }, lastReleasedAt: { $max: '$createdAt' } } }],
+          byType: [{ $group: { _id: '$jackpot.jackpotType', count: { $sum: 1 }, amount: { $sum: '$amount' } } }, { $sort: { amount: -1 } }],
+          byMachine: [{ $group: { _id: '$jackpot.machineId', count: { $sum: 1 }, amount: { $sum: '$amount' } } }, { $sort: { amount: -1 } }, { $limit: 50 }]
+        }
+      }
+    ]);
+
+    const overall = totals.overall[0] || { count: 0, amount: 0, lastReleasedAt: null };
+    return {
+      totalJackpots: overall.count,
+      totalAmount: overall.amount,
+      lastReleasedAt: overall.lastReleasedAt,
+      byType: totals.byType.map(t => ({ jackpotType: t._id, count: t.count, amount: t.amount })),
+      byMachine: totals.byMachine.map(m => ({ machineId: m._id, count: m.count, amount: m.amount }))
+    };
+  }
+
+  // ============================================================================
+  // WORKER LOOP - broadcast movements whose sender never saw them confirmed,
+  // and reservations abandoned before they were signed
+  // ============================================================================
+
+  startWorker() {
+    if (this.isRunning) return;
+
+    console.log('🏦 Starting treasury ledger worker...');
+    this.isRunning = true;
+
+    this.tick();
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+  }
+
+  stopWorker() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️ Treasury ledger worker stopped');
+  }
+
+  async tick() {
+    if (!this.isRunning || this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const entries = await TreasuryLedgerEntry.find({
+        status: 'reserved',
+        'submission.submittedAt': { $lte: new Date(Date.now() - this.checkDelayMs) }
+      }).sort({ 'submission.submittedAt': 1 }).limit(this.batchSize);
+
+      for (const entry of entries) {
+        try {
+          await this.resolveSubmitted(entry);
+        } catch (error) {
+          console.error(`❌ Failed to resolve treasury ledger entry ${entry.entryId}:`, error.message);
+        }
+      }
+
+      await this.releaseStale();
+    } catch (error) {
+      console.error('❌ Treasury ledger tick error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+}
+
+module.exports = new TreasuryLedgerService();
+module.exports.TreasuryLedgerService = TreasuryLedgerService;
@@ -0,0 +1,307 @@
+// src/services/TreasurySignerService.js
+// Signs treasury transactions without handing key material to callers. Each
+// account signs through one backend, chosen by its security level:
+//   vault   - FileVaultSigner decrypts the .secure-vault key and signs in process
+//   remote  - RemoteSigner asks an HTTP signing service (TREASURY_SIGNER_URL)
+//   offline - OfflineSigner exports the unsigned transaction; the signed copy is
+//             imported later via POST /api/admin/treasury/signing-requests/:id/import
+const EventEmitter = require('events');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default;
+const { Connection, PublicKey, VersionedTransaction, clusterApiUrl } = require('@solana/web3.js');
+const CredentialManager = require('./credentialManager');
+const FileVaultSigner = require('./signers/FileVaultSigner');
+const RemoteSigner = require('./signers/RemoteSigner');
+const OfflineSigner = require('./signers/OfflineSigner');
+const SigningRequest = require('../models/SigningRequest');
+const { isPreflightRejection } = require('./PayoutOutboxService');
+
+// Backends each security level may use. TREASURY_SIGNER_<LEVEL>, then
+// TREASURY_SIGNER_BACKEND (default vault) picks one; a choice the level does not
+// allow is replaced by the level's first backend, so CRITICAL always signs offline.
+const SIGNING_POLICIES = {
+  CRITICAL: ['offline'],
+  HIGH: ['vault', 'remote', 'offline'],
+  MEDIUM: ['vault', 'remote', 'offline'],
+  LOW: ['vault', 'remote', 'offline']
+};
+
+class TreasurySignerService extends EventEmitter {
+  // options.backends / options.connection let tests swap in stand-ins
+  constructor(options = {}) {
+    super();
+    this.connection = options.connection || null;
+
+    const vault = new FileVaultSigner();
+    this.backends = options.backends || {
+      vault,
+      remote: new RemoteSigner({ url: process.env.TREASURY_SIGNER_URL, token: process.env.TREASURY_SIGNER_TOKEN }),
+      offline: new OfflineSigner({ connection: () => this.getConnection(), credentials: () => vault.credentials() })
+    };
+
+    this.confirmWaitMs = 60 * 1000;    // How long an import waits for confirmation
+    this.checkDelayMs = 2000;          // Between confirmation checks
+  }
+
+  getConnection() {
+    if (!this.connection) {
+      this.connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'), 'confirmed');
+    }
+    return this.connection;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // ============================================================================
+  // POLICY
+  // ============================================================================
+
+  securityLevel(accountType) {
+    return CredentialManager.CREDENTIAL_LEVELS[accountType] || 'MEDIUM';
+  }
+
+  backendFor(accountType) {
+    const level = this.securityLevel(accountType);
+    const allowed = SIGNING_POLICIES[level];
+    const preferred = process.env[`TREASURY_SIGNER_${level}`] || process.env.TREASURY_SIGNER_BACKEND || 'vault';
+    const name = allowed.includes(preferred) ? preferred : allowed[0];
+    return { name, level, backend: this.backends[name] };
+  }
+
+  // TREASURY_PUBLIC_KEY_<ACCOUNT> wins, e.g. for offline keys that were never in the vault
+  async publicKeyFor(accountType) {
+    const override = process.env[`TREASURY_PUBLIC_KEY_${accountType.toUpperCase()}`];
+    if (override) return new PublicKey(override);
+    return this.backendFor(accountType).backend.publicKey(accountType);
+  }
+
+  // ============================================================================
+  // SIGNING
+  // ============================================================================
+
+  // transaction needs feePayer and recentBlockhash set.
+  // context: { actor, reference, treasuryRequestId } - reference/treasuryRequestId
+  // are carried on offline signing requests so their completion can be handled.
+  // Resolves { status: 'signed', transaction } or { status: 'awaiting_signature', signingRequest }.
+  async sign(transaction, accountType, reason, context = {}) {
+    if (!reason) {
+      throw this.fail('A signing reason is required');
+    }
+
+    const { name, level, backend } = this.backendFor(accountType);
+    const signer = await this.publicKeyFor(accountType);
+    const result = await backend.sign(transaction, accountType, reason, { ...context, signer, securityLevel: level });
+
+    return { ...result, backend: name, securityLevel: level };
+  }
+
+  // A signer the payout outbox can hold: public key up front, signing on demand
+  async handle(accountType, reason, context = {}) {
+    const { name } = this.backendFor(accountType);
+    const publicKey = await this.publicKeyFor(accountType);
+
+    return {
+      publicKey,
+      backend: name,
+      sign: async (transaction) => {
+        const result = await this.sign(transaction, accountType, reason, context);
+        if (result.status !== 'signed') {
+          throw new Error(`${accountType} was not signed: ${result.status}`);
+        }
+        return result.transaction;
+      }
+    };
+  }
+
+  // ============================================================================
+  // OFFLINE SIGNING REQUESTS
+  // ============================================================================
+
+  // The import must carry the exported message, signed by every required signer
+  verifySignedTransaction(request, signedTransaction) {
+    const raw = Buffer.from(String(signedTransaction || ''), 'base64');
+
+    let transaction;
+    try {
+      transaction = VersionedTransaction.deserialize(raw);
+    } catch (error) {
+      throw this.fail('Signed transaction could not be decoded');
+    }
+
+    const message = Buffer.from(transaction.message.serialize());
+    if (!message.equals(Buffer.from(request.message, 'base64'))) {
+      throw this.fail('Signed transaction does not match the exported one');
+    }
+
+    const keys = transaction.message.staticAccountKeys;
+    for (let i = 0; i < transaction.message.header.numRequiredSignatures; i++) {
+      if (!nacl.sign.detached.verify(message, transaction.signatures[i], keys[i].toBytes())) {
+        throw this.fail(`Missing or invalid signature for ${keys[i].toBase58()}`);
+      }
+    }
+
+    return { raw, signature: bs58.encode(transaction.signatures[0]) };
+  }
+
+  // Close a request once and tell listeners (confirmed | failed | cancelled | expired)
+  async finish(signingRequestId, status, fields = {}, from = SigningRequest.OPEN_STATUSES) {
+    const request = await SigningRequest.findOneAndUpdate(
+      { signingRequestId, status: { $in: from } },
+      { $set: { ...fields, status, completedAt: new Date() }, $unset: { openNonce: '' } },
+      { new: true }
+    );
+    if (request) {
+      console.log(`${status === 'confirmed' ? '✅' : '⚠️'} Signing request ${signingRequestId} ${status}`);
+      this.emit(status, request);
+    }
+    return request;
+  }
+
+  async expireStale() {
+    const stale = await SigningRequest.find({ status: 'awaiting_signature', expiresAt: { $lte: new Date() } })
+      .select('signingRequestId')
+      .lean();
+
+    for (const { signingRequestId } of stale) {
+      await this.finish(signingRequestId, 'expired', { error: 'Not signed before expiry' }, ['awaiting_signature']);
+    }
+  }
+
+  async importSignature(signingRequestId, signedTransaction, actor) {
+    await this.expireStale();
+
+    const request = await SigningRequest.findOne({ signingRequestId });
+    if (!request) {
+      throw this.fail('Signing request not found', 404);
+    }
+    if (request.status !== 'awaiting_signature') {
+      throw this.fail(`Signing request is ${request.status}`, 409);
+    }
+
+    const { raw, signature } = this.verifySignedTransaction(request, signedTransaction);
+
+    const claimed = await SigningRequest.findOneAndUpdate(
+      { signingRequestId, status: 'awaiting_signature' },
+      {
+        $set: {
+          status: 'submitted',
+          signedTransaction: raw.toString('base64'),
+          signature,
+          importedBy: actor,
+          importedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw this.fail('Signing request is no longer awaiting a signature', 409);
+    }
+
+    try {
+      await this.getConnection().sendRawTransaction(raw, { skipPreflight: false, maxRetries: 0 });
+      console.log(`📤 Signing request ${signingRequestId} broadcast (tx: ${signature.slice(0, 16)}...)`);
+    } catch (error) {
+      if (isPreflightRejection(error)) {
+        return this.finish(signingRequestId, 'failed', { error: `Transaction rejected: ${error.message}` });
+      }
+      // Unknown outcome; the confirmation check decides
+      console.warn(`⚠️ Signing request ${signingRequestId} broadcast error:`, error.message);
+    }
+
+    return this.refresh(signingRequestId, { waitMs: this.confirmWaitMs });
+  }
+
+  // Check a submitted request on-chain, resending the identical transaction while
+  // it is unseen (the nonce keeps it valid and the signature keeps it single-use)
+  async refresh(signingRequestId, { waitMs = 0 } = {}) {
+    const deadline = Date.now() + waitMs;
+    const connection = this.getConnection();
+
+    for (;;) {
+      const request = await SigningRequest.findOne({ signingRequestId });
+      if (!request) {
+        throw this.fail('Signing request not found', 404);
+      }
+      if (request.status !== 'submitted') {
+        return request;
+      }
+
+      const { value } = await connection.getSignatureStatuses([request.signature], { searchTransactionHistory: true });
+      const status = value?.[0];
+      if (status?.err) {
+        return this.finish(signingRequestId, 'failed', { error: `Transaction failed on-chain: ${JSON.stringify(status.err)}` });
+      }
+      if (['confirmed', 'finalized'].includes(status?.confirmationStatus)) {
+        return this.finish(signingRequestId, 'confirmed');
+      }
+
+      if (!status) {
+        await connection.sendRawTransaction(Buffer.from(request.signedTransaction, 'base64'), { skipPreflight: true, maxRetries: 0 })
+          .catch(error => console.warn(`⚠️ Signing request ${signingRequestId} resend error:`, error.message));
+      }
+      if (Date.now() >= deadline) {
+        return request;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.checkDelayMs));
+    }
+  }
+
+  // Only before a signature is imported. A copy already signed offline stays valid
+  // until its nonce advances, so do not broadcast it after cancelling.
+  async cancel(signingRequestId, reason, actor) {
+    if (!reason) {
+      throw this.fail('A reason is required to cancel a signing request');
+    }
+
+    const request = await SigningRequest.findOne({ signingRequestId });
+    if (!request) {
+      throw this.fail('Signing request not found', 404);
+    }
+    if (request.status !== 'awaiting_signature') {
+      throw this.fail(`Signing request is ${request.status}`, 409);
+    }
+
+    const cancelled = await this.finish(signingRequestId, 'cancelled', { error: reason, cancelledBy: actor }, ['awaiting_signature']);
+    if (!cancelled) {
+      throw this.fail('Signing request is no longer awaiting a signature', 409);
+    }
+    return cancelled;
+  }
+
+  async get(signingRequestId) {
+    await this.expireStale();
+
+    const request = await SigningRequest.findOne({ signingRequestId }).lean();
+    if (!request) {
+      throw this.fail('Signing request not found', 404);
+    }
+    return request;
+  }
+
+  async list({ status, accountType, limit = 50, skip = 0 } = {}) {
+    await this.expireStale();
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (accountType) query.accountType = accountType;
+
+    const [requests, total] = await Promise.all([
+      SigningRequest.find(query)
+        .select('-unsignedTransaction -signedTransaction -message')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SigningRequest.countDocuments(query)
+    ]);
+    return { requests, total };
+  }
+}
+
+module.exports = new TreasurySignerService();
+module.exports.TreasurySignerService = TreasurySignerService;
+module.exports.SIGNING_POLICIES = SIGNING_POLICIES;
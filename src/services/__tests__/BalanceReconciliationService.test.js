@@ -0,0 +1,139 @@
+// src/services/__tests__/BalanceReconciliationService.test.js
+// Discrepancy classification and guarded corrections. The ledger and models are
+// stubbed: no database or RPC.
+jest.mock('../BalanceSyncService', () => ({
+  TOKEN_MINTS: { GG: 'gg-mint' },
+  getTokenBalance: jest.fn()
+}));
+jest.mock('../LedgerService', () => ({
+  accounts: {
+    user: id => `user:${id}`,
+    external: (name, asset) => `external:${name}:${asset}`
+  },
+  transaction: jest.fn(async work => work('session')),
+  balanceOf: jest.fn(),
+  transfer: jest.fn()
+}));
+
+const BalanceDiscrepancy = require('../../models/BalanceDiscrepancy');
+const BalanceCorrection = require('../../models/BalanceCorrection');
+const Payout = require('../../models/Payout');
+const ledger = require('../LedgerService');
+const { BalanceReconciliationService } = require('../BalanceReconciliationService');
+
+const service = new BalanceReconciliationService();
+const admin = { userId: 'admin_1', email: 'admin@example.com', role: 'super_admin' };
+
+describe('classify', () => {
+  test('balances that agree with nothing in flight need no finding', () => {
+    expect(service.classify({ offChain: 100, onChain: 100, pending: 0 })).toBeNull();
+    expect(service.classify({ offChain: 100, onChain: 100.0000001, pending: 0 })).toBeNull();
+  });
+
+  test('a gap covered by payouts still in flight is unsettled, not corrected', () => {
+    expect(service.classify({ offChain: 100, onChain: 60, pending: 40 }))
+      .toEqual({ classification: 'unsettled_rewards', residual: 0, proposedCorrection: 0 });
+  });
+
+  test('more on-chain than off-chain is unknown inbound, corrected upwards', () => {
+    expect(service.classify({ offChain: 100, onChain: 125, pending: 0 }))
+      .toEqual({ classification: 'unknown_inbound', residual: -25, proposedCorrection: 25 });
+  });
+
+  test('more off-chain than on-chain and in flight is drift, corrected downwards', () => {
+    expect(service.classify({ offChain: 100, onChain: 60, pending: 10 }))
+      .toEqual({ classification: 'drift', residual: 30, proposedCorrection: -30 });
+  });
+
+  test('the tolerance decides what counts as a gap', () => {
+    expect(service.classify({ offChain: 100, onChain: 99.5, pending: 0 }, 1)).toBeNull();
+  });
+});
+
+describe('pendingPayoutsByWallet', () => {
+  test('only counts GG payouts not yet on-chain', async () => {
+    const aggregate = jest.spyOn(Payout, 'aggregate').mockResolvedValue([
+      { _id: 'wallet_1', amount: 40, payoutIds: ['p1', 'p2'] }
+    ]);
+
+    const pending = await service.pendingPayoutsByWallet();
+
+    expect(aggregate.mock.calls[0][0][0]).toEqual({
+      $match: { mint: 'gg-mint', status: { $in: ['intent', 'submitted'] } }
+    });
+    expect(pending.get('wallet_1')).toEqual({ amount: 40, payoutIds: ['p1', 'p2'] });
+  });
+});
+
+describe('approve', () => {
+  let discrepancy;
+
+  beforeEach(() => {
+    discrepancy = {
+      _id: 'disc_1',
+      userId: 'user_1',
+      runId: 'run_1',
+      status: 'open',
+      classification: 'drift',
+      offChainBalance: 100,
+      proposedCorrection: -30
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(BalanceDiscrepancy, 'findById').mockImplementation(async () => discrepancy);
+    jest.spyOn(BalanceDiscrepancy, 'findOneAndUpdate').mockImplementation(async () => ({ ...discrepancy, status: 'approved' }));
+    jest.spyOn(BalanceCorrection, 'create').mockImplementation(async ([doc]) => [doc]);
+    ledger.balanceOf.mockResolvedValue(100);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ledger.transaction.mockClear();
+    ledger.balanceOf.mockReset();
+    ledger.transfer.mockReset();
+  });
+
+  test('posts the correction against the balance the run saw', async () => {
+    const { correction } = await service.approve('disc_1', admin, 'Missed burn');
+
+    expect(ledger.balanceOf).toHaveBeenCalledWith('user:user_1', { session: 'session' });
+    expect(ledger.transfer).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'user:user_1',
+      to: 'external:reconciliation:GG',
+      amount: 30,
+      idempotencyKey: 'balance_correction:disc_1',
+      session: 'session'
+    }));
+    expect(correction).toMatchObject({ amount: -30, balanceBefore: 100, balanceAfter: 70, reason: 'Missed burn' });
+  });
+
+  test('refuses when the balance changed since the run', async () => {
+    ledger.balanceOf.mockResolvedValue(90);
+
+    await expect(service.approve('disc_1', admin, 'Missed burn'))
+      .rejects.toMatchObject({ status: 409, message: expect.stringMatching('changed since this reconciliation run') });
+    expect(ledger.transfer).not.toHaveBeenCalled();
+    expect(BalanceCorrection.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses when another approver resolved it first', async () => {
+    BalanceDiscrepancy.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(service.approve('disc_1', admin, 'Missed burn'))
+      .rejects.toMatchObject({ status: 409, message: 'Discrepancy is no longer open' });
+  });
+
+  test('refuses a correction that would leave a negative balance', async () => {
+    discrepancy.proposedCorrection = -130;
+
+    await expect(service.approve('disc_1', admin, 'Missed burn'))
+      .rejects.toMatchObject({ status: 409, message: 'Correction would leave a negative balance' });
+    expect(ledger.transaction).not.toHaveBeenCalled();
+  });
+
+  test('unsettled rewards have nothing to approve', async () => {
+    discrepancy = { ...discrepancy, classification: 'unsettled_rewards', proposedCorrection: 0 };
+
+    await expect(service.approve('disc_1', admin, 'Checked')).rejects.toMatchObject({ status: 409 });
+    expect(ledger.transaction).not.toHaveBeenCalled();
+  });
+});
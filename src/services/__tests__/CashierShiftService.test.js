@@ -0,0 +1,268 @@
+// src/services/__tests__/CashierShiftService.test.js
+// Drawer math, the printable summary, and opening, closing and signing off shifts.
+// CashierShift reads and the guarded updates are stubbed on the model.
+const CashierShift = require('../../models/CashierShift');
+const { CashierShiftService, drawerMath } = require('../CashierShiftService');
+
+const shifts = new CashierShiftService();
+
+function shift(overrides = {}) {
+  return {
+    shiftId: 'a1b2c3d4-0000-4000-8000-000000000000',
+    storeId: 'store_1',
+    drawer: 'main',
+    cashier: { userId: 'u1', email: 'cashier@venue.test' },
+    status: 'open',
+    openingFloat: 500,
+    openedAt: new Date('2026-03-01T14:00:00Z'),
+    activity: { cashouts: 3, cashPaid: 180.5, tokensConverted: 190000, commission: 9.5, reversals: 1, cashReturned: 40 },
+    ...overrides
+  };
+}
+
+describe('drawerMath', () => {
+  test('expected cash is float less cash paid plus cash returned', () => {
+    expect(drawerMath(shift())).toEqual({ expectedCash: 359.5 });
+  });
+
+  test('over/short is counted less expected, rounded to cents', () => {
+    expect(drawerMath(shift(), 359.49)).toEqual({ expectedCash: 359.5, countedCash: 359.49, overShort: -0.01, signoffRequired: false });
+  });
+
+  test('sign-off is required past the threshold either way', () => {
+    expect(drawerMath(shift(), 380, 20).signoffRequired).toBe(true);
+    expect(drawerMath(shift(), 339.5, 20).signoffRequired).toBe(false);
+    expect(drawerMath(shift(), 339.49, 20).signoffRequired).toBe(true);
+  });
+});
+
+describe('access', () => {
+  test('the cashier reaches their own shift; other venues do not', () => {
+    expect(shifts.assertAccess(shift(), { userId: 'u1', role: 'venue_manager', assignedVenues: [] }).isCashier).toBe(true);
+    expect(() => shifts.assertAccess(shift(), { userId: 'u2', role: 'venue_manager', assignedVenues: ['store_2'] })).toThrow('Access denied');
+    expect(() => shifts.assertAccess(shift(), { userId: 'u2', role: 'venue_staff', assignedVenues: ['store_1'] }, { manage: true }))
+      .toThrow('Management permissions');
+  });
+});
+
+describe('renderSummary', () => {
+  test('prints totals, lines and the sign-off state within 40 columns', () => {
+    const closed = shift({
+      status: 'pending_signoff',
+      closedAt: new Date('2026-03-01T22:00:00Z'),
+      expectedCash: 359.5,
+      countedCash: 330,
+      overShort: -29.5,
+      signoffRequired: true,
+      signoffThreshold: 20
+    });
+    const text = shifts.renderSummary({
+      shift: closed,
+      lines: [
+        { at: new Date('2026-03-01T15:10:00Z'), type: 'cashout', transactionId: 'TXN-1772377800000-abc123', cash: -100, reversed: true },
+        { at: new Date('2026-03-01T16:00:00Z'), type: 'cashout_reversal', transactionId: 'TXN-1772377800000-abc123', cash: 40, reversed: false }
+      ]
+    });
+
+    expect(text).toContain('Expected in drawer');
+    expect(text).toMatch(/Over\/short\s+-\$29\.50/);
+    expect(text).toContain('15:10 OUT');
+    expect(text).toContain('* later reversed');
+    expect(text).toContain('Manager sign-off required (over $20.00)');
+    expect(Math.max(...text.split('\n').map(line => line.length))).toBeLessThanOrEqual(40);
+  });
+});
+
+describe('open', () => {
+  const cashier = { userId: '64b000000000000000000001', email: 'cashier@venue.test', role: 'venue_staff' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('saves an open shift with the float rounded to cents', async () => {
+    const save = jest.spyOn(CashierShift.prototype, 'save').mockResolvedValue();
+
+    const opened = await shifts.open(cashier, 'store_1', { openingFloat: '250.005', drawer: ' back ' });
+
+    expect(save).toHaveBeenCalled();
+    expect(opened).toMatchObject({ storeId: 'store_1', drawer: 'back', status: 'open', openingFloat: 250.01 });
+    expect(opened.history.map(h => h.action)).toEqual(['open']);
+  });
+
+  test.each([-1, 50001, 'lots'])('refuses an opening float of %p', async openingFloat => {
+    const save = jest.spyOn(CashierShift.prototype, 'save');
+
+    await expect(shifts.open(cashier, 'store_1', { openingFloat })).rejects.toMatchObject({ status: 400 });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('a second open shift for the cashier conflicts', async () => {
+    jest.spyOn(CashierShift.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    jest.spyOn(CashierShift, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ shiftId: 'shift-open', storeId: 'store_2' }) }) });
+
+    await expect(shifts.open(cashier, 'store_1', { openingFloat: 100 }))
+      .rejects.toMatchObject({ status: 409, message: 'You already have an open shift (shift-open at store_2)' });
+  });
+
+  test('a drawer already open at the venue conflicts', async () => {
+    jest.spyOn(CashierShift.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    jest.spyOn(CashierShift, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+    await expect(shifts.open(cashier, 'store_1', { openingFloat: 100 }))
+      .rejects.toMatchObject({ status: 409, message: 'Drawer main is already open at this venue' });
+  });
+});
+
+describe('close', () => {
+  const cashier = { userId: 'u1', email: 'cashier@venue.test', role: 'venue_staff', assignedVenues: ['store_1'] };
+  let stored;
+
+  beforeEach(() => {
+    stored = shift();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(CashierShift, 'findOne').mockImplementation(async () => ({ ...stored, activity: { ...stored.activity } }));
+    // Applies the close only when the shift is still open with the activity it was counted against
+    jest.spyOn(CashierShift, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status ||
+        stored.activity.cashouts !== filter['activity.cashouts'] ||
+        stored.activity.reversals !== filter['activity.reversals']) {
+        return null;
+      }
+      stored = { ...stored, ...update.$set };
+      return stored;
+    });
+    jest.spyOn(shifts, 'settleStoreWallets').mockImplementation(async closed => closed);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('closes a drawer within the threshold', async () => {
+    const closed = await shifts.close('shift-1', cashier, { countedCash: 355 });
+
+    expect(closed).toMatchObject({ status: 'closed', expectedCash: 359.5, countedCash: 355, overShort: -4.5, signoffRequired: false });
+    expect(shifts.settleStoreWallets).toHaveBeenCalledWith(closed);
+  });
+
+  test('holds a drawer past the threshold for sign-off', async () => {
+    const closed = await shifts.close('shift-1', cashier, { countedCash: 330, note: 'short a twenty' });
+
+    expect(closed).toMatchObject({ status: 'pending_signoff', overShort: -29.5, signoffRequired: true, closeNote: 'short a twenty' });
+  });
+
+  test('recounts when a cashout lands mid-close, then asks for a new count', async () => {
+    // Every read sees one fewer cashout than the stored shift has
+    CashierShift.findOne.mockImplementation(async () => ({ ...stored, activity: { ...stored.activity, cashouts: stored.activity.cashouts - 1 } }));
+
+    await expect(shifts.close('shift-1', cashier, { countedCash: 355 }))
+      .rejects.toMatchObject({ status: 409, message: 'Drawer activity changed while closing; count again' });
+    expect(CashierShift.findOneAndUpdate).toHaveBeenCalledTimes(3);
+    expect(stored.status).toBe('open');
+  });
+
+  test('only the cashier or a venue manager can close it, and only once', async () => {
+    const otherStaff = { userId: 'u2', email: 'staff@venue.test', role: 'venue_staff', assignedVenues: ['store_1'] };
+    await expect(shifts.close('shift-1', otherStaff, { countedCash: 355 })).rejects.toMatchObject({ status: 403 });
+
+    stored.status = 'closed';
+    await expect(shifts.close('shift-1', cashier, { countedCash: 355 })).rejects.toMatchObject({ status: 409, message: 'Shift is closed' });
+    expect(CashierShift.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('requires a counted amount', async () => {
+    await expect(shifts.close('shift-1', cashier, {})).rejects.toMatchObject({ status: 400 });
+    expect(CashierShift.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('signoff', () => {
+  const manager = { userId: 'u9', email: 'manager@venue.test', role: 'venue_manager', assignedVenues: ['store_1'] };
+  let stored;
+
+  beforeEach(() => {
+    stored = shift({ status: 'pending_signoff', overShort: -29.5, signoffRequired: true });
+    jest.spyOn(CashierShift, 'findOne').mockImplementation(async () => ({ ...stored }));
+    jest.spyOn(CashierShift, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored = { ...stored, ...update.$set };
+      return stored;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a manager other than the cashier closes the shift with a note', async () => {
+    const signed = await shifts.signoff('shift-1', manager, { note: ' Counted twice ' });
+
+    expect(signed.status).toBe('closed');
+    expect(signed.signoff).toMatchObject({ userId: 'u9', note: 'Counted twice' });
+  });
+
+  test('the cashier cannot sign off their own shift, even as a manager', async () => {
+    const cashierManager = { ...manager, userId: 'u1' };
+
+    await expect(shifts.signoff('shift-1', cashierManager, { note: 'fine' })).rejects.toMatchObject({ status: 403 });
+    expect(CashierShift.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('staff without management rights cannot sign off', async () => {
+    const staff = { ...manager, role: 'venue_staff' };
+
+    await expect(shifts.signoff('shift-1', staff, { note: 'fine' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('needs a note and a shift still awaiting sign-off', async () => {
+    await expect(shifts.signoff('shift-1', manager, { note: '  ' })).rejects.toMatchObject({ status: 400 });
+
+    stored.status = 'closed';
+    await expect(shifts.signoff('shift-1', manager, { note: 'fine' })).rejects.toMatchObject({ status: 409, message: 'Shift is closed' });
+  });
+
+  test('a concurrent sign-off wins once', async () => {
+    CashierShift.findOne.mockResolvedValue({ ...stored });
+    stored.status = 'closed';
+
+    await expect(shifts.signoff('shift-1', manager, { note: 'fine' }))
+      .rejects.toMatchObject({ status: 409, message: 'Shift is no longer awaiting sign-off' });
+  });
+});
+
+describe('open shift requirement', () => {
+  const cashout = { storeId: 'store_1', staffId: 'u1', cashPaid: 100, tokens: 100000, commission: 5 };
+
+  afterEach(() => {
+    delete process.env.CASHOUT_REQUIRE_OPEN_SHIFT;
+    jest.restoreAllMocks();
+  });
+
+  // The setting is read when the module loads; no open drawer matches the update
+  function loadWith(value) {
+    if (value !== undefined) process.env.CASHOUT_REQUIRE_OPEN_SHIFT = value;
+    let service;
+    jest.isolateModules(() => {
+      jest.spyOn(require('../../models/CashierShift'), 'findOneAndUpdate').mockResolvedValue(null);
+      service = require('../CashierShiftService');
+    });
+    return service;
+  }
+
+  test('is off by default: cashouts without an open drawer are not tied to a shift', async () => {
+    const service = loadWith(undefined);
+
+    expect(service.requireOpenShift).toBe(false);
+    await expect(service.recordCashout(cashout)).resolves.toBeNull();
+  });
+
+  test('CASHOUT_REQUIRE_OPEN_SHIFT=true refuses cashouts without an open drawer', async () => {
+    const service = loadWith('true');
+
+    expect(service.requireOpenShift).toBe(true);
+    await expect(service.recordCashout(cashout)).rejects.toThrow('No open cashier shift');
+  });
+
+  test('any other value leaves it off', () => {
+    expect(loadWith('1').requireOpenShift).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+// src/services/__tests__/CashoutRequestService.test.js
+// Confirmation code handling, access checks and outcome recording. No database:
+// model and CashoutService calls are stubbed where a method needs them.
+const { CashoutRequestService, hashCode, maskEmail } = require('../CashoutRequestService');
+
+const requests = new CashoutRequestService();
+
+describe('confirmation codes', () => {
+  test('are hashed per request, so one code cannot confirm another request', () => {
+    expect(hashCode('req-1', '123456')).toBe(hashCode('req-1', '123456'));
+    expect(hashCode('req-1', '123456')).not.toBe(hashCode('req-2', '123456'));
+    expect(hashCode('req-1', '123456')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('never leave the service in a described request', () => {
+    const described = requests.describe({ requestId: 'req-1', codeHash: 'secret', status: 'pending' });
+    expect(described).toEqual({ requestId: 'req-1', status: 'pending' });
+  });
+
+  test('delivery address is masked', () => {
+    expect(maskEmail('jordan@example.com')).toBe('j***@example.com');
+    expect(maskEmail('')).toBeNull();
+  });
+});
+
+describe('venue access', () => {
+  const request = { storeId: 'store_1' };
+
+  test('staff must be assigned to the request venue', () => {
+    expect(() => requests.assertVenueAccess(request, { role: 'venue_manager', assignedVenues: ['store_1'] })).not.toThrow();
+    expect(() => requests.assertVenueAccess(request, { role: 'venue_manager', assignedVenues: ['store_2'] })).toThrow('Access denied');
+  });
+
+  test('players never act as staff', () => {
+    expect(() => requests.assertVenueAccess(request, { role: 'user' })).toThrow('Access denied');
+  });
+});
+
+describe('risk notes', () => {
+  test('list the rules that fired against the hold score', () => {
+    const note = requests.riskNote({ score: 65, holdScore: 50, signals: [{ rule: 'new_account', score: 30 }, { rule: 'near_transaction_limit', score: 35 }] });
+    expect(note).toBe('Risk score 65/50 (new_account +30, near_transaction_limit +35)');
+    expect(requests.riskNote({ score: 0, holdScore: 50, signals: [] })).toBe('Risk score 0/50');
+  });
+});
+
+describe('quoted terms', () => {
+  const CashoutService = require('../CashoutService');
+  const config = { tokensPerDollar: 1000, venueCommissionPercent: 5 };
+
+  test('hold while the rate and commission are unchanged', () => {
+    expect(CashoutService.quoteChanged(config, { exchangeRate: 1000, commissionPercent: 5 })).toBeNull();
+    expect(CashoutService.quoteChanged(config, null)).toBeNull();
+  });
+
+  test('a changed rate or commission refuses the payout', () => {
+    expect(CashoutService.quoteChanged(config, { exchangeRate: 800, commissionPercent: 5 })).toMatch('Exchange rate changed from 800 to 1000');
+    expect(CashoutService.quoteChanged(config, { exchangeRate: 1000, commissionPercent: 0 })).toMatch('Venue commission changed from 0% to 5%');
+  });
+
+  test('requests from before commission was quoted are checked on the rate alone', () => {
+    expect(CashoutService.quoteChanged(config, { exchangeRate: 1000 })).toBeNull();
+  });
+});
+
+describe('completing a claimed request', () => {
+  const CashoutService = require('../CashoutService');
+  const CashoutRequest = require('../../models/CashoutRequest');
+  const initiatedBy = { userId: '64b000000000000000000001', email: 'opening@venue.test', role: 'venue_staff' };
+  const claimed = {
+    requestId: 'req-1',
+    customerId: '64b000000000000000000002',
+    storeId: 'store_1',
+    tokensToConvert: 50000,
+    exchangeRate: 1000,
+    commissionPercent: 0,
+    initiatedBy,
+    confirmedBy: { userId: '64b000000000000000000002', method: 'app', at: new Date() }
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a thrown error fails the request instead of leaving it processing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CashoutService, 'processCashout').mockRejectedValue(new Error('Transaction numbers are only allowed on a replica set'));
+    const update = jest.spyOn(CashoutRequest, 'findOneAndUpdate').mockResolvedValue({ requestId: 'req-1', status: 'failed' });
+
+    const { result } = await requests.complete(claimed);
+
+    expect(result).toEqual({ success: false, error: 'Transaction numbers are only allowed on a replica set' });
+    expect(update.mock.calls[0][0]).toEqual({ requestId: 'req-1', status: 'processing' });
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'failed', error: result.error });
+  });
+
+  test('a cashout approved on review is paid from the paying cashier, not the initiator', async () => {
+    const cashier = { userId: '64b000000000000000000003', email: 'closing@venue.test', role: 'venue_staff' };
+    const process = jest.spyOn(CashoutService, 'processCashout').mockResolvedValue({ success: true, transaction: { transactionId: 'tx-1' } });
+    jest.spyOn(CashoutRequest, 'findOneAndUpdate').mockResolvedValue({ requestId: 'req-1', status: 'completed' });
+
+    await requests.complete({ ...claimed, paidBy: cashier }, cashier);
+
+    expect(process.mock.calls[0][3]).toBe(cashier.userId);
+    expect(process.mock.calls[0][5]).toMatchObject({ initiatedBy, paidBy: cashier });
+  });
+});
@@ -0,0 +1,102 @@
+// src/services/__tests__/CashoutRiskService.test.js
+// Scoring rules over gathered facts, and the facts assess() gathers for them.
+// Models are stubbed: no database.
+const mongoose = require('mongoose');
+const JournalEntry = require('../../models/JournalEntry');
+const LuckEvent = require('../../models/LuckEvent');
+const businessDay = require('../../utils/businessDay');
+const cashoutRisk = require('../CashoutRiskService');
+const { evaluate } = cashoutRisk;
+
+const now = new Date('2026-06-10T20:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+function facts(overrides = {}) {
+  return {
+    now,
+    cashAmount: 50,
+    storeId: 'store_1',
+    staffId: 'staff_1',
+    tokensPerDollar: 1000,
+    maxCashoutPerTransaction: 500,
+    dailyLimitPerCustomer: 1000,
+    todayTotal: 0,
+    accountCreatedAt: new Date('2025-01-01'),
+    winningsTokens: 0,
+    cashouts: [],
+    ...overrides
+  };
+}
+
+const rules = result => result.signals.map(signal => signal.rule);
+
+describe('evaluate', () => {
+  test('an ordinary cashout scores nothing', () => {
+    expect(evaluate(facts())).toEqual({ score: 0, signals: [] });
+  });
+
+  test('venue velocity grows with each extra venue, capped', () => {
+    const cashouts = [
+      { usdAmount: 20, storeId: 'store_2', staffId: 'staff_2', createdAt: hoursAgo(3) },
+      { usdAmount: 20, storeId: 'store_3', staffId: 'staff_3', createdAt: hoursAgo(5) },
+      { usdAmount: 20, storeId: 'store_4', staffId: 'staff_4', createdAt: hoursAgo(6) },
+      { usdAmount: 20, storeId: 'store_5', staffId: 'staff_5', createdAt: hoursAgo(30) }
+    ];
+    const result = evaluate(facts({ cashouts }));
+    expect(result.signals).toEqual([{ rule: 'venue_velocity', score: 40, detail: 'Cashouts at 4 venues in 24h' }]);
+  });
+
+  test('cashing out most of fresh luck/entropy winnings is flagged', () => {
+    expect(rules(evaluate(facts({ cashAmount: 150, winningsTokens: 200000 })))).toEqual(['recent_winnings']);
+    expect(rules(evaluate(facts({ cashAmount: 50, winningsTokens: 200000 })))).toEqual([]);
+  });
+
+  test('a large cashout from a new account is flagged', () => {
+    expect(rules(evaluate(facts({ cashAmount: 250, accountCreatedAt: hoursAgo(48) })))).toEqual(['new_account']);
+  });
+
+  test('the same staff member serving the customer repeatedly is flagged', () => {
+    const cashouts = [
+      { usdAmount: 20, storeId: 'store_1', staffId: 'staff_1', createdAt: hoursAgo(30) },
+      { usdAmount: 20, storeId: 'store_1', staffId: 'staff_1', createdAt: hoursAgo(80) }
+    ];
+    expect(rules(evaluate(facts({ cashouts })))).toEqual(['staff_repeat']);
+  });
+
+  test('repeated near-maximum cashouts and a near-limit day add up past the hold score', () => {
+    const cashouts = [{ usdAmount: 480, storeId: 'store_1', staffId: 'staff_2', createdAt: hoursAgo(26) }];
+    const result = evaluate(facts({ cashAmount: 490, todayTotal: 450, cashouts }));
+    expect(rules(result)).toEqual(['near_transaction_limit', 'near_daily_limit']);
+    expect(result.score).toBe(50);
+  });
+});
+
+describe('assess', () => {
+  const query = rows => ({ select: () => ({ lean: async () => rows }) });
+  const config = { tokensPerDollar: 1000, maxCashoutPerTransaction: 500, dailyLimitPerCustomer: 1000 };
+  let luckFilter;
+
+  beforeEach(() => {
+    jest.spyOn(businessDay, 'forStore').mockResolvedValue(businessDay.settingsFor(null));
+    jest.spyOn(mongoose, 'model').mockImplementation(name => ({
+      User: { findById: () => query({ createdAt: new Date('2025-01-01') }) },
+      Transaction: { find: () => query([]) }
+    }[name]));
+    jest.spyOn(JournalEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(LuckEvent, 'find').mockImplementation(filter => {
+      luckFilter = filter;
+      return query([{ ggEmission: 150000 }]);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a pending luck hit alone triggers recent_winnings', async () => {
+    const result = await cashoutRisk.assess({
+      customerId: 'user_1', storeId: 'store_1', staffId: 'staff_1', tokens: 120000, config, now
+    });
+
+    expect(result.signals.map(signal => signal.rule)).toEqual(['recent_winnings']);
+    expect(luckFilter).toMatchObject({ userId: 'user_1', payoutStatus: { $ne: 'failed' }, createdAt: { $gte: hoursAgo(24) } });
+  });
+});
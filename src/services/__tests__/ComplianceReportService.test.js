@@ -0,0 +1,262 @@
+// src/services/__tests__/ComplianceReportService.test.js
+// Business-day aggregation, incident detection and CSV export, and incidents
+// being recorded and moved through filing. ComplianceIncident reads, saves and
+// the guarded status update are stubbed on the model.
+const ComplianceIncident = require('../../models/ComplianceIncident');
+const compliance = require('../ComplianceReportService');
+const { dailyTotals, detectIncidents, toCsv } = compliance;
+
+// Default business day: America/New_York, midnight cutover
+const settings = { timezone: 'America/New_York', cutover: '00:00' };
+let seq = 0;
+const cashout = (userId, usdAmount, createdAt, storeId = 'store_1') => ({ _id: `tx${++seq}`, userId, usdAmount, createdAt: new Date(createdAt), storeId });
+
+const rules = { threshold: 10000, nearPercent: 80, windowDays: 3 };
+
+describe('dailyTotals', () => {
+  test('sums each customer per business day across venues', () => {
+    const days = dailyTotals([
+      cashout('u1', 4000, '2026-06-10T15:00:00Z', 'store_1'),
+      cashout('u1', 3000, '2026-06-10T22:00:00Z', 'store_2'),
+      // 11pm New York on the 10th is still the 10th
+      cashout('u1', 500, '2026-06-11T03:00:00Z', 'store_2'),
+      cashout('u2', 200, '2026-06-10T15:00:00Z')
+    ], settings);
+
+    expect(days).toHaveLength(2);
+    expect(days[0]).toMatchObject({ userId: 'u1', businessDay: '2026-06-10', totalCash: 7500, cashoutCount: 3, storeIds: ['store_1', 'store_2'] });
+    expect(days[1]).toMatchObject({ userId: 'u2', totalCash: 200 });
+  });
+});
+
+describe('detectIncidents', () => {
+  test('a day over the threshold is a threshold incident', () => {
+    const days = dailyTotals([
+      cashout('u1', 6000, '2026-06-10T15:00:00Z', 'store_1'),
+      cashout('u1', 4500, '2026-06-10T18:00:00Z', 'store_2')
+    ], settings);
+    const [incident] = detectIncidents(days, rules);
+    expect(incident).toMatchObject({ kind: 'threshold', businessDay: '2026-06-10', totalCash: 10500, storeIds: ['store_1', 'store_2'] });
+  });
+
+  test('exactly the threshold is not a crossing, but split cashouts reaching it are structuring', () => {
+    const days = dailyTotals([
+      cashout('u1', 5000, '2026-06-10T15:00:00Z'),
+      cashout('u1', 5000, '2026-06-10T16:00:00Z')
+    ], settings);
+    expect(detectIncidents(days, rules)).toEqual([expect.objectContaining({ kind: 'structuring', reasons: ['near_threshold_day'] })]);
+  });
+
+  test('one large cashout under the threshold is not structuring', () => {
+    const days = dailyTotals([cashout('u1', 9500, '2026-06-10T15:00:00Z')], settings);
+    expect(detectIncidents(days, rules)).toEqual([]);
+  });
+
+  test('consecutive days together over the threshold are flagged once per window', () => {
+    const days = dailyTotals([
+      cashout('u1', 4000, '2026-06-10T15:00:00Z'),
+      cashout('u1', 4000, '2026-06-11T15:00:00Z'),
+      cashout('u1', 4000, '2026-06-12T15:00:00Z'),
+      cashout('u1', 4000, '2026-06-13T15:00:00Z')
+    ], settings);
+    const incidents = detectIncidents(days, rules);
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0]).toMatchObject({ kind: 'structuring', reasons: ['multi_day'], windowStart: '2026-06-10', businessDay: '2026-06-12', totalCash: 12000, cashoutCount: 3 });
+  });
+});
+
+describe('toCsv', () => {
+  const report = {
+    incident: { incidentId: 'inc-1', kind: 'threshold', reasons: [], status: 'open', businessDay: '2026-06-10', threshold: 10000, totalCash: 10500, cashoutCount: 2, filing: { dueBy: new Date('2026-06-25T00:00:00Z') } },
+    customer: {
+      userId: 'u1', firstName: '=HYPERLINK("x")', lastName: 'O"Neil', email: 'c@example.com',
+      kyc: { status: 'verified', documents: [{ type: 'license' }] },
+      verifyingVenue: { storeId: 'store_1', storeName: 'Main St', address: '1 Main St, Nashville, TN' }
+    },
+    transactions: [
+      { transactionId: 'CO-1', at: new Date('2026-06-10T15:00:00Z'), storeId: 'store_1', storeName: 'Main St', cashAmount: 6000, tokens: 6000000 },
+      { transactionId: 'CO-2', at: new Date('2026-06-10T18:00:00Z'), storeId: 'store_2', storeName: 'Broadway', cashAmount: 4500, tokens: 4500000 }
+    ]
+  };
+
+  test('one row per cashout with customer and verifying venue columns', () => {
+    const lines = toCsv(report).trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0].startsWith('incidentId,kind,reasons,status,businessDay')).toBe(true);
+    expect(lines[1]).toContain('"CO-1"');
+    expect(lines[2]).toContain('"Broadway"');
+    expect(lines[1]).toContain('"1 Main St, Nashville, TN"');
+  });
+
+  test('escapes quotes and defuses spreadsheet formulas', () => {
+    const row = toCsv(report).split('\n')[1];
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    expect(row).toContain('"O""Neil"');
+  });
+});
+
+describe('recording incidents', () => {
+  const customerId = '64b0000000000000000000c1';
+  let saved;
+
+  function found(overrides = {}) {
+    return {
+      kind: 'threshold',
+      reasons: [],
+      threshold: 10000,
+      userId: customerId,
+      businessDay: '2026-06-10',
+      windowStart: '2026-06-10',
+      totalCash: 10500,
+      cashoutCount: 2,
+      storeIds: ['store_1', 'store_2'],
+      transactionIds: ['64b0000000000000000000a1', '64b0000000000000000000a2'],
+      firstAt: new Date('2026-06-10T15:00:00Z'),
+      lastAt: new Date('2026-06-10T18:00:00Z'),
+      ...overrides
+    };
+  }
+
+  function existing(fields = {}) {
+    return new ComplianceIncident({ ...found(), incidentId: 'inc-1', ...fields });
+  }
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(ComplianceIncident.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(ComplianceIncident, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a new incident is flagged open with a filing deadline', async () => {
+    jest.spyOn(ComplianceIncident, 'findOne').mockResolvedValue(null);
+
+    expect(await compliance.upsert(found())).toBe('created');
+
+    const [incident] = saved;
+    expect(ComplianceIncident.findOne).toHaveBeenCalledWith({ userId: customerId, kind: 'threshold', businessDay: '2026-06-10' });
+    expect(incident).toMatchObject({ status: 'open', totalCash: 10500 });
+    expect(incident.filing.dueBy).toEqual(new Date('2026-06-25T00:00:00Z'));
+    expect(incident.history[0]).toMatchObject({ action: 'flag', status: 'open', userId: 'system', note: 'over threshold: $10500.00 over 2 cashout(s) at 2 venue(s)' });
+  });
+
+  test('an incident another instance recorded first is left alone', async () => {
+    jest.spyOn(ComplianceIncident, 'findOne').mockResolvedValue(null);
+    ComplianceIncident.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    expect(await compliance.upsert(found())).toBeNull();
+  });
+
+  test('a multi-day window overlapping one already flagged is not recorded again', async () => {
+    jest.spyOn(ComplianceIncident, 'findOne').mockResolvedValue(null);
+    ComplianceIncident.exists.mockResolvedValue({ _id: 'earlier' });
+
+    const outcome = await compliance.upsert(found({ kind: 'structuring', reasons: ['multi_day'], windowStart: '2026-06-09', businessDay: '2026-06-11' }));
+
+    expect(outcome).toBeNull();
+    expect(ComplianceIncident.exists).toHaveBeenCalledWith(expect.objectContaining({ businessDay: { $gte: '2026-06-09', $lt: '2026-06-11' } }));
+    expect(saved).toEqual([]);
+  });
+
+  test('a rescan with the same totals changes nothing; new totals update the incident', async () => {
+    const incident = existing();
+    jest.spyOn(ComplianceIncident, 'findOne').mockResolvedValue(incident);
+
+    expect(await compliance.upsert(found())).toBeNull();
+    expect(saved).toEqual([]);
+
+    expect(await compliance.upsert(found({ totalCash: 12500, cashoutCount: 3 }))).toBe('updated');
+    expect(saved).toEqual([incident]);
+    expect(incident).toMatchObject({ totalCash: 12500, cashoutCount: 3, status: 'open', amendmentNeeded: false });
+    expect(incident.history.at(-1)).toMatchObject({ action: 'update', status: 'open', note: 'Now $12500.00 over 3 cashout(s) at 2 venue(s)' });
+  });
+
+  test('new totals on a filed incident mark it for amendment', async () => {
+    const incident = existing({ status: 'filed', filing: { reference: 'CTR-1' } });
+    jest.spyOn(ComplianceIncident, 'findOne').mockResolvedValue(incident);
+
+    expect(await compliance.upsert(found({ totalCash: 12500 }))).toBe('updated');
+    expect(incident).toMatchObject({ status: 'filed', amendmentNeeded: true });
+    expect(incident.history.at(-1).note).toContain('filing needs an amendment');
+  });
+});
+
+describe('filing status', () => {
+  const officer = { userId: '64b000000000000000000001', email: 'compliance@gambino.test', role: 'super_admin' };
+  let stored;
+
+  function lean(value) {
+    return { lean: async () => value };
+  }
+
+  beforeEach(() => {
+    stored = { incidentId: 'inc-1', status: 'open', amendmentNeeded: false, filing: {}, history: [] };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ComplianceIncident, 'findOne').mockImplementation(({ incidentId }) => lean(stored.incidentId === incidentId ? { ...stored } : null));
+    jest.spyOn(ComplianceIncident, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      if (stored.status !== filter.status) return lean(null);
+      const next = { ...stored, filing: { ...stored.filing }, history: [...stored.history, update.$push.history] };
+      for (const [path, value] of Object.entries(update.$set)) {
+        const [head, field] = path.split('.');
+        if (field) next[head][field] = value;
+        else next[head] = value;
+      }
+      stored = next;
+      return lean(stored);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('filing records the reference and who filed it', async () => {
+    await expect(compliance.setStatus('inc-1', officer, 'filed')).rejects.toMatchObject({ status: 400, message: 'reference (the filing id) is required' });
+
+    const filed = await compliance.setStatus('inc-1', officer, 'filed', { reference: ' CTR-2026-0042 ' });
+
+    expect(ComplianceIncident.findOneAndUpdate.mock.calls[0][0]).toEqual({ incidentId: 'inc-1', status: 'open' });
+    expect(filed).toMatchObject({ status: 'filed', amendmentNeeded: false, filing: { reference: 'CTR-2026-0042', filedBy: officer } });
+    expect(filed.history).toEqual([expect.objectContaining({ action: 'file', status: 'filed', email: officer.email, note: 'Reference CTR-2026-0042' })]);
+  });
+
+  test('a filed incident is final unless its totals changed, which files an amendment', async () => {
+    stored = { ...stored, status: 'filed', filing: { reference: 'CTR-1' } };
+    await expect(compliance.setStatus('inc-1', officer, 'open')).rejects.toMatchObject({ status: 409, message: 'A filed incident cannot move to open' });
+    await expect(compliance.setStatus('inc-1', officer, 'filed', { reference: 'CTR-2' })).rejects.toMatchObject({ status: 409 });
+
+    stored.amendmentNeeded = true;
+    const amended = await compliance.setStatus('inc-1', officer, 'filed', { reference: 'CTR-2' });
+
+    expect(amended).toMatchObject({ amendmentNeeded: false, filing: { reference: 'CTR-2' } });
+    expect(amended.history.at(-1)).toMatchObject({ action: 'amend', status: 'filed' });
+  });
+
+  test('dismissing needs a note, and a dismissed incident can be reopened', async () => {
+    await expect(compliance.setStatus('inc-1', officer, 'dismissed', { note: '  ' })).rejects.toMatchObject({ status: 400 });
+
+    await compliance.setStatus('inc-1', officer, 'dismissed', { note: 'Payroll cashing agreed with the venue' });
+    const reopened = await compliance.setStatus('inc-1', officer, 'open');
+
+    expect(reopened.history.map(h => h.action)).toEqual(['dismiss', 'reopen']);
+  });
+
+  test('a status changed by someone else in between is refused', async () => {
+    ComplianceIncident.findOne.mockImplementationOnce(() => {
+      const read = { ...stored };
+      stored = { ...stored, status: 'in_review' };
+      return lean(read);
+    });
+
+    await expect(compliance.setStatus('inc-1', officer, 'filed', { reference: 'CTR-3' }))
+      .rejects.toMatchObject({ status: 409, message: 'Incident changed while updating; reload and try again' });
+    expect(stored.status).toBe('in_review');
+  });
+
+  test('unknown statuses and incidents are refused', async () => {
+    await expect(compliance.setStatus('inc-1', officer, 'closed')).rejects.toMatchObject({ status: 400 });
+    await expect(compliance.setStatus('inc-9', officer, 'in_review')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,230 @@
+// src/services/__tests__/DailyReportRebuildService.test.js
+// Rebuilding Pi daily reports from their events: print batches, the dry-run diff and
+// the plan hash a commit must match. Event, DailyReport and VenueReconciliation
+// queries are stubbed: no database.
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const DailyReport = require('../../models/DailyReport');
+const VenueReconciliation = require('../../models/VenueReconciliation');
+const businessDay = require('../../utils/businessDay');
+const rebuilds = require('../DailyReportRebuildService');
+
+const STORE = 'store_1';
+const DAY = '2026-03-10';
+
+// Chainable query that resolves to rows
+function query(rows) {
+  const chain = {
+    sort: jest.fn(() => chain),
+    session: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    lean: jest.fn(async () => rows)
+  };
+  return chain;
+}
+
+function event(id, overrides = {}) {
+  return {
+    _id: id,
+    hubMachineId: 'hub-1',
+    gamingMachineId: 'machine_01',
+    eventType: 'money_in',
+    amount: 100,
+    mappingStatus: 'mapped',
+    timestamp: new Date(`${DAY}T18:00:00Z`),
+    processed: true,
+    generatedReportId: 'report-1',
+    ...overrides
+  };
+}
+
+// One print: IN and OUT for two machines, all linked to report-1
+function printEvents() {
+  return [
+    event('e1', { amount: 100 }),
+    event('e2', { eventType: 'money_out', amount: 40, timestamp: new Date(`${DAY}T18:00:05Z`) }),
+    event('e3', { gamingMachineId: 'machine_02', amount: 50, timestamp: new Date(`${DAY}T18:00:10Z`) })
+  ];
+}
+
+function storedReport(overrides = {}) {
+  return {
+    _id: 'report-1',
+    storeId: STORE,
+    hubId: 'hub-1',
+    printedAt: new Date(`${DAY}T18:00:10Z`),
+    totalMoneyIn: 150,
+    totalCollect: 40,
+    totalRevenue: 110,
+    machineCount: 2,
+    machineData: [
+      { machineId: 'machine_01', moneyIn: 100, collect: 40, netRevenue: 60, transactionCount: 2 },
+      { machineId: 'machine_02', moneyIn: 50, collect: 0, netRevenue: 50, transactionCount: 1 }
+    ],
+    ...overrides
+  };
+}
+
+function stubQueries({ events = printEvents(), reports = [storedReport()], reconciliations = [] } = {}) {
+  jest.spyOn(Event, 'find').mockImplementation(() => query(events));
+  jest.spyOn(DailyReport, 'find').mockImplementation(() => query(reports));
+  jest.spyOn(VenueReconciliation, 'find').mockImplementation(() => query(reconciliations));
+}
+
+beforeEach(() => {
+  jest.spyOn(businessDay, 'forStore').mockResolvedValue(businessDay.settingsFor(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('groupBatches', () => {
+  test('splits per hub and after a quiet gap, ordered by print time', () => {
+    const events = [
+      event('a1', { hubMachineId: 'hub-b', timestamp: new Date('2026-03-10T18:00:00Z') }),
+      event('a2', { hubMachineId: 'hub-b', timestamp: new Date('2026-03-10T18:00:50Z') }),
+      event('a3', { hubMachineId: 'hub-b', timestamp: new Date('2026-03-10T18:05:00Z') }),
+      event('b1', { hubMachineId: 'hub-a', timestamp: new Date('2026-03-10T18:00:30Z') })
+    ];
+
+    const batches = rebuilds.groupBatches(events);
+
+    expect(batches.map(b => [b.hubId, b.events.map(e => e._id)])).toEqual([
+      ['hub-a', ['b1']],
+      ['hub-b', ['a1', 'a2']],
+      ['hub-b', ['a3']]
+    ]);
+  });
+});
+
+describe('diffReport', () => {
+  test('lists changed totals and per-machine figures', () => {
+    const desired = {
+      ...storedReport(),
+      totalMoneyIn: 170,
+      totalRevenue: 130,
+      machineCount: 3,
+      machineData: [
+        { machineId: 'machine_01', moneyIn: 120, collect: 40, netRevenue: 80, transactionCount: 2 },
+        { machineId: 'machine_02', moneyIn: 50, collect: 0, netRevenue: 50, transactionCount: 1 },
+        { machineId: 'machine_03', moneyIn: 0, collect: 0, netRevenue: 0, transactionCount: 1 }
+      ]
+    };
+
+    expect(rebuilds.diffReport(storedReport(), desired)).toEqual([
+      { field: 'totalMoneyIn', from: 150, to: 170 },
+      { field: 'totalRevenue', from: 110, to: 130 },
+      { field: 'machineCount', from: 2, to: 3 },
+      { field: 'machineData.machine_01.moneyIn', from: 100, to: 120 },
+      { field: 'machineData.machine_01.netRevenue', from: 60, to: 80 },
+      { field: 'machineData.machine_03', from: null, to: 'present' }
+    ]);
+  });
+
+  test('is empty when the stored report matches', () => {
+    expect(rebuilds.diffReport(storedReport(), storedReport())).toEqual([]);
+  });
+});
+
+describe('plan (dry run)', () => {
+  test('a stored report that matches its events is unchanged and nothing is written', async () => {
+    stubQueries();
+    const updateOne = jest.spyOn(DailyReport, 'updateOne');
+    const create = jest.spyOn(DailyReport, 'create');
+
+    const plan = await rebuilds.plan(STORE, DAY, DAY);
+
+    expect(plan.summary).toMatchObject({ created: 0, updated: 0, removed: 0, unchanged: 1, orphaned: 0, events: 3 });
+    expect(plan.changes).toEqual([]);
+    expect(VenueReconciliation.find).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('diffs a stored report whose figures drifted and lists the reconciliations it moves', async () => {
+    stubQueries({
+      reports: [storedReport({ totalMoneyIn: 120, totalRevenue: 80 })],
+      reconciliations: [{ _id: 'rec-1', reconciliationDate: new Date(`${DAY}T00:00:00Z`), reconciliationStatus: 'reconciled' }]
+    });
+
+    const plan = await rebuilds.plan(STORE, DAY, DAY);
+
+    expect(plan.summary.updated).toBe(1);
+    expect(plan.changes).toEqual([expect.objectContaining({
+      action: 'update',
+      reportId: 'report-1',
+      fields: [
+        { field: 'totalMoneyIn', from: 120, to: 150 },
+        { field: 'totalRevenue', from: 80, to: 110 }
+      ]
+    })]);
+    expect(plan.reconciliations).toEqual([expect.objectContaining({ id: 'rec-1', status: 'reconciled' })]);
+  });
+
+  test('creates reports for unlinked batches and removes duplicates their events were merged from', async () => {
+    const events = printEvents().map((e, i) => ({ ...e, generatedReportId: i === 2 ? 'report-dup' : 'report-1' }));
+    const late = event('e4', { hubMachineId: 'hub-2', processed: false, generatedReportId: null, timestamp: new Date(`${DAY}T20:00:00Z`) });
+    stubQueries({
+      events: [...events, late],
+      reports: [storedReport(), storedReport({ _id: 'report-dup', totalMoneyIn: 50, totalCollect: 0, totalRevenue: 50 })]
+    });
+
+    const plan = await rebuilds.plan(STORE, DAY, DAY);
+
+    expect(plan.changes.map(c => [c.action, c.reportId, c.reason])).toEqual([
+      ['create', null, undefined],
+      ['remove', 'report-dup', 'merged']
+    ]);
+    expect(plan.summary).toMatchObject({ created: 1, removed: 1, unchanged: 1, eventsRelinked: 2 });
+  });
+
+  test('leaves reports no event references as orphaned unless asked to remove them', async () => {
+    const orphan = storedReport({ _id: 'report-old', printedAt: new Date(`${DAY}T15:00:00Z`) });
+    stubQueries({ reports: [storedReport(), orphan] });
+
+    const kept = await rebuilds.plan(STORE, DAY, DAY);
+    const removed = await rebuilds.plan(STORE, DAY, DAY, { removeOrphans: true });
+
+    expect(kept.changes.map(c => [c.action, c.reportId])).toEqual([['orphaned', 'report-old']]);
+    expect(removed.changes.map(c => [c.action, c.reportId, c.reason])).toEqual([['remove', 'report-old', 'orphan']]);
+    expect(removed.planHash).not.toBe(kept.planHash);
+  });
+
+  test('is deterministic: the same events and reports give the same plan and hash', async () => {
+    stubQueries({ reports: [storedReport({ totalCollect: 0, totalRevenue: 150 })] });
+
+    const first = await rebuilds.plan(STORE, DAY, DAY);
+    const second = await rebuilds.plan(STORE, DAY, DAY);
+
+    expect(second.changes).toEqual(first.changes);
+    expect(second.summary).toEqual(first.summary);
+    expect(second.planHash).toBe(first.planHash);
+    expect(first.planHash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('rejects a malformed range before querying', async () => {
+    stubQueries();
+
+    await expect(rebuilds.plan(STORE, '2026-3-10', DAY)).rejects.toMatchObject({ status: 400 });
+    await expect(rebuilds.plan(STORE, DAY, '2026-03-09')).rejects.toMatchObject({ status: 400 });
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('commit', () => {
+  test('refuses with 409 when the plan changed since the dry run', async () => {
+    const session = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(async () => {})
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    stubQueries({ reports: [storedReport({ totalMoneyIn: 120, totalRevenue: 80 })] });
+    const updateOne = jest.spyOn(DailyReport, 'updateOne');
+
+    await expect(rebuilds.commit(STORE, DAY, DAY, { userId: 'u1', email: 'a@b.c' }, { planHash: 'stale' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
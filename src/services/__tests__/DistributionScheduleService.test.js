@@ -0,0 +1,333 @@
+// src/services/__tests__/DistributionScheduleService.test.js
+// Definition checks, per-run amounts, approvals, and the claimed runs and status
+// changes that write schedules. DistributionSchedule and Distribution are stubbed
+// on the model and distributions are never queued for real: no database or RPC.
+const { Keypair } = require('@solana/web3.js');
+
+process.env.GAMBINO_MINT_ADDRESS = process.env.GAMBINO_MINT_ADDRESS || Keypair.generate().publicKey.toBase58();
+const DistributionSchedule = require('../../models/DistributionSchedule');
+const Distribution = require('../../models/Distribution');
+const { DistributionScheduleService } = require('../DistributionScheduleService');
+
+const service = new DistributionScheduleService();
+const wallet = () => Keypair.generate().publicKey.toBase58();
+
+function definition(overrides = {}) {
+  return {
+    name: 'Monthly community rewards',
+    sourceAccount: 'community',
+    cron: '0 9 1 * *',
+    recipients: { mode: 'list', list: [{ recipient: wallet() }] },
+    formula: { type: 'split', amount: 1000 },
+    budgetCap: 12000,
+    ...overrides
+  };
+}
+
+describe('validate', () => {
+  test('accepts a complete definition', () => {
+    expect(() => service.validate(definition())).not.toThrow();
+  });
+
+  test.each([
+    [{ cron: 'every monday' }, 'Invalid cron expression'],
+    [{ sourceAccount: 'jackpot' }, 'sourceAccount must be one of'],
+    [{ budgetCap: 0 }, 'budgetCap must be a positive number'],
+    [{ timezone: 'Mars/Olympus' }, 'Unknown IANA timezone'],
+    [{ recipients: { mode: 'list', list: [{ recipient: 'not-a-wallet' }] } }, 'Invalid recipient address'],
+    [{ recipients: { mode: 'query', query: { source: 'everyone' } } }, 'recipients.query.source'],
+    [{ formula: { type: 'balance_percent', percent: 150 } }, 'formula.percent'],
+    [{ formula: { type: 'fixed' } }, 'formula.amount is required'],
+    [{ startsAt: '2026-02-01', endsAt: '2026-01-01' }, 'endsAt must be after startsAt']
+  ])('rejects %j', (overrides, message) => {
+    expect(() => service.validate(definition(overrides))).toThrow(message);
+  });
+
+  test('fixed formula may rely on per-recipient amounts', () => {
+    const recipients = { mode: 'list', list: [{ recipient: wallet(), amount: 50 }] };
+    expect(() => service.validate(definition({ recipients, formula: { type: 'fixed' } }))).not.toThrow();
+  });
+});
+
+describe('allocate', () => {
+  const recipients = [
+    { recipient: 'a', weight: 1 },
+    { recipient: 'b', weight: 3 },
+    { recipient: 'c', weight: 0 }
+  ];
+
+  test('split shares the run amount by weight and skips zero weights', () => {
+    const result = service.allocate({ type: 'split', amount: 100 }, recipients, { remaining: 1000 });
+
+    expect(result.allocations.map(a => [a.recipient, a.amount])).toEqual([['a', 25], ['b', 75]]);
+    expect(result.skipped).toEqual([{ recipient: 'c', reason: 'zero amount' }]);
+    expect(result.total).toBe(100);
+    expect(result.trimmedToBudget).toBe(false);
+  });
+
+  test('balance_percent takes a share of the source balance, capped per recipient', () => {
+    const result = service.allocate(
+      { type: 'balance_percent', percent: 10, maxPerRecipient: 60 },
+      recipients.slice(0, 2),
+      { balance: 1000, remaining: 1000 }
+    );
+    expect(result.allocations.map(a => a.amount)).toEqual([25, 60]);
+  });
+
+  test('fixed amounts use per-recipient overrides', () => {
+    const result = service.allocate(
+      { type: 'fixed', amount: 10 },
+      [{ recipient: 'a', weight: 1 }, { recipient: 'b', weight: 1, amount: 40 }],
+      { remaining: 1000 }
+    );
+    expect(result.allocations.map(a => a.amount)).toEqual([10, 40]);
+  });
+
+  test('scales a run down to the remaining budget without overspending', () => {
+    const result = service.allocate({ type: 'split', amount: 100 }, recipients, { remaining: 10 });
+
+    expect(result.trimmedToBudget).toBe(true);
+    expect(result.total).toBeLessThanOrEqual(10);
+    expect(result.allocations.map(a => a.amount)).toEqual([2.5, 7.5]);
+  });
+
+  test('rounds down to token units', () => {
+    const three = [{ recipient: 'a', weight: 1 }, { recipient: 'b', weight: 1 }, { recipient: 'c', weight: 1 }];
+    const result = service.allocate({ type: 'split', amount: 1 }, three, { remaining: 10 });
+    expect(result.allocations.map(a => a.amount)).toEqual([0.333333, 0.333333, 0.333333]);
+  });
+});
+
+describe('runs', () => {
+  test('one run key per cron firing minute', () => {
+    expect(service.runKeyFor(new Date('2026-03-01T14:00:42.123Z'))).toBe('2026-03-01T14:00:00.000Z');
+  });
+
+  test('a schedule is exhausted by its budget, run count or end date', () => {
+    const base = { budgetCap: 100, budgetUsed: 0, runCount: 0 };
+    const now = new Date('2026-03-01T00:00:00Z');
+
+    expect(service.exhausted(base, now)).toBeNull();
+    expect(service.exhausted({ ...base, budgetUsed: 100 }, now)).toBe('budget spent');
+    expect(service.exhausted({ ...base, maxRuns: 12, runCount: 12 }, now)).toBe('reached 12 runs');
+    expect(service.exhausted({ ...base, endsAt: new Date('2026-02-01T00:00:00Z') }, now)).toBe('past endsAt');
+  });
+});
+
+describe('approvals', () => {
+  const approval = { requestId: 'req_1', accountType: 'teamReserve', amount: 12000 };
+
+  test('accounts without requiresApproval need no treasury request', () => {
+    expect(service.approvalGap(definition())).toBeNull();
+  });
+
+  test('a founder schedule needs an approved request covering its budget', () => {
+    expect(service.approvalGap(definition({ sourceAccount: 'founder' })))
+      .toMatch('founder schedules need an approved treasury request');
+    expect(service.approvalGap(definition({ sourceAccount: 'founder', treasuryRequest: approval }))).toBeNull();
+    expect(service.approvalGap(definition({ sourceAccount: 'founder', treasuryRequest: approval, budgetCap: 20000 })))
+      .toMatch('approves 12000, below the 20000 budgetCap');
+  });
+
+  test('an approval for one account does not cover another', () => {
+    expect(service.approvalGap(definition({ sourceAccount: 'miningRewards', treasuryRequest: approval })))
+      .toMatch('approves teamReserve, not miningRewards');
+  });
+});
+
+// In-memory schedule that honours the claim filter of a run and the status guard of a transition
+function storeSchedule(initial) {
+  const store = { schedule: initial };
+  const matches = filter => {
+    const current = store.schedule;
+    if (filter.status !== undefined) {
+      const allowed = filter.status.$in || [filter.status];
+      if (!allowed.includes(current.status)) return false;
+    }
+    if (filter.lastRunKey?.$ne !== undefined && current.lastRunKey === filter.lastRunKey.$ne) return false;
+    if (filter.$expr) {
+      // { $lte: [{ $add: ['$budgetUsed', total] }, { $add: ['$budgetCap', slack] }] }
+      const [used, cap] = filter.$expr.$lte;
+      if (current.budgetUsed + used.$add[1] > current.budgetCap + cap.$add[1]) return false;
+    }
+    return true;
+  };
+  const apply = update => {
+    const next = { ...store.schedule, ...(update.$set || {}) };
+    Object.entries(update.$inc || {}).forEach(([key, value]) => { next[key] = (next[key] || 0) + value; });
+    if (update.$push?.history) next.history = [...(next.history || []), update.$push.history];
+    store.schedule = next;
+    return next;
+  };
+
+  jest.spyOn(DistributionSchedule, 'findOne').mockImplementation(async () => ({ ...store.schedule, toObject() { return { ...this }; } }));
+  jest.spyOn(DistributionSchedule, 'findOneAndUpdate').mockImplementation(async (filter, update) => (matches(filter) ? apply(update) : null));
+  jest.spyOn(DistributionSchedule, 'updateOne').mockImplementation(async (filter, update) => {
+    if (matches(filter)) apply(update);
+    return {};
+  });
+  return store;
+}
+
+describe('run', () => {
+  const firedAt = new Date('2026-03-01T14:00:30Z');
+  const runKey = '2026-03-01T14:00:00.000Z';
+  const wallets = [wallet(), wallet()];
+  let store;
+  let queueDistribution;
+
+  function activeSchedule(overrides = {}) {
+    return {
+      ...definition({ recipients: { mode: 'list', list: wallets.map(recipient => ({ recipient })) } }),
+      scheduleId: 'sched-1',
+      status: 'active',
+      budgetUsed: 0,
+      runCount: 0,
+      history: [],
+      ...overrides
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const distributions = service.getDistributionService();
+    jest.spyOn(distributions, 'getTreasuryBalance').mockResolvedValue({ balance: 100000 });
+    queueDistribution = jest.spyOn(distributions, 'queueDistribution').mockResolvedValue({});
+    jest.spyOn(Distribution, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('claims the firing with its budget and queues one keyed distribution per recipient', async () => {
+    store = storeSchedule(activeSchedule());
+
+    const lastRun = await service.run('sched-1', firedAt);
+
+    expect(lastRun).toMatchObject({ runKey, recipients: 2, queued: 2, failed: 0, amount: 1000 });
+    expect(queueDistribution.mock.calls.map(([call]) => call.idempotencyKey))
+      .toEqual(wallets.map(w => `schedule_sched-1_${runKey}_${w}`));
+    expect(store.schedule).toMatchObject({ budgetUsed: 1000, runCount: 1, lastRunKey: runKey });
+  });
+
+  test('a firing already claimed elsewhere sends nothing', async () => {
+    store = storeSchedule(activeSchedule());
+    // Another instance claims the firing between this one's read and its claim
+    const read = DistributionSchedule.findOne.getMockImplementation();
+    DistributionSchedule.findOne.mockImplementationOnce(async () => {
+      const seen = await read();
+      store.schedule = { ...store.schedule, lastRunKey: runKey, budgetUsed: 1000, runCount: 1 };
+      return seen;
+    });
+
+    expect(await service.run('sched-1', firedAt)).toBeNull();
+    expect(queueDistribution).not.toHaveBeenCalled();
+    expect(store.schedule).toMatchObject({ budgetUsed: 1000, runCount: 1 });
+  });
+
+  test('a distribution that cannot be queued gives its amount back to the budget', async () => {
+    store = storeSchedule(activeSchedule());
+    queueDistribution.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('communityRewards rolling 24h limit exceeded'));
+
+    const lastRun = await service.run('sched-1', firedAt);
+
+    expect(lastRun).toMatchObject({ queued: 1, failed: 1, amount: 500 });
+    expect(store.schedule.budgetUsed).toBe(500);
+    expect(Distribution.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', budgetReleased: true, amount: 500 }));
+  });
+
+  test('a run that spends the rest of the budget completes the schedule', async () => {
+    store = storeSchedule(activeSchedule({ budgetCap: 1000 }));
+
+    await service.run('sched-1', firedAt);
+
+    expect(store.schedule.status).toBe('completed');
+    expect(store.schedule.history.map(h => h.action)).toEqual(['run', 'complete']);
+  });
+
+  test('an approval-gated schedule without its approval records the gap and claims nothing', async () => {
+    store = storeSchedule(activeSchedule({ sourceAccount: 'founder' }));
+
+    expect(await service.run('sched-1', firedAt)).toBeNull();
+    expect(queueDistribution).not.toHaveBeenCalled();
+    expect(store.schedule).toMatchObject({ budgetUsed: 0, runCount: 0, lastRunKey: runKey });
+    expect(store.schedule.lastRun.error).toMatch('founder schedules need an approved treasury request');
+  });
+});
+
+describe('status changes', () => {
+  const admin = { userId: 'admin-1', email: 'admin@gambino.test' };
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = storeSchedule({ ...definition(), scheduleId: 'sched-1', status: 'active', budgetUsed: 0, runCount: 0, history: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('pause and resume move between active and paused', async () => {
+    await service.pause('sched-1', admin, 'holiday');
+    expect(store.schedule.status).toBe('paused');
+
+    await service.resume('sched-1', admin);
+    expect(store.schedule.status).toBe('active');
+    expect(store.schedule.history.map(h => h.action)).toEqual(['pause', 'resume']);
+  });
+
+  test('a transition from the wrong status conflicts', async () => {
+    await expect(service.resume('sched-1', admin)).rejects.toMatchObject({ status: 409, message: 'Cannot resume a schedule that is active' });
+  });
+
+  test('an exhausted schedule cannot resume', async () => {
+    store.schedule = { ...store.schedule, status: 'paused', budgetUsed: 12000 };
+
+    await expect(service.resume('sched-1', admin)).rejects.toMatchObject({ status: 409, message: 'Schedule cannot run again: budget spent' });
+    expect(store.schedule.status).toBe('paused');
+  });
+
+  test('cancelling needs a reason and ends the schedule', async () => {
+    expect(() => service.cancel('sched-1', admin)).toThrow('A reason is required');
+
+    await service.cancel('sched-1', admin, 'program ended');
+    expect(store.schedule).toMatchObject({ status: 'cancelled', completedAt: expect.any(Date) });
+    await expect(service.pause('sched-1', admin)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('create', () => {
+  const admin = { userId: 'admin-1', email: 'admin@gambino.test' };
+  let save;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    save = jest.spyOn(DistributionSchedule.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('saves an active schedule', async () => {
+    const schedule = await service.create(admin, definition());
+
+    expect(save).toHaveBeenCalled();
+    expect(schedule.status).toBe('active');
+    expect(schedule.history.map(h => h.action)).toEqual(['create']);
+  });
+
+  test('an approval-gated schedule is refused without an approved request', async () => {
+    await expect(service.create(admin, definition({ sourceAccount: 'founder' })))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('founder schedules need an approved treasury request') });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('binds the approved request to the new schedule', async () => {
+    const bindSchedule = jest.fn(async requestId => ({ requestId, accountType: 'teamReserve', amount: 12000 }));
+    jest.spyOn(service, 'getTreasuryApprovals').mockReturnValue({ bindSchedule });
+
+    const schedule = await service.create(admin, { ...definition({ sourceAccount: 'founder' }), treasuryRequestId: 'req-1' });
+
+    expect(bindSchedule).toHaveBeenCalledWith('req-1', { scheduleId: schedule.scheduleId, accountType: 'teamReserve', budgetCap: 12000 }, admin);
+    expect(schedule.treasuryRequest).toMatchObject({ requestId: 'req-1', accountType: 'teamReserve', amount: 12000 });
+    expect(save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,211 @@
+// src/services/__tests__/ExchangeRateService.test.js
+// Override inheritance, diffs and the version timeline, and versions being
+// scheduled, relinked and cancelled. The config and override models are stubbed
+// over an in-memory list of versions.
+const ExchangeRateConfig = require('../../models/ExchangeRateConfig');
+const ExchangeRateOverride = require('../../models/ExchangeRateOverride');
+const {
+  ExchangeRateService,
+  DEFAULT_CONFIG,
+  mergeConfig,
+  diffConfig,
+  linkTimeline,
+  versionStatus
+} = require('../ExchangeRateService');
+
+const rates = new ExchangeRateService();
+
+describe('mergeConfig', () => {
+  test('null and missing override fields inherit the global value', () => {
+    const merged = mergeConfig(DEFAULT_CONFIG, { maxCashoutPerTransaction: 200, venueCommissionPercent: null });
+    expect(merged.maxCashoutPerTransaction).toBe(200);
+    expect(merged.venueCommissionPercent).toBe(0);
+    expect(merged.tokensPerDollar).toBe(1000);
+    expect(merged.sources).toMatchObject({ maxCashoutPerTransaction: 'venue', venueCommissionPercent: 'global', minCashout: 'global' });
+  });
+
+  test('a zero override is a value, not an inherit', () => {
+    const merged = mergeConfig({ ...DEFAULT_CONFIG, venueCommissionPercent: 5 }, { venueCommissionPercent: 0 });
+    expect(merged.venueCommissionPercent).toBe(0);
+    expect(merged.sources.venueCommissionPercent).toBe('venue');
+  });
+});
+
+describe('diffConfig', () => {
+  test('lists only changed fields', () => {
+    expect(diffConfig(DEFAULT_CONFIG, { ...DEFAULT_CONFIG, tokensPerDollar: 800, minCashout: 10 })).toEqual([
+      { field: 'tokensPerDollar', from: 1000, to: 800 },
+      { field: 'minCashout', from: 5, to: 10 }
+    ]);
+  });
+});
+
+describe('linkTimeline', () => {
+  test('each active version ends where the next begins; cancelled ones are skipped', () => {
+    const links = linkTimeline([
+      { _id: 'v3', version: 3, isActive: true, effectiveFrom: new Date('2026-05-01') },
+      { _id: 'v1', version: 1, isActive: true, effectiveFrom: new Date('2026-01-01') },
+      { _id: 'v2', version: 2, isActive: false, effectiveFrom: new Date('2026-03-01') }
+    ]);
+    expect(links).toEqual([
+      { _id: 'v1', effectiveTo: new Date('2026-05-01') },
+      { _id: 'v3', effectiveTo: null }
+    ]);
+  });
+});
+
+describe('versionStatus', () => {
+  const now = new Date('2026-04-01');
+
+  test('classifies versions against the clock', () => {
+    expect(versionStatus({ isActive: true, effectiveFrom: new Date('2026-05-01') }, now)).toBe('scheduled');
+    expect(versionStatus({ isActive: true, effectiveFrom: new Date('2026-01-01'), effectiveTo: null }, now)).toBe('effective');
+    expect(versionStatus({ isActive: true, effectiveFrom: new Date('2026-01-01'), effectiveTo: new Date('2026-03-01') }, now)).toBe('superseded');
+    expect(versionStatus({ isActive: false, cancelledAt: new Date() }, now)).toBe('cancelled');
+  });
+});
+
+describe('validation', () => {
+  test('rejects past effective dates and out-of-range values', () => {
+    expect(() => rates.parseEffectiveFrom('2020-01-01')).toThrow('cannot be in the past');
+    expect(() => rates.parseField('venueCommissionPercent', 120)).toThrow('cannot exceed 100');
+    expect(() => rates.parseField('tokensPerDollar', null)).toThrow('at least 1');
+    expect(rates.parseField('minCashout', null, { nullable: true })).toBeNull();
+  });
+
+  test('minimum above the per-transaction maximum is refused', () => {
+    expect(() => rates.assertConsistent({ minCashout: 600, maxCashoutPerTransaction: 500 }, 'Venue store_1')).toThrow('Venue store_1: minCashout');
+  });
+
+  test('preview examples apply commission and limits', () => {
+    const [five, , , fiveHundred] = rates.examples({ ...DEFAULT_CONFIG, venueCommissionPercent: 10, maxCashoutPerTransaction: 100 });
+    expect(five).toEqual({ tokens: 5000, cashAmount: 5, venueCommission: 0.5, cashToCustomer: 4.5, allowed: true });
+    expect(fiveHundred.allowed).toBe(false);
+  });
+});
+
+describe('scheduling and cancelling versions', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const admin = { userId: '64b000000000000000000001', email: 'admin@gambino.test' };
+  let configs;
+  let overrides;
+
+  function version(v, effectiveFrom, fields = {}) {
+    return { _id: `v${v}`, version: v, ...DEFAULT_CONFIG, isActive: true, effectiveFrom, effectiveTo: null, ...fields };
+  }
+
+  function chain(value) {
+    return { sort() { return this; }, select() { return this; }, lean: async () => value };
+  }
+
+  // Serves reads from the list and applies writes back to it
+  function stubVersions(Model, list) {
+    const byId = id => list.find(doc => doc._id === id);
+    jest.spyOn(Model, 'find').mockImplementation(filter => chain(filter.version
+      ? []
+      : list.filter(doc => doc.isActive && (!filter.storeId || doc.storeId === filter.storeId)).map(doc => ({ ...doc }))));
+    jest.spyOn(Model, 'findOne').mockImplementation(() => chain({ version: Math.max(0, ...list.map(doc => doc.version)) }));
+    jest.spyOn(Model, 'findById').mockImplementation(id => chain({ ...byId(id) }));
+    jest.spyOn(Model, 'create').mockImplementation(async fields => {
+      if (list.some(doc => doc.version === fields.version)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      const doc = { _id: `v${fields.version}`, effectiveTo: null, ...fields };
+      list.push(doc);
+      return doc;
+    });
+    jest.spyOn(Model, 'bulkWrite').mockImplementation(async writes => {
+      for (const { updateOne: { filter, update } } of writes) Object.assign(byId(filter._id), update.$set);
+    });
+    jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const doc = byId(filter._id);
+      const open = doc && doc.isActive && doc.effectiveFrom > filter.effectiveFrom.$gt;
+      return chain(open ? { ...Object.assign(doc, update.$set) } : null);
+    });
+  }
+
+  function atTime(list, at) {
+    return list
+      .filter(doc => doc.isActive && doc.effectiveFrom <= at && (!doc.effectiveTo || doc.effectiveTo > at))
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0] || null;
+  }
+
+  beforeEach(() => {
+    configs = [];
+    overrides = [];
+    stubVersions(ExchangeRateConfig, configs);
+    stubVersions(ExchangeRateOverride, overrides);
+    jest.spyOn(ExchangeRateConfig, 'getConfigAt').mockImplementation(async at => atTime(configs, at));
+    jest.spyOn(ExchangeRateOverride, 'getOverrideAt').mockImplementation(async (storeId, at) => atTime(overrides.filter(doc => doc.storeId === storeId), at));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a scheduled change carries over the version it follows and ends it', async () => {
+    configs.push(version(1, new Date(Date.now() - 30 * DAY), { minCashout: 10 }));
+    const effectiveFrom = new Date(Date.now() + 7 * DAY);
+
+    const scheduled = await rates.schedule({ tokensPerDollar: 800, effectiveFrom }, admin);
+
+    expect(scheduled).toMatchObject({ version: 2, tokensPerDollar: 800, minCashout: 10, effectiveTo: null, status: 'scheduled' });
+    expect(configs[0].effectiveTo).toEqual(effectiveFrom);
+  });
+
+  test('a change slotted between two versions is relinked on both sides, writing only what moved', async () => {
+    const later = new Date(Date.now() + 30 * DAY);
+    configs.push(version(1, new Date(Date.now() - 30 * DAY), { effectiveTo: later }), version(2, later, { tokensPerDollar: 500 }));
+    const effectiveFrom = new Date(Date.now() + 7 * DAY);
+
+    await rates.schedule({ minCashout: 20, effectiveFrom }, admin);
+
+    expect(configs.map(doc => [doc._id, doc.effectiveTo])).toEqual([['v1', effectiveFrom], ['v2', null], ['v3', later]]);
+    expect(ExchangeRateConfig.bulkWrite.mock.calls[0][0].map(write => write.updateOne.filter._id)).toEqual(['v1', 'v3']);
+  });
+
+  test('a version number taken by a concurrent insert moves to the next one', async () => {
+    configs.push(version(1, new Date(Date.now() - 30 * DAY)));
+    const create = ExchangeRateConfig.create.getMockImplementation();
+    ExchangeRateConfig.create.mockImplementationOnce(async fields => {
+      configs.push(version(fields.version, new Date(Date.now() + 60 * DAY)));
+      return create(fields);
+    });
+
+    const scheduled = await rates.schedule({ minCashout: 20, effectiveFrom: new Date(Date.now() + 7 * DAY) }, admin);
+
+    expect(scheduled.version).toBe(3);
+    expect(ExchangeRateConfig.create).toHaveBeenCalledTimes(2);
+  });
+
+  test('cancelling a scheduled version hands its time back to the one before it', async () => {
+    const later = new Date(Date.now() + 7 * DAY);
+    configs.push(version(1, new Date(Date.now() - 30 * DAY), { effectiveTo: later }), version(2, later, { tokensPerDollar: 500 }));
+
+    const cancelled = await rates.cancel('v2', admin, 'Wrong rate');
+
+    expect(cancelled).toMatchObject({ isActive: false, cancelReason: 'Wrong rate', cancelledBy: admin.userId, status: 'cancelled' });
+    expect(configs[0].effectiveTo).toBeNull();
+    expect((await rates.resolve(null, new Date(Date.now() + 14 * DAY))).tokensPerDollar).toBe(1000);
+  });
+
+  test('a version already in effect cannot be cancelled', async () => {
+    configs.push(version(1, new Date(Date.now() - 30 * DAY)));
+
+    await expect(rates.cancel('v1', admin, 'Too late')).rejects.toMatchObject({ status: 404 });
+    await expect(rates.cancel('v9', admin)).rejects.toMatchObject({ status: 404 });
+    expect(configs[0].isActive).toBe(true);
+    expect(ExchangeRateConfig.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('cancelling a venue override relinks only that venue', async () => {
+    const later = new Date(Date.now() + 7 * DAY);
+    overrides.push(
+      { _id: 'o1', version: 1, storeId: 'store_1', minCashout: 20, isActive: true, effectiveFrom: new Date(Date.now() - DAY), effectiveTo: later },
+      { _id: 'o2', version: 2, storeId: 'store_1', minCashout: 50, isActive: true, effectiveFrom: later, effectiveTo: null },
+      { _id: 'o3', version: 3, storeId: 'store_2', minCashout: 1, isActive: true, effectiveFrom: new Date(Date.now() - DAY), effectiveTo: later }
+    );
+
+    await rates.cancelOverride('o2', admin, 'Venue asked to keep $20');
+
+    expect(ExchangeRateOverride.find).toHaveBeenCalledWith({ storeId: 'store_1', isActive: true });
+    expect(overrides.map(doc => doc.effectiveTo)).toEqual([null, null, later]);
+  });
+});
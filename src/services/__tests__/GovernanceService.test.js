@@ -0,0 +1,229 @@
+// src/services/__tests__/GovernanceService.test.js
+// Parameter validation and tally rules, and proposals being opened, closed and
+// executed. GovernanceProposal reads and guarded updates run against one stored
+// proposal; the snapshot and the vote tally are stubbed.
+const GovernanceProposal = require('../../models/GovernanceProposal');
+const GovernanceVote = require('../../models/GovernanceVote');
+const governance = require('../GovernanceService');
+const { applyParameterChanges, decide, PARAMETERS } = governance;
+const luck = require('../LuckService');
+
+const defaults = luck.getDefaultRarityConfig();
+
+describe('parameter changes', () => {
+  test('setting odds derives the matching threshold', () => {
+    const { config, applied } = applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.EPIC.odds', value: 2500 }]);
+    expect(config.EPIC).toMatchObject({ odds: 2500, threshold: 20 });
+    expect(applied).toEqual([
+      { parameter: 'RARITY_CONFIG.EPIC.odds', previous: 5000, value: 2500 },
+      { parameter: 'RARITY_CONFIG.EPIC.threshold', previous: 10, value: 20 }
+    ]);
+    expect(defaults.EPIC.odds).toBe(5000);
+  });
+
+  test('unchanged values are not reported as applied', () => {
+    const { applied } = applyParameterChanges(defaults, [
+      { parameter: 'RARITY_CONFIG.RARE.ggEmission', value: 500 },
+      { parameter: 'RARITY_CONFIG.RARE.governancePoints', value: 2 }
+    ]);
+    expect(applied).toEqual([{ parameter: 'RARITY_CONFIG.RARE.governancePoints', previous: 1, value: 2 }]);
+  });
+
+  test('rejects unknown parameters and out-of-range values', () => {
+    expect(() => applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.RARE.name', value: 1 }])).toThrow('Unknown parameter');
+    expect(() => applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.RARE.odds', value: 0 }])).toThrow('must be an integer');
+    expect(() => applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.RARE.odds', value: 12.5 }])).toThrow('must be an integer');
+    expect(() => applyParameterChanges(defaults, [])).toThrow('at least one');
+  });
+
+  test('tiers must keep nesting', () => {
+    expect(() => applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.EPIC.odds', value: 400 }]))
+      .toThrow('LEGENDARY < EPIC < RARE');
+  });
+
+  test('every tier exposes the same tunable fields', () => {
+    expect(Object.keys(PARAMETERS)).toHaveLength(12);
+    expect(PARAMETERS['RARITY_CONFIG.LEGENDARY.threshold']).toMatchObject({ tier: 'LEGENDARY', field: 'threshold' });
+  });
+});
+
+describe('setRarityConfig', () => {
+  afterEach(() => luck.setRarityConfig(luck.getDefaultRarityConfig()));
+
+  test('changes what determineRarity sees, keeping tier names', () => {
+    const { config } = applyParameterChanges(defaults, [{ parameter: 'RARITY_CONFIG.RARE.threshold', value: 200 }]);
+    luck.setRarityConfig(config);
+    expect(luck.determineRarity(150)).toBe('RARE');
+    expect(luck.getRarityConfig().RARE).toMatchObject({ odds: 250, name: 'Lucky Strike' });
+  });
+});
+
+describe('decide', () => {
+  const rules = { quorumPercent: 10, thresholdPercent: 50 };
+
+  test('fails quorum when too little weight voted', () => {
+    expect(decide({ yes: 5, no: 0, abstain: 4 }, 100, rules)).toMatchObject({ quorumMet: false, status: 'failed_quorum', participationPercent: 9 });
+  });
+
+  test('abstentions count toward quorum but not approval', () => {
+    expect(decide({ yes: 3, no: 2, abstain: 5 }, 100, rules)).toMatchObject({ quorumMet: true, approvalPercent: 60, status: 'passed' });
+  });
+
+  test('approval must exceed the threshold', () => {
+    expect(decide({ yes: 5, no: 5, abstain: 0 }, 100, rules).status).toBe('rejected');
+    expect(decide({ yes: 66, no: 34, abstain: 0 }, 100, { quorumPercent: 10, thresholdPercent: 66.67 }).status).toBe('rejected');
+  });
+
+  test('nothing passes without snapshot weight', () => {
+    expect(decide({ yes: 0, no: 0, abstain: 0 }, 0, rules).status).toBe('failed_quorum');
+  });
+});
+
+describe('proposal lifecycle', () => {
+  const admin = { userId: '64b000000000000000000001', email: 'admin@gambino.test', role: 'super_admin' };
+  let stored;
+
+  function proposal(overrides = {}) {
+    return {
+      proposalId: 'gp-1',
+      type: 'parameter_change',
+      title: 'Make EPIC hits twice as likely',
+      status: 'pending',
+      changes: [{ parameter: 'RARITY_CONFIG.EPIC.odds', value: 2500 }],
+      quorumPercent: 10,
+      thresholdPercent: 50,
+      execution: {},
+      history: [],
+      ...overrides
+    };
+  }
+
+  function matches(filter) {
+    if (!stored || stored.proposalId !== filter.proposalId) return false;
+    if (filter.status?.$in) return filter.status.$in.includes(stored.status);
+    return filter.status === undefined || stored.status === filter.status;
+  }
+
+  function apply(update) {
+    const next = { ...stored, execution: { ...stored.execution }, history: [...stored.history] };
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      const [head, field] = path.split('.');
+      if (field) next[head][field] = value;
+      else next[head] = value;
+    }
+    for (const path of Object.keys(update.$unset || {})) {
+      delete next.execution[path.split('.')[1]];
+    }
+    if (update.$push?.history) next.history.push(update.$push.history);
+    stored = next;
+    return stored;
+  }
+
+  function query(value) {
+    const result = Promise.resolve(value);
+    result.lean = async () => value;
+    return result;
+  }
+
+  function votes(tally) {
+    jest.spyOn(GovernanceVote, 'aggregate').mockResolvedValue(
+      Object.entries(tally).map(([choice, weight]) => ({ _id: choice, weight, voters: 1 }))
+    );
+  }
+
+  beforeEach(() => {
+    stored = proposal();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(governance, 'takeSnapshot').mockResolvedValue({ takenAt: new Date(), totalWeight: 100, holders: 4 });
+    jest.spyOn(GovernanceProposal, 'findOne').mockImplementation(filter => query(matches(filter) ? { ...stored } : null));
+    jest.spyOn(GovernanceProposal, 'findOneAndUpdate').mockImplementation(async (filter, update) => (matches(filter) ? apply(update) : null));
+    jest.spyOn(GovernanceProposal, 'updateOne').mockImplementation(async (filter, update) => {
+      if (matches(filter)) apply(update);
+      return { modifiedCount: 1 };
+    });
+    // No earlier executed proposals to replay
+    jest.spyOn(GovernanceProposal, 'find').mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => [] }) }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    luck.setRarityConfig(luck.getDefaultRarityConfig());
+  });
+
+  test('activating opens a pending proposal once, with its snapshot', async () => {
+    const opened = await governance.activate('gp-1');
+
+    expect(opened).toMatchObject({ status: 'active', snapshot: { totalWeight: 100, holders: 4 } });
+    expect(stored.history).toEqual([expect.objectContaining({ action: 'open', status: 'active', userId: 'system' })]);
+
+    expect(await governance.activate('gp-1')).toBeNull();
+    expect(stored.history).toHaveLength(1);
+  });
+
+  test('finalizing a passed parameter change executes it and applies the new odds', async () => {
+    stored = proposal({ status: 'active', snapshot: { totalWeight: 100 } });
+    votes({ yes: 30, no: 10 });
+
+    const result = await governance.finalize('gp-1');
+
+    expect(result).toMatchObject({ status: 'executed', tally: { yes: 30, no: 10, participationPercent: 40, approvalPercent: 75 } });
+    expect(stored.execution.applied).toEqual([
+      { parameter: 'RARITY_CONFIG.EPIC.odds', previous: 5000, value: 2500 },
+      { parameter: 'RARITY_CONFIG.EPIC.threshold', previous: 10, value: 20 }
+    ]);
+    expect(stored.history.map(h => `${h.action}:${h.status}`)).toEqual(['close:passed', 'execute:executed']);
+    expect(luck.getRarityConfig().EPIC).toMatchObject({ odds: 2500, threshold: 20 });
+  });
+
+  test('finalizing without quorum closes the proposal and changes nothing', async () => {
+    stored = proposal({ status: 'active', snapshot: { totalWeight: 100 } });
+    votes({ yes: 5 });
+
+    const result = await governance.finalize('gp-1');
+
+    expect(result).toMatchObject({ status: 'failed_quorum' });
+    expect(stored.execution.applied).toBeUndefined();
+    expect(luck.getRarityConfig().EPIC.odds).toBe(5000);
+    expect(await governance.finalize('gp-1')).toBeNull();
+  });
+
+  test('a proposal that is not passed cannot be executed', async () => {
+    stored = proposal({ status: 'executed' });
+    await expect(governance.execute('gp-1', admin)).rejects.toMatchObject({ status: 409, message: 'Proposal is executed' });
+
+    await expect(governance.execute('gp-2', admin)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('treasury grants need an administrator and file a treasury request', async () => {
+    const create = jest.fn(async () => ({ requestId: 'tr-9' }));
+    jest.spyOn(governance, 'getApprovals').mockReturnValue({ create });
+    const grant = { accountType: 'communityRewards', amount: 5000, toAddress: 'So11111111111111111111111111111111111111112' };
+    stored = proposal({ type: 'treasury_grant', status: 'passed', grant, changes: undefined });
+
+    await expect(governance.execute('gp-1', null)).rejects.toMatchObject({ status: 409 });
+    expect(stored.status).toBe('passed');
+
+    const executed = await governance.execute('gp-1', admin);
+
+    expect(create).toHaveBeenCalledWith(admin, expect.objectContaining({ type: 'transfer', accountType: 'communityRewards', amount: 5000 }));
+    expect(executed).toMatchObject({ status: 'executed', execution: { treasuryRequestId: 'tr-9', executedBy: { userId: admin.userId, email: admin.email, role: admin.role } } });
+  });
+
+  test('a failed execution is recorded and can be retried', async () => {
+    const create = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Amount exceeds the account limit'), { status: 400 }))
+      .mockResolvedValueOnce({ requestId: 'tr-10' });
+    jest.spyOn(governance, 'getApprovals').mockReturnValue({ create });
+    const grant = { accountType: 'communityRewards', amount: 5000, toAddress: 'So11111111111111111111111111111111111111112' };
+    stored = proposal({ type: 'treasury_grant', status: 'passed', grant, changes: undefined });
+
+    await expect(governance.execute('gp-1', admin)).rejects.toMatchObject({ status: 400, message: 'Execution failed: Amount exceeds the account limit' });
+    expect(stored).toMatchObject({ status: 'execution_failed', execution: { error: 'Amount exceeds the account limit' } });
+
+    const retried = await governance.execute('gp-1', admin);
+
+    expect(retried.status).toBe('executed');
+    expect(retried.execution.error).toBeUndefined();
+  });
+});
@@ -0,0 +1,82 @@
+// src/services/__tests__/HubCommandService.test.js
+// rotate_token delivery and completion. No database: model calls are stubbed.
+const jwt = require('jsonwebtoken');
+const HubCommand = require('../../models/HubCommand');
+const Hub = require('../../models/Hub');
+const hubCommands = require('../HubCommandService');
+
+process.env.MACHINE_JWT_SECRET = 'test-machine-secret';
+
+function rotateCommand() {
+  const command = new HubCommand({
+    commandId: 'cmd-1',
+    hubId: 'store1-hub',
+    storeId: 'store_1',
+    commandType: 'rotate_token',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  command.transition('queued', 'admin@test');
+  return command;
+}
+
+function stubFind(commands) {
+  jest.spyOn(HubCommand, 'find').mockReturnValue({
+    select: () => ({ sort: () => ({ limit: () => Promise.resolve(commands) }) })
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(HubCommand, 'expireStale').mockResolvedValue(0);
+  jest.spyOn(HubCommand.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('rotate_token', () => {
+  test('tokens are generated once and redelivered unchanged; the hub keeps its current tokens meanwhile', async () => {
+    const hub = new Hub({ hubId: 'store1-hub', storeId: 'store_1', tokenVersion: 3 });
+    const findHub = jest.spyOn(Hub, 'findOne').mockResolvedValue(hub);
+    const hubSave = jest.spyOn(hub, 'save');
+    const command = rotateCommand();
+    stubFind([command]);
+
+    const [first] = await hubCommands.deliverPending('store1-hub');
+    command.deliveredAt = new Date(Date.now() - 10 * 60 * 1000);
+    const [second] = await hubCommands.deliverPending('store1-hub');
+
+    expect(findHub).toHaveBeenCalledTimes(1);
+    expect(hubSave).not.toHaveBeenCalled();
+    expect(second.params).toEqual(first.params);
+    expect(first.params.tokenVersion).toBe(4);
+    expect(jwt.verify(first.params.accessToken, process.env.MACHINE_JWT_SECRET)).toMatchObject({ hubId: 'store1-hub', type: 'hub', tokenVersion: 4 });
+  });
+
+  test('success installs the tokens on the hub under the next version and clears them from the command', async () => {
+    const credentials = { accessToken: 'access', refreshToken: 'refresh', expiresAt: new Date(), refreshTokenExpiresAt: new Date(), tokenVersion: 4 };
+    jest.spyOn(HubCommand, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ credentials }) }) });
+    const updateHub = jest.spyOn(Hub, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const command = rotateCommand();
+    command.transition('delivered', 'hub');
+
+    await hubCommands.recordResult(command, 'succeeded', { ok: true });
+
+    expect(command.credentials).toBeUndefined();
+    expect(updateHub).toHaveBeenCalledWith(
+      { hubId: 'store1-hub', tokenVersion: { $lt: 4 } },
+      expect.objectContaining({
+        $set: expect.objectContaining({ accessToken: 'access', refreshToken: 'refresh', tokenVersion: 4 })
+      })
+    );
+  });
+
+  test('a failed rotation leaves the hub untouched', async () => {
+    const updateHub = jest.spyOn(Hub, 'updateOne');
+    const command = rotateCommand();
+    command.transition('delivered', 'hub');
+
+    await hubCommands.recordResult(command, 'failed', undefined, 'could not write .env');
+
+    expect(updateHub).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+// src/services/__tests__/IngestQueueService.test.js
+// Stale lease handling. No database: model calls are stubbed.
+const IngestJob = require('../../models/IngestJob');
+const ingestQueue = require('../IngestQueueService');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('stale jobs', () => {
+  test('jobs out of attempts are dead-lettered; the rest go back on the queue', async () => {
+    const updateMany = jest.spyOn(IngestJob, 'updateMany')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 2 });
+
+    expect(await IngestJob.releaseStale(5 * 60 * 1000)).toEqual({ released: 2, dead: 1 });
+
+    const [[deadFilter, deadUpdate], [releaseFilter, releaseUpdate]] = updateMany.mock.calls;
+    expect(deadFilter).toMatchObject({ status: 'processing', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    expect(deadUpdate[0].$set).toMatchObject({ status: 'dead', lockedBy: null, lastError: expect.stringMatching('lease expired') });
+    expect(releaseFilter).toMatchObject({ status: 'processing', $expr: { $lt: ['$attempts', '$maxAttempts'] } });
+    expect(releaseUpdate.$set).toMatchObject({ status: 'pending', lockedBy: null });
+  });
+
+  test('the worker tick reports dead-lettered stale jobs', async () => {
+    jest.spyOn(IngestJob, 'releaseStale').mockResolvedValue({ released: 0, dead: 3 });
+    jest.spyOn(IngestJob, 'claimNext').mockResolvedValue(null);
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    ingestQueue.isRunning = true;
+    try {
+      await ingestQueue.tick();
+    } finally {
+      ingestQueue.isRunning = false;
+    }
+
+    expect(logged).toHaveBeenCalledWith(expect.stringContaining('Dead-lettered 3 stale ingest jobs'));
+  });
+});
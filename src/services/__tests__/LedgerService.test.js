@@ -0,0 +1,69 @@
+// src/services/__tests__/LedgerService.test.js
+// Posting validation and account id parsing; no database needed.
+const ledger = require('../LedgerService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('describeAccount', () => {
+  test('parses owner fields and rules from the account id', () => {
+    expect(ledger.describeAccount(ledger.accounts.user(userId))).toMatchObject({
+      type: 'user', asset: 'GG', allowNegative: false, userId
+    });
+    expect(ledger.describeAccount(ledger.accounts.locked(userId))).toMatchObject({
+      type: 'locked', asset: 'GG', allowNegative: false, userId
+    });
+    expect(ledger.describeAccount(ledger.accounts.storeWallet('store_1', userId))).toMatchObject({
+      type: 'store_wallet', asset: 'USD', storeId: 'store_1', userId
+    });
+    expect(ledger.describeAccount(ledger.accounts.external('cash', 'USD'))).toMatchObject({
+      type: 'external', asset: 'USD', name: 'cash', allowNegative: true
+    });
+  });
+
+  test('rejects unknown or malformed ids', () => {
+    expect(() => ledger.describeAccount('wallet:123')).toThrow(/Unknown ledger account/);
+    expect(() => ledger.describeAccount('user:not-an-id')).toThrow(/Unknown ledger account/);
+    expect(() => ledger.describeAccount('external:cash')).toThrow(/Unknown ledger account/);
+    expect(() => ledger.describeAccount('external:cash:EUR')).toThrow(/Unknown ledger account/);
+  });
+});
+
+describe('normalizeLines', () => {
+  test('accepts a balanced entry and reports its amount', () => {
+    const { asset, amount, lines } = ledger.normalizeLines([
+      { accountId: ledger.accounts.user(userId), debit: 0.1 },
+      { accountId: ledger.accounts.user(userId), debit: 0.2 },
+      { accountId: ledger.accounts.venue('store_1'), credit: 0.3 }
+    ]);
+
+    expect(asset).toBe('GG');
+    expect(amount).toBe(0.3);
+    expect(lines).toHaveLength(3);
+  });
+
+  test('rejects an entry whose debits and credits differ', () => {
+    expect(() => ledger.normalizeLines([
+      { accountId: ledger.accounts.user(userId), debit: 10 },
+      { accountId: ledger.accounts.venue('store_1'), credit: 9 }
+    ])).toThrow(/does not balance/);
+  });
+
+  test('rejects lines with both or neither side set', () => {
+    expect(() => ledger.normalizeLines([
+      { accountId: ledger.accounts.user(userId), debit: 5, credit: 5 },
+      { accountId: ledger.accounts.venue('store_1'), credit: 0 }
+    ])).toThrow(/exactly one positive debit or credit/);
+  });
+
+  test('rejects entries that mix assets', () => {
+    expect(() => ledger.normalizeLines([
+      { accountId: ledger.accounts.user(userId), debit: 5 },
+      { accountId: ledger.accounts.credits(userId), credit: 5 }
+    ])).toThrow(/mixes GG and CREDIT/);
+  });
+
+  test('needs at least two lines', () => {
+    expect(() => ledger.normalizeLines([{ accountId: ledger.accounts.user(userId), debit: 5 }]))
+      .toThrow(/at least two lines/);
+  });
+});
@@ -0,0 +1,261 @@
+// src/services/__tests__/LockService.test.js
+// Vesting, early-unlock and governance math, grants, and the ledger-backed opens,
+// claims and early unlocks. LockPosition and the ledger are stubbed: the ledger
+// transaction keeps a callback's postings only if the callback completes.
+const LockPosition = require('../../models/LockPosition');
+const ledger = require('../LedgerService');
+const { LockService } = require('../LockService');
+
+const locks = new LockService();
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date('2026-01-01T00:00:00Z');
+const at = days => new Date(start.getTime() + days * DAY);
+
+// 1,000 GG over 400 days with a 100-day cliff
+function grant(overrides = {}) {
+  return {
+    amount: 1000,
+    released: 0,
+    status: 'active',
+    startAt: start,
+    cliffAt: at(100),
+    endAt: at(400),
+    earlyUnlock: { mode: 'forbidden', penaltyPercent: 0 },
+    ...overrides
+  };
+}
+
+describe('vesting', () => {
+  test('nothing before the cliff, then linear from startAt', () => {
+    expect(locks.vestedAt(grant(), at(99))).toBe(0);
+    expect(locks.vestedAt(grant(), at(100))).toBe(250);
+    expect(locks.vestedAt(grant(), at(200))).toBe(500);
+    expect(locks.vestedAt(grant(), at(500))).toBe(1000);
+  });
+
+  test('claimable is vested less what was already released', () => {
+    expect(locks.claimableAt(grant({ released: 250 }), at(200))).toBe(250);
+    expect(locks.claimableAt(grant({ released: 250, status: 'released' }), at(200))).toBe(0);
+  });
+
+  test('a plain lock releases everything at its end', () => {
+    const lock = grant({ cliffAt: at(400) });
+    expect(locks.claimableAt(lock, at(399))).toBe(0);
+    expect(locks.claimableAt(lock, at(400))).toBe(1000);
+  });
+
+  test('vested amounts round down', () => {
+    const thirds = grant({ amount: 1, cliffAt: start, endAt: at(3) });
+    expect(locks.vestedAt(thirds, at(1))).toBe(0.333333333);
+  });
+});
+
+describe('early unlock', () => {
+  test('is refused when the position forbids it', () => {
+    expect(locks.earlyUnlockQuote(grant(), at(200)).allowed).toBe(false);
+  });
+
+  test('flat penalty applies only to the unvested part', () => {
+    const quote = locks.earlyUnlockQuote(grant({ earlyUnlock: { mode: 'flat', penaltyPercent: 25 } }), at(200));
+    expect(quote).toEqual({ allowed: true, claimable: 500, unvested: 500, penaltyPercent: 25, penalty: 125, receive: 875 });
+  });
+
+  test('declining penalty falls to zero at the end date', () => {
+    const position = grant({ earlyUnlock: { mode: 'declining', penaltyPercent: 40 } });
+    expect(locks.penaltyPercentAt(position, start)).toBe(40);
+    expect(locks.penaltyPercentAt(position, at(200))).toBe(20);
+    expect(locks.penaltyPercentAt(position, at(400))).toBe(0);
+  });
+});
+
+describe('governance weight', () => {
+  test('unreleased GG, boosted by time left up to double', () => {
+    const fourYears = 4 * 365;
+    expect(locks.governanceWeight(grant({ endAt: at(fourYears) }), start)).toBe(2000);
+    expect(locks.governanceWeight(grant({ endAt: at(365) }), start)).toBe(1250);
+    expect(locks.governanceWeight(grant({ released: 600 }), at(400))).toBe(400);
+    expect(locks.governanceWeight(grant({ status: 'unlocked_early' }), start)).toBe(0);
+  });
+});
+
+describe('parseTimeline', () => {
+  test('defaults the start to now and the cliff to the start', () => {
+    const now = new Date();
+    const endAt = new Date(now.getTime() + 30 * DAY);
+    expect(locks.parseTimeline({ endAt }, now)).toEqual({ startAt: now, cliffAt: now, endAt });
+  });
+
+  test.each([
+    [{}, 'endAt is required'],
+    [{ endAt: 'soon' }, 'endAt must be a date'],
+    [{ endAt: new Date(Date.now() + DAY) }, 'at least 7 days'],
+    [{ endAt: new Date(Date.now() + 30 * DAY), cliffAt: new Date(Date.now() + 60 * DAY) }, 'cliffAt must fall between'],
+    [{ endAt: new Date(Date.now() + 20 * 365 * DAY) }, 'at most 10 years']
+  ])('rejects %j', (timeline, message) => {
+    expect(() => locks.parseTimeline(timeline)).toThrow(message);
+  });
+});
+
+describe('createGrant', () => {
+  const admin = { userId: 'admin-1', email: 'admin@gambino.test' };
+  const recipientId = '64b000000000000000000001';
+  const grantRequest = overrides => ({
+    userId: recipientId,
+    kind: 'team_grant',
+    amount: 1000,
+    endAt: new Date(Date.now() + 400 * DAY),
+    note: 'Offer letter',
+    ...overrides
+  });
+
+  let findUser;
+
+  beforeEach(() => {
+    findUser = jest.fn(() => ({ select: () => ({ lean: async () => ({ _id: recipientId, email: 'team@gambino.test' }) }) }));
+    jest.spyOn(locks, 'getUserModel').mockReturnValue({ findOne: findUser });
+    jest.spyOn(locks, 'open').mockImplementation(async position => position);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('funds from the pool for the grant kind by default', async () => {
+    const position = await locks.createGrant(admin, grantRequest());
+
+    expect(position.fundingAccount).toBe('treasury:teamReserve');
+  });
+
+  test('accepts another grant pool', async () => {
+    const position = await locks.createGrant(admin, grantRequest({ fundingPool: 'operationsReserve' }));
+
+    expect(position.fundingAccount).toBe('treasury:operationsReserve');
+  });
+
+  test.each(['jackpotReserve', 'user:64b000000000000000000001', 'nonsense'])('refuses fundingPool %s', async fundingPool => {
+    await expect(locks.createGrant(admin, grantRequest({ fundingPool })))
+      .rejects.toMatchObject({ status: 400, message: 'fundingPool must be one of: teamReserve, operationsReserve' });
+    expect(findUser).not.toHaveBeenCalled();
+    expect(locks.open).not.toHaveBeenCalled();
+  });
+});
+
+describe('positions against the ledger', () => {
+  const owner = { userId: '64b000000000000000000001', email: 'holder@gambino.test' };
+  let stored;
+  let committed;
+
+  // 1,000 GG vesting over 400 days, 200 in, cliff passed
+  function activePosition(overrides = {}) {
+    const now = Date.now();
+    return {
+      positionId: 'pos-1',
+      userId: owner.userId,
+      kind: 'lock',
+      amount: 1000,
+      released: 0,
+      status: 'active',
+      startAt: new Date(now - 200 * DAY),
+      cliffAt: new Date(now - 100 * DAY),
+      endAt: new Date(now + 200 * DAY),
+      earlyUnlock: { mode: 'flat', penaltyPercent: 20 },
+      penaltyAccount: 'treasury:communityRewards',
+      ...overrides
+    };
+  }
+
+  beforeEach(() => {
+    committed = [];
+    stored = activePosition();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ledger, 'transaction').mockImplementation(async fn => {
+      const session = { postings: [] };
+      const result = await fn(session);
+      committed.push(...session.postings);
+      return result;
+    });
+    jest.spyOn(ledger, 'post').mockImplementation(async ({ session, ...entry }) => {
+      session.postings.push(entry);
+      return { entry: { entryId: `je-${session.postings.length}` } };
+    });
+    // Each read is a snapshot; the update applies only if released is what the caller read
+    jest.spyOn(LockPosition, 'findOne').mockImplementation(async () => ({ ...stored }));
+    jest.spyOn(LockPosition, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status || stored.released !== filter.released) return null;
+      stored = { ...stored, ...update.$set };
+      return stored;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('opening a lock moves the amount from the user into their locked account', async () => {
+    const created = { ...activePosition({ released: 0 }), events: [], save: jest.fn(async () => {}) };
+    jest.spyOn(LockPosition, 'create').mockResolvedValue([created]);
+
+    await locks.createLock(owner, { amount: 250, unlockAt: new Date(Date.now() + 30 * DAY) });
+
+    expect(committed).toEqual([expect.objectContaining({
+      kind: 'lock_create',
+      lines: [
+        { accountId: `user:${owner.userId}`, debit: 250 },
+        { accountId: `locked:${owner.userId}`, credit: 250 }
+      ]
+    })]);
+    expect(created.events).toEqual([expect.objectContaining({ action: 'create', amount: 250, entryId: 'je-1' })]);
+    expect(created.save).toHaveBeenCalledWith({ session: expect.any(Object) });
+  });
+
+  test('a claim releases what has vested, guarded on the released amount it read', async () => {
+    const { claimed, position } = await locks.claim('pos-1', owner);
+
+    expect(claimed).toBeCloseTo(500, 3);
+    expect(position.released).toBe(claimed);
+    expect(committed).toEqual([expect.objectContaining({
+      kind: 'lock_release',
+      idempotencyKey: `lock_position:pos-1:release:${claimed}`,
+      lines: [
+        { accountId: `locked:${owner.userId}`, debit: claimed },
+        { accountId: `user:${owner.userId}`, credit: claimed }
+      ]
+    })]);
+    expect(LockPosition.findOneAndUpdate.mock.calls[0][0]).toEqual({ positionId: 'pos-1', status: 'active', released: 0 });
+  });
+
+  test('of two claims racing on the same read, one pays and the other is refused', async () => {
+    const results = await Promise.allSettled([locks.claim('pos-1', owner), locks.claim('pos-1', owner)]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason)
+      .toMatchObject({ status: 409, message: 'Position changed while claiming; try again' });
+    expect(committed).toHaveLength(1);
+    expect(stored.released).toBe(results.find(r => r.status === 'fulfilled').value.claimed);
+  });
+
+  test('nothing is claimable before the cliff, and other users cannot reach the position', async () => {
+    stored = activePosition({ cliffAt: new Date(Date.now() + DAY) });
+    await expect(locks.claim('pos-1', owner)).rejects.toMatchObject({ status: 409, message: 'Nothing has vested to claim yet' });
+
+    await expect(locks.claim('pos-1', { userId: '64b000000000000000000002' })).rejects.toMatchObject({ status: 404 });
+    expect(committed).toEqual([]);
+  });
+
+  test('an early unlock takes the rest at once and pays the penalty on the unvested part', async () => {
+    const result = await locks.unlockEarly('pos-1', owner);
+
+    const [posting] = committed;
+    const penalty = posting.lines.find(l => l.accountId === 'treasury:communityRewards').credit;
+    expect(posting.kind).toBe('lock_early_unlock');
+    expect(posting.lines[0]).toEqual({ accountId: `locked:${owner.userId}`, debit: 1000 });
+    expect(penalty).toBeCloseTo(100, 3);
+    expect(result).toMatchObject({ penalty });
+    expect(stored).toMatchObject({ status: 'unlocked_early', released: 1000, penaltyPaid: penalty });
+  });
+
+  test('a position that forbids early unlock, or is already closed, is refused', async () => {
+    stored = activePosition({ earlyUnlock: { mode: 'forbidden', penaltyPercent: 0 } });
+    await expect(locks.unlockEarly('pos-1', owner)).rejects.toMatchObject({ status: 409, message: 'This position cannot be unlocked early' });
+
+    stored = activePosition({ status: 'released', released: 1000 });
+    await expect(locks.unlockEarly('pos-1', owner)).rejects.toMatchObject({ status: 409, message: 'Position is released' });
+    expect(committed).toEqual([]);
+  });
+});
@@ -0,0 +1,203 @@
+// src/services/__tests__/PayoutOutboxService.test.js
+// Payout state machine against a mocked Connection. Payouts are unsaved Payout
+// documents with save() stubbed, so no database or validator is needed.
+const { Keypair, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const Payout = require('../../models/Payout');
+const { PayoutOutboxService, toRawAmount } = require('../PayoutOutboxService');
+
+const owner = Keypair.generate();
+const payer = Keypair.generate();
+const mint = Keypair.generate().publicKey.toBase58();
+const recipient = Keypair.generate().publicKey.toBase58();
+
+function mockConnection() {
+  const connection = {
+    height: 1000,
+    statuses: new Map(),
+    sent: [],
+    getLatestBlockhash: jest.fn(async () => ({
+      blockhash: Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: connection.height + 150
+    })),
+    sendRawTransaction: jest.fn(async (raw) => {
+      connection.sent.push(Buffer.from(raw));
+      return bs58.encode(Transaction.from(raw).signature);
+    }),
+    getSignatureStatuses: jest.fn(async (signatures) => ({
+      value: signatures.map(signature => connection.statuses.get(signature) || null)
+    })),
+    getBlockHeight: jest.fn(async () => connection.height)
+  };
+  return connection;
+}
+
+function newPayout(overrides = {}) {
+  const payout = new Payout({
+    payoutId: 'payout-1',
+    idempotencyKey: 'test_1',
+    source: 'test',
+    mint,
+    recipient,
+    amount: 25,
+    decimals: 6,
+    signer: { kind: 'env', owner: 'OWNER_KEY', payer: 'PAYER_KEY' },
+    ...overrides
+  });
+  payout.save = jest.fn(async () => payout);
+  return payout;
+}
+
+function setup() {
+  const connection = mockConnection();
+  const outbox = new PayoutOutboxService({ connection, resolveSigners: async () => ({ owner, payer }) });
+  outbox.checkDelayMs = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  return { connection, outbox };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('submit', () => {
+  test('records the signed attempt before broadcasting it', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+
+    connection.sendRawTransaction.mockImplementationOnce(async (raw) => {
+      expect(payout.save).toHaveBeenCalled();
+      expect(payout.status).toBe('submitted');
+      expect(payout.attempts).toHaveLength(1);
+      return bs58.encode(Transaction.from(raw).signature);
+    });
+
+    await outbox.advance(payout);
+
+    const [attempt] = payout.attempts;
+    const sent = Transaction.from(connection.sendRawTransaction.mock.calls[0][0]);
+    expect(attempt.signature).toBe(bs58.encode(sent.signature));
+    expect(sent.feePayer.toBase58()).toBe(payer.publicKey.toBase58());
+    expect(payout.amountRaw).toBe('25000000');
+  });
+
+  test('a preflight rejection fails the payout', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    connection.sendRawTransaction.mockRejectedValueOnce(new Error('Transaction simulation failed: insufficient funds'));
+
+    await outbox.advance(payout);
+
+    expect(payout.status).toBe('failed');
+    expect(payout.lastError).toMatch(/insufficient funds/);
+  });
+
+  test('an unknown broadcast error leaves the attempt for the confirmation check', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    connection.sendRawTransaction.mockRejectedValueOnce(new Error('socket hang up'));
+
+    await outbox.advance(payout);
+
+    expect(payout.status).toBe('submitted');
+    expect(payout.attempts[0].sendError).toBe('socket hang up');
+  });
+});
+
+describe('confirmation', () => {
+  test('moves through confirmed to finalized', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    await outbox.advance(payout);
+    const { signature } = payout.attempts[0];
+
+    connection.statuses.set(signature, { err: null, confirmationStatus: 'confirmed' });
+    await outbox.advance(payout);
+    expect(payout.status).toBe('confirmed');
+    expect(payout.signature).toBe(signature);
+
+    connection.statuses.set(signature, { err: null, confirmationStatus: 'finalized' });
+    await outbox.advance(payout);
+    expect(payout.status).toBe('finalized');
+    expect(payout.finalizedAt).toBeInstanceOf(Date);
+  });
+
+  test('an on-chain error fails the payout', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    await outbox.advance(payout);
+
+    connection.statuses.set(payout.attempts[0].signature, { err: { InstructionError: [1, 'Custom'] }, confirmationStatus: 'confirmed' });
+    await outbox.advance(payout);
+
+    expect(payout.status).toBe('failed');
+    expect(payout.lastError).toMatch(/failed on-chain/);
+  });
+
+  test('resends the identical transaction while its blockhash is live', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    await outbox.advance(payout);
+    await outbox.advance(payout);
+
+    expect(payout.attempts).toHaveLength(1);
+    expect(connection.sent).toHaveLength(2);
+    expect(connection.sent[1].equals(connection.sent[0])).toBe(true);
+  });
+});
+
+describe('expired blockhash', () => {
+  test('re-signs only after the attempt expired unseen', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    await outbox.advance(payout);
+
+    connection.height = payout.attempts[0].lastValidBlockHeight + 1;
+    await outbox.advance(payout);
+
+    expect(payout.status).toBe('submitted');
+    expect(payout.attempts).toHaveLength(2);
+    expect(payout.attempts[1].blockhash).not.toBe(payout.attempts[0].blockhash);
+  });
+
+  test('an earlier attempt that lands late settles the payout without re-signing', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout();
+    await outbox.advance(payout);
+    const first = payout.attempts[0].signature;
+
+    connection.height = payout.attempts[0].lastValidBlockHeight + 1;
+    await outbox.advance(payout);
+    expect(payout.attempts).toHaveLength(2);
+
+    connection.statuses.set(first, { err: null, confirmationStatus: 'finalized' });
+    await outbox.advance(payout);
+
+    expect(payout.status).toBe('finalized');
+    expect(payout.signature).toBe(first);
+    expect(payout.attempts).toHaveLength(2);
+  });
+
+  test('gives up after maxAttempts', async () => {
+    const { connection, outbox } = setup();
+    const payout = newPayout({ maxAttempts: 2 });
+    await outbox.advance(payout);
+
+    for (let i = 0; i < 2; i++) {
+      connection.height = payout.attempts[payout.attempts.length - 1].lastValidBlockHeight + 1;
+      await outbox.advance(payout);
+    }
+
+    expect(payout.status).toBe('failed');
+    expect(payout.attempts).toHaveLength(2);
+    expect(payout.lastError).toMatch(/blockhash expired/);
+  });
+});
+
+describe('toRawAmount', () => {
+  test('converts without floating point drift', () => {
+    expect(toRawAmount(0.1, 9)).toBe(100000000n);
+    expect(toRawAmount(169825, 9)).toBe(169825000000000n);
+    expect(toRawAmount(1.005, 6)).toBe(1005000n);
+  });
+});
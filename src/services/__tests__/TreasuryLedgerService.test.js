@@ -0,0 +1,188 @@
+// src/services/__tests__/TreasuryLedgerService.test.js
+// Resolving broadcast treasury movements from their signature status. The model
+// and the Connection are stubbed: no database or RPC.
+jest.mock('../TreasuryApprovalService', () => ({ completeExecution: jest.fn() }));
+
+const TreasuryLedgerEntry = require('../../models/TreasuryLedgerEntry');
+const SigningRequest = require('../../models/SigningRequest');
+const treasuryApprovals = require('../TreasuryApprovalService');
+const treasuryLedger = require('../TreasuryLedgerService');
+
+const SIGNATURE = '5'.repeat(88);
+
+function submittedEntry(overrides = {}) {
+  return {
+    entryId: 'entry-1',
+    accountType: 'operationsReserve',
+    status: 'reserved',
+    signature: SIGNATURE,
+    submission: { blockhash: 'hash', lastValidBlockHeight: 1150 },
+    ...overrides
+  };
+}
+
+function mockConnection({ height = 1000, status = null } = {}) {
+  return {
+    getBlockHeight: jest.fn(async () => height),
+    getSignatureStatuses: jest.fn(async () => ({ value: [status] }))
+  };
+}
+
+let stored;
+
+beforeEach(() => {
+  stored = submittedEntry();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Applies the update when the filter matches the stored entry
+  jest.spyOn(TreasuryLedgerEntry, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const matches = Object.entries(filter).every(([key, value]) => (value === null ? stored[key] == null : stored[key] === value));
+    if (!matches) return null;
+    stored = { ...stored, ...update.$set };
+    return stored;
+  });
+  jest.spyOn(TreasuryLedgerEntry, 'findOne').mockImplementation(async () => stored);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  treasuryApprovals.completeExecution.mockReset();
+  treasuryLedger.connection = null;
+});
+
+describe('release', () => {
+  test('a broadcast movement stays reserved', async () => {
+    const entry = await treasuryLedger.release('entry-1', 'confirmation timed out');
+
+    expect(entry.status).toBe('reserved');
+    expect(entry.signature).toBe(SIGNATURE);
+  });
+
+  test('a movement that was never sent is released', async () => {
+    stored = submittedEntry({ signature: undefined, submission: undefined });
+
+    const entry = await treasuryLedger.release('entry-1', 'signer unavailable');
+
+    expect(entry).toMatchObject({ status: 'failed', error: 'signer unavailable' });
+  });
+});
+
+describe('resolveSubmitted', () => {
+  test('settles a confirmed signature', async () => {
+    treasuryLedger.connection = mockConnection({ status: { err: null, confirmationStatus: 'confirmed' } });
+
+    const entry = await treasuryLedger.resolveSubmitted(stored);
+
+    expect(entry).toMatchObject({ status: 'settled', signature: SIGNATURE });
+  });
+
+  test('releases a transaction that failed on-chain', async () => {
+    treasuryLedger.connection = mockConnection({ status: { err: { InstructionError: [1, 'Custom'] }, confirmationStatus: 'confirmed' } });
+
+    const entry = await treasuryLedger.resolveSubmitted(stored);
+
+    expect(entry.status).toBe('failed');
+    expect(entry.error).toMatch(/failed on-chain/);
+  });
+
+  test('keeps an unseen signature reserved while its blockhash is live', async () => {
+    treasuryLedger.connection = mockConnection({ height: 1150 });
+
+    const entry = await treasuryLedger.resolveSubmitted(stored);
+
+    expect(entry.status).toBe('reserved');
+    expect(TreasuryLedgerEntry.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('releases an unseen signature once its blockhash has expired', async () => {
+    treasuryLedger.connection = mockConnection({ height: 1151 });
+
+    const entry = await treasuryLedger.resolveSubmitted(stored);
+
+    expect(entry).toMatchObject({ status: 'failed', error: 'Blockhash expired before the transaction landed' });
+  });
+
+  test('completes the treasury request behind the movement', async () => {
+    stored = submittedEntry({ requestId: 'req-1' });
+    treasuryLedger.connection = mockConnection({ status: { err: null, confirmationStatus: 'finalized' } });
+
+    await treasuryLedger.resolveSubmitted(stored);
+
+    expect(treasuryApprovals.completeExecution).toHaveBeenCalledWith('req-1', { signature: SIGNATURE, error: undefined });
+  });
+});
+
+describe('payout outbox movements', () => {
+  test('settle and release follow the payout under their idempotency key', async () => {
+    stored = submittedEntry({ signature: undefined, submission: undefined, payoutKey: 'dist_1' });
+
+    expect(await treasuryLedger.settlePayout({ idempotencyKey: 'dist_2', signature: SIGNATURE })).toBeNull();
+    const settled = await treasuryLedger.settlePayout({ idempotencyKey: 'dist_1', signature: SIGNATURE });
+    expect(settled).toEqual(expect.objectContaining({ status: 'settled', signature: SIGNATURE }));
+    expect(await treasuryLedger.releasePayout({ idempotencyKey: 'dist_1', lastError: 'expired' })).toBeNull();
+  });
+});
+
+describe('releaseStale', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  // Unsigned reservations the worker's query returns; each has its own stored state
+  function stubStale(entries, openSigningIds = []) {
+    const byId = new Map(entries.map(e => [e.entryId, e]));
+    jest.spyOn(TreasuryLedgerEntry, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => entries }) })
+    });
+    jest.spyOn(SigningRequest, 'distinct').mockResolvedValue(openSigningIds);
+    TreasuryLedgerEntry.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      const entry = byId.get(filter.entryId);
+      if (!entry || entry.status !== 'reserved' || entry.signature) return null;
+      Object.assign(entry, update.$set);
+      return entry;
+    });
+  }
+
+  function unsigned(entryId, overrides = {}) {
+    return { entryId, status: 'reserved', createdAt: new Date('2026-03-01T11:00:00Z'), ...overrides };
+  }
+
+  test('fails reservations never signed past the cutoff and completes their treasury request', async () => {
+    const abandoned = unsigned('entry-1', { requestId: 'req-1' });
+    stubStale([abandoned]);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const released = await treasuryLedger.releaseStale(now);
+
+    expect(released).toEqual([expect.objectContaining({ entryId: 'entry-1', status: 'failed' })]);
+    expect(abandoned.error).toMatch(/abandoned before the transaction was signed/);
+    expect(treasuryApprovals.completeExecution).toHaveBeenCalledWith('req-1', { error: abandoned.error });
+
+    const [filter] = TreasuryLedgerEntry.find.mock.calls[0];
+    expect(filter).toEqual({
+      status: 'reserved',
+      signature: null,
+      payoutKey: null,
+      createdAt: { $lte: new Date(now.getTime() - treasuryLedger.staleAfterMs) }
+    });
+  });
+
+  test('leaves movements waiting on an offline signature reserved', async () => {
+    const offline = unsigned('entry-offline');
+    const abandoned = unsigned('entry-2');
+    stubStale([offline, abandoned], ['entry-offline']);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const released = await treasuryLedger.releaseStale(now);
+
+    expect(released.map(e => e.entryId)).toEqual(['entry-2']);
+    expect(offline.status).toBe('reserved');
+  });
+
+  test('skips an entry signed since it was read', async () => {
+    const raced = unsigned('entry-3');
+    stubStale([raced]);
+    raced.signature = SIGNATURE;
+
+    expect(await treasuryLedger.releaseStale(now)).toEqual([]);
+    expect(raced.status).toBe('reserved');
+    expect(treasuryApprovals.completeExecution).not.toHaveBeenCalled();
+  });
+});
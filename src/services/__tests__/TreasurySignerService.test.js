@@ -0,0 +1,137 @@
+// src/services/__tests__/TreasurySignerService.test.js
+// Backend policy, the remote signer's signature checks and verification of
+// imported offline signatures. No database or RPC: stand-ins replace both.
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default;
+const { Keypair, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const { TreasurySignerService } = require('../TreasurySignerService');
+const RemoteSigner = require('../signers/RemoteSigner');
+
+const BLOCKHASH = new PublicKey(Buffer.alloc(32, 7)).toBase58();
+const stub = name => ({ name, publicKey: jest.fn(), sign: jest.fn() });
+
+function transferFrom(payer, recipient = Keypair.generate().publicKey) {
+  return new Transaction({ feePayer: payer, recentBlockhash: BLOCKHASH })
+    .add(SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 1000 }));
+}
+
+function exported(transaction) {
+  return { message: transaction.serializeMessage().toString('base64') };
+}
+
+function serialized(transaction) {
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+const ENV_KEYS = ['TREASURY_SIGNER_BACKEND', 'TREASURY_SIGNER_CRITICAL', 'TREASURY_SIGNER_HIGH', 'TREASURY_SIGNER_LOW'];
+let service;
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  service = new TreasurySignerService({
+    backends: { vault: stub('vault'), remote: stub('remote'), offline: stub('offline') }
+  });
+});
+
+afterAll(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+describe('backend policy', () => {
+  test('defaults to the vault and forces CRITICAL accounts offline', () => {
+    expect(service.backendFor('marketing').name).toBe('vault');
+    expect(service.backendFor('unlisted').level).toBe('MEDIUM');
+
+    process.env.TREASURY_SIGNER_BACKEND = 'vault';
+    process.env.TREASURY_SIGNER_CRITICAL = 'remote';
+    expect(service.backendFor('jackpotReserve')).toMatchObject({ name: 'offline', level: 'CRITICAL' });
+  });
+
+  test('a per-level choice beats the global backend', () => {
+    process.env.TREASURY_SIGNER_BACKEND = 'remote';
+    process.env.TREASURY_SIGNER_HIGH = 'offline';
+
+    expect(service.backendFor('operationsReserve').name).toBe('offline');
+    expect(service.backendFor('marketing').name).toBe('remote');
+  });
+
+  test('sign requires a reason and reports the backend used', async () => {
+    const signer = Keypair.generate().publicKey;
+    service.backends.vault.publicKey.mockResolvedValue(signer);
+    service.backends.vault.sign.mockResolvedValue({ status: 'signed', transaction: 'tx' });
+
+    await expect(service.sign('tx', 'marketing', '')).rejects.toMatchObject({ status: 400 });
+
+    const result = await service.sign('tx', 'marketing', 'PAYOUT', { actor: { email: 'a@b.c' } });
+    expect(result).toMatchObject({ status: 'signed', backend: 'vault', securityLevel: 'LOW' });
+    expect(service.backends.vault.sign).toHaveBeenCalledWith('tx', 'marketing', 'PAYOUT',
+      expect.objectContaining({ signer, securityLevel: 'LOW', actor: { email: 'a@b.c' } }));
+  });
+});
+
+describe('RemoteSigner', () => {
+  const key = Keypair.generate();
+
+  function remoteReturning(sign) {
+    const http = {
+      post: jest.fn(async (url, body) => ({
+        data: { publicKey: key.publicKey.toBase58(), signature: sign(Buffer.from(body.message, 'base64')) }
+      }))
+    };
+    return { http, signer: new RemoteSigner({ url: 'http://signer.local/', token: 't0ken', http }) };
+  }
+
+  test('adds a signature that verifies for the account key', async () => {
+    const { http, signer } = remoteReturning(message =>
+      Buffer.from(nacl.sign.detached(message, key.secretKey)).toString('base64'));
+    const transaction = transferFrom(key.publicKey);
+
+    await signer.sign(transaction, 'marketing', 'PAYOUT', { signer: key.publicKey });
+
+    expect(transaction.verifySignatures()).toBe(true);
+    const [url, body, options] = http.post.mock.calls[0];
+    expect(url).toBe('http://signer.local/v1/sign');
+    expect(body).toMatchObject({ accountType: 'marketing', reason: 'PAYOUT' });
+    expect(options.headers.Authorization).toBe('Bearer t0ken');
+  });
+
+  test('rejects a signature over a different message', async () => {
+    const { signer } = remoteReturning(() =>
+      Buffer.from(nacl.sign.detached(Buffer.from('something else'), key.secretKey)).toString('base64'));
+
+    await expect(signer.sign(transferFrom(key.publicKey), 'marketing', 'PAYOUT', { signer: key.publicKey }))
+      .rejects.toThrow('invalid signature');
+  });
+});
+
+describe('verifySignedTransaction', () => {
+  const key = Keypair.generate();
+
+  test('accepts the exported message signed by every signer', () => {
+    const transaction = transferFrom(key.publicKey);
+    const request = exported(transaction);
+    transaction.sign(key);
+
+    const { signature } = service.verifySignedTransaction(request, serialized(transaction));
+    expect(signature).toBe(bs58.encode(transaction.signature));
+  });
+
+  test('rejects a signed transaction that differs from the export', () => {
+    const request = exported(transferFrom(key.publicKey));
+    const other = transferFrom(key.publicKey);
+    other.sign(key);
+
+    expect(() => service.verifySignedTransaction(request, serialized(other))).toThrow('does not match');
+  });
+
+  test('rejects a missing signature', () => {
+    const transaction = transferFrom(key.publicKey);
+    expect(() => service.verifySignedTransaction(exported(transaction), serialized(transaction)))
+      .toThrow('Missing or invalid signature');
+  });
+
+  test('rejects input that is not a transaction', () => {
+    expect(() => service.verifySignedTransaction({ message: '' }, 'bm90IGEgdHg='))
+      .toThrow('could not be decoded');
+  });
+});
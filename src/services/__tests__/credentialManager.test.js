@@ -0,0 +1,127 @@
+// src/services/__tests__/credentialManager.test.js
+// Envelope key ids, master key rotation and access logging against a temp vault.
+// No database: access logs go only to the vault's access.log.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const CredentialManager = require('../credentialManager');
+
+const OLD_KEY = 'old-master-key-0123456789abcdef0123456789';
+const NEW_KEY = 'new-master-key-0123456789abcdef0123456789';
+
+let vaultPath;
+
+function managerWith(masterKey, previous) {
+  process.env.TREASURY_MASTER_KEY = masterKey;
+  if (previous) process.env.TREASURY_MASTER_KEY_PREVIOUS = previous;
+  else delete process.env.TREASURY_MASTER_KEY_PREVIOUS;
+  return new CredentialManager();
+}
+
+function readLog() {
+  return fs.readFileSync(path.join(vaultPath, 'logs', 'access.log'), 'utf8')
+    .trim().split('\n').map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+  process.env.VAULT_PATH = vaultPath;
+});
+
+afterEach(() => {
+  fs.rmSync(vaultPath, { recursive: true, force: true });
+});
+
+describe('envelopes', () => {
+  test('record the sealing key and open only for the same context', () => {
+    const manager = managerWith(OLD_KEY);
+    const envelope = manager.encryptCredential({ secret: 42 }, 'jackpotReserve');
+
+    expect(envelope.keyId).toBe(manager.keyId);
+    expect(manager.decryptCredential(envelope, 'jackpotReserve')).toEqual({ secret: 42 });
+    expect(() => manager.decryptCredential(envelope, 'teamReserve')).toThrow(/Decryption failed/);
+  });
+
+  test('open under a previous key and name an unknown one', () => {
+    const envelope = managerWith(OLD_KEY).encryptCredential({ secret: 1 }, 'payer');
+
+    expect(managerWith(NEW_KEY, OLD_KEY).decryptCredential(envelope, 'payer')).toEqual({ secret: 1 });
+    expect(() => managerWith(NEW_KEY).decryptCredential(envelope, 'payer'))
+      .toThrow(/unknown master key/);
+  });
+
+  test('without a key id are tried against every configured key', () => {
+    const { keyId, ...legacy } = managerWith(OLD_KEY).encryptCredential({ secret: 7 }, 'payer');
+
+    expect(managerWith(NEW_KEY, OLD_KEY).decryptCredential(legacy, 'payer')).toEqual({ secret: 7 });
+  });
+
+  test('bind wallet keys to their public key', async () => {
+    const manager = managerWith(OLD_KEY);
+    const wallet = Keypair.generate();
+    const other = Keypair.generate();
+    const publicKey = wallet.publicKey.toBase58();
+
+    expect(() => manager.encryptWalletKey(publicKey, Array.from(other.secretKey)))
+      .toThrow(/does not belong/);
+
+    const envelope = manager.encryptWalletKey(publicKey, Array.from(wallet.secretKey));
+    const opened = await manager.getWalletKeypair(publicKey, envelope, 'TEST');
+    expect(opened.keypair.publicKey.toBase58()).toBe(publicKey);
+
+    const moved = await manager.getWalletKeypair(other.publicKey.toBase58(), envelope, 'TEST');
+    expect(moved.success).toBe(false);
+  });
+});
+
+describe('rotateVault', () => {
+  test('re-encrypts stale files under the current key and skips current ones', async () => {
+    const old = managerWith(OLD_KEY);
+    await old.storeCredentials('jackpotReserve', { secretKey: [1, 2, 3] });
+
+    const manager = managerWith(NEW_KEY, OLD_KEY);
+    await manager.storeCredentials('teamReserve', { secretKey: [4, 5, 6] });
+
+    const result = await manager.rotateVault({ reason: 'TEST' });
+    expect(result.rotated).toEqual(['jackpotReserve']);
+    expect(result.alreadyCurrent).toBe(1);
+
+    // Readable with only the new key once rotated
+    const after = managerWith(NEW_KEY);
+    const retrieved = await after.retrieveCredentials('jackpotReserve', 'TEST');
+    expect(retrieved.credentials.secretKey).toEqual([1, 2, 3]);
+    expect(fs.readdirSync(vaultPath).filter(f => f.endsWith('.rotating'))).toHaveLength(0);
+  });
+
+  test('leaves the vault untouched when a file cannot be decrypted', async () => {
+    await managerWith(OLD_KEY).storeCredentials('jackpotReserve', { secretKey: [1] });
+    const before = fs.readFileSync(path.join(vaultPath, 'jackpotReserve.vault'), 'utf8');
+
+    await expect(managerWith(NEW_KEY).rotateVault({ reason: 'TEST' })).rejects.toThrow(/unknown master key/);
+    expect(fs.readFileSync(path.join(vaultPath, 'jackpotReserve.vault'), 'utf8')).toBe(before);
+  });
+});
+
+describe('access log', () => {
+  test('records who accessed which key and why', async () => {
+    const manager = managerWith(OLD_KEY);
+    await manager.storeCredentials('payer', { secretKey: Array.from(Keypair.generate().secretKey) });
+    await manager.getKeypair('payer', 'PAYOUT', {
+      userId: '64b7f0c2a1b2c3d4e5f60718', email: 'admin@example.com', role: 'super_admin'
+    });
+    await manager.retrieveCredentials('missing', 'BALANCE_CHECK');
+
+    const [stored, retrieved, failed] = readLog();
+    expect(stored).toMatchObject({ accountType: 'payer', action: 'STORE', actor: { source: 'system' } });
+    expect(retrieved).toMatchObject({
+      accountType: 'payer',
+      action: 'RETRIEVE',
+      result: 'SUCCESS',
+      reason: 'PAYOUT',
+      keyId: manager.keyId,
+      actor: { email: 'admin@example.com', role: 'super_admin', source: 'admin' }
+    });
+    expect(failed).toMatchObject({ accountType: 'missing', result: 'FAILED', reason: 'BALANCE_CHECK' });
+  });
+});
@@ -0,0 +1,81 @@
+// src/services/__tests__/distributionService.test.js
+// Distributions through the payout outbox. No network or database: the outbox is stubbed.
+const { Keypair } = require('@solana/web3.js');
+
+process.env.GAMBINO_MINT_ADDRESS = process.env.GAMBINO_MINT_ADDRESS || Keypair.generate().publicKey.toBase58();
+const payoutOutbox = require('../PayoutOutboxService');
+const treasuryLedger = require('../TreasuryLedgerService');
+const DistributionService = require('../distributionService');
+
+const distributions = new DistributionService();
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('queueDistribution', () => {
+  test('refuses a distribution without an idempotency key', async () => {
+    const enqueue = jest.spyOn(payoutOutbox, 'enqueue');
+
+    await expect(distributions.distributeTokens({
+      venueId: 'store_1',
+      recipient: Keypair.generate().publicKey.toBase58(),
+      amount: 500,
+      sourceAccount: 'community'
+    })).rejects.toThrow('idempotencyKey is required for distributions');
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  test('refuses a distribution from an approval-gated account without a treasury request', async () => {
+    const reserve = jest.spyOn(treasuryLedger, 'reserve');
+    const enqueue = jest.spyOn(payoutOutbox, 'enqueue');
+
+    await expect(distributions.queueDistribution({
+      venueId: 'store_1',
+      recipient: Keypair.generate().publicKey.toBase58(),
+      amount: 500,
+      sourceAccount: 'founder',
+      idempotencyKey: 'dist_1'
+    })).rejects.toThrow('Distributions from founder require an approved treasury request');
+    expect(reserve).not.toHaveBeenCalled();
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  test('refuses a distribution from an account without the distribute permission', async () => {
+    const reserve = jest.spyOn(treasuryLedger, 'reserve');
+
+    await expect(distributions.queueDistribution({
+      venueId: 'store_1',
+      recipient: Keypair.generate().publicKey.toBase58(),
+      amount: 500,
+      sourceAccount: 'marketing',
+      idempotencyKey: 'dist_3'
+    })).rejects.toThrow('Distributions are not permitted from marketing');
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  test('never queues a distribution the treasury ledger limits refuse', async () => {
+    const limitError = Object.assign(new Error('communityRewards rolling 24h limit exceeded'), { status: 409 });
+    const reserve = jest.spyOn(treasuryLedger, 'reserve').mockRejectedValue(limitError);
+    const enqueue = jest.spyOn(payoutOutbox, 'enqueue');
+    const recipient = Keypair.generate().publicKey.toBase58();
+
+    await expect(distributions.queueDistribution({
+      venueId: 'store_1',
+      recipient,
+      amount: 500,
+      sourceAccount: 'community',
+      idempotencyKey: 'dist_2'
+    })).rejects.toBe(limitError);
+    expect(reserve).toHaveBeenCalledWith(expect.objectContaining({
+      accountType: 'communityRewards',
+      kind: 'transfer',
+      amount: 500,
+      recipient,
+      payoutKey: 'dist_2'
+    }));
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+});
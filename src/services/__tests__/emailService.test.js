@@ -0,0 +1,24 @@
+// src/services/__tests__/emailService.test.js
+// Hub alert emails with the Resend client mocked: nothing is sent.
+const mockSend = jest.fn();
+jest.mock('resend', () => ({ Resend: jest.fn(() => ({ emails: { send: mockSend } })) }));
+
+const { sendHubAlertEmail } = require('../emailService');
+
+describe('sendHubAlertEmail', () => {
+  test('escapes operator-editable hub and alert text in the HTML body', async () => {
+    mockSend.mockResolvedValue({ data: { id: 'msg-1' }, error: null });
+
+    await sendHubAlertEmail(['ops@example.com'], {
+      hub: { hubId: 'store1-hub', name: '<img src=x onerror=alert(1)>', storeId: 'store_"1"' },
+      alert: { message: 'CPU > 90% & <b>rising</b>', ruleType: 'cpu_high', threshold: 90, value: 95, triggeredAt: new Date() }
+    });
+
+    const { html } = mockSend.mock.calls[0][0];
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<b>');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('CPU &gt; 90% &amp; &lt;b&gt;rising&lt;/b&gt;');
+    expect(html).toContain('store_&quot;1&quot;');
+  });
+});
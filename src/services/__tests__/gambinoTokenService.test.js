@@ -0,0 +1,34 @@
+// src/services/__tests__/gambinoTokenService.test.js
+// Treasury transfers through the payout outbox. No network or database: the outbox is stubbed.
+const payoutOutbox = require('../PayoutOutboxService');
+const GambinoTokenService = require('../gambinoTokenService');
+
+const tokens = new GambinoTokenService();
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('transferFromTreasury', () => {
+  test('refuses a transfer without an idempotency key', async () => {
+    const pay = jest.spyOn(payoutOutbox, 'pay');
+
+    const result = await tokens.transferFromTreasury('communityRewards', 'wallet-1', 1000, 'memo');
+
+    expect(result).toEqual({ success: false, error: 'idempotencyKey is required for treasury transfers' });
+    expect(pay).not.toHaveBeenCalled();
+  });
+
+  test('rewards are keyed per user and reward, so a retry pays once', async () => {
+    const pay = jest.spyOn(payoutOutbox, 'pay').mockResolvedValue({ payoutId: 'p-1' });
+    jest.spyOn(payoutOutbox, 'result').mockReturnValue({ success: true, signature: 'sig-1', payoutId: 'p-1' });
+
+    await tokens.distributeRegistrationReward('user-1', 'wallet-1');
+    await tokens.distributeRegistrationReward('user-1', 'wallet-1');
+
+    expect(pay.mock.calls.map(([payout]) => payout.idempotencyKey)).toEqual(['reward_userRegistration_user-1', 'reward_userRegistration_user-1']);
+  });
+});
@@ -0,0 +1,189 @@
+// src/services/__tests__/secureTreasuryService.test.js
+// Treasury transfers against a mocked Connection and signer. The vault and the
+// treasury ledger are stubbed: no database, key material or RPC.
+jest.mock('../credentialManager', () => jest.fn().mockImplementation(() => ({
+  isLocked: () => false,
+  verifyVaultIntegrity: async () => ({ success: true, integrityScore: 100 })
+})));
+jest.mock('../TreasuryLedgerService', () => ({
+  reserve: jest.fn(),
+  recordSubmission: jest.fn(),
+  settle: jest.fn(),
+  release: jest.fn()
+}));
+
+const { Keypair, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const treasuryLedger = require('../TreasuryLedgerService');
+const TreasuryRequest = require('../../models/TreasuryRequest');
+
+process.env.GAMBINO_MINT_ADDRESS = process.env.GAMBINO_MINT_ADDRESS || Keypair.generate().publicKey.toBase58();
+const SecureTreasuryService = require('../secureTreasuryService');
+
+const owner = Keypair.generate();
+const recipient = Keypair.generate().publicKey.toBase58();
+
+function setup() {
+  const treasury = new SecureTreasuryService();
+  treasury.signers = {
+    publicKeyFor: async () => owner.publicKey,
+    sign: async (transaction) => {
+      transaction.partialSign(owner);
+      return { status: 'signed', transaction, securityLevel: 'HIGH' };
+    }
+  };
+  treasury.connection = {
+    getLatestBlockhash: jest.fn(async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1150 })),
+    sendRawTransaction: jest.fn(async () => 'sent'),
+    confirmTransaction: jest.fn(async () => ({ value: { err: null } }))
+  };
+  jest.spyOn(treasury, 'logSecureTransaction').mockImplementation(() => {});
+  return treasury;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  treasuryLedger.reserve.mockResolvedValue({ entryId: 'entry-1' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.values(treasuryLedger).forEach(fn => fn.mockReset());
+});
+
+describe('secureTransferFromTreasury', () => {
+  test('records the signature on the ledger entry before broadcasting', async () => {
+    const treasury = setup();
+    treasury.connection.sendRawTransaction.mockImplementationOnce(async () => {
+      expect(treasuryLedger.recordSubmission).toHaveBeenCalled();
+      return 'sent';
+    });
+
+    const result = await treasury.secureTransferFromTreasury('operationsReserve', recipient, 10, 'Vendor payment');
+
+    const [entryId, { signature }] = treasuryLedger.recordSubmission.mock.calls[0];
+    const sent = Transaction.from(treasury.connection.sendRawTransaction.mock.calls[0][0]);
+    expect(entryId).toBe('entry-1');
+    expect(signature).toBe(bs58.encode(sent.signature));
+    expect(result).toMatchObject({ success: true, signature });
+    expect(treasuryLedger.settle).toHaveBeenCalledWith('entry-1', signature);
+  });
+
+  test('leaves a broadcast transfer reserved when confirmation times out', async () => {
+    const treasury = setup();
+    treasury.connection.confirmTransaction.mockRejectedValue(new Error('Transaction was not confirmed in 30.00 seconds'));
+    treasuryLedger.release.mockImplementation(async () => ({ entryId: 'entry-1', status: 'reserved', signature: 'sig-1' }));
+
+    const result = await treasury.secureTransferFromTreasury('operationsReserve', recipient, 10, 'Vendor payment');
+
+    expect(result).toMatchObject({ success: false, submitted: true, signature: 'sig-1', ledgerEntryId: 'entry-1' });
+    expect(treasuryLedger.settle).not.toHaveBeenCalled();
+  });
+
+  test('a transfer that fails before signing is released', async () => {
+    const treasury = setup();
+    treasury.signers.sign = async () => { throw new Error('Signer unavailable'); };
+    treasuryLedger.release.mockImplementation(async (entryId, error) => ({ entryId, status: 'failed', error }));
+
+    const result = await treasury.secureTransferFromTreasury('operationsReserve', recipient, 10, 'Vendor payment');
+
+    expect(result).toEqual({ success: false, error: 'Signer unavailable' });
+    expect(treasuryLedger.release).toHaveBeenCalledWith('entry-1', 'Signer unavailable');
+    expect(treasury.connection.sendRawTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('secureReleaseJackpot', () => {
+  test('releases from jackpotReserve against the ledger limits without a treasury request', async () => {
+    const treasury = setup();
+
+    const result = await treasury.secureReleaseJackpot(recipient, 500, 'major', 'machine-7', null);
+
+    expect(result.success).toBe(true);
+    expect(treasuryLedger.reserve).toHaveBeenCalledWith(expect.objectContaining({
+      accountType: 'jackpotReserve',
+      kind: 'jackpot_release',
+      amount: 500,
+      jackpot: { jackpotType: 'major', machineId: 'machine-7', gameSession: undefined }
+    }));
+  });
+
+  test('an over-limit release is refused by the ledger', async () => {
+    const treasury = setup();
+    treasuryLedger.reserve.mockRejectedValue(new Error('jackpotReserve calendar-day limit exceeded'));
+
+    const result = await treasury.secureReleaseJackpot(recipient, 500, 'mega', 'machine-7', null);
+
+    expect(result).toEqual({ success: false, error: 'jackpotReserve calendar-day limit exceeded' });
+    expect(treasury.connection.sendRawTransaction).not.toHaveBeenCalled();
+  });
+
+  test('jackpotReserve pays gameplay rewards only: direct transfers are not permitted', async () => {
+    const treasury = setup();
+
+    const result = await treasury.secureTransferFromTreasury('jackpotReserve', recipient, 500, 'Payout');
+
+    expect(result).toEqual({ success: false, error: "Operation 'transfer' not permitted for jackpotReserve" });
+    expect(SecureTreasuryService.ACCOUNT_ROLES.jackpotReserve.permissions).toEqual(['release_jackpot', 'distribute']);
+    expect(treasuryLedger.reserve).not.toHaveBeenCalled();
+  });
+});
+
+describe('approved treasury requests', () => {
+  const requester = '64b000000000000000000001';
+  const approvers = ['64b000000000000000000002', '64b000000000000000000003'];
+
+  function storedRequest(overrides = {}) {
+    return {
+      requestId: 'req-1',
+      type: 'transfer',
+      accountType: 'teamReserve',
+      amount: 500,
+      toAddress: recipient,
+      status: 'executing',
+      requiredApprovals: 2,
+      eligibleApprovers: approvers,
+      requestedBy: { userId: requester, email: 'requester@gambino.test' },
+      approvals: approvers.map(userId => ({ userId, email: `${userId}@gambino.test` })),
+      ...overrides
+    };
+  }
+
+  // The caller's copy always claims to be approved; the stored one decides
+  function stubStored(request) {
+    jest.spyOn(TreasuryRequest, 'findOne').mockReturnValue({ lean: async () => request });
+  }
+
+  async function transfer(treasury) {
+    return treasury.secureTransferFromTreasury('teamReserve', recipient, 500, 'Team payout', storedRequest());
+  }
+
+  test('runs when the stored request is executing, approved and covers the transfer', async () => {
+    const treasury = setup();
+    stubStored(storedRequest());
+
+    const result = await transfer(treasury);
+
+    expect(TreasuryRequest.findOne).toHaveBeenCalledWith({ requestId: 'req-1' });
+    expect(result.success).toBe(true);
+    expect(treasuryLedger.reserve).toHaveBeenCalledWith(expect.objectContaining({ requestId: 'req-1' }));
+  });
+
+  test.each([
+    ['missing', null, 'Treasury request req-1 not found'],
+    ['not executing', storedRequest({ status: 'approved' }), 'Treasury request req-1 is approved, not approved for execution'],
+    ['short of approvals', storedRequest({ approvals: [{ userId: approvers[0] }] }), 'Treasury request req-1 has 1/2 approvals'],
+    ['approved by the requester', storedRequest({ approvals: [{ userId: approvers[0] }, { userId: requester }] }), 'Treasury request req-1 has 1/2 approvals'],
+    ['approved by someone not designated', storedRequest({ approvals: [{ userId: approvers[0] }, { userId: '64b000000000000000000009' }] }), 'Treasury request req-1 has 1/2 approvals'],
+    ['for different terms', storedRequest({ amount: 50 }), 'Treasury request req-1 does not cover this transfer']
+  ])('refuses when the stored request is %s', async (_case, stored, error) => {
+    const treasury = setup();
+    stubStored(stored);
+
+    const result = await transfer(treasury);
+
+    expect(result).toEqual({ success: false, error });
+    expect(treasuryLedger.reserve).not.toHaveBeenCalled();
+  });
+});
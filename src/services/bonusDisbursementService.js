@@ -6,7 +6,8 @@
  * - KYC bonuses (venue verification)
  * 
  * Uses DistributionService for actual Solana token transfers
- * from the community wallet.
+ * from the community wallet. Each bonus has a fixed idempotency key, so a
+ * retry after a failed or unconfirmed attempt can never pay it twice.
  */
 
 const DistributionService = require('./distributionService');
@@ -99,6 +100,7 @@ class BonusDisbursementService {
         recipient: walletAddress,
         amount: CONFIG.SIGNUP_BONUS_AMOUNT,
         sourceAccount: CONFIG.SOURCE_ACCOUNT,
+        idempotencyKey: `signup_bonus_${userId}`,
         metadata: {
           type: 'signup_bonus',
           userId: userId.toString(),
@@ -130,6 +132,7 @@ class BonusDisbursementService {
                 recipient: referrer.walletAddress,
                 amount: CONFIG.REFERRER_BONUS_AMOUNT,
                 sourceAccount: CONFIG.SOURCE_ACCOUNT,
+                idempotencyKey: `referrer_bonus_${referrer._id}_${userId}`,
                 metadata: {
                   type: 'referrer_bonus',
                   referrerId: referrer._id.toString(),
@@ -244,6 +247,7 @@ class BonusDisbursementService {
         recipient: walletAddress,
         amount: CONFIG.KYC_BONUS_AMOUNT,
         sourceAccount: CONFIG.SOURCE_ACCOUNT,
+        idempotencyKey: `kyc_bonus_${kycReward._id}`,
         metadata: {
           type: 'kyc_bonus',
           userId: userId.toString(),
@@ -1,23 +1,32 @@
 require("dotenv").config();
 const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const mongoose = require("mongoose");
 const { Keypair } = require("@solana/web3.js");
+const CredentialAccessLog = require("../models/CredentialAccessLog");
+
+// Security level per vault account; unlisted accounts are MEDIUM.
+// TreasurySignerService picks signing backends by these levels.
+const CREDENTIAL_LEVELS = {
+  jackpotReserve: "CRITICAL",
+  operationsReserve: "HIGH",
+  teamReserve: "HIGH",
+  communityRewards: "MEDIUM",
+  marketing: "LOW",
+  testing: "LOW",
+};
 
 class CredentialManager {
   constructor() {
     this.masterKey = this.getMasterKey();
+    this.keyId = this.keyIdFor(this.masterKey);
+    this.keyring = this.loadKeyring();
     // Use env var or fall back to local directory for development
     this.vaultPath = process.env.VAULT_PATH || path.join(__dirname, '../../.secure-vault');
 
-    this.credentialLevels = {
-      jackpotReserve: "CRITICAL",
-      operationsReserve: "HIGH",
-      teamReserve: "HIGH",
-      communityRewards: "MEDIUM",
-      marketing: "LOW",
-      testing: "LOW",
-    };
+    this.credentialLevels = CREDENTIAL_LEVELS;
 
     this.initializeVault();
   }
@@ -33,6 +42,48 @@ class CredentialManager {
     return masterKey;
   }
 
+  // Envelopes record a fingerprint of the master key that sealed them, so a
+  // rotation can keep the old key configured until everything is re-encrypted
+  keyIdFor(masterKey) {
+    return crypto
+      .createHash("sha256")
+      .update(`gambino-treasury-master:${masterKey}`)
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  // Current key first, then TREASURY_MASTER_KEY_PREVIOUS (comma-separated)
+  loadKeyring() {
+    const keyring = new Map([[this.keyId, this.masterKey]]);
+    const previous = (process.env.TREASURY_MASTER_KEY_PREVIOUS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+
+    for (const key of previous) {
+      const keyId = this.keyIdFor(key);
+      if (!keyring.has(keyId)) keyring.set(keyId, key);
+    }
+    return keyring;
+  }
+
+  // Envelopes written before key ids existed are tried against every key
+  candidateKeys(encryptedData) {
+    if (!encryptedData.keyId) return [...this.keyring.values()];
+
+    const masterKey = this.keyring.get(encryptedData.keyId);
+    if (!masterKey) {
+      throw new Error(
+        `encrypted under unknown master key ${encryptedData.keyId}`
+      );
+    }
+    return [masterKey];
+  }
+
+  needsRotation(encryptedData) {
+    return encryptedData.keyId !== this.keyId;
+  }
+
   initializeVault() {
     try {
       if (!fs.existsSync(this.vaultPath)) {
@@ -65,6 +116,7 @@ class CredentialManager {
         authTag: authTag.toString("hex"),
         algorithm,
         accountType,
+        keyId: this.keyId,
         encryptedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -77,20 +129,30 @@ class CredentialManager {
   decryptCredential(encryptedData, accountType) {
     try {
       const { encrypted, iv, authTag, algorithm } = encryptedData;
-      const key = crypto.scryptSync(this.masterKey, `salt_${accountType}`, 32);
+      let lastError;
 
-      const decipher = crypto.createDecipheriv(
-        algorithm,
-        key,
-        Buffer.from(iv, "hex")
-      );
-      decipher.setAAD(Buffer.from(accountType));
-      decipher.setAuthTag(Buffer.from(authTag, "hex"));
+      for (const masterKey of this.candidateKeys(encryptedData)) {
+        try {
+          const key = crypto.scryptSync(masterKey, `salt_${accountType}`, 32);
 
-      let decrypted = decipher.update(encrypted, "hex", "utf8");
-      decrypted += decipher.final("utf8");
+          const decipher = crypto.createDecipheriv(
+            algorithm,
+            key,
+            Buffer.from(iv, "hex")
+          );
+          decipher.setAAD(Buffer.from(accountType));
+          decipher.setAuthTag(Buffer.from(authTag, "hex"));
 
-      return JSON.parse(decrypted);
+          let decrypted = decipher.update(encrypted, "hex", "utf8");
+          decrypted += decipher.final("utf8");
+
+          return JSON.parse(decrypted);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      throw lastError;
     } catch (error) {
       throw new Error(
         `Decryption failed for ${accountType}: ${error.message}`
@@ -98,7 +160,15 @@ class CredentialManager {
     }
   }
 
-  async storeCredentials(accountType, credentials) {
+  // Decrypt under whichever configured key sealed it and seal again under the current one
+  reencryptCredential(encryptedData, accountType) {
+    return this.encryptCredential(
+      this.decryptCredential(encryptedData, accountType),
+      accountType
+    );
+  }
+
+  async storeCredentials(accountType, credentials, actor) {
     try {
       const securityLevel = this.credentialLevels[accountType] || "MEDIUM";
 
@@ -136,7 +206,7 @@ class CredentialManager {
       console.log(
         `🔒 Stored ${securityLevel} security credentials for ${accountType}`
       );
-      this.logCredentialAccess(accountType, "STORE", "SUCCESS");
+      this.logCredentialAccess(accountType, "STORE", "SUCCESS", "", "", actor);
 
       return { success: true, securityLevel, vaultFile };
     } catch (error) {
@@ -146,13 +216,14 @@ class CredentialManager {
         "STORE",
         "FAILED",
         "",
-        error.message
+        error.message,
+        actor
       );
       return { success: false, error: error.message };
     }
   }
 
-  async retrieveCredentials(accountType, reason = "GENERAL") {
+  async retrieveCredentials(accountType, reason = "GENERAL", actor) {
     try {
       const vaultFile = path.join(this.vaultPath, `${accountType}.vault`);
 
@@ -174,7 +245,7 @@ class CredentialManager {
         mode: 0o600,
       });
 
-      this.logCredentialAccess(accountType, "RETRIEVE", "SUCCESS", reason);
+      this.logCredentialAccess(accountType, "RETRIEVE", "SUCCESS", reason, "", actor);
 
       return {
         success: true,
@@ -188,15 +259,16 @@ class CredentialManager {
         "RETRIEVE",
         "FAILED",
         reason,
-        error.message
+        error.message,
+        actor
       );
       return { success: false, error: error.message };
     }
   }
 
-  async getKeypair(accountType, reason = "TRANSACTION") {
+  async getKeypair(accountType, reason = "TRANSACTION", actor) {
     try {
-      const result = await this.retrieveCredentials(accountType, reason);
+      const result = await this.retrieveCredentials(accountType, reason, actor);
 
       if (!result.success) throw new Error(result.error);
 
@@ -209,6 +281,119 @@ class CredentialManager {
     }
   }
 
+  // Secret keys still held in env vars (JSON byte arrays) go through here so
+  // their use is logged like any vault access
+  async getEnvKeypair(envName, reason = "TRANSACTION", actor) {
+    const credential = `env:${envName}`;
+    try {
+      const secret = process.env[envName];
+      if (!secret) throw new Error(`${envName} not set`);
+
+      const keypair = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(secret)));
+      this.logCredentialAccess(credential, "RETRIEVE", "SUCCESS", reason, "", actor);
+
+      return { success: true, keypair };
+    } catch (error) {
+      this.logCredentialAccess(credential, "RETRIEVE", "FAILED", reason, error.message, actor);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Treasury wallet keys (TreasuryWallet documents). The envelope's AAD is the
+  // wallet's public key, so an envelope copied onto another wallet won't open.
+  // ---------------------------------------------------------------------------
+
+  walletCredential(publicKey) {
+    return `treasuryWallet:${publicKey}`;
+  }
+
+  encryptWalletKey(publicKey, secretKey, actor) {
+    const credential = this.walletCredential(publicKey);
+    try {
+      const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+      if (keypair.publicKey.toBase58() !== publicKey) {
+        throw new Error(`Secret key does not belong to ${publicKey}`);
+      }
+
+      const encryptedKey = this.encryptCredential(
+        { secretKey: Array.from(secretKey) },
+        credential
+      );
+      this.logCredentialAccess(credential, "STORE", "SUCCESS", "", "", actor);
+      return encryptedKey;
+    } catch (error) {
+      this.logCredentialAccess(credential, "STORE", "FAILED", "", error.message, actor);
+      throw error;
+    }
+  }
+
+  async getWalletKeypair(publicKey, encryptedKey, reason = "TRANSACTION", actor) {
+    const credential = this.walletCredential(publicKey);
+    try {
+      if (!encryptedKey) throw new Error(`No encrypted key stored for ${publicKey}`);
+
+      const { secretKey } = this.decryptCredential(encryptedKey, credential);
+      const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+      this.logCredentialAccess(credential, "RETRIEVE", "SUCCESS", reason, "", actor);
+
+      return { success: true, keypair };
+    } catch (error) {
+      this.logCredentialAccess(credential, "RETRIEVE", "FAILED", reason, error.message, actor);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Re-encrypt every vault file sealed under an older master key. Files are
+  // staged beside the originals and swapped in only once all of them re-encrypt,
+  // so a missing key or a corrupt file leaves the vault as it was.
+  async rotateVault({ reason = "MASTER_KEY_ROTATION", actor } = {}) {
+    const files = fs.existsSync(this.vaultPath)
+      ? fs.readdirSync(this.vaultPath).filter((f) => f.endsWith(".vault"))
+      : [];
+    const staged = [];
+    let current = 0;
+
+    try {
+      for (const file of files) {
+        const vaultFile = path.join(this.vaultPath, file);
+        const vaultEntry = JSON.parse(fs.readFileSync(vaultFile, "utf8"));
+
+        if (!this.needsRotation(vaultEntry.encryptedData)) {
+          current++;
+          continue;
+        }
+
+        vaultEntry.encryptedData = this.reencryptCredential(
+          vaultEntry.encryptedData,
+          vaultEntry.accountType
+        );
+        vaultEntry.rotatedAt = new Date().toISOString();
+
+        const stagedFile = `${vaultFile}.rotating`;
+        fs.writeFileSync(stagedFile, JSON.stringify(vaultEntry, null, 2), {
+          mode: 0o600,
+        });
+        staged.push({ vaultFile, stagedFile, accountType: vaultEntry.accountType });
+      }
+    } catch (error) {
+      staged.forEach(({ stagedFile }) => fs.rmSync(stagedFile, { force: true }));
+      this.logCredentialAccess("ALL", "ROTATE", "FAILED", reason, error.message, actor);
+      throw error;
+    }
+
+    for (const { vaultFile, stagedFile, accountType } of staged) {
+      fs.renameSync(stagedFile, vaultFile);
+      this.logCredentialAccess(accountType, "ROTATE", "SUCCESS", reason, "", actor);
+    }
+
+    return {
+      keyId: this.keyId,
+      rotated: staged.map(({ accountType }) => accountType),
+      alreadyCurrent: current,
+    };
+  }
+
   async listCredentials() {
     try {
       if (!fs.existsSync(this.vaultPath)) {
@@ -229,6 +414,7 @@ class CredentialManager {
             securityLevel: vaultEntry.securityLevel,
             metadata: vaultEntry.metadata,
             storedAt: vaultEntry.storedAt,
+            keyId: vaultEntry.encryptedData?.keyId || null,
             file,
           };
         } catch (error) {
@@ -243,19 +429,28 @@ class CredentialManager {
     }
   }
 
-  logCredentialAccess(accountType, action, result, reason = "", error = "") {
-    try {
-      const logEntry = {
-        timestamp: new Date().toISOString(),
-        accountType,
-        action,
-        result,
-        reason,
-        error,
-        pid: process.pid,
-        user: process.env.USER || "unknown",
-      };
+  // actor: { userId, email, role, source } of whoever asked; req.user works as-is
+  describeActor(actor) {
+    if (!actor) return { source: "system" };
+    const { userId, email, role, source } = actor;
+    return { userId, email, role, source: source || (userId ? "admin" : "system") };
+  }
 
+  logCredentialAccess(accountType, action, result, reason = "", error = "", actor) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      accountType,
+      action,
+      result,
+      reason,
+      error,
+      keyId: this.keyId,
+      actor: this.describeActor(actor),
+      pid: process.pid,
+      user: process.env.USER || "unknown",
+    };
+
+    try {
       const logsDir = path.join(this.vaultPath, "logs");
       if (!fs.existsSync(logsDir)) {
         fs.mkdirSync(logsDir, { recursive: true });
@@ -266,6 +461,25 @@ class CredentialManager {
     } catch (error) {
       console.error("❌ Failed to write access log:", error);
     }
+
+    // Scripts run without a database; the file log above still has the entry
+    if (mongoose.connection.readyState !== 1) return;
+
+    CredentialAccessLog.create({
+      credential: accountType,
+      action,
+      result,
+      reason,
+      error,
+      keyId: logEntry.keyId,
+      actor: mongoose.Types.ObjectId.isValid(logEntry.actor.userId)
+        ? logEntry.actor
+        : { ...logEntry.actor, userId: undefined },
+      host: os.hostname(),
+      pid: process.pid,
+    }).catch((err) => {
+      console.error("❌ Failed to record credential access:", err.message);
+    });
   }
 
   async verifyVaultIntegrity() {
@@ -307,7 +521,7 @@ class CredentialManager {
     }
   }
 
-  async emergencyLockdown(reason) {
+  async emergencyLockdown(reason, actor) {
     try {
       const lockdownFile = path.join(this.vaultPath, "EMERGENCY_LOCKDOWN");
       const lockdownData = {
@@ -320,7 +534,7 @@ class CredentialManager {
       fs.writeFileSync(lockdownFile, JSON.stringify(lockdownData, null, 2));
 
       console.log(`🚨 EMERGENCY LOCKDOWN ACTIVATED: ${reason}`);
-      this.logCredentialAccess("ALL", "EMERGENCY_LOCKDOWN", "SUCCESS", reason);
+      this.logCredentialAccess("ALL", "EMERGENCY_LOCKDOWN", "SUCCESS", reason, "", actor);
 
       return { success: true, reason };
     } catch (error) {
@@ -334,4 +548,6 @@ class CredentialManager {
   }
 }
 
+CredentialManager.CREDENTIAL_LEVELS = CREDENTIAL_LEVELS;
+
 module.exports = CredentialManager;
@@ -1,18 +1,38 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const {
-  getOrCreateAssociatedTokenAccount,
-  transfer,
-  getMint
+  getAssociatedTokenAddress,
+  getAccount,
+  getMint,
+  TokenAccountNotFoundError
 } = require('@solana/spl-token');
-const CredentialManager = require('./credentialManager');
+const payoutOutbox = require('./PayoutOutboxService');
+const signers = require('./TreasurySignerService');
+const treasuryLedger = require('./TreasuryLedgerService');
 const Distribution = require('../models/Distribution');
 
+// Keep Distribution records and their treasury ledger reservations in step with
+// payouts the outbox worker finishes later
+payoutOutbox.on('confirmed', payout => syncDistribution(payout, 'confirmed'));
+payoutOutbox.on('finalized', payout => syncDistribution(payout, 'confirmed'));
+payoutOutbox.on('failed', payout => syncDistribution(payout, 'failed'));
+
+function syncDistribution(payout, status) {
+  if (payout.source !== 'distribution') return;
+  const update = status === 'confirmed'
+    ? { status, signature: payout.signature, error: null }
+    : { status, error: payout.lastError };
+  Distribution.updateOne({ payoutId: payout.payoutId, status: { $ne: status } }, { $set: update })
+    .catch(error => console.error(`❌ Failed to sync distribution for payout ${payout.payoutId}:`, error.message));
+
+  const ledger = status === 'confirmed' ? treasuryLedger.settlePayout(payout) : treasuryLedger.releasePayout(payout);
+  ledger.catch(error => console.error(`❌ Failed to sync treasury ledger for payout ${payout.payoutId}:`, error.message));
+}
+
 class DistributionService {
   constructor() {
     this.rpcUrl = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
     this.connection = new Connection(this.rpcUrl, 'confirmed');
     this.mintAddress = process.env.GAMBINO_MINT_ADDRESS;
-    this.credentialManager = new CredentialManager();
 
     if (!this.mintAddress) {
       throw new Error('GAMBINO_MINT_ADDRESS not set in environment variables');
@@ -40,18 +60,34 @@ class DistributionService {
   }
 
   /**
-   * Distribute GAMBINO tokens from treasury to recipient
-   * @param {Object} params - Distribution parameters
-   * @param {string} params.venueId - Venue identifier
-   * @param {string} params.venueName - Venue name (optional)
-   * @param {string} params.recipient - Recipient wallet address
-   * @param {number} params.amount - Amount of GAMBINO tokens to send
-   * @param {string} params.sourceAccount - Source account ('miningRewards', 'founder', 'operations', 'community')
-   * @param {string} params.staffId - Staff member who initiated (optional)
-   * @param {string} params.staffEmail - Staff email (optional)
-   * @returns {Object} Transaction result with signature
+   * Treasury role of the account a distribution source maps to, or undefined
    */
-  async distributeTokens({
+  roleFor(sourceAccount) {
+    // Required lazily: secureTreasuryService loads the vault and signer backends
+    const { ACCOUNT_ROLES } = require('./secureTreasuryService');
+    return ACCOUNT_ROLES[this.mapAccountType(sourceAccount)];
+  }
+
+  /**
+   * Whether distributions from this account need an approved TreasuryRequest
+   */
+  requiresApproval(sourceAccount) {
+    return Boolean(this.roleFor(sourceAccount)?.requiresApproval);
+  }
+
+  /**
+   * Queue a distribution with the payout outbox without waiting for it to land.
+   * It is reserved on the treasury ledger first, so a distribution that would break
+   * the source account's limits is refused (409). The Distribution record and the
+   * reservation follow the payout as the outbox worker settles it.
+   * Takes the same parameters as distributeTokens, plus:
+   * @param {string} params.scheduleId - DistributionSchedule that queued it (optional)
+   * @param {string} params.scheduleRunKey - The schedule firing (optional)
+   * @param {string} params.treasuryRequestId - Approved TreasuryRequest covering it;
+   *   required for accounts with requiresApproval
+   * @returns {Object} { distribution, payout }
+   */
+  async queueDistribution({
     venueId,
     venueName,
     recipient,
@@ -59,111 +95,170 @@ class DistributionService {
     sourceAccount = 'miningRewards',
     staffId,
     staffEmail,
-    metadata = {}
+    metadata = {},
+    idempotencyKey,
+    scheduleId,
+    scheduleRunKey,
+    treasuryRequestId
   }) {
-    let distribution;
-
+    // Validate recipient address
+    let recipientPubkey;
     try {
-      // Validate recipient address
-      let recipientPubkey;
-      try {
-        recipientPubkey = new PublicKey(recipient);
-      } catch (error) {
-        throw new Error(`Invalid recipient address: ${recipient}`);
-      }
+      recipientPubkey = new PublicKey(recipient);
+    } catch (error) {
+      throw new Error(`Invalid recipient address: ${recipient}`);
+    }
 
-      // Validate amount
-      if (!amount || amount <= 0) {
-        throw new Error('Amount must be greater than 0');
-      }
+    // Validate amount
+    if (!amount || amount <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
 
-      // Map account name to actual vault account type
-      const mappedAccount = this.mapAccountType(sourceAccount);
-      console.log(`🔄 Account mapping: ${sourceAccount} -> ${mappedAccount}`);
+    // Required so a retried caller can never pay the same thing twice
+    if (!idempotencyKey) {
+      throw new Error('idempotencyKey is required for distributions');
+    }
 
-      // Get source account credentials
-      const sourceResult = await this.credentialManager.getKeypair(
-        mappedAccount,
-        `DISTRIBUTION_${venueId}`
-      );
+    // Map account name to actual vault account type
+    const mappedAccount = this.mapAccountType(sourceAccount);
+    console.log(`🔄 Account mapping: ${sourceAccount} -> ${mappedAccount}`);
 
-      if (!sourceResult.success) {
-        throw new Error(`Failed to access ${mappedAccount} (requested: ${sourceAccount}) account: ${sourceResult.error}`);
-      }
+    if (!this.roleFor(sourceAccount)?.permissions.includes('distribute')) {
+      throw new Error(`Distributions are not permitted from ${sourceAccount}`);
+    }
 
-      const sourceKeypair = sourceResult.keypair;
-      const mintPubkey = new PublicKey(this.mintAddress);
+    if (this.requiresApproval(sourceAccount) && !treasuryRequestId) {
+      throw new Error(`Distributions from ${sourceAccount} require an approved treasury request`);
+    }
 
-      // Get mint info to determine decimals
-      const mintInfo = await getMint(this.connection, mintPubkey);
-      const decimals = mintInfo.decimals;
-
-      // Convert amount to token units (amount * 10^decimals)
-      const transferAmount = BigInt(Math.floor(amount * Math.pow(10, decimals)));
-
-      // Get or create associated token accounts
-      const sourceTokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        sourceKeypair,
-        mintPubkey,
-        sourceKeypair.publicKey
-      );
-
-      const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        sourceKeypair, // Payer for account creation
-        mintPubkey,
-        recipientPubkey
-      );
-
-      // Check source balance
-      if (sourceTokenAccount.amount < transferAmount) {
-        const availableBalance = Number(sourceTokenAccount.amount) / Math.pow(10, decimals);
-        throw new Error(
-          `Insufficient balance. Available: ${availableBalance.toLocaleString()} GAMBINO, ` +
-          `Requested: ${amount.toLocaleString()} GAMBINO`
-        );
+    // Held to the account limits like every other treasury movement; a retried
+    // call with the same key finds its existing reservation
+    const ledgerEntry = await treasuryLedger.reserve({
+      accountType: mappedAccount,
+      kind: 'transfer',
+      amount,
+      recipient: recipientPubkey.toBase58(),
+      purpose: scheduleId ? `Distribution schedule ${scheduleId} (${venueId})` : `Distribution to ${venueName || venueId}`,
+      initiatedBy: { email: staffEmail, source: scheduleId ? 'distribution_schedule' : 'distribution' },
+      requestId: treasuryRequestId,
+      payoutKey: idempotencyKey
+    });
+
+    // Signed and sent by the payout outbox; retried calls with the same key reuse it
+    let payout;
+    try {
+      payout = await payoutOutbox.enqueue({
+        idempotencyKey,
+        source: 'distribution',
+        mint: this.mintAddress,
+        recipient: recipientPubkey.toBase58(),
+        amount,
+        signer: { kind: 'vault', owner: mappedAccount },
+        metadata: { ...metadata, venueId, sourceAccount, ...(scheduleId && { scheduleId }) }
+      });
+    } catch (error) {
+      // A 409 means the key belongs to a different payout, and the reservation found with it to that payout
+      if (error.status !== 409) {
+        await treasuryLedger.release(ledgerEntry.entryId, error.message)
+          .catch(releaseError => console.error('❌ Failed to release treasury ledger reservation:', releaseError));
       }
+      throw error;
+    }
 
-      // Create pending distribution record
+    // Already sent under this key (a retry after it landed): nothing is left to reserve
+    if (['confirmed', 'finalized'].includes(payout.status)) {
+      await treasuryLedger.settlePayout(payout);
+    }
+
+    let distribution = await Distribution.findOne({ payoutId: payout.payoutId });
+    if (!distribution) {
       distribution = new Distribution({
         venueId,
         venueName,
         recipient,
         amount,
-        signature: 'pending_' + Date.now() + '_' + Math.random().toString(36).slice(2),
+        signature: `pending_${payout.payoutId}`,
         status: 'pending',
         sourceAccount,
         staffId,
         staffEmail,
+        payoutId: payout.payoutId,
+        scheduleId,
+        scheduleRunKey,
         metadata
       });
       await distribution.save();
+    }
 
-      // Execute transfer
-      const signature = await transfer(
-        this.connection,
-        sourceKeypair,
-        sourceTokenAccount.address,
-        recipientTokenAccount.address,
-        sourceKeypair,
-        transferAmount
-      );
-
-      // Update distribution with signature
+    return { distribution, payout };
+  }
+
+  /**
+   * Distribute GAMBINO tokens from treasury to recipient
+   * @param {Object} params - Distribution parameters
+   * @param {string} params.venueId - Venue identifier
+   * @param {string} params.venueName - Venue name (optional)
+   * @param {string} params.recipient - Recipient wallet address
+   * @param {number} params.amount - Amount of GAMBINO tokens to send
+   * @param {string} params.sourceAccount - Source account ('miningRewards', 'founder', 'operations', 'community')
+   * @param {string} params.staffId - Staff member who initiated (optional)
+   * @param {string} params.staffEmail - Staff email (optional)
+   * @param {string} params.idempotencyKey - Identifies what is being paid; a repeat call with
+   *   the same key returns the original payout instead of sending again
+   * @returns {Object} Transaction result with signature
+   */
+  async distributeTokens({
+    venueId,
+    venueName,
+    recipient,
+    amount,
+    sourceAccount = 'miningRewards',
+    staffId,
+    staffEmail,
+    metadata = {},
+    idempotencyKey
+  }) {
+    let distribution;
+    let payout;
+
+    try {
+      ({ distribution, payout } = await this.queueDistribution({
+        venueId,
+        venueName,
+        recipient,
+        amount,
+        sourceAccount,
+        staffId,
+        staffEmail,
+        metadata,
+        idempotencyKey
+      }));
+
+      const settled = payoutOutbox.result(await payoutOutbox.waitForSettlement(payout.payoutId));
+      if (settled.pending) {
+        // The outbox worker finishes it; the Distribution is updated when it does
+        const error = new Error(`Payout ${payout.payoutId} submitted but not yet confirmed`);
+        error.pending = true;
+        error.payoutId = payout.payoutId;
+        throw error;
+      }
+      if (!settled.success) {
+        throw new Error(settled.error || 'Payout failed');
+      }
+
+      const signature = settled.signature;
       distribution.signature = signature;
       distribution.status = 'confirmed';
+      distribution.error = undefined;
       await distribution.save();
 
-      // Get updated balances
-      const updatedSourceAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        sourceKeypair,
-        mintPubkey,
-        sourceKeypair.publicKey
-      );
-
-      const newBalance = Number(updatedSourceAccount.amount) / Math.pow(10, decimals);
+      // Balance after the transfer (informational)
+      let newBalance = null;
+      try {
+        newBalance = (await this.getTreasuryBalance(sourceAccount)).balance;
+      } catch (balanceError) {
+        console.warn(`⚠️ Could not read ${sourceAccount} balance after distribution:`, balanceError.message);
+      }
 
       return {
         success: true,
@@ -173,12 +268,13 @@ class DistributionService {
         sourceAccount,
         newBalance,
         explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${this.rpcUrl.includes('devnet') ? 'devnet' : 'mainnet'}`,
-        distributionId: distribution._id
+        distributionId: distribution._id,
+        payoutId: payout.payoutId
       };
 
     } catch (error) {
-      // Update distribution record with error
-      if (distribution) {
+      // Update distribution record with error; pending payouts are settled by the outbox worker
+      if (distribution && !error.pending) {
         distribution.status = 'failed';
         distribution.error = error.message;
         await distribution.save();
@@ -284,33 +380,26 @@ class DistributionService {
       // Map account name to actual vault account type
       const mappedAccount = this.mapAccountType(accountType);
 
-      const accountResult = await this.credentialManager.getKeypair(
-        mappedAccount,
-        `BALANCE_CHECK`
-      );
-
-      if (!accountResult.success) {
-        throw new Error(`Failed to access ${mappedAccount} (requested: ${accountType}) account`);
-      }
-
-      const accountKeypair = accountResult.keypair;
+      // Only the public key is needed; no key material is loaded for a balance check
+      const owner = await signers.publicKeyFor(mappedAccount);
       const mintPubkey = new PublicKey(this.mintAddress);
       const mintInfo = await getMint(this.connection, mintPubkey);
+      const tokenAddress = await getAssociatedTokenAddress(mintPubkey, owner);
 
-      const tokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        accountKeypair,
-        mintPubkey,
-        accountKeypair.publicKey
-      );
+      let amount = 0n;
+      try {
+        amount = (await getAccount(this.connection, tokenAddress)).amount;
+      } catch (error) {
+        if (!(error instanceof TokenAccountNotFoundError)) throw error;
+      }
 
-      const balance = Number(tokenAccount.amount) / Math.pow(10, mintInfo.decimals);
+      const balance = Number(amount) / Math.pow(10, mintInfo.decimals);
 
       return {
         accountType,
-        address: accountKeypair.publicKey.toString(),
+        address: owner.toString(),
         balance,
-        tokenAddress: tokenAccount.address.toString()
+        tokenAddress: tokenAddress.toString()
       };
     } catch (error) {
       throw new Error(`Error getting balance for ${accountType}: ${error.message}`);
@@ -290,8 +290,156 @@ Visit your dashboard: ${APP_URL}/dashboard
   }
 }
 
+// Hub names and alert text are operator-editable; escape them for the HTML body
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send hub health alert (raised or resolved) to ops recipients
+ */
+async function sendHubAlertEmail(recipients, { hub, alert, resolved = false }) {
+  const hubUrl = `${process.env.ADMIN_URL || 'https://admin.gambino.gold'}/hubs/${encodeURIComponent(hub.hubId)}`;
+  const state = resolved ? 'RESOLVED' : 'ALERT';
+  const color = resolved ? '#4caf50' : (alert.severity === 'critical' ? '#e53935' : '#d4af37');
+  const html = {
+    message: escapeHtml(alert.message),
+    hubName: escapeHtml(hub.name || hub.hubId),
+    hubId: escapeHtml(hub.hubId),
+    storeId: escapeHtml(hub.storeId),
+    ruleType: escapeHtml(alert.ruleType),
+    value: escapeHtml(alert.value)
+  };
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: recipients,
+      subject: `[${state}] ${hub.name || hub.hubId} (${hub.storeId}): ${alert.message}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="margin: 0; padding: 20px; background-color: #0a0a0a; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+          <table role="presentation" style="width: 600px; max-width: 100%; border-collapse: collapse; background-color: #1a1a1a; border-radius: 12px; overflow: hidden;">
+            <tr>
+              <td style="padding: 20px 30px; background-color: ${color};">
+                <h2 style="margin: 0; color: #0a0a0a; font-size: 20px;">${state}: ${html.message}</h2>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 30px; color: #cccccc; font-size: 15px; line-height: 1.6;">
+                <p style="margin: 0 0 10px;"><strong>Hub:</strong> ${html.hubName} (${html.hubId})</p>
+                <p style="margin: 0 0 10px;"><strong>Store:</strong> ${html.storeId}</p>
+                <p style="margin: 0 0 10px;"><strong>Rule:</strong> ${html.ruleType}${alert.threshold !== undefined ? ` (threshold ${alert.threshold})` : ''}</p>
+                ${alert.value !== undefined && alert.value !== null ? `<p style="margin: 0 0 10px;"><strong>Value:</strong> ${html.value}</p>` : ''}
+                <p style="margin: 0 0 10px;"><strong>Triggered:</strong> ${new Date(alert.triggeredAt).toISOString()}</p>
+                ${resolved ? `<p style="margin: 0 0 10px;"><strong>Resolved:</strong> ${new Date(alert.resolvedAt).toISOString()}</p>` : ''}
+                <p style="margin: 20px 0 0;"><a href="${hubUrl}" style="color: #d4af37;">Open hub in admin</a></p>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `,
+      text: `
+${state}: ${alert.message}
+
+Hub: ${hub.name || hub.hubId} (${hub.hubId})
+Store: ${hub.storeId}
+Rule: ${alert.ruleType}
+Triggered: ${new Date(alert.triggeredAt).toISOString()}
+${resolved ? `Resolved: ${new Date(alert.resolvedAt).toISOString()}` : ''}
+
+${hubUrl}
+      `.trim()
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      return { success: false };
+    }
+
+    console.log(`📧 Hub alert email sent to ${recipients.join(', ')} (ID: ${data.id})`);
+    return { success: true, messageId: data.id };
+  } catch (err) {
+    console.error('❌ Failed to send hub alert email:', err);
+    return { success: false };
+  }
+}
+
+/**
+ * Send the 6-digit code a customer reads to venue staff to confirm a cashout
+ */
+async function sendCashoutCodeEmail(email, firstName, { code, storeName, tokens, cashAmount, expiresAt }) {
+  const expires = new Date(expiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: email,
+      subject: `${code} is your ${APP_NAME} cashout code`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="margin: 0; padding: 20px; background-color: #0a0a0a; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+          <table role="presentation" style="width: 600px; max-width: 100%; border-collapse: collapse; background-color: #1a1a1a; border-radius: 12px; overflow: hidden;">
+            <tr>
+              <td style="padding: 20px 30px; background: linear-gradient(135deg, #d4af37 0%, #f4d03f 50%, #d4af37 100%);">
+                <h2 style="margin: 0; color: #0a0a0a; font-size: 20px;">Confirm your cashout</h2>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 30px; color: #cccccc; font-size: 15px; line-height: 1.6;">
+                <p style="margin: 0 0 10px;">Hi ${firstName || 'there'},</p>
+                <p style="margin: 0 0 20px;">Staff at <strong>${storeName}</strong> started a cashout of <strong>${tokens.toLocaleString()} GG</strong> ($${cashAmount.toFixed(2)}). Give them this code to approve it:</p>
+                <p style="margin: 0 0 20px; font-size: 36px; letter-spacing: 8px; color: #d4af37; font-weight: bold; text-align: center;">${code}</p>
+                <p style="margin: 0 0 10px;">The code expires at ${expires}. You can also approve or decline it in the ${APP_NAME} app.</p>
+                <p style="margin: 0; color: #888888; font-size: 13px;">If you are not at ${storeName} right now, do not share this code and decline the request in the app.</p>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `,
+      text: `
+Confirm your cashout
+
+Staff at ${storeName} started a cashout of ${tokens.toLocaleString()} GG ($${cashAmount.toFixed(2)}).
+Give them this code to approve it: ${code}
+
+The code expires at ${expires}. You can also approve or decline it in the ${APP_NAME} app.
+If you are not at ${storeName} right now, do not share this code and decline the request in the app.
+      `.trim()
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', error);
+      return { success: false };
+    }
+
+    console.log(`📧 Cashout code email sent to ${email} (ID: ${data.id})`);
+    return { success: true, messageId: data.id };
+  } catch (err) {
+    console.error('❌ Failed to send cashout code email:', err);
+    return { success: false };
+  }
+}
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendHubAlertEmail,
+  sendCashoutCodeEmail
 };
@@ -1,12 +1,12 @@
 // backend/src/services/gambinoTokenService.js
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getAssociatedTokenAddress, getAccount, transfer, getOrCreateAssociatedTokenAccount } = require('@solana/spl-token');
-const CredentialManager = require('./credentialManager');
+const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, getAccount, createAssociatedTokenAccountIdempotentInstruction } = require('@solana/spl-token');
+const payoutOutbox = require('./PayoutOutboxService');
+const signers = require('./TreasurySignerService');
 
 class GambinoTokenService {
   constructor() {
     this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
-    this.credentialManager = new CredentialManager();
     
     // Token configuration - these should be in your .env
     this.gambinoMint = process.env.GAMBINO_MINT_ADDRESS; // From your token minting
@@ -45,12 +45,18 @@ class GambinoTokenService {
         this.treasuryPools.marketing : 
         this.treasuryPools.communityRewards;
       
+      // One payout per user and reward (per day for the daily bonus)
+      const idempotencyKey = rewardType === 'dailyBonus'
+        ? `reward_${rewardType}_${userId}_${new Date().toISOString().split('T')[0]}`
+        : `reward_${rewardType}_${userId}`;
+
       // Execute the token transfer
       const result = await this.transferFromTreasury(
         sourcePool,
         userWalletAddress,
         rewardAmount,
-        `${rewardType} reward for user ${userId}`
+        `${rewardType} reward for user ${userId}`,
+        idempotencyKey
       );
       
       if (result.success) {
@@ -79,57 +85,37 @@ class GambinoTokenService {
     }
   }
 
-  async transferFromTreasury(treasuryAccountType, recipientWalletAddress, amount, memo) {
+  // Sent through the payout outbox; idempotencyKey identifies what is being paid
+  // and is required, so a retried caller can never pay the same thing twice
+  async transferFromTreasury(treasuryAccountType, recipientWalletAddress, amount, memo, idempotencyKey) {
     try {
-      // Get treasury credentials
-      const treasuryResult = await this.credentialManager.getKeypair(treasuryAccountType, 'TOKEN_DISTRIBUTION');
-      if (!treasuryResult.success) {
-        throw new Error(`Failed to get treasury credentials for ${treasuryAccountType}`);
+      if (!idempotencyKey) {
+        throw new Error('idempotencyKey is required for treasury transfers');
       }
-      
-      const treasuryKeypair = treasuryResult.keypair;
-      
-      // Get payer for transaction fees
-      const payerResult = await this.credentialManager.getKeypair('payer', 'TOKEN_DISTRIBUTION');
-      if (!payerResult.success) {
-        throw new Error('Failed to get payer credentials');
+
+      const payout = await payoutOutbox.pay({
+        idempotencyKey,
+        source: 'reward',
+        mint: this.gambinoMint,
+        recipient: recipientWalletAddress,
+        amount,
+        decimals: this.decimals,
+        signer: { kind: 'vault', owner: treasuryAccountType, payer: 'payer' },
+        metadata: { memo }
+      });
+      const result = payoutOutbox.result(payout);
+
+      if (!result.success) {
+        throw new Error(result.pending ? `Payout ${result.payoutId} submitted but not yet confirmed` : result.error);
       }
       
-      const payer = payerResult.keypair;
-      
-      // Convert amount to token units (with decimals)
-      const tokenAmount = amount * Math.pow(10, this.decimals);
-      
-      // Get treasury token account
-      const treasuryTokenAccount = await getAssociatedTokenAddress(
-        new PublicKey(this.gambinoMint),
-        treasuryKeypair.publicKey
-      );
-      
-      // Get or create recipient token account
-      const recipientTokenAccount = await getAssociatedTokenAddress(
-        new PublicKey(this.gambinoMint),
-        new PublicKey(recipientWalletAddress)
-      );
-      
-      // Execute transfer
-      const txSignature = await transfer(
-        this.connection,
-        payer,                    // Fee payer
-        treasuryTokenAccount,     // Source account
-        recipientTokenAccount,    // Destination account
-        treasuryKeypair,          // Owner of source account
-        tokenAmount,              // Amount with decimals
-        [],                       // Multi-signers (none)
-        { commitment: 'confirmed' }
-      );
-      
       console.log(`💸 Transferred ${amount} GAMBINO from ${treasuryAccountType}`);
       console.log(`📋 Memo: ${memo}`);
       
       return {
         success: true,
-        txSignature,
+        txSignature: result.signature,
+        payoutId: result.payoutId,
         amount,
         treasuryAccount: treasuryAccountType
       };
@@ -183,17 +169,12 @@ class GambinoTokenService {
 
   async getTreasuryPoolBalance(poolType) {
     try {
-      const treasuryResult = await this.credentialManager.getKeypair(poolType, 'BALANCE_CHECK');
-      if (!treasuryResult.success) {
-        throw new Error(`Failed to get ${poolType} credentials`);
-      }
-      
-      const treasuryKeypair = treasuryResult.keypair;
+      const treasuryPublicKey = await signers.publicKeyFor(poolType);
       
       // Get treasury token account
       const treasuryTokenAccount = await getAssociatedTokenAddress(
         new PublicKey(this.gambinoMint),
-        treasuryKeypair.publicKey
+        treasuryPublicKey
       );
       
       // Get balance
@@ -232,25 +213,32 @@ class GambinoTokenService {
       console.log('🏗️ Creating token account for wallet:', userWalletAddress);
       
       const userPublicKey = new PublicKey(userWalletAddress);
-      const payerKeypair = await this.credentialManager.getKeypair('payer');
-      
-      if (!payerKeypair.success) {
-        throw new Error('Failed to get payer credentials');
-      }
-      
-      // Get or create associated token account
-      const tokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        payerKeypair.keypair,
-        new PublicKey(process.env.GAMBINO_MINT_ADDRESS),
-        userPublicKey
+      const mint = new PublicKey(process.env.GAMBINO_MINT_ADDRESS);
+      const tokenAccount = await getAssociatedTokenAddress(mint, userPublicKey);
+
+      // The payer signs through its signing backend; the instruction is a no-op if the account exists
+      const payer = await signers.publicKeyFor('payer');
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+      const transaction = new Transaction({ feePayer: payer, blockhash, lastValidBlockHeight }).add(
+        createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccount, userPublicKey, mint)
       );
+
+      const signed = await signers.sign(transaction, 'payer', `CREATE_TOKEN_ACCOUNT: ${userWalletAddress}`);
+      if (signed.status !== 'signed') {
+        throw new Error('Payer signs offline; token accounts cannot be created on demand');
+      }
+
+      const signature = await this.connection.sendRawTransaction(signed.transaction.serialize());
+      const { value } = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+      if (value.err) {
+        throw new Error(`Transaction failed on-chain: ${JSON.stringify(value.err)}`);
+      }
       
-      console.log('✅ Token account created/found:', tokenAccount.address.toString());
+      console.log('✅ Token account created/found:', tokenAccount.toString());
       
       return {
         success: true,
-        tokenAccount: tokenAccount.address.toString(),
+        tokenAccount: tokenAccount.toString(),
         mint: this.gambinoMint.toString(),
         owner: userWalletAddress
       };
@@ -6,8 +6,8 @@
  * Budget cap: 0.5% of treasury per month (~169,825 GG)
  */
 
-const { Connection, Keypair, PublicKey, Transaction } = require('@solana/web3.js');
-const { getOrCreateAssociatedTokenAccount, createTransferInstruction, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { PublicKey } = require('@solana/web3.js');
+const payoutOutbox = require('./PayoutOutboxService');
 
 // Configuration
 const CONFIG = {
@@ -20,40 +20,16 @@ const CONFIG = {
   // Monthly budget cap (0.5% of 33,965,000 GG Community Treasury)
   MONTHLY_BUDGET_GG: 169825,
 
-  // Solana RPC endpoint
-  RPC_ENDPOINT: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
+  // Payout signers: env vars holding the community treasury (token owner) and fee payer keys
+  SIGNER: { kind: 'env', owner: 'COMMUNITY_TREASURY_KEY', payer: 'PAYER_KEY' }
 };
 
-// Cache connection
-let _connection = null;
-function getConnection() {
-  if (!_connection) {
-    _connection = new Connection(CONFIG.RPC_ENDPOINT, 'confirmed');
-  }
-  return _connection;
-}
-
-/**
- * Initialize keypairs from environment variables
- */
-function getKeypairs() {
-  const communityKey = process.env.COMMUNITY_TREASURY_KEY;
-  if (!communityKey) throw new Error('COMMUNITY_TREASURY_KEY not set');
-
-  const payerKey = process.env.PAYER_KEY;
-  if (!payerKey) throw new Error('PAYER_KEY not set');
-
-  return {
-    community: Keypair.fromSecretKey(Uint8Array.from(JSON.parse(communityKey))),
-    payer: Keypair.fromSecretKey(Uint8Array.from(JSON.parse(payerKey)))
-  };
-}
-
 /**
- * Convert GG amount to token lamports (9 decimals)
+ * Check the signing keys are configured before queueing payouts
  */
-function toTokenAmount(gg) {
-  return BigInt(Math.floor(gg * Math.pow(10, CONFIG.DECIMALS)));
+function checkKeypairs() {
+  if (!process.env.COMMUNITY_TREASURY_KEY) throw new Error('COMMUNITY_TREASURY_KEY not set');
+  if (!process.env.PAYER_KEY) throw new Error('PAYER_KEY not set');
 }
 
 /**
@@ -69,54 +45,32 @@ async function hasBudgetRemaining(Referral, amountNeeded) {
 }
 
 /**
- * Transfer GG tokens to a recipient
+ * Transfer GG tokens to a recipient through the payout outbox.
+ * The key is fixed per referral and party, so re-running a referral never pays twice.
  */
-async function transferTokens(connection, keypairs, recipientAddress, amount) {
+async function transferTokens(recipientAddress, amount, idempotencyKey, metadata = {}) {
   try {
-    const recipientPubkey = new PublicKey(recipientAddress);
-    const amountLamports = toTokenAmount(amount);
-
-    // Get or create token accounts
-    const sourceAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      keypairs.payer,
-      CONFIG.TOKEN_MINT,
-      keypairs.community.publicKey
-    );
-
-    const destAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      keypairs.payer,
-      CONFIG.TOKEN_MINT,
-      recipientPubkey
-    );
-
-    // Create transfer instruction
-    const transferIx = createTransferInstruction(
-      sourceAccount.address,
-      destAccount.address,
-      keypairs.community.publicKey,
-      amountLamports,
-      [],
-      TOKEN_PROGRAM_ID
-    );
-
-    // Build transaction
-    const transaction = new Transaction().add(transferIx);
-    transaction.feePayer = keypairs.payer.publicKey;
-
-    const { blockhash } = await connection.getLatestBlockhash();
-    transaction.recentBlockhash = blockhash;
-
-    // Sign with community (token owner) and payer (fee payer)
-    transaction.sign(keypairs.community, keypairs.payer);
+    const payout = await payoutOutbox.pay({
+      idempotencyKey,
+      source: 'referral',
+      mint: CONFIG.TOKEN_MINT.toBase58(),
+      recipient: recipientAddress,
+      amount,
+      decimals: CONFIG.DECIMALS,
+      signer: CONFIG.SIGNER,
+      metadata
+    });
+    const result = payoutOutbox.result(payout);
 
-    const signature = await connection.sendRawTransaction(transaction.serialize());
-    await connection.confirmTransaction(signature, 'confirmed');
+    if (!result.success) {
+      const reason = result.pending ? `payout ${result.payoutId} not yet confirmed` : result.error;
+      console.error(`❌ Transfer failed to ${recipientAddress}:`, reason);
+      return { success: false, pending: result.pending, payoutId: result.payoutId, error: reason };
+    }
 
-    console.log(`✅ Transferred ${amount} GG to ${recipientAddress.slice(0, 8)}... (tx: ${signature.slice(0, 16)}...)`);
+    console.log(`✅ Transferred ${amount} GG to ${recipientAddress.slice(0, 8)}... (tx: ${result.signature.slice(0, 16)}...)`);
 
-    return { success: true, signature };
+    return { success: true, signature: result.signature, payoutId: result.payoutId };
   } catch (error) {
     console.error(`❌ Transfer failed to ${recipientAddress}:`, error.message);
     return { success: false, error: error.message };
@@ -127,11 +81,8 @@ async function transferTokens(connection, keypairs, recipientAddress, amount) {
  * Distribute rewards for a single verified referral
  */
 async function distributeReferralRewards(referral, User, Referral, Store = null) {
-  const connection = getConnection();
-  let keypairs;
-
   try {
-    keypairs = getKeypairs();
+    checkKeypairs();
   } catch (error) {
     console.error('❌ Failed to load keypairs:', error.message);
     return { success: false, reason: 'keypairs_error' };
@@ -176,10 +127,10 @@ async function distributeReferralRewards(referral, User, Referral, Store = null)
   // Transfer to referrer
   console.log(`💸 Distributing ${amounts.referrer} GG to referrer...`);
   results.referrer = await transferTokens(
-    connection,
-    keypairs,
     referrer.walletAddress,
-    amounts.referrer
+    amounts.referrer,
+    `referral_${referral._id}_referrer`,
+    { referralId: String(referral._id), party: 'referrer' }
   );
 
   if (!results.referrer.success) {
@@ -189,10 +140,10 @@ async function distributeReferralRewards(referral, User, Referral, Store = null)
   // Transfer to new user
   console.log(`💸 Distributing ${amounts.newUser} GG to new user...`);
   results.newUser = await transferTokens(
-    connection,
-    keypairs,
     newUser.walletAddress,
-    amounts.newUser
+    amounts.newUser,
+    `referral_${referral._id}_newUser`,
+    { referralId: String(referral._id), party: 'newUser' }
   );
 
   // Transfer to venue if applicable
@@ -201,10 +152,10 @@ async function distributeReferralRewards(referral, User, Referral, Store = null)
     if (venue?.walletAddress) {
       console.log(`💸 Distributing ${amounts.venue} GG to venue...`);
       results.venue = await transferTokens(
-        connection,
-        keypairs,
         venue.walletAddress,
-        amounts.venue
+        amounts.venue,
+        `referral_${referral._id}_venue`,
+        { referralId: String(referral._id), party: 'venue' }
       );
     }
   }
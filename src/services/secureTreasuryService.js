@@ -2,16 +2,116 @@
 const { 
   Connection, 
   PublicKey,
+  Transaction,
   clusterApiUrl 
 } = require('@solana/web3.js');
 const { 
-  getOrCreateAssociatedTokenAccount,
-  transfer,
+  getAssociatedTokenAddress,
   getAccount,
-  burn,
-  mintTo
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+  createBurnInstruction,
+  TokenAccountNotFoundError
 } = require('@solana/spl-token');
+const bs58 = require('bs58').default;
 const CredentialManager = require('./credentialManager');
+const treasuryLedger = require('./TreasuryLedgerService');
+const signers = require('./TreasurySignerService');
+const { toRawAmount } = require('./PayoutOutboxService');
+const TreasuryRequest = require('../models/TreasuryRequest');
+
+const TOKEN_DECIMALS = 6;
+
+// Offline-signed transfers and burns finish when their signed copy is imported
+signers.on('confirmed', request => settleOfflineMovement(request, { signature: request.signature }));
+for (const status of ['failed', 'cancelled', 'expired']) {
+  signers.on(status, request => settleOfflineMovement(request, { error: request.error || status }));
+}
+
+async function settleOfflineMovement(request, { signature, error }) {
+  if (request.reference?.type !== 'treasury_ledger') return;
+
+  try {
+    if (signature) {
+      await treasuryLedger.settle(request.reference.id, signature);
+    } else {
+      await treasuryLedger.release(request.reference.id, error);
+    }
+
+    if (request.treasuryRequestId) {
+      // Required lazily: TreasuryApprovalService creates this service
+      await require('./TreasuryApprovalService').completeExecution(request.treasuryRequestId, {
+        signature,
+        error,
+        securityLevel: request.securityLevel
+      });
+    }
+  } catch (err) {
+    console.error(`❌ Failed to settle offline-signed movement ${request.signingRequestId}:`, err);
+  }
+}
+
+// Designated approvers for an account: TREASURY_APPROVERS_<ACCOUNT> (user ids or emails,
+// comma separated), falling back to TREASURY_APPROVERS
+function approversFromEnv(accountType) {
+  const value = process.env[`TREASURY_APPROVERS_${accountType.toUpperCase()}`] || process.env.TREASURY_APPROVERS || '';
+  return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Treasury account roles and permissions.
+// approval.required of the designated approvers must sign off a TreasuryRequest
+// before a transfer, burn or distribution schedule from an account with
+// requiresApproval runs.
+// Gameplay jackpot releases ('release_jackpot') are system-initiated and are held
+// to the limits only.
+// 'distribute' covers venue distributions and their schedules, paid through the
+// payout outbox; 'transfer' is a direct treasury transfer to any address. The
+// jackpot pool pays gameplay rewards only, so it distributes but never transfers.
+// limits are enforced against the treasury ledger (see TreasuryLedgerService).
+const ACCOUNT_ROLES = {
+  jackpotReserve: {
+    permissions: ['release_jackpot', 'distribute'],
+    requiresApproval: true,
+    approval: { required: 2, approvers: approversFromEnv('jackpotReserve') },
+    limits: { calendarDay: 100000, rolling24h: 100000, perRecipient24h: 50000 }, // 100k GAMBINO/day
+    description: 'Jackpot mining pool - only for gameplay rewards'
+  },
+  operationsReserve: {
+    permissions: ['transfer', 'distribute', 'burn', 'operations'],
+    requiresApproval: false,
+    approval: { required: 1, approvers: approversFromEnv('operationsReserve') },
+    limits: { calendarDay: 500000, rolling24h: 500000, perRecipient24h: 250000 }, // 500k GAMBINO/day
+    description: 'Operations treasury - business expenses'
+  },
+  teamReserve: {
+    permissions: ['transfer', 'distribute'],
+    requiresApproval: true,
+    approval: { required: 2, approvers: approversFromEnv('teamReserve') },
+    limits: { calendarDay: 200000, rolling24h: 200000, perRecipient24h: 100000 }, // 200k GAMBINO/day
+    description: 'Team compensation treasury'
+  },
+  communityRewards: {
+    permissions: ['transfer', 'distribute', 'airdrop'],
+    requiresApproval: false,
+    approval: { required: 1, approvers: approversFromEnv('communityRewards') },
+    limits: { calendarDay: 150000, rolling24h: 150000, perRecipient24h: 25000 }, // 150k GAMBINO/day
+    description: 'Community events and rewards'
+  },
+  marketing: {
+    permissions: ['transfer', 'burn'],
+    requiresApproval: false,
+    approval: { required: 1, approvers: approversFromEnv('marketing') },
+    limits: { calendarDay: 100000, rolling24h: 100000, perRecipient24h: 50000 }, // 100k GAMBINO/day
+    description: 'Marketing and growth treasury'
+  },
+  testing: {
+    permissions: ['transfer', 'burn', 'mint'],
+    requiresApproval: false,
+    approval: { required: 1, approvers: approversFromEnv('testing') },
+    limits: { calendarDay: 50000, rolling24h: 50000, perRecipient24h: 50000 }, // 50k GAMBINO/day
+    description: 'Development and testing treasury'
+  }
+};
 
 class SecureTreasuryService {
   constructor() {
@@ -22,52 +122,13 @@ class SecureTreasuryService {
     
     this.gambinoMint = new PublicKey(process.env.GAMBINO_MINT_ADDRESS);
     this.credentialManager = new CredentialManager();
+    this.signers = signers;
     
     // Treasury account roles and permissions
-    this.accountRoles = {
-      jackpotReserve: {
-        permissions: ['release_jackpot'],
-        requiresApproval: true,
-        maxDailyTransfer: 100000, // 100k GAMBINO
-        description: 'Jackpot mining pool - only for gameplay rewards'
-      },
-      operationsReserve: {
-        permissions: ['transfer', 'burn', 'operations'],
-        requiresApproval: false,
-        maxDailyTransfer: 500000, // 500k GAMBINO
-        description: 'Operations treasury - business expenses'
-      },
-      teamReserve: {
-        permissions: ['transfer'],
-        requiresApproval: true,
-        maxDailyTransfer: 200000, // 200k GAMBINO
-        description: 'Team compensation treasury'
-      },
-      communityRewards: {
-        permissions: ['transfer', 'airdrop'],
-        requiresApproval: false,
-        maxDailyTransfer: 150000, // 150k GAMBINO
-        description: 'Community events and rewards'
-      },
-      marketing: {
-        permissions: ['transfer', 'burn'],
-        requiresApproval: false,
-        maxDailyTransfer: 100000, // 100k GAMBINO
-        description: 'Marketing and growth treasury'
-      },
-      testing: {
-        permissions: ['transfer', 'burn', 'mint'],
-        requiresApproval: false,
-        maxDailyTransfer: 50000, // 50k GAMBINO
-        description: 'Development and testing treasury'
-      }
-    };
+    this.accountRoles = ACCOUNT_ROLES;
 
-    // Daily transfer tracking
-    this.dailyTransfers = new Map();
-    
     // Initialize security checks
-    this.initializeSecurity();
+    this.initializeSecurity().catch(error => console.error('❌ Treasury security check failed:', error.message));
   }
 
   async initializeSecurity() {
@@ -84,35 +145,31 @@ class SecureTreasuryService {
     }
   }
 
-  // Secure credential retrieval with audit logging
-  async getSecureKeypair(accountType, operation, reason = '') {
-    try {
-      // Check if operation is permitted for this account
-      if (!this.isOperationPermitted(accountType, operation)) {
-        throw new Error(`Operation '${operation}' not permitted for ${accountType}`);
-      }
-
-      // Check daily transfer limits
-      if (operation === 'transfer' && !this.checkDailyLimit(accountType)) {
-        throw new Error(`Daily transfer limit exceeded for ${accountType}`);
-      }
+  // Build a transaction paid for and signed by a treasury account and send it.
+  // The key stays with the account's signing backend; accounts that sign offline
+  // return the exported signing request instead of a signature.
+  async submitAsAccount(accountType, signer, instructions, reason, context = {}) {
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: signer, blockhash, lastValidBlockHeight }).add(...instructions);
 
-      // Retrieve credentials securely
-      const result = await this.credentialManager.getKeypair(
-        accountType, 
-        `${operation.toUpperCase()}: ${reason}`
-      );
+    const signed = await this.signers.sign(transaction, accountType, reason, context);
+    if (signed.status !== 'signed') {
+      return { pending: true, signingRequest: signed.signingRequest, securityLevel: signed.securityLevel };
+    }
 
-      if (!result.success) {
-        throw new Error(`Failed to retrieve credentials: ${result.error}`);
-      }
+    // Record the signature on the ledger entry before broadcasting: from here on the
+    // movement may land, so a later throw must not release its reservation
+    const signature = bs58.encode(signed.transaction.signature);
+    if (context.reference?.type === 'treasury_ledger') {
+      await treasuryLedger.recordSubmission(context.reference.id, { signature, blockhash, lastValidBlockHeight });
+    }
 
-      return result;
-      
-    } catch (error) {
-      console.error(`❌ Secure keypair retrieval failed for ${accountType}:`, error);
-      throw error;
+    await this.connection.sendRawTransaction(signed.transaction.serialize());
+    const { value } = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+    if (value.err) {
+      throw new Error(`Transaction failed on-chain: ${JSON.stringify(value.err)}`);
     }
+    return { signature, securityLevel: signed.securityLevel };
   }
 
   // Check if operation is permitted for account type
@@ -125,55 +182,53 @@ class SecureTreasuryService {
     return role.permissions.includes(operation);
   }
 
-  // Check daily transfer limits
-  checkDailyLimit(accountType, amount = 0) {
-    const today = new Date().toDateString();
-    const key = `${accountType}-${today}`;
-    const currentTotal = this.dailyTransfers.get(key) || 0;
-    const limit = this.accountRoles[accountType]?.maxDailyTransfer || 0;
-    
-    return (currentTotal + amount) <= limit;
+  // Frees a movement's reservation after an error. If its transaction was already
+  // broadcast it stays reserved and the treasury ledger worker settles or releases
+  // it from the signature status; that entry is returned.
+  async releaseAfterError(ledgerEntry, error) {
+    if (!ledgerEntry) return null;
+
+    try {
+      const entry = await treasuryLedger.release(ledgerEntry.entryId, error.message);
+      return entry?.status === 'reserved' && entry.signature ? entry : null;
+    } catch (releaseError) {
+      console.error('❌ Failed to release treasury ledger reservation:', releaseError);
+      return null;
+    }
   }
 
-  // Update daily transfer tracking
-  updateDailyTransfer(accountType, amount) {
-    const today = new Date().toDateString();
-    const key = `${accountType}-${today}`;
-    const currentTotal = this.dailyTransfers.get(key) || 0;
-    this.dailyTransfers.set(key, currentTotal + amount);
+  // Who the ledger records as initiating a movement
+  ledgerInitiator(approvedRequest, initiatedBy) {
+    if (initiatedBy) return initiatedBy;
+    if (approvedRequest?.requestedBy) {
+      const { userId, email, role } = approvedRequest.requestedBy;
+      return { userId, email, role, source: 'treasury_request' };
+    }
+    return { source: 'system' };
   }
 
-  // Get treasury account balance with security checks
+  // Get treasury account balance; needs only the account's public key
   async getSecureTreasuryBalance(accountType) {
     try {
-      const credResult = await this.credentialManager.retrieveCredentials(
-        accountType, 
-        'BALANCE_CHECK'
-      );
-
-      if (!credResult.success) {
-        throw new Error(`Failed to retrieve credentials: ${credResult.error}`);
+      const publicKey = await this.signers.publicKeyFor(accountType);
+      const tokenAccount = await getAssociatedTokenAddress(this.gambinoMint, publicKey);
+
+      let amountRaw = 0n;
+      try {
+        amountRaw = (await getAccount(this.connection, tokenAccount)).amount;
+      } catch (error) {
+        if (!(error instanceof TokenAccountNotFoundError)) throw error;
       }
-
-      const publicKey = new PublicKey(credResult.credentials.publicKey);
-      const tokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        await this.getPayerKeypair(), // Use secure payer
-        this.gambinoMint,
-        publicKey
-      );
-
-      const balance = await getAccount(this.connection, tokenAccount.address);
       
       return {
         success: true,
         accountType,
-        balance: Number(balance.amount) / Math.pow(10, 6),
-        balanceRaw: Number(balance.amount),
-        tokenAccount: tokenAccount.address.toString(),
+        balance: Number(amountRaw) / Math.pow(10, TOKEN_DECIMALS),
+        balanceRaw: Number(amountRaw),
+        tokenAccount: tokenAccount.toString(),
         walletAddress: publicKey.toString(),
-        securityLevel: credResult.securityLevel,
-        metadata: credResult.metadata
+        securityLevel: this.signers.securityLevel(accountType),
+        signingBackend: this.signers.backendFor(accountType).name
       };
       
     } catch (error) {
@@ -186,8 +241,19 @@ class SecureTreasuryService {
     }
   }
 
-  // Secure transfer with multi-level approval
-  async secureTransferFromTreasury(fromAccountType, toPublicKey, amount, reason, approvalCode = null) {
+  // Secure transfer; accounts with requiresApproval need a TreasuryRequest approved by its approvers.
+  // context: { initiatedBy } recorded on the ledger entry
+  async secureTransferFromTreasury(fromAccountType, toPublicKey, amount, reason, approvedRequest = null, context = {}) {
+    return this.transferFromAccount('transfer', fromAccountType, toPublicKey, amount, reason, approvedRequest, context);
+  }
+
+  // operation 'transfer' needs an approved request on requiresApproval accounts.
+  // 'release_jackpot' is a system-initiated gameplay payout: it needs that
+  // permission on the account and is held to the ledger limits, but not to N-of-M.
+  // context: { initiatedBy, jackpot } recorded on the ledger entry
+  async transferFromAccount(operation, fromAccountType, toPublicKey, amount, reason, approvedRequest = null, context = {}) {
+    let ledgerEntry = null;
+
     try {
       // Validate inputs
       if (!fromAccountType || !toPublicKey || !amount || !reason) {
@@ -198,59 +264,89 @@ class SecureTreasuryService {
         throw new Error('Transfer amount must be positive');
       }
 
-      // Check if approval is required
-      const role = this.accountRoles[fromAccountType];
-      if (role?.requiresApproval && !approvalCode) {
-        throw new Error(`Transfer from ${fromAccountType} requires approval code`);
+      if (!this.isOperationPermitted(fromAccountType, operation)) {
+        throw new Error(`Operation '${operation}' not permitted for ${fromAccountType}`);
       }
 
-      // Verify approval code if provided
-      if (approvalCode && !this.verifyApprovalCode(fromAccountType, approvalCode)) {
-        throw new Error('Invalid approval code');
-      }
+      if (operation === 'transfer') {
+        // Check if approval is required
+        const role = this.accountRoles[fromAccountType];
+        if (role?.requiresApproval && !approvedRequest) {
+          throw new Error(`Transfer from ${fromAccountType} requires an approved treasury request`);
+        }
 
-      // Check daily limits
-      if (!this.checkDailyLimit(fromAccountType, amount)) {
-        throw new Error(`Transfer would exceed daily limit for ${fromAccountType}`);
+        // The approval must cover exactly this operation
+        if (approvedRequest) {
+          await this.verifyApprovedRequest(approvedRequest, { type: 'transfer', accountType: fromAccountType, amount, toAddress: toPublicKey });
+        }
+      } else if (approvedRequest) {
+        throw new Error(`Treasury requests do not cover '${operation}'`);
       }
 
-      // Get secure keypair
-      const keyResult = await this.getSecureKeypair(
-        fromAccountType, 
-        'transfer', 
-        `Transfer ${amount} GAMBINO to ${toPublicKey} - ${reason}`
-      );
+      const initiatedBy = this.ledgerInitiator(approvedRequest, context.initiatedBy);
 
-      const fromKeypair = keyResult.keypair;
-      const amountRaw = amount * Math.pow(10, 6);
+      // Reserve against the account limits before anything is sent
+      ledgerEntry = await treasuryLedger.reserve({
+        accountType: fromAccountType,
+        kind: operation === 'release_jackpot' ? 'jackpot_release' : 'transfer',
+        amount,
+        recipient: toPublicKey,
+        purpose: reason,
+        initiatedBy,
+        requestId: approvedRequest?.requestId,
+        jackpot: context.jackpot
+      });
 
-      // Get token accounts
-      const fromTokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        fromKeypair,
-        this.gambinoMint,
-        fromKeypair.publicKey
-      );
+      const signer = await this.signers.publicKeyFor(fromAccountType);
+      const recipient = new PublicKey(toPublicKey);
+      const fromTokenAccount = await getAssociatedTokenAddress(this.gambinoMint, signer);
+      const toTokenAccount = await getAssociatedTokenAddress(this.gambinoMint, recipient);
 
-      const toTokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        fromKeypair, // Payer
-        this.gambinoMint,
-        new PublicKey(toPublicKey)
+      const sent = await this.submitAsAccount(
+        fromAccountType,
+        signer,
+        [
+          createAssociatedTokenAccountIdempotentInstruction(signer, toTokenAccount, recipient, this.gambinoMint),
+          createTransferInstruction(fromTokenAccount, toTokenAccount, signer, toRawAmount(amount, TOKEN_DECIMALS))
+        ],
+        `TRANSFER: Transfer ${amount} GAMBINO to ${toPublicKey} - ${reason}`,
+        {
+          actor: initiatedBy,
+          reference: { type: 'treasury_ledger', id: ledgerEntry.entryId },
+          treasuryRequestId: approvedRequest?.requestId
+        }
       );
 
-      // Execute transfer
-      const signature = await transfer(
-        this.connection,
-        fromKeypair,
-        fromTokenAccount.address,
-        toTokenAccount.address,
-        fromKeypair.publicKey,
-        amountRaw
-      );
+      // The reservation keeps counting against the limits until the signed copy is imported
+      if (sent.pending) {
+        this.logSecureTransaction({
+          type: 'secure_transfer_awaiting_signature',
+          fromAccount: fromAccountType,
+          toAddress: toPublicKey,
+          amount: amount,
+          reason: reason,
+          signingRequestId: sent.signingRequest.signingRequestId,
+          approvalRequestId: approvedRequest?.requestId || 'NOT_REQUIRED',
+          securityLevel: sent.securityLevel,
+          timestamp: new Date().toISOString()
+        });
+
+        return {
+          success: true,
+          pending: true,
+          status: 'awaiting_signature',
+          signingRequestId: sent.signingRequest.signingRequestId,
+          amount,
+          fromAccount: fromAccountType,
+          toAddress: toPublicKey,
+          reason,
+          ledgerEntryId: ledgerEntry.entryId,
+          securityLevel: sent.securityLevel
+        };
+      }
 
-      // Update daily transfer tracking
-      this.updateDailyTransfer(fromAccountType, amount);
+      const { signature } = sent;
+      await treasuryLedger.settle(ledgerEntry.entryId, signature);
 
       // Log transaction for audit
       this.logSecureTransaction({
@@ -260,8 +356,8 @@ class SecureTreasuryService {
         amount: amount,
         reason: reason,
         signature: signature,
-        approvalCode: approvalCode ? 'PROVIDED' : 'NOT_REQUIRED',
-        securityLevel: keyResult.securityLevel,
+        approvalRequestId: approvedRequest?.requestId || 'NOT_REQUIRED',
+        securityLevel: sent.securityLevel,
         timestamp: new Date().toISOString()
       });
 
@@ -272,11 +368,35 @@ class SecureTreasuryService {
         fromAccount: fromAccountType,
         toAddress: toPublicKey,
         reason,
-        securityLevel: keyResult.securityLevel
+        ledgerEntryId: ledgerEntry.entryId,
+        securityLevel: sent.securityLevel
       };
       
     } catch (error) {
       console.error('❌ Secure treasury transfer error:', error);
+
+      const submitted = await this.releaseAfterError(ledgerEntry, error);
+      if (submitted) {
+        this.logSecureTransaction({
+          type: 'secure_transfer_unconfirmed',
+          fromAccount: fromAccountType,
+          toAddress: toPublicKey,
+          amount: amount,
+          reason: reason,
+          signature: submitted.signature,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+
+        return {
+          success: false,
+          submitted: true,
+          status: 'submitted',
+          signature: submitted.signature,
+          error: error.message,
+          ledgerEntryId: submitted.entryId
+        };
+      }
       
       // Log failed attempt
       this.logSecureTransaction({
@@ -311,17 +431,17 @@ class SecureTreasuryService {
 
       const reason = `${jackpotType} jackpot on ${machineId} - session: ${gameSession || 'N/A'}`;
       
-      const result = await this.secureTransferFromTreasury(
+      const result = await this.transferFromAccount(
+        'release_jackpot',
         'jackpotReserve',
         userPublicKey,
         amount,
-        reason
+        reason,
+        null,
+        { jackpot: { jackpotType, machineId, gameSession: gameSession || undefined } }
       );
 
       if (result.success) {
-        // Update jackpot statistics
-        this.updateJackpotStats(jackpotType, amount, machineId);
-        
         // Log special jackpot event
         this.logSecureTransaction({
           type: 'jackpot_release',
@@ -347,7 +467,9 @@ class SecureTreasuryService {
   }
 
   // Secure token burning with audit trail
-  async secureBurnTokens(fromAccountType, amount, reason, approvalCode = null) {
+  async secureBurnTokens(fromAccountType, amount, reason, approvedRequest = null, context = {}) {
+    let ledgerEntry = null;
+
     try {
       // Check permissions
       if (!this.isOperationPermitted(fromAccountType, 'burn')) {
@@ -356,37 +478,67 @@ class SecureTreasuryService {
 
       // Check approval requirements
       const role = this.accountRoles[fromAccountType];
-      if (role?.requiresApproval && !approvalCode) {
-        throw new Error(`Burn from ${fromAccountType} requires approval code`);
+      if (role?.requiresApproval && !approvedRequest) {
+        throw new Error(`Burn from ${fromAccountType} requires an approved treasury request`);
       }
 
-      // Get secure keypair
-      const keyResult = await this.getSecureKeypair(
+      if (approvedRequest) {
+        await this.verifyApprovedRequest(approvedRequest, { type: 'burn', accountType: fromAccountType, amount });
+      }
+
+      const initiatedBy = this.ledgerInitiator(approvedRequest, context.initiatedBy);
+
+      ledgerEntry = await treasuryLedger.reserve({
+        accountType: fromAccountType,
+        kind: 'burn',
+        amount,
+        purpose: reason,
+        initiatedBy,
+        requestId: approvedRequest?.requestId
+      });
+
+      const signer = await this.signers.publicKeyFor(fromAccountType);
+      const tokenAccount = await getAssociatedTokenAddress(this.gambinoMint, signer);
+
+      const sent = await this.submitAsAccount(
         fromAccountType,
-        'burn',
-        `Burn ${amount} GAMBINO - ${reason}`
+        signer,
+        [createBurnInstruction(tokenAccount, this.gambinoMint, signer, toRawAmount(amount, TOKEN_DECIMALS))],
+        `BURN: Burn ${amount} GAMBINO - ${reason}`,
+        {
+          actor: initiatedBy,
+          reference: { type: 'treasury_ledger', id: ledgerEntry.entryId },
+          treasuryRequestId: approvedRequest?.requestId
+        }
       );
 
-      const accountKeypair = keyResult.keypair;
-      const amountRaw = amount * Math.pow(10, 6);
+      if (sent.pending) {
+        this.logSecureTransaction({
+          type: 'secure_burn_awaiting_signature',
+          fromAccount: fromAccountType,
+          amount: amount,
+          reason: reason,
+          signingRequestId: sent.signingRequest.signingRequestId,
+          approvalRequestId: approvedRequest?.requestId || 'NOT_REQUIRED',
+          securityLevel: sent.securityLevel,
+          timestamp: new Date().toISOString()
+        });
 
-      // Get token account
-      const tokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        accountKeypair,
-        this.gambinoMint,
-        accountKeypair.publicKey
-      );
+        return {
+          success: true,
+          pending: true,
+          status: 'awaiting_signature',
+          signingRequestId: sent.signingRequest.signingRequestId,
+          burnedAmount: amount,
+          fromAccount: fromAccountType,
+          reason,
+          ledgerEntryId: ledgerEntry.entryId,
+          securityLevel: sent.securityLevel
+        };
+      }
 
-      // Burn tokens
-      const signature = await burn(
-        this.connection,
-        accountKeypair,
-        tokenAccount.address,
-        this.gambinoMint,
-        accountKeypair.publicKey,
-        amountRaw
-      );
+      const { signature } = sent;
+      await treasuryLedger.settle(ledgerEntry.entryId, signature);
 
       // Log burn transaction
       this.logSecureTransaction({
@@ -395,8 +547,8 @@ class SecureTreasuryService {
         amount: amount,
         reason: reason,
         signature: signature,
-        approvalCode: approvalCode ? 'PROVIDED' : 'NOT_REQUIRED',
-        securityLevel: keyResult.securityLevel,
+        approvalRequestId: approvedRequest?.requestId || 'NOT_REQUIRED',
+        securityLevel: sent.securityLevel,
         timestamp: new Date().toISOString()
       });
 
@@ -406,11 +558,24 @@ class SecureTreasuryService {
         burnedAmount: amount,
         fromAccount: fromAccountType,
         reason,
-        securityLevel: keyResult.securityLevel
+        ledgerEntryId: ledgerEntry.entryId,
+        securityLevel: sent.securityLevel
       };
       
     } catch (error) {
       console.error('❌ Secure burn error:', error);
+
+      const submitted = await this.releaseAfterError(ledgerEntry, error);
+      if (submitted) {
+        return {
+          success: false,
+          submitted: true,
+          status: 'submitted',
+          signature: submitted.signature,
+          error: error.message,
+          ledgerEntryId: submitted.entryId
+        };
+      }
       return { 
         success: false, 
         error: error.message 
@@ -418,43 +583,37 @@ class SecureTreasuryService {
     }
   }
 
-  // Get payer keypair securely
-  async getPayerKeypair() {
-    const result = await this.credentialManager.getKeypair('payer', 'TRANSACTION_FEE');
-    if (!result.success) {
-      throw new Error('Failed to get payer keypair');
+  // An approval is only good for the operation it was filed for, and only while it is
+  // being executed. Checked against the stored request, not the caller's copy of it.
+  async verifyApprovedRequest(approvedRequest, operation) {
+    const requestId = approvedRequest?.requestId;
+    const request = requestId ? await TreasuryRequest.findOne({ requestId }).lean() : null;
+    if (!request) {
+      throw new Error(`Treasury request ${requestId || '(none)'} not found`);
+    }
+    if (request.status !== 'executing') {
+      throw new Error(`Treasury request ${requestId} is ${request.status}, not approved for execution`);
     }
-    return result.keypair;
-  }
 
-  // Verify approval codes (implement your approval system)
-  verifyApprovalCode(accountType, approvalCode) {
-    // Implement your approval verification logic
-    // This could integrate with:
-    // - Multi-signature wallets
-    // - External approval systems
-    // - Time-based codes
-    // - Hardware security modules
-    
-    // For now, simple validation
-    const expectedCode = this.generateApprovalCode(accountType);
-    return approvalCode === expectedCode;
-  }
+    // Distinct designated approvers other than the requester
+    const eligible = new Set(request.eligibleApprovers || []);
+    const requester = String(request.requestedBy?.userId);
+    const distinct = new Set((request.approvals || [])
+      .filter(a => String(a.userId) !== requester)
+      .filter(a => eligible.has(String(a.userId)) || eligible.has((a.email || '').toLowerCase()))
+      .map(a => String(a.userId)));
+    if (distinct.size < request.requiredApprovals) {
+      throw new Error(`Treasury request ${requestId} has ${distinct.size}/${request.requiredApprovals} approvals`);
+    }
 
-  // Generate approval codes (implement your approval system)
-  generateApprovalCode(accountType) {
-    // This should be replaced with your actual approval system
-    // Examples: TOTP, hardware token, multi-sig, etc.
-    const baseCode = process.env.TREASURY_APPROVAL_SECRET || 'default';
-    const crypto = require('crypto');
-    const today = new Date().toDateString();
-    
-    return crypto
-      .createHash('sha256')
-      .update(`${baseCode}-${accountType}-${today}`)
-      .digest('hex')
-      .substring(0, 8)
-      .toUpperCase();
+    const matches = request.type === operation.type &&
+      request.accountType === operation.accountType &&
+      request.amount === operation.amount &&
+      (operation.type !== 'transfer' || request.toAddress === operation.toAddress);
+    if (!matches) {
+      throw new Error(`Treasury request ${requestId} does not cover this ${operation.type}`);
+    }
+    return request;
   }
 
   // Verify game sessions (implement your game verification)
@@ -464,63 +623,9 @@ class SecureTreasuryService {
     return true; // Placeholder
   }
 
-  // Update jackpot statistics
-  updateJackpotStats(jackpotType, amount, machineId) {
-    try {
-      const fs = require('fs');
-      const statsFile = './logs/secure-jackpot-stats.json';
-      
-      let stats = { 
-        totalJackpots: 0, 
-        totalAmount: 0, 
-        byType: {}, 
-        byMachine: {},
-        securityEvents: []
-      };
-      
-      if (fs.existsSync(statsFile)) {
-        stats = JSON.parse(fs.readFileSync(statsFile, 'utf8'));
-      }
-
-      // Update totals
-      stats.totalJackpots += 1;
-      stats.totalAmount += amount;
-
-      // Update by type
-      if (!stats.byType[jackpotType]) {
-        stats.byType[jackpotType] = { count: 0, amount: 0 };
-      }
-      stats.byType[jackpotType].count += 1;
-      stats.byType[jackpotType].amount += amount;
-
-      // Update by machine
-      if (!stats.byMachine[machineId]) {
-        stats.byMachine[machineId] = { count: 0, amount: 0 };
-      }
-      stats.byMachine[machineId].count += 1;
-      stats.byMachine[machineId].amount += amount;
-
-      // Add security event
-      stats.securityEvents.push({
-        type: 'jackpot_released',
-        jackpotType,
-        machineId,
-        amount,
-        timestamp: new Date().toISOString()
-      });
-
-      // Keep only last 1000 security events
-      if (stats.securityEvents.length > 1000) {
-        stats.securityEvents = stats.securityEvents.slice(-1000);
-      }
-
-      stats.lastUpdated = new Date().toISOString();
-      
-      fs.writeFileSync(statsFile, JSON.stringify(stats, null, 2));
-      
-    } catch (error) {
-      console.error('❌ Failed to update secure jackpot stats:', error);
-    }
+  // Jackpot statistics from the treasury ledger
+  async getJackpotStats(options = {}) {
+    return treasuryLedger.jackpotStats(options);
   }
 
   // Log secure transactions for audit
@@ -563,25 +668,19 @@ class SecureTreasuryService {
     }
   }
 
-  // Get daily transfer summary
-  getDailyTransferSummary() {
-    const today = new Date().toDateString();
+  // Per-account usage against the calendar-day and rolling 24h limits
+  async getDailyTransferSummary() {
+    const { accounts } = await treasuryLedger.burnDown();
     const summary = {};
-    
-    for (const [accountType, role] of Object.entries(this.accountRoles)) {
-      const key = `${accountType}-${today}`;
-      const used = this.dailyTransfers.get(key) || 0;
-      const limit = role.maxDailyTransfer;
-      const remaining = limit - used;
-      
-      summary[accountType] = {
-        used,
-        limit,
-        remaining,
-        percentageUsed: ((used / limit) * 100).toFixed(1)
+
+    for (const account of accounts) {
+      summary[account.accountType] = {
+        calendarDay: account.calendarDay,
+        rolling24h: account.rolling24h,
+        percentageUsed: Math.max(account.calendarDay.percentageUsed, account.rolling24h.percentageUsed)
       };
     }
-    
+
     return summary;
   }
 
@@ -608,7 +707,7 @@ class SecureTreasuryService {
     try {
       const health = {
         vaultIntegrity: await this.credentialManager.verifyVaultIntegrity(),
-        dailyLimits: this.getDailyTransferSummary(),
+        dailyLimits: await this.getDailyTransferSummary(),
         isLocked: this.credentialManager.isLocked(),
         lastCheck: new Date().toISOString()
       };
@@ -642,4 +741,6 @@ class SecureTreasuryService {
   }
 }
 
+SecureTreasuryService.ACCOUNT_ROLES = ACCOUNT_ROLES;
+
 module.exports = SecureTreasuryService;
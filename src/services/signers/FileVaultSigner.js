@@ -0,0 +1,56 @@
+// src/services/signers/FileVaultSigner.js
+// Signs with keys from the .secure-vault files. The keypair is decrypted for the
+// one signature and never returned to the caller.
+const { PublicKey } = require('@solana/web3.js');
+const CredentialManager = require('../credentialManager');
+
+class FileVaultSigner {
+  constructor(options = {}) {
+    this.name = 'vault';
+    this.credentialManager = options.credentialManager || null;
+  }
+
+  // Created lazily: the constructor needs TREASURY_MASTER_KEY
+  credentials() {
+    if (!this.credentialManager) {
+      this.credentialManager = new CredentialManager();
+    }
+    return this.credentialManager;
+  }
+
+  async keypair(accountType, reason, actor) {
+    if (this.credentials().isLocked()) {
+      throw new Error('Treasury vault is in emergency lockdown');
+    }
+
+    const result = await this.credentials().getKeypair(accountType, reason, actor);
+    if (!result.success) {
+      throw new Error(`Failed to access ${accountType}: ${result.error}`);
+    }
+    return result.keypair;
+  }
+
+  async publicKey(accountType) {
+    const { credentials = [] } = await this.credentials().listCredentials();
+    const entry = credentials.find(c => c.accountType === accountType);
+    if (entry?.metadata?.publicKey) {
+      return new PublicKey(entry.metadata.publicKey);
+    }
+
+    // Older vault files carry no public key in their metadata
+    const keypair = await this.keypair(accountType, 'PUBLIC_KEY_LOOKUP');
+    return keypair.publicKey;
+  }
+
+  async sign(transaction, accountType, reason, context = {}) {
+    const keypair = await this.keypair(accountType, reason, context.actor);
+    if (context.signer && !keypair.publicKey.equals(context.signer)) {
+      throw new Error(`Vault key for ${accountType} is not ${context.signer.toBase58()}`);
+    }
+
+    transaction.partialSign(keypair);
+    return { status: 'signed', transaction };
+  }
+}
+
+module.exports = FileVaultSigner;
@@ -0,0 +1,98 @@
+// src/services/signers/OfflineSigner.js
+// Never signs. The transaction is switched to the account's durable nonce
+// (TREASURY_NONCE_ACCOUNT_<ACCOUNT>, authority = the account) so it stays valid
+// while it travels to an air-gapped signer, then stored as a SigningRequest for
+// export. TreasurySignerService imports and broadcasts the signed copy.
+const crypto = require('crypto');
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const SigningRequest = require('../../models/SigningRequest');
+
+const DEFAULT_TTL_HOURS = 72;
+
+class OfflineSigner {
+  // options.connection: () => Connection; options.credentials: () => CredentialManager
+  constructor(options = {}) {
+    this.name = 'offline';
+    this.connection = options.connection;
+    this.credentials = options.credentials;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  envKey(prefix, accountType) {
+    return `${prefix}_${accountType.toUpperCase()}`;
+  }
+
+  // From vault metadata only; the secret key need not be on this host at all
+  async publicKey(accountType) {
+    const { credentials = [] } = await this.credentials().listCredentials();
+    const entry = credentials.find(c => c.accountType === accountType);
+    if (!entry?.metadata?.publicKey) {
+      throw this.fail(`No public key on record for ${accountType}; set ${this.envKey('TREASURY_PUBLIC_KEY', accountType)}`, 503);
+    }
+    return new PublicKey(entry.metadata.publicKey);
+  }
+
+  async useDurableNonce(transaction, accountType, signer) {
+    const nonceAccount = process.env[this.envKey('TREASURY_NONCE_ACCOUNT', accountType)];
+    if (!nonceAccount) {
+      throw this.fail(`Offline signing for ${accountType} needs a durable nonce account: set ${this.envKey('TREASURY_NONCE_ACCOUNT', accountType)}`, 503);
+    }
+
+    const noncePubkey = new PublicKey(nonceAccount);
+    const nonce = await this.connection().getNonce(noncePubkey, 'confirmed');
+    if (!nonce) {
+      throw this.fail(`Nonce account ${nonceAccount} not found`, 503);
+    }
+    if (!nonce.authorizedPubkey.equals(signer)) {
+      throw this.fail(`Nonce account ${nonceAccount} is not controlled by ${accountType}`, 503);
+    }
+
+    // Advancing the nonce must be the first instruction
+    transaction.instructions.unshift(SystemProgram.nonceAdvance({ noncePubkey, authorizedPubkey: signer }));
+    transaction.recentBlockhash = nonce.nonce;
+    return { nonceAccount, nonce: nonce.nonce };
+  }
+
+  async sign(transaction, accountType, reason, context = {}) {
+    const { signer } = context;
+    const { nonceAccount, nonce } = await this.useDurableNonce(transaction, accountType, signer);
+
+    const ttlHours = parseFloat(process.env.TREASURY_OFFLINE_SIGNING_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+    try {
+      const signingRequest = await SigningRequest.create({
+        signingRequestId: crypto.randomUUID(),
+        accountType,
+        signerPublicKey: signer.toBase58(),
+        securityLevel: context.securityLevel,
+        reason,
+        reference: context.reference,
+        treasuryRequestId: context.treasuryRequestId,
+        requestedBy: context.actor,
+        message: transaction.serializeMessage().toString('base64'),
+        unsignedTransaction: transaction
+          .serialize({ requireAllSignatures: false, verifySignatures: false })
+          .toString('base64'),
+        nonceAccount,
+        nonce,
+        openNonce: nonceAccount,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+
+      console.log(`📝 ${accountType} transaction exported for offline signing (${signingRequest.signingRequestId})`);
+      return { status: 'awaiting_signature', signingRequest };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw this.fail(`${accountType} already has a transaction awaiting offline signature`, 409);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OfflineSigner;
@@ -0,0 +1,90 @@
+// src/services/signers/RemoteSigner.js
+// Signs through an HTTP signing service (KMS/HSM front end) so keys never reach
+// this process. scripts/local-signer.js implements the same API over the local
+// vault for development.
+//
+//   GET  {url}/v1/accounts/:accountType  -> { publicKey }
+//   POST {url}/v1/sign  { accountType, reason, message, reference, actor }
+//                                        -> { publicKey, signature }
+// message and signature are base64; requests carry Authorization: Bearer <token>.
+const axios = require('axios');
+const nacl = require('tweetnacl');
+const { PublicKey } = require('@solana/web3.js');
+
+class RemoteSigner {
+  // options.http lets tests stand in for axios
+  constructor(options = {}) {
+    this.name = 'remote';
+    this.url = (options.url || '').replace(/\/+$/, '');
+    this.token = options.token || null;
+    this.http = options.http || axios;
+    this.timeoutMs = options.timeoutMs || 15 * 1000;
+    this.publicKeys = new Map();
+  }
+
+  requestOptions() {
+    if (!this.url) {
+      throw new Error('Remote signer is not configured (TREASURY_SIGNER_URL)');
+    }
+    return {
+      timeout: this.timeoutMs,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    };
+  }
+
+  describeError(accountType, error) {
+    const detail = error.response?.data?.error || error.message;
+    return new Error(`Remote signer failed for ${accountType}: ${detail}`);
+  }
+
+  async publicKey(accountType) {
+    if (this.publicKeys.has(accountType)) {
+      return this.publicKeys.get(accountType);
+    }
+
+    try {
+      const { data } = await this.http.get(
+        `${this.url}/v1/accounts/${encodeURIComponent(accountType)}`,
+        this.requestOptions()
+      );
+      const publicKey = new PublicKey(data.publicKey);
+      this.publicKeys.set(accountType, publicKey);
+      return publicKey;
+    } catch (error) {
+      throw this.describeError(accountType, error);
+    }
+  }
+
+  async sign(transaction, accountType, reason, context = {}) {
+    const signer = context.signer || await this.publicKey(accountType);
+    const message = transaction.serializeMessage();
+
+    let data;
+    try {
+      ({ data } = await this.http.post(`${this.url}/v1/sign`, {
+        accountType,
+        reason,
+        message: message.toString('base64'),
+        reference: context.reference,
+        actor: context.actor
+          ? { userId: context.actor.userId, email: context.actor.email, source: context.actor.source }
+          : undefined
+      }, this.requestOptions()));
+    } catch (error) {
+      throw this.describeError(accountType, error);
+    }
+
+    // Never trust the signer's word: the signature must verify for our key
+    const signature = Buffer.from(data.signature || '', 'base64');
+    if (data.publicKey !== signer.toBase58() ||
+        signature.length !== 64 ||
+        !nacl.sign.detached.verify(message, signature, signer.toBytes())) {
+      throw new Error(`Remote signer returned an invalid signature for ${accountType}`);
+    }
+
+    transaction.addSignature(signer, signature);
+    return { status: 'signed', transaction };
+  }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,68 @@
+// src/utils/__tests__/businessDay.test.js
+// Business-day keys and ranges around cutovers and DST changes. Pure functions only.
+const businessDay = require('../businessDay');
+
+const newYork = cutover => ({ timezone: 'America/New_York', cutover });
+
+// Every instant in a day's range must map back to that day's key
+function expectConsistent(dayKey, settings) {
+  const { start, end } = businessDay.businessDayRange(dayKey, settings);
+  expect(businessDay.businessDayKey(start, settings)).toBe(dayKey);
+  expect(businessDay.businessDayKey(new Date(start.getTime() - 1000), settings)).toBe(businessDay.addDays(dayKey, -1));
+  expect(businessDay.businessDayKey(new Date(end.getTime() - 1000), settings)).toBe(dayKey);
+  expect(businessDay.businessDayKey(end, settings)).toBe(businessDay.addDays(dayKey, 1));
+}
+
+describe('non-midnight cutover', () => {
+  const settings = { timezone: 'America/Chicago', cutover: '06:00' };
+
+  test('play before the cutover belongs to the previous business day', () => {
+    expect(businessDay.businessDayKey('2026-06-10T10:59:00Z', settings)).toBe('2026-06-09');   // 05:59 CDT
+    expect(businessDay.businessDayKey('2026-06-10T11:00:00Z', settings)).toBe('2026-06-10');   // 06:00 CDT
+  });
+
+  test('ranges run cutover to cutover', () => {
+    expect(businessDay.businessDayRange('2026-06-10', settings)).toEqual({
+      start: new Date('2026-06-10T11:00:00Z'),
+      end: new Date('2026-06-11T11:00:00Z')
+    });
+    expectConsistent('2026-06-10', settings);
+  });
+});
+
+describe('spring forward', () => {
+  // 2026-03-08: New York clocks jump from 02:00 EST to 03:00 EDT (07:00Z)
+  test('a cutover inside the skipped hour starts the day at the jump', () => {
+    const settings = newYork('02:30');
+    expect(businessDay.businessDayRange('2026-03-08', settings)).toEqual({
+      start: new Date('2026-03-08T07:00:00Z'),
+      end: new Date('2026-03-09T06:30:00Z')
+    });
+    expect(businessDay.businessDayKey('2026-03-08T06:45:00Z', settings)).toBe('2026-03-07');
+    expectConsistent('2026-03-07', settings);
+    expectConsistent('2026-03-08', settings);
+  });
+
+  test('a midnight cutover gives a 23-hour day', () => {
+    const { start, end } = businessDay.businessDayRange('2026-03-08', newYork('00:00'));
+    expect(start).toEqual(new Date('2026-03-08T05:00:00Z'));
+    expect(end.getTime() - start.getTime()).toBe(23 * 60 * 60 * 1000);
+  });
+});
+
+describe('fall back', () => {
+  // 2026-11-01: New York clocks go from 02:00 EDT back to 01:00 EST (06:00Z)
+  test('a cutover inside the repeated hour starts the day at its first occurrence', () => {
+    const settings = newYork('01:30');
+    expect(businessDay.businessDayRange('2026-11-01', settings).start).toEqual(new Date('2026-11-01T05:30:00Z'));
+    // 01:15 EST, the second time round, is already the new day
+    expect(businessDay.businessDayKey('2026-11-01T06:15:00Z', settings)).toBe('2026-11-01');
+    expectConsistent('2026-10-31', settings);
+    expectConsistent('2026-11-01', settings);
+  });
+
+  test('a midnight cutover gives a 25-hour day', () => {
+    const { start, end } = businessDay.businessDayRange('2026-11-01', newYork('00:00'));
+    expect(end.getTime() - start.getTime()).toBe(25 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,45 @@
+// src/utils/__tests__/routeErrors.test.js
+// How service errors become route responses. Pure functions only.
+const { sendServiceError } = require('../routeErrors');
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('passes through errors the service gave a status', () => {
+  const error = Object.assign(new Error('Lock already claimed'), { status: 409 });
+  const res = mockRes();
+
+  sendServiceError(res, error, 'Failed to claim lock');
+
+  expect(res.status).toHaveBeenCalledWith(409);
+  expect(res.json).toHaveBeenCalledWith({ error: 'Lock already claimed' });
+});
+
+test('answers malformed ids with 400', () => {
+  const error = Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError' });
+  const res = mockRes();
+
+  sendServiceError(res, error, 'Failed to load lock');
+
+  expect(res.status).toHaveBeenCalledWith(400);
+  expect(res.json).toHaveBeenCalledWith({ error: 'Invalid id' });
+});
+
+test('logs anything else and answers with the fallback and any extra fields', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const res = mockRes();
+
+  sendServiceError(res, new Error('connection reset'), 'Failed to load cashouts', { success: false });
+
+  expect(console.error).toHaveBeenCalled();
+  expect(res.status).toHaveBeenCalledWith(500);
+  expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Failed to load cashouts' });
+});
@@ -0,0 +1,197 @@
+// src/utils/businessDay.js
+// Venue business days. Each store has an IANA timezone and a local cutover time
+// (e.g. "06:00"): play at 2am belongs to the previous business day until the cutover.
+//
+// A business day is identified by its key ('YYYY-MM-DD'). Stored date-only fields
+// (DailyReport.reportDate, BookkeepingReport.businessDate, reconciliationDate) hold
+// the key as UTC midnight; range queries use businessDayRange() for the real instants.
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_CUTOVER = '00:00';
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CUTOVER_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+const storeCache = new Map();
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidCutover(cutover) {
+  return CUTOVER_PATTERN.test(cutover || '');
+}
+
+function cutoverMinutes(cutover) {
+  const match = CUTOVER_PATTERN.exec(cutover || DEFAULT_CUTOVER);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : 0;
+}
+
+// { timezone, cutover } for a Store document (or anything shaped like one)
+function settingsFor(store) {
+  return {
+    timezone: isValidTimezone(store?.timezone) ? store.timezone : DEFAULT_TIMEZONE,
+    cutover: isValidCutover(store?.businessDayCutover) ? store.businessDayCutover : DEFAULT_CUTOVER
+  };
+}
+
+// Cached settings lookup by storeId
+async function forStore(storeId) {
+  if (!storeId) return settingsFor(null);
+  const cached = storeCache.get(storeId);
+  if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+  const Store = require('../models/Store');
+  const store = await Store.findOne({ storeId }).select('timezone businessDayCutover').lean();
+  const settings = settingsFor(store);
+  storeCache.set(storeId, { settings, expiresAt: Date.now() + CACHE_TTL_MS });
+  return settings;
+}
+
+function clearCache(storeId) {
+  if (storeId) storeCache.delete(storeId);
+  else storeCache.clear();
+}
+
+// Wall-clock fields of an instant in a timezone
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at this instant (negative west of Greenwich)
+function offsetMs(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a local wall-clock time. A time skipped by a DST jump resolves
+// forward to the jump itself (the first instant the clock reads at or past it); a
+// time repeated when clocks fall back resolves to its first occurrence.
+function zonedTimeToUtc(dayKey, minutes, timezone) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = wallClock - offsetMs(new Date(wallClock), timezone);
+  const offset = offsetMs(new Date(first), timezone);
+  const guess = wallClock - offset;
+  if (offsetMs(new Date(guess), timezone) === offset) return new Date(guess);
+
+  // In the gap: the jump lies between the two guesses. Find the first second on
+  // the far side of it.
+  let before = Math.min(first, guess);
+  let after = Math.max(first, guess);
+  const offsetAfter = offsetMs(new Date(after), timezone);
+  while (after - before > 1000) {
+    const mid = Math.floor((before + after) / 2000) * 1000;
+    if (offsetMs(new Date(mid), timezone) === offsetAfter) after = mid;
+    else before = mid;
+  }
+  return new Date(after);
+}
+
+function addDays(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Business day key an instant falls in
+function businessDayKey(instant, settings = settingsFor(null)) {
+  const date = new Date(instant);
+  if (isNaN(date)) return null;
+
+  // Compared with the day's own start instant, so keys always agree with
+  // businessDayRange(), DST days included
+  const p = zonedParts(date, settings.timezone);
+  const localKey = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  const start = zonedTimeToUtc(localKey, cutoverMinutes(settings.cutover), settings.timezone);
+  return date >= start ? localKey : addDays(localKey, -1);
+}
+
+// Date-only value stored for a business day (UTC midnight of the key)
+function businessDate(instant, settings) {
+  return keyToDate(businessDayKey(instant, settings));
+}
+
+function keyToDate(dayKey) {
+  return new Date(`${dayKey}T00:00:00.000Z`);
+}
+
+// Accepts 'YYYY-MM-DD', a stored date-only value (UTC midnight) or any other instant
+function toDayKey(value, settings) {
+  if (typeof value === 'string' && DAY_KEY_PATTERN.test(value)) return value;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0) {
+    return date.toISOString().split('T')[0];
+  }
+  return businessDayKey(date, settings);
+}
+
+// [start, end) instants covering one business day
+function businessDayRange(dayKey, settings = settingsFor(null)) {
+  const minutes = cutoverMinutes(settings.cutover);
+  return {
+    start: zonedTimeToUtc(dayKey, minutes, settings.timezone),
+    end: zonedTimeToUtc(addDays(dayKey, 1), minutes, settings.timezone)
+  };
+}
+
+// [start, end) instants covering fromKey..toKey inclusive
+function businessRange(fromKey, toKey, settings) {
+  return {
+    start: businessDayRange(fromKey, settings).start,
+    end: businessDayRange(toKey, settings).end
+  };
+}
+
+function todayKey(settings, now = new Date()) {
+  return businessDayKey(now, settings);
+}
+
+function dayKeysBetween(fromKey, toKey) {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = addDays(key, 1)) keys.push(key);
+  return keys;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_CUTOVER,
+  DAY_KEY_PATTERN,
+  isValidTimezone,
+  isValidCutover,
+  settingsFor,
+  cutoverMinutes,
+  forStore,
+  clearCache,
+  zonedParts,
+  businessDayKey,
+  businessDate,
+  keyToDate,
+  toDayKey,
+  businessDayRange,
+  businessRange,
+  todayKey,
+  addDays,
+  dayKeysBetween
+};
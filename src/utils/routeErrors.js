@@ -0,0 +1,18 @@
+// src/utils/routeErrors.js
+// Error responses shared by the route files that call into services.
+
+// Services throw errors with a status for anything the caller got wrong; those are
+// passed through, anything else is logged and answered with the fallback message.
+// extra adds fields to every error body (e.g. { success: false }).
+function sendServiceError(res, error, fallback, extra = {}) {
+  if (error.status) {
+    return res.status(error.status).json({ ...extra, error: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ ...extra, error: 'Invalid id' });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ ...extra, error: fallback });
+}
+
+module.exports = { sendServiceError };